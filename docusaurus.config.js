@@ -1,98 +1,132 @@
 // @ts-check
 // Note: type annotations allow type checking and IDEs autocompletion
 
-/** @type {import('@docusaurus/types').Config} */
-const config = {
-  title: 'Applied Quantum Mechanics - MATLAB Programs',
-  tagline: 'Interactive documentation for Levi\'s Applied QM MATLAB programs',
-  favicon: 'img/favicon.ico',
+/**
+ * remark-math and rehype-katex are ES modules, so the config is built
+ * asynchronously to import them
+ * @returns {Promise<import('@docusaurus/types').Config>}
+ */
+module.exports = async function createConfig() {
+  const remarkMath = (await import('remark-math')).default;
+  const rehypeKatex = (await import('rehype-katex')).default;
 
-  // Set the production url of your site here
-  // Update this with your Render.com URL after deployment
-  url: 'https://levi-applied-qm-docs.onrender.com',
-  // Render.com hosts at root
-  baseUrl: '/',
+  return {
+    title: 'Applied Quantum Mechanics - MATLAB Programs',
+    tagline: 'Interactive documentation for Levi\'s Applied QM MATLAB programs',
+    favicon: 'img/favicon.ico',
 
-  onBrokenLinks: 'warn',
-  onBrokenMarkdownLinks: 'warn',
+    // Set the production url of your site here
+    // Update this with your Render.com URL after deployment
+    url: 'https://levi-applied-qm-docs.onrender.com',
+    // Render.com hosts at root
+    baseUrl: '/',
 
-  // Even if you don't use internalization, you can use this field to set useful
-  // metadata like html lang. For example, if your site is Chinese, you may want
-  // to replace "en" with "zh-Hans".
-  i18n: {
-    defaultLocale: 'en',
-    locales: ['en'],
-  },
+    onBrokenLinks: 'warn',
+    onBrokenMarkdownLinks: 'warn',
 
-  presets: [
-    [
-      'classic',
-      /** @type {import('@docusaurus/preset-classic').Options} */
-      ({
-        docs: {
-          sidebarPath: require.resolve('./sidebars.js'),
-        },
-        blog: false,
-        theme: {
-          customCss: require.resolve('./src/css/custom.css'),
-        },
-      }),
-    ],
-  ],
+    // Even if you don't use internalization, you can use this field to set useful
+    // metadata like html lang. For example, if your site is Chinese, you may want
+    // to replace "en" with "zh-Hans".
+    i18n: {
+      defaultLocale: 'en',
+      locales: ['en'],
+    },
 
-  themeConfig:
-    /** @type {import('@docusaurus/preset-classic').ThemeConfig} */
-    ({
-      navbar: {
-        title: 'Applied QM MATLAB',
-        logo: {
-          alt: 'Applied QM Logo',
-          src: 'img/logo.svg',
-        },
-        items: [
-          {
-            type: 'docSidebar',
-            sidebarId: 'tutorialSidebar',
-            position: 'left',
-            label: 'Programs',
+    presets: [
+      [
+        'classic',
+        /** @type {import('@docusaurus/preset-classic').Options} */
+        ({
+          docs: {
+            sidebarPath: require.resolve('./sidebars.js'),
+            // Generated sidebars.js refers to pages by file name; keep IDs such as
+            // utilities/404/404_html instead of stripping "404_" as an order prefix
+            numberPrefixParser: false,
+            // $...$ and $$...$$ math in generated pages (notebooks, LaTeX)
+            remarkPlugins: [remarkMath],
+            rehypePlugins: [rehypeKatex],
           },
-          {
-            href: 'https://github.com/OutisNemosseus/Levi_AppliedQM_Docsaurus',
-            label: 'GitHub',
-            position: 'right',
+          blog: false,
+          theme: {
+            customCss: require.resolve('./src/css/custom.css'),
           },
-        ],
+        }),
+      ],
+    ],
+
+    stylesheets: [
+      {
+        href: 'https://cdn.jsdelivr.net/npm/katex@0.16.47/dist/katex.min.css',
+        type: 'text/css',
+        integrity: 'sha384-nH0MfJ44wi1dd7w6jinlyBgljjS8EJAh2JBoRad8a3VDw2K69vfaaqm4WnR+gXtA',
+        crossorigin: 'anonymous',
       },
-      footer: {
-        style: 'dark',
-        links: [
-          {
-            title: 'Docs',
-            items: [
-              {
-                label: 'Programs',
-                to: '/docs/intro',
-              },
-            ],
-          },
-          {
-            title: 'Resources',
-            items: [
-              {
-                label: 'GitHub',
-                href: 'https://github.com/OutisNemosseus/Levi_AppliedQM_Docsaurus',
-              },
-            ],
+    ],
+
+    plugins: [
+      // Generates program pages and sidebars.js from INBOX (see scripts/README.md)
+      require.resolve('./scripts/docusaurusPlugin'),
+    ],
+
+    // Scrolls to #L<line> links from the program search (src/theme/SearchBar)
+    clientModules: [require.resolve('./src/clientModules/codeLineAnchor.js')],
+
+    themeConfig:
+      /** @type {import('@docusaurus/preset-classic').ThemeConfig} */
+      ({
+        navbar: {
+          title: 'Applied QM MATLAB',
+          logo: {
+            alt: 'Applied QM Logo',
+            src: 'img/logo.svg',
           },
-        ],
-        copyright: `Applied Quantum Mechanics by A.F.J. Levi - Documentation built with Docusaurus.`,
-      },
-      prism: {
-        theme: require('prism-react-renderer').themes.github,
-        darkTheme: require('prism-react-renderer').themes.dracula,
-        additionalLanguages: ['matlab'],
-      },
-    }),
+          items: [
+            {
+              type: 'docSidebar',
+              sidebarId: 'tutorialSidebar',
+              position: 'left',
+              label: 'Programs',
+            },
+            {
+              type: 'search',
+              position: 'right',
+            },
+            {
+              href: 'https://github.com/OutisNemosseus/Levi_AppliedQM_Docsaurus',
+              label: 'GitHub',
+              position: 'right',
+            },
+          ],
+        },
+        footer: {
+          style: 'dark',
+          links: [
+            {
+              title: 'Docs',
+              items: [
+                {
+                  label: 'Programs',
+                  to: '/docs/intro',
+                },
+              ],
+            },
+            {
+              title: 'Resources',
+              items: [
+                {
+                  label: 'GitHub',
+                  href: 'https://github.com/OutisNemosseus/Levi_AppliedQM_Docsaurus',
+                },
+              ],
+            },
+          ],
+          copyright: `Applied Quantum Mechanics by A.F.J. Levi - Documentation built with Docusaurus.`,
+        },
+        prism: {
+          theme: require('prism-react-renderer').themes.github,
+          darkTheme: require('prism-react-renderer').themes.dracula,
+          additionalLanguages: ['matlab'],
+        },
+      }),
+  };
 };
-
-module.exports = config;
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Programmatic build API
+ * @module api
+ *
+ * Runs the generator on sources passed in memory and returns the generated
+ * pages, static files, sidebar and statistics as plain data. Nothing is
+ * read from or written to disk and nothing is printed, so other tools can
+ * embed the generator. It is the same pipeline the CLI runs
+ * ({@link module:app.buildProject}), and {@link module:app.writeBuild},
+ * re-exported here, writes the result the way the CLI does.
+ */
+
+const path = require('path');
+const { createConfig } = require('./config');
+const { buildProject, writeBuild } = require('./app');
+const { createMemoryFileSystem } = require('./utils/memoryFileSystem');
+const { createNullLogger } = require('./utils/logger');
+
+/**
+ * Project directory of in-memory builds; result paths are relative to it
+ * @type {string}
+ */
+const VIRTUAL_PROJECT_DIR = path.resolve(path.sep, 'qmdocs');
+
+/**
+ * @typedef {Object} SourceFile
+ * @property {string} path - Path relative to the INBOX, e.g. 'Chapt1Fig8.m' or 'lib/fermi.m'
+ * @property {string|Buffer|Uint8Array} content - File content
+ * @property {number} [modifiedTime] - Modification time in milliseconds (used by the 'newest' collision policy)
+ */
+
+/**
+ * @typedef {Object} BuiltFile
+ * @property {string} path - Path relative to the project directory, with forward slashes
+ * @property {string|Buffer} content - Text for pages and sidebars.js, bytes for static files
+ */
+
+/**
+ * @typedef {Object} BuildStats
+ * @property {string[]} programs - Program IDs, sorted
+ * @property {number} processed - Files processed
+ * @property {number} skipped - Files skipped
+ * @property {number} utilities - Utility files count
+ * @property {Object.<string, string[]>} byChapter - Program IDs by chapter
+ * @property {Object.<string, number>} byType - File count by type
+ * @property {Object.<string, number>} byEncoding - Text file count by 'encoding/lineEnding'
+ * @property {string[]} warnings - Build warnings
+ * @property {Object[]} collisions - Program ID collisions and how they were resolved
+ * @property {boolean} failed - Whether the build stopped before generating
+ * @property {import('./utils/logger').BuildSummary} build - Program IDs by build outcome
+ * @property {Object.<string, string>} viewers - Program ID -> data path of its interactive viewer
+ */
+
+/**
+ * @typedef {Object} BuildResult
+ * @property {BuiltFile[]} pages - Generated MDX pages
+ * @property {BuiltFile[]} staticFiles - Source copies for the static output directory
+ * @property {BuiltFile[]} files - Other generated files (sidebars.js, the search index, the
+ *   build manifest)
+ * @property {string[]} removed - Files to remove; always empty, as an in-memory build has no
+ *   earlier output
+ * @property {string[]} removedDirs - Directories to remove; always empty
+ * @property {Object|null} sidebar - Docusaurus sidebar configuration, or null if none was generated
+ * @property {BuildStats} stats - Build statistics
+ */
+
+/**
+ * Normalize the sources argument to a list of source files
+ * @param {SourceFile[]|Object.<string, string|Buffer|Uint8Array>} sources - List or map of path -> content
+ * @returns {SourceFile[]} Source files
+ * @throws {Error} If a path is empty, absolute or leaves the INBOX
+ */
+function normalizeSources(sources) {
+  const list = Array.isArray(sources)
+    ? sources
+    : Object.entries(sources || {}).map(([filePath, content]) => ({ path: filePath, content }));
+
+  return list.map((source) => {
+    const filePath = source && typeof source.path === 'string' ? path.normalize(source.path) : '';
+    if (!filePath || filePath === '.' || path.isAbsolute(filePath) || filePath.split(path.sep).includes('..')) {
+      throw new Error(`Invalid source path ${JSON.stringify(source && source.path)}: expected a path inside the INBOX`);
+    }
+    if (source.content === undefined || source.content === null) {
+      throw new Error(`Source ${source.path} has no content`);
+    }
+    return { ...source, path: filePath };
+  });
+}
+
+/**
+ * Convert processing statistics to plain data
+ * @param {import('./utils/logger').Stats} stats - Processing statistics
+ * @returns {BuildStats} Plain statistics
+ */
+function toPlainStats(stats) {
+  const byChapter = {};
+  for (const [chapter, programs] of stats.byChapter) {
+    byChapter[chapter] = Array.from(programs).sort();
+  }
+
+  const programs = Array.from(stats.programFiles.keys()).sort();
+  const viewers = {};
+  for (const programId of programs) {
+    const { viewer } = stats.programFiles.get(programId).programInfo;
+    if (viewer) {
+      viewers[programId] = viewer.data;
+    }
+  }
+
+  return {
+    programs,
+    processed: stats.processed,
+    skipped: stats.skipped,
+    utilities: stats.utilities,
+    byChapter,
+    byType: Object.fromEntries(stats.byType),
+    byEncoding: Object.fromEntries(stats.byEncoding),
+    warnings: [...stats.warnings],
+    collisions: stats.collisions,
+    failed: stats.failed,
+    build: stats.build,
+    viewers,
+  };
+}
+
+/**
+ * Generate documentation in memory
+ * @param {Object} options - Build options
+ * @param {SourceFile[]|Object.<string, string|Buffer|Uint8Array>} options.sources - INBOX files
+ * @param {Object} [options.config={}] - Settings as in qmdocs.config.js; relative paths
+ *   resolve against the project directory
+ * @param {Object} [options.logger] - Logger interface (silent by default)
+ * @returns {BuildResult} Generated output
+ * @throws {Error} If a source path or the settings are invalid
+ * @example
+ * const { build } = require('./scripts/api');
+ * const result = build({
+ *   sources: { 'Chapt1Fig8.m': fs.readFileSync('INBOX/Chapt1Fig8.m') },
+ *   config: { chapterNames: { '1': 'Introduction' } },
+ * });
+ * result.pages.map(page => page.path)
+ * // => ['docs/chapter1/Chapt1Fig8/Chapt1Fig8_matlab.mdx', 'docs/chapter1/Chapt1Fig8/index.mdx', ...]
+ */
+function build({ sources, config: settings = {}, logger = createNullLogger() } = {}) {
+  const config = createConfig({ settings }, path.join(VIRTUAL_PROJECT_DIR, 'scripts'));
+  const fileSystem = createMemoryFileSystem(config.projectDir);
+
+  fileSystem.ensureDir(config.inboxDir);
+  for (const source of normalizeSources(sources)) {
+    fileSystem.writeFile(fileSystem.join(config.inboxDir, source.path), source.content, source.modifiedTime);
+  }
+
+  const { output, stats } = buildProject({ config, fileSystem, logger });
+  return { ...output, stats: toPlainStats(stats) };
+}
+
+module.exports = {
+  build,
+  writeBuild,
+  toPlainStats,
+};
@@ -11,47 +11,71 @@
  * - Dependency Inversion: All services depend on abstractions (interfaces)
  */
 
+const path = require('path');
 const { parseArgs, createConfig } = require('./config');
 const { createFileSystem } = require('./utils/fileSystem');
+const { createRecordingFileSystem } = require('./utils/recordingFileSystem');
 const { createLogger } = require('./utils/logger');
 const { createProgramParser } = require('./parsers/programParser');
 const { createFileClassifier } = require('./parsers/fileClassifier');
+const { createMatlabParser } = require('./parsers/matlabParser');
+const { createNotebookParser } = require('./parsers/notebookParser');
+const { createLatexConverter } = require('./parsers/latexConverter');
+const { createPdfParser } = require('./parsers/pdfParser');
+const { createMediaParser } = require('./parsers/mediaParser');
+const { createMatParser } = require('./parsers/matParser');
+const { createDataParser } = require('./parsers/dataParser');
 const { createGeneratorFactory } = require('./generators/GeneratorFactory');
 const { createDocumentProcessor } = require('./services/DocumentProcessor');
+const { createBuildManifest } = require('./services/BuildManifest');
+const { createOrphanService } = require('./services/OrphanService');
 const { createCleanService } = require('./services/CleanService');
 const { createWatchService } = require('./services/WatchService');
+const { createDryRunService } = require('./services/DryRunService');
+const { createOctaveService } = require('./services/OctaveService');
 
 /**
- * Create the application with all dependencies wired together
- * @param {Object} [cliOptions] - CLI options (if not provided, will parse from argv)
- * @returns {Object} Application instance with run(), clean(), watch(), help() methods
- * @example
- * const app = createApp();
- * app.run(); // Run generation
- *
- * @example
- * const app = createApp({ source: './myfiles', recursive: true });
- * app.run(); // Run with custom options
+ * Wire the parsers, generators and services around a configuration
+ * Shared by the CLI application and the in-memory {@link module:api} build.
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.config - Application configuration
+ * @param {Object} deps.fileSystem - File system interface
+ * @param {Object} deps.logger - Logger interface
+ * @returns {{generatorFactory: Object, classifier: Object, documentProcessor: Object, cleanService: Object}} Services
  */
-function createApp(cliOptions = null) {
-  // Parse CLI arguments if not provided
-  const options = cliOptions || parseArgs();
-
-  // Create configuration
-  const config = createConfig(options);
-
-  // Create utilities
-  const fileSystem = createFileSystem(config.inboxDir);
-  const logger = createLogger({ silent: false });
-
+function createServices({ config, fileSystem, logger }) {
   // Create parsers
   const parser = createProgramParser(config.programPattern, config.supportedExtensions);
   const classifier = createFileClassifier(config.fileTypes);
+  const matlabParser = createMatlabParser();
+  const notebookParser = createNotebookParser();
+  const latexConverter = createLatexConverter();
+  const pdfParser = createPdfParser();
+  const mediaParser = createMediaParser();
+  const matParser = createMatParser();
+  const dataParser = createDataParser();
 
   // Create generators
   const generatorFactory = createGeneratorFactory(config);
 
   // Create services
+  const manifest = createBuildManifest({
+    config,
+    fileSystem,
+    logger,
+  });
+
+  const orphanService = createOrphanService({
+    config,
+    fileSystem,
+    logger,
+  });
+
+  const octaveService = createOctaveService({
+    config,
+    logger,
+  });
+
   const documentProcessor = createDocumentProcessor({
     config,
     fileSystem,
@@ -59,6 +83,16 @@ function createApp(cliOptions = null) {
     parser,
     classifier,
     generatorFactory,
+    matlabParser,
+    notebookParser,
+    latexConverter,
+    pdfParser,
+    mediaParser,
+    matParser,
+    dataParser,
+    manifest,
+    orphanService,
+    octaveService,
   });
 
   const cleanService = createCleanService({
@@ -67,22 +101,171 @@ function createApp(cliOptions = null) {
     logger,
   });
 
-  // Return application interface
-  return {
+  return { generatorFactory, classifier, documentProcessor, cleanService };
+}
+
+/**
+ * @typedef {Object} BuildOutput
+ * @property {import('./api').BuiltFile[]} pages - Generated MDX pages
+ * @property {import('./api').BuiltFile[]} staticFiles - Source copies for the static output directory
+ * @property {import('./api').BuiltFile[]} files - Other generated files (sidebars.js, the search
+ *   index, the build manifest)
+ * @property {string[]} removed - Files to remove (orphaned output), relative to the project directory
+ * @property {string[]} removedDirs - Directories left empty by those removals, deepest first
+ * @property {Object|null} sidebar - Docusaurus sidebar configuration, or null if it did not change
+ */
+
+/**
+ * Generate documentation for a project without writing anything
+ * The processor runs against a recording file system over the project,
+ * so the build only reads it; what the run would change is returned for
+ * a consumer to write ({@link writeBuild}), show as a dry-run plan or keep
+ * in memory. The CLI, the Docusaurus plugin and {@link module:api.build}
+ * all generate through here.
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.config - Application configuration
+ * @param {Object} deps.fileSystem - File system holding the project (the disk, or one in memory)
+ * @param {Object} deps.logger - Logger interface
+ * @returns {{output: BuildOutput, stats: Object, fileSystem: Object}} Changed output, processing
+ *   statistics, and the recording file system the run used
+ */
+function buildProject({ config, fileSystem, logger }) {
+  const recorder = createRecordingFileSystem(fileSystem);
+  const { documentProcessor, generatorFactory } = createServices({ config, fileSystem: recorder, logger });
+  const stats = documentProcessor.process();
+
+  const output = { pages: [], staticFiles: [], files: [], removed: [], removedDirs: [], sidebar: null };
+  const docsDir = path.resolve(config.docsOutputDir);
+  const staticDir = path.resolve(config.staticOutputDir);
+  const inboxDir = path.resolve(config.inboxDir);
+  const toRelative = filePath => path.relative(config.projectDir, filePath).split(path.sep).join('/');
+
+  for (const { path: filePath, after } of recorder.getChanges()) {
+    if (filePath.startsWith(inboxDir + path.sep)) {
+      continue;
+    }
+
+    if (after === null) {
+      output.removed.push(toRelative(filePath));
+    } else if (filePath.startsWith(staticDir + path.sep)) {
+      output.staticFiles.push({ path: toRelative(filePath), content: after });
+    } else if (filePath.startsWith(docsDir + path.sep) && filePath.endsWith('.mdx')) {
+      output.pages.push({ path: toRelative(filePath), content: after.toString('utf-8') });
+    } else {
+      output.files.push({ path: toRelative(filePath), content: after.toString('utf-8') });
+    }
+
+    if (filePath === path.resolve(config.sidebarPath)) {
+      output.sidebar = generatorFactory.buildSidebars(stats.byChapter, stats.programFiles);
+    }
+  }
+  output.removedDirs = recorder.getRemovedDirs().map(toRelative);
+
+  return { output, stats, fileSystem: recorder };
+}
+
+/**
+ * Write the output of a build to a project directory
+ * Removes what the build removed, then writes its pages, static files and
+ * other files.
+ * @param {BuildOutput} output - Build output, or a {@link module:api.BuildResult}
+ * @param {Object} options - Write options
+ * @param {string} options.projectDir - Docusaurus project root
+ * @param {Object} [options.fileSystem] - File system interface (the disk by default)
+ * @returns {{written: string[], removed: string[], failed: string[]}} Absolute paths by outcome
+ * @example
+ * writeBuild(build({ sources }), { projectDir: '/site' })
+ * // => { written: ['/site/docs/chapter1/Chapt1Fig8/index.mdx', ...], removed: [], failed: [] }
+ */
+function writeBuild(output, { projectDir, fileSystem = createFileSystem(projectDir) }) {
+  const outcome = { written: [], removed: [], failed: [] };
+  const toAbsolute = relative => path.join(projectDir, ...relative.split('/'));
+
+  for (const target of (output.removed || []).map(toAbsolute)) {
+    (fileSystem.removeFile(target) ? outcome.removed : outcome.failed).push(target);
+  }
+  for (const target of (output.removedDirs || []).map(toAbsolute)) {
+    (fileSystem.removeDir(target) ? outcome.removed : outcome.failed).push(target);
+  }
+
+  for (const file of [...output.pages, ...output.staticFiles, ...output.files]) {
+    const target = toAbsolute(file.path);
+    fileSystem.ensureDir(path.dirname(target));
+    (fileSystem.writeFile(target, file.content) ? outcome.written : outcome.failed).push(target);
+  }
+
+  return outcome;
+}
+
+/**
+ * Create the application with all dependencies wired together
+ * @param {Object} [cliOptions] - CLI options (if not provided, will parse from argv)
+ * @param {Object} [deps={}] - Dependencies to use instead of the defaults
+ * @param {Object} [deps.logger] - Logger interface
+ * @returns {Object} Application instance with run(), clean(), audit(), watch(), help() methods
+ * @example
+ * const app = createApp();
+ * app.run(); // Run generation
+ *
+ * @example
+ * const app = createApp({ source: './myfiles', recursive: true });
+ * app.run(); // Run with custom options
+ */
+function createApp(cliOptions = null, deps = {}) {
+  // Parse CLI arguments if not provided
+  const options = cliOptions || parseArgs();
+
+  // Create configuration
+  const config = createConfig(options);
+
+  // Create utilities
+  // A dry run records every removal of --clean instead of making it
+  const diskFileSystem = createFileSystem(config.inboxDir);
+  const fileSystem = config.dryRun ? createRecordingFileSystem(diskFileSystem) : diskFileSystem;
+  const logger = deps.logger || createLogger({ silent: false });
+
+  const { documentProcessor, cleanService } = createServices({ config, fileSystem, logger });
+
+  // Application interface
+  const app = {
     /**
      * Run the document generation process
+     * Builds with {@link buildProject} and writes the changes with
+     * {@link writeBuild}; with --dry-run they are printed and returned as
+     * stats.plan instead.
      * @returns {Object} Processing statistics
      */
     run() {
-      return documentProcessor.process();
+      const { output, stats, fileSystem: recorder } = buildProject({ config, fileSystem: diskFileSystem, logger });
+      if (config.dryRun) {
+        stats.plan = createDryRunService({ config, fileSystem: recorder, logger }).report();
+        return stats;
+      }
+
+      const { failed } = writeBuild(output, { projectDir: config.projectDir, fileSystem: diskFileSystem });
+      failed.forEach(filePath => logger.error(`Failed to write ${path.relative(config.projectDir, filePath)}`));
+      return stats;
     },
 
     /**
      * Clean all generated documentation
+     * With --dry-run the planned removals are printed and returned as stats.plan.
      * @returns {Object} Cleanup statistics
      */
     clean() {
-      return cleanService.clean();
+      const stats = cleanService.clean();
+      if (config.dryRun) {
+        stats.plan = createDryRunService({ config, fileSystem, logger }).report();
+      }
+      return stats;
+    },
+
+    /**
+     * List orphaned generated output without changing anything
+     * @returns {string[]} Orphaned paths relative to the project directory
+     */
+    audit() {
+      return documentProcessor.audit();
     },
 
     /**
@@ -90,11 +273,15 @@ function createApp(cliOptions = null) {
      * @returns {boolean} True if watch started successfully
      */
     watch() {
+      if (config.dryRun) {
+        logger.error('--dry-run cannot be combined with --watch');
+        return false;
+      }
       const watchService = createWatchService({
         config,
         fileSystem,
         logger,
-        processCallback: () => documentProcessor.process(),
+        processCallback: () => app.run(),
       });
       return watchService.start();
     },
@@ -115,11 +302,23 @@ Commands:
   (none)        Process all files once
   --watch, -w   Watch for changes and auto-regenerate
   --clean, -c   Remove all generated documentation
+  --audit, -a   List generated output whose source is gone
   --help, -h    Show this message
 
 Options:
+  --config <path>       Use this configuration file instead of
+                        qmdocs.config.js / qmdocs.config.json in the project root
   --source, -s <path>   Scan a specific folder instead of INBOX
   --recursive, -r       Recursively scan subdirectories
+  --force, -f           Regenerate every program, even if unchanged
+  --keep-orphans        Report orphaned output instead of removing it
+  --dry-run, -n         Print the pages and static files that would change,
+                        with diffs of modified pages, without writing anything
+  --octave, --no-octave Run the MATLAB programs in GNU Octave to capture their
+                        figures and output, or skip it (overrides runOctave)
+  --on-collision <policy>
+                        Files of one type sharing a program ID (recursive scans):
+                        fail (default), namespace, newest or suffix
 
 Examples:
   node scripts/index.js
@@ -131,18 +330,26 @@ Examples:
   node scripts/index.js -s ../my-files -r
       → Recursively scan a folder and all subfolders
 
+  node scripts/index.js -s ../my-files -r --on-collision namespace
+      → Keep same-named files from different subfolders as separate programs
+
+  node scripts/index.js --force
+      → Rebuild everything, ignoring the build manifest
+
+  node scripts/index.js --dry-run
+      → Preview what the next run would create, modify or delete
+
+  node scripts/index.js --audit
+      → List pages and static files whose source is no longer in INBOX
+
 Current Source:
   ${config.inboxDir}
   Recursive: ${config.recursive ? 'Yes' : 'No'}
+  Config file: ${config.configPath || '(none, using defaults)'}
 
 Supported File Types:
-  .m        MATLAB source code
-  .tex      LaTeX documents
-  .pdf      PDF documents
-  .html     HTML pages
-  .ipynb    Jupyter Notebooks
-  .txt      Text files
-
+${Object.entries(config.fileTypes).map(([ext, type]) => `  ${ext.padEnd(9)} ${type.label}`).join('\n')}
+${config.plugins.length > 0 ? `  (plugins: ${config.plugins.map(plugin => plugin.name).join(', ')})\n` : ''}
 File Naming Pattern:
   Chapt<N><Type><#><variant>.<ext>
     N = Chapter number (1-9)
@@ -166,6 +373,9 @@ Output Structure:
 
   static/programs/<type>/<programId>/
     └── <filename>.<ext>
+
+  docs/program-dependencies.mdx   (program → utility call graph)
+  .docs-manifest.json             (source hashes for incremental builds)
 `);
     },
 
@@ -185,8 +395,13 @@ Output Structure:
       return options;
     },
   };
+
+  return app;
 }
 
 module.exports = {
   createApp,
+  createServices,
+  buildProject,
+  writeBuild,
 };
@@ -18,6 +18,8 @@
 
 /**
  * File type configurations indexed by extension
+ * Entries are in display order: index pages and the sidebar list a
+ * program's files in this order.
  * @type {Object.<string, FileTypeConfig>}
  */
 const FILE_TYPES = {
@@ -29,6 +31,69 @@ const FILE_TYPES = {
     canReadText: true,
     codeLanguage: 'matlab',
   },
+  '.fig': {
+    type: 'fig',
+    label: 'MATLAB Figure',
+    emoji: '📈',
+    color: '#ea580c',
+    canReadText: false,
+  },
+  '.mat': {
+    type: 'mat',
+    label: 'MAT Data',
+    emoji: '🗃️',
+    color: '#0e7490',
+    canReadText: false,
+  },
+  '.png': {
+    type: 'image',
+    label: 'Figure',
+    emoji: '🖼️',
+    color: '#7c3aed',
+    canReadText: false,
+  },
+  '.jpg': {
+    type: 'image',
+    label: 'Figure',
+    emoji: '🖼️',
+    color: '#7c3aed',
+    canReadText: false,
+  },
+  '.jpeg': {
+    type: 'image',
+    label: 'Figure',
+    emoji: '🖼️',
+    color: '#7c3aed',
+    canReadText: false,
+  },
+  '.svg': {
+    type: 'image',
+    label: 'Figure',
+    emoji: '🖼️',
+    color: '#7c3aed',
+    canReadText: false,
+  },
+  '.gif': {
+    type: 'image',
+    label: 'Figure',
+    emoji: '🖼️',
+    color: '#7c3aed',
+    canReadText: false,
+  },
+  '.mp4': {
+    type: 'video',
+    label: 'Animation',
+    emoji: '🎬',
+    color: '#db2777',
+    canReadText: false,
+  },
+  '.webm': {
+    type: 'video',
+    label: 'Animation',
+    emoji: '🎬',
+    color: '#db2777',
+    canReadText: false,
+  },
   '.tex': {
     type: 'latex',
     label: 'LaTeX',
@@ -38,14 +103,6 @@ const FILE_TYPES = {
     codeLanguage: 'latex',
     maxPreviewLength: 15000,
   },
-  '.ipynb': {
-    type: 'ipynb',
-    label: 'Jupyter Notebook',
-    emoji: '📓',
-    color: '#f37626',
-    canReadText: false,
-    useIframe: false,
-  },
   '.pdf': {
     type: 'pdf',
     label: 'PDF Document',
@@ -65,6 +122,32 @@ const FILE_TYPES = {
     useIframe: true,
     iframeHeight: '800px',
   },
+  '.ipynb': {
+    type: 'ipynb',
+    label: 'Jupyter Notebook',
+    emoji: '📓',
+    color: '#f37626',
+    canReadText: false,
+    useIframe: false,
+  },
+  '.csv': {
+    type: 'data',
+    label: 'Data Table',
+    emoji: '🔢',
+    color: '#65a30d',
+    canReadText: true,
+    codeLanguage: 'text',
+    maxPreviewLength: 15000,
+  },
+  '.dat': {
+    type: 'data',
+    label: 'Data Table',
+    emoji: '🔢',
+    color: '#65a30d',
+    canReadText: true,
+    codeLanguage: 'text',
+    maxPreviewLength: 15000,
+  },
   '.txt': {
     type: 'text',
     label: 'Text File',
@@ -113,10 +196,69 @@ function getTypeConfigByName(typeName) {
   return Object.values(FILE_TYPES).find(config => config.type === typeName) || null;
 }
 
+/**
+ * Get the display order of file types
+ * @param {Object.<string, FileTypeConfig>} [fileTypes=FILE_TYPES] - File types by extension
+ * @returns {string[]} Type names, each once, in definition order
+ * @example
+ * getTypeOrder() // => ['matlab', 'fig', 'mat', 'image', 'video', 'latex', 'pdf', 'html', 'ipynb', 'data', 'text']
+ */
+function getTypeOrder(fileTypes = FILE_TYPES) {
+  return Array.from(new Set(Object.values(fileTypes).map(config => config.type)));
+}
+
+/**
+ * Sort files by the display order of their type
+ * Files of unknown types go last; the sort is stable.
+ * @param {Array<{config: FileTypeConfig}>} files - Files with their type config
+ * @param {Object.<string, FileTypeConfig>} [fileTypes=FILE_TYPES] - File types by extension
+ * @returns {Array} Sorted copy
+ */
+function sortByTypeOrder(files, fileTypes = FILE_TYPES) {
+  const order = getTypeOrder(fileTypes);
+  const rank = type => (order.includes(type) ? order.indexOf(type) : order.length);
+  return [...files].sort((a, b) => rank(a.config.type) - rank(b.config.type));
+}
+
+/**
+ * Get the format of a program file, which names its detail page
+ * A program has one detail page per file type, <programId>_<type>. Files
+ * that share a type, such as Chapt2Fig3a.png and Chapt2Fig3a.svg, get a
+ * page each, named by their extension: <programId>_image_png.
+ * @param {{filename: string, config: FileTypeConfig}} file - File with its type config
+ * @param {Array<{config: FileTypeConfig}>} files - All files of the program
+ * @returns {string} Format, e.g. 'matlab' or 'image_svg'
+ * @example
+ * getFileFormat(svg, [png, svg]) // => 'image_svg'
+ */
+function getFileFormat({ filename, config }, files) {
+  const shared = files.filter(file => file.config.type === config.type).length > 1;
+  return shared
+    ? `${config.type}_${filename.slice(filename.lastIndexOf('.') + 1).toLowerCase()}`
+    : config.type;
+}
+
+/**
+ * Get the label of a file's format: the type label, with the extension
+ * for files that share their type
+ * @param {{format: string, config: FileTypeConfig}} file - File with its format and type config
+ * @param {string} [label=file.config.label] - Label of the type
+ * @returns {string} Label, e.g. 'Figure' or 'Figure (SVG)'
+ */
+function getFormatLabel({ format, config }, label = config.label) {
+  return format && format !== config.type
+    ? `${label} (${format.slice(config.type.length + 1).toUpperCase()})`
+    : label;
+}
+
 module.exports = {
   FILE_TYPES,
   getTypeConfig,
   isSupported,
   getSupportedExtensions,
   getTypeConfigByName,
+  getTypeOrder,
+  sortByTypeOrder,
+  getFileFormat,
+  getFormatLabel,
 };
@@ -1,32 +1,112 @@
 /**
- * @fileoverview Configuration factory with CLI override support
+ * @fileoverview Configuration factory with project file and CLI override support
  * @module config
+ *
+ * Settings are layered: built-in defaults, then the project's
+ * qmdocs.config.js / .json (see {@link module:config/projectConfig}),
+ * then CLI options.
  */
 
+const fs = require('fs');
 const path = require('path');
-const { FILE_TYPES, getSupportedExtensions } = require('./fileTypes');
+const { hashContent } = require('../utils/helpers');
+const { FILE_TYPES } = require('./fileTypes');
 const { CHAPTER_NAMES, getChapterName } = require('./chapters');
+const { COLLISION_POLICIES, loadProjectConfig, normalizeProjectConfig } = require('./projectConfig');
 
 /**
  * @typedef {Object} CliOptions
- * @property {string} [command] - Command to run (watch, clean, help)
+ * @property {string} [command] - Command to run (watch, clean, audit, help)
  * @property {string} [source] - Custom source directory
  * @property {boolean} [recursive] - Enable recursive scanning
+ * @property {boolean} [force] - Regenerate every program, ignoring the build manifest
+ * @property {boolean} [keepOrphans] - Report orphaned output instead of removing it
+ * @property {boolean} [dryRun] - Report planned changes without writing anything
+ * @property {string} [onCollision] - Program ID collision policy
+ * @property {boolean|null} [octave] - Run MATLAB programs in Octave (true), skip them (false) or use the setting (null)
+ * @property {string} [config] - Path of the project configuration file
+ * @property {Object} [settings] - Project settings to use instead of a configuration file
+ *   (relative paths resolve against the project directory)
  */
 
 /**
  * @typedef {Object} Config
+ * @property {string} projectDir - Docusaurus project root
+ * @property {string|null} configPath - Project configuration file in use, or null
  * @property {string} inboxDir - Source directory for files
  * @property {string} docsOutputDir - Output directory for MDX files
  * @property {string} staticOutputDir - Output directory for static files
+ * @property {string} sidebarPath - Path of the generated sidebars.js
+ * @property {string} dependencyGraphPath - Path of the generated dependency graph page
+ * @property {string} searchIndexPath - Path of the generated search index
+ * @property {string} manifestPath - Path of the incremental build manifest
  * @property {RegExp} programPattern - Pattern to match program filenames
  * @property {string[]} supportedExtensions - List of supported extensions
  * @property {boolean} recursive - Whether to scan recursively
- * @property {string|null} viewerBaseUrl - Base URL for viewer
+ * @property {boolean} force - Whether to ignore the build manifest
+ * @property {boolean} keepOrphans - Whether to keep orphaned output
+ * @property {boolean} dryRun - Whether to record changes instead of writing them
+ * @property {string} collisionPolicy - 'fail', 'namespace', 'newest' or 'suffix'
  * @property {string} nbviewerBaseUrl - Base URL for nbviewer
- * @property {string|null} githubRawBase - GitHub raw URL base
+ * @property {string|null} githubRawBase - Raw file URL of the site repository's branch, e.g.
+ *   'https://raw.githubusercontent.com/user/repo/main' (enables nbviewer and Colab links)
+ * @property {boolean} runOctave - Whether to run MATLAB programs in Octave
+ * @property {string} octaveCommand - Octave executable
+ * @property {number} octaveTimeout - Seconds a program may run
+ * @property {string[]} slowPrograms - Programs that get no Run button or viewer, by ID
+ * @property {string} version - Release version shown in banners
+ * @property {string} generatorVersion - Hash of the generator sources, see {@link getGeneratorVersion}
+ * @property {Object.<string, import('./fileTypes').FileTypeConfig>} fileTypes - File types by extension,
+ *   built-in ones first, then those of plugins
+ * @property {import('./projectConfig').FileTypePlugin[]} plugins - File type plugins
+ * @property {Object.<string, string>} chapterNames - Chapter names by chapter number
+ * @property {function(string): string} getChapterName - Display name of a chapter
  */
 
+/**
+ * Release version of the generator
+ * @type {string}
+ */
+const VERSION = '2.1';
+
+/**
+ * Generator version, computed on first use
+ * @type {string|null}
+ */
+let generatorVersion = null;
+
+/**
+ * Get the generator version that incremental builds compare
+ * It hashes the release version with every script the generator is built
+ * from, so any change to them regenerates all pages without a manual bump.
+ * @returns {string} Hex digest
+ */
+function getGeneratorVersion() {
+  if (generatorVersion) {
+    return generatorVersion;
+  }
+
+  const scriptsDir = path.join(__dirname, '..');
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && entry.name !== 'tests') walk(fullPath);
+      } else if (entry.name.endsWith('.js')) {
+        files.push(path.relative(scriptsDir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  walk(scriptsDir);
+
+  generatorVersion = hashContent(
+    VERSION,
+    ...files.sort().flatMap(file => [file, fs.readFileSync(path.join(scriptsDir, file))])
+  );
+  return generatorVersion;
+}
+
 /**
  * Parse CLI arguments
  * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
@@ -40,6 +120,12 @@ function parseArgs(argv = process.argv.slice(2)) {
     command: null,
     source: null,
     recursive: false,
+    force: false,
+    keepOrphans: false,
+    dryRun: false,
+    onCollision: null,
+    octave: null,
+    config: null,
   };
 
   for (let i = 0; i < argv.length; i++) {
@@ -50,10 +136,26 @@ function parseArgs(argv = process.argv.slice(2)) {
       options.command = 'clean';
     } else if (arg === '--help' || arg === '-h') {
       options.command = 'help';
+    } else if (arg === '--audit' || arg === '-a') {
+      options.command = 'audit';
     } else if (arg === '--source' || arg === '-s') {
       options.source = argv[++i];
     } else if (arg === '--recursive' || arg === '-r') {
       options.recursive = true;
+    } else if (arg === '--force' || arg === '-f') {
+      options.force = true;
+    } else if (arg === '--keep-orphans') {
+      options.keepOrphans = true;
+    } else if (arg === '--dry-run' || arg === '-n') {
+      options.dryRun = true;
+    } else if (arg === '--octave') {
+      options.octave = true;
+    } else if (arg === '--no-octave') {
+      options.octave = false;
+    } else if (arg === '--on-collision') {
+      options.onCollision = argv[++i];
+    } else if (arg === '--config') {
+      options.config = argv[++i];
     }
   }
 
@@ -65,6 +167,7 @@ function parseArgs(argv = process.argv.slice(2)) {
  * @param {CliOptions} [cliOptions={}] - CLI options to override defaults
  * @param {string} [baseDir=__dirname] - Base directory for paths
  * @returns {Config} Configuration object
+ * @throws {Error} If the configuration file is missing or invalid, or the collision policy is unknown
  * @example
  * const config = createConfig({ source: './myfiles', recursive: true });
  * console.log(config.inboxDir); // => '/absolute/path/to/myfiles'
@@ -72,39 +175,82 @@ function parseArgs(argv = process.argv.slice(2)) {
 function createConfig(cliOptions = {}, baseDir = path.join(__dirname, '..')) {
   const scriptsDir = baseDir;
   const projectDir = path.join(scriptsDir, '..');
+  const { filePath: configPath, settings } = cliOptions.settings
+    ? { filePath: null, settings: normalizeProjectConfig(cliOptions.settings, projectDir, 'settings') }
+    : loadProjectConfig(projectDir, cliOptions.config);
+
+  const collisionPolicy = cliOptions.onCollision || settings.collisionPolicy || 'fail';
+  if (!COLLISION_POLICIES.includes(collisionPolicy)) {
+    throw new Error(`Unknown collision policy "${collisionPolicy}" (expected one of: ${COLLISION_POLICIES.join(', ')})`);
+  }
+
+  const docsOutputDir = settings.docsOutputDir || path.join(projectDir, 'docs');
+
+  // Plugin types follow the built-in ones; per-type settings are merged over both
+  const plugins = settings.plugins || [];
+  const definitions = { ...FILE_TYPES };
+  plugins.forEach(plugin => plugin.extensions.forEach((ext) => {
+    definitions[ext] = plugin.typeConfig;
+  }));
+
+  const fileTypes = {};
+  for (const [ext, typeConfig] of Object.entries(definitions)) {
+    fileTypes[ext] = { ...typeConfig, ...(settings.fileTypes && settings.fileTypes[ext]) };
+  }
+
+  const chapterNames = { ...CHAPTER_NAMES, ...settings.chapterNames };
+  const setting = (key, fallback) => (key in settings ? settings[key] : fallback);
 
   return {
     // Directories
+    projectDir,
+    configPath,
     inboxDir: cliOptions.source
       ? path.resolve(cliOptions.source)
-      : path.join(projectDir, 'INBOX'),
-    docsOutputDir: path.join(projectDir, 'docs'),
-    staticOutputDir: path.join(projectDir, 'static', 'programs'),
-    sidebarPath: path.join(projectDir, 'sidebars.js'),
+      : setting('inboxDir', path.join(projectDir, 'INBOX')),
+    docsOutputDir,
+    staticOutputDir: setting('staticOutputDir', path.join(projectDir, 'static', 'programs')),
+    sidebarPath: setting('sidebarPath', path.join(projectDir, 'sidebars.js')),
+    dependencyGraphPath: setting('dependencyGraphPath', path.join(docsOutputDir, 'program-dependencies.mdx')),
+    searchIndexPath: setting('searchIndexPath', path.join(projectDir, 'static', 'search-index.json')),
+    manifestPath: setting('manifestPath', path.join(projectDir, '.docs-manifest.json')),
 
     // Pattern for matching program filenames
     // Chapt1Exercise8 → chapter=1, type=Exercise, number=8
     // Chapt2Fig3a → chapter=2, type=Fig, number=3, variant=a
-    programPattern: /^Chapt(\d+)(Exercise|Fig)(\d+)([a-z]\d*)?$/i,
+    programPattern: setting('programPattern', /^Chapt(\d+)(Exercise|Fig)(\d+)([a-z]\d*)?$/i),
 
     // Supported file extensions
-    supportedExtensions: getSupportedExtensions(),
+    supportedExtensions: Object.keys(fileTypes),
 
     // Scanning options
-    recursive: cliOptions.recursive || false,
+    recursive: cliOptions.recursive || setting('recursive', false),
+    force: cliOptions.force || false,
+    keepOrphans: cliOptions.keepOrphans || setting('keepOrphans', false),
+    dryRun: cliOptions.dryRun || false,
+    collisionPolicy,
 
     // External URLs
-    viewerBaseUrl: null,
-    nbviewerBaseUrl: 'https://nbviewer.org/urls',
-    githubRawBase: null,
+    nbviewerBaseUrl: setting('nbviewerBaseUrl', 'https://nbviewer.org/urls'),
+    githubRawBase: setting('githubRawBase', null),
+
+    // Running programs in GNU Octave
+    runOctave: typeof cliOptions.octave === 'boolean' ? cliOptions.octave : setting('runOctave', false),
+    octaveCommand: setting('octaveCommand', 'octave-cli'),
+    octaveTimeout: setting('octaveTimeout', 60),
+
+    // Running programs in the browser
+    slowPrograms: setting('slowPrograms', []),
 
     // Version
-    version: '2.1',
+    version: VERSION,
+    generatorVersion: getGeneratorVersion(),
 
     // Re-export for convenience
-    fileTypes: FILE_TYPES,
-    chapterNames: CHAPTER_NAMES,
-    getChapterName,
+    fileTypes,
+    plugins,
+    chapterNames,
+    getChapterName: chapterNum => chapterNames[chapterNum] || getChapterName(chapterNum),
   };
 }
 
@@ -117,7 +263,9 @@ function getDefaultConfig() {
 }
 
 module.exports = {
+  COLLISION_POLICIES,
   parseArgs,
   createConfig,
   getDefaultConfig,
+  getGeneratorVersion,
 };
@@ -0,0 +1,571 @@
+/**
+ * @fileoverview Loading and validation of the project configuration file
+ * @module config/projectConfig
+ *
+ * The generator looks for qmdocs.config.js or qmdocs.config.json in the
+ * project root, or uses the file given with --config. Its settings are
+ * merged over the defaults in {@link module:config}. The `plugins` setting
+ * loads file type plugins: modules that add extensions, their type metadata
+ * and a page generator (see {@link module:config/projectConfig.loadFileTypePlugins}).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FILE_TYPES } = require('./fileTypes');
+
+/**
+ * File names looked up in the project root, in order
+ * @type {string[]}
+ */
+const CONFIG_FILENAMES = ['qmdocs.config.js', 'qmdocs.config.json'];
+
+/**
+ * Ways to resolve files of the same type that map to one program ID
+ * @type {string[]}
+ */
+const COLLISION_POLICIES = ['fail', 'namespace', 'newest', 'suffix'];
+
+/**
+ * Expected kind of each top-level setting
+ * @type {Object.<string, string>}
+ */
+const SETTINGS_SCHEMA = {
+  inboxDir: 'path',
+  docsOutputDir: 'path',
+  staticOutputDir: 'path',
+  sidebarPath: 'path',
+  dependencyGraphPath: 'path',
+  searchIndexPath: 'path',
+  manifestPath: 'path',
+  programPattern: 'pattern',
+  recursive: 'boolean',
+  keepOrphans: 'boolean',
+  collisionPolicy: 'collisionPolicy',
+  nbviewerBaseUrl: 'url',
+  githubRawBase: 'url?',
+  runOctave: 'boolean',
+  octaveCommand: 'string',
+  octaveTimeout: 'number',
+  slowPrograms: 'programIds',
+  chapterNames: 'chapterNames',
+  fileTypes: 'fileTypes',
+  plugins: 'plugins',
+};
+
+/**
+ * Settings that are no longer used, with what replaced them
+ * @type {Object.<string, string>}
+ */
+const REMOVED_SETTINGS = {
+  viewerBaseUrl: 'programs with parameters and plots link to the built-in viewer at /viewer/<programId>',
+};
+
+/**
+ * Settings of a file type that can be overridden; 'type' selects the
+ * generator and is fixed
+ * @type {Object.<string, string>}
+ */
+const FILE_TYPE_SCHEMA = {
+  label: 'string',
+  emoji: 'string',
+  color: 'string',
+  canReadText: 'boolean',
+  codeLanguage: 'string',
+  maxPreviewLength: 'number',
+  useIframe: 'boolean',
+  iframeHeight: 'string',
+};
+
+/**
+ * Keys of a file type plugin definition besides the file type settings
+ * @type {Object.<string, string>}
+ */
+const PLUGIN_SCHEMA = {
+  name: 'string',
+  type: 'typeName',
+  extensions: 'extensions',
+  generator: 'generator',
+};
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for object literals
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - Value
+ * @returns {string} Type description
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof RegExp) return 'RegExp';
+  return typeof value;
+}
+
+/**
+ * Suggest the closest known key for a misspelled one
+ * @param {string} key - Unknown key
+ * @param {string[]} candidates - Known keys
+ * @returns {string} ' (did you mean "x"?)' or ''
+ */
+function suggestKey(key, candidates) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  const lower = key.toLowerCase();
+  const [best] = candidates
+    .map(candidate => {
+      const other = candidate.toLowerCase();
+      // A key that is part of a known key ("outputDir") counts as a close match
+      const score = other.includes(lower) || lower.includes(other) ? 1 : distance(lower, other);
+      return { candidate, score };
+    })
+    .sort((a, b) => a.score - b.score);
+
+  return best && best.score <= 3 ? ` (did you mean "${best.candidate}"?)` : '';
+}
+
+/**
+ * Check a value against a schema kind
+ * @param {*} value - Value to check
+ * @param {string} kind - Schema kind
+ * @returns {string|null} Problem description, or null if valid
+ */
+function checkValue(value, kind) {
+  const optional = kind.endsWith('?');
+  const base = optional ? kind.slice(0, -1) : kind;
+
+  if (value === null && optional) {
+    return null;
+  }
+
+  switch (base) {
+    case 'string':
+    case 'path':
+      return typeof value === 'string' && value.trim() !== ''
+        ? null
+        : `must be a non-empty string${optional ? ' or null' : ''}, got ${describeType(value)}`;
+
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) {
+        return `must be an http(s) URL${optional ? ' or null' : ''}, got ${JSON.stringify(value)}`;
+      }
+      return null;
+
+    case 'boolean':
+    case 'number':
+      return typeof value === base && (base !== 'number' || Number.isFinite(value))
+        ? null
+        : `must be a ${base}, got ${describeType(value)}`;
+
+    case 'typeName':
+      return typeof value === 'string' && /^[a-z][a-z0-9-]*$/.test(value)
+        ? null
+        : `must be a lowercase identifier such as "python", got ${JSON.stringify(value)}`;
+
+    case 'extensions':
+      return Array.isArray(value) && value.length > 0 && value.every(ext => typeof ext === 'string' && /^\.[a-z0-9]+$/.test(ext))
+        ? null
+        : `must be a non-empty array of lowercase extensions such as ".py", got ${JSON.stringify(value)}`;
+
+    case 'generator':
+      return typeof value === 'function' &&
+        typeof value.prototype.getType === 'function' &&
+        typeof value.prototype.generate === 'function'
+        ? null
+        : 'must be a generator class with getType() and generate() methods (see generators/BaseGenerator)';
+
+    case 'programIds':
+      return Array.isArray(value) && value.every(id => typeof id === 'string' && /^\w+$/.test(id))
+        ? null
+        : `must be an array of program IDs such as "Chapt4Exercise8", got ${JSON.stringify(value)}`;
+
+    case 'plugins':
+      return Array.isArray(value)
+        ? null
+        : `must be an array of module paths or plugin objects, got ${describeType(value)}`;
+
+    case 'collisionPolicy':
+      return COLLISION_POLICIES.includes(value)
+        ? null
+        : `must be one of ${COLLISION_POLICIES.join(', ')}, got ${JSON.stringify(value)}`;
+
+    case 'pattern': {
+      if (!(value instanceof RegExp) && typeof value !== 'string') {
+        return `must be a RegExp or a regular expression string, got ${describeType(value)}`;
+      }
+      let regex;
+      try {
+        regex = value instanceof RegExp ? value : new RegExp(value);
+      } catch (e) {
+        return `is not a valid regular expression: ${e.message}`;
+      }
+      // The program parser reads chapter, type, number and variant from groups 1-4
+      const groups = new RegExp(`${regex.source}|`).exec('').length - 1;
+      return groups >= 4
+        ? null
+        : `needs 4 capturing groups (chapter, type, number, variant), found ${groups}`;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a project configuration object
+ * @param {Object} settings - Raw settings from the configuration file
+ * @param {Object.<string, Object>} [fileTypes=FILE_TYPES] - Known file types, including those of plugins
+ * @returns {string[]} Problems found; empty if valid
+ * @example
+ * validateProjectConfig({ outputDir: 'site', recursive: 'yes' })
+ * // => ['unknown key "outputDir" (did you mean "docsOutputDir"?)',
+ * //     '"recursive" must be a boolean, got string']
+ */
+function validateProjectConfig(settings, fileTypes = FILE_TYPES) {
+  if (!isPlainObject(settings)) {
+    return [`configuration must be an object, got ${describeType(settings)}`];
+  }
+
+  const errors = [];
+  const knownKeys = Object.keys(SETTINGS_SCHEMA);
+
+  for (const [key, value] of Object.entries(settings)) {
+    const kind = SETTINGS_SCHEMA[key];
+    if (REMOVED_SETTINGS[key]) {
+      errors.push(`"${key}" is no longer supported: ${REMOVED_SETTINGS[key]}`);
+      continue;
+    }
+    if (!kind) {
+      errors.push(`unknown key "${key}"${suggestKey(key, knownKeys)}`);
+      continue;
+    }
+
+    if (kind === 'chapterNames') {
+      if (!isPlainObject(value)) {
+        errors.push(`"chapterNames" must be an object mapping chapter numbers to names, got ${describeType(value)}`);
+        continue;
+      }
+      for (const [chapter, name] of Object.entries(value)) {
+        if (chapter !== 'utilities' && !/^\d+$/.test(chapter)) {
+          errors.push(`"chapterNames.${chapter}": keys must be chapter numbers or "utilities"`);
+        } else if (typeof name !== 'string' || name.trim() === '') {
+          errors.push(`"chapterNames.${chapter}" must be a non-empty string, got ${describeType(name)}`);
+        }
+      }
+      continue;
+    }
+
+    if (kind === 'fileTypes') {
+      if (!isPlainObject(value)) {
+        errors.push(`"fileTypes" must be an object keyed by extension, got ${describeType(value)}`);
+        continue;
+      }
+      for (const [ext, overrides] of Object.entries(value)) {
+        if (!fileTypes[ext]) {
+          errors.push(`"fileTypes['${ext}']": unknown extension (expected one of ${Object.keys(fileTypes).join(', ')})`);
+          continue;
+        }
+        if (!isPlainObject(overrides)) {
+          errors.push(`"fileTypes['${ext}']" must be an object, got ${describeType(overrides)}`);
+          continue;
+        }
+        for (const [field, fieldValue] of Object.entries(overrides)) {
+          const fieldKind = FILE_TYPE_SCHEMA[field];
+          if (!fieldKind) {
+            const note = field === 'type' ? ' (the type of a built-in extension cannot change)' : suggestKey(field, Object.keys(FILE_TYPE_SCHEMA));
+            errors.push(`"fileTypes['${ext}']": unknown key "${field}"${note}`);
+            continue;
+          }
+          const problem = checkValue(fieldValue, fieldKind);
+          if (problem) errors.push(`"fileTypes['${ext}'].${field}" ${problem}`);
+        }
+      }
+      continue;
+    }
+
+    const problem = checkValue(value, kind);
+    if (problem) errors.push(`"${key}" ${problem}`);
+  }
+
+  return errors;
+}
+
+/**
+ * @typedef {Object} FileTypePlugin
+ * @property {string} name - Plugin name, for messages
+ * @property {string} type - Type identifier, used in page and static paths
+ * @property {string[]} extensions - Extensions handled, with the dot
+ * @property {import('./fileTypes').FileTypeConfig} typeConfig - Type metadata
+ * @property {Function|null} generator - Generator class, or null to only copy and list the files
+ */
+
+/**
+ * Validate one plugin definition
+ * @param {Object} definition - Plugin definition
+ * @param {string} where - Location for messages
+ * @param {Map<string, string>} extensionOwners - Known extensions -> owner, updated
+ * @param {Map<string, string>} typeOwners - Known types -> owner, updated
+ * @returns {string[]} Problems found
+ */
+function validatePluginDefinition(definition, where, extensionOwners, typeOwners) {
+  if (!isPlainObject(definition)) {
+    return [`${where} must export a plugin object or an array of them, got ${describeType(definition)}`];
+  }
+
+  const errors = [];
+  const schema = { ...PLUGIN_SCHEMA, ...FILE_TYPE_SCHEMA };
+
+  for (const key of ['type', 'extensions', 'label']) {
+    if (!(key in definition)) errors.push(`${where}: "${key}" is required`);
+  }
+
+  for (const [key, value] of Object.entries(definition)) {
+    const kind = schema[key];
+    if (!kind) {
+      errors.push(`${where}: unknown key "${key}"${suggestKey(key, Object.keys(schema))}`);
+      continue;
+    }
+    const problem = checkValue(value, kind);
+    if (problem) errors.push(`${where}: "${key}" ${problem}`);
+  }
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const owner = definition.name || where;
+  if (typeOwners.has(definition.type)) {
+    errors.push(`${where}: type "${definition.type}" is already defined by ${typeOwners.get(definition.type)}`);
+  }
+  for (const ext of definition.extensions) {
+    if (extensionOwners.has(ext)) {
+      errors.push(`${where}: extension "${ext}" is already handled by ${extensionOwners.get(ext)}`);
+    }
+  }
+  if (errors.length === 0) {
+    typeOwners.set(definition.type, owner);
+    definition.extensions.forEach(ext => extensionOwners.set(ext, owner));
+  }
+
+  return errors;
+}
+
+/**
+ * Load file type plugins
+ *
+ * Each entry of `plugins` is a module path (relative to the configuration
+ * file's folder, or a package name) or, in qmdocs.config.js, the plugin
+ * object itself. A module exports one plugin object or an array of them:
+ *
+ *     module.exports = {
+ *       type: 'python',
+ *       extensions: ['.py'],
+ *       label: 'Python',
+ *       emoji: '🐍',
+ *       color: '#3776ab',
+ *       canReadText: true,
+ *       codeLanguage: 'python',
+ *       generator: PythonGenerator,
+ *     };
+ *
+ * `type`, `extensions` and `label` are required; the other type settings
+ * are those of {@link module:config/fileTypes}. The generator class is
+ * constructed with the application configuration, like the built-in ones.
+ * Types and extensions cannot clash with the built-in ones or each other.
+ * @param {Array<string|Object>} specs - Entries of the plugins setting
+ * @param {string} baseDir - Directory relative module paths are resolved against
+ * @returns {{plugins: FileTypePlugin[], errors: string[]}} Loaded plugins and every problem found
+ */
+function loadFileTypePlugins(specs, baseDir) {
+  const plugins = [];
+  const errors = [];
+  const extensionOwners = new Map(Object.entries(FILE_TYPES).map(([ext]) => [ext, 'the built-in types']));
+  const typeOwners = new Map(Object.values(FILE_TYPES).map(({ type }) => [type, 'the built-in types']));
+
+  specs.forEach((spec, index) => {
+    let exported = spec;
+    let where = `"plugins[${index}]"`;
+
+    if (typeof spec === 'string') {
+      where = `"plugins[${index}]" (${spec})`;
+      try {
+        const modulePath = spec.startsWith('.') || path.isAbsolute(spec)
+          ? path.resolve(baseDir, spec)
+          : require.resolve(spec, { paths: [baseDir] });
+        exported = require(modulePath);
+      } catch (e) {
+        errors.push(`${where} could not be loaded: ${e.message.split('\n')[0]}`);
+        return;
+      }
+    }
+
+    const definitions = Array.isArray(exported) ? exported : [exported];
+    definitions.forEach((definition, position) => {
+      const label = definitions.length > 1 ? `${where}[${position}]` : where;
+      const problems = validatePluginDefinition(definition, label, extensionOwners, typeOwners);
+      if (problems.length > 0) {
+        errors.push(...problems);
+        return;
+      }
+
+      const typeConfig = { type: definition.type, emoji: '📄', color: '#6b7280', canReadText: false };
+      for (const key of Object.keys(FILE_TYPE_SCHEMA)) {
+        if (key in definition) typeConfig[key] = definition[key];
+      }
+
+      plugins.push({
+        name: definition.name || definition.type,
+        type: definition.type,
+        extensions: [...definition.extensions],
+        typeConfig,
+        generator: definition.generator || null,
+      });
+    });
+  });
+
+  return { plugins, errors };
+}
+
+/**
+ * Find the configuration file to use
+ * @param {string} projectDir - Project root
+ * @param {string|null} [explicitPath] - Path given with --config
+ * @returns {string|null} Absolute path, or null if there is none
+ * @throws {Error} If an explicit path does not exist
+ */
+function findConfigFile(projectDir, explicitPath = null) {
+  if (explicitPath) {
+    const resolved = path.resolve(explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  const found = CONFIG_FILENAMES
+    .map(filename => path.join(projectDir, filename))
+    .find(filePath => fs.existsSync(filePath));
+  return found || null;
+}
+
+/**
+ * Read the raw settings from a configuration file
+ * @param {string} filePath - Absolute path to a .js or .json file
+ * @returns {Object} Raw settings
+ * @throws {Error} If the file cannot be loaded or parsed
+ */
+function readConfigFile(filePath) {
+  const name = path.basename(filePath);
+
+  if (path.extname(filePath) === '.json') {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Failed to parse ${name}: ${e.message}`);
+    }
+  }
+
+  try {
+    // Drop any cached copy so a changed file is picked up on reload
+    delete require.cache[require.resolve(filePath)];
+    return require(filePath);
+  } catch (e) {
+    throw new Error(`Failed to load ${name}: ${e.message}`);
+  }
+}
+
+/**
+ * Validate and normalize raw settings
+ * Relative paths are resolved against baseDir, string patterns are
+ * compiled case-insensitively and plugins are loaded.
+ * @param {Object} raw - Raw settings
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @param {string} [source='configuration'] - Name used in the error message
+ * @returns {Object} Normalized settings
+ * @throws {Error} Listing every problem if the settings are invalid
+ * @example
+ * normalizeProjectConfig({ docsOutputDir: 'site' }, '/work')
+ * // => { docsOutputDir: '/work/site' }
+ */
+function normalizeProjectConfig(raw, baseDir, source = 'configuration') {
+  const { plugins, errors: pluginErrors } = isPlainObject(raw) && Array.isArray(raw.plugins)
+    ? loadFileTypePlugins(raw.plugins, baseDir)
+    : { plugins: [], errors: [] };
+
+  const fileTypes = { ...FILE_TYPES };
+  plugins.forEach(plugin => plugin.extensions.forEach((ext) => {
+    fileTypes[ext] = plugin.typeConfig;
+  }));
+
+  const errors = [...validateProjectConfig(raw, fileTypes), ...pluginErrors];
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  const settings = { ...raw };
+
+  for (const [key, kind] of Object.entries(SETTINGS_SCHEMA)) {
+    if (kind === 'path' && key in settings) {
+      settings[key] = path.resolve(baseDir, settings[key]);
+    }
+  }
+  if (typeof settings.programPattern === 'string') {
+    settings.programPattern = new RegExp(settings.programPattern, 'i');
+  }
+  if ('plugins' in settings) {
+    settings.plugins = plugins;
+  }
+
+  return settings;
+}
+
+/**
+ * Load, validate and normalize the project configuration
+ * Relative paths are resolved against the configuration file's folder.
+ * @param {string} projectDir - Project root
+ * @param {string|null} [explicitPath] - Path given with --config
+ * @returns {{filePath: string|null, settings: Object}} Normalized settings ({} without a file)
+ * @throws {Error} Listing every problem if the file is invalid
+ * @example
+ * loadProjectConfig('/site')
+ * // => { filePath: '/site/qmdocs.config.js', settings: { docsOutputDir: '/site/docs', ... } }
+ */
+function loadProjectConfig(projectDir, explicitPath = null) {
+  const filePath = findConfigFile(projectDir, explicitPath);
+  if (!filePath) {
+    return { filePath: null, settings: {} };
+  }
+
+  const raw = readConfigFile(filePath);
+  const settings = normalizeProjectConfig(raw, path.dirname(filePath), path.basename(filePath));
+
+  return { filePath, settings };
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  COLLISION_POLICIES,
+  validateProjectConfig,
+  loadFileTypePlugins,
+  findConfigFile,
+  normalizeProjectConfig,
+  loadProjectConfig,
+};
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Docusaurus plugin that runs the generator with the site build
+ * @module docusaurusPlugin
+ *
+ * Registered in docusaurus.config.js, so `docusaurus build` and
+ * `docusaurus start` scan the INBOX without a separate
+ * `node scripts/index.js` step. Under `docusaurus start`, changes in the
+ * INBOX regenerate the affected pages; the docs plugin picks them up from
+ * there. The plugin also adds the interactive viewer page of each program
+ * that has one, at /viewer/<programId>.
+ *
+ * @example
+ * // docusaurus.config.js
+ * plugins: [
+ *   [require.resolve('./scripts/docusaurusPlugin'), { recursive: true }],
+ * ],
+ */
+
+const path = require('path');
+const { createApp } = require('./app');
+const { toPlainStats } = require('./api');
+const { createLogger } = require('./utils/logger');
+
+/**
+ * @typedef {Object} PluginOptions
+ * @property {string} [source] - Source folder instead of the configured INBOX
+ * @property {boolean} [recursive] - Scan subdirectories
+ * @property {boolean} [keepOrphans] - Report orphaned output instead of removing it
+ * @property {string} [onCollision] - Program ID collision policy
+ * @property {string} [config] - Path of the project configuration file
+ * @property {boolean} [verbose=false] - Print the generator's full report instead of a one-line summary
+ * @property {boolean} [silent=false] - Only print errors
+ */
+
+/**
+ * Create a logger that also collects every error it prints
+ * @param {boolean} quiet - Suppress everything but errors
+ * @returns {{logger: Object, errors: string[]}} Logger and its collected errors
+ */
+function createCollectingLogger(quiet) {
+  const errors = [];
+  const logger = createLogger({ silent: quiet });
+
+  return {
+    logger: {
+      ...logger,
+      error(message) {
+        errors.push(message);
+        if (quiet) {
+          console.error(`   ❌ ${message}`);
+        } else {
+          logger.error(message);
+        }
+      },
+    },
+    errors,
+  };
+}
+
+/**
+ * Summarize a generation run in one line
+ * @param {import('./utils/logger').Stats} stats - Processing statistics
+ * @returns {string} Summary
+ */
+function summarize(stats) {
+  const { generated, unchanged } = stats.build;
+  const orphans = stats.orphans.action === 'removed' ? `, ${stats.orphans.files.length} orphaned removed` : '';
+  return `📚 Program docs: ${generated.length} generated, ${unchanged.length} unchanged${orphans}`;
+}
+
+/**
+ * Describe why a generation run failed
+ * @param {import('./utils/logger').Stats} stats - Processing statistics
+ * @param {string[]} errors - Errors logged during the run
+ * @returns {string|null} Message, or null if the run succeeded
+ */
+function describeFailure(stats, errors) {
+  const problems = [...errors];
+
+  if (stats.failed) {
+    stats.collisions.forEach(({ programId, type, files }) => {
+      problems.push(`${programId} (${type}) is produced by ${files.map(file => file.path).join(', ')}`);
+    });
+  }
+  if (problems.length === 0) {
+    return null;
+  }
+
+  const hint = stats.failed
+    ? 'Rename the files, or set collisionPolicy in qmdocs.config.js.'
+    : 'Run `node scripts/index.js` for the full report.';
+  return `Program documentation could not be generated:\n${problems.map(problem => `  - ${problem}`).join('\n')}\n${hint}`;
+}
+
+/**
+ * Docusaurus plugin factory
+ * Docusaurus calls every plugin factory before any plugin loads content,
+ * and the docs plugin, coming from the preset, loads before this one
+ * starts; so the first generation runs here rather than in loadContent(),
+ * and the pages and sidebars.js are on disk before the docs plugin reads
+ * them. Under `docusaurus start`, an INBOX change reloads only this
+ * plugin: loadContent() then regenerates, and the docs plugin reloads
+ * itself when it sees the changed pages.
+ * @param {Object} context - Docusaurus load context
+ * @param {PluginOptions} [options={}] - Plugin options
+ * @returns {Object} Docusaurus plugin
+ * @throws {Error} If the project configuration is invalid or generation failed
+ */
+function qmdocsGeneratorPlugin(context, options = {}) {
+  const { verbose = false, silent = false, ...cliOptions } = options;
+  const { logger, errors } = createCollectingLogger(!verbose);
+
+  let app;
+  try {
+    app = createApp({ ...cliOptions, command: null }, { logger });
+  } catch (e) {
+    throw new Error(`Program documentation could not be configured: ${e.message}`);
+  }
+  const config = app.getConfig();
+
+  /**
+   * Scan the INBOX and write the program pages
+   * @returns {import('./api').BuildStats} Build statistics
+   * @throws {Error} If generation failed
+   */
+  const generate = () => {
+    errors.length = 0;
+    const stats = app.run();
+    const failure = describeFailure(stats, errors);
+
+    if (failure) {
+      throw new Error(failure);
+    }
+    if (!verbose && !silent) {
+      console.log(summarize(stats));
+    }
+    return toPlainStats(stats);
+  };
+
+  let initialStats = generate();
+
+  return {
+    name: 'qmdocs-generator',
+
+    /**
+     * Return the statistics of the generation run by the factory, or
+     * regenerate when called again after an INBOX change
+     * @returns {Promise<import('./api').BuildStats>} Build statistics
+     * @throws {Error} If generation failed
+     */
+    async loadContent() {
+      const stats = initialStats || generate();
+      initialStats = null;
+      return stats;
+    },
+
+    /**
+     * Add a viewer page for each program the interactive viewer can show
+     * @param {Object} args - Docusaurus arguments
+     * @param {import('./api').BuildStats} args.content - Build statistics from loadContent()
+     * @param {Object} args.actions - Plugin actions
+     */
+    async contentLoaded({ content, actions }) {
+      for (const [programId, data] of Object.entries(content.viewers)) {
+        actions.addRoute({
+          path: `${context.baseUrl}viewer/${programId}`,
+          component: '@site/src/components/ProgramViewer',
+          exact: true,
+          props: { data },
+        });
+      }
+    },
+
+    /**
+     * Regenerate when sources are added, changed or removed under `docusaurus start`
+     * @returns {string[]} Glob of the INBOX
+     */
+    getPathsToWatch() {
+      return [path.join(config.inboxDir, '**', '*')];
+    },
+  };
+}
+
+module.exports = qmdocsGeneratorPlugin;
@@ -3,7 +3,24 @@
  * @module generators/BaseGenerator
  */
 
-const { escapeForYaml } = require('../utils/helpers');
+const { escapeForYaml, escapeForMdx } = require('../utils/helpers');
+const { getEncodingLabel, getLineEndingLabel } = require('../utils/textDecoder');
+const { getTypeConfigByName } = require('../config/fileTypes');
+
+/**
+ * Import statements of the site components pages are built from
+ * @type {Object.<string, string>}
+ */
+const COMPONENT_IMPORTS = {
+  DownloadButtons: "import DownloadButtons from '@site/src/components/DownloadButtons';",
+  FileBadge: "import FileBadge, {BadgeRow} from '@site/src/components/FileBadge';",
+  ProgramCard: "import ProgramCard, {CardGrid} from '@site/src/components/ProgramCard';",
+  IframePreview: "import IframePreview from '@site/src/components/IframePreview';",
+  MatlabRunner: "import MatlabRunner from '@site/src/components/MatlabRunner';",
+  ZoomableImage: "import ZoomableImage from '@site/src/components/ZoomableImage';",
+  VideoPlayer: "import VideoPlayer from '@site/src/components/VideoPlayer';",
+  LatexTitle: "import LatexTitle from '@site/src/components/LatexTitle';",
+};
 
 /**
  * Base class for all page generators
@@ -22,42 +39,120 @@ class BaseGenerator {
    * Generate MDX frontmatter
    * @param {string} title - Page title
    * @param {string} label - Sidebar label
+   * @param {Object} [extra={}] - Additional fields; strings are escaped, other values written as JSON
    * @returns {string} YAML frontmatter block
    */
-  generateFrontmatter(title, label) {
+  generateFrontmatter(title, label, extra = {}) {
+    const lines = [
+      `title: ${escapeForYaml(title)}`,
+      `sidebar_label: ${escapeForYaml(label)}`,
+    ];
+
+    for (const [key, value] of Object.entries(extra)) {
+      if (value === undefined || value === null || value === '') continue;
+      lines.push(`${key}: ${typeof value === 'string' ? escapeForYaml(value) : JSON.stringify(value)}`);
+    }
+
     return `---
-title: ${escapeForYaml(title)}
-sidebar_label: ${escapeForYaml(label)}
+${lines.join('\n')}
 ---`;
   }
 
   /**
-   * Generate action buttons (Download, Open)
-   * @param {string} staticPath - Path to static file
-   * @param {string} filename - Display filename
-   * @param {Object} config - File type config
-   * @returns {string} JSX button row
+   * Generate the page subtitle from the program summary
+   * @param {Object} programInfo - Program information
+   * @returns {string} Italic subtitle line, or empty string when the program has no header
+   */
+  generateSubtitle(programInfo) {
+    if (!programInfo.hasHeader) {
+      return '';
+    }
+    return `*${escapeForMdx(programInfo.summary)}*\n\n`;
+  }
+
+  /**
+   * Generate the import statements of site components
+   * @param {...string} names - Component names (keys of COMPONENT_IMPORTS)
+   * @returns {string} Import lines
    */
-  generateButtons(staticPath, filename, config) {
-    const buttons = [];
+  generateImports(...names) {
+    return names.map(name => COMPONENT_IMPORTS[name]).join('\n');
+  }
 
-    // Download button
-    buttons.push(`
-  <a href="${staticPath}" download="${filename}"
-    style={{padding: '10px 20px', backgroundColor: '#10b981', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    📥 Download ${config.label ? `.${config.type}` : ''}
-  </a>`);
+  /**
+   * Generate the file type props of a site component
+   * The components read the built-in types from fileTypes.js; settings the
+   * project configuration changed, and those of plugin types, are passed.
+   * @param {Object} typeConfig - File type config, or a program format
+   * @param {string[]} [fields=['color']] - Settings the component shows
+   * @returns {string} JSX attributes
+   */
+  generateTypeProps(typeConfig, fields = ['color']) {
+    const builtIn = getTypeConfigByName(typeConfig.type) || {};
+    const props = [`type="${typeConfig.type}"`];
 
-    // Open button
-    buttons.push(`
-  <a href="${staticPath}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '${config.color || '#3b82f6'}', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    🔗 Open ${config.useIframe ? 'in New Tab' : 'Raw'}
-  </a>`);
+    for (const field of fields) {
+      if (typeConfig[field] && typeConfig[field] !== builtIn[field]) {
+        props.push(`${field}=${JSON.stringify(typeConfig[field])}`);
+      }
+    }
 
-    return `<div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px'}}>
-${buttons.join('')}
-</div>`;
+    return props.join(' ');
+  }
+
+  /**
+   * Generate the action buttons of a file
+   * @param {Object} fileData - File data with staticPath, filename and config
+   * @param {Object} [options={}] - Button labels and extra buttons
+   * @param {string} [options.download='Download'] - Download button label
+   * @param {string} [options.open] - Open in new tab button label; no button without it
+   * @param {string} [options.details] - Link to the file's detail page
+   * @param {string} [options.viewer] - Route of the program's interactive viewer; no button without it
+   * @param {Array<{href: string, label: string}>} [options.links] - External viewer links
+   * @param {boolean} [options.small=false] - Whether to use small buttons
+   * @returns {string} DownloadButtons element
+   */
+  generateButtons({ staticPath, filename, config }, options = {}) {
+    const props = [`href="${staticPath}"`, `filename="${filename}"`, this.generateTypeProps(config)];
+
+    if (options.download) props.push(`download="${options.download}"`);
+    if (options.open) props.push(`open="${options.open}"`);
+    if (options.details) props.push(`details="${options.details}"`);
+    if (options.viewer) props.push(`viewer="${options.viewer}"`);
+    if (options.links && options.links.length > 0) props.push(`links={${JSON.stringify(options.links)}}`);
+    if (options.small) props.push('small');
+
+    return `<DownloadButtons ${props.join(' ')} />`;
+  }
+
+  /**
+   * Generate the header switcher between the formats of a program
+   * Links the program page and the detail pages of the other formats;
+   * the current format is shown but not linked.
+   * @param {Object} programInfo - Program information with programId and formats
+   * @param {Object|string} current - File data of the page being generated, or its format
+   * @returns {string} JSX badge row, or empty string for single-format programs
+   */
+  generateFormatSwitcher(programInfo, current) {
+    const { programId, formats = [] } = programInfo;
+    if (formats.length < 2) {
+      return '';
+    }
+
+    const currentFormat = typeof current === 'string' ? current : current.format;
+    const badges = formats.map(format => {
+      const props = this.generateTypeProps(format, ['label', 'emoji', 'color']);
+      return format.format === currentFormat
+        ? `  <FileBadge ${props} current />`
+        : `  <FileBadge ${props} href="./${programId}_${format.format}" />`;
+    });
+
+    return `<BadgeRow label="Formats">
+  <FileBadge emoji="📋" label="Program page" href="./" />
+${badges.join('\n')}
+</BadgeRow>
+
+`;
   }
 
   /**
@@ -72,21 +167,151 @@ ${buttons.join('')}
   }
 
   /**
-   * Generate viewer button if configured
-   * @param {string} programId - Program ID
-   * @returns {string} Viewer button or empty string
+   * Generate a note describing the source encoding and line endings
+   * @param {Object} fileData - File data with encoding, lineEnding and isBinary
+   * @returns {string} Markdown note or empty string for non-text files
    */
-  generateViewerButton(programId) {
-    if (!this.config.viewerBaseUrl) {
+  generateSourceInfo(fileData) {
+    const { encoding, lineEnding, isBinary } = fileData;
+
+    if (isBinary) {
+      return `:::warning
+This file contains binary data and cannot be displayed as text. Download it to inspect the original.
+:::`;
+    }
+
+    if (!encoding) {
       return '';
     }
 
-    const viewerUrl = `${this.config.viewerBaseUrl}/${programId}`;
-    return `
-  <a href="${viewerUrl}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '#6366f1', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    🚀 Interactive Viewer
-  </a>`;
+    const normalized = lineEnding === 'lf' || lineEnding === 'none' ? '' : ', normalized to LF for display';
+    return `*Source encoding: ${getEncodingLabel(encoding)} · Line endings: ${getLineEndingLabel(lineEnding)}${normalized}*`;
+  }
+
+  /**
+   * Generate a signature card for a MATLAB function
+   * @param {import('../parsers/matlabParser').MatlabFunction} signature - Parsed function
+   * @returns {string} Card with declaration and argument tables
+   */
+  generateSignatureCard(signature) {
+    const table = (title, args) => {
+      if (args.length === 0) {
+        return '';
+      }
+      const rows = args.map(({ name, description, units }) =>
+        `| \`${name}\` | ${description ? escapeForMdx(description) : '—'} | ${units ? escapeForMdx(units) : '—'} |`
+      );
+      return `
+**${title}**
+
+| Name | Description | Units |
+|------|-------------|-------|
+${rows.join('\n')}
+`;
+    };
+
+    const summary = signature.summary ? `\n${escapeForMdx(signature.summary)}\n` : '';
+
+    return `<ProgramCard>
+
+\`\`\`matlab
+${signature.declaration}
+\`\`\`
+${summary}${table('Inputs', signature.inputs)}${table('Outputs', signature.outputs)}
+</ProgramCard>`;
+  }
+
+  /**
+   * Generate the parameter table for a MATLAB program
+   * @param {import('../parsers/matlabParser').MatlabParameter[]} [parameters=[]] - Parsed parameters
+   * @returns {string} Markdown section or empty string
+   */
+  generateParameterTable(parameters = []) {
+    if (parameters.length === 0) {
+      return '';
+    }
+
+    const rows = parameters.map(({ name, value, description, units }) =>
+      `| \`${name}\` | \`${value}\` | ${description ? escapeForMdx(description) : '—'} | ${units ? escapeForMdx(units) : '—'} |`
+    );
+
+    return `## Parameters
+
+| Name | Value | Description | Units |
+|------|-------|-------------|-------|
+${rows.join('\n')}
+
+`;
+  }
+
+  /**
+   * Convert parameters to plain frontmatter data
+   * @param {import('../parsers/matlabParser').MatlabParameter[]} [parameters=[]] - Parsed parameters
+   * @returns {Array|undefined} Parameter records, or undefined when there are none
+   */
+  getParameterData(parameters = []) {
+    if (parameters.length === 0) {
+      return undefined;
+    }
+    return parameters.map(({ name, value, numericValue, description, units }) => ({
+      name, value, numericValue, description, units,
+    }));
+  }
+
+  /**
+   * Generate the details table of an image or video
+   * @param {import('../parsers/mediaParser').MediaInfo|null} media - Header details
+   * @param {string|null} mediaError - Why the header could not be read
+   * @returns {string} Markdown section
+   */
+  generateMediaInfo(media, mediaError) {
+    if (!media) {
+      return `:::note File not analyzed
+
+The header could not be read (${escapeForMdx(mediaError || 'unknown error')}), so the size is not shown.
+
+:::`;
+    }
+
+    const rows = [
+      ['Format', media.format.toUpperCase()],
+      ['Dimensions', media.width && media.height && `${media.width} × ${media.height}${media.format === 'svg' ? ' (scalable)' : ' px'}`],
+      ['Frames', media.frames > 1 && String(media.frames)],
+      ['Duration', media.duration !== null && `${media.duration.toFixed(1)} s`],
+      ['File size', `${(media.bytes / 1024).toFixed(1)} KB`],
+    ].filter(([, value]) => value);
+
+    return `## Details
+
+| Property | Value |
+|----------|-------|
+${rows.map(([name, value]) => `| ${name} | ${value} |`).join('\n')}`;
+  }
+
+  /**
+   * Generate a gallery of image and video thumbnails
+   * @param {Array<{fileData: Object, href: string, caption: string}>} items - Files with the page each thumbnail opens
+   * @returns {string} Card grid, or empty string when there are no items
+   */
+  generateGallery(items) {
+    if (items.length === 0) {
+      return '';
+    }
+
+    const thumbnails = items.map(({ fileData, href, caption }) => {
+      const { staticPath, config } = fileData;
+      const preview = config.type === 'video'
+        ? `<video src="${staticPath}" muted playsInline preload="metadata" />`
+        : `<img src="${staticPath}" alt=${JSON.stringify(caption)} loading="lazy" />`;
+
+      return `  <ProgramCard ${this.generateTypeProps(config)} href="${href}" title="${fileData.filename}" caption={${JSON.stringify(`${config.emoji} ${caption}`)}}>
+    ${preview}
+  </ProgramCard>`;
+    });
+
+    return `<CardGrid>
+${thumbnails.join('\n')}
+</CardGrid>`;
   }
 
   /**
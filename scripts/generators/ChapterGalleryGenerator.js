@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Chapter figure gallery page generator
+ * @module generators/ChapterGalleryGenerator
+ */
+
+const BaseGenerator = require('./BaseGenerator');
+const { escapeForMdx } = require('../utils/helpers');
+
+/**
+ * Types shown in galleries
+ * @type {string[]}
+ */
+const MEDIA_TYPES = ['image', 'video'];
+
+/**
+ * Generator for chapter gallery pages (chapterN/gallery.mdx)
+ * Shows the figures and animations of every program in a chapter, each
+ * linking to its program page.
+ * @extends BaseGenerator
+ */
+class ChapterGalleryGenerator extends BaseGenerator {
+  /**
+   * @inheritdoc
+   */
+  getType() {
+    return 'gallery';
+  }
+
+  /**
+   * Check whether a program has files to show in a gallery
+   * @param {Array<{config: Object}>} files - Files of the program
+   * @returns {boolean} True if any file is an image or video
+   */
+  static hasMedia(files) {
+    return files.some(({ config }) => MEDIA_TYPES.includes(config.type));
+  }
+
+  /**
+   * Generate the gallery page of a chapter
+   * @param {string} chapterNum - Chapter number or 'utilities'
+   * @param {Set<string>} programs - Program IDs of the chapter
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, filesList }
+   * @returns {string} MDX page content
+   */
+  generate(chapterNum, programs, programFiles) {
+    const chapterName = this.config.getChapterName(chapterNum);
+    const heading = chapterNum === 'utilities'
+      ? `${chapterName} Figures`
+      : `Chapter ${parseInt(chapterNum, 10)} Figures`;
+
+    const frontmatter = this.generateFrontmatter(heading, '🖼️ Figure Gallery', {
+      description: `Figures and animations of ${chapterNum === 'utilities' ? 'the utility programs' : `chapter ${parseInt(chapterNum, 10)}: ${chapterName}`}`,
+    });
+
+    const items = [];
+    for (const programId of Array.from(programs).sort()) {
+      const program = programFiles.get(programId);
+      if (!program || !program.filesList) continue;
+
+      for (const fileData of program.filesList) {
+        if (!MEDIA_TYPES.includes(fileData.config.type)) continue;
+        items.push({
+          fileData,
+          href: `./${programId}/`,
+          caption: `${program.programInfo.displayName} — ${program.programInfo.summary}`,
+        });
+      }
+    }
+
+    const subtitle = chapterNum === 'utilities' ? '' : `*${escapeForMdx(chapterName)}*\n\n`;
+
+    return `${frontmatter}
+
+${this.generateImports('ProgramCard')}
+
+# ${heading}
+
+${subtitle}${items.length} figure(s). Click a figure to open its program.
+
+${this.generateGallery(items)}
+`;
+  }
+}
+
+module.exports = ChapterGalleryGenerator;
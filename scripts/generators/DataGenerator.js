@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Tabular data file page generator
+ * @module generators/DataGenerator
+ */
+
+const BaseGenerator = require('./BaseGenerator');
+const { escapeForMdx, generateSidebarLabel } = require('../utils/helpers');
+const { getFormatLabel } = require('../config/fileTypes');
+
+/**
+ * Format names by delimiter
+ * @type {Object.<string, string>}
+ */
+const FORMATS = {
+  comma: 'Comma-separated',
+  tab: 'Tab-separated',
+  semicolon: 'Semicolon-separated',
+  pipe: 'Pipe-separated',
+  whitespace: 'Whitespace-separated',
+  none: 'One value per line',
+};
+
+/**
+ * Header descriptions by header kind
+ * @type {Object.<string, string>}
+ */
+const HEADERS = {
+  row: 'First row',
+  comment: 'Last comment line',
+  none: 'None (columns are numbered)',
+};
+
+/**
+ * Generator for data file (.csv, .dat and tabular .txt) pages
+ * Shows the column statistics of the table read by
+ * {@link module:parsers/dataParser}; the rows are paged through and plotted
+ * in the browser from the table.json asset.
+ * @extends BaseGenerator
+ */
+class DataGenerator extends BaseGenerator {
+  /**
+   * @inheritdoc
+   */
+  getType() {
+    return 'data';
+  }
+
+  /**
+   * Generate data file detail page
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - File data
+   * @returns {string} MDX page content
+   */
+  generate(programInfo, fileData) {
+    const { displayName, programId, chapterNum } = programInfo;
+    const { filename, table, tableError } = fileData;
+
+    const sidebarLabel = generateSidebarLabel(programId, chapterNum, fileData.format || 'data');
+    const frontmatter = this.generateFrontmatter(
+      `${displayName} - ${getFormatLabel(fileData, 'Data')}`,
+      sidebarLabel,
+      { description: programInfo.summary }
+    );
+
+    const buttons = this.generateButtons(fileData, { open: 'Open Raw' });
+
+    const backLink = this.generateBackLink(displayName);
+
+    if (!table) {
+      return `${frontmatter}
+
+${this.generateImports('DownloadButtons', 'FileBadge')}
+
+# ${displayName} - ${getFormatLabel(fileData, 'Data')}
+
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
+
+:::note Table not read
+
+The file could not be read as a table (${escapeForMdx(tableError || 'unknown error')}), so it is shown as text.
+
+:::
+
+${this.generateRawContent(fileData, false)}
+
+${backLink}
+`;
+    }
+
+    const imports = table.legend ? '' : `
+import DataTable from '@site/src/components/DataTable';
+import DataPlot from '@site/src/components/DataPlot';`;
+    // Text after the table stops load() and readmatrix(); such files are read value by value
+    let loadHint = '';
+    if (!table.legend && table.notes.length === 0) {
+      loadHint = table.header === 'row' || table.delimiter === 'comma'
+        ? `Read it in MATLAB with \`readmatrix('${filename}')\`, or \`readtable\` to keep the column names.\n\n`
+        : `Read it in MATLAB with \`load('${filename}')\`.\n\n`;
+    }
+
+    return `${frontmatter}
+
+${this.generateImports('DownloadButtons', 'FileBadge')}${imports}
+
+# ${displayName} - ${getFormatLabel(fileData, 'Data')}
+
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
+
+${loadHint}${this.generateTableInfo(table)}${table.legend ? this.generateLegendTable(table) : this.generateColumnStats(table) + this.generateTableViews(table, fileData.assetsUrl)}${this.generateNotes(table)}
+${this.generateRawContent(fileData, true)}
+
+${backLink}
+`;
+  }
+
+  /**
+   * Generate the table information section
+   * @param {import('../parsers/dataParser').DataTable} table - Parsed table
+   * @returns {string} Markdown section
+   */
+  generateTableInfo(table) {
+    const rows = [
+      ['Format', FORMATS[table.delimiter]],
+      ['Header', HEADERS[table.header]],
+      ['Rows', String(table.rows.length)],
+      ['Columns', String(table.columns.length)],
+      ['Comment lines', table.comments.length > 0 && String(table.comments.length)],
+    ].filter(([, value]) => value);
+
+    return `## Table Information
+
+| Property | Value |
+|----------|-------|
+${rows.map(([name, value]) => `| ${name} | ${value} |`).join('\n')}
+`;
+  }
+
+  /**
+   * Generate the statistics table of the columns
+   * @param {import('../parsers/dataParser').DataTable} table - Parsed table
+   * @returns {string} Markdown section
+   */
+  generateColumnStats(table) {
+    const rows = table.columns.map(({ name, numeric, stats }) => {
+      if (!numeric) {
+        return `| ${escapeForMdx(name)} | text, ${stats.unique} distinct | ${stats.count} | ${stats.missing} | — | — | — | — |`;
+      }
+      const cells = [stats.min, stats.max, stats.mean, stats.std]
+        .map(value => (value === null ? '—' : `\`${this.formatNumber(value)}\``));
+      return `| ${escapeForMdx(name)} | number | ${stats.count} | ${stats.missing} | ${cells.join(' | ')} |`;
+    });
+
+    return `
+## Column Statistics
+
+| Column | Type | Count | Missing | Min | Max | Mean | Std. dev. |
+|--------|------|-------|---------|-----|-----|------|-----------|
+${rows.join('\n')}
+`;
+  }
+
+  /**
+   * Generate the paginated table and, for numeric data, the plot
+   * @param {import('../parsers/dataParser').DataTable} table - Parsed table
+   * @param {string} assetsUrl - URL of the file's asset folder
+   * @returns {string} MDX sections
+   */
+  generateTableViews(table, assetsUrl) {
+    const src = `${assetsUrl}/table.json`;
+    const plot = table.rows.length > 1 && table.columns.some(column => column.numeric)
+      ? `
+## Plot
+
+<DataPlot src="${src}" />
+`
+      : '';
+
+    return `
+## Data
+
+<DataTable src="${src}" />
+${plot}`;
+  }
+
+  /**
+   * Generate the values table of a one-column file with a row legend
+   * @param {import('../parsers/dataParser').DataTable} table - Parsed table with legend
+   * @returns {string} Markdown section
+   */
+  generateLegendTable(table) {
+    const rows = table.legend.map(({ name, units, description }, i) => {
+      const value = table.rows[i][0];
+      const shown = typeof value === 'number' ? this.formatNumber(value) : value || '';
+      return `| ${i + 1} | \`${name}\` | \`${shown}\` | ${units ? escapeForMdx(units) : '—'} | ${description ? escapeForMdx(description) : '—'} |`;
+    });
+
+    return `
+## Values
+
+Each line of the file holds one value; the legend at the end of the file names them.
+
+| # | Name | Value | Units | Description |
+|---|------|-------|-------|-------------|
+${rows.join('\n')}
+`;
+  }
+
+  /**
+   * Generate the text before and after the table
+   * @param {import('../parsers/dataParser').DataTable} table - Parsed table
+   * @returns {string} Markdown section or empty string
+   */
+  generateNotes(table) {
+    // A comment line used as the header is shown as the column names already
+    const comments = table.header === 'comment' ? table.comments.slice(0, -1) : table.comments;
+    const blocks = [
+      ['Before the table', comments],
+      ['After the table', table.notes],
+    ]
+      .filter(([, lines]) => lines.length > 0)
+      .map(([title, lines]) => `\`\`\`text title="${title}"
+${lines.join('\n')}
+\`\`\``);
+
+    if (blocks.length === 0) {
+      return '';
+    }
+    return `
+## Notes
+
+${blocks.join('\n\n')}
+`;
+  }
+
+  /**
+   * Generate the raw file content, truncated to the preview length
+   * @param {Object} fileData - File data with content and config
+   * @param {boolean} collapsed - Whether to put it in a collapsed section
+   * @returns {string} Markdown section
+   */
+  generateRawContent(fileData, collapsed) {
+    const { filename, content, config } = fileData;
+    const maxLength = config.maxPreviewLength || 15000;
+    const truncated = content && content.length > maxLength;
+    const shown = truncated ? content.substring(0, maxLength) : content;
+
+    const codeBlock = `${this.generateSourceInfo(fileData)}
+
+\`\`\`text title="${filename}"
+${shown || 'Unable to read file'}
+\`\`\`
+${truncated ? '\n*The file has been truncated for display. Download it for the complete data.*\n' : ''}`;
+
+    if (!collapsed) {
+      return `## Content
+
+${codeBlock}`;
+    }
+    return `<details>
+<summary>📜 View Raw File</summary>
+
+${codeBlock}
+</details>`;
+  }
+
+  /**
+   * Format a statistic briefly
+   * @param {number} value - Value
+   * @returns {string} Formatted value
+   */
+  formatNumber(value) {
+    const magnitude = Math.abs(value);
+    if (value !== 0 && (magnitude >= 1e5 || magnitude < 1e-3)) {
+      return value.toExponential(3);
+    }
+    return String(Number(value.toPrecision(5)));
+  }
+}
+
+module.exports = DataGenerator;
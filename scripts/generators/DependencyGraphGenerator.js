@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Corpus-wide program dependency page generator
+ * @module generators/DependencyGraphGenerator
+ */
+
+const BaseGenerator = require('./BaseGenerator');
+const { sortChapterKeys, escapeForMdx } = require('../utils/helpers');
+
+/**
+ * Generator for the dependency graph page (program-dependencies.mdx)
+ * Lists chapter → program → utility calls for the whole INBOX
+ * @extends BaseGenerator
+ */
+class DependencyGraphGenerator extends BaseGenerator {
+  /**
+   * @inheritdoc
+   */
+  getType() {
+    return 'dependencies';
+  }
+
+  /**
+   * Generate the dependency graph page
+   * @param {Map<string, Set<string>>} byChapter - Map of chapter -> Set of program IDs
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, files }
+   * @returns {string} MDX page content
+   */
+  generate(byChapter, programFiles) {
+    const frontmatter = this.generateFrontmatter('Program Dependencies', '🔗 Program Dependencies', {
+      description: 'Which shared utility functions each program calls',
+    });
+
+    const chapterSections = Array.from(byChapter.keys())
+      .filter(chapterNum => chapterNum !== 'utilities')
+      .sort(sortChapterKeys)
+      .map(chapterNum => this.generateChapterSection(chapterNum, byChapter.get(chapterNum), programFiles))
+      .filter(Boolean);
+
+    const utilities = this.collectPrograms(byChapter.get('utilities'), programFiles);
+    const missing = Array.from(programFiles.values())
+      .map(({ programInfo }) => programInfo)
+      .filter(info => info.missingDependencies && info.missingDependencies.length > 0);
+
+    return `${frontmatter}
+
+# Program Dependencies
+
+Chapter programs call shared functions from the utilities set. Download every utility listed under a program and keep it in the same folder (or on the MATLAB path) before running the program.
+
+${chapterSections.length > 0 ? chapterSections.join('\n\n') : '*No program calls another program.*'}
+${this.generateUtilitiesSection(utilities)}${this.generateMissingSection(missing)}`;
+  }
+
+  /**
+   * Get program infos for a set of program IDs, sorted by ID
+   * @param {Set<string>} [programs] - Program IDs
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, files }
+   * @returns {Object[]} Program infos
+   * @private
+   */
+  collectPrograms(programs, programFiles) {
+    return Array.from(programs || [])
+      .sort()
+      .map(programId => programFiles.get(programId))
+      .filter(Boolean)
+      .map(({ programInfo }) => programInfo);
+  }
+
+  /**
+   * Generate a link to a program index page, relative to the docs root
+   * @param {Object} ref - Program info or reference with programId and chapter
+   * @returns {string} Markdown link
+   * @private
+   */
+  programLink(ref) {
+    return `[${escapeForMdx(ref.programId)}](./${ref.chapter}/${ref.programId}/index.mdx)`;
+  }
+
+  /**
+   * Generate the section for one chapter
+   * @param {string} chapterNum - Chapter number
+   * @param {Set<string>} programs - Program IDs in the chapter
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, files }
+   * @returns {string|null} Markdown section or null if no program has dependencies
+   * @private
+   */
+  generateChapterSection(chapterNum, programs, programFiles) {
+    const items = this.collectPrograms(programs, programFiles)
+      .filter(info => info.uses && info.uses.length > 0)
+      .map(info => `- ${this.programLink(info)} → ${info.uses.map(ref => this.programLink(ref)).join(', ')}`);
+
+    if (items.length === 0) {
+      return null;
+    }
+
+    return `## Chapter ${parseInt(chapterNum, 10)}: ${this.config.getChapterName(chapterNum)}
+
+${items.join('\n')}`;
+  }
+
+  /**
+   * Generate the utilities table with reverse dependencies
+   * @param {Object[]} utilities - Utility program infos
+   * @returns {string} Markdown section or empty string
+   * @private
+   */
+  generateUtilitiesSection(utilities) {
+    const used = utilities.filter(info => (info.usedBy || []).length > 0 || (info.uses || []).length > 0);
+    if (used.length === 0) {
+      return '';
+    }
+
+    const rows = used.map(info => {
+      const uses = (info.uses || []).map(ref => this.programLink(ref)).join(', ') || '—';
+      return `| ${this.programLink(info)} | ${(info.usedBy || []).length} | ${uses} |`;
+    });
+
+    return `
+## Utilities
+
+| Utility | Used by (programs) | Calls |
+|---------|--------------------|-------|
+${rows.join('\n')}
+`;
+  }
+
+  /**
+   * Generate the missing dependencies section
+   * @param {Object[]} programs - Program infos with missing dependencies
+   * @returns {string} Markdown section or empty string
+   * @private
+   */
+  generateMissingSection(programs) {
+    if (programs.length === 0) {
+      return '';
+    }
+
+    const items = programs.map(info =>
+      `- ${this.programLink(info)}: ${info.missingDependencies.map(name => `\`${name}\``).join(', ')}`
+    );
+
+    return `
+## Missing Dependencies
+
+:::warning
+These programs call functions that are neither MATLAB built-ins nor part of this collection.
+:::
+
+${items.join('\n')}
+`;
+  }
+}
+
+module.exports = DependencyGraphGenerator;
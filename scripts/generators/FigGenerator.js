@@ -0,0 +1,127 @@
+/**
+ * @fileoverview MATLAB figure (.fig) page generator
+ * @module generators/FigGenerator
+ */
+
+const BaseGenerator = require('./BaseGenerator');
+const { escapeForMdx, generateSidebarLabel } = require('../utils/helpers');
+const { texToText } = require('../utils/svgPlot');
+
+/**
+ * Generator for MATLAB figure (.fig) pages
+ * Each axes of the figure is shown as the SVG plot drawn from its line
+ * data (see {@link module:utils/svgPlot}), with a table of its series.
+ * @extends BaseGenerator
+ */
+class FigGenerator extends BaseGenerator {
+  /**
+   * @inheritdoc
+   */
+  getType() {
+    return 'fig';
+  }
+
+  /**
+   * Generate figure detail page
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - File data
+   * @returns {string} MDX page content
+   */
+  generate(programInfo, fileData) {
+    const { displayName, programId, chapterNum } = programInfo;
+    const { filename } = fileData;
+
+    const sidebarLabel = generateSidebarLabel(programId, chapterNum, 'fig');
+    const frontmatter = this.generateFrontmatter(
+      `${displayName} - MATLAB Figure`,
+      sidebarLabel,
+      { description: programInfo.summary }
+    );
+
+    const buttons = this.generateButtons(fileData, { download: 'Download .fig' });
+
+    const backLink = this.generateBackLink(displayName);
+
+    return `${frontmatter}
+
+${this.generateImports('DownloadButtons', 'FileBadge')}
+import ZoomableImage from '@site/src/components/ZoomableImage';
+
+# ${displayName} - MATLAB Figure
+
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
+
+Open it in MATLAB with \`openfig('${filename}')\`.
+
+${this.generatePlots(fileData)}
+${backLink}
+`;
+  }
+
+  /**
+   * Generate the plot and series table of each axes, or a note why there are none
+   * @param {Object} fileData - File data with mat, matError, figure and assetsUrl
+   * @returns {string} Markdown sections
+   */
+  generatePlots({ mat, matError, figure, assetsUrl }) {
+    if (!mat || !mat.supported) {
+      const reason = mat ? 'it was saved in the HDF5-based v7.3 format' : `it could not be read (${escapeForMdx(matError || 'unknown error')})`;
+      return `:::note Figure not rendered
+
+The figure is not shown because ${reason}. Download it and open it in MATLAB.
+
+:::
+`;
+    }
+    if (!figure || figure.axes.length === 0) {
+      return `:::note No line plots
+
+The figure holds no line data that can be drawn here (surfaces, images and patches are not rendered). Download it and open it in MATLAB.
+
+:::
+`;
+    }
+
+    const sections = figure.axes.map((axes, index) => {
+      const title = texToText(axes.title) || (figure.axes.length > 1 ? `Axes ${index + 1}` : '');
+      const heading = figure.axes.length > 1 || title ? `## ${escapeForMdx(title || 'Plot')}\n\n` : '';
+      const alt = `${title || 'Plot'} (${axes.series.length} series)`;
+
+      const rows = axes.series.map((series, i) => {
+        const finite = values => values.filter(Number.isFinite);
+        const range = (values) => {
+          const kept = finite(values);
+          if (kept.length === 0) return '—';
+          return `${this.formatNumber(kept.reduce((a, b) => Math.min(a, b)))} to ${this.formatNumber(kept.reduce((a, b) => Math.max(a, b)))}`;
+        };
+        return `| ${series.label ? escapeForMdx(texToText(series.label)) : `Series ${i + 1}`} | ${series.y.length} | ${range(series.x)} | ${range(series.y)} |`;
+      });
+
+      return `${heading}<ZoomableImage src="${assetsUrl}/axes${index + 1}.svg" alt=${JSON.stringify(alt)} />
+
+| Series | Points | X range | Y range |
+|--------|--------|---------|---------|
+${rows.join('\n')}
+`;
+    });
+
+    return `${sections.join('\n')}
+*Drawn from the line data saved in the figure; annotations, surfaces and images are not shown.*
+`;
+  }
+
+  /**
+   * Format a range bound briefly
+   * @param {number} value - Value
+   * @returns {string} Formatted value
+   */
+  formatNumber(value) {
+    const magnitude = Math.abs(value);
+    if (value !== 0 && (magnitude >= 1e5 || magnitude < 1e-3)) {
+      return value.toExponential(3);
+    }
+    return String(Number(value.toPrecision(5)));
+  }
+}
+
+module.exports = FigGenerator;
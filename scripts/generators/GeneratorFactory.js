@@ -9,8 +9,17 @@ const PdfGenerator = require('./PdfGenerator');
 const HtmlGenerator = require('./HtmlGenerator');
 const NotebookGenerator = require('./NotebookGenerator');
 const TextGenerator = require('./TextGenerator');
+const ImageGenerator = require('./ImageGenerator');
+const VideoGenerator = require('./VideoGenerator');
+const MatGenerator = require('./MatGenerator');
+const FigGenerator = require('./FigGenerator');
+const DataGenerator = require('./DataGenerator');
 const IndexGenerator = require('./IndexGenerator');
 const SidebarGenerator = require('./SidebarGenerator');
+const DependencyGraphGenerator = require('./DependencyGraphGenerator');
+const SearchIndexGenerator = require('./SearchIndexGenerator');
+const ChapterGalleryGenerator = require('./ChapterGalleryGenerator');
+const ViewerGenerator = require('./ViewerGenerator');
 
 /**
  * Factory for creating page generators
@@ -39,15 +48,35 @@ class GeneratorFactory {
       new HtmlGenerator(this.config),
       new NotebookGenerator(this.config),
       new TextGenerator(this.config),
+      new ImageGenerator(this.config),
+      new VideoGenerator(this.config),
+      new MatGenerator(this.config),
+      new FigGenerator(this.config),
+      new DataGenerator(this.config),
     ];
 
     for (const generator of generators) {
       this.generators.set(generator.getType(), generator);
     }
 
+    // Generators of file type plugins (see config/projectConfig)
+    for (const plugin of this.config.plugins || []) {
+      if (!plugin.generator) continue;
+
+      const generator = new plugin.generator(this.config);
+      if (generator.getType() !== plugin.type) {
+        throw new Error(`Plugin ${plugin.name}: generator getType() returns "${generator.getType()}", expected "${plugin.type}"`);
+      }
+      this.registerGenerator(generator);
+    }
+
     // Special generators
     this.indexGenerator = new IndexGenerator(this.config);
     this.sidebarGenerator = new SidebarGenerator(this.config);
+    this.dependencyGraphGenerator = new DependencyGraphGenerator(this.config);
+    this.searchIndexGenerator = new SearchIndexGenerator(this.config, type => this.hasGenerator(type));
+    this.chapterGalleryGenerator = new ChapterGalleryGenerator(this.config);
+    this.viewerGenerator = new ViewerGenerator(this.config);
   }
 
   /**
@@ -140,6 +169,87 @@ class GeneratorFactory {
   generateSidebar(byChapter, programFiles) {
     return this.sidebarGenerator.generate(byChapter, programFiles);
   }
+
+  /**
+   * Build the sidebar configuration object
+   * @param {Map} byChapter - Programs grouped by chapter
+   * @param {Map} programFiles - Map of programId -> { programInfo, files }
+   * @returns {Object} Docusaurus sidebar configuration
+   */
+  buildSidebars(byChapter, programFiles) {
+    return this.sidebarGenerator.buildSidebars(byChapter, programFiles);
+  }
+
+  /**
+   * Generate the corpus-wide dependency graph page
+   * @param {Map} byChapter - Programs grouped by chapter
+   * @param {Map} programFiles - Map of programId -> { programInfo, files }
+   * @returns {string} Generated MDX content
+   */
+  generateDependencyGraph(byChapter, programFiles) {
+    return this.dependencyGraphGenerator.generate(byChapter, programFiles);
+  }
+
+  /**
+   * Check whether a program's files belong in its chapter gallery
+   * @param {Array<{config: Object}>} files - Files of the program
+   * @returns {boolean} True if any file is an image or video
+   */
+  hasGalleryMedia(files) {
+    return ChapterGalleryGenerator.hasMedia(files);
+  }
+
+  /**
+   * Generate the figure gallery page of a chapter
+   * @param {string} chapterNum - Chapter number or 'utilities'
+   * @param {Set<string>} programs - Program IDs of the chapter
+   * @param {Map} programFiles - Map of programId -> { programInfo, filesList }
+   * @returns {string} Generated MDX content
+   */
+  generateChapterGallery(chapterNum, programs, programFiles) {
+    return this.chapterGalleryGenerator.generate(chapterNum, programs, programFiles);
+  }
+
+  /**
+   * Generate the offline search index
+   * @param {Map} byChapter - Programs grouped by chapter
+   * @param {Map} programFiles - Map of programId -> { programInfo, filesList }
+   * @returns {string} JSON content
+   */
+  generateSearchIndex(byChapter, programFiles) {
+    return this.searchIndexGenerator.generate(byChapter, programFiles);
+  }
+
+  /**
+   * Generate the offline search index from program pages generated earlier
+   * @param {import('./SearchIndexGenerator').GeneratedProgram[]} programs - Program folders of the docs directory
+   * @returns {string} JSON content
+   */
+  generateSearchIndexFromPages(programs) {
+    return this.searchIndexGenerator.generateFromPages(programs);
+  }
+
+  /**
+   * Check whether a program can be shown in the interactive viewer
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - MATLAB file data of the program
+   * @param {Object<string, string>} functions - Sources of the function files it calls, by name
+   * @returns {boolean} True if the viewer can show the program
+   */
+  isViewerCompatible(programInfo, fileData, functions) {
+    return this.viewerGenerator.isCompatible(programInfo, fileData, functions);
+  }
+
+  /**
+   * Generate the data the interactive viewer loads for a program
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - MATLAB file data of the program
+   * @param {string[]} functions - Static paths of the function files it calls
+   * @returns {string} JSON content
+   */
+  generateViewerData(programInfo, fileData, functions) {
+    return this.viewerGenerator.generate(programInfo, fileData, functions);
+  }
 }
 
 /**
@@ -31,36 +31,17 @@ class HtmlGenerator extends BaseGenerator {
     const sidebarLabel = generateSidebarLabel(programId, chapterNum, 'html');
     const frontmatter = this.generateFrontmatter(
       `${displayName} - HTML`,
-      sidebarLabel
+      sidebarLabel,
+      { description: programInfo.summary }
     );
 
-    const buttons = `<div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px'}}>
-  <a href="${staticPath}" download="${filename}"
-    style={{padding: '10px 20px', backgroundColor: '#10b981', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    📥 Download HTML
-  </a>
-  <a href="${staticPath}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '#e34c26', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    🔗 Open in New Tab
-  </a>
-</div>`;
+    const buttons = this.generateButtons(fileData, { download: 'Download HTML', open: 'Open in New Tab' });
 
     const iframeHeight = config.iframeHeight || '800px';
 
     const preview = `## Live Preview
 
-<iframe
-  src="${staticPath}"
-  width="100%"
-  height="${iframeHeight}"
-  style={{
-    border: '2px solid #e5e7eb',
-    borderRadius: '8px',
-    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-    backgroundColor: 'white',
-  }}
-  title="${displayName} HTML"
-/>`;
+<IframePreview src="${staticPath}" title="${displayName} HTML" height="${iframeHeight}" whiteBackground />`;
 
     // Generate source code section if content available
     let sourceSection = '';
@@ -73,6 +54,8 @@ class HtmlGenerator extends BaseGenerator {
 
 ## HTML Source
 
+${this.generateSourceInfo(fileData)}
+
 <details>
 <summary>Click to view source code</summary>
 
@@ -87,9 +70,11 @@ ${displayContent}
 
     return `${frontmatter}
 
+${this.generateImports('DownloadButtons', 'FileBadge', 'IframePreview')}
+
 # ${displayName} - HTML Page
 
-${buttons}
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
 
 ${preview}
 ${sourceSection}
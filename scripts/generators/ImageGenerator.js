@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Figure image page generator
+ * @module generators/ImageGenerator
+ */
+
+const BaseGenerator = require('./BaseGenerator');
+const { generateSidebarLabel } = require('../utils/helpers');
+const { getFormatLabel } = require('../config/fileTypes');
+
+/**
+ * Generator for figure image (.png, .jpg, .svg, .gif) pages
+ * The figure is shown with the site's ZoomableImage component, which opens
+ * it full size on click, followed by the size read by
+ * {@link module:parsers/mediaParser}.
+ * @extends BaseGenerator
+ */
+class ImageGenerator extends BaseGenerator {
+  /**
+   * @inheritdoc
+   */
+  getType() {
+    return 'image';
+  }
+
+  /**
+   * Generate figure detail page
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - File data
+   * @returns {string} MDX page content
+   */
+  generate(programInfo, fileData) {
+    const { displayName, programId, chapterNum } = programInfo;
+    const { staticPath, media, mediaError } = fileData;
+
+    const sidebarLabel = generateSidebarLabel(programId, chapterNum, fileData.format || 'image');
+    const frontmatter = this.generateFrontmatter(
+      `${displayName} - ${getFormatLabel(fileData, 'Figure')}`,
+      sidebarLabel,
+      { description: programInfo.summary, image: staticPath }
+    );
+
+    const buttons = this.generateButtons(fileData, { open: 'Open Full Size' });
+
+    const size = media && media.width && media.height ? ` width={${media.width}} height={${media.height}}` : '';
+    const figure = `<ZoomableImage src="${staticPath}" alt=${JSON.stringify(`${displayName}: ${programInfo.summary}`)}${size} />`;
+
+    const backLink = this.generateBackLink(displayName);
+
+    return `${frontmatter}
+
+${this.generateImports('DownloadButtons', 'FileBadge')}
+import ZoomableImage from '@site/src/components/ZoomableImage';
+
+# ${displayName} - ${getFormatLabel(fileData, 'Figure')}
+
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
+
+${figure}
+
+*Click the figure to zoom.*
+
+${this.generateMediaInfo(media, mediaError)}
+
+${backLink}
+`;
+  }
+}
+
+module.exports = ImageGenerator;
@@ -4,11 +4,12 @@
  */
 
 const BaseGenerator = require('./BaseGenerator');
-const { getChapterName } = require('../config/chapters');
+const { escapeForMdx } = require('../utils/helpers');
+const { sortByTypeOrder, getFormatLabel } = require('../config/fileTypes');
 
 /**
  * Generator for program index pages (index.mdx)
- * Lists all available files for a program
+ * Shows all available files of a program, one tab per format
  * @extends BaseGenerator
  */
 class IndexGenerator extends BaseGenerator {
@@ -27,165 +28,260 @@ class IndexGenerator extends BaseGenerator {
    */
   generate(programInfo, filesList) {
     const { programId, displayName, chapterNum } = programInfo;
-    const chapterName = getChapterName(chapterNum);
+    const chapterName = this.config.getChapterName(chapterNum);
 
-    const frontmatter = this.generateFrontmatter(displayName, displayName);
+    const frontmatter = this.generateFrontmatter(displayName, displayName, {
+      description: programInfo.summary,
+      parameters: this.getParameterData(programInfo.parameters),
+    });
 
     // Sort files by type priority
-    const typeOrder = ['matlab', 'latex', 'pdf', 'html', 'ipynb', 'text'];
-    const sortedFiles = [...filesList].sort(
-      (a, b) => typeOrder.indexOf(a.config.type) - typeOrder.indexOf(b.config.type)
-    );
-
-    // Build file cards with embedded code
-    const fileCards = sortedFiles.map(({ filename, config, staticPath, content }) => {
-      const detailPageLink = `./${programId}_${config.type}`;
-
-      // Build code block if content is available
-      let codeSection = '';
-      if (config.canReadText && content) {
-        const lang = config.codeLanguage || 'text';
-        codeSection = `
-<details style={{marginTop: '12px'}}>
-<summary style={{cursor: 'pointer', fontWeight: 'bold', color: '${config.color}'}}>📜 View Source Code</summary>
+    const sortedFiles = sortByTypeOrder(filesList, this.config.fileTypes);
 
-\`\`\`${lang} title="${filename}"
-${content}
-\`\`\`
-
-</details>`;
-      } else if (config.useIframe) {
-        // PDF/HTML iframe preview
-        const iframeHeight = config.iframeHeight || '600px';
-        codeSection = `
-<details style={{marginTop: '12px'}}>
-<summary style={{cursor: 'pointer', fontWeight: 'bold', color: '${config.color}'}}>📄 View Document</summary>
-
-<iframe
-  src="${staticPath}"
-  width="100%"
-  height="${iframeHeight}"
-  style={{border: '1px solid #e5e7eb', borderRadius: '4px', marginTop: '8px'}}
-/>
-
-</details>`;
-      }
+    // One tab per format; the choice is shared by all program pages and remembered
+    const tabs = sortedFiles.map(fileData => this.generateFormatTab(programId, fileData)).join('\n');
 
-      return `
-<div style={{
-  border: '1px solid #e5e7eb',
-  borderRadius: '8px',
-  padding: '16px',
-  marginBottom: '12px',
-  backgroundColor: '#fafafa',
-}}>
-  <div style={{display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px'}}>
-    <span style={{fontSize: '24px'}}>${config.emoji}</span>
-    <div>
-      <strong style={{color: '${config.color}'}}>${config.label}</strong>
-      <div style={{fontSize: '12px', color: '#666'}}>\`${filename}\`</div>
-    </div>
-  </div>
-  <div style={{display: 'flex', gap: '8px', flexWrap: 'wrap'}}>
-    <a
-      href="${detailPageLink}"
-      style={{
-        padding: '6px 12px',
-        backgroundColor: '${config.color}',
-        color: 'white',
-        borderRadius: '4px',
-        textDecoration: 'none',
-        fontSize: '13px',
-      }}
-    >
-      📖 View Details
-    </a>
-    <a
-      href="${staticPath}"
-      download="${filename}"
-      style={{
-        padding: '6px 12px',
-        backgroundColor: '#10b981',
-        color: 'white',
-        borderRadius: '4px',
-        textDecoration: 'none',
-        fontSize: '13px',
-      }}
-    >
-      📥 Download
-    </a>
-    <a
-      href="${staticPath}"
-      target="_blank"
-      rel="noopener noreferrer"
-      style={{
-        padding: '6px 12px',
-        backgroundColor: '#6b7280',
-        color: 'white',
-        borderRadius: '4px',
-        textDecoration: 'none',
-        fontSize: '13px',
-      }}
-    >
-      🔗 Open
-    </a>
-  </div>${codeSection}
-</div>`;
-    }).join('\n');
+    // Thumbnails of the program's figures and animations
+    const gallery = this.generateGallery(sortedFiles
+      .filter(({ config }) => config.type === 'image' || config.type === 'video')
+      .map(fileData => ({ fileData, href: `./${programId}_${fileData.format}`, caption: fileData.filename })));
 
     // File type icons summary
     const typeStats = sortedFiles.map(f => f.config.emoji).join(' ');
 
-    // Viewer section if configured
-    let viewerSection = '';
-    if (this.config.viewerBaseUrl) {
-      const viewerUrl = `${this.config.viewerBaseUrl}/${programId}`;
-      viewerSection = `
-<div style={{marginBottom: '24px'}}>
-  <a
-    href="${viewerUrl}"
-    target="_blank"
-    rel="noopener noreferrer"
-    style={{
-      display: 'inline-flex',
-      alignItems: 'center',
-      gap: '8px',
-      padding: '14px 28px',
-      background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
-      color: 'white',
-      borderRadius: '10px',
-      textDecoration: 'none',
-      fontWeight: 'bold',
-      fontSize: '16px',
-      boxShadow: '0 4px 12px rgba(99, 102, 241, 0.4)',
-      transition: 'transform 0.2s, box-shadow 0.2s',
-    }}
-  >
-    🚀 Open Interactive Viewer
-  </a>
-</div>
-`;
-    }
+    // Interactive viewer for programs with parameters and plots
+    const viewerSection = programInfo.viewer
+      ? `\n<DownloadButtons viewer="${programInfo.viewer.url}" />\n`
+      : '';
 
-    const chapterDisplay = chapterNum === 'utilities' ? '' : `Chapter ${parseInt(chapterNum, 10)}`;
+    const chapterDisplay = chapterNum === 'utilities'
+      ? chapterName
+      : `**Chapter ${parseInt(chapterNum, 10)}**: ${chapterName}`;
 
     return `${frontmatter}
 
+${this.generateImports('DownloadButtons', 'FileBadge', 'ProgramCard', 'IframePreview', 'ZoomableImage')}
+import Tabs from '@theme/Tabs';
+import TabItem from '@theme/TabItem';
+
 # ${displayName}
 
-> **${chapterDisplay}**: ${chapterName}
+${this.generateSubtitle(programInfo)}> ${chapterDisplay}
 >
 > ${typeStats} ${sortedFiles.length} file(s) available
-${viewerSection}
-## Available Files
-
-${fileCards}
+${gallery ? `\n${gallery}\n` : ''}${viewerSection}${this.generateOverview(programInfo, sortedFiles)}
+${this.generateParameterTable(programInfo.parameters)}${this.generateResults(programInfo)}## Available Files
 
+<Tabs groupId="program-format" queryString="format" lazy>
+${tabs}
+</Tabs>
+${this.generateDependencies(programInfo)}
 ---
 
 *Program ID: \`${programId}\`*
 `;
   }
+
+  /**
+   * Generate the tab of one format
+   * Text formats show their source and PDF and HTML files an embedded
+   * preview; figures and animations are in the gallery above the tabs.
+   * @param {string} programId - Program ID
+   * @param {Object} fileData - File data with filename, config, staticPath and content
+   * @returns {string} MDX TabItem
+   */
+  generateFormatTab(programId, fileData) {
+    const { filename, config, staticPath, content } = fileData;
+
+    let preview = '';
+    if (config.canReadText && content) {
+      const lang = config.codeLanguage || 'text';
+      preview = `
+
+\`\`\`${lang} title="${filename}"
+${content}
+\`\`\``;
+    } else if (config.useIframe) {
+      preview = `
+
+<IframePreview src="${staticPath}" title="${filename}" height="${config.iframeHeight || '600px'}"${config.type === 'html' ? ' whiteBackground' : ''} />`;
+    }
+
+    const buttons = this.generateButtons(fileData, { open: 'Open', details: `./${programId}_${fileData.format}`, small: true });
+
+    return `<TabItem value="${fileData.format}" label="${config.emoji} ${getFormatLabel(fileData)}">
+
+<ProgramCard ${this.generateTypeProps(config, ['label', 'emoji', 'color'])} filename="${filename}">
+
+${buttons}${preview}
+
+</ProgramCard>
+
+</TabItem>`;
+  }
+
+  /**
+   * Generate the overview section from the MATLAB help block
+   * Utility pages show the signature card of their main function instead,
+   * since its help block is the argument documentation. Line breaks in the
+   * help text are kept as hard breaks.
+   * @param {Object} programInfo - Program information
+   * @param {Array} filesList - List of file data objects
+   * @returns {string} Markdown section or empty string
+   */
+  generateOverview(programInfo, filesList) {
+    const matlabFile = filesList.find(f => f.matlab && f.matlab.signatures.length > 0);
+    if (programInfo.isUtility && matlabFile) {
+      const { signatures } = matlabFile.matlab;
+      const main = signatures.find(sig => sig.name.toLowerCase() === programInfo.programId.toLowerCase()) || signatures[0];
+      return `
+## Function Signature
+
+${this.generateSignatureCard(main)}
+`;
+    }
+
+    if (!programInfo.description) {
+      return '';
+    }
+
+    const paragraphs = programInfo.description
+      .split('\n\n')
+      .map(paragraph => paragraph.split('\n').map(escapeForMdx).join('\\\n'));
+
+    return `
+## Overview
+
+${paragraphs.join('\n\n')}
+`;
+  }
+
+  /**
+   * Generate the Results section from the program's Octave run
+   * Figures come first, then the console output; a failed, stopped or
+   * unsupported run is explained in an admonition, with whatever the
+   * program produced before it ended.
+   * @param {Object} programInfo - Program information with optional results
+   * @returns {string} Markdown section or empty string when the program was not run
+   */
+  generateResults(programInfo) {
+    const { results, programId, displayName } = programInfo;
+    if (!results) {
+      return '';
+    }
+
+    const { status, duration, output, truncated, error, missingFunctions, figures, octaveVersion } = results;
+    const parts = [`*Produced by running the program in ${escapeForMdx(octaveVersion)} (${duration.toFixed(1)} s). MATLAB output may differ in details.*`];
+
+    if (status === 'timeout') {
+      parts.push(`:::caution Run stopped
+The program did not finish within ${this.config.octaveTimeout} s and was stopped. Figures are captured when a program ends, so only its console output is shown.
+:::`);
+    } else if (status === 'unsupported') {
+      parts.push(`:::warning Not supported by Octave
+This program uses ${missingFunctions.map(name => `\`${name}\``).join(', ')}, which Octave does not provide. Run it in MATLAB to see its full results.
+:::`);
+    } else if (status === 'error') {
+      parts.push(`:::danger Run failed
+
+${this.generateCodeBlock(error)}
+
+:::`);
+    }
+
+    figures.forEach((figure, index) => {
+      const src = figure.svg || figure.png;
+      const png = figure.svg && figure.png
+        ? `\n\n<DownloadButtons href="${figure.png}" filename="${programId}_figure${index + 1}.png" type="image" download="Download PNG" small />`
+        : '';
+      parts.push(`### Figure ${index + 1}
+
+<ZoomableImage src="${src}" alt=${JSON.stringify(`${displayName}, figure ${index + 1}`)} />${png}`);
+    });
+
+    if (output) {
+      parts.push(`### Console Output
+
+${this.generateCodeBlock(output)}${truncated ? '\n\n*Output truncated.*' : ''}`);
+    } else if (figures.length === 0 && status === 'ok') {
+      parts.push('*The program ran without figures or console output.*');
+    }
+
+    return `## Results
+
+${parts.join('\n\n')}
+
+`;
+  }
+
+  /**
+   * Generate a plain text code block
+   * The fence is longer than any backtick run in the text, so program
+   * output cannot end it early.
+   * @param {string} text - Text to show
+   * @returns {string} Fenced code block
+   */
+  generateCodeBlock(text) {
+    const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}text
+${text}
+${fence}`;
+  }
+
+  /**
+   * Generate "Uses", "Used by" and data file sections from the dependency graph
+   * @param {Object} programInfo - Program information with uses, usedBy, missingDependencies, dataFiles and dataUsers
+   * @returns {string} Markdown sections or empty string
+   */
+  generateDependencies(programInfo) {
+    const { uses = [], usedBy = [], missingDependencies = [], dataFiles = [], dataUsers = [] } = programInfo;
+    const link = ref => `- [${escapeForMdx(ref.programId)}](../../${ref.chapter}/${ref.programId}/index.mdx) — ${escapeForMdx(ref.summary || ref.programId)}`;
+    const sections = [];
+
+    if (uses.length > 0) {
+      sections.push(`## Uses
+
+This program calls the following programs. Download them too and keep them in the same folder.
+
+${uses.map(link).join('\n')}`);
+    }
+
+    if (missingDependencies.length > 0) {
+      const plural = missingDependencies.length > 1;
+      sections.push(`:::warning Missing ${plural ? 'dependencies' : 'dependency'}
+This program calls ${missingDependencies.map(name => `\`${name}\``).join(', ')}, which ${plural ? 'are' : 'is'} not part of this collection.
+:::`);
+    }
+
+    if (usedBy.length > 0) {
+      sections.push(`## Used by
+
+${usedBy.map(link).join('\n')}`);
+    }
+
+    if (dataFiles.length > 0) {
+      const rows = dataFiles.map(ref =>
+        `- [\`${ref.filename}\`](../../${ref.chapter}/${ref.programId}/${ref.programId}_${ref.format}.mdx) — ${ref.access === 'write' ? 'written' : 'read'} by this program`
+      );
+      sections.push(`## Data Files
+
+This program opens the following files by name. Download them too and keep them in the same folder.
+
+${rows.join('\n')}`);
+    }
+
+    if (dataUsers.length > 0) {
+      const rows = dataUsers.map(ref =>
+        `- [${escapeForMdx(ref.programId)}](../../${ref.chapter}/${ref.programId}/index.mdx) ${ref.access === 'write' ? 'writes' : 'reads'} \`${ref.filename}\` — ${escapeForMdx(ref.summary || ref.programId)}`
+      );
+      sections.push(`## Programs Using This Data
+
+${rows.join('\n')}`);
+    }
+
+    return sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '';
+  }
 }
 
 module.exports = IndexGenerator;
@@ -8,6 +8,9 @@ const { generateSidebarLabel } = require('../utils/helpers');
 
 /**
  * Generator for LaTeX (.tex) file pages
+ * Shows the document converted by {@link module:parsers/latexConverter} on
+ * a "Rendered" tab, with math typeset by KaTeX, and the source on a second
+ * tab.
  * @extends BaseGenerator
  */
 class LatexGenerator extends BaseGenerator {
@@ -26,12 +29,13 @@ class LatexGenerator extends BaseGenerator {
    */
   generate(programInfo, fileData) {
     const { displayName, programId, chapterNum } = programInfo;
-    const { filename, staticPath, content, config } = fileData;
+    const { filename, content, config, latex } = fileData;
 
     const sidebarLabel = generateSidebarLabel(programId, chapterNum, 'latex');
     const frontmatter = this.generateFrontmatter(
       `${displayName} - LaTeX`,
-      sidebarLabel
+      sidebarLabel,
+      { description: programInfo.summary }
     );
 
     // Handle content truncation
@@ -44,24 +48,15 @@ class LatexGenerator extends BaseGenerator {
       truncated = true;
     }
 
-    const buttons = `<div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px'}}>
-  <a href="${staticPath}" download="${filename}"
-    style={{padding: '10px 20px', backgroundColor: '#10b981', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    📥 Download .tex
-  </a>
-  <a href="${staticPath}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '#3b82f6', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    🔗 Open Raw
-  </a>
-</div>`;
+    const buttons = this.generateButtons(fileData, { download: 'Download .tex', open: 'Open Raw' });
 
     const truncationWarning = truncated ? `:::warning
-This file has been truncated for display. Download the full file for complete content.
+The source has been truncated for display. Download the file for the complete source.
 :::
 
 ` : '';
 
-    const codeBlock = `## LaTeX Source
+    const codeBlock = `${this.generateSourceInfo(fileData)}
 
 \`\`\`latex title="${filename}"
 ${displayContent}
@@ -69,15 +64,94 @@ ${displayContent}
 
     const backLink = this.generateBackLink(displayName);
 
+    if (!latex) {
+      return `${frontmatter}
+
+${this.generateImports('DownloadButtons', 'FileBadge')}
+
+# ${displayName} - LaTeX Document
+
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
+
+## LaTeX Source
+
+${truncationWarning}${codeBlock}
+
+${backLink}
+`;
+    }
+
     return `${frontmatter}
 
+${this.generateImports('DownloadButtons', 'FileBadge', 'LatexTitle')}
+import Tabs from '@theme/Tabs';
+import TabItem from '@theme/TabItem';
+
 # ${displayName} - LaTeX Document
 
-${buttons}
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
+
+<Tabs>
+<TabItem value="rendered" label="Rendered" default>
+
+${this.generateUnsupportedNotice(latex.unsupported)}${this.generateTitleBlock(latex)}${latex.body}
+
+</TabItem>
+<TabItem value="source" label="Source">
 
 ${truncationWarning}${codeBlock}
 
+</TabItem>
+</Tabs>
+
 ${backLink}
+`;
+  }
+
+  /**
+   * Generate the document's title, author and date
+   * @param {import('../parsers/latexConverter').LatexDocument} latex - Converted document
+   * @returns {string} LatexTitle block, or empty string without a title
+   */
+  generateTitleBlock(latex) {
+    if (!latex.title) {
+      return '';
+    }
+
+    const byline = [latex.author, latex.date].filter(Boolean).map(line => `*${line}*`).join('<br />');
+    return `<LatexTitle>
+
+${latex.title}
+
+${byline}
+
+</LatexTitle>
+
+`;
+  }
+
+  /**
+   * Generate the list of constructs the converter left out or kept as text
+   * @param {import('../parsers/latexConverter').UnsupportedConstruct[]} unsupported - Constructs
+   * @returns {string} Admonition or empty string
+   */
+  generateUnsupportedNotice(unsupported) {
+    if (unsupported.length === 0) {
+      return '';
+    }
+
+    const list = unsupported
+      .map(({ construct, count }) => `- \`${construct}\`${count > 1 ? ` (${count}×)` : ''}`)
+      .join('\n');
+
+    return `:::caution Partially converted
+
+These constructs could not be converted; their text is shown as is or left out. See the Source tab for the original.
+
+${list}
+
+:::
+
 `;
   }
 }
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview MAT-file data page generator
+ * @module generators/MatGenerator
+ */
+
+const BaseGenerator = require('./BaseGenerator');
+const { escapeForMdx, generateSidebarLabel } = require('../utils/helpers');
+
+/**
+ * Most elements of an array previewed in the variables table
+ * @type {number}
+ */
+const MAX_INLINE_ELEMENTS = 6;
+
+/**
+ * Most elements of a matrix printed in full under "Small Arrays"
+ * @type {number}
+ */
+const MAX_MATRIX_ELEMENTS = 100;
+
+/**
+ * Most characters of a char array previewed in the variables table
+ * @type {number}
+ */
+const MAX_TEXT_PREVIEW = 60;
+
+/**
+ * Classes with numeric data
+ * @type {string[]}
+ */
+const NUMERIC_CLASSES = ['double', 'single', 'int8', 'uint8', 'int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64', 'logical'];
+
+/**
+ * Generator for MAT-file (.mat) pages
+ * Lists the variables read by {@link module:parsers/matParser} with their
+ * class, size and a preview of small arrays.
+ * @extends BaseGenerator
+ */
+class MatGenerator extends BaseGenerator {
+  /**
+   * @inheritdoc
+   */
+  getType() {
+    return 'mat';
+  }
+
+  /**
+   * Generate MAT-file detail page
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - File data
+   * @returns {string} MDX page content
+   */
+  generate(programInfo, fileData) {
+    const { displayName, programId, chapterNum } = programInfo;
+    const { filename, mat, matError } = fileData;
+
+    const sidebarLabel = generateSidebarLabel(programId, chapterNum, 'mat');
+    const frontmatter = this.generateFrontmatter(
+      `${displayName} - MAT Data`,
+      sidebarLabel,
+      { description: programInfo.summary }
+    );
+
+    const buttons = this.generateButtons(fileData, { download: 'Download .mat' });
+
+    const backLink = this.generateBackLink(displayName);
+
+    return `${frontmatter}
+
+${this.generateImports('DownloadButtons', 'FileBadge')}
+
+# ${displayName} - MAT Data
+
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
+
+Load it in MATLAB with \`load('${filename}')\`.
+
+${this.generateMatContent(mat, matError)}
+${backLink}
+`;
+  }
+
+  /**
+   * Generate the file information and variable sections, or a note why they are missing
+   * @param {import('../parsers/matParser').MatFile|null} mat - Parsed MAT-file
+   * @param {string|null} matError - Why the file could not be read
+   * @returns {string} Markdown sections
+   */
+  generateMatContent(mat, matError) {
+    if (!mat) {
+      return `:::note File not analyzed
+
+The MAT-file could not be read (${escapeForMdx(matError || 'unknown error')}), so its variables are not listed.
+
+:::
+`;
+    }
+    if (!mat.supported) {
+      return `:::caution MAT-file v7.3
+
+This file was saved in the HDF5-based v7.3 format, which this site cannot read. Re-save it with \`save('file.mat', '-v7')\` to list its variables here.
+
+:::
+`;
+    }
+
+    const format = mat.compressed ? 'Level 5 (v7, compressed)' : 'Level 5 (v6)';
+    const info = `## File Information
+
+| Property | Value |
+|----------|-------|
+| Format | MAT-file ${format} |
+| Header | ${escapeForMdx(mat.description)} |
+| Variables | ${mat.variables.length} |
+`;
+
+    if (mat.variables.length === 0) {
+      return `${info}
+*The file holds no variables.*
+`;
+    }
+
+    const rows = mat.variables.map(variable =>
+      `| \`${variable.name}\` | ${this.describeClass(variable)} | ${variable.dims.join('×')} | ${this.previewValue(variable)} |`
+    );
+
+    return `${info}
+## Variables
+
+| Name | Class | Size | Value |
+|------|-------|------|-------|
+${rows.join('\n')}
+${this.generateSmallArrays(mat.variables)}`;
+  }
+
+  /**
+   * Describe the class of a variable
+   * @param {import('../parsers/matParser').MatVariable} variable - Variable
+   * @returns {string} Class, with complex/global attributes and object class names
+   */
+  describeClass(variable) {
+    const attributes = [variable.complex && 'complex', variable.global && 'global'].filter(Boolean);
+    const className = variable.objectClass ? `${variable.className} (${variable.objectClass})` : variable.className;
+    return escapeForMdx(attributes.length > 0 ? `${className}, ${attributes.join(', ')}` : className);
+  }
+
+  /**
+   * Preview the value of a variable for the variables table
+   * @param {import('../parsers/matParser').MatVariable} variable - Variable
+   * @returns {string} Escaped preview, or '—'
+   */
+  previewValue(variable) {
+    const count = variable.dims.reduce((product, dim) => product * dim, 1);
+
+    if (variable.className === 'char') {
+      const text = variable.text.replace(/\n/g, ' ⏎ ');
+      const shown = text.length > MAX_TEXT_PREVIEW ? `${text.slice(0, MAX_TEXT_PREVIEW)}…` : text;
+      return escapeForMdx(`'${shown}'`);
+    }
+    if (count === 0) {
+      return variable.className === 'cell' ? '`{}`' : '`[]`';
+    }
+    if (variable.className === 'struct' || variable.className === 'object') {
+      return variable.fields.length > 0 ? `fields: ${variable.fields.map(field => `\`${field}\``).join(', ')}` : 'no fields';
+    }
+    if (variable.className === 'sparse') {
+      return `${variable.nnz} nonzero`;
+    }
+    if (NUMERIC_CLASSES.includes(variable.className) && count <= MAX_INLINE_ELEMENTS) {
+      const values = variable.data.map((value, i) => this.formatValue(value, variable.imag && variable.imag[i]));
+      return `\`${count === 1 ? values[0] : `[${values.join(' ')}]`}\``;
+    }
+    if (NUMERIC_CLASSES.includes(variable.className)) {
+      const finite = variable.data.filter(Number.isFinite);
+      if (finite.length > 0 && !variable.complex) {
+        const min = finite.reduce((a, b) => Math.min(a, b));
+        const max = finite.reduce((a, b) => Math.max(a, b));
+        return `range \`${this.formatValue(min)}\` to \`${this.formatValue(max)}\``;
+      }
+    }
+    return '—';
+  }
+
+  /**
+   * Print small numeric matrices in full, as MATLAB displays them
+   * @param {import('../parsers/matParser').MatVariable[]} variables - Variables
+   * @returns {string} Markdown section or empty string
+   */
+  generateSmallArrays(variables) {
+    const matrices = variables.filter(({ className, dims, data }) => {
+      const count = dims.reduce((product, dim) => product * dim, 1);
+      return NUMERIC_CLASSES.includes(className) && dims.length === 2 && data &&
+        count > MAX_INLINE_ELEMENTS && count <= MAX_MATRIX_ELEMENTS;
+    });
+    if (matrices.length === 0) {
+      return '';
+    }
+
+    const blocks = matrices.map(({ name, dims: [rows, columns], data, imag }) => {
+      const cells = data.map((value, i) => this.formatValue(value, imag && imag[i]));
+      const width = Math.max(...cells.map(cell => cell.length));
+      const lines = [];
+      for (let row = 0; row < rows; row++) {
+        const line = [];
+        for (let column = 0; column < columns; column++) line.push(cells[column * rows + row].padStart(width));
+        lines.push(`  ${line.join('  ')}`);
+      }
+      return `\`\`\`text title="${name}"
+${name} =
+
+${lines.join('\n')}
+\`\`\``;
+    });
+
+    return `
+## Small Arrays
+
+${blocks.join('\n\n')}
+`;
+  }
+
+  /**
+   * Format a number the way MATLAB's short display roughly does
+   * @param {number} real - Real part
+   * @param {number} [imag] - Imaginary part of complex values
+   * @returns {string} Formatted value
+   */
+  formatValue(real, imag) {
+    const format = (value) => {
+      if (Number.isNaN(value)) return 'NaN';
+      if (!Number.isFinite(value)) return value > 0 ? 'Inf' : '-Inf';
+      if (Number.isInteger(value) && Math.abs(value) < 1e10) return String(value);
+      const magnitude = Math.abs(value);
+      if (magnitude >= 1e5 || magnitude < 1e-3) return value.toExponential(4).replace(/\.?0+e/, 'e');
+      return String(Number(value.toPrecision(5)));
+    };
+
+    if (imag === undefined || imag === null) {
+      return format(real);
+    }
+    return `${format(real)}${imag < 0 || Object.is(imag, -0) ? '-' : '+'}${format(Math.abs(imag))}i`;
+  }
+}
+
+module.exports = MatGenerator;
@@ -26,34 +26,40 @@ class MatlabGenerator extends BaseGenerator {
    * @param {string} fileData.staticPath - Path to static file
    * @param {string} fileData.content - File content
    * @param {Object} fileData.config - File type config
+   * @param {string|null} fileData.encoding - Detected source encoding
+   * @param {string|null} fileData.lineEnding - Detected line-ending style
    * @returns {string} MDX page content
    */
   generate(programInfo, fileData) {
     const { displayName, programId, chapterNum } = programInfo;
-    const { filename, staticPath, content, config } = fileData;
+    const { filename, content, config } = fileData;
 
     const sidebarLabel = generateSidebarLabel(programId, chapterNum, 'matlab');
     const frontmatter = this.generateFrontmatter(
       `${displayName} - MATLAB`,
-      sidebarLabel
+      sidebarLabel,
+      {
+        description: programInfo.summary,
+        parameters: this.getParameterData(programInfo.parameters),
+      }
     );
 
-    const viewerButton = this.generateViewerButton(programInfo.programId);
-    const buttons = `<div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px'}}>
-${viewerButton}
-  <a href="${staticPath}" download="${filename}"
-    style={{padding: '10px 20px', backgroundColor: '#10b981', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    📥 Download .m
-  </a>
-  <a href="${staticPath}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '#3b82f6', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    🔗 Open Raw
-  </a>
-</div>`;
+    const buttons = this.generateButtons(fileData, {
+      download: 'Download .m',
+      open: 'Open Raw',
+      viewer: programInfo.viewer ? programInfo.viewer.url : null,
+    });
+
+    const signatureSection = this.generateSignatureSection(programInfo, fileData);
+    const runSection = this.generateRunSection(programInfo);
+    const components = ['DownloadButtons', 'FileBadge', 'ProgramCard'];
+    if (programInfo.runner) components.push('MatlabRunner');
 
     const codeBlock = `## Source Code
 
-\`\`\`matlab title="${filename}"
+${this.generateSourceInfo(fileData)}
+
+\`\`\`matlab title="${filename}" showLineNumbers
 ${content || '% Unable to read file'}
 \`\`\``;
 
@@ -61,13 +67,59 @@ ${content || '% Unable to read file'}
 
     return `${frontmatter}
 
+${this.generateImports(...components)}
+
 # ${displayName} - MATLAB Code
 
-${buttons}
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
 
-${codeBlock}
+${this.generateParameterTable(programInfo.parameters)}${signatureSection}${runSection}${codeBlock}
 
 ${backLink}
+`;
+  }
+
+  /**
+   * Generate the section that runs the program in the browser
+   * @param {Object} programInfo - Program information with runner paths
+   * @returns {string} Markdown section or empty string for programs that are not run
+   */
+  generateRunSection(programInfo) {
+    if (!programInfo.runner) {
+      return '';
+    }
+
+    const { src, functions } = programInfo.runner;
+    const functionsProp = functions.length > 0 ? ` functions={${JSON.stringify(functions)}}` : '';
+    return `## Run in Your Browser
+
+<MatlabRunner src="${src}"${functionsProp} />
+
+`;
+  }
+
+  /**
+   * Generate signature cards for the functions declared in the file
+   * Utility files document their own function; chapter scripts list
+   * their local functions.
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - File data with MATLAB analysis
+   * @returns {string} Markdown section or empty string
+   */
+  generateSignatureSection(programInfo, fileData) {
+    const signatures = (fileData.matlab && fileData.matlab.signatures) || [];
+    if (signatures.length === 0) {
+      return '';
+    }
+
+    const heading = programInfo.isUtility
+      ? (signatures.length > 1 ? 'Function Signatures' : 'Function Signature')
+      : 'Local Functions';
+
+    return `## ${heading}
+
+${signatures.map(signature => this.generateSignatureCard(signature)).join('\n\n')}
+
 `;
   }
 }
@@ -4,10 +4,14 @@
  */
 
 const BaseGenerator = require('./BaseGenerator');
-const { generateSidebarLabel } = require('../utils/helpers');
+const { generateSidebarLabel, escapeForMdx, markdownToMdx } = require('../utils/helpers');
 
 /**
  * Generator for Jupyter Notebook (.ipynb) file pages
+ * Renders the cells parsed by {@link module:parsers/notebookParser}:
+ * Markdown with math, code highlighted in the kernel's language, and saved
+ * outputs. Images are linked from the notebook's asset folder, which the
+ * document processor writes next to the static copy.
  * @extends BaseGenerator
  */
 class NotebookGenerator extends BaseGenerator {
@@ -26,74 +30,196 @@ class NotebookGenerator extends BaseGenerator {
    */
   generate(programInfo, fileData) {
     const { programId, displayName, chapterNum } = programInfo;
-    const { filename, staticPath, config } = fileData;
+    const { filename, config } = fileData;
 
     const sidebarLabel = generateSidebarLabel(programId, chapterNum, 'ipynb');
     const frontmatter = this.generateFrontmatter(
       `${displayName} - Notebook`,
-      sidebarLabel
+      sidebarLabel,
+      { description: programInfo.summary }
     );
 
-    const buttons = `<div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px'}}>
-  <a href="${staticPath}" download="${filename}"
-    style={{padding: '10px 20px', backgroundColor: '#10b981', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    📥 Download .ipynb
-  </a>
-</div>`;
-
-    // Generate external links if GitHub base is configured
-    let externalLinks = '';
+    // External viewers if GitHub base is configured
+    // (https://raw.githubusercontent.com/<user>/<repo>/<branch>)
+    const externalLinks = [];
     if (this.config.githubRawBase) {
-      const nbviewerUrl = `${this.config.nbviewerBaseUrl}/${this.config.githubRawBase}/static/programs/ipynb/${programId}/${filename}`;
-      const colabUrl = `https://colab.research.google.com/github/${this.config.githubRawBase.replace('raw.githubusercontent.com/', '')}/blob/main/static/programs/ipynb/${programId}/${filename}`;
-
-      externalLinks = `
-<div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px'}}>
-  <a href="${nbviewerUrl}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '#f97316', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    📖 View on nbviewer
-  </a>
-  <a href="${colabUrl}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '#facc15', color: '#1f2937', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    🔬 Open in Colab
-  </a>
-</div>`;
+      const { host, pathname } = new URL(this.config.githubRawBase);
+      const [user, repo, branch = 'main'] = pathname.split('/').filter(Boolean);
+      const filePath = `static/programs/ipynb/${programId}/${filename}`;
+      const nbviewerUrl = `${this.config.nbviewerBaseUrl}/${host}/${user}/${repo}/${branch}/${filePath}`;
+      const colabUrl = `https://colab.research.google.com/github/${user}/${repo}/blob/${branch}/${filePath}`;
+      externalLinks.push(
+        { href: nbviewerUrl, label: '📖 View on nbviewer' },
+        { href: colabUrl, label: '🔬 Open in Colab' }
+      );
     }
 
-    const info = `:::info How to View This Notebook
+    const buttons = this.generateButtons(fileData, { download: 'Download .ipynb', links: externalLinks });
 
-Jupyter Notebooks require a runtime environment to render properly:
+    const { notebook, notebookError } = fileData;
+    const backLink = this.generateBackLink(displayName);
 
-1. **Download and open locally** with Jupyter Lab, Jupyter Notebook, or VS Code
-2. **Upload to Google Colab** at [colab.research.google.com](https://colab.research.google.com/)
-3. **Use nbviewer** at [nbviewer.org](https://nbviewer.org/) by uploading the file
+    if (!notebook) {
+      return `${frontmatter}
 
-:::`;
+${this.generateImports('DownloadButtons', 'FileBadge')}
 
-    const fileInfo = `## File Information
+# ${displayName} - Jupyter Notebook
 
-| Property | Value |
-|----------|-------|
-| Filename | \`${filename}\` |
-| Format | Jupyter Notebook (.ipynb) |
-| Program ID | \`${programId}\` |`;
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
 
-    const backLink = this.generateBackLink(displayName);
+:::warning Notebook could not be rendered
+
+${escapeForMdx(notebookError || 'The notebook could not be read.')} Download it and open it in Jupyter, VS Code or Colab.
+
+:::
+
+${this.generateFileInfo(fileData)}
+
+${backLink}
+`;
+    }
+
+    const noOutputs = notebook.hasOutputs ? '' : `:::caution No saved outputs
+
+This notebook was saved without outputs. Run it in Jupyter or Colab to see its results.
+
+:::
+
+`;
+
+    const cells = notebook.cells
+      .map((cell, index) => this.renderCell(cell, index, notebook, fileData))
+      .filter(Boolean)
+      .join('\n\n');
 
     return `${frontmatter}
 
+${this.generateImports('DownloadButtons', 'FileBadge')}
+
 # ${displayName} - Jupyter Notebook
 
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${this.generateKernelBadge(notebook.kernel)}
+
 ${buttons}
-${externalLinks}
 
-${info}
+${noOutputs}## Notebook
 
-${fileInfo}
+${cells}
+
+${this.generateFileInfo(fileData)}
 
 ${backLink}
 `;
   }
+
+  /**
+   * Generate the kernel badge
+   * @param {import('../parsers/notebookParser').NotebookKernel} kernel - Kernel information
+   * @returns {string} Badge row
+   */
+  generateKernelBadge(kernel) {
+    const label = JSON.stringify(`Kernel: ${kernel.displayName}`);
+    return `<BadgeRow>
+  <FileBadge type="ipynb" emoji="⚙️" label=${label} title=${JSON.stringify(kernel.name || kernel.language || 'unknown')} />
+</BadgeRow>`;
+  }
+
+  /**
+   * Generate the file information table
+   * @param {Object} fileData - File data
+   * @returns {string} Markdown section
+   */
+  generateFileInfo(fileData) {
+    const { filename, notebook } = fileData;
+    const rows = [
+      `| Filename | \`${filename}\` |`,
+      `| Format | Jupyter Notebook (.ipynb${notebook ? `, nbformat ${notebook.nbformat}` : ''}) |`,
+    ];
+
+    if (notebook) {
+      const count = type => notebook.cells.filter(cell => cell.type === type).length;
+      rows.push(`| Kernel | ${escapeForMdx(notebook.kernel.displayName)} |`);
+      rows.push(`| Cells | ${count('code')} code, ${count('markdown')} markdown |`);
+      rows.push(`| Outputs | ${notebook.hasOutputs ? 'Saved' : 'None'} |`);
+    }
+
+    return `## File Information
+
+| Property | Value |
+|----------|-------|
+${rows.join('\n')}`;
+  }
+
+  /**
+   * Render one cell
+   * @param {import('../parsers/notebookParser').NotebookCell} cell - Cell
+   * @param {number} index - Cell index
+   * @param {import('../parsers/notebookParser').NotebookDocument} notebook - Notebook
+   * @param {Object} fileData - File data with assetsUrl
+   * @returns {string} MDX, or empty string for empty cells
+   */
+  renderCell(cell, index, notebook, fileData) {
+    if (cell.source.trim() === '' && cell.outputs.length === 0) {
+      return '';
+    }
+
+    if (cell.type === 'markdown') {
+      let source = cell.source;
+      for (const [name, asset] of Object.entries(cell.attachments)) {
+        source = source.split(`attachment:${name}`).join(`${fileData.assetsUrl}/${asset}`);
+      }
+      return markdownToMdx(source, 2);
+    }
+
+    if (cell.type === 'raw') {
+      return this.codeBlock(cell.source, 'text');
+    }
+
+    const prompt = cell.executionCount === null ? 'In [ ]' : `In [${cell.executionCount}]`;
+    const parts = cell.source.trim() === '' ? [] : [this.codeBlock(cell.source, notebook.language, prompt)];
+    cell.outputs.forEach(output => parts.push(this.renderOutput(output, index, fileData)));
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Render one output of a code cell
+   * @param {import('../parsers/notebookParser').NotebookOutput} output - Output
+   * @param {number} index - Cell index
+   * @param {Object} fileData - File data with assetsUrl
+   * @returns {string} MDX
+   */
+  renderOutput(output, index, fileData) {
+    switch (output.kind) {
+      case 'image':
+        return `![Output of cell ${index + 1}](${fileData.assetsUrl}/${output.asset})`;
+      case 'html':
+        return `<div className="notebook-output" dangerouslySetInnerHTML={{__html: ${JSON.stringify(output.html)}}} />`;
+      case 'latex':
+        return `$$\n${output.text.trim().replace(/^\$+|\$+$/g, '').trim()}\n$$`;
+      case 'error':
+        return this.codeBlock(output.text, 'text', output.ename);
+      case 'stream':
+        return this.codeBlock(output.text, 'text', output.name === 'stderr' ? 'stderr' : null);
+      default:
+        return this.codeBlock(output.text, 'text');
+    }
+  }
+
+  /**
+   * Wrap text in a fenced code block that its content cannot close
+   * @param {string} code - Code
+   * @param {string} language - Highlighting language
+   * @param {string|null} [title=null] - Block title
+   * @returns {string} Markdown code block
+   */
+  codeBlock(code, language, title = null) {
+    const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const meta = title ? ` title=${JSON.stringify(title)}` : '';
+    return `${fence}${language}${meta}\n${code.replace(/\n+$/, '')}\n${fence}`;
+  }
 }
 
 module.exports = NotebookGenerator;
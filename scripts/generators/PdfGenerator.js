@@ -4,10 +4,13 @@
  */
 
 const BaseGenerator = require('./BaseGenerator');
-const { generateSidebarLabel } = require('../utils/helpers');
+const { escapeForMdx, generateSidebarLabel } = require('../utils/helpers');
 
 /**
  * Generator for PDF (.pdf) file pages
+ * Besides the preview, pages list the document information read by
+ * {@link module:parsers/pdfParser} and its text, page by page, in a
+ * collapsed section that the site search still indexes.
  * @extends BaseGenerator
  */
 class PdfGenerator extends BaseGenerator {
@@ -19,31 +22,23 @@ class PdfGenerator extends BaseGenerator {
   }
 
   /**
-   * Generate PDF detail page with iframe preview
+   * Generate PDF detail page with document information, iframe preview and text
    * @param {Object} programInfo - Program information
    * @param {Object} fileData - File data
    * @returns {string} MDX page content
    */
   generate(programInfo, fileData) {
     const { displayName, programId, chapterNum } = programInfo;
-    const { filename, staticPath, config } = fileData;
+    const { staticPath, config, pdf, pdfError } = fileData;
 
     const sidebarLabel = generateSidebarLabel(programId, chapterNum, 'pdf');
     const frontmatter = this.generateFrontmatter(
       `${displayName} - PDF`,
-      sidebarLabel
+      sidebarLabel,
+      { description: programInfo.summary }
     );
 
-    const buttons = `<div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px'}}>
-  <a href="${staticPath}" download="${filename}"
-    style={{padding: '10px 20px', backgroundColor: '#10b981', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    📥 Download PDF
-  </a>
-  <a href="${staticPath}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '#dc2626', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    🔗 Open in New Tab
-  </a>
-</div>`;
+    const buttons = this.generateButtons(fileData, { download: 'Download PDF', open: 'Open in New Tab' });
 
     const iframeHeight = config.iframeHeight || '900px';
 
@@ -53,31 +48,124 @@ class PdfGenerator extends BaseGenerator {
 If the preview doesn't load, use the **Open in New Tab** button above.
 :::
 
-<iframe
-  src="${staticPath}"
-  width="100%"
-  height="${iframeHeight}"
-  style={{
-    border: '2px solid #e5e7eb',
-    borderRadius: '8px',
-    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-  }}
-  title="${displayName} PDF"
-/>`;
+<IframePreview src="${staticPath}" title="${displayName} PDF" height="${iframeHeight}" />`;
 
     const backLink = this.generateBackLink(displayName);
 
     return `${frontmatter}
 
+${this.generateImports('DownloadButtons', 'FileBadge', 'IframePreview')}
+
 # ${displayName} - PDF Document
 
-${buttons}
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
 
-${preview}
+${this.generateDocumentInfo(pdf, pdfError)}
 
+${preview}
+${this.generateTextContent(pdf)}
 ${backLink}
 `;
   }
+
+  /**
+   * Generate the document information table, with a note for PDFs whose text cannot be shown
+   * @param {import('../parsers/pdfParser').PdfDocument|null} pdf - Parsed PDF
+   * @param {string|null} pdfError - Why the PDF could not be read
+   * @returns {string} Markdown section
+   */
+  generateDocumentInfo(pdf, pdfError) {
+    if (!pdf) {
+      return `:::note Document not analyzed
+
+The PDF could not be read (${escapeForMdx(pdfError || 'unknown error')}), so its information and text are not shown.
+
+:::`;
+    }
+
+    const { info } = pdf;
+    const formatDate = iso => iso.replace('T', ' ').replace(/Z$/, ' UTC');
+    const rows = [
+      ['Pages', String(pdf.pageCount)],
+      ['Title', info.title && escapeForMdx(info.title)],
+      ['Author', info.author && escapeForMdx(info.author)],
+      ['Subject', info.subject && escapeForMdx(info.subject)],
+      ['Created', info.creationDate && formatDate(info.creationDate)],
+      ['Modified', info.modDate && info.modDate !== info.creationDate && formatDate(info.modDate)],
+      ['Producer', [info.creator, info.producer].filter(Boolean).map(escapeForMdx).join(' / ')],
+      ['PDF version', pdf.version],
+      ['Text', pdf.encrypted ? 'Encrypted' : pdf.scanned ? 'None (scanned pages)' : `${pdf.pages.filter(page => page).length} of ${pdf.pageCount} pages`],
+    ].filter(([, value]) => value);
+
+    let note = '';
+    if (pdf.encrypted) {
+      note = `
+
+:::note Encrypted document
+
+This PDF is encrypted, so its text could not be extracted. It may still open in your browser's viewer.
+
+:::`;
+    } else if (pdf.scanned) {
+      note = `
+
+:::note Scanned document
+
+This PDF contains page images without a text layer, so there is no text to show or search.
+
+:::`;
+    }
+
+    return `## Document Information
+
+| Property | Value |
+|----------|-------|
+${rows.map(([name, value]) => `| ${name} | ${value} |`).join('\n')}${note}`;
+  }
+
+  /**
+   * Generate the collapsible text of the document, page by page
+   * @param {import('../parsers/pdfParser').PdfDocument|null} pdf - Parsed PDF
+   * @returns {string} Markdown section, or empty string without text
+   */
+  generateTextContent(pdf) {
+    if (!pdf || !pdf.pages.some(page => page)) {
+      return '';
+    }
+
+    const pages = pdf.pages
+      .map((page, index) => {
+        const paragraphs = page
+          .split(/\n{2,}/)
+          .map(paragraph => paragraph.split('\n').map(line => this.escapeLine(line)).join('<br />\n'));
+        return [`**Page ${index + 1}**`, ...(page ? paragraphs : ['*(no text)*'])].join('\n\n');
+      })
+      .join('\n\n---\n\n');
+
+    return `
+## Text Content
+
+<details>
+<summary>Text content (${pdf.pageCount} pages)</summary>
+
+${pages}
+
+</details>
+`;
+  }
+
+  /**
+   * Escape a line of extracted text so Markdown reads it as plain text
+   * Besides inline markup, a line must not start a list, heading or
+   * admonition (e.g. '1.' before a numbered paragraph, or '=' after one).
+   * @param {string} line - Text line
+   * @returns {string} Escaped line
+   */
+  escapeLine(line) {
+    return escapeForMdx(line)
+      .replace(/^([-+=:])/, '\\$1')
+      .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+  }
 }
 
 module.exports = PdfGenerator;
@@ -0,0 +1,382 @@
+/**
+ * @fileoverview Offline search index generator
+ * @module generators/SearchIndexGenerator
+ *
+ * The index is a static JSON file that the navbar search
+ * (src/theme/SearchBar) loads on first use, so searching needs no
+ * external service. It is grouped by program: each program lists its
+ * pages with the text to match, and MATLAB pages also list identifiers
+ * and comments with line numbers, so a result can open the code at the
+ * matching line.
+ */
+
+const { sortChapterKeys, readFrontmatter } = require('../utils/helpers');
+const { sortByTypeOrder, getFormatLabel, getTypeOrder } = require('../config/fileTypes');
+const { createMatlabParser, scanLines } = require('../parsers/matlabParser');
+const { texToText } = require('../utils/svgPlot');
+
+/**
+ * Index format version, checked by the search component
+ * @type {number}
+ */
+const SEARCH_INDEX_VERSION = 1;
+
+/**
+ * Most characters of text kept per page
+ * @type {number}
+ */
+const MAX_TEXT_LENGTH = 50000;
+
+/**
+ * Most lines listed per identifier
+ * @type {number}
+ */
+const MAX_SYMBOL_LINES = 5;
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {string} type - File type, e.g. 'matlab'
+ * @property {string} label - File type label, e.g. 'MATLAB'
+ * @property {string} file - Filename
+ * @property {string} url - Page URL relative to the docs root
+ * @property {string} text - Plain text of the page (LaTeX, PDF, notebook and text files)
+ * @property {Object.<string, number[]>} [symbols] - MATLAB identifier -> 1-based lines
+ * @property {Array<[number, string]>} [comments] - MATLAB comment lines as [line, text]
+ */
+
+/**
+ * @typedef {Object} SearchProgram
+ * @property {string} id - Program ID
+ * @property {string} chapter - Chapter number, or 'utilities'
+ * @property {string} kind - 'Fig', 'Exercise' or 'Utility'
+ * @property {string} number - Figure or exercise number
+ * @property {string} variant - Variant letter(s), e.g. 'a'
+ * @property {string} title - Display name
+ * @property {string} summary - One-line summary
+ * @property {string} description - Longer description from the help block
+ * @property {string} url - Index page URL relative to the docs root
+ * @property {SearchDocument[]} documents - Pages of the program
+ */
+
+/**
+ * Reduce Markdown/MDX to the words a reader sees
+ * @param {string} markdown - Markdown or MDX
+ * @returns {string} Plain text
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^(?:import .*|:::.*)$/gm, '')
+    .replace(/<[^>\n]+>/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\\([\\`*_{}[\]<>|#~$])/g, '$1')
+    .replace(/[*_`#>|]+/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * @typedef {Object} GeneratedProgram
+ * @property {Object} programInfo - Program information parsed from the folder name
+ * @property {Array<{name: string, content: string}>} pages - MDX pages of the program folder
+ */
+
+/**
+ * Remove the imports, JSX tags and code fences of a generated page
+ * Tags may span lines (style objects of older pages); escaped \\< is text.
+ * @param {string} body - MDX after the frontmatter
+ * @returns {string} Markdown
+ */
+function stripMdx(body) {
+  return body
+    .replace(/^(?:import .*|```.*)$/gm, '')
+    .replace(/(?<!\\)<\/?[A-Za-z][^<>]*>/g, ' ')
+    .replace(/^[ \t]+|[ \t]+$/gm, '');
+}
+
+/**
+ * Generator for the search index (static/search-index.json)
+ */
+class SearchIndexGenerator {
+  /**
+   * Create a search index generator
+   * @param {Object} config - Application configuration
+   * @param {function(string): boolean} [hasPage] - Whether files of a type get a page of their own
+   *   (files of plugin types without a generator only appear on the program's index page)
+   */
+  constructor(config, hasPage = () => true) {
+    this.config = config;
+    this.hasPage = hasPage;
+  }
+
+  /**
+   * Build the search index
+   * @param {Map<string, Set<string>>} byChapter - Map of chapter -> Set of program IDs
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, filesList }
+   * @returns {{version: number, programs: SearchProgram[]}} Search index
+   */
+  buildIndex(byChapter, programFiles) {
+    const programs = [];
+
+    for (const chapterNum of Array.from(byChapter.keys()).sort(sortChapterKeys)) {
+      for (const programId of Array.from(byChapter.get(chapterNum)).sort()) {
+        const program = programFiles.get(programId);
+        if (!program || !program.filesList || program.filesList.length === 0) continue;
+
+        programs.push(this.buildProgram(program.programInfo, program.filesList));
+      }
+    }
+
+    return { version: SEARCH_INDEX_VERSION, programs };
+  }
+
+  /**
+   * Generate the search index file content
+   * @param {Map<string, Set<string>>} byChapter - Map of chapter -> Set of program IDs
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, filesList }
+   * @returns {string} JSON content
+   */
+  generate(byChapter, programFiles) {
+    return `${JSON.stringify(this.buildIndex(byChapter, programFiles))}\n`;
+  }
+
+  /**
+   * Build the search index from program pages generated earlier
+   * Used when there are no sources to read, as when the site is built from
+   * the committed docs with an empty INBOX. Titles and summaries come from
+   * the frontmatter, identifiers and comments from the code block of MATLAB
+   * pages, and the text from the rest of each page.
+   * @param {GeneratedProgram[]} programs - Program folders of the docs directory
+   * @returns {{version: number, programs: SearchProgram[]}} Search index
+   */
+  buildIndexFromPages(programs) {
+    const sorted = [...programs].sort((a, b) =>
+      sortChapterKeys(a.programInfo.chapterNum, b.programInfo.chapterNum)
+      || a.programInfo.programId.localeCompare(b.programInfo.programId));
+
+    return {
+      version: SEARCH_INDEX_VERSION,
+      programs: sorted.map(({ programInfo, pages }) => this.buildProgramFromPages(programInfo, pages)),
+    };
+  }
+
+  /**
+   * Generate the search index file content from program pages
+   * @param {GeneratedProgram[]} programs - Program folders of the docs directory
+   * @returns {string} JSON content
+   */
+  generateFromPages(programs) {
+    return `${JSON.stringify(this.buildIndexFromPages(programs))}\n`;
+  }
+
+  /**
+   * Build the index entry of a program {Object} programInfo - Program information
+   * @param {Array} filesList - Processed file data
+   * @returns {SearchProgram} Program entry
+   * @private
+   */
+  buildProgram(programInfo, filesList) {
+    const { programId, chapter, chapterNum } = programInfo;
+    const baseUrl = `${chapter}/${programId}`;
+
+    return {
+      id: programId,
+      chapter: chapterNum,
+      kind: programInfo.type,
+      number: programInfo.number,
+      variant: programInfo.variant,
+      title: programInfo.displayName,
+      summary: programInfo.summary || '',
+      description: programInfo.description || '',
+      url: `${baseUrl}/`,
+      documents: sortByTypeOrder(filesList, this.config.fileTypes)
+        .map(fileData => this.buildDocument(
+          fileData,
+          this.hasPage(fileData.config.type) ? `${baseUrl}/${programId}_${fileData.format}` : `${baseUrl}/`
+        )),
+    };
+  }
+
+  /**
+   * Build the index entry of a page
+   * @param {Object} fileData - Processed file data
+   * @param {string} url - Page URL relative to the docs root
+   * @returns {SearchDocument} Page entry
+   * @private
+   */
+  buildDocument(fileData, url) {
+    const { filename, config } = fileData;
+    const document = {
+      type: config.type,
+      label: getFormatLabel(fileData),
+      file: filename,
+      url,
+      text: this.extractText(fileData).slice(0, MAX_TEXT_LENGTH),
+    };
+
+    if (fileData.matlab && fileData.content) {
+      Object.assign(document, this.indexMatlab(fileData.content, fileData.matlab.identifiers));
+    }
+    return document;
+  }
+
+  /**
+   * Build the index entry of a program from its pages
+   * @param {Object} programInfo - Program information
+   * @param {Array<{name: string, content: string}>} pages - MDX pages of the program folder
+   * @returns {SearchProgram} Program entry
+   * @private
+   */
+  buildProgramFromPages(programInfo, pages) {
+    const { programId, chapter, chapterNum } = programInfo;
+    const baseUrl = `${chapter}/${programId}`;
+    const index = pages.find(page => page.name === 'index.mdx');
+    const { data } = readFrontmatter(index ? index.content : '');
+    const typeOrder = getTypeOrder(this.config.fileTypes);
+
+    // Detail pages are named <programId>_<format>.mdx, the format starting with the file type
+    const documents = [];
+    for (const { name, content } of pages) {
+      const format = name.startsWith(`${programId}_`) && name.endsWith('.mdx')
+        ? name.slice(programId.length + 1, -'.mdx'.length)
+        : null;
+      const type = format && typeOrder.find(candidate => format === candidate || format.startsWith(`${candidate}_`));
+      if (!type) continue;
+
+      const config = Object.values(this.config.fileTypes).find(fileType => fileType.type === type);
+      const url = `${baseUrl}/${programId}_${format}`;
+      documents.push(this.buildDocumentFromPage({ programId, format, config }, content, url));
+    }
+
+    return {
+      id: programId,
+      chapter: chapterNum,
+      kind: programInfo.type,
+      number: programInfo.number,
+      variant: programInfo.variant,
+      title: data.title || programInfo.displayName,
+      summary: data.description || '',
+      description: '',
+      url: `${baseUrl}/`,
+      documents: documents.sort((a, b) =>
+        typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.url.localeCompare(b.url)),
+    };
+  }
+
+  /**
+   * Build the index entry of a generated page
+   * @param {{programId: string, format: string, config: Object}} fileData - Program ID, format and
+   *   file type configuration
+   * @param {string} content - Page content
+   * @param {string} url - Page URL relative to the docs root
+   * @returns {SearchDocument} Page entry
+   * @private
+   */
+  buildDocumentFromPage(fileData, content, url) {
+    const { body } = readFrontmatter(content);
+    // The download link of the static copy names the file
+    const link = Array.from(body.matchAll(/\/programs\/[^/"'()<>\n]+\/([^/"'()<>\n]+)\/([^/"'()<>?#\n]+)/g))
+      .find(([, folder]) => decodeURIComponent(folder) === fileData.programId);
+    // The source is the code block titled with the filename; others show signatures
+    const code = body.match(/^```matlab title=[^\n]*\n([\s\S]*?)^```$/m);
+    const document = {
+      type: fileData.config.type,
+      label: getFormatLabel(fileData),
+      file: link ? decodeURIComponent(link[2]) : '',
+      url,
+      text: '',
+    };
+
+    if (fileData.config.type === 'matlab' && code) {
+      const source = code[1].replace(/\r\n?/g, '\n');
+      Object.assign(document, this.indexMatlab(source, createMatlabParser().parseIdentifiers(source).identifiers));
+    } else {
+      document.text = markdownToText(stripMdx(body)).slice(0, MAX_TEXT_LENGTH);
+    }
+    return document;
+  }
+
+  /**
+   * Extract the searchable text of a non-MATLAB file
+   * @param {Object} fileData - Processed file data
+   * @returns {string} Plain text, or '' if there is none
+   * @private
+   */
+  extractText(fileData) {
+    const { config, content } = fileData;
+
+    if (fileData.latex) {
+      return markdownToText([fileData.latex.title, fileData.latex.author, fileData.latex.body].filter(Boolean).join('\n'));
+    }
+    if (fileData.pdf) {
+      return fileData.pdf.pages.join('\n');
+    }
+    if (fileData.notebook) {
+      return fileData.notebook.cells
+        .map(cell => (cell.type === 'markdown' ? markdownToText(cell.source) : cell.source))
+        .join('\n');
+    }
+    if (fileData.figure) {
+      return fileData.figure.axes
+        .flatMap(axes => [axes.title, axes.xlabel, axes.ylabel, ...axes.series.map(series => series.label)])
+        .filter(Boolean)
+        .map(texToText)
+        .join('\n');
+    }
+    if (fileData.mat) {
+      return fileData.mat.variables.map(variable => variable.name).join(' ');
+    }
+    if (fileData.table) {
+      const { header, columns, comments, notes, legend } = fileData.table;
+      return [
+        ...(header === 'none' ? [] : columns.map(column => column.name)),
+        ...comments,
+        ...(legend || []).map(({ name, description }) => `${name} ${description}`),
+        ...notes,
+      ].join('\n');
+    }
+    if (config.type === 'html' && content) {
+      return content
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    }
+    if (config.type === 'text' && content) {
+      return content;
+    }
+    return '';
+  }
+
+  /**
+   * List the lines of each identifier and the comment lines of MATLAB code
+   * @param {string} content - Source code with LF line endings
+   * @param {string[]} identifiers - Identifiers found by the MATLAB parser
+   * @returns {{symbols: Object.<string, number[]>, comments: Array<[number, string]>}} Line index
+   * @private
+   */
+  indexMatlab(content, identifiers) {
+    const known = new Set(identifiers);
+    const symbols = {};
+    const comments = [];
+
+    scanLines(content).forEach(({ code, comment }, index) => {
+      const line = index + 1;
+
+      for (const [name] of code.matchAll(/(?<![\w.])[A-Za-z]\w*/g)) {
+        if (!known.has(name)) continue;
+        const lines = symbols[name] || (symbols[name] = []);
+        if (lines.length < MAX_SYMBOL_LINES && lines[lines.length - 1] !== line) lines.push(line);
+      }
+
+      const text = comment.replace(/^[%\s]+/, '').trim();
+      if (/[A-Za-z]{2}/.test(text)) {
+        comments.push([line, text]);
+      }
+    });
+
+    return { symbols, comments };
+  }
+}
+
+module.exports = SearchIndexGenerator;
@@ -3,8 +3,9 @@
  * @module generators/SidebarGenerator
  */
 
-const { getChapterName } = require('../config/chapters');
-const { sortChapterKeys, generateSidebarLabel } = require('../utils/helpers');
+const { sortChapterKeys, extractShortLabel } = require('../utils/helpers');
+const { sortByTypeOrder, getFormatLabel } = require('../config/fileTypes');
+const ChapterGalleryGenerator = require('./ChapterGalleryGenerator');
 
 /**
  * Generator for Docusaurus sidebar configuration
@@ -19,85 +20,71 @@ class SidebarGenerator {
   }
 
   /**
-   * Generate sidebar configuration content
+   * Build the sidebar configuration object
    * @param {Map<string, Set<string>>} byChapter - Map of chapter -> Set of program IDs
    * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, files }
-   * @returns {string} JavaScript module content for sidebars.js
+   * @returns {Object} Docusaurus SidebarsConfig with a single tutorialSidebar
    */
-  generate(byChapter, programFiles) {
+  buildSidebars(byChapter, programFiles) {
     const categories = Array.from(byChapter.keys())
       .sort(sortChapterKeys)
       .map(chapterNum => this.generateCategory(chapterNum, byChapter.get(chapterNum), programFiles));
 
-    return `/**
- * Auto-generated sidebar configuration
- * Generated by: Applied QM Documentation Generator v${this.config.version}
- * Last updated: ${new Date().toISOString()}
- *
- * DO NOT EDIT MANUALLY - Changes will be overwritten on next generation
- */
-
-// @ts-check
-
-/** @type {import('@docusaurus/plugin-content-docs').SidebarsConfig} */
-const sidebars = {
-  tutorialSidebar: [
-    {
-      type: 'doc',
-      id: 'intro',
-      label: '📖 Introduction',
-    },
-    {
-      type: 'category',
-      label: '📚 Programs by Chapter',
-      collapsed: false,
-      items: [
-${categories.map(cat => `        ${JSON.stringify(cat, null, 2).split('\n').join('\n        ')}`).join(',\n')},
-      ],
-    },
-    {
+    const docsCategory = (label, id, docLabel) => ({
       type: 'category',
-      label: '🛠️ Developer Guide',
+      label,
       collapsed: true,
-      items: [
-        { type: 'doc', id: 'developer-guide/index', label: 'Overview' },
-        { type: 'doc', id: 'developer-guide/changelog', label: '📝 Changelog' },
-        {
-          type: 'category',
-          label: 'Configuration',
-          collapsed: true,
-          items: [
-            { type: 'doc', id: 'developer-guide/config/index', label: 'Config Module' },
-          ],
-        },
+      items: [{ type: 'doc', id, label: docLabel }],
+    });
+
+    return {
+      tutorialSidebar: [
+        { type: 'doc', id: 'intro', label: '📖 Introduction' },
         {
           type: 'category',
-          label: 'Utilities',
-          collapsed: true,
-          items: [
-            { type: 'doc', id: 'developer-guide/utils/index', label: 'Utils Module' },
-          ],
+          label: '📚 Programs by Chapter',
+          collapsed: false,
+          items: categories,
         },
+        { type: 'doc', id: 'program-dependencies', label: '🔗 Program Dependencies' },
         {
           type: 'category',
-          label: 'Generators',
+          label: '🛠️ Developer Guide',
           collapsed: true,
           items: [
-            { type: 'doc', id: 'developer-guide/generators/index', label: 'Generators Module' },
-          ],
-        },
-        {
-          type: 'category',
-          label: 'Services',
-          collapsed: true,
-          items: [
-            { type: 'doc', id: 'developer-guide/services/index', label: 'Services Module' },
+            { type: 'doc', id: 'developer-guide/index', label: 'Overview' },
+            { type: 'doc', id: 'developer-guide/changelog', label: '📝 Changelog' },
+            docsCategory('Configuration', 'developer-guide/config/index', 'Config Module'),
+            docsCategory('Utilities', 'developer-guide/utils/index', 'Utils Module'),
+            docsCategory('Generators', 'developer-guide/generators/index', 'Generators Module'),
+            docsCategory('Services', 'developer-guide/services/index', 'Services Module'),
           ],
         },
       ],
-    },
-  ],
-};
+    };
+  }
+
+  /**
+   * Generate sidebar configuration content
+   * @param {Map<string, Set<string>>} byChapter - Map of chapter -> Set of program IDs
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, files }
+   * @returns {string} JavaScript module content for sidebars.js
+   */
+  generate(byChapter, programFiles) {
+    const sidebars = this.buildSidebars(byChapter, programFiles);
+
+    return `/**
+ * Auto-generated sidebar configuration
+ * Generated by: Applied QM Documentation Generator v${this.config.version}
+ * Last updated: ${new Date().toISOString()}
+ *
+ * DO NOT EDIT MANUALLY - Changes will be overwritten on next generation
+ */
+
+// @ts-check
+
+/** @type {import('@docusaurus/plugin-content-docs').SidebarsConfig} */
+const sidebars = ${JSON.stringify(sidebars, null, 2)};
 
 module.exports = sidebars;
 `;
@@ -116,29 +103,24 @@ module.exports = sidebars;
     // Sort programs and generate items for each file
     const sortedPrograms = Array.from(programs).sort();
 
+    // Gallery page first, when any program has a figure or animation
+    const hasGallery = sortedPrograms.some(programId =>
+      programFiles.has(programId) && ChapterGalleryGenerator.hasMedia(programFiles.get(programId).files));
+    if (hasGallery) {
+      const folder = chapterNum === 'utilities' ? 'utilities' : `chapter${chapterNum}`;
+      items.push({ type: 'doc', id: `${folder}/gallery`, label: '🖼️ Figure Gallery' });
+    }
+
     for (const programId of sortedPrograms) {
       const programData = programFiles.get(programId);
       if (!programData) continue;
 
-      const { files } = programData;
-
-      // Sort files by type: matlab first, then latex, then pdf, then others
-      const typeOrder = ['matlab', 'latex', 'pdf', 'html', 'ipynb', 'text'];
-      const sortedFiles = [...files].sort((a, b) => {
-        const aIdx = typeOrder.indexOf(a.config.type);
-        const bIdx = typeOrder.indexOf(b.config.type);
-        return aIdx - bIdx;
-      });
-
-      // Generate sidebar item for each file
-      for (const file of sortedFiles) {
-        items.push(this.generateFileItem(chapterNum, programId, file));
-      }
+      items.push(this.generateProgramItem(chapterNum, programId, programData));
     }
 
     const label = chapterNum === 'utilities'
-      ? `🔧 ${getChapterName(chapterNum)}`
-      : `Ch ${parseInt(chapterNum, 10)}: ${getChapterName(chapterNum)}`;
+      ? `🔧 ${this.config.getChapterName(chapterNum)}`
+      : `Ch ${parseInt(chapterNum, 10)}: ${this.config.getChapterName(chapterNum)}`;
 
     return {
       type: 'category',
@@ -148,25 +130,63 @@ module.exports = sidebars;
     };
   }
 
+  /**
+   * Generate the sidebar category of a program
+   * The category opens the program page; its items are the detail pages
+   * of the formats, so a program takes a single entry in the chapter.
+   * Like the format items, it carries the program summary as its tooltip.
+   * @param {string} chapterNum - Chapter number or 'utilities'
+   * @param {string} programId - Program ID
+   * @param {Object} programData - Program data with programInfo and files
+   * @returns {Object} Sidebar category object
+   */
+  generateProgramItem(chapterNum, programId, { programInfo, files }) {
+    const folder = chapterNum === 'utilities' ? 'utilities' : `chapter${chapterNum}`;
+
+    // Sort files by type, in the order the file types are defined
+    const sortedFiles = sortByTypeOrder(files, this.config.fileTypes);
+
+    const category = {
+      type: 'category',
+      label: extractShortLabel(programId, chapterNum),
+      link: { type: 'doc', id: `${folder}/${programId}/index` },
+      collapsed: true,
+      items: sortedFiles.map(file => this.generateFileItem(chapterNum, programId, file, programInfo)),
+    };
+
+    if (programInfo && programInfo.summary) {
+      category.customProps = { description: programInfo.summary };
+    }
+
+    return category;
+  }
+
   /**
    * Generate a single file item for the sidebar
+   * The program summary is passed as customProps.description and shown
+   * as the item tooltip by the swizzled DocSidebarItem/Link and
+   * DocSidebarItem/Category.
    * @param {string} chapterNum - Chapter number or 'utilities'
    * @param {string} programId - Program ID
-   * @param {Object} file - File info with filename and config
+   * @param {Object} file - File info with filename, config and format
+   * @param {Object} [programInfo] - Program information with summary
    * @returns {Object} Sidebar doc item object
    */
-  generateFileItem(chapterNum, programId, file) {
+  generateFileItem(chapterNum, programId, file, programInfo) {
     const folder = chapterNum === 'utilities' ? 'utilities' : `chapter${chapterNum}`;
-    const { config } = file;
-
-    // Use shared helper to generate consistent sidebar label
-    const label = generateSidebarLabel(programId, chapterNum, config.type);
+    const { config, format } = file;
 
-    return {
+    const item = {
       type: 'doc',
-      id: `${folder}/${programId}/${programId}_${config.type}`,
-      label,
+      id: `${folder}/${programId}/${programId}_${format}`,
+      label: `${config.emoji} ${getFormatLabel(file)}`,
     };
+
+    if (programInfo && programInfo.summary) {
+      item.customProps = { description: programInfo.summary };
+    }
+
+    return item;
   }
 }
 
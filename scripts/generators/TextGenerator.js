@@ -26,27 +26,21 @@ class TextGenerator extends BaseGenerator {
    */
   generate(programInfo, fileData) {
     const { displayName, programId, chapterNum } = programInfo;
-    const { filename, staticPath, content, config } = fileData;
+    const { filename, content, config } = fileData;
 
     const sidebarLabel = generateSidebarLabel(programId, chapterNum, 'text');
     const frontmatter = this.generateFrontmatter(
       `${displayName} - Text`,
-      sidebarLabel
+      sidebarLabel,
+      { description: programInfo.summary }
     );
 
-    const buttons = `<div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px'}}>
-  <a href="${staticPath}" download="${filename}"
-    style={{padding: '10px 20px', backgroundColor: '#10b981', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    📥 Download
-  </a>
-  <a href="${staticPath}" target="_blank" rel="noopener noreferrer"
-    style={{padding: '10px 20px', backgroundColor: '#3b82f6', color: 'white', borderRadius: '6px', textDecoration: 'none', fontWeight: 'bold'}}>
-    🔗 Open Raw
-  </a>
-</div>`;
+    const buttons = this.generateButtons(fileData, { open: 'Open Raw' });
 
     const codeBlock = `## Content
 
+${this.generateSourceInfo(fileData)}
+
 \`\`\`text title="${filename}"
 ${content || 'Unable to read file'}
 \`\`\``;
@@ -55,9 +49,11 @@ ${content || 'Unable to read file'}
 
     return `${frontmatter}
 
+${this.generateImports('DownloadButtons', 'FileBadge')}
+
 # ${displayName} - Text File
 
-${buttons}
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
 
 ${codeBlock}
 
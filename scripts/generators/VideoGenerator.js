@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Animation (video) page generator
+ * @module generators/VideoGenerator
+ */
+
+const BaseGenerator = require('./BaseGenerator');
+const { generateSidebarLabel } = require('../utils/helpers');
+const { getFormatLabel } = require('../config/fileTypes');
+
+/**
+ * Generator for animation (.mp4, .webm) pages
+ * Animations of the book's time-dependent figures play in a looping
+ * player (the site's VideoPlayer component), followed by the size and
+ * duration read by {@link module:parsers/mediaParser}.
+ * @extends BaseGenerator
+ */
+class VideoGenerator extends BaseGenerator {
+  /**
+   * @inheritdoc
+   */
+  getType() {
+    return 'video';
+  }
+
+  /**
+   * Generate animation detail page
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - File data
+   * @returns {string} MDX page content
+   */
+  generate(programInfo, fileData) {
+    const { displayName, programId, chapterNum } = programInfo;
+    const { filename, staticPath, media, mediaError } = fileData;
+
+    const sidebarLabel = generateSidebarLabel(programId, chapterNum, fileData.format || 'video');
+    const frontmatter = this.generateFrontmatter(
+      `${displayName} - ${getFormatLabel(fileData, 'Animation')}`,
+      sidebarLabel,
+      { description: programInfo.summary }
+    );
+
+    const buttons = this.generateButtons(fileData, { open: 'Open in New Tab' });
+
+    const type = filename.toLowerCase().endsWith('.webm') ? 'video/webm' : 'video/mp4';
+    const size = media && media.width && media.height ? ` width={${media.width}} height={${media.height}}` : '';
+    const player = `<VideoPlayer src="${staticPath}" type="${type}"${size} />`;
+
+    const backLink = this.generateBackLink(displayName);
+
+    return `${frontmatter}
+
+${this.generateImports('DownloadButtons', 'FileBadge', 'VideoPlayer')}
+
+# ${displayName} - ${getFormatLabel(fileData, 'Animation')}
+
+${this.generateSubtitle(programInfo)}${this.generateFormatSwitcher(programInfo, fileData)}${buttons}
+
+${player}
+
+${this.generateMediaInfo(media, mediaError)}
+
+${backLink}
+`;
+  }
+}
+
+module.exports = VideoGenerator;
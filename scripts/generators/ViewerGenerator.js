@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Interactive viewer data generator
+ * @module generators/ViewerGenerator
+ *
+ * The viewer (src/components/ProgramViewer) is a page per program at
+ * /viewer/<programId> that shows the source next to its plots, with a
+ * slider for each numeric parameter. Moving a slider writes the new value
+ * into the source and runs the program again with the browser interpreter.
+ * This generator decides which programs suit the viewer and builds the
+ * JSON the page loads: the source, the function files to fetch and the
+ * range of each slider.
+ */
+
+const { checkProgram } = require('../interpreter');
+const { scanLines } = require('../parsers/matlabParser');
+
+/**
+ * Data format version, checked by the viewer component
+ * @type {number}
+ */
+const VIEWER_DATA_VERSION = 1;
+
+/**
+ * Functions that draw a plot the viewer can show
+ * @type {Set<string>}
+ */
+const PLOT_FUNCTIONS = new Set(['plot', 'semilogx', 'semilogy', 'loglog', 'line']);
+
+/**
+ * Descriptions of the physical constants programs define; changing one
+ * only breaks the units, so they get no slider
+ * @type {RegExp}
+ */
+const PHYSICAL_CONSTANT = /\b(?:planck|boltzmann)\b|electron charge|(?:speed|velocity) of light|permittivity of free|^(?:bare )?electron mass/i;
+
+/**
+ * Steps of a slider for a non-integer parameter
+ * @type {number}
+ */
+const SLIDER_STEPS = 100;
+
+/**
+ * @typedef {Object} ViewerParameter
+ * @property {string} name - Variable name
+ * @property {number} value - Value in the source
+ * @property {string} description - Trailing comment without units, or ''
+ * @property {string} units - Units, or ''
+ * @property {number} line - 1-based line of the assignment
+ * @property {number} column - 0-based offset of the value text in the line
+ * @property {number} length - Length of the value text
+ * @property {number} min - Slider minimum
+ * @property {number} max - Slider maximum
+ * @property {number} step - Slider step
+ */
+
+/**
+ * @typedef {Object} ViewerData
+ * @property {number} version - Data format version
+ * @property {string} programId - Program ID
+ * @property {string} title - Display name
+ * @property {string} summary - One-line summary
+ * @property {string} url - Index page URL relative to the docs root
+ * @property {string} filename - Filename of the program
+ * @property {string} source - Program source
+ * @property {string[]} functions - Static paths of the function files the program calls
+ * @property {ViewerParameter[]} parameters - Parameters with sliders
+ */
+
+/**
+ * Round away floating-point noise from a slider bound
+ * @param {number} value - Value
+ * @returns {number} Value with 12 significant digits
+ */
+function clean(value) {
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * Round a step size up to 1, 2 or 5 times a power of ten
+ * @param {number} step - Step size
+ * @returns {number} Nice step size
+ */
+function niceStep(step) {
+  const power = Math.pow(10, Math.floor(Math.log10(step)));
+  const mantissa = step / power;
+  const nice = mantissa <= 1 ? 1 : mantissa <= 2 ? 2 : mantissa <= 5 ? 5 : 10;
+  return clean(nice * power);
+}
+
+/**
+ * Check whether a parameter counts something: its name starts with n or
+ * num, or it bounds a range such as 1:N
+ * @param {string} name - Variable name
+ * @param {string} code - Program code without comments
+ * @returns {boolean} True if the parameter needs whole numbers
+ */
+function isCount(name, code) {
+  return /^(?:n|num)/i.test(name) ||
+    new RegExp(`(?<![\\w.])${name}\\s*:|:\\s*${name}(?![\\w.])`).test(code);
+}
+
+/**
+ * Choose the slider range of a parameter
+ * Counts get whole steps from a quarter of the value to twice it. Other
+ * values run from about a tenth to three times the value, in steps that
+ * keep the source value on the slider.
+ * @param {number} value - Value in the source
+ * @param {boolean} count - Whether the parameter counts something
+ * @returns {{min: number, max: number, step: number}} Slider range
+ */
+function sliderRange(value, count) {
+  if (count) {
+    return value > 0
+      ? { min: Math.max(1, Math.floor(value / 4)), max: Math.max(value * 2, value + 5), step: 1 }
+      : { min: value - 10, max: value + 10, step: 1 };
+  }
+  if (value === 0) {
+    return { min: -1, max: 1, step: 0.02 };
+  }
+
+  const size = Math.abs(value);
+  const step = niceStep((size * 2.9) / SLIDER_STEPS);
+  const below = Math.floor((size * 0.9) / step) * step;
+  const above = Math.floor((size * 2) / step) * step;
+  return value > 0
+    ? { min: clean(value - below), max: clean(value + above), step }
+    : { min: clean(value - above), max: clean(value + below), step };
+}
+
+/**
+ * Generator for the data of the interactive viewer
+ */
+class ViewerGenerator {
+  /**
+   * Create a viewer generator
+   * @param {Object} config - Application configuration
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Check whether a program suits the viewer
+   * The program must have numeric parameters to change, draw a line plot,
+   * not ask for input, and use only what the browser interpreter can run.
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - MATLAB file data of the program
+   * @param {Object<string, string>} functions - Sources of the function files it calls, by name
+   * @returns {boolean} True if the viewer can show the program
+   */
+  isCompatible(programInfo, fileData, functions) {
+    const { calls } = fileData.matlab;
+    return this.getParameters(programInfo, fileData).length > 0 &&
+      calls.some(name => PLOT_FUNCTIONS.has(name)) &&
+      !calls.includes('input') &&
+      checkProgram(fileData.content, { functions }).length === 0;
+  }
+
+  /**
+   * Get the parameters that can have a slider, with their ranges
+   * Physical constants and variables the program assigns again (counters,
+   * loop variables) are left out, as are values whose text is not found
+   * on their line, since the viewer could not replace them in the source.
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - MATLAB file data of the program
+   * @returns {ViewerParameter[]} Parameters in source order
+   */
+  getParameters(programInfo, fileData) {
+    const lines = (fileData.content || '').split('\n');
+    const code = scanLines(fileData.content || '').map(line => line.code).join('\n');
+
+    return programInfo.parameters.flatMap(({ name, value, numericValue, description, units, line }) => {
+      if (!Number.isFinite(numericValue) || PHYSICAL_CONSTANT.test(description)) return [];
+
+      const assignments = code.match(new RegExp(`(?<![\\w.])${name}\\s*=(?!=)`, 'g')) || [];
+      if (assignments.length > 1) return [];
+
+      const match = new RegExp(`(?<![\\w.])${name}\\s*=\\s*`).exec(lines[line - 1]);
+      if (!match || !lines[line - 1].startsWith(value, match.index + match[0].length)) return [];
+
+      return [{
+        name,
+        value: numericValue,
+        description,
+        units,
+        line,
+        column: match.index + match[0].length,
+        length: value.length,
+        ...sliderRange(numericValue, /^[+-]?\d+$/.test(value) && isCount(name, code)),
+      }];
+    });
+  }
+
+  /**
+   * Generate the viewer data of a program
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - MATLAB file data of the program
+   * @param {string[]} functions - Static paths of the function files it calls
+   * @returns {string} JSON content
+   */
+  generate(programInfo, fileData, functions) {
+    const { programId, chapter } = programInfo;
+
+    /** @type {ViewerData} */
+    const data = {
+      version: VIEWER_DATA_VERSION,
+      programId,
+      title: programInfo.displayName,
+      summary: programInfo.summary || '',
+      url: `${chapter}/${programId}/`,
+      filename: fileData.filename,
+      source: fileData.content,
+      functions,
+      parameters: this.getParameters(programInfo, fileData),
+    };
+    return JSON.stringify(data);
+  }
+}
+
+module.exports = ViewerGenerator;
@@ -17,11 +17,17 @@
  *   (none)        Process all files once
  *   --watch, -w   Watch for changes and auto-regenerate
  *   --clean, -c   Remove all generated documentation
+ *   --audit, -a   List generated output whose source is gone
  *   --help, -h    Show help message
  *
  * Options:
+ *   --config <path>       Use a specific configuration file
  *   --source, -s <path>   Scan a specific folder
  *   --recursive, -r       Scan subdirectories
+ *   --force, -f           Regenerate every program, even if unchanged
+ *   --keep-orphans        Report orphaned output instead of removing it
+ *   --dry-run, -n         Report planned changes and diffs without writing
+ *   --on-collision <p>    Program ID collision policy: fail, namespace, newest, suffix
  */
 
 const { createApp } = require('./app');
@@ -35,7 +41,14 @@ function main() {
   const options = parseArgs();
 
   // Create application
-  const app = createApp(options);
+  let app;
+  try {
+    app = createApp(options);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+    return;
+  }
 
   // Dispatch to appropriate command
   switch (options.command) {
@@ -47,12 +60,18 @@ function main() {
       app.clean();
       break;
 
+    case 'audit':
+      app.audit();
+      break;
+
     case 'help':
       app.help();
       break;
 
     default:
-      app.run();
+      if (app.run().failed) {
+        process.exitCode = 1;
+      }
       break;
   }
 }
@@ -0,0 +1,1142 @@
+/**
+ * @fileoverview Built-in functions of the MATLAB interpreter
+ * @module interpreter/builtins
+ *
+ * The functions the book's programs call, implemented for real and complex
+ * doubles. A builtin receives its argument values, the number of outputs
+ * the caller asks for and the run context (console, figures, function
+ * calls); it returns one value, an array of values when it has several
+ * outputs, or undefined when it returns nothing.
+ */
+
+const {
+  Matrix,
+  FunctionHandle,
+  programError,
+  zeros,
+  rowVector,
+  columnVector,
+  complexScalar,
+  charRow,
+  charMatrix,
+  toMatrix,
+  narrow,
+  simplify,
+  isChar,
+  numel,
+  toScalar,
+  toText,
+  toNumbers,
+} = require('./values');
+const {
+  COLON,
+  complexMultiply,
+  complexDivide,
+  elementwise,
+  logicalScalar,
+  not,
+  transpose,
+  range,
+  concatenate,
+  index,
+} = require('./operations');
+const linalg = require('./linalg');
+const format = require('./format');
+
+/**
+ * Square root of a complex number
+ * @returns {number[]} [re, im]
+ */
+function complexSqrt(re, im) {
+  const magnitude = Math.hypot(re, im);
+  const real = Math.sqrt((magnitude + re) / 2);
+  const imag = Math.sqrt((magnitude - re) / 2);
+  return [real, im < 0 ? -imag : imag];
+}
+
+/**
+ * Natural logarithm of a complex number
+ * @returns {number[]} [re, im]
+ */
+function complexLog(re, im) {
+  return [Math.log(Math.hypot(re, im)), Math.atan2(im, re)];
+}
+
+/**
+ * Complex versions of elementary functions
+ * @type {Object<string, function(number, number): number[]>}
+ */
+const COMPLEX_FUNCTIONS = {
+  sqrt: complexSqrt,
+  log: complexLog,
+  log10: (re, im) => complexLog(re, im).map(part => part / Math.LN10),
+  log2: (re, im) => complexLog(re, im).map(part => part / Math.LN2),
+  exp: (re, im) => [Math.exp(re) * Math.cos(im), Math.exp(re) * Math.sin(im)],
+  sin: (re, im) => [Math.sin(re) * Math.cosh(im), Math.cos(re) * Math.sinh(im)],
+  cos: (re, im) => [Math.cos(re) * Math.cosh(im), -Math.sin(re) * Math.sinh(im)],
+  sinh: (re, im) => [Math.sinh(re) * Math.cos(im), Math.cosh(re) * Math.sin(im)],
+  cosh: (re, im) => [Math.cosh(re) * Math.cos(im), Math.sinh(re) * Math.sin(im)],
+  tan: (re, im) => complexDivide(...COMPLEX_FUNCTIONS.sin(re, im), ...COMPLEX_FUNCTIONS.cos(re, im)),
+  tanh: (re, im) => complexDivide(...COMPLEX_FUNCTIONS.sinh(re, im), ...COMPLEX_FUNCTIONS.cosh(re, im)),
+  // asin(z) = -i log(iz + sqrt(1 - z²)), acos(z) = pi/2 - asin(z)
+  asin: (re, im) => {
+    const [sr, si] = complexSqrt(1 - (re * re - im * im), -2 * re * im);
+    const [lr, li] = complexLog(sr - im, si + re);
+    return [li, -lr];
+  },
+  acos: (re, im) => {
+    const [ar, ai] = COMPLEX_FUNCTIONS.asin(re, im);
+    return [Math.PI / 2 - ar, -ai];
+  },
+  sign: (re, im) => {
+    const magnitude = Math.hypot(re, im);
+    return magnitude === 0 ? [0, 0] : [re / magnitude, im / magnitude];
+  },
+  round: (re, im) => [Math.round(re), Math.round(im)],
+  floor: (re, im) => [Math.floor(re), Math.floor(im)],
+  ceil: (re, im) => [Math.ceil(re), Math.ceil(im)],
+  fix: (re, im) => [Math.trunc(re), Math.trunc(im)],
+};
+
+/**
+ * Round half away from zero, as MATLAB does
+ * @param {number} x - Number
+ * @returns {number} Rounded number
+ */
+function roundHalfAway(x) {
+  return x < 0 ? -Math.round(-x) : Math.round(x);
+}
+
+/**
+ * Real versions of elementary functions, with the inputs that need complex results
+ * @type {Object<string, {fn: function(number): number, complexFor?: function(number): boolean}>}
+ */
+const REAL_FUNCTIONS = {
+  sqrt: { fn: Math.sqrt, complexFor: x => x < 0 },
+  log: { fn: Math.log, complexFor: x => x < 0 },
+  log10: { fn: Math.log10, complexFor: x => x < 0 },
+  log2: { fn: Math.log2, complexFor: x => x < 0 },
+  exp: { fn: Math.exp },
+  sin: { fn: Math.sin },
+  cos: { fn: Math.cos },
+  tan: { fn: Math.tan },
+  asin: { fn: Math.asin, complexFor: x => x < -1 || x > 1 },
+  acos: { fn: Math.acos, complexFor: x => x < -1 || x > 1 },
+  atan: { fn: Math.atan },
+  sinh: { fn: Math.sinh },
+  cosh: { fn: Math.cosh },
+  tanh: { fn: Math.tanh },
+  sec: { fn: x => 1 / Math.cos(x) },
+  csc: { fn: x => 1 / Math.sin(x) },
+  cot: { fn: x => 1 / Math.tan(x) },
+  floor: { fn: Math.floor },
+  ceil: { fn: Math.ceil },
+  round: { fn: roundHalfAway },
+  fix: { fn: Math.trunc },
+  sign: { fn: Math.sign },
+  gamma: { fn: gamma },
+  factorial: { fn: factorial },
+  erf: { fn: erf },
+  erfc: { fn: x => 1 - erf(x) },
+};
+
+/**
+ * Gamma function by the Lanczos approximation
+ * @param {number} x - Argument
+ * @returns {number} Γ(x)
+ */
+function gamma(x) {
+  if (Number.isInteger(x) && x <= 0) return Infinity;
+  if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+  const g = 7;
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+  const z = x - 1;
+  let sum = coefficients[0];
+  for (let k = 1; k < g + 2; k++) sum += coefficients[k] / (z + k);
+  const t = z + g + 0.5;
+  const value = Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * sum;
+  return Number.isInteger(x) ? Math.round(value) : value;
+}
+
+/**
+ * Factorial of a non-negative integer
+ * @param {number} n - Argument
+ * @returns {number} n!
+ * @throws {Error} For other arguments
+ */
+function factorial(n) {
+  if (!(n >= 0 && Number.isInteger(n))) {
+    throw programError('N must be an array of real non-negative integers.');
+  }
+  let result = 1;
+  for (let k = 2; k <= n && Number.isFinite(result); k++) result *= k;
+  return result;
+}
+
+/**
+ * Error function, accurate to about 1e-15 (series and continued fraction)
+ * @param {number} x - Argument
+ * @returns {number} erf(x)
+ */
+function erf(x) {
+  if (Number.isNaN(x)) return NaN;
+  const t = Math.abs(x);
+  if (t > 6) return Math.sign(x);
+  if (t < 2.5) {
+    // Taylor series
+    let sum = t;
+    let term = t;
+    for (let n = 1; n < 100; n++) {
+      term *= -t * t / n;
+      const add = term / (2 * n + 1);
+      sum += add;
+      if (Math.abs(add) < 1e-17 * Math.abs(sum)) break;
+    }
+    return Math.sign(x) * 2 / Math.sqrt(Math.PI) * sum;
+  }
+  // Continued fraction for erfc
+  let fraction = 0;
+  for (let n = 60; n >= 1; n--) fraction = n / 2 / (t + fraction);
+  const erfc = Math.exp(-t * t) / Math.sqrt(Math.PI) / (t + fraction);
+  return Math.sign(x) * (1 - erfc);
+}
+
+/**
+ * Apply an elementary function to every element
+ * @param {string} name - Function name, a key of REAL_FUNCTIONS
+ * @param {*} value - Argument
+ * @returns {*} Result
+ * @throws {Error} For complex arguments of functions without a complex version
+ */
+function applyElementary(name, value) {
+  const { fn, complexFor } = REAL_FUNCTIONS[name];
+  if (typeof value === 'number' && !(complexFor && complexFor(value))) {
+    return fn(value);
+  }
+
+  const matrix = toMatrix(value);
+  const complex = Boolean(matrix.im) || (complexFor !== undefined && matrix.re.some(complexFor));
+  if (!complex) {
+    return simplify(new Matrix(matrix.rows, matrix.cols, matrix.re.map(fn)));
+  }
+
+  const complexFn = COMPLEX_FUNCTIONS[name];
+  if (!complexFn) {
+    throw programError(`Complex arguments to ${name} are not supported in the browser`, { unsupported: true });
+  }
+  const result = zeros(matrix.rows, matrix.cols, true);
+  for (let k = 0; k < matrix.numel; k++) {
+    const [re, im] = complexFn(matrix.re[k], matrix.im ? matrix.im[k] : 0);
+    result.re[k] = re;
+    result.im[k] = im;
+  }
+  return simplify(narrow(result));
+}
+
+/**
+ * Apply a function to the real (and imaginary) parts of every element
+ * @param {*} value - Argument
+ * @param {function(number, number): number} fn - Receives re and im, returns a real number
+ * @param {string} [kind='double'] - Result kind
+ * @returns {*} Real result
+ */
+function mapParts(value, fn, kind = 'double') {
+  if (typeof value === 'number' && kind === 'double') {
+    return fn(value, 0);
+  }
+  const matrix = toMatrix(value);
+  const result = zeros(matrix.rows, matrix.cols, false, kind);
+  for (let k = 0; k < matrix.numel; k++) result.re[k] = fn(matrix.re[k], matrix.im ? matrix.im[k] : 0);
+  return simplify(result);
+}
+
+/**
+ * Read a dimension argument
+ * @param {*} value - Argument
+ * @returns {number} 1 or 2
+ * @throws {Error} For other dimensions
+ */
+function readDimension(value) {
+  const dim = toScalar(value, 'Dimension argument');
+  if (dim !== 1 && dim !== 2) {
+    throw programError('Dimension argument must be 1 or 2', { unsupported: dim > 2 });
+  }
+  return dim;
+}
+
+/**
+ * Get the dimension reductions work along by default
+ * @param {Matrix} matrix - Matrix
+ * @returns {number} 2 for row vectors, else 1
+ */
+function defaultDimension(matrix) {
+  return matrix.rows === 1 && matrix.numel > 0 ? 2 : 1;
+}
+
+/**
+ * Reduce each column (dim 1) or row (dim 2) to one value
+ * @param {*} value - Argument
+ * @param {number} dim - Dimension
+ * @param {function(number[], number[]|null): number[]} fn - Receives the real and imaginary parts, returns [re, im]
+ * @param {string} [kind='double'] - Result kind
+ * @returns {*} Reduced array
+ */
+function reduce(value, dim, fn, kind = 'double') {
+  const matrix = toMatrix(value);
+  const { rows, cols } = matrix;
+  const [outRows, outCols] = dim === 1 ? [1, cols] : [rows, 1];
+  const count = dim === 1 ? rows : cols;
+  const result = zeros(outRows, outCols, Boolean(matrix.im), kind);
+
+  for (let k = 0; k < outRows * outCols; k++) {
+    const re = new Array(count);
+    const im = matrix.im ? new Array(count) : null;
+    for (let j = 0; j < count; j++) {
+      const position = dim === 1 ? j + k * rows : k + j * rows;
+      re[j] = matrix.re[position];
+      if (im) im[j] = matrix.im[position];
+    }
+    const [outRe, outIm] = fn(re, im);
+    result.re[k] = outRe;
+    if (result.im) result.im[k] = outIm;
+  }
+  return simplify(narrow(result));
+}
+
+/**
+ * Reduce along the dimension given as the second argument, or the default one
+ * An empty 0×0 input reduces to the function's value for no elements.
+ * @param {Array<*>} args - Arguments
+ * @param {function(number[], number[]|null): number[]} fn - Reduction
+ * @param {string} [kind='double'] - Result kind
+ * @returns {*} Result
+ */
+function reduceArgs(args, fn, kind = 'double') {
+  const matrix = toMatrix(args[0]);
+  if (matrix.rows === 0 && matrix.cols === 0 && args.length < 2) {
+    return simplify(new Matrix(1, 1, Float64Array.of(fn([], null)[0]), null, kind));
+  }
+  const dim = args.length > 1 ? readDimension(args[1]) : defaultDimension(matrix);
+  return reduce(matrix, dim, fn, kind);
+}
+
+/**
+ * Add complex parts
+ * @returns {number[]} [re, im] sums
+ */
+function sumParts(re, im) {
+  let sr = 0;
+  let si = 0;
+  for (let k = 0; k < re.length; k++) {
+    sr += re[k];
+    if (im) si += im[k];
+  }
+  return [sr, si];
+}
+
+/**
+ * Accumulate along a dimension: cumsum and cumprod
+ * @param {Array<*>} args - Arguments
+ * @param {boolean} product - Whether to multiply rather than add
+ * @returns {*} Result of the same size
+ */
+function accumulate(args, product) {
+  const matrix = toMatrix(args[0]);
+  const dim = args.length > 1 ? readDimension(args[1]) : defaultDimension(matrix);
+  const result = zeros(matrix.rows, matrix.cols, Boolean(matrix.im));
+  const [outer, inner] = dim === 1 ? [matrix.cols, matrix.rows] : [matrix.rows, matrix.cols];
+
+  for (let o = 0; o < outer; o++) {
+    let re = product ? 1 : 0;
+    let im = 0;
+    for (let i = 0; i < inner; i++) {
+      const position = dim === 1 ? i + o * matrix.rows : o + i * matrix.rows;
+      const xr = matrix.re[position];
+      const xi = matrix.im ? matrix.im[position] : 0;
+      if (product) [re, im] = complexMultiply(re, im, xr, xi);
+      else [re, im] = [re + xr, im + xi];
+      result.re[position] = re;
+      if (result.im) result.im[position] = im;
+    }
+  }
+  return simplify(narrow(result));
+}
+
+/**
+ * Find the largest or smallest elements: max and min
+ * Handles max(A), max(A, [], dim), max(A, B) and [value, index] = max(A).
+ * NaN is ignored; complex numbers compare by magnitude.
+ * @param {Array<*>} args - Arguments
+ * @param {number} nargout - Number of outputs
+ * @param {boolean} largest - Whether to find the maximum
+ * @returns {*|Array<*>} Values, and indices when asked for
+ */
+function extremum(args, nargout, largest) {
+  const better = (a, b) => (largest ? a > b : a < b);
+
+  if (args.length >= 2 && numel(args[1]) > 0) {
+    // Elementwise between two arrays
+    const a = toMatrix(args[0]);
+    const b = toMatrix(args[1]);
+    if (a.im || b.im) {
+      throw programError('Complex arguments to max and min of two arrays are not supported in the browser', { unsupported: true });
+    }
+    const [first, second] = expandPair(a, b);
+    const result = zeros(first.rows, first.cols);
+    for (let k = 0; k < result.numel; k++) {
+      const x = first.re[k];
+      const y = second.re[k];
+      result.re[k] = Number.isNaN(x) || better(y, x) ? y : x;
+    }
+    return simplify(result);
+  }
+
+  const matrix = toMatrix(args[0]);
+  if (matrix.numel === 0) {
+    return nargout > 1 ? [zeros(0, 0), zeros(0, 0)] : zeros(0, 0);
+  }
+  const dim = args.length > 2 ? readDimension(args[2]) : defaultDimension(matrix);
+  const positions = [];
+  const values = reduce(matrix, dim, (re, im) => {
+    let best = -1;
+    let bestKey = NaN;
+    for (let k = 0; k < re.length; k++) {
+      const key = im ? Math.hypot(re[k], im[k]) : re[k];
+      if (Number.isNaN(key)) continue;
+      if (best === -1 || better(key, bestKey)) {
+        best = k;
+        bestKey = key;
+      }
+    }
+    positions.push(best === -1 ? 1 : best + 1);
+    return best === -1 ? [NaN, 0] : [re[best], im ? im[best] : 0];
+  });
+  if (nargout > 1) {
+    const indices = dim === 1 ? rowVector(positions) : columnVector(positions);
+    return [values, simplify(indices)];
+  }
+  return values;
+}
+
+/**
+ * Expand two arrays to their common size, repeating singleton dimensions
+ * @param {Matrix} a - First array
+ * @param {Matrix} b - Second array
+ * @returns {Matrix[]} Both arrays at the common size
+ * @throws {Error} If the sizes are incompatible
+ */
+function expandPair(a, b) {
+  const size = (x, y) => (x === y || y === 1 ? x : (x === 1 ? y : null));
+  const rows = size(a.rows, b.rows);
+  const cols = size(a.cols, b.cols);
+  if (rows === null || cols === null) {
+    throw programError(`Arrays have incompatible sizes for this operation (${a.rows}x${a.cols} and ${b.rows}x${b.cols}).`);
+  }
+  return [a, b].map((matrix) => {
+    if (matrix.rows === rows && matrix.cols === cols) return matrix;
+    const result = zeros(rows, cols, Boolean(matrix.im));
+    for (let c = 0; c < cols; c++) {
+      for (let r = 0; r < rows; r++) {
+        const from = (matrix.rows === 1 ? 0 : r) + (matrix.cols === 1 ? 0 : c) * matrix.rows;
+        result.re[r + c * rows] = matrix.re[from];
+        if (matrix.im) result.im[r + c * rows] = matrix.im[from];
+      }
+    }
+    return result;
+  });
+}
+
+/**
+ * Read size arguments: f(n), f(m, n) or f([m n])
+ * @param {Array<*>} args - Arguments, without trailing class names
+ * @param {string} name - Function name, for error messages
+ * @returns {number[]} [rows, cols]
+ */
+function readSize(args, name) {
+  const numeric = args.filter(arg => !isChar(arg));
+  if (numeric.length === 0) return [1, 1];
+  if (numeric.length === 1) {
+    const values = toNumbers(numeric[0]);
+    if (values.length === 1) return [sizeValue(values[0]), sizeValue(values[0])];
+    if (values.length === 2 || values.slice(2).every(v => v === 1)) return [sizeValue(values[0]), sizeValue(values[1])];
+    throw programError(`${name} of arrays with more than two dimensions is not supported`, { unsupported: true });
+  }
+  if (numeric.length > 2 && numeric.slice(2).some(arg => toScalar(arg, 'Size') !== 1)) {
+    throw programError(`${name} of arrays with more than two dimensions is not supported`, { unsupported: true });
+  }
+  return [sizeValue(toScalar(numeric[0], 'Size')), sizeValue(toScalar(numeric[1], 'Size'))];
+}
+
+/**
+ * Validate one size value; negative sizes count as zero
+ * @param {number} value - Size
+ * @returns {number} Size
+ */
+function sizeValue(value) {
+  if (!Number.isInteger(value) && Number.isFinite(value)) {
+    throw programError('Size inputs must be integers.');
+  }
+  if (!Number.isFinite(value) || value > 1e8) {
+    throw programError('Requested array exceeds the maximum possible variable size.');
+  }
+  return Math.max(0, value);
+}
+
+/**
+ * Create an array filled with one value
+ * @param {Array<*>} args - Size arguments
+ * @param {number} value - Fill value
+ * @param {string} name - Function name
+ * @returns {*} Array
+ */
+function filled(args, value, name) {
+  const [rows, cols] = readSize(args, name);
+  const result = zeros(rows, cols);
+  if (value !== 0) result.re.fill(value);
+  return simplify(result);
+}
+
+/**
+ * Standard normal random number by the Box-Muller method
+ * @param {function(): number} random - Uniform generator
+ * @returns {number} Sample
+ */
+function normalSample(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Build or read diagonals: diag(v, k) and diag(A, k)
+ * @param {Array<*>} args - Arguments
+ * @returns {*} Diagonal matrix or column of diagonal elements
+ */
+function diag(args) {
+  const matrix = toMatrix(args[0]);
+  const k = args.length > 1 ? toScalar(args[1], 'K') : 0;
+
+  if (matrix.rows === 1 || matrix.cols === 1) {
+    const n = matrix.numel + Math.abs(k);
+    const result = zeros(n, n, Boolean(matrix.im));
+    for (let i = 0; i < matrix.numel; i++) {
+      const row = k >= 0 ? i : i - k;
+      const col = k >= 0 ? i + k : i;
+      result.re[row + col * n] = matrix.re[i];
+      if (matrix.im) result.im[row + col * n] = matrix.im[i];
+    }
+    return simplify(result);
+  }
+
+  const values = [];
+  const imag = [];
+  for (let i = 0; ; i++) {
+    const row = k >= 0 ? i : i - k;
+    const col = k >= 0 ? i + k : i;
+    if (row >= matrix.rows || col >= matrix.cols) break;
+    values.push(matrix.re[row + col * matrix.rows]);
+    if (matrix.im) imag.push(matrix.im[row + col * matrix.rows]);
+  }
+  return simplify(narrow(new Matrix(values.length, 1, Float64Array.from(values), matrix.im ? Float64Array.from(imag) : null)));
+}
+
+/**
+ * Sort elements: sort(A), sort(A, dim), sort(A, 'descend'), [B, I] = sort(A)
+ * @param {Array<*>} args - Arguments
+ * @param {number} nargout - Number of outputs
+ * @returns {*|Array<*>} Sorted values, and indices when asked for
+ */
+function sort(args, nargout) {
+  const matrix = toMatrix(args[0]);
+  if (matrix.im) {
+    throw programError('Sorting complex numbers is not supported in the browser', { unsupported: true });
+  }
+  const descending = args.slice(1).some(arg => isChar(arg) && toText(arg).toLowerCase() === 'descend');
+  const dimArg = args.slice(1).find(arg => !isChar(arg));
+  const dim = dimArg !== undefined ? readDimension(dimArg) : defaultDimension(matrix);
+
+  const values = zeros(matrix.rows, matrix.cols, false, matrix.kind);
+  const indices = zeros(matrix.rows, matrix.cols);
+  const [outer, inner] = dim === 1 ? [matrix.cols, matrix.rows] : [matrix.rows, matrix.cols];
+  const at = (o, i) => (dim === 1 ? i + o * matrix.rows : o + i * matrix.rows);
+
+  for (let o = 0; o < outer; o++) {
+    const order = Array.from({ length: inner }, (_, i) => i);
+    order.sort((a, b) => {
+      const x = matrix.re[at(o, a)];
+      const y = matrix.re[at(o, b)];
+      // NaN sorts last in ascending and first in descending order
+      if (Number.isNaN(x) || Number.isNaN(y)) return (Number.isNaN(x) - Number.isNaN(y)) * (descending ? -1 : 1) || a - b;
+      return (descending ? y - x : x - y) || a - b;
+    });
+    order.forEach((from, i) => {
+      values.re[at(o, i)] = matrix.re[at(o, from)];
+      indices.re[at(o, i)] = from + 1;
+    });
+  }
+  return nargout > 1 ? [simplify(values), simplify(indices)] : simplify(values);
+}
+
+/**
+ * Find nonzero elements: find(x), find(x, n), [row, col] = find(x)
+ * @param {Array<*>} args - Arguments
+ * @param {number} nargout - Number of outputs
+ * @returns {*|Array<*>} Linear indices, or row and column indices
+ */
+function find(args, nargout) {
+  const matrix = toMatrix(args[0]);
+  const limit = args.length > 1 ? toScalar(args[1], 'Number of elements') : Infinity;
+  const fromEnd = args.length > 2 && toText(args[2]) === 'last';
+  let positions = [];
+  for (let k = 0; k < matrix.numel; k++) {
+    if (matrix.re[k] !== 0 || (matrix.im && matrix.im[k] !== 0)) positions.push(k);
+  }
+  if (positions.length > limit) {
+    positions = fromEnd ? positions.slice(positions.length - limit) : positions.slice(0, limit);
+  }
+
+  const shape = values => (matrix.rows === 1 && matrix.cols !== 1 ? rowVector(values) : columnVector(values));
+  if (nargout > 1) {
+    return [
+      simplify(shape(positions.map(k => (k % matrix.rows) + 1))),
+      simplify(shape(positions.map(k => Math.floor(k / matrix.rows) + 1))),
+    ];
+  }
+  const result = shape(positions.map(k => k + 1));
+  return positions.length === 0 && !(matrix.rows === 1 && matrix.cols !== 1) ? zeros(0, matrix.numel === 0 ? 0 : 1) : simplify(result);
+}
+
+/**
+ * Select eigenvalues for eigs
+ * @param {number[]} values - All eigenvalues, ascending
+ * @param {number} count - Number wanted
+ * @param {*} sigma - 'LM', 'SM', 'LA', 'SA' (or the newer names), or a number
+ * @returns {number[]} Positions of the selected eigenvalues, in eigs order
+ */
+function selectEigenvalues(values, count, sigma) {
+  const order = values.map((_, k) => k);
+  let key;
+  if (sigma === undefined || isChar(sigma)) {
+    const mode = sigma === undefined ? 'lm' : toText(sigma).toLowerCase();
+    const keys = {
+      lm: k => -Math.abs(values[k]),
+      largestabs: k => -Math.abs(values[k]),
+      sm: k => Math.abs(values[k]),
+      smallestabs: k => Math.abs(values[k]),
+      la: k => -values[k],
+      largestreal: k => -values[k],
+      sa: k => values[k],
+      smallestreal: k => values[k],
+    };
+    key = keys[mode];
+    if (!key) {
+      throw programError(`eigs option '${toText(sigma)}' is not supported in the browser`, { unsupported: true });
+    }
+  } else {
+    const target = toScalar(sigma, 'Sigma');
+    key = k => Math.abs(values[k] - target);
+  }
+  return order.sort((a, b) => key(a) - key(b) || a - b).slice(0, count);
+}
+
+/**
+ * Eigenvalues and eigenvectors: eig(A) and eigs(A, k, sigma)
+ * @param {Array<*>} args - Arguments
+ * @param {number} nargout - Number of outputs
+ * @param {boolean} subset - Whether this is eigs
+ * @param {Object} context - Run context, for the time limit
+ * @returns {*|Array<*>} Eigenvalues, or eigenvectors and diagonal eigenvalue matrix
+ */
+function eigen(args, nargout, subset, context) {
+  const matrix = toMatrix(args[0]);
+  const n = matrix.rows;
+  const { values, vectors } = linalg.symmetricEigen(matrix, () => context.checkTime());
+
+  let positions = values.map((_, k) => k);
+  if (subset) {
+    const count = args.length > 1 ? Math.min(toScalar(args[1], 'Number of eigenvalues'), n) : Math.min(6, n);
+    positions = selectEigenvalues(values, count, args[2]);
+  }
+
+  const selected = positions.map(k => values[k]);
+  if (nargout < 2) {
+    return simplify(columnVector(selected));
+  }
+
+  const v = zeros(n, positions.length);
+  positions.forEach((k, column) => v.re.set(vectors.re.subarray(k * n, (k + 1) * n), column * n));
+  const d = zeros(positions.length, positions.length);
+  selected.forEach((value, k) => { d.re[k + k * positions.length] = value; });
+  return [simplify(v), simplify(d)];
+}
+
+/**
+ * Read the text of a string argument
+ * @param {*} value - Argument
+ * @param {string} name - Function name, for the error message
+ * @returns {string} Text
+ */
+function textArg(value, name) {
+  if (!isChar(value)) {
+    throw programError(`The argument of ${name} must be text.`);
+  }
+  return toText(value);
+}
+
+/**
+ * Read text arguments of plot commands, which are also given in command syntax
+ * @param {Array<*>} args - Arguments
+ * @returns {string|undefined} First argument as text
+ */
+function optionArg(args) {
+  return args.length > 0 ? toText(args[0]).toLowerCase() : undefined;
+}
+
+/**
+ * Convert a value to a char array
+ * @param {*} value - Number, char array or text rows
+ * @returns {Matrix} Char array
+ */
+function toChar(value) {
+  if (isChar(value)) return value;
+  const matrix = toMatrix(value);
+  return new Matrix(matrix.rows, matrix.cols, matrix.re.map(Math.round), null, 'char');
+}
+
+/**
+ * Split the rows of a char array into lines
+ * @param {*} value - Value
+ * @returns {string[]} Lines
+ */
+function lines(value) {
+  const matrix = toChar(value);
+  return matrix.rows === 0 ? [] : toText(matrix).split('\n');
+}
+
+/**
+ * Built-in functions, by name
+ * @type {Object<string, function(Array<*>, number, Object): *>}
+ */
+const BUILTINS = {
+  // Constants
+  pi: () => Math.PI,
+  Inf: args => filled(args, Infinity, 'Inf'),
+  inf: args => filled(args, Infinity, 'inf'),
+  NaN: args => filled(args, NaN, 'NaN'),
+  nan: args => filled(args, NaN, 'nan'),
+  eps: args => (args.length > 0 && !isChar(args[0])
+    ? mapParts(args[0], re => (re === 0 ? Number.MIN_VALUE : Math.pow(2, Math.floor(Math.log2(Math.abs(re))) - 52)))
+    : Number.EPSILON),
+  i: () => complexScalar(0, 1),
+  j: () => complexScalar(0, 1),
+  true: (args) => {
+    const [rows, cols] = readSize(args, 'true');
+    const result = zeros(rows, cols, false, 'logical');
+    result.re.fill(1);
+    return result;
+  },
+  false: args => zeros(...readSize(args, 'false'), false, 'logical'),
+
+  // Elementary functions
+  ...Object.fromEntries(Object.keys(REAL_FUNCTIONS).map(name => [name, args => applyElementary(name, args[0])])),
+  abs: args => mapParts(args[0], (re, im) => (im === 0 ? Math.abs(re) : Math.hypot(re, im))),
+  angle: args => mapParts(args[0], (re, im) => Math.atan2(im, re)),
+  real: args => mapParts(args[0], re => re),
+  imag: args => mapParts(args[0], (re, im) => im),
+  conj: (args) => {
+    const matrix = toMatrix(args[0]);
+    return simplify(new Matrix(matrix.rows, matrix.cols, matrix.re.slice(), matrix.im && matrix.im.map(x => -x)));
+  },
+  complex: (args) => {
+    const [re, im] = expandPair(toMatrix(args[0]), toMatrix(args.length > 1 ? args[1] : 0));
+    return new Matrix(re.rows, re.cols, re.re.slice(), im.re.slice());
+  },
+  isreal: args => logicalScalar(typeof args[0] === 'number' || !toMatrix(args[0]).im ? 1 : 0),
+  atan2: args => mapBinary(args, Math.atan2),
+  hypot: args => mapBinary(args, Math.hypot),
+  mod: args => mapBinary(args, (x, y) => (y === 0 ? x : x - Math.floor(x / y) * y)),
+  rem: args => mapBinary(args, (x, y) => (y === 0 ? NaN : x - Math.trunc(x / y) * y)),
+  power: args => elementwise('.^', args[0], args[1]),
+  times: args => elementwise('.*', args[0], args[1]),
+  plus: args => elementwise('+', args[0], args[1]),
+  minus: args => elementwise('-', args[0], args[1]),
+  rdivide: args => elementwise('./', args[0], args[1]),
+  mtimes: (args, nargout, context) => linalg.multiply(args[0], args[1], () => context.checkTime()),
+  isnan: args => mapParts(args[0], (re, im) => (Number.isNaN(re) || Number.isNaN(im) ? 1 : 0), 'logical'),
+  isinf: args => mapParts(args[0], (re, im) => (Math.abs(re) === Infinity || Math.abs(im) === Infinity ? 1 : 0), 'logical'),
+  isfinite: args => mapParts(args[0], (re, im) => (Number.isFinite(re) && Number.isFinite(im) ? 1 : 0), 'logical'),
+
+  // Reductions
+  sum: args => reduceArgs(args, sumParts),
+  prod: args => reduceArgs(args, (re, im) => re.reduce((acc, x, k) => complexMultiply(acc[0], acc[1], x, im ? im[k] : 0), [1, 0])),
+  mean: args => reduceArgs(args, (re, im) => sumParts(re, im).map(part => part / re.length)),
+  cumsum: args => accumulate(args, false),
+  cumprod: args => accumulate(args, true),
+  max: (args, nargout) => extremum(args, nargout, true),
+  min: (args, nargout) => extremum(args, nargout, false),
+  any: args => reduceArgs(args, (re, im) => [re.some((x, k) => x !== 0 && !Number.isNaN(x) || (im && im[k] !== 0)) ? 1 : 0, 0], 'logical'),
+  all: args => reduceArgs(args, (re, im) => [re.every((x, k) => x !== 0 || (im && im[k] !== 0)) ? 1 : 0, 0], 'logical'),
+  diff: (args) => {
+    const matrix = toMatrix(args[0]);
+    if (matrix.isVector()) {
+      const n = Math.max(0, matrix.numel - 1);
+      const values = Array.from({ length: n }, (_, k) => matrix.re[k + 1] - matrix.re[k]);
+      return simplify(matrix.rows === 1 ? rowVector(values) : columnVector(values));
+    }
+    return elementwise('-', index(matrix, [range(2, 1, matrix.rows), COLON]), index(matrix, [range(1, 1, matrix.rows - 1), COLON]));
+  },
+  trapz: (args) => {
+    const y = toNumbers(args[args.length - 1]);
+    const x = args.length > 1 ? toNumbers(args[0]) : y.map((_, k) => k + 1);
+    if (x.length !== y.length) throw programError('Length of X must match length of Y.');
+    let total = 0;
+    for (let k = 1; k < y.length; k++) total += (x[k] - x[k - 1]) * (y[k] + y[k - 1]) / 2;
+    return total;
+  },
+  norm: (args) => {
+    const matrix = toMatrix(args[0]);
+    const kind = args.length > 1 ? (isChar(args[1]) ? toText(args[1]) : toScalar(args[1], 'P')) : 2;
+    if (!matrix.isVector() && kind !== 'fro') {
+      throw programError('Matrix norms other than the Frobenius norm are not supported in the browser', { unsupported: true });
+    }
+    const magnitudes = Array.from(matrix.re, (re, k) => Math.hypot(re, matrix.im ? matrix.im[k] : 0));
+    if (kind === Infinity) return Math.max(...magnitudes);
+    const p = kind === 'fro' ? 2 : kind;
+    return Math.pow(magnitudes.reduce((sum, x) => sum + Math.pow(x, p), 0), 1 / p);
+  },
+  dot: args => BUILTINS.sum([elementwise('.*', BUILTINS.conj([args[0]]), args[1])]),
+
+  // Array construction and shape
+  zeros: args => filled(args, 0, 'zeros'),
+  ones: args => filled(args, 1, 'ones'),
+  eye: (args) => {
+    const [rows, cols] = readSize(args, 'eye');
+    const result = zeros(rows, cols);
+    for (let k = 0; k < Math.min(rows, cols); k++) result.re[k + k * rows] = 1;
+    return simplify(result);
+  },
+  rand: (args, nargout, context) => {
+    const [rows, cols] = readSize(args, 'rand');
+    const result = zeros(rows, cols);
+    for (let k = 0; k < result.numel; k++) result.re[k] = context.random();
+    return simplify(result);
+  },
+  randn: (args, nargout, context) => {
+    const [rows, cols] = readSize(args, 'randn');
+    const result = zeros(rows, cols);
+    for (let k = 0; k < result.numel; k++) result.re[k] = normalSample(context.random);
+    return simplify(result);
+  },
+  linspace: (args) => {
+    const start = toScalar(args[0], 'Start');
+    const stop = toScalar(args[1], 'End');
+    const count = args.length > 2 ? Math.floor(toScalar(args[2], 'Number of points')) : 100;
+    const n = Math.max(count, 1);
+    const result = zeros(1, n);
+    for (let k = 0; k < n; k++) result.re[k] = n === 1 ? stop : start + (stop - start) * k / (n - 1);
+    return simplify(result);
+  },
+  logspace: (args) => {
+    const points = toMatrix(BUILTINS.linspace(args));
+    return simplify(new Matrix(1, points.numel, points.re.map(x => Math.pow(10, x))));
+  },
+  colon: args => range(toScalar(args[0], 'Start'), args.length > 2 ? toScalar(args[1], 'Step') : 1, toScalar(args[args.length - 1], 'End')),
+  diag: args => diag(args),
+  size: (args, nargout) => {
+    const matrix = typeof args[0] === 'number' || args[0] instanceof FunctionHandle ? { rows: 1, cols: 1 } : args[0];
+    const dims = [matrix.rows, matrix.cols];
+    if (args.length > 1) {
+      const dim = toScalar(args[1], 'Dimension argument');
+      return dim <= 2 ? dims[dim - 1] : 1;
+    }
+    if (nargout <= 1) return rowVector(dims);
+    return Array.from({ length: nargout }, (_, k) => (k < 2 ? dims[k] : 1));
+  },
+  length: (args) => {
+    const matrix = typeof args[0] === 'number' ? { rows: 1, cols: 1 } : toMatrix(args[0]);
+    return matrix.rows === 0 || matrix.cols === 0 ? 0 : Math.max(matrix.rows, matrix.cols);
+  },
+  numel: args => numel(args[0]),
+  ndims: () => 2,
+  isempty: args => logicalScalar(numel(args[0]) === 0 ? 1 : 0),
+  isscalar: args => logicalScalar(numel(args[0]) === 1 ? 1 : 0),
+  isvector: (args) => {
+    const matrix = toMatrix(args[0]);
+    return logicalScalar(matrix.isVector() && matrix.numel >= 1 ? 1 : 0);
+  },
+  isnumeric: args => logicalScalar(typeof args[0] === 'number' || (args[0] instanceof Matrix && args[0].kind === 'double') ? 1 : 0),
+  ischar: args => logicalScalar(isChar(args[0]) ? 1 : 0),
+  islogical: args => logicalScalar(args[0] instanceof Matrix && args[0].kind === 'logical' ? 1 : 0),
+  logical: args => mapParts(args[0], (re) => {
+    if (Number.isNaN(re)) throw programError('NaN\'s cannot be converted to logicals.');
+    return re !== 0 ? 1 : 0;
+  }, 'logical'),
+  double: (args) => {
+    const matrix = toMatrix(args[0]);
+    return simplify(new Matrix(matrix.rows, matrix.cols, matrix.re.slice(), matrix.im && matrix.im.slice()));
+  },
+  reshape: (args) => {
+    const matrix = toMatrix(args[0]);
+    let dims = args.length === 2 ? toNumbers(args[1]) : args.slice(1).map(arg => (numel(arg) === 0 ? null : toScalar(arg, 'Size')));
+    if (dims.length > 2 && dims.slice(2).every(d => d === 1)) dims = dims.slice(0, 2);
+    if (dims.length !== 2) throw programError('Arrays with more than two dimensions are not supported', { unsupported: true });
+    if (dims[0] === null) dims[0] = matrix.numel / dims[1];
+    if (dims[1] === null) dims[1] = matrix.numel / dims[0];
+    if (dims[0] * dims[1] !== matrix.numel || !dims.every(Number.isInteger)) {
+      throw programError('Number of elements must not change. Use [] as one of the size inputs to automatically calculate the appropriate size for that dimension.');
+    }
+    return simplify(new Matrix(dims[0], dims[1], matrix.re.slice(), matrix.im && matrix.im.slice(), matrix.kind));
+  },
+  repmat: (args) => {
+    const matrix = toMatrix(args[0]);
+    const [m, n] = readSize(args.slice(1), 'repmat');
+    const rows = matrix.rows * m;
+    const cols = matrix.cols * n;
+    const result = zeros(rows, cols, Boolean(matrix.im), matrix.kind);
+    for (let c = 0; c < cols; c++) {
+      for (let r = 0; r < rows; r++) {
+        const from = (r % matrix.rows) + (c % matrix.cols) * matrix.rows;
+        result.re[r + c * rows] = matrix.re[from];
+        if (matrix.im) result.im[r + c * rows] = matrix.im[from];
+      }
+    }
+    return simplify(result);
+  },
+  fliplr: (args) => {
+    const matrix = toMatrix(args[0]);
+    return index(matrix, [COLON, range(matrix.cols, -1, 1)]);
+  },
+  flipud: (args) => {
+    const matrix = toMatrix(args[0]);
+    return index(matrix, [range(matrix.rows, -1, 1), COLON]);
+  },
+  sort: (args, nargout) => sort(args, nargout),
+  find: (args, nargout) => find(args, nargout),
+  horzcat: args => concatenate([args]),
+  vertcat: args => concatenate(args.map(arg => [arg])),
+  transpose: args => transpose(args[0], false),
+  ctranspose: args => transpose(args[0], true),
+
+  // Linear algebra
+  inv: (args, nargout, context) => linalg.inverse(args[0], message => context.warn(message), () => context.checkTime()),
+  det: (args, nargout, context) => linalg.determinant(args[0], () => context.checkTime()),
+  trace: args => BUILTINS.sum([diag([args[0]])]),
+  eig: (args, nargout, context) => eigen(args, nargout, false, context),
+  eigs: (args, nargout, context) => eigen(args, nargout, true, context),
+
+  // Logical functions
+  not: args => not(args[0]),
+  and: args => elementwise('&', args[0], args[1]),
+  or: args => elementwise('|', args[0], args[1]),
+  xor: args => mapBinary(args, (x, y) => ((x !== 0) !== (y !== 0) ? 1 : 0), 'logical'),
+
+  // Text
+  num2str: args => charMatrix(format.num2str(args[0], args[1])),
+  int2str: args => charMatrix(format.num2str(applyElementary('round', args[0]))),
+  sprintf: args => charRow(format.sprintf(textArg(args[0], 'sprintf'), args.slice(1))),
+  mat2str: (args) => {
+    const matrix = toMatrix(args[0]);
+    const cell = k => format.formatNumber('g', matrix.re[k], { precision: 15 });
+    if (matrix.numel === 1) return charRow(cell(0));
+    const rows = [];
+    for (let r = 0; r < matrix.rows; r++) {
+      rows.push(Array.from({ length: matrix.cols }, (_, c) => cell(r + c * matrix.rows)).join(' '));
+    }
+    return charRow(`[${rows.join(';')}]`);
+  },
+  str2num: (args, nargout, context) => context.evaluate(`[${textArg(args[0], 'str2num')}]`),
+  str2double: (args) => {
+    const text = toText(args[0]).trim();
+    return /^[-+]?(\d+\.?\d*|\.\d+)([eEdD][-+]?\d+)?$|^[-+]?(Inf|NaN)$/i.test(text) ? Number(text.replace(/[dD]/, 'e').replace(/inf/i, 'Infinity')) : NaN;
+  },
+  char: (args) => {
+    if (args.length === 1) return toChar(args[0]);
+    return charMatrix(args.flatMap(lines));
+  },
+  strvcat: args => charMatrix(args.flatMap(lines).filter(line => line.length > 0)),
+  strcat: (args) => {
+    if (args.length === 0) return charRow('');
+    return charRow(args.map(arg => (isChar(arg) ? toText(arg).replace(/[ \t\n]+$/, '') : String.fromCharCode(...toNumbers(arg)))).join(''));
+  },
+  upper: args => charMatrix(lines(args[0]).map(line => line.toUpperCase())),
+  lower: args => charMatrix(lines(args[0]).map(line => line.toLowerCase())),
+  strtrim: args => charRow(toText(args[0]).trim()),
+  blanks: args => charRow(' '.repeat(toScalar(args[0], 'N'))),
+  strrep: args => charRow(toText(args[0]).split(toText(args[1])).join(toText(args[2]))),
+  strcmp: args => logicalScalar(isChar(args[0]) && isChar(args[1]) && toText(args[0]) === toText(args[1]) && args[0].rows === args[1].rows ? 1 : 0),
+  strcmpi: args => logicalScalar(isChar(args[0]) && isChar(args[1]) && toText(args[0]).toLowerCase() === toText(args[1]).toLowerCase() ? 1 : 0),
+  num2cell: () => { throw programError('Cell arrays are not supported', { unsupported: true }); },
+
+  // Console
+  disp: (args, nargout, context) => { context.print(format.disp(args[0])); },
+  display: (args, nargout, context) => { context.print(format.display('ans', args[0])); },
+  fprintf: (args, nargout, context) => {
+    // fprintf(1, ...) and fprintf(2, ...) write to the console; files are not supported
+    let rest = args;
+    if (args.length > 0 && !isChar(args[0])) {
+      const fid = toScalar(args[0], 'File identifier');
+      if (fid !== 1 && fid !== 2) {
+        throw programError('Writing to files is not supported in the browser', { unsupported: true });
+      }
+      rest = args.slice(1);
+    }
+    const text = format.sprintf(textArg(rest[0], 'fprintf'), rest.slice(1));
+    context.print(text);
+    return nargout > 0 ? text.length : undefined;
+  },
+  error: (args) => {
+    if (args.length === 0) return undefined;
+    const message = args.length > 1 ? format.sprintf(toText(args[0]), args.slice(1)) : toText(args[0]);
+    throw programError(message);
+  },
+  warning: (args, nargout, context) => {
+    const first = args.length > 0 ? toText(args[0]) : '';
+    if (['on', 'off', 'query'].includes(first)) return undefined;
+    context.warn(args.length > 1 ? format.sprintf(first, args.slice(1)) : first);
+    return undefined;
+  },
+  input: (args, nargout, context) => {
+    const prompt = args.length > 0 ? toText(args[0]) : '';
+    const answer = context.prompt(prompt);
+    context.print(`${prompt}${answer}\n`);
+    if (args.length > 1 && toText(args[1]) === 's') {
+      return charRow(answer);
+    }
+    return answer.trim() === '' ? zeros(0, 0) : context.evaluate(answer);
+  },
+  clc: () => undefined,
+  format: () => undefined,
+  more: () => undefined,
+  beep: () => undefined,
+  tic: (args, nargout, context) => {
+    context.timer = Date.now();
+    return nargout > 0 ? context.timer : undefined;
+  },
+  toc: (args, nargout, context) => {
+    const elapsed = (Date.now() - (context.timer === null ? Date.now() : context.timer)) / 1000;
+    if (nargout > 0) return elapsed;
+    context.print(`Elapsed time is ${elapsed.toFixed(6)} seconds.\n`);
+    return undefined;
+  },
+  pause: () => undefined,
+  drawnow: () => undefined,
+  shg: () => undefined,
+  box: () => undefined,
+
+  // Functions
+  feval: (args, nargout, context) => context.call(args[0], args.slice(1), nargout),
+  func2str: args => charRow(args[0] instanceof FunctionHandle ? args[0].text.replace(/^@(?=[A-Za-z])/, '') : toText(args[0])),
+  str2func: (args, nargout, context) => {
+    const text = textArg(args[0], 'str2func');
+    return text.startsWith('@') ? context.evaluate(text) : new FunctionHandle({ name: text, text: `@${text}` });
+  },
+  isa: args => logicalScalar(toText(args[1]) === 'double' && (typeof args[0] === 'number' || (args[0] instanceof Matrix && args[0].kind === 'double')) ? 1 : 0),
+
+  // Figures
+  figure: (args, nargout, context) => {
+    const number = context.graphics.figure(args.length > 0 ? toScalar(args[0], 'Figure number') : undefined);
+    return nargout > 0 ? number : undefined;
+  },
+  clf: (args, nargout, context) => { context.graphics.clf(); },
+  close: (args, nargout, context) => {
+    const option = optionArg(args);
+    context.graphics.close(option === 'all' ? 'all' : (args.length > 0 ? toScalar(args[0], 'Figure number') : undefined));
+  },
+  subplot: (args, nargout, context) => {
+    if (args.length === 1) {
+      const code = toScalar(isChar(args[0]) ? Number(toText(args[0])) : args[0], 'Subplot position');
+      context.graphics.subplot(Math.floor(code / 100), Math.floor(code / 10) % 10, code % 10);
+    } else {
+      context.graphics.subplot(...args.slice(0, 3).map(arg => toScalar(isChar(arg) ? Number(toText(arg)) : arg, 'Subplot position')));
+    }
+  },
+  hold: (args, nargout, context) => { context.graphics.hold(optionArg(args)); },
+  plot: (args, nargout, context) => plotResult(context.graphics.plot(args), nargout),
+  semilogx: (args, nargout, context) => plotResult(context.graphics.plot(args, { xscale: 'log' }), nargout),
+  semilogy: (args, nargout, context) => plotResult(context.graphics.plot(args, { yscale: 'log' }), nargout),
+  loglog: (args, nargout, context) => plotResult(context.graphics.plot(args, { xscale: 'log', yscale: 'log' }), nargout),
+  line: (args, nargout, context) => plotResult(context.graphics.plot(args, { keep: true }), nargout),
+  axis: (args, nargout, context) => {
+    let limits;
+    if (args.length === 0) limits = context.graphics.axis();
+    args.forEach((arg) => { limits = context.graphics.axis(arg); });
+    return nargout > 0 ? rowVector(limits) : undefined;
+  },
+  xlim: (args, nargout, context) => {
+    const limits = context.graphics.setLimits('x', args[0]);
+    return nargout > 0 || args.length === 0 ? rowVector(limits) : undefined;
+  },
+  ylim: (args, nargout, context) => {
+    const limits = context.graphics.setLimits('y', args[0]);
+    return nargout > 0 || args.length === 0 ? rowVector(limits) : undefined;
+  },
+  title: (args, nargout, context) => { context.graphics.label('title', args[0]); },
+  xlabel: (args, nargout, context) => { context.graphics.label('xlabel', args[0]); },
+  ylabel: (args, nargout, context) => { context.graphics.label('ylabel', args[0]); },
+  grid: (args, nargout, context) => { context.graphics.grid(optionArg(args)); },
+  legend: (args, nargout, context) => {
+    const labels = [];
+    for (const arg of args) {
+      const text = toText(arg);
+      if (/^location$|^orientation$/i.test(text)) break;
+      labels.push(...lines(arg));
+    }
+    context.graphics.legend(labels);
+  },
+  text: (args, nargout, context) => {
+    context.graphics.text(toNumbers(args[0]), toNumbers(args[1]), toText(args[2]));
+  },
+  gcf: (args, nargout, context) => context.graphics.currentFigure().number,
+  gca: () => 1,
+};
+
+/**
+ * Apply a binary real function with implicit expansion
+ * @param {Array<*>} args - Two arguments
+ * @param {function(number, number): number} fn - Function
+ * @param {string} [kind='double'] - Result kind
+ * @returns {*} Result
+ */
+function mapBinary(args, fn, kind = 'double') {
+  const [left, right] = args;
+  if (typeof left === 'number' && typeof right === 'number' && kind === 'double') {
+    return fn(left, right);
+  }
+  const a = toMatrix(left);
+  const b = toMatrix(right);
+  if (a.im || b.im) {
+    throw programError('Complex arguments are not supported here in the browser', { unsupported: true });
+  }
+  const [expandedA, expandedB] = expandPair(a, b);
+  const result = zeros(expandedA.rows, expandedA.cols, false, kind);
+  for (let k = 0; k < result.numel; k++) result.re[k] = fn(expandedA.re[k], expandedB.re[k]);
+  return simplify(result);
+}
+
+/**
+ * Return line handles from plot functions when asked for
+ * @param {number} count - Number of lines drawn
+ * @param {number} nargout - Number of outputs
+ * @returns {*} Handles, or undefined
+ */
+function plotResult(count, nargout) {
+  return nargout > 0 ? simplify(columnVector(Array.from({ length: count }, (_, k) => k + 1))) : undefined;
+}
+
+/**
+ * Check whether a name is a built-in function
+ * @param {string} name - Name
+ * @returns {boolean} True if the interpreter implements it
+ */
+function hasBuiltin(name) {
+  return Object.prototype.hasOwnProperty.call(BUILTINS, name);
+}
+
+module.exports = {
+  BUILTINS,
+  hasBuiltin,
+};
@@ -0,0 +1,483 @@
+/**
+ * @fileoverview Text output of the MATLAB interpreter
+ * @module interpreter/format
+ *
+ * Shows values the way MATLAB does in its default "format short": scalars
+ * on the line of their name, arrays below it with a common scale factor,
+ * wrapped into column blocks. Also implements the C-style conversions of
+ * sprintf and fprintf, and num2str.
+ */
+
+const { FunctionHandle, toMatrix, isChar, toText } = require('./values');
+
+/**
+ * Width of the console, for wrapping wide arrays into column blocks
+ * @type {number}
+ */
+const CONSOLE_WIDTH = 80;
+
+/**
+ * Format a number with a C conversion
+ * @param {string} conversion - Conversion character: d i u f e E g G x X o c s
+ * @param {number} value - Number
+ * @param {Object} [options={}] - Conversion options
+ * @param {number|null} [options.precision=null] - Precision, or null for the default
+ * @param {string} [options.flags=''] - Flags: - + space 0 #
+ * @param {number} [options.width=0] - Minimum width
+ * @returns {string} Formatted number
+ */
+function formatNumber(conversion, value, { precision = null, flags = '', width = 0 } = {}) {
+  let body;
+  if (Number.isNaN(value)) {
+    body = 'NaN';
+  } else if (!Number.isFinite(value)) {
+    body = 'Inf';
+  } else {
+    const magnitude = Math.abs(value);
+    switch (conversion) {
+      case 'd':
+      case 'i':
+      case 'u':
+        body = magnitude >= 1e21 ? BigInt(Math.round(magnitude)).toString() : String(Math.round(magnitude));
+        break;
+      case 'f':
+      case 'F':
+        body = magnitude.toFixed(precision === null ? 6 : Math.min(precision, 100));
+        break;
+      case 'e':
+      case 'E':
+        body = exponential(magnitude, precision === null ? 6 : precision);
+        break;
+      case 'g':
+      case 'G':
+        body = general(magnitude, precision === null ? 6 : precision, flags.includes('#'));
+        break;
+      case 'x':
+      case 'X':
+        body = Math.round(magnitude).toString(16);
+        break;
+      case 'o':
+        body = Math.round(magnitude).toString(8);
+        break;
+      default:
+        body = String(magnitude);
+    }
+    if (conversion === 'E' || conversion === 'G' || conversion === 'X') {
+      body = body.toUpperCase();
+    }
+  }
+
+  let sign = '';
+  if (value < 0) sign = '-';
+  else if (flags.includes('+')) sign = '+';
+  else if (flags.includes(' ')) sign = ' ';
+
+  return pad(sign, body, width, flags, Number.isFinite(value));
+}
+
+/**
+ * Pad a formatted number to a width
+ * @param {string} sign - Sign prefix
+ * @param {string} body - Digits
+ * @param {number} width - Minimum width
+ * @param {string} flags - Flags
+ * @param {boolean} zeroPadding - Whether zero padding is allowed (not for Inf and NaN)
+ * @returns {string} Padded text
+ */
+function pad(sign, body, width, flags, zeroPadding) {
+  const length = sign.length + body.length;
+  if (length >= width) return sign + body;
+  if (flags.includes('-')) return sign + body + ' '.repeat(width - length);
+  if (flags.includes('0') && zeroPadding) return sign + '0'.repeat(width - length) + body;
+  return ' '.repeat(width - length) + sign + body;
+}
+
+/**
+ * Format in exponent notation with at least two exponent digits
+ * @param {number} magnitude - Non-negative number
+ * @param {number} precision - Digits after the point
+ * @returns {string} e.g. '1.500000e+00'
+ */
+function exponential(magnitude, precision) {
+  return magnitude.toExponential(Math.min(precision, 100)).replace(/e([+-])(\d)$/, 'e$10$2');
+}
+
+/**
+ * Format with %g: fixed or exponent notation, whichever is shorter
+ * @param {number} magnitude - Non-negative number
+ * @param {number} precision - Significant digits
+ * @param {boolean} keepZeros - Whether to keep trailing zeros (# flag)
+ * @returns {string} Formatted number
+ */
+function general(magnitude, precision, keepZeros) {
+  const digits = precision === 0 ? 1 : precision;
+  if (magnitude === 0) {
+    return keepZeros ? (0).toFixed(digits - 1) : '0';
+  }
+  const exponent = Number(magnitude.toExponential(digits - 1).split('e')[1]);
+  let text = exponent < -4 || exponent >= digits
+    ? exponential(magnitude, digits - 1)
+    : magnitude.toFixed(Math.max(0, digits - 1 - exponent));
+  if (!keepZeros) {
+    const [mantissa, suffix = ''] = text.split('e');
+    text = (mantissa.includes('.') ? mantissa.replace(/\.?0+$/, '') : mantissa) + (suffix && `e${suffix}`);
+  }
+  return text;
+}
+
+/**
+ * Replace the escape sequences of a format string
+ * @param {string} format - Format
+ * @returns {string} Format with \n, \t and the like replaced
+ */
+function unescape(format) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', a: '\x07', b: '\b', f: '\f', v: '\v' };
+  return format.replace(/\\(x[0-9A-Fa-f]+|[0-7]{1,3}|.)/g, (match, code) => {
+    if (code in escapes) return escapes[code];
+    if (code[0] === 'x') return String.fromCharCode(parseInt(code.slice(1), 16));
+    if (/^[0-7]+$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+    return code;
+  });
+}
+
+/**
+ * Format data as sprintf does
+ * The format is reused until every argument is consumed. Char arrays are
+ * consumed whole by %s; numeric arrays element by element.
+ * @param {string} format - Format with C conversions
+ * @param {Array<*>} args - Values
+ * @returns {string} Text
+ */
+function sprintf(format, args) {
+  const items = [];
+  args.forEach((arg) => {
+    if (isChar(arg)) {
+      items.push(toText(arg));
+    } else if (arg instanceof FunctionHandle) {
+      items.push(arg.text);
+    } else {
+      const matrix = toMatrix(arg);
+      for (let k = 0; k < matrix.numel; k++) items.push(matrix.re[k]);
+    }
+  });
+
+  const template = unescape(format);
+  const pattern = /%([-+ 0#]*)(\d+|\*)?(?:\.(\d+|\*))?([diuoxXfFeEgGcs%])/g;
+  const hasConversions = Array.from(template.matchAll(pattern)).some(match => match[4] !== '%');
+  let output = '';
+  let next = 0;
+
+  do {
+    let last = 0;
+    pattern.lastIndex = 0;
+    let match;
+    let stopped = false;
+    while ((match = pattern.exec(template)) !== null) {
+      output += template.slice(last, match.index);
+      last = pattern.lastIndex;
+      const [, flags, widthSpec, precisionSpec, conversion] = match;
+      if (conversion === '%') {
+        output += '%';
+        continue;
+      }
+      const width = widthSpec === '*' ? Number(items[next++]) : Number(widthSpec || 0);
+      const precision = precisionSpec === '*' ? Number(items[next++]) : (precisionSpec === undefined ? null : Number(precisionSpec));
+      if (next >= items.length && items.length > 0) {
+        stopped = true;
+        break;
+      }
+      output += convert(conversion, items.length === 0 ? undefined : items[next++], { flags, width, precision });
+    }
+    if (!stopped) {
+      output += template.slice(last);
+    }
+  } while (hasConversions && next < items.length);
+
+  return output;
+}
+
+/**
+ * Apply one conversion to an item
+ * @param {string} conversion - Conversion character
+ * @param {number|string|undefined} item - Number, text, or undefined when there is no data
+ * @param {Object} options - Flags, width and precision
+ * @returns {string} Text
+ */
+function convert(conversion, item, options) {
+  if (item === undefined) {
+    return '';
+  }
+  if (typeof item === 'string') {
+    if (conversion === 's' || conversion === 'c') {
+      const text = options.precision !== null && conversion === 's' ? item.slice(0, options.precision) : item;
+      return pad('', text, options.width, options.flags.replace('0', ''), false);
+    }
+    return Array.from(item, char => formatNumber(conversion, char.charCodeAt(0), options)).join('');
+  }
+  if (conversion === 's' || conversion === 'c') {
+    if (Number.isInteger(item) && item >= 0) {
+      return pad('', String.fromCharCode(item), options.width, options.flags, false);
+    }
+    return formatNumber(conversion === 's' ? 'g' : 'e', item, { ...options, precision: conversion === 's' ? 5 : options.precision });
+  }
+  if ('diuxXo'.includes(conversion) && !Number.isInteger(item) && Number.isFinite(item)) {
+    return formatNumber('e', item, { ...options, precision: null });
+  }
+  return formatNumber(conversion, item, options);
+}
+
+/**
+ * Get the significant digits num2str uses for a number
+ * @param {number} magnitude - Largest absolute value
+ * @returns {number} Digits, between 5 and 16
+ */
+function num2strDigits(magnitude) {
+  const exponent = magnitude > 0 && Number.isFinite(magnitude) ? Math.floor(Math.log10(magnitude)) : 0;
+  return Math.min(Math.max(exponent + 5, 5), 16);
+}
+
+/**
+ * Convert a value to text as num2str does
+ * @param {*} value - Number, array or char array
+ * @param {*} [option] - Significant digits, or a format string
+ * @returns {string[]} Rows of text
+ */
+function num2str(value, option) {
+  if (isChar(value)) {
+    return toText(value).split('\n');
+  }
+  if (option !== undefined && isChar(option)) {
+    const matrix = toMatrix(value);
+    const rows = [];
+    for (let r = 0; r < matrix.rows; r++) {
+      const row = [];
+      for (let c = 0; c < matrix.cols; c++) row.push(matrix.re[r + c * matrix.rows]);
+      rows.push(sprintf(toText(option), row));
+    }
+    return rows;
+  }
+
+  const matrix = toMatrix(value);
+  if (matrix.numel === 0) {
+    return [''];
+  }
+  const finite = Array.from(matrix.re).filter(Number.isFinite);
+  const allIntegers = finite.every(Number.isInteger) && (!matrix.im || matrix.im.every(Number.isInteger));
+  const maxAbs = finite.reduce((max, x) => Math.max(max, Math.abs(x)), 0);
+  const digits = option !== undefined ? Math.round(Number(toMatrix(option).re[0])) : num2strDigits(maxAbs);
+
+  const formatReal = x => (allIntegers && option === undefined ? formatNumber('d', x) : formatNumber('g', x, { precision: digits }));
+  const formatElement = (k) => {
+    const re = formatReal(matrix.re[k]);
+    if (!matrix.im) return re;
+    const im = matrix.im[k];
+    return `${re}${im < 0 || Object.is(im, -0) ? '-' : '+'}${formatReal(Math.abs(im))}i`;
+  };
+
+  if (matrix.numel === 1) {
+    return [formatElement(0)];
+  }
+
+  const cells = Array.from({ length: matrix.numel }, (_, k) => formatElement(k));
+  const width = Math.max(...cells.map(cell => cell.length));
+  const separator = allIntegers ? '  ' : '    ';
+  const rows = [];
+  for (let r = 0; r < matrix.rows; r++) {
+    const row = [];
+    for (let c = 0; c < matrix.cols; c++) row.push(cells[r + c * matrix.rows].padStart(width));
+    rows.push(row.join(separator));
+  }
+  // Columns are aligned, then the common leading blanks are removed
+  const indent = Math.min(...rows.map(row => row.length - row.trimStart().length));
+  return rows.map(row => row.slice(indent));
+}
+
+/**
+ * Format a real number in format short
+ * @param {number} value - Number
+ * @returns {string} Text, e.g. '5', '0.5000', '1.2346e+05'
+ */
+function formatShort(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (!Number.isFinite(value)) return value < 0 ? '-Inf' : 'Inf';
+  if (Number.isInteger(value) && Math.abs(value) < 1e9) return String(value);
+  const magnitude = Math.abs(value);
+  if (magnitude >= 0.001 && magnitude < 1000) return value.toFixed(4);
+  return formatNumber('e', value, { precision: 4 });
+}
+
+/**
+ * Format a complex number in format short
+ * @param {number} re - Real part
+ * @param {number} im - Imaginary part
+ * @returns {string} Text, e.g. '1.0000 + 2.0000i'
+ */
+function formatComplex(re, im) {
+  const integers = Number.isInteger(re) && Number.isInteger(im);
+  const part = x => (integers ? String(Math.abs(x)) : formatShort(Math.abs(x)).replace(/^(\d)$/, '$1.0000'));
+  const real = integers ? String(re) : (re < 0 ? '-' : '') + part(re);
+  return `${real} ${im < 0 || Object.is(im, -0) ? '-' : '+'} ${part(im)}i`;
+}
+
+/**
+ * Describe the size and class of an array, as in '1×0 empty double row vector'
+ * @param {Matrix} matrix - Matrix
+ * @returns {string} Description
+ */
+function describeEmpty(matrix) {
+  const kind = matrix.kind === 'double' ? 'double' : matrix.kind;
+  let shape = '';
+  if (matrix.rows === 1) shape = ' row vector';
+  else if (matrix.cols === 1) shape = ' column vector';
+  else if (matrix.rows === 0 && matrix.cols === 0 && kind === 'double') return '[]';
+  else if (kind !== 'char') shape = ' matrix';
+  return `${matrix.rows}×${matrix.cols} empty ${kind}${kind === 'char' ? ' array' : shape}`;
+}
+
+/**
+ * Format the rows of a numeric array, with a scale factor if needed
+ * @param {Matrix} matrix - Numeric or logical matrix
+ * @returns {string[]} Lines
+ */
+function formatArrayLines(matrix) {
+  const { rows, cols } = matrix;
+  const values = Array.from(matrix.re);
+  const finite = values.concat(matrix.im ? Array.from(matrix.im) : []).filter(Number.isFinite);
+  const integers = finite.every(Number.isInteger);
+  const maxAbs = finite.reduce((max, x) => Math.max(max, Math.abs(x)), 0);
+
+  let header = null;
+  let scale = 1;
+  let cell;
+  let width;
+  if (matrix.kind === 'logical') {
+    width = 4;
+    cell = k => String(values[k]);
+  } else if (integers && maxAbs < 1e9) {
+    const digits = String(maxAbs).length + (values.some(x => x < 0) ? 1 : 0);
+    width = Math.max(digits + 2, matrix.im ? 0 : 6);
+    cell = k => (matrix.im ? formatComplexCell(values[k], matrix.im[k], v => String(Math.abs(v))) : numberText(values[k], v => String(v)));
+  } else {
+    if (maxAbs >= 1000 || (maxAbs < 0.001 && maxAbs > 0)) {
+      const exponent = Math.floor(Math.log10(maxAbs));
+      scale = Math.pow(10, exponent);
+      header = `   1.0e${exponent < 0 ? '-' : '+'}${String(Math.abs(exponent)).padStart(2, '0')} *`;
+    }
+    width = 10;
+    const fixed = v => (v === 0 ? '0' : numberText(v / scale, x => x.toFixed(4)));
+    cell = k => (matrix.im ? formatComplexCell(values[k] / scale, matrix.im[k] / scale, v => Math.abs(v).toFixed(4)) : fixed(values[k]));
+  }
+
+  const cells = Array.from({ length: rows * cols }, (_, k) => cell(k));
+  if (matrix.im) {
+    width = Math.max(...cells.map(text => text.length)) + 3;
+  }
+  const perBlock = Math.max(1, Math.floor(CONSOLE_WIDTH / width));
+  const lines = header ? [header, ''] : [];
+
+  for (let first = 0; first < cols; first += perBlock) {
+    const last = Math.min(cols, first + perBlock);
+    if (cols > perBlock) {
+      lines.push(last - first === 1 ? `  Column ${first + 1}` : `  Columns ${first + 1} through ${last}`, '');
+    }
+    for (let r = 0; r < rows; r++) {
+      let line = '';
+      for (let c = first; c < last; c++) line += cells[r + c * rows].padStart(width);
+      lines.push(line);
+    }
+    if (last < cols) lines.push('');
+  }
+  return lines;
+}
+
+/**
+ * Format a number, keeping NaN and Inf readable
+ * @param {number} value - Number
+ * @param {function(number): string} format - Formatter for finite numbers
+ * @returns {string} Text
+ */
+function numberText(value, format) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (!Number.isFinite(value)) return value < 0 ? '-Inf' : 'Inf';
+  return format(value);
+}
+
+/**
+ * Format one complex array element
+ * @param {number} re - Real part
+ * @param {number} im - Imaginary part
+ * @param {function(number): string} format - Formatter of magnitudes
+ * @returns {string} Text
+ */
+function formatComplexCell(re, im, format) {
+  const real = re < 0 ? `-${numberText(-re, format)}` : numberText(re, format);
+  return `${real} ${im < 0 ? '-' : '+'} ${numberText(Math.abs(im), format)}i`;
+}
+
+/**
+ * Show a value as when a statement is not ended by a semicolon
+ * @param {string} name - Variable name, or 'ans'
+ * @param {*} value - Value
+ * @returns {string} Text, ending with a newline
+ */
+function display(name, value) {
+  if (value instanceof FunctionHandle) {
+    return `${name} =\n\n  function_handle with value:\n\n    ${value.text}\n\n`;
+  }
+  if (typeof value === 'number') {
+    return `${name} = ${formatShort(value)}\n`;
+  }
+
+  const matrix = toMatrix(value);
+  if (matrix.numel === 0) {
+    const description = describeEmpty(matrix);
+    return description === '[]' ? `${name} =\n\n     []\n\n` : `${name} =\n\n  ${description}\n\n`;
+  }
+  if (matrix.kind === 'char') {
+    const lines = toText(matrix).split('\n');
+    if (lines.length === 1) return `${name} = '${lines[0]}'\n`;
+    return `${name} =\n\n  ${matrix.rows}×${matrix.cols} char array\n\n${lines.map(line => `    '${line}'`).join('\n')}\n\n`;
+  }
+  if (matrix.numel === 1 && matrix.kind === 'double') {
+    return `${name} = ${formatComplex(matrix.re[0], matrix.im ? matrix.im[0] : 0)}\n`;
+  }
+  if (matrix.kind === 'logical') {
+    const label = matrix.numel === 1 ? 'logical' : `${matrix.rows}×${matrix.cols} logical array`;
+    return `${name} =\n\n  ${label}\n\n${formatArrayLines(matrix).join('\n')}\n\n`;
+  }
+  return `${name} =\n\n${formatArrayLines(matrix).join('\n')}\n\n`;
+}
+
+/**
+ * Show a value as disp does, without its name
+ * @param {*} value - Value
+ * @returns {string} Text, ending with a newline (empty for empty arrays)
+ */
+function disp(value) {
+  if (value instanceof FunctionHandle) {
+    return `    ${value.text}\n`;
+  }
+  if (typeof value === 'number') {
+    return `${formatShort(value)}\n`;
+  }
+  const matrix = toMatrix(value);
+  if (matrix.numel === 0) {
+    return '';
+  }
+  if (matrix.kind === 'char') {
+    return `${toText(matrix)}\n`;
+  }
+  if (matrix.numel === 1 && matrix.kind === 'double') {
+    return `${formatComplex(matrix.re[0], matrix.im ? matrix.im[0] : 0)}\n`;
+  }
+  return `${formatArrayLines(matrix).join('\n')}\n`;
+}
+
+module.exports = {
+  formatNumber,
+  sprintf,
+  num2str,
+  formatShort,
+  display,
+  disp,
+};
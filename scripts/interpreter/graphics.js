@@ -0,0 +1,631 @@
+/**
+ * @fileoverview Figure state of the MATLAB interpreter
+ * @module interpreter/graphics
+ *
+ * Keeps the figures a program draws as plain data: each figure has a
+ * subplot grid and axes holding line series, labels and limits, in the
+ * FigureAxes shape that the figure-file reader produces, so the same
+ * renderers draw both. As in MATLAB, plotting into axes without "hold on"
+ * replaces what they showed.
+ */
+
+const { Matrix, programError, toMatrix, isChar, toText } = require('./values');
+
+/**
+ * RGB values of the color letters of line specifications
+ * @type {Object<string, number[]>}
+ */
+const COLORS = {
+  b: [0, 0, 1],
+  g: [0, 0.5, 0],
+  r: [1, 0, 0],
+  c: [0, 0.75, 0.75],
+  m: [0.75, 0, 0.75],
+  y: [0.75, 0.75, 0],
+  k: [0, 0, 0],
+  w: [1, 1, 1],
+};
+
+/**
+ * Color names accepted by the Color property
+ * @type {Object<string, string>}
+ */
+const COLOR_NAMES = {
+  blue: 'b', green: 'g', red: 'r', cyan: 'c', magenta: 'm', yellow: 'y', black: 'k', white: 'w',
+};
+
+/**
+ * Marker characters of line specifications
+ * @type {string}
+ */
+const MARKERS = 'o+*.xsd^v<>ph';
+
+/**
+ * @typedef {import('../parsers/matParser').FigureAxes & {
+ *   index: number,
+ *   grid: boolean,
+ *   texts: Array<{x: number, y: number, text: string}>,
+ *   hold: boolean,
+ *   visible: boolean,
+ *   equal: boolean
+ * }} PlotAxes
+ */
+
+/**
+ * @typedef {Object} PlotFigure
+ * @property {number} number - Figure number
+ * @property {number} rows - Subplot grid rows
+ * @property {number} cols - Subplot grid columns
+ * @property {PlotAxes[]} axes - Axes, in subplot order
+ */
+
+/**
+ * Parse a line specification such as 'r--' or 'ko'
+ * @param {string} spec - Line specification
+ * @returns {{color: number[]|null, lineStyle: string|null, marker: string|null}|null} Parts, or null if it is not a line specification
+ */
+function parseLineSpec(spec) {
+  let rest = spec;
+  let color = null;
+  let lineStyle = null;
+  let marker = null;
+
+  while (rest.length > 0) {
+    const style = ['--', '-.', '-', ':'].find(candidate => rest.startsWith(candidate));
+    if (style && lineStyle === null) {
+      lineStyle = style;
+      rest = rest.slice(style.length);
+    } else if (rest[0] in COLORS && color === null) {
+      color = COLORS[rest[0]];
+      rest = rest.slice(1);
+    } else if (MARKERS.includes(rest[0]) && marker === null) {
+      marker = rest[0];
+      rest = rest.slice(1);
+    } else {
+      return null;
+    }
+  }
+  return { color, lineStyle, marker };
+}
+
+/**
+ * Read a color property value
+ * @param {*} value - Color letter, name or RGB triple
+ * @returns {number[]} RGB values between 0 and 1
+ * @throws {Error} For unknown colors
+ */
+function readColor(value) {
+  if (isChar(value)) {
+    const text = toText(value).toLowerCase();
+    const letter = COLOR_NAMES[text] || text;
+    if (letter in COLORS) return COLORS[letter];
+    throw programError(`Invalid color '${toText(value)}'`);
+  }
+  const rgb = Array.from(toMatrix(value).re);
+  if (rgb.length !== 3) {
+    throw programError('Color value must be a 3-element vector.');
+  }
+  return rgb;
+}
+
+/**
+ * Read the values of a plot argument as columns
+ * A vector is one column; each column of a matrix is a series.
+ * @param {*} value - Vector or matrix
+ * @returns {{columns: number[][], vector: boolean}} Columns
+ */
+function readColumns(value) {
+  const matrix = toMatrix(value);
+  if (matrix.rows === 1 || matrix.cols === 1) {
+    return { columns: [Array.from(matrix.re)], vector: true };
+  }
+  const columns = [];
+  for (let c = 0; c < matrix.cols; c++) {
+    columns.push(Array.from(matrix.re.subarray(c * matrix.rows, (c + 1) * matrix.rows)));
+  }
+  return { columns, vector: false };
+}
+
+/**
+ * Figures drawn by one program run
+ */
+class Graphics {
+  /**
+   * Create an empty figure state
+   * @param {Object} [options={}] - Options
+   * @param {function(string): void} [options.warn] - Receives warnings, such as for complex data
+   */
+  constructor({ warn = () => {} } = {}) {
+    this.warn = warn;
+    this.figures = new Map();
+    this.current = null;
+  }
+
+  /**
+   * Get the current figure, creating figure 1 if there is none
+   * @returns {Object} Figure state
+   */
+  currentFigure() {
+    if (this.current === null) {
+      this.figure(1);
+    }
+    return this.figures.get(this.current);
+  }
+
+  /**
+   * Get the current axes, creating them if needed
+   * @returns {PlotAxes} Axes
+   */
+  currentAxes() {
+    const figure = this.currentFigure();
+    if (!figure.axes.has(figure.active)) {
+      figure.axes.set(figure.active, this.createAxes(figure.active));
+    }
+    return figure.axes.get(figure.active);
+  }
+
+  /**
+   * Create empty axes
+   * @param {number} index - Subplot index
+   * @returns {PlotAxes} Axes
+   */
+  createAxes(index) {
+    return {
+      index,
+      title: '',
+      xlabel: '',
+      ylabel: '',
+      xscale: 'linear',
+      yscale: 'linear',
+      xlim: null,
+      ylim: null,
+      grid: false,
+      series: [],
+      texts: [],
+      hold: false,
+      visible: true,
+      equal: false,
+    };
+  }
+
+  /**
+   * Make a figure current: figure or figure(n)
+   * @param {number} [number] - Figure number; the next free one if omitted
+   * @returns {number} Figure number
+   */
+  figure(number) {
+    let figureNumber = number;
+    if (figureNumber === undefined) {
+      figureNumber = 1;
+      while (this.figures.has(figureNumber)) figureNumber++;
+    }
+    if (!(figureNumber >= 1 && Number.isInteger(figureNumber))) {
+      throw programError('Figure number must be a positive integer');
+    }
+    if (!this.figures.has(figureNumber)) {
+      this.figures.set(figureNumber, { number: figureNumber, rows: 1, cols: 1, active: 1, axes: new Map() });
+    }
+    this.current = figureNumber;
+    return figureNumber;
+  }
+
+  /**
+   * Clear the current figure
+   */
+  clf() {
+    const figure = this.currentFigure();
+    Object.assign(figure, { rows: 1, cols: 1, active: 1, axes: new Map() });
+  }
+
+  /**
+   * Close figures: close, close(n) or close all
+   * @param {number|'all'} [which] - Figure number or 'all'; the current figure if omitted
+   */
+  close(which) {
+    if (which === 'all') {
+      this.figures.clear();
+    } else {
+      this.figures.delete(which === undefined ? this.current : which);
+    }
+    const remaining = Array.from(this.figures.keys());
+    this.current = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+  }
+
+  /**
+   * Select axes in a grid: subplot(m, n, p)
+   * Changing the grid clears the figure's other axes, as overlapping axes are deleted in MATLAB.
+   * @param {number} rows - Grid rows
+   * @param {number} cols - Grid columns
+   * @param {number} index - Position, counted along rows
+   */
+  subplot(rows, cols, index) {
+    if (![rows, cols, index].every(Number.isInteger) || index < 1 || index > rows * cols) {
+      throw programError('Index exceeds number of subplots.');
+    }
+    const figure = this.currentFigure();
+    if (figure.rows !== rows || figure.cols !== cols) {
+      figure.axes = new Map();
+      figure.rows = rows;
+      figure.cols = cols;
+    }
+    figure.active = index;
+    this.currentAxes();
+  }
+
+  /**
+   * Set hold: hold on, hold off, or toggle
+   * @param {string} [mode] - 'on', 'off' or 'all'; toggles if omitted
+   */
+  hold(mode) {
+    const axes = this.currentAxes();
+    if (mode === undefined) axes.hold = !axes.hold;
+    else if (mode === 'on' || mode === 'all') axes.hold = true;
+    else if (mode === 'off') axes.hold = false;
+    else throw programError(`Unknown hold option '${mode}'`);
+  }
+
+  /**
+   * Get the axes to plot into, clearing them unless hold is on
+   * @returns {PlotAxes} Axes
+   */
+  axesForPlot() {
+    const axes = this.currentAxes();
+    if (!axes.hold) {
+      const fresh = this.createAxes(axes.index);
+      this.currentFigure().axes.set(axes.index, fresh);
+      return fresh;
+    }
+    return axes;
+  }
+
+  /**
+   * Plot lines: plot(y), plot(x, y), plot(x, y, spec, ...), with property pairs
+   * @param {Array<*>} args - Arguments
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.xscale='linear'] - X axis scale, for semilogx and loglog
+   * @param {string} [options.yscale='linear'] - Y axis scale, for semilogy and loglog
+   * @param {boolean} [options.keep=false] - Whether to add to the axes regardless of hold, as line does
+   * @returns {number} Number of series drawn
+   */
+  plot(args, { xscale = 'linear', yscale = 'linear', keep = false } = {}) {
+    const groups = [];
+    const properties = [];
+    let k = 0;
+
+    while (k < args.length) {
+      if (isChar(args[k])) {
+        // Property-value pairs end the data groups
+        properties.push(...args.slice(k));
+        break;
+      }
+      const first = args[k++];
+      const second = k < args.length && !isChar(args[k]) ? args[k++] : null;
+      let spec = null;
+      if (k < args.length && isChar(args[k])) {
+        spec = parseLineSpec(toText(args[k]));
+        if (spec !== null) k++;
+      }
+      groups.push(second === null ? { y: first, spec } : { x: first, y: second, spec });
+    }
+
+    if (groups.length === 0) {
+      throw programError('Not enough input arguments.');
+    }
+    if (properties.length % 2 !== 0) {
+      throw programError('Invalid parameter/value pair arguments.');
+    }
+
+    const axes = keep ? this.currentAxes() : this.axesForPlot();
+    if (xscale !== 'linear') axes.xscale = xscale;
+    if (yscale !== 'linear') axes.yscale = yscale;
+
+    const added = [];
+    groups.forEach(group => added.push(...this.makeSeries(group)));
+    this.applyProperties(added, properties);
+    axes.series.push(...added);
+    return added.length;
+  }
+
+  /**
+   * Turn one x, y group into series
+   * @param {{x?: *, y: *, spec: Object|null}} group - Data and line specification
+   * @returns {Object[]} Series
+   */
+  makeSeries({ x, y, spec }) {
+    const yMatrix = toMatrix(y);
+    if (yMatrix.im && x === undefined) {
+      // plot(z) of a complex vector plots the imaginary against the real part
+      return this.makeSeries({
+        x: new Matrix(yMatrix.rows, yMatrix.cols, yMatrix.re),
+        y: new Matrix(yMatrix.rows, yMatrix.cols, yMatrix.im),
+        spec,
+      });
+    }
+    if (yMatrix.im || (x !== undefined && toMatrix(x).im)) {
+      this.warn('Imaginary parts of complex X and/or Y arguments ignored.');
+    }
+
+    const ys = readColumns(yMatrix);
+    let xs;
+    if (x === undefined) {
+      const length = ys.vector ? ys.columns[0].length : yMatrix.rows;
+      xs = { columns: [Array.from({ length }, (_, i) => i + 1)], vector: true };
+    } else {
+      xs = readColumns(toMatrix(x));
+    }
+
+    // A vector against a matrix plots each matrix column (or row) of matching length
+    let pairs;
+    if (xs.vector && ys.vector) {
+      if (xs.columns[0].length !== ys.columns[0].length) {
+        throw programError('Vectors must be the same length.');
+      }
+      pairs = [[xs.columns[0], ys.columns[0]]];
+    } else if (xs.vector) {
+      pairs = this.matchColumns(xs.columns[0], toMatrix(y)).map(column => [xs.columns[0], column]);
+    } else if (ys.vector) {
+      pairs = this.matchColumns(ys.columns[0], toMatrix(x)).map(column => [column, ys.columns[0]]);
+    } else {
+      if (xs.columns.length !== ys.columns.length || xs.columns[0].length !== ys.columns[0].length) {
+        throw programError('Vectors must be the same length.');
+      }
+      pairs = xs.columns.map((column, i) => [column, ys.columns[i]]);
+    }
+
+    return pairs.map(([xValues, yValues]) => ({
+      x: xValues,
+      y: yValues,
+      label: '',
+      color: spec && spec.color,
+      lineStyle: spec && (spec.lineStyle || (spec.marker ? 'none' : '-')) || '-',
+      marker: spec && spec.marker || 'none',
+    }));
+  }
+
+  /**
+   * Split a matrix into series matching a vector's length
+   * @param {number[]} vector - Vector values
+   * @param {Matrix} matrix - Matrix
+   * @returns {number[][]} Columns, or rows if the columns do not match
+   */
+  matchColumns(vector, matrix) {
+    if (matrix.rows === vector.length) {
+      return readColumns(matrix).columns;
+    }
+    if (matrix.cols === vector.length) {
+      const rows = [];
+      for (let r = 0; r < matrix.rows; r++) {
+        rows.push(Array.from({ length: matrix.cols }, (_, c) => matrix.re[r + c * matrix.rows]));
+      }
+      return rows;
+    }
+    throw programError('Vectors must be the same length.');
+  }
+
+  /**
+   * Apply line properties to series
+   * @param {Object[]} series - Series
+   * @param {Array<*>} properties - Property names and values
+   */
+  applyProperties(series, properties) {
+    for (let k = 0; k < properties.length; k += 2) {
+      const name = toText(properties[k]).toLowerCase();
+      const value = properties[k + 1];
+      switch (name) {
+        case 'color':
+          series.forEach((line) => { line.color = readColor(value); });
+          break;
+        case 'linestyle':
+          series.forEach((line) => { line.lineStyle = toText(value); });
+          break;
+        case 'marker': {
+          const marker = toText(value);
+          series.forEach((line) => { line.marker = marker === 'none' || MARKERS.includes(marker) ? marker : 'o'; });
+          break;
+        }
+        case 'displayname':
+          series.forEach((line) => { line.label = toText(value); });
+          break;
+        case 'linewidth':
+        case 'markersize':
+        case 'markerfacecolor':
+        case 'markeredgecolor':
+          break;
+        default:
+          throw programError(`Line property '${toText(properties[k])}' is not supported in the browser`, { unsupported: true });
+      }
+    }
+  }
+
+  /**
+   * Set or read the axis limits and mode: axis([x1 x2 y1 y2]), axis tight, axis off
+   * @param {*} [arg] - Limits or a mode
+   * @returns {number[]} Current limits [x1 x2 y1 y2]
+   */
+  axis(arg) {
+    const axes = this.currentAxes();
+    if (arg === undefined) {
+      return this.limits(axes);
+    }
+    if (isChar(arg)) {
+      const mode = toText(arg);
+      switch (mode) {
+        case 'tight': {
+          const [x1, x2, y1, y2] = this.dataLimits(axes);
+          axes.xlim = x1 < x2 ? [x1, x2] : null;
+          axes.ylim = y1 < y2 ? [y1, y2] : null;
+          break;
+        }
+        case 'auto':
+        case 'normal':
+          axes.xlim = null;
+          axes.ylim = null;
+          axes.equal = false;
+          break;
+        case 'equal':
+        case 'image':
+        case 'square':
+          axes.equal = true;
+          break;
+        case 'off':
+          axes.visible = false;
+          break;
+        case 'on':
+          axes.visible = true;
+          break;
+        case 'ij':
+        case 'xy':
+        case 'fill':
+        case 'manual':
+          break;
+        default:
+          throw programError(`Unknown axis option '${mode}'`);
+      }
+      return this.limits(axes);
+    }
+
+    const limits = Array.from(toMatrix(arg).re);
+    if (limits.length !== 4 && limits.length !== 6) {
+      throw programError('Vector must have 4 or 6 elements.');
+    }
+    axes.xlim = this.checkLimits(limits.slice(0, 2));
+    axes.ylim = this.checkLimits(limits.slice(2, 4));
+    return limits.slice(0, 4);
+  }
+
+  /**
+   * Set the limits of one axis: xlim([a b]) and ylim([a b])
+   * @param {string} which - 'x' or 'y'
+   * @param {*} [arg] - Limits, or 'auto'
+   * @returns {number[]} Current limits of that axis
+   */
+  setLimits(which, arg) {
+    const axes = this.currentAxes();
+    const key = `${which}lim`;
+    if (arg !== undefined) {
+      axes[key] = isChar(arg) ? null : this.checkLimits(Array.from(toMatrix(arg).re));
+    }
+    const limits = this.limits(axes);
+    return which === 'x' ? limits.slice(0, 2) : limits.slice(2, 4);
+  }
+
+  /**
+   * Validate axis limits
+   * @param {number[]} limits - Limits
+   * @returns {number[]} Limits
+   * @throws {Error} Unless there are two increasing values
+   */
+  checkLimits(limits) {
+    if (limits.length !== 2 || !(limits[0] < limits[1])) {
+      throw programError('Limits must be a 2-element vector of increasing numeric values.');
+    }
+    return limits;
+  }
+
+  /**
+   * Get the data range of the axes
+   * @param {PlotAxes} axes - Axes
+   * @returns {number[]} [x1 x2 y1 y2], infinite when there is no data
+   */
+  dataLimits(axes) {
+    const limits = [Infinity, -Infinity, Infinity, -Infinity];
+    axes.series.forEach((line) => {
+      line.x.forEach((x, i) => {
+        const y = line.y[i];
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+        limits[0] = Math.min(limits[0], x);
+        limits[1] = Math.max(limits[1], x);
+        limits[2] = Math.min(limits[2], y);
+        limits[3] = Math.max(limits[3], y);
+      });
+    });
+    return limits;
+  }
+
+  /**
+   * Get the current limits of the axes
+   * @param {PlotAxes} axes - Axes
+   * @returns {number[]} [x1 x2 y1 y2]
+   */
+  limits(axes) {
+    const data = this.dataLimits(axes);
+    const fallback = (low, high) => (low <= high ? [low, high === low ? low + 1 : high] : [0, 1]);
+    return [...(axes.xlim || fallback(data[0], data[1])), ...(axes.ylim || fallback(data[2], data[3]))];
+  }
+
+  /**
+   * Set a text label of the current axes
+   * @param {string} which - 'title', 'xlabel' or 'ylabel'
+   * @param {*} value - Text; rows of a char matrix become lines
+   */
+  label(which, value) {
+    this.currentAxes()[which] = toText(value).replace(/\s+$/gm, '');
+  }
+
+  /**
+   * Turn the grid on or off
+   * @param {string} [mode] - 'on', 'off' or 'minor'; toggles if omitted
+   */
+  grid(mode) {
+    const axes = this.currentAxes();
+    axes.grid = mode === undefined ? !axes.grid : mode !== 'off';
+  }
+
+  /**
+   * Label the series of the current axes: legend('a', 'b'), legend off
+   * @param {string[]} labels - Labels, in series order
+   */
+  legend(labels) {
+    const axes = this.currentAxes();
+    if (labels.length === 1 && ['off', 'hide'].includes(labels[0])) {
+      axes.series.forEach((line) => { line.label = ''; });
+      return;
+    }
+    labels.forEach((label, i) => {
+      if (i < axes.series.length) axes.series[i].label = label;
+    });
+  }
+
+  /**
+   * Place text in the current axes: text(x, y, 'label')
+   * @param {number[]} xs - X positions
+   * @param {number[]} ys - Y positions
+   * @param {string} text - Text
+   */
+  text(xs, ys, text) {
+    const axes = this.currentAxes();
+    xs.forEach((x, i) => axes.texts.push({ x, y: ys[Math.min(i, ys.length - 1)], text }));
+  }
+
+  /**
+   * Get the drawn figures
+   * Figures without any axes are left out.
+   * @returns {PlotFigure[]} Figures in number order
+   */
+  getFigures() {
+    return Array.from(this.figures.values())
+      .filter(figure => figure.axes.size > 0)
+      .sort((a, b) => a.number - b.number)
+      .map(figure => ({
+        number: figure.number,
+        rows: figure.rows,
+        cols: figure.cols,
+        axes: Array.from(figure.axes.values()).sort((a, b) => a.index - b.index),
+      }));
+  }
+}
+
+/**
+ * Create an empty figure state
+ * @param {Object} [options] - Options, see Graphics
+ * @returns {Graphics} Figure state
+ */
+function createGraphics(options) {
+  return new Graphics(options);
+}
+
+module.exports = {
+  Graphics,
+  createGraphics,
+  parseLineSpec,
+};
@@ -0,0 +1,1031 @@
+/**
+ * @fileoverview Interpreter for the MATLAB subset of the book's programs
+ * @module interpreter
+ *
+ * Runs a script together with the function files it calls, entirely in
+ * JavaScript, so that programs can be run and changed in the browser. The
+ * result holds the console output, the figures as plot data, and the first
+ * error with its line. Programs that use something outside the subset
+ * stop with an error marked unsupported; checkProgram finds most of these
+ * before running.
+ */
+
+const { parse } = require('./parser');
+const {
+  FunctionHandle,
+  programError,
+  complexScalar,
+  charRow,
+  toMatrix,
+  isChar,
+  toScalar,
+  toText,
+  isTrue,
+} = require('./values');
+const {
+  COLON,
+  elementwise,
+  logicalScalar,
+  negate,
+  not,
+  transpose,
+  range,
+  concatenate,
+  index,
+  assignIndex,
+} = require('./operations');
+const linalg = require('./linalg');
+const { display } = require('./format');
+const { BUILTINS, hasBuiltin } = require('./builtins');
+const { createGraphics } = require('./graphics');
+const { MATLAB_BUILTINS } = require('../parsers/matlabParser');
+
+/**
+ * Statements between checks of the time limit
+ * @type {number}
+ */
+const CHECK_INTERVAL = 4096;
+
+/**
+ * Deepest nesting of function calls
+ * @type {number}
+ */
+const MAX_RECURSION = 100;
+
+/**
+ * Most characters of console output kept per run
+ * @type {number}
+ */
+const MAX_OUTPUT_LENGTH = 100000;
+
+/**
+ * Names the interpreter resolves itself rather than as builtins
+ * @type {Set<string>}
+ */
+const SPECIAL_FUNCTIONS = new Set(['nargin', 'nargout', 'clear', 'clearvars', 'exist']);
+
+/**
+ * Control flow signals returned by statements
+ * @type {Object<string, string>}
+ */
+const SIGNAL = { break: 'break', continue: 'continue', return: 'return' };
+
+/**
+ * @typedef {Object} ProgramFile
+ * @property {string} name - File name without .m
+ * @property {import('./parser').ProgramNode} program - Parsed file
+ * @property {Map<string, import('./parser').FunctionNode>} functions - Functions declared in the file
+ */
+
+/**
+ * @typedef {Object} RunError
+ * @property {string} message - Message, worded like MATLAB's
+ * @property {number|null} line - 1-based line of the failing statement
+ * @property {string|null} file - Function file the line is in, or null for the program itself
+ * @property {boolean} unsupported - Whether the program uses something the interpreter lacks
+ * @property {boolean} timeout - Whether the run was stopped by the time limit
+ */
+
+/**
+ * @typedef {Object} RunResult
+ * @property {string} output - Console output
+ * @property {boolean} truncated - Whether the output was cut at MAX_OUTPUT_LENGTH
+ * @property {import('./graphics').PlotFigure[]} figures - Figures drawn
+ * @property {RunError|null} error - Error that stopped the run, or null
+ * @property {number} duration - Run time in seconds
+ */
+
+/**
+ * @typedef {Object} Problem
+ * @property {string} message - Description
+ * @property {number|null} line - 1-based line
+ * @property {string|null} file - Function file the line is in, or null for the program itself
+ */
+
+/**
+ * Parse a program file
+ * @param {string} name - File name without .m
+ * @param {string} source - Source text
+ * @returns {ProgramFile} Parsed file
+ */
+function loadFile(name, source) {
+  const program = parse(source);
+  return {
+    name,
+    program,
+    functions: new Map(program.functions.map(fn => [fn.name, fn])),
+  };
+}
+
+/**
+ * Interpreter for one program and its function files
+ *
+ * Variables live in frames: the program's workspace and one per function
+ * call; scripts called from the program share the caller's frame, as in
+ * MATLAB. The interpreter is also the context builtins receive.
+ */
+class Interpreter {
+  /**
+   * Create an interpreter
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.name='program'] - Name of the program, for local function lookup
+   * @param {Object<string, string>} [options.functions={}] - Sources of the function and script files the program calls, by name
+   * @param {function(string): (string|null)} [options.input] - Answers input() prompts; null cancels the run
+   * @param {number} [options.timeLimit=10] - Seconds before the run is stopped
+   * @param {function(): number} [options.random=Math.random] - Uniform random numbers for rand and randn
+   */
+  constructor({ name = 'program', functions = {}, input = null, timeLimit = 10, random = Math.random } = {}) {
+    this.name = name;
+    this.sources = new Map(Object.entries(functions).map(([fileName, source]) => [fileName.toLowerCase(), { fileName, source }]));
+    this.files = new Map();
+    this.input = input;
+    this.timeLimit = timeLimit;
+    this.random = random;
+  }
+
+  /**
+   * Run a program
+   * @param {string} source - Program source
+   * @returns {RunResult} Output, figures and error
+   */
+  run(source) {
+    const started = Date.now();
+    this.deadline = started + this.timeLimit * 1000;
+    this.steps = 0;
+    this.depth = 0;
+    this.output = [];
+    this.outputLength = 0;
+    this.truncated = false;
+    this.timer = null;
+    this.endStack = [];
+    // Arrays held by one variable alone, which indexed assignment may write in place
+    this.owned = new WeakSet();
+    this.graphics = createGraphics({ warn: message => this.warn(message) });
+
+    let error = null;
+    try {
+      const file = loadFile(this.name, source);
+      this.frame = { vars: new Map(), file, nargin: 0, nargout: 0 };
+      if (file.program.isFunctionFile) {
+        const [main] = file.program.functions;
+        this.callUser(main, file, [], 0);
+      } else {
+        this.execBlock(file.program.body, this.frame);
+      }
+    } catch (e) {
+      error = this.describeError(e);
+    }
+
+    return {
+      output: this.output.join(''),
+      truncated: this.truncated,
+      figures: this.graphics.getFigures(),
+      error,
+      duration: (Date.now() - started) / 1000,
+    };
+  }
+
+  /**
+   * Turn a thrown error into a run error
+   * @param {Error} e - Error
+   * @returns {RunError} Error description
+   */
+  describeError(e) {
+    if (e instanceof RangeError && /call stack/i.test(e.message)) {
+      return { message: 'Maximum recursion limit reached.', line: null, file: null, unsupported: false, timeout: false };
+    }
+    return {
+      message: e.message,
+      line: e.line === undefined ? null : e.line,
+      file: e.file || null,
+      unsupported: Boolean(e.unsupported),
+      timeout: Boolean(e.timeout),
+    };
+  }
+
+  /**
+   * Write to the console
+   * @param {string} text - Text
+   */
+  print(text) {
+    if (this.truncated) return;
+    if (this.outputLength + text.length > MAX_OUTPUT_LENGTH) {
+      this.output.push(text.substring(0, MAX_OUTPUT_LENGTH - this.outputLength));
+      this.truncated = true;
+      return;
+    }
+    this.output.push(text);
+    this.outputLength += text.length;
+  }
+
+  /**
+   * Write a warning to the console
+   * @param {string} message - Warning
+   */
+  warn(message) {
+    this.print(`Warning: ${message}\n`);
+  }
+
+  /**
+   * Ask for keyboard input
+   * @param {string} text - Prompt
+   * @returns {string} Typed text
+   * @throws {Error} If there is no way to ask, or the question was cancelled
+   */
+  prompt(text) {
+    if (!this.input) {
+      throw programError('input needs keyboard input, which is not available here', { unsupported: true });
+    }
+    const answer = this.input(text);
+    if (answer === null || answer === undefined) {
+      throw programError('Input was cancelled');
+    }
+    return String(answer);
+  }
+
+  /**
+   * Evaluate text as an expression in the current workspace, as input() does
+   * @param {string} text - Expression
+   * @returns {*} Value
+   */
+  evaluate(text) {
+    const { body } = parse(text);
+    if (body.length !== 1 || body[0].type !== 'expr') {
+      throw programError(`'${text}' is not an expression`);
+    }
+    return this.value(body[0].expr, this.frame);
+  }
+
+  /**
+   * Stop the run when the time limit has passed, checked every few thousand steps
+   * @throws {Error} Once the limit is reached
+   */
+  tick() {
+    if (++this.steps % CHECK_INTERVAL === 0) {
+      this.checkTime();
+    }
+  }
+
+  /**
+   * Stop the run when the time limit has passed
+   * A builtin call counts as one step, so the long ones (eig, matrix
+   * products and solves) call this between their own steps.
+   * @throws {Error} Once the limit is reached
+   */
+  checkTime() {
+    if (Date.now() > this.deadline) {
+      throw Object.assign(programError(`Stopped after ${this.timeLimit} s`), { timeout: true });
+    }
+  }
+
+  /**
+   * Run statements
+   * @param {Object[]} statements - Statements
+   * @param {Object} frame - Variables
+   * @returns {string|null} Control flow signal, or null
+   */
+  execBlock(statements, frame) {
+    for (const statement of statements) {
+      const signal = this.exec(statement, frame);
+      if (signal) return signal;
+    }
+    return null;
+  }
+
+  /**
+   * Run one statement, marking errors with its line
+   * @param {Object} statement - Statement
+   * @param {Object} frame - Variables
+   * @returns {string|null} Control flow signal, or null
+   */
+  exec(statement, frame) {
+    this.tick();
+    try {
+      return this.execStatement(statement, frame);
+    } catch (e) {
+      if (e.line === null || e.line === undefined) {
+        e.line = statement.line;
+        e.file = frame.file.name === this.name ? null : frame.file.name;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Run one statement
+   * @param {Object} statement - Statement
+   * @param {Object} frame - Variables
+   * @returns {string|null} Control flow signal, or null
+   */
+  execStatement(statement, frame) {
+    switch (statement.type) {
+      case 'expr':
+        this.execExpression(statement, frame);
+        return null;
+      case 'assign':
+        this.execAssign(statement, frame);
+        return null;
+      case 'command':
+        this.callFunction(statement.name, statement.args.map(charRow), 0, frame);
+        return null;
+      case 'if':
+        for (const clause of statement.clauses) {
+          if (isTrue(this.value(clause.cond, frame))) {
+            return this.execBlock(clause.body, frame);
+          }
+        }
+        return statement.otherwise ? this.execBlock(statement.otherwise, frame) : null;
+      case 'for':
+        return this.execFor(statement, frame);
+      case 'while':
+        while (isTrue(this.value(statement.cond, frame))) {
+          const signal = this.execBlock(statement.body, frame);
+          if (signal === SIGNAL.break) break;
+          if (signal === SIGNAL.return) return signal;
+          this.tick();
+        }
+        return null;
+      case 'switch':
+        return this.execSwitch(statement, frame);
+      case 'try':
+        try {
+          return this.execBlock(statement.body, frame);
+        } catch (e) {
+          if (e.timeout || e instanceof RangeError) throw e;
+          if (statement.name) frame.vars.set(statement.name, charRow(e.message));
+          return this.execBlock(statement.handler, frame);
+        }
+      case 'break':
+      case 'continue':
+      case 'return':
+        return SIGNAL[statement.type];
+      default:
+        throw programError(`Unknown statement ${statement.type}`);
+    }
+  }
+
+  /**
+   * Run an expression statement, showing its value unless ended by a semicolon
+   * A variable is shown under its name; other values become ans.
+   * @param {Object} statement - Statement
+   * @param {Object} frame - Variables
+   */
+  execExpression(statement, frame) {
+    const { expr } = statement;
+    if (expr.type === 'id' && frame.vars.has(expr.name)) {
+      if (statement.print) this.print(display(expr.name, frame.vars.get(expr.name)));
+      return;
+    }
+    const outputs = this.outputs(expr, frame, 0);
+    if (outputs.length > 0) {
+      frame.vars.set('ans', outputs[0]);
+      if (statement.print) this.print(display('ans', outputs[0]));
+    }
+  }
+
+  /**
+   * Run an assignment
+   * @param {Object} statement - Statement
+   * @param {Object} frame - Variables
+   */
+  execAssign(statement, frame) {
+    const { targets, expr } = statement;
+    let values;
+    if (targets.length === 1) {
+      values = [this.value(expr, frame)];
+    } else {
+      values = this.outputs(expr, frame, targets.length);
+      if (values.length < targets.length && targets.slice(values.length).some(target => target !== null)) {
+        throw programError('Too many output arguments.');
+      }
+    }
+
+    const deleting = expr.type === 'matrix' && expr.rows.length === 0;
+    targets.forEach((target, k) => {
+      if (target === null) return;
+      let value = values[k];
+      if (target.args) {
+        const current = frame.vars.get(target.name);
+        if (current instanceof FunctionHandle) {
+          throw programError('Function handles cannot be indexed for assignment');
+        }
+        const args = this.indexArguments(target.args, current === undefined ? toMatrix(0) : current, frame);
+        value = assignIndex(current, args, value, deleting && targets.length === 1, this.owned.has(current));
+        if (typeof value === 'object') this.owned.add(value);
+      }
+      frame.vars.set(target.name, value);
+      if (statement.print) this.print(display(target.name, value));
+    });
+  }
+
+  /**
+   * Run a for loop over the columns of a value
+   * @param {Object} statement - Statement
+   * @param {Object} frame - Variables
+   * @returns {string|null} Control flow signal, or null
+   */
+  execFor(statement, frame) {
+    const value = this.value(statement.expr, frame);
+    const matrix = typeof value === 'number' ? null : toMatrix(value);
+    const count = matrix === null ? 1 : (matrix.numel === 0 ? 0 : matrix.cols);
+
+    for (let c = 0; c < count; c++) {
+      let item;
+      if (matrix === null) item = value;
+      else if (matrix.rows === 1) item = index(matrix, [c + 1]);
+      else item = index(matrix, [COLON, c + 1]);
+      frame.vars.set(statement.name, item);
+
+      const signal = this.execBlock(statement.body, frame);
+      if (signal === SIGNAL.break) break;
+      if (signal === SIGNAL.return) return signal;
+      this.tick();
+    }
+    return null;
+  }
+
+  /**
+   * Run a switch statement
+   * Text cases compare as strcmp; numeric cases with ==.
+   * @param {Object} statement - Statement
+   * @param {Object} frame - Variables
+   * @returns {string|null} Control flow signal, or null
+   */
+  execSwitch(statement, frame) {
+    const value = this.value(statement.expr, frame);
+    const matches = (candidate) => {
+      if (isChar(value) || isChar(candidate)) {
+        return isChar(value) && isChar(candidate) && toText(value) === toText(candidate);
+      }
+      return toMatrix(candidate).numel > 0 && isTrue(elementwise('==', value, candidate));
+    };
+
+    for (const option of statement.cases) {
+      if (option.values.some(node => matches(this.value(node, frame)))) {
+        return this.execBlock(option.body, frame);
+      }
+    }
+    return statement.otherwise ? this.execBlock(statement.otherwise, frame) : null;
+  }
+
+  /**
+   * Evaluate an expression that must have a value
+   * @param {Object} node - Expression
+   * @param {Object} frame - Variables
+   * @returns {*} Value
+   */
+  value(node, frame) {
+    switch (node.type) {
+      case 'number':
+        return node.imag ? complexScalar(0, node.value) : node.value;
+      case 'string':
+        return charRow(node.value);
+      case 'id': {
+        const variable = frame.vars.get(node.name);
+        if (variable === undefined) return this.firstOutput(node.name, this.outputs(node, frame, 1));
+        // The value may now be shared, so indexed assignments must copy it again
+        if (typeof variable === 'object') this.owned.delete(variable);
+        return variable;
+      }
+      case 'index':
+        if (node.target.type === 'id' && frame.vars.has(node.target.name)) {
+          const target = frame.vars.get(node.target.name);
+          if (!(target instanceof FunctionHandle)) {
+            return index(target, this.indexArguments(node.args, target, frame));
+          }
+        }
+        if (node.target.type === 'id') {
+          return this.firstOutput(node.target.name, this.outputs(node, frame, 1));
+        }
+        return this.indexValue(this.value(node.target, frame), node.args, frame);
+      case 'paren':
+        return this.value(node.expr, frame);
+      case 'binary':
+        return this.binary(node, frame);
+      case 'unary': {
+        const operand = this.value(node.operand, frame);
+        return node.op === '-' ? negate(operand) : not(operand);
+      }
+      case 'postfix':
+        return transpose(this.value(node.operand, frame), node.op === "'");
+      case 'range': {
+        const start = this.rangeOperand(node.start, frame);
+        const step = node.step ? this.rangeOperand(node.step, frame) : 1;
+        return range(start, step, this.rangeOperand(node.stop, frame));
+      }
+      case 'matrix':
+        return concatenate(node.rows.map(row => row.map(element => this.value(element, frame))));
+      case 'end':
+        return this.endValue();
+      case 'colon':
+        return charRow(':');
+      case 'handle':
+        return new FunctionHandle({ name: node.name, text: node.text });
+      case 'lambda':
+        frame.vars.forEach(variable => {
+          if (typeof variable === 'object') this.owned.delete(variable);
+        });
+        return new FunctionHandle({
+          params: node.params,
+          body: node.body,
+          captured: new Map(frame.vars),
+          text: node.text,
+          file: frame.file,
+        });
+      default:
+        throw programError(`Unknown expression ${node.type}`);
+    }
+  }
+
+  /**
+   * Read an operand of a range
+   * @param {Object} node - Expression
+   * @param {Object} frame - Variables
+   * @returns {number} Scalar value; the first element of an array
+   */
+  rangeOperand(node, frame) {
+    const value = this.value(node, frame);
+    if (typeof value === 'number') return value;
+    const matrix = toMatrix(value);
+    if (matrix.numel === 0) return NaN;
+    return matrix.re[0];
+  }
+
+  /**
+   * Get the first output of a call used as a value
+   * @param {string} name - Function name
+   * @param {Array<*>} outputs - Outputs
+   * @returns {*} First output
+   * @throws {Error} If the function returned nothing
+   */
+  firstOutput(name, outputs) {
+    if (outputs.length === 0) {
+      throw programError(`Too many output arguments (${name} does not return a value).`);
+    }
+    return outputs[0];
+  }
+
+  /**
+   * Index a computed value, as in f(x)(2)
+   * @param {*} value - Value
+   * @param {Object[]} args - Index expressions
+   * @param {Object} frame - Variables
+   * @returns {*} Selected elements, or the result of calling a function handle
+   */
+  indexValue(value, args, frame) {
+    if (value instanceof FunctionHandle) {
+      return this.firstOutput(value.text, this.callHandle(value, args.map(arg => this.value(arg, frame)), 1));
+    }
+    return index(value, this.indexArguments(args, value, frame));
+  }
+
+  /**
+   * Evaluate index expressions, with 'end' standing for the last index
+   * @param {Object[]} args - Index expressions
+   * @param {*} target - Indexed value
+   * @param {Object} frame - Variables
+   * @returns {Array<*>} Index values, COLON for a lone colon
+   */
+  indexArguments(args, target, frame) {
+    return args.map((arg, position) => {
+      if (arg.type === 'colon') return COLON;
+      if (arg.type === 'number' && !arg.imag) return arg.value;
+      this.endStack.push({ target, position, count: args.length });
+      try {
+        return this.value(arg, frame);
+      } finally {
+        this.endStack.pop();
+      }
+    });
+  }
+
+  /**
+   * Get the value of 'end' in the innermost index
+   * @returns {number} Last index of the indexed dimension
+   * @throws {Error} Outside an index
+   */
+  endValue() {
+    const context = this.endStack[this.endStack.length - 1];
+    if (!context) {
+      throw programError("'end' is only valid inside an index expression");
+    }
+    const matrix = toMatrix(context.target);
+    if (context.count === 1) return matrix.numel;
+    if (context.position === 0) return matrix.rows;
+    if (context.position === 1) return matrix.cols;
+    return 1;
+  }
+
+  /**
+   * Apply a binary operator
+   * @param {Object} node - Binary expression
+   * @param {Object} frame - Variables
+   * @returns {*} Result
+   */
+  binary(node, frame) {
+    const { op } = node;
+    if (op === '&&' || op === '||') {
+      const left = this.logicalOperand(this.value(node.left, frame), op);
+      if (op === '&&' ? !left : left) return logicalScalar(left ? 1 : 0);
+      return logicalScalar(this.logicalOperand(this.value(node.right, frame), op) ? 1 : 0);
+    }
+
+    const left = this.value(node.left, frame);
+    const right = this.value(node.right, frame);
+    if (typeof left === 'number' && typeof right === 'number') {
+      if (op === '*') return left * right;
+      if (op === '/') return left / right;
+      if (op === '\\') return right / left;
+      if (op === '^') return elementwise('.^', left, right);
+    }
+    const warn = message => this.warn(message);
+    const check = () => this.checkTime();
+    switch (op) {
+      case '*': return linalg.multiply(left, right, check);
+      case '/': return linalg.rightDivide(left, right, warn, check);
+      case '\\': return linalg.leftDivide(left, right, warn, check);
+      case '^': return linalg.power(left, right, warn, check);
+      default: return elementwise(op, left, right);
+    }
+  }
+
+  /**
+   * Read an operand of && or ||
+   * @param {*} value - Operand
+   * @param {string} op - Operator
+   * @returns {boolean} Truth
+   * @throws {Error} Unless the operand is a scalar
+   */
+  logicalOperand(value, op) {
+    if (typeof value !== 'number' && toMatrix(value).numel !== 1) {
+      throw programError(`Operands to the ${op} operator must be convertible to logical scalar values.`);
+    }
+    return isTrue(value);
+  }
+
+  /**
+   * Evaluate an expression that may produce several values (a call)
+   * @param {Object} node - Expression
+   * @param {Object} frame - Variables
+   * @param {number} nargout - Number of values wanted
+   * @returns {Array<*>} Values
+   */
+  outputs(node, frame, nargout) {
+    if (node.type === 'id' && !frame.vars.has(node.name)) {
+      return this.callFunction(node.name, [], nargout, frame);
+    }
+    if (node.type === 'index' && node.target.type === 'id') {
+      const target = frame.vars.get(node.target.name);
+      if (target === undefined) {
+        const args = node.args.map(arg => this.callArgument(arg, frame));
+        return this.callFunction(node.target.name, args, nargout, frame);
+      }
+      if (target instanceof FunctionHandle) {
+        return this.callHandle(target, node.args.map(arg => this.callArgument(arg, frame)), nargout);
+      }
+    }
+    return [this.value(node, frame)];
+  }
+
+  /**
+   * Evaluate a function argument, where 'end' has no meaning
+   * @param {Object} arg - Argument expression
+   * @param {Object} frame - Variables
+   * @returns {*} Value
+   */
+  callArgument(arg, frame) {
+    this.endStack.push(undefined);
+    try {
+      return this.value(arg, frame);
+    } finally {
+      this.endStack.pop();
+    }
+  }
+
+  /**
+   * Call a function by name
+   * Local functions of the current file come first, then function and
+   * script files (names match regardless of case), then builtins.
+   * @param {string} name - Function name
+   * @param {Array<*>} args - Argument values
+   * @param {number} nargout - Number of outputs wanted
+   * @param {Object} frame - Caller's variables
+   * @returns {Array<*>} Outputs
+   * @throws {Error} For unknown names
+   */
+  callFunction(name, args, nargout, frame) {
+    const local = frame.file.functions.get(name);
+    if (local) {
+      return this.callUser(local, frame.file, args, nargout);
+    }
+
+    const file = this.getFile(name);
+    if (file) {
+      if (file.program.isFunctionFile) {
+        return this.callUser(file.program.functions[0], file, args, nargout);
+      }
+      if (args.length > 0 || nargout > 0) {
+        throw programError(`Attempt to execute SCRIPT ${file.name} as a function.`);
+      }
+      this.execBlock(file.program.body, { ...frame, file });
+      return [];
+    }
+
+    if (SPECIAL_FUNCTIONS.has(name)) {
+      return this.callSpecial(name, args, frame);
+    }
+    if (hasBuiltin(name)) {
+      const previous = this.frame;
+      this.frame = frame;
+      try {
+        const result = BUILTINS[name](args, nargout, this);
+        if (result === undefined) return [];
+        return Array.isArray(result) ? result : [result];
+      } finally {
+        this.frame = previous;
+      }
+    }
+    if (MATLAB_BUILTINS.has(name)) {
+      throw programError(`${name} is not supported in the browser`, { unsupported: true });
+    }
+    throw programError(`Unrecognized function or variable '${name}'.`);
+  }
+
+  /**
+   * Get a function or script file by name
+   * @param {string} name - Name, matched regardless of case
+   * @returns {ProgramFile|null} Parsed file, or null
+   */
+  getFile(name) {
+    const key = name.toLowerCase();
+    if (!this.files.has(key)) {
+      const entry = this.sources.get(key);
+      if (!entry) return null;
+      try {
+        this.files.set(key, loadFile(entry.fileName, entry.source));
+      } catch (e) {
+        e.file = entry.fileName;
+        throw e;
+      }
+    }
+    return this.files.get(key);
+  }
+
+  /**
+   * Handle the functions that work on the caller's workspace
+   * @param {string} name - nargin, nargout, clear, clearvars or exist
+   * @param {Array<*>} args - Argument values
+   * @param {Object} frame - Caller's variables
+   * @returns {Array<*>} Outputs
+   */
+  callSpecial(name, args, frame) {
+    switch (name) {
+      case 'nargin':
+        return [frame.nargin];
+      case 'nargout':
+        return [frame.nargout];
+      case 'exist': {
+        const target = toText(args[0]);
+        if (frame.vars.has(target)) return [1];
+        if (this.getFile(target)) return [2];
+        return [hasBuiltin(target) ? 5 : 0];
+      }
+      default: {
+        const names = args.map(toText).filter(arg => !arg.startsWith('-'));
+        if (names.length === 0 || names.some(arg => ['all', 'variables'].includes(arg))) {
+          frame.vars.clear();
+        } else {
+          names.forEach(arg => frame.vars.delete(arg));
+        }
+        return [];
+      }
+    }
+  }
+
+  /**
+   * Call a function declared in a file
+   * @param {import('./parser').FunctionNode} fn - Function
+   * @param {ProgramFile} file - File declaring it, for its local functions
+   * @param {Array<*>} args - Argument values
+   * @param {number} nargout - Number of outputs wanted
+   * @returns {Array<*>} Outputs
+   */
+  callUser(fn, file, args, nargout) {
+    const varargin = fn.params[fn.params.length - 1] === 'varargin';
+    if (varargin) {
+      throw programError('varargin is not supported', { unsupported: true, line: fn.line });
+    }
+    if (args.length > fn.params.length) {
+      throw programError(`Too many input arguments in the call to ${fn.name}.`);
+    }
+    if (nargout > Math.max(fn.outputs.length, 1)) {
+      throw programError(`Too many output arguments in the call to ${fn.name}.`);
+    }
+    if (this.depth >= MAX_RECURSION) {
+      throw programError(`Maximum recursion limit of ${MAX_RECURSION} reached.`);
+    }
+
+    const frame = { vars: new Map(), file, nargin: args.length, nargout };
+    args.forEach((arg, k) => {
+      if (fn.params[k] !== '~') frame.vars.set(fn.params[k], arg);
+    });
+
+    const previous = this.frame;
+    this.depth++;
+    this.frame = frame;
+    try {
+      this.execBlock(fn.body, frame);
+    } finally {
+      this.depth--;
+      this.frame = previous;
+    }
+
+    const outputs = [];
+    for (let k = 0; k < Math.max(nargout, 1) && k < fn.outputs.length; k++) {
+      const name = fn.outputs[k];
+      if (!frame.vars.has(name)) {
+        if (k < nargout) {
+          throw programError(`Output argument "${name}" (and possibly others) not assigned a value in the execution with "${fn.name}" function.`);
+        }
+        break;
+      }
+      outputs.push(frame.vars.get(name));
+    }
+    return outputs;
+  }
+
+  /**
+   * Call a function handle, from builtins such as feval
+   * @param {FunctionHandle|*} handle - Handle, or a function name as text
+   * @param {Array<*>} args - Argument values
+   * @param {number} nargout - Number of outputs wanted
+   * @returns {Array<*>} Outputs
+   */
+  call(handle, args, nargout) {
+    if (handle instanceof FunctionHandle) {
+      return this.callHandle(handle, args, nargout);
+    }
+    return this.callFunction(toText(handle), args, nargout, this.frame);
+  }
+
+  /**
+   * Call a function handle
+   * Anonymous functions see the variables of the workspace they were made in.
+   * @param {FunctionHandle} handle - Handle
+   * @param {Array<*>} args - Argument values
+   * @param {number} nargout - Number of outputs wanted
+   * @returns {Array<*>} Outputs
+   */
+  callHandle(handle, args, nargout) {
+    if (handle.name) {
+      return this.callFunction(handle.name, args, nargout, this.frame);
+    }
+    if (args.length > handle.params.length) {
+      throw programError('Too many input arguments.');
+    }
+    if (this.depth >= MAX_RECURSION) {
+      throw programError(`Maximum recursion limit of ${MAX_RECURSION} reached.`);
+    }
+
+    const frame = { vars: new Map(handle.captured), file: handle.file || this.frame.file, nargin: args.length, nargout };
+    args.forEach((arg, k) => frame.vars.set(handle.params[k], arg));
+    this.depth++;
+    try {
+      return this.outputs(handle.body, frame, nargout);
+    } finally {
+      this.depth--;
+    }
+  }
+}
+
+/**
+ * Create an interpreter
+ * @param {Object} [options] - Options, see Interpreter
+ * @returns {Interpreter} Interpreter
+ */
+function createMatlabInterpreter(options) {
+  return new Interpreter(options);
+}
+
+/**
+ * Collect the names a scope assigns, including loop and lambda variables
+ * @param {Object[]} statements - Statements
+ * @param {Set<string>} names - Names, added to
+ */
+function collectAssigned(statements, names) {
+  walkStatements(statements, (statement) => {
+    if (statement.type === 'assign') statement.targets.forEach(target => target && names.add(target.name));
+    if (statement.type === 'for') names.add(statement.name);
+    if (statement.type === 'try' && statement.name) names.add(statement.name);
+  }, (node) => {
+    if (node.type === 'lambda') node.params.forEach(name => names.add(name));
+  });
+}
+
+/**
+ * Visit statements and expressions
+ * @param {Object[]} statements - Statements
+ * @param {function(Object): void} onStatement - Called for each statement
+ * @param {function(Object, Object): void} onExpression - Called for each expression with its statement
+ */
+function walkStatements(statements, onStatement, onExpression) {
+  const visit = (node, statement) => {
+    if (!node || typeof node !== 'object') return;
+    onExpression(node, statement);
+    ['left', 'right', 'operand', 'expr', 'target', 'start', 'step', 'stop', 'body'].forEach(key => visit(node[key], statement));
+    (node.args || []).forEach(arg => visit(arg, statement));
+    (node.rows || []).forEach(row => row.forEach(element => visit(element, statement)));
+  };
+
+  statements.forEach((statement) => {
+    onStatement(statement);
+    switch (statement.type) {
+      case 'expr':
+        visit(statement.expr, statement);
+        break;
+      case 'assign':
+        visit(statement.expr, statement);
+        statement.targets.forEach(target => target && target.args && target.args.forEach(arg => visit(arg, statement)));
+        break;
+      case 'if':
+        statement.clauses.forEach((clause) => {
+          visit(clause.cond, statement);
+          walkStatements(clause.body, onStatement, onExpression);
+        });
+        if (statement.otherwise) walkStatements(statement.otherwise, onStatement, onExpression);
+        break;
+      case 'for':
+      case 'while':
+        visit(statement.expr || statement.cond, statement);
+        walkStatements(statement.body, onStatement, onExpression);
+        break;
+      case 'switch':
+        visit(statement.expr, statement);
+        statement.cases.forEach((option) => {
+          option.values.forEach(value => visit(value, statement));
+          walkStatements(option.body, onStatement, onExpression);
+        });
+        if (statement.otherwise) walkStatements(statement.otherwise, onStatement, onExpression);
+        break;
+      case 'try':
+        walkStatements(statement.body, onStatement, onExpression);
+        walkStatements(statement.handler, onStatement, onExpression);
+        break;
+      default:
+        break;
+    }
+  });
+}
+
+/**
+ * Find what keeps a program from running in the browser, without running it
+ * Reports syntax errors, constructs outside the subset, and MATLAB
+ * functions the interpreter does not implement, with their lines.
+ * @param {string} source - Program source
+ * @param {Object} [options={}] - Options
+ * @param {Object<string, string>} [options.functions={}] - Sources of the files the program calls, by name
+ * @returns {Problem[]} Problems, empty when the program can be run
+ */
+function checkProgram(source, { functions = {} } = {}) {
+  const problems = [];
+  const callable = new Set(Object.keys(functions).map(name => name.toLowerCase()));
+
+  const checkFile = (text, file) => {
+    let program;
+    try {
+      program = parse(text);
+    } catch (e) {
+      problems.push({ message: e.message, line: e.line, file });
+      return;
+    }
+
+    const local = new Set(program.functions.map(fn => fn.name));
+    const scopes = [{ body: program.body, params: [] }, ...program.functions.map(fn => ({ body: fn.body, params: [...fn.params, ...fn.outputs] }))];
+    scopes.forEach(({ body, params }) => {
+      const assigned = new Set(params);
+      collectAssigned(body, assigned);
+      const reported = new Set();
+      const report = (name, line) => {
+        if (assigned.has(name) || local.has(name) || callable.has(name.toLowerCase()) || hasBuiltin(name) || SPECIAL_FUNCTIONS.has(name)) return;
+        if (!MATLAB_BUILTINS.has(name) || reported.has(name)) return;
+        reported.add(name);
+        problems.push({ message: `${name} is not supported in the browser`, line, file });
+      };
+      walkStatements(body, (statement) => {
+        if (statement.type === 'command') report(statement.name, statement.line);
+      }, (node, statement) => {
+        if (node.type === 'id') report(node.name, node.line || statement.line);
+      });
+    });
+  };
+
+  checkFile(source, null);
+  Object.entries(functions).forEach(([name, text]) => checkFile(text, name));
+  return problems;
+}
+
+module.exports = {
+  Interpreter,
+  createMatlabInterpreter,
+  checkProgram,
+};
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Tokenizer for MATLAB source
+ * @module interpreter/lexer
+ *
+ * Handles the context-dependent parts of MATLAB's syntax: a quote is a
+ * transpose after a value and a string elsewhere, whitespace separates
+ * elements inside brackets ([1 -2] has two), newlines inside brackets end
+ * a row, and a name followed by a word at the start of a statement is a
+ * command (hold on, clear all).
+ */
+
+const { programError } = require('./values');
+
+/**
+ * Reserved words
+ * @type {Set<string>}
+ */
+const KEYWORDS = new Set([
+  'if', 'elseif', 'else', 'end', 'for', 'parfor', 'while', 'switch', 'case', 'otherwise',
+  'try', 'catch', 'function', 'return', 'break', 'continue', 'global', 'persistent',
+]);
+
+/**
+ * Operators, longest first so that '.*' wins over '.'
+ * @type {string[]}
+ */
+const OPERATORS = [
+  '...', '.^', '.*', './', '.\\', ".'", '==', '~=', '!=', '<=', '>=', '&&', '||',
+  '+', '-', '*', '/', '\\', '^', "'", '<', '>', '&', '|', '~', '!', '=',
+  '(', ')', '[', ']', '{', '}', ',', ';', ':', '@', '.',
+];
+
+/**
+ * @typedef {Object} Token
+ * @property {string} type - 'number', 'string', 'name', 'keyword', 'op', 'command', 'newline' or 'eof'
+ * @property {*} value - Number, text, operator, or command arguments
+ * @property {boolean} [imag] - Whether a number has an i or j suffix
+ * @property {number} line - 1-based line number
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ */
+
+/**
+ * Split MATLAB source into tokens
+ * @param {string} source - Program source, with any line endings
+ * @returns {{tokens: Token[], text: string}} Tokens, and the source with LF line endings
+ * @throws {Error} On unterminated strings and unknown characters, with the line
+ */
+function tokenize(source) {
+  const text = source.replace(/\r\n?/g, '\n');
+  const tokens = [];
+  const brackets = [];
+  let pos = 0;
+  let line = 1;
+  let space = false;
+
+  const last = () => tokens[tokens.length - 1];
+  const inMatrix = () => brackets.length > 0 && brackets[brackets.length - 1] !== '(';
+  const push = (type, value, start, extra = {}) => {
+    tokens.push({ type, value, line, start, end: pos, ...extra });
+    space = false;
+  };
+
+  const endsValue = (token) => {
+    if (!token) return false;
+    if (token.type === 'number' || token.type === 'string' || token.type === 'name') return true;
+    if (token.type === 'keyword') return token.value === 'end' && brackets.length > 0;
+    return token.type === 'op' && [')', ']', '}', "'", ".'"].includes(token.value);
+  };
+
+  const atStatementStart = () => {
+    const token = last();
+    return !token || token.type === 'newline' ||
+      (token.type === 'op' && (token.value === ';' || token.value === ',') && brackets.length === 0) ||
+      (token.type === 'keyword' && ['else', 'try', 'otherwise'].includes(token.value));
+  };
+
+  // Inside brackets, whitespace between two values separates elements
+  const separateElement = (startsValue) => {
+    if (space && inMatrix() && startsValue && endsValue(last())) {
+      tokens.push({ type: 'op', value: ',', line, start: pos, end: pos });
+    }
+  };
+
+  const readQuoted = (quote) => {
+    const start = pos;
+    let value = '';
+    pos++;
+    for (;;) {
+      if (pos >= text.length || text[pos] === '\n') {
+        throw programError('String is not terminated', { line });
+      }
+      if (text[pos] === quote) {
+        if (text[pos + 1] === quote) {
+          value += quote;
+          pos += 2;
+          continue;
+        }
+        pos++;
+        break;
+      }
+      value += text[pos++];
+    }
+    return { value, start };
+  };
+
+  const readCommandArguments = () => {
+    const args = [];
+    let current = null;
+    while (pos < text.length && !/[\n;,%]/.test(text[pos])) {
+      const char = text[pos];
+      if (char === ' ' || char === '\t') {
+        if (current !== null) args.push(current);
+        current = null;
+        pos++;
+      } else if (char === "'") {
+        current = (current || '') + readQuoted("'").value;
+      } else {
+        current = (current || '') + char;
+        pos++;
+      }
+    }
+    if (current !== null) args.push(current);
+    return args;
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const start = pos;
+
+    // Whitespace and continuation lines
+    if (char === ' ' || char === '\t') {
+      pos++;
+      space = true;
+      continue;
+    }
+    if (text.startsWith('...', pos)) {
+      while (pos < text.length && text[pos] !== '\n') pos++;
+      pos++;
+      line++;
+      space = true;
+      continue;
+    }
+
+    // Comments; %{ and %} alone on their lines enclose a block comment
+    if (char === '%' || char === '#') {
+      const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
+      const lineEnd = text.indexOf('\n', pos) === -1 ? text.length : text.indexOf('\n', pos);
+      if (text.slice(pos, lineEnd).trim() === '%{' && text.slice(lineStart, pos).trim() === '') {
+        const close = /\n[ \t]*%\}[ \t]*(?=\n|$)/g;
+        close.lastIndex = pos;
+        const match = close.exec(text);
+        const blockEnd = match ? match.index + match[0].length : text.length;
+        line += (text.slice(pos, blockEnd).match(/\n/g) || []).length;
+        pos = blockEnd;
+        continue;
+      }
+      pos = lineEnd;
+      continue;
+    }
+
+    if (char === '\n') {
+      pos++;
+      if (inMatrix()) {
+        const token = last();
+        if (!(token.type === 'op' && [';', '[', '{', ','].includes(token.value))) {
+          tokens.push({ type: 'op', value: ';', line, start, end: pos });
+        }
+      } else if (brackets.length === 0) {
+        push('newline', '\n', start);
+      }
+      line++;
+      space = false;
+      continue;
+    }
+
+    // Numbers: 3, 3.5, .5, 1e-3, 1.e5, 2i; "2./x" is 2 ./ x
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[pos + 1] || ''))) {
+      separateElement(true);
+      const match = /^(\d*\.?\d*)([eEdD][+-]?\d+)?/.exec(text.slice(pos));
+      let literal = match[0];
+      const after = pos + literal.length;
+      if (literal.endsWith('.') && !match[2] && (/[*/\\^']/.test(text[after] || '') || text.startsWith('..', after))) {
+        literal = literal.slice(0, -1);
+      }
+      pos += literal.length;
+      const imag = /[ij]/.test(text[pos] || '') && !/[A-Za-z0-9_]/.test(text[pos + 1] || '');
+      if (imag) pos++;
+      push('number', parseFloat(literal.replace(/[dD]/, 'e')), start, { imag });
+      continue;
+    }
+
+    // Names, keywords and command syntax
+    if (/[A-Za-z]/.test(char)) {
+      separateElement(true);
+      const commandStart = atStatementStart() && brackets.length === 0;
+      const name = /^[A-Za-z]\w*/.exec(text.slice(pos))[0];
+      pos += name.length;
+
+      if (KEYWORDS.has(name)) {
+        push('keyword', name, start);
+        continue;
+      }
+      push('name', name, start);
+
+      if (commandStart) {
+        // "hold on" and "axis 'tight'" are commands; "x = 1", "x (1)" and "x -1" are not
+        if (/^[ \t]+[A-Za-z0-9']/.test(text.slice(pos))) {
+          const argsStart = pos;
+          tokens.push({ type: 'command', value: readCommandArguments(), line, start: argsStart, end: pos });
+        }
+      }
+      continue;
+    }
+
+    // Strings; a quote right after a value is a transpose instead
+    if (char === '"' || (char === "'" && ((space && inMatrix()) || !endsValue(last())))) {
+      separateElement(true);
+      const { value } = readQuoted(char);
+      push('string', value, start);
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, pos));
+    if (!operator) {
+      throw programError(`Invalid character '${char}'`, { line });
+    }
+
+    if (['(', '[', '{', '@'].includes(operator)) {
+      separateElement(true);
+    } else if (['+', '-', '~', '!'].includes(operator)) {
+      // [1 -2] has two elements, [1 - 2] and [a ~= b] one
+      const following = text[pos + operator.length] || '';
+      separateElement(!/[ \t=]/.test(following));
+    }
+
+    pos += operator.length;
+    if (operator === '(' || operator === '[' || operator === '{') {
+      brackets.push(operator);
+    } else if (operator === ')' || operator === ']' || operator === '}') {
+      brackets.pop();
+      // A trailing row separator before ] closes no row
+      const token = last();
+      if (operator === ']' && token.type === 'op' && token.value === ';' && token.start === token.end - 1 && text[token.start] === '\n') {
+        tokens.pop();
+      }
+    }
+    push('op', operator, start);
+  }
+
+  push('newline', '\n', pos);
+  tokens.push({ type: 'eof', value: null, line, start: pos, end: pos });
+  return { tokens, text };
+}
+
+module.exports = {
+  tokenize,
+  KEYWORDS,
+};
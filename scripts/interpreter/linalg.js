@@ -0,0 +1,599 @@
+/**
+ * @fileoverview Linear algebra of the MATLAB interpreter
+ * @module interpreter/linalg
+ *
+ * Matrix products, linear solves by Gaussian elimination with partial
+ * pivoting, inverses, determinants, integer matrix powers, and eigenvalues
+ * of symmetric matrices (Householder tridiagonalization followed by the
+ * implicit QL method, after the public-domain JAMA routines). The matrices
+ * of the book's programs are small, so dense O(n³) methods suffice. The
+ * O(n³) routines take a check callback, called once per outer step, which
+ * throws when the run's time limit has passed.
+ */
+
+const { Matrix, programError, zeros, toMatrix, narrow, simplify } = require('./values');
+const { elementwise } = require('./operations');
+
+/**
+ * Multiply matrices: A * B
+ * A scalar operand multiplies elementwise.
+ * @param {*} left - A
+ * @param {*} right - B
+ * @param {function(): void} [check] - Time limit check
+ * @returns {*} Product
+ * @throws {Error} If the inner dimensions differ
+ */
+function multiply(left, right, check = () => {}) {
+  if (typeof left === 'number' || typeof right === 'number' || toMatrix(left).numel === 1 || toMatrix(right).numel === 1) {
+    return elementwise('.*', left, right);
+  }
+  const a = toMatrix(left);
+  const b = toMatrix(right);
+  if (a.cols !== b.rows) {
+    throw programError('Incorrect dimensions for matrix multiplication. Check that the number of columns in the first matrix matches the number of rows in the second matrix.');
+  }
+
+  const n = a.rows;
+  const m = b.cols;
+  const inner = a.cols;
+  const complex = Boolean(a.im || b.im);
+  const result = zeros(n, m, complex);
+
+  for (let j = 0; j < m; j++) {
+    check();
+    for (let k = 0; k < inner; k++) {
+      const br = b.re[k + j * inner];
+      const bi = b.im ? b.im[k + j * inner] : 0;
+      if (br === 0 && bi === 0) continue;
+      for (let i = 0; i < n; i++) {
+        const ar = a.re[i + k * n];
+        result.re[i + j * n] += ar * br;
+        if (complex) {
+          const ai = a.im ? a.im[i + k * n] : 0;
+          result.re[i + j * n] -= ai * bi;
+          result.im[i + j * n] += ar * bi + ai * br;
+        }
+      }
+    }
+  }
+  return simplify(narrow(result));
+}
+
+/**
+ * Solve A X = B by Gaussian elimination with partial pivoting: A \ B
+ * A scalar A divides elementwise.
+ * @param {*} left - A, square
+ * @param {*} right - B
+ * @param {function(string): void} [warn] - Receives the singular-matrix warning
+ * @param {function(): void} [check] - Time limit check
+ * @returns {*} X
+ * @throws {Error} For non-square A or mismatched rows
+ */
+function leftDivide(left, right, warn = () => {}, check = () => {}) {
+  const a = toMatrix(left);
+  if (a.numel === 1) {
+    return elementwise('.\\', left, right);
+  }
+  const b = toMatrix(right);
+  if (a.rows !== b.rows) {
+    throw programError('Matrix dimensions must agree.');
+  }
+  if (a.rows !== a.cols) {
+    throw programError('Least-squares solutions of non-square systems are not supported', { unsupported: true });
+  }
+  return solve(a, b, warn, check);
+}
+
+/**
+ * Solve X A = B: B / A
+ * A scalar A divides elementwise.
+ * @param {*} left - B
+ * @param {*} right - A, square
+ * @param {function(string): void} [warn] - Receives the singular-matrix warning
+ * @param {function(): void} [check] - Time limit check
+ * @returns {*} X
+ */
+function rightDivide(left, right, warn = () => {}, check = () => {}) {
+  const a = toMatrix(right);
+  if (a.numel === 1) {
+    return elementwise('./', left, right);
+  }
+  const b = toMatrix(left);
+  if (a.cols !== b.cols) {
+    throw programError('Matrix dimensions must agree.');
+  }
+  return transposeOf(leftDivide(transposeOf(a), transposeOf(b), warn, check));
+}
+
+/**
+ * Transpose without conjugating
+ * @param {*} value - Value
+ * @returns {Matrix} Transpose
+ */
+function transposeOf(value) {
+  const matrix = toMatrix(value);
+  const result = zeros(matrix.cols, matrix.rows, Boolean(matrix.im));
+  for (let r = 0; r < matrix.rows; r++) {
+    for (let c = 0; c < matrix.cols; c++) {
+      result.re[c + r * matrix.cols] = matrix.re[r + c * matrix.rows];
+      if (matrix.im) result.im[c + r * matrix.cols] = matrix.im[r + c * matrix.rows];
+    }
+  }
+  return result;
+}
+
+/**
+ * Factor a square matrix as P A = L U, in place on copies
+ * @param {Matrix} a - Square matrix
+ * @param {function(): void} check - Time limit check
+ * @returns {{re: Float64Array, im: Float64Array|null, pivots: number[], sign: number, singular: boolean}} Factors
+ */
+function factorize(a, check) {
+  const n = a.rows;
+  const re = a.re.slice();
+  const im = a.im ? a.im.slice() : null;
+  const pivots = Array.from({ length: n }, (_, k) => k);
+  let sign = 1;
+  let singular = false;
+
+  const magnitude = k => (im ? Math.hypot(re[k], im[k]) : Math.abs(re[k]));
+  const swapRows = (r1, r2) => {
+    for (let c = 0; c < n; c++) {
+      const k1 = r1 + c * n;
+      const k2 = r2 + c * n;
+      [re[k1], re[k2]] = [re[k2], re[k1]];
+      if (im) [im[k1], im[k2]] = [im[k2], im[k1]];
+    }
+  };
+
+  for (let j = 0; j < n; j++) {
+    check();
+    let pivot = j;
+    for (let i = j + 1; i < n; i++) {
+      if (magnitude(i + j * n) > magnitude(pivot + j * n)) pivot = i;
+    }
+    if (pivot !== j) {
+      swapRows(pivot, j);
+      [pivots[pivot], pivots[j]] = [pivots[j], pivots[pivot]];
+      sign = -sign;
+    }
+
+    const diagonal = j + j * n;
+    if (magnitude(diagonal) === 0) {
+      singular = true;
+      continue;
+    }
+    for (let i = j + 1; i < n; i++) {
+      const k = i + j * n;
+      let fr;
+      let fi = 0;
+      if (im) {
+        const denominator = re[diagonal] * re[diagonal] + im[diagonal] * im[diagonal];
+        fr = (re[k] * re[diagonal] + im[k] * im[diagonal]) / denominator;
+        fi = (im[k] * re[diagonal] - re[k] * im[diagonal]) / denominator;
+        im[k] = fi;
+      } else {
+        fr = re[k] / re[diagonal];
+      }
+      re[k] = fr;
+      if (fr === 0 && fi === 0) continue;
+      for (let c = j + 1; c < n; c++) {
+        const target = i + c * n;
+        const source = j + c * n;
+        re[target] -= fr * re[source] - (im ? fi * im[source] : 0);
+        if (im) im[target] -= fr * im[source] + fi * re[source];
+      }
+    }
+  }
+
+  return { re, im, pivots, sign, singular };
+}
+
+/**
+ * Estimate the reciprocal condition of a factored matrix from its pivots
+ * @param {Object} lu - Factors from factorize
+ * @param {number} n - Order
+ * @returns {number} Smallest over largest pivot magnitude
+ */
+function pivotRatio(lu, n) {
+  let smallest = Infinity;
+  let largest = 0;
+  for (let j = 0; j < n; j++) {
+    const k = j + j * n;
+    const value = lu.im ? Math.hypot(lu.re[k], lu.im[k]) : Math.abs(lu.re[k]);
+    smallest = Math.min(smallest, value);
+    largest = Math.max(largest, value);
+  }
+  return largest === 0 ? 0 : smallest / largest;
+}
+
+/**
+ * Solve A X = B for square A
+ * @param {Matrix} a - A
+ * @param {Matrix} b - B
+ * @param {function(string): void} warn - Receives the singular-matrix warning
+ * @param {function(): void} check - Time limit check
+ * @returns {*} X
+ */
+function solve(a, b, warn, check) {
+  const n = a.rows;
+  const m = b.cols;
+  const lu = factorize(a, check);
+  if (lu.singular || pivotRatio(lu, n) < Number.EPSILON) {
+    warn('Matrix is singular to working precision.');
+  }
+
+  const complex = Boolean(lu.im || b.im);
+  const result = zeros(n, m, complex);
+  for (let c = 0; c < m; c++) {
+    check();
+    const xr = new Float64Array(n);
+    const xi = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      xr[i] = b.re[lu.pivots[i] + c * n];
+      xi[i] = b.im ? b.im[lu.pivots[i] + c * n] : 0;
+    }
+    // Forward substitution with unit lower triangle
+    for (let i = 0; i < n; i++) {
+      for (let k = 0; k < i; k++) {
+        const lr = lu.re[i + k * n];
+        const li = lu.im ? lu.im[i + k * n] : 0;
+        xr[i] -= lr * xr[k] - li * xi[k];
+        xi[i] -= lr * xi[k] + li * xr[k];
+      }
+    }
+    // Back substitution with the upper triangle
+    for (let i = n - 1; i >= 0; i--) {
+      for (let k = i + 1; k < n; k++) {
+        const ur = lu.re[i + k * n];
+        const ui = lu.im ? lu.im[i + k * n] : 0;
+        xr[i] -= ur * xr[k] - ui * xi[k];
+        xi[i] -= ur * xi[k] + ui * xr[k];
+      }
+      const dr = lu.re[i + i * n];
+      const di = lu.im ? lu.im[i + i * n] : 0;
+      if (di === 0) {
+        xr[i] /= dr;
+        xi[i] /= dr;
+      } else {
+        const denominator = dr * dr + di * di;
+        [xr[i], xi[i]] = [(xr[i] * dr + xi[i] * di) / denominator, (xi[i] * dr - xr[i] * di) / denominator];
+      }
+    }
+    result.re.set(xr, c * n);
+    if (complex) result.im.set(xi, c * n);
+  }
+  return simplify(narrow(result));
+}
+
+/**
+ * Create an identity matrix
+ * @param {number} n - Order
+ * @returns {Matrix} n×n identity
+ */
+function identity(n) {
+  const result = zeros(n, n);
+  for (let k = 0; k < n; k++) result.re[k + k * n] = 1;
+  return result;
+}
+
+/**
+ * Invert a square matrix
+ * @param {*} value - Matrix
+ * @param {function(string): void} [warn] - Receives the singular-matrix warning
+ * @param {function(): void} [check] - Time limit check
+ * @returns {*} Inverse
+ * @throws {Error} For non-square matrices
+ */
+function inverse(value, warn = () => {}, check = () => {}) {
+  const a = toMatrix(value);
+  if (a.rows !== a.cols) {
+    throw programError('Matrix must be square.');
+  }
+  if (a.numel === 1) {
+    return elementwise('./', 1, value);
+  }
+  return solve(a, identity(a.rows), warn, check);
+}
+
+/**
+ * Compute a determinant
+ * @param {*} value - Square matrix
+ * @param {function(): void} [check] - Time limit check
+ * @returns {*} Determinant
+ * @throws {Error} For non-square matrices
+ */
+function determinant(value, check = () => {}) {
+  const a = toMatrix(value);
+  if (a.rows !== a.cols) {
+    throw programError('Matrix must be square.');
+  }
+  const n = a.rows;
+  const lu = factorize(a, check);
+  let re = lu.sign;
+  let im = 0;
+  for (let j = 0; j < n; j++) {
+    const dr = lu.re[j + j * n];
+    const di = lu.im ? lu.im[j + j * n] : 0;
+    [re, im] = [re * dr - im * di, re * di + im * dr];
+  }
+  return simplify(narrow(new Matrix(1, 1, Float64Array.of(re), Float64Array.of(im))));
+}
+
+/**
+ * Raise to a power: A ^ p
+ * Square matrices take integer powers by repeated squaring.
+ * @param {*} base - A
+ * @param {*} exponent - p
+ * @param {function(string): void} [warn] - Receives the singular-matrix warning of negative powers
+ * @param {function(): void} [check] - Time limit check
+ * @returns {*} Power
+ * @throws {Error} For non-square matrices, and non-integer or matrix exponents
+ */
+function power(base, exponent, warn = () => {}, check = () => {}) {
+  const a = toMatrix(base);
+  const p = toMatrix(exponent);
+  if (a.numel === 1 && p.numel === 1) {
+    return elementwise('.^', base, exponent);
+  }
+  if (p.numel !== 1 || a.numel === 1) {
+    throw programError('Matrix powers with matrix exponents are not supported; use .^ for elementwise powers', { unsupported: true });
+  }
+  if (a.rows !== a.cols) {
+    throw programError('Incorrect dimensions for raising a matrix to a power. Check that the matrix is square and the power is a scalar. To operate on each element of the matrix individually, use POWER (.^) for elementwise power.');
+  }
+  const n = p.re[0];
+  if (!Number.isInteger(n) || p.im) {
+    throw programError('Non-integer powers of matrices are not supported', { unsupported: true });
+  }
+
+  let factor = n < 0 ? inverse(a, warn, check) : a;
+  let result = identity(a.rows);
+  for (let remaining = Math.abs(n); remaining > 0; remaining = Math.floor(remaining / 2)) {
+    if (remaining % 2 === 1) result = multiply(result, factor, check);
+    if (remaining > 1) factor = multiply(factor, factor, check);
+  }
+  return result;
+}
+
+/**
+ * Check whether a real matrix is symmetric
+ * @param {Matrix} a - Square matrix
+ * @returns {boolean} True if A equals its transpose up to rounding
+ */
+function isSymmetric(a) {
+  const n = a.rows;
+  const scale = a.re.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  const tolerance = 16 * Number.EPSILON * scale;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (Math.abs(a.re[i + j * n] - a.re[j + i * n]) > tolerance) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compute eigenvalues and eigenvectors of a real symmetric matrix
+ * Eigenvalues come in ascending order, eigenvectors as unit columns.
+ * @param {*} value - Square matrix
+ * @param {function(): void} [check] - Time limit check
+ * @returns {{values: number[], vectors: Matrix}} Eigen decomposition
+ * @throws {Error} For non-square, complex or non-symmetric matrices
+ */
+function symmetricEigen(value, check = () => {}) {
+  const a = toMatrix(value);
+  if (a.rows !== a.cols) {
+    throw programError('Input matrix must be square.');
+  }
+  if (a.im || !isSymmetric(a)) {
+    throw programError('Eigenvalues of non-symmetric or complex matrices are not supported in the browser', { unsupported: true });
+  }
+  if (a.re.some(x => !Number.isFinite(x))) {
+    throw programError('Input to EIG must not contain NaN or Inf.');
+  }
+
+  const n = a.rows;
+  const V = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => a.re[i + j * n]));
+  const d = new Array(n).fill(0);
+  const e = new Array(n).fill(0);
+  tridiagonalize(V, d, e, n, check);
+  diagonalize(V, d, e, n, check);
+
+  const vectors = zeros(n, n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) vectors.re[i + j * n] = V[i][j];
+  }
+  return { values: d, vectors };
+}
+
+/**
+ * Reduce a symmetric matrix to tridiagonal form by Householder transformations
+ * On return V holds the transformation, d the diagonal and e the subdiagonal.
+ * @param {number[][]} V - Matrix, replaced by the transformation
+ * @param {number[]} d - Diagonal (output)
+ * @param {number[]} e - Subdiagonal (output)
+ * @param {number} n - Order
+ * @param {function(): void} check - Time limit check
+ */
+function tridiagonalize(V, d, e, n, check) {
+  for (let j = 0; j < n; j++) d[j] = V[n - 1][j];
+
+  for (let i = n - 1; i > 0; i--) {
+    check();
+    let scale = 0;
+    let h = 0;
+    for (let k = 0; k < i; k++) scale += Math.abs(d[k]);
+
+    if (scale === 0) {
+      e[i] = d[i - 1];
+      for (let j = 0; j < i; j++) {
+        d[j] = V[i - 1][j];
+        V[i][j] = 0;
+        V[j][i] = 0;
+      }
+    } else {
+      for (let k = 0; k < i; k++) {
+        d[k] /= scale;
+        h += d[k] * d[k];
+      }
+      let f = d[i - 1];
+      let g = Math.sqrt(h);
+      if (f > 0) g = -g;
+      e[i] = scale * g;
+      h -= f * g;
+      d[i - 1] = f - g;
+      for (let j = 0; j < i; j++) e[j] = 0;
+
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        V[j][i] = f;
+        g = e[j] + V[j][j] * f;
+        for (let k = j + 1; k <= i - 1; k++) {
+          g += V[k][j] * d[k];
+          e[k] += V[k][j] * f;
+        }
+        e[j] = g;
+      }
+      f = 0;
+      for (let j = 0; j < i; j++) {
+        e[j] /= h;
+        f += e[j] * d[j];
+      }
+      const hh = f / (h + h);
+      for (let j = 0; j < i; j++) e[j] -= hh * d[j];
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        g = e[j];
+        for (let k = j; k <= i - 1; k++) V[k][j] -= f * e[k] + g * d[k];
+        d[j] = V[i - 1][j];
+        V[i][j] = 0;
+      }
+    }
+    d[i] = h;
+  }
+
+  // Accumulate the transformations
+  for (let i = 0; i < n - 1; i++) {
+    check();
+    V[n - 1][i] = V[i][i];
+    V[i][i] = 1;
+    const h = d[i + 1];
+    if (h !== 0) {
+      for (let k = 0; k <= i; k++) d[k] = V[k][i + 1] / h;
+      for (let j = 0; j <= i; j++) {
+        let g = 0;
+        for (let k = 0; k <= i; k++) g += V[k][i + 1] * V[k][j];
+        for (let k = 0; k <= i; k++) V[k][j] -= g * d[k];
+      }
+    }
+    for (let k = 0; k <= i; k++) V[k][i + 1] = 0;
+  }
+  for (let j = 0; j < n; j++) {
+    d[j] = V[n - 1][j];
+    V[n - 1][j] = 0;
+  }
+  V[n - 1][n - 1] = 1;
+  e[0] = 0;
+}
+
+/**
+ * Diagonalize a symmetric tridiagonal matrix by the implicit QL method
+ * On return d holds the eigenvalues in ascending order and V the eigenvectors.
+ * @param {number[][]} V - Transformation from tridiagonalize, replaced by the eigenvectors
+ * @param {number[]} d - Diagonal, replaced by the eigenvalues
+ * @param {number[]} e - Subdiagonal, destroyed
+ * @param {number} n - Order
+ * @param {function(): void} check - Time limit check
+ */
+function diagonalize(V, d, e, n, check) {
+  for (let i = 1; i < n; i++) e[i - 1] = e[i];
+  e[n - 1] = 0;
+
+  let f = 0;
+  let tst1 = 0;
+  const eps = Math.pow(2, -52);
+  for (let l = 0; l < n; l++) {
+    tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+    let m = l;
+    while (m < n) {
+      if (Math.abs(e[m]) <= eps * tst1) break;
+      m++;
+    }
+
+    if (m > l) {
+      do {
+        check();
+        let g = d[l];
+        let p = (d[l + 1] - g) / (2 * e[l]);
+        let r = Math.hypot(p, 1);
+        if (p < 0) r = -r;
+        d[l] = e[l] / (p + r);
+        d[l + 1] = e[l] * (p + r);
+        const dl1 = d[l + 1];
+        let h = g - d[l];
+        for (let i = l + 2; i < n; i++) d[i] -= h;
+        f += h;
+
+        p = d[m];
+        let c = 1;
+        let c2 = c;
+        let c3 = c;
+        const el1 = e[l + 1];
+        let s = 0;
+        let s2 = 0;
+        for (let i = m - 1; i >= l; i--) {
+          c3 = c2;
+          c2 = c;
+          s2 = s;
+          g = c * e[i];
+          h = c * p;
+          r = Math.hypot(p, e[i]);
+          e[i + 1] = s * r;
+          s = e[i] / r;
+          c = p / r;
+          p = c * d[i] - s * g;
+          d[i + 1] = h + s * (c * g + s * d[i]);
+          for (let k = 0; k < n; k++) {
+            h = V[k][i + 1];
+            V[k][i + 1] = s * V[k][i] + c * h;
+            V[k][i] = c * V[k][i] - s * h;
+          }
+        }
+        p = -s * s2 * c3 * el1 * e[l] / dl1;
+        e[l] = s * p;
+        d[l] = c * p;
+      } while (Math.abs(e[l]) > eps * tst1);
+    }
+    d[l] += f;
+    e[l] = 0;
+  }
+
+  // Sort eigenvalues and vectors in ascending order
+  for (let i = 0; i < n - 1; i++) {
+    let k = i;
+    let p = d[i];
+    for (let j = i + 1; j < n; j++) {
+      if (d[j] < p) {
+        k = j;
+        p = d[j];
+      }
+    }
+    if (k !== i) {
+      d[k] = d[i];
+      d[i] = p;
+      for (let j = 0; j < n; j++) [V[j][i], V[j][k]] = [V[j][k], V[j][i]];
+    }
+  }
+}
+
+module.exports = {
+  multiply,
+  leftDivide,
+  rightDivide,
+  inverse,
+  determinant,
+  power,
+  identity,
+  symmetricEigen,
+};
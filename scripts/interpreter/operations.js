@@ -0,0 +1,806 @@
+/**
+ * @fileoverview Array operations of the MATLAB interpreter
+ * @module interpreter/operations
+ *
+ * Elementwise arithmetic with implicit expansion, comparisons, ranges,
+ * concatenation, and reading and assigning indexed elements. Error
+ * messages follow MATLAB's wording so that they read familiar to students.
+ */
+
+const {
+  Matrix,
+  FunctionHandle,
+  programError,
+  zeros,
+  toMatrix,
+  narrow,
+  simplify,
+} = require('./values');
+
+/**
+ * Marker for a lone colon in an index, selecting a whole dimension
+ * @type {Object}
+ */
+const COLON = Object.freeze({ colon: true });
+
+/**
+ * Real elementwise operators
+ * @type {Object<string, function(number, number): number>}
+ */
+const REAL_OPERATORS = {
+  '+': (x, y) => x + y,
+  '-': (x, y) => x - y,
+  '.*': (x, y) => x * y,
+  './': (x, y) => x / y,
+  '.\\': (x, y) => y / x,
+  '.^': (x, y) => Math.pow(x, y),
+  '<': (x, y) => (x < y ? 1 : 0),
+  '<=': (x, y) => (x <= y ? 1 : 0),
+  '>': (x, y) => (x > y ? 1 : 0),
+  '>=': (x, y) => (x >= y ? 1 : 0),
+  '==': (x, y) => (x === y ? 1 : 0),
+  '~=': (x, y) => (x !== y ? 1 : 0),
+  '&': (x, y) => (x !== 0 && y !== 0 ? 1 : 0),
+  '|': (x, y) => (x !== 0 || y !== 0 ? 1 : 0),
+};
+
+/**
+ * Operators whose result is logical
+ * @type {Set<string>}
+ */
+const LOGICAL_OPERATORS = new Set(['<', '<=', '>', '>=', '==', '~=', '&', '|']);
+
+/**
+ * Multiply two complex numbers
+ * @returns {number[]} [re, im]
+ */
+function complexMultiply(ar, ai, br, bi) {
+  return [ar * br - ai * bi, ar * bi + ai * br];
+}
+
+/**
+ * Divide two complex numbers
+ * @returns {number[]} [re, im]
+ */
+function complexDivide(ar, ai, br, bi) {
+  if (bi === 0) {
+    return [ar / br, ai / br];
+  }
+  const denominator = br * br + bi * bi;
+  return [(ar * br + ai * bi) / denominator, (ai * br - ar * bi) / denominator];
+}
+
+/**
+ * Raise a complex number to a complex power
+ * Integer powers multiply, so that (1i)^2 is exactly -1.
+ * @returns {number[]} [re, im]
+ */
+function complexPower(ar, ai, br, bi) {
+  if (bi === 0 && Number.isInteger(br) && Math.abs(br) <= 1024) {
+    let result = [1, 0];
+    let base = [ar, ai];
+    let exponent = Math.abs(br);
+    while (exponent > 0) {
+      if (exponent & 1) result = complexMultiply(result[0], result[1], base[0], base[1]);
+      base = complexMultiply(base[0], base[1], base[0], base[1]);
+      exponent >>= 1;
+    }
+    return br < 0 ? complexDivide(1, 0, result[0], result[1]) : result;
+  }
+  if (ar === 0 && ai === 0) {
+    return br > 0 ? [0, 0] : [Infinity, 0];
+  }
+  const logAbs = Math.log(Math.hypot(ar, ai));
+  const arg = Math.atan2(ai, ar);
+  const re = br * logAbs - bi * arg;
+  const im = bi * logAbs + br * arg;
+  const magnitude = Math.exp(re);
+  return [magnitude * Math.cos(im), magnitude * Math.sin(im)];
+}
+
+/**
+ * Complex elementwise operators
+ * Ordering comparisons use the real parts, as MATLAB does.
+ * @type {Object<string, function(number, number, number, number): number[]>}
+ */
+const COMPLEX_OPERATORS = {
+  '+': (ar, ai, br, bi) => [ar + br, ai + bi],
+  '-': (ar, ai, br, bi) => [ar - br, ai - bi],
+  '.*': complexMultiply,
+  './': complexDivide,
+  '.\\': (ar, ai, br, bi) => complexDivide(br, bi, ar, ai),
+  '.^': complexPower,
+  '<': (ar, ai, br) => [ar < br ? 1 : 0, 0],
+  '<=': (ar, ai, br) => [ar <= br ? 1 : 0, 0],
+  '>': (ar, ai, br) => [ar > br ? 1 : 0, 0],
+  '>=': (ar, ai, br) => [ar >= br ? 1 : 0, 0],
+  '==': (ar, ai, br, bi) => [ar === br && ai === bi ? 1 : 0, 0],
+  '~=': (ar, ai, br, bi) => [ar !== br || ai !== bi ? 1 : 0, 0],
+  '&': (ar, ai, br, bi) => [(ar !== 0 || ai !== 0) && (br !== 0 || bi !== 0) ? 1 : 0, 0],
+  '|': (ar, ai, br, bi) => [ar !== 0 || ai !== 0 || br !== 0 || bi !== 0 ? 1 : 0, 0],
+};
+
+/**
+ * Check whether a real power needs a complex result
+ * @param {Matrix} base - Bases
+ * @param {Matrix} exponent - Exponents
+ * @returns {boolean} True if a negative base has a non-integer exponent
+ */
+function needsComplexPower(base, exponent) {
+  const hasNegative = base.re.some(value => value < 0);
+  return hasNegative && exponent.re.some(value => !Number.isInteger(value) && Number.isFinite(value));
+}
+
+/**
+ * Apply an elementwise operator, expanding singleton dimensions
+ * @param {string} op - Operator: + - .* ./ .\ .^, a comparison, & or |
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {*} Result
+ * @throws {Error} If the sizes are incompatible
+ */
+function elementwise(op, left, right) {
+  if (typeof left === 'number' && typeof right === 'number' && !(op === '.^' && left < 0 && !Number.isInteger(right))) {
+    const value = REAL_OPERATORS[op](left, right);
+    return LOGICAL_OPERATORS.has(op) ? logicalScalar(value) : value;
+  }
+
+  const a = toMatrix(left);
+  const b = toMatrix(right);
+  const rows = expandedSize(a.rows, b.rows);
+  const cols = expandedSize(a.cols, b.cols);
+  if (rows === null || cols === null) {
+    throw programError(`Arrays have incompatible sizes for this operation (${a.rows}x${a.cols} and ${b.rows}x${b.cols}).`);
+  }
+
+  const complex = Boolean(a.im || b.im) || (op === '.^' && needsComplexPower(a, b));
+  const kind = LOGICAL_OPERATORS.has(op) ? 'logical' : 'double';
+  const result = zeros(rows, cols, complex && kind === 'double', kind);
+  const aRowStep = a.rows === 1 ? 0 : 1;
+  const aColStep = a.cols === 1 ? 0 : a.rows;
+  const bRowStep = b.rows === 1 ? 0 : 1;
+  const bColStep = b.cols === 1 ? 0 : b.rows;
+
+  if (!complex) {
+    const fn = REAL_OPERATORS[op];
+    for (let c = 0, k = 0; c < cols; c++) {
+      for (let r = 0; r < rows; r++, k++) {
+        result.re[k] = fn(a.re[r * aRowStep + c * aColStep], b.re[r * bRowStep + c * bColStep]);
+      }
+    }
+    return simplify(result);
+  }
+
+  const fn = COMPLEX_OPERATORS[op];
+  for (let c = 0, k = 0; c < cols; c++) {
+    for (let r = 0; r < rows; r++, k++) {
+      const ia = r * aRowStep + c * aColStep;
+      const ib = r * bRowStep + c * bColStep;
+      const [re, im] = fn(a.re[ia], a.im ? a.im[ia] : 0, b.re[ib], b.im ? b.im[ib] : 0);
+      result.re[k] = re;
+      if (result.im) result.im[k] = im;
+    }
+  }
+  return simplify(narrow(result));
+}
+
+/**
+ * Get the size of a dimension after implicit expansion
+ * @param {number} a - Size of the left operand
+ * @param {number} b - Size of the right operand
+ * @returns {number|null} Size, or null if incompatible
+ */
+function expandedSize(a, b) {
+  if (a === b) return a;
+  if (a === 1) return b;
+  if (b === 1) return a;
+  return null;
+}
+
+/**
+ * Create a 1×1 logical
+ * @param {number} value - 0 or 1
+ * @returns {Matrix} Logical scalar
+ */
+function logicalScalar(value) {
+  return new Matrix(1, 1, Float64Array.of(value), null, 'logical');
+}
+
+/**
+ * Negate a value
+ * @param {*} value - Operand
+ * @returns {*} -value
+ */
+function negate(value) {
+  if (typeof value === 'number') {
+    return -value;
+  }
+  const matrix = toMatrix(value);
+  const result = new Matrix(matrix.rows, matrix.cols, matrix.re.map(x => -x), matrix.im && matrix.im.map(x => -x));
+  return simplify(result);
+}
+
+/**
+ * Logical not
+ * @param {*} value - Operand
+ * @returns {Matrix} Logical array, true where the operand is zero
+ */
+function not(value) {
+  const matrix = toMatrix(value);
+  const result = zeros(matrix.rows, matrix.cols, false, 'logical');
+  for (let k = 0; k < matrix.numel; k++) {
+    result.re[k] = matrix.re[k] === 0 && (!matrix.im || matrix.im[k] === 0) ? 1 : 0;
+  }
+  return result;
+}
+
+/**
+ * Transpose a value
+ * @param {*} value - Operand
+ * @param {boolean} [conjugate=true] - Whether to conjugate (' rather than .')
+ * @returns {*} Transposed value
+ */
+function transpose(value, conjugate = true) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const matrix = toMatrix(value);
+  const result = zeros(matrix.cols, matrix.rows, Boolean(matrix.im), matrix.kind);
+  for (let r = 0; r < matrix.rows; r++) {
+    for (let c = 0; c < matrix.cols; c++) {
+      const from = r + c * matrix.rows;
+      const to = c + r * matrix.cols;
+      result.re[to] = matrix.re[from];
+      if (matrix.im) result.im[to] = conjugate ? -matrix.im[from] : matrix.im[from];
+    }
+  }
+  return simplify(result);
+}
+
+/**
+ * Build a range start:step:stop
+ * The count allows for rounding, so 0:0.1:1 has 11 elements.
+ * @param {number} start - First value
+ * @param {number} step - Increment
+ * @param {number} stop - Limit
+ * @returns {Matrix} Row vector
+ */
+function range(start, step, stop) {
+  if ([start, step, stop].some(Number.isNaN)) {
+    return new Matrix(1, 1, Float64Array.of(NaN));
+  }
+  const span = (stop - start) / step;
+  if (step === 0 || span < 0 || !Number.isFinite(span)) {
+    if (Number.isFinite(start) && Number.isFinite(stop) || step === 0 || span < 0) {
+      return zeros(1, 0);
+    }
+    throw programError('Maximum variable size allowed by the program is exceeded.');
+  }
+  const tolerance = 3 * Number.EPSILON * Math.max(Math.abs(start), Math.abs(stop)) / Math.abs(step);
+  const count = Math.floor(span + tolerance) + 1;
+  if (count > 1e8) {
+    throw programError('Maximum variable size allowed by the program is exceeded.');
+  }
+  const result = zeros(1, count);
+  for (let k = 0; k < count; k++) result.re[k] = start + k * step;
+  if (count > 1 && Math.abs(result.re[count - 1] - stop) <= tolerance * Math.abs(step)) {
+    result.re[count - 1] = stop;
+  }
+  return result;
+}
+
+/**
+ * Concatenate the rows of a matrix literal
+ * Empty arrays are skipped; any char element makes the result char.
+ * @param {Array<Array<*>>} rows - Element values, row by row
+ * @returns {*} Concatenated value
+ * @throws {Error} If the sizes do not fit
+ */
+function concatenate(rows) {
+  const blocks = rows
+    .map(row => horizontalConcatenate(row.map(value => {
+      if (value instanceof FunctionHandle) {
+        throw programError('Function handles cannot be concatenated');
+      }
+      return toMatrix(value);
+    })))
+    .filter(block => block.numel > 0 || block.cols > 0);
+
+  if (blocks.length === 0) {
+    return zeros(0, 0);
+  }
+  if (blocks.length === 1) {
+    return simplify(blocks[0]);
+  }
+
+  const cols = blocks[0].cols;
+  if (blocks.some(block => block.cols !== cols)) {
+    throw programError('Dimensions of arrays being concatenated are not consistent.');
+  }
+  const rowCount = blocks.reduce((sum, block) => sum + block.rows, 0);
+  const result = zeros(rowCount, cols, blocks.some(block => block.im), concatenatedKind(blocks));
+  let offset = 0;
+  blocks.forEach((block) => {
+    for (let c = 0; c < cols; c++) {
+      for (let r = 0; r < block.rows; r++) {
+        result.re[offset + r + c * rowCount] = block.re[r + c * block.rows];
+        if (block.im) result.im[offset + r + c * rowCount] = block.im[r + c * block.rows];
+      }
+    }
+    offset += block.rows;
+  });
+  return simplify(result);
+}
+
+/**
+ * Concatenate matrices side by side
+ * @param {Matrix[]} matrices - Matrices
+ * @returns {Matrix} Concatenated matrix
+ */
+function horizontalConcatenate(matrices) {
+  const parts = matrices.filter(matrix => matrix.numel > 0 || matrix.rows > 0);
+  if (parts.length === 0) {
+    return zeros(0, 0);
+  }
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  const rows = parts[0].rows;
+  if (parts.some(part => part.rows !== rows)) {
+    throw programError('Dimensions of arrays being concatenated are not consistent.');
+  }
+  const cols = parts.reduce((sum, part) => sum + part.cols, 0);
+  const result = zeros(rows, cols, parts.some(part => part.im), concatenatedKind(parts));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.re.set(part.re, offset);
+    if (part.im) result.im.set(part.im, offset);
+    offset += part.numel;
+  });
+  return result;
+}
+
+/**
+ * Get the kind of a concatenation
+ * @param {Matrix[]} parts - Parts
+ * @returns {string} 'char' if any part is char, 'logical' if all are, else 'double'
+ */
+function concatenatedKind(parts) {
+  if (parts.some(part => part.kind === 'char')) return 'char';
+  if (parts.every(part => part.kind === 'logical')) return 'logical';
+  return 'double';
+}
+
+/**
+ * Convert one index argument to zero-based positions
+ * @param {*} index - Index value, logical mask or COLON
+ * @param {number} extent - Size of the indexed dimension (or element count)
+ * @returns {number[]} Positions
+ * @throws {Error} For indices that are not positive integers
+ */
+function toPositions(index, extent) {
+  if (index === COLON) {
+    return Array.from({ length: extent }, (_, k) => k);
+  }
+  if (typeof index === 'number') {
+    if (!(index >= 1 && Number.isInteger(index))) {
+      throw indexError(index);
+    }
+    return [index - 1];
+  }
+
+  const matrix = toMatrix(index);
+  const positions = [];
+  if (matrix.kind === 'logical') {
+    for (let k = 0; k < matrix.numel; k++) {
+      if (matrix.re[k] !== 0) positions.push(k);
+    }
+    return positions;
+  }
+  for (let k = 0; k < matrix.numel; k++) {
+    const value = matrix.re[k];
+    if (!(value >= 1 && Number.isInteger(value))) {
+      throw indexError(value);
+    }
+    positions.push(value - 1);
+  }
+  return positions;
+}
+
+/**
+ * Create the error for an invalid index
+ * @param {number} value - Index
+ * @returns {Error} Error
+ */
+function indexError(value) {
+  if (value === 0) {
+    return programError('Index in position 1 is invalid. Array indices must be positive integers or logical values.');
+  }
+  return programError('Array indices must be positive integers or logical values.');
+}
+
+/**
+ * Get the shape of an index argument
+ * @param {*} index - Index value
+ * @returns {number[]} [rows, cols]
+ */
+function indexShape(index) {
+  return typeof index === 'number' ? [1, 1] : [index.rows, index.cols];
+}
+
+/**
+ * Read indexed elements: A(i) or A(i, j)
+ * @param {*} value - Indexed value
+ * @param {Array<*>} indices - Index arguments (numbers, matrices or COLON)
+ * @returns {*} Selected elements
+ * @throws {Error} For out-of-range indices
+ */
+function index(value, indices) {
+  const matrix = toMatrix(value);
+  const args = trimIndices(indices);
+
+  if (args.length === 0) {
+    return value;
+  }
+
+  if (args.length === 1) {
+    const [arg] = args;
+    // Fast path for scalar indices, the common case in loops
+    if (typeof arg === 'number' && arg >= 1 && arg <= matrix.numel && Number.isInteger(arg)) {
+      return elementAt(matrix, arg - 1);
+    }
+
+    const positions = toPositions(arg, matrix.numel);
+    const outOfRange = positions.find(position => position >= matrix.numel);
+    if (outOfRange !== undefined) {
+      throw programError(`Index exceeds the number of array elements. Index must not exceed ${matrix.numel}.`);
+    }
+
+    // A vector indexed by a vector keeps its orientation; otherwise the result has the index's shape
+    let shape;
+    if (arg === COLON) {
+      shape = [positions.length, 1];
+    } else if (matrix.isVector() && matrix.numel > 1 && isVectorIndex(arg)) {
+      shape = matrix.rows === 1 ? [1, positions.length] : [positions.length, 1];
+    } else if (arg.kind === 'logical') {
+      shape = arg.rows === 1 ? [1, positions.length] : [positions.length, 1];
+    } else {
+      shape = indexShape(arg);
+    }
+    return gather(matrix, positions, shape[0], shape[1]);
+  }
+
+  if (args.length > 2) {
+    throw programError('Arrays with more than two dimensions are not supported', { unsupported: true });
+  }
+
+  const rowPositions = toPositions(args[0], matrix.rows);
+  const colPositions = toPositions(args[1], matrix.cols);
+  checkBounds(rowPositions, matrix.rows, 1);
+  checkBounds(colPositions, matrix.cols, 2);
+
+  if (rowPositions.length === 1 && colPositions.length === 1) {
+    return elementAt(matrix, rowPositions[0] + colPositions[0] * matrix.rows);
+  }
+
+  const positions = [];
+  colPositions.forEach(c => rowPositions.forEach(r => positions.push(r + c * matrix.rows)));
+  return gather(matrix, positions, rowPositions.length, colPositions.length);
+}
+
+/**
+ * Drop trailing index arguments equal to 1, as in A(i, j, 1)
+ * @param {Array<*>} indices - Index arguments
+ * @returns {Array<*>} Indices
+ */
+function trimIndices(indices) {
+  const args = indices.slice();
+  while (args.length > 2 && args[args.length - 1] === 1) args.pop();
+  return args;
+}
+
+/**
+ * Check that positions fit a dimension
+ * @param {number[]} positions - Zero-based positions
+ * @param {number} extent - Dimension size
+ * @param {number} dimension - 1 for rows, 2 for columns
+ * @throws {Error} If a position is out of range
+ */
+function checkBounds(positions, extent, dimension) {
+  if (positions.some(position => position >= extent)) {
+    throw programError(`Index in position ${dimension} exceeds array bounds. Index must not exceed ${extent}.`);
+  }
+}
+
+/**
+ * Check whether an index argument is a vector
+ * @param {*} arg - Index value
+ * @returns {boolean} True for scalars, rows and columns
+ */
+function isVectorIndex(arg) {
+  return typeof arg === 'number' || arg.rows === 1 || arg.cols === 1;
+}
+
+/**
+ * Read one element
+ * @param {Matrix} matrix - Matrix
+ * @param {number} position - Zero-based linear position
+ * @returns {*} Number for real doubles, otherwise a 1×1 matrix of the same kind
+ */
+function elementAt(matrix, position) {
+  if (matrix.kind === 'double' && (!matrix.im || matrix.im[position] === 0)) {
+    return matrix.re[position];
+  }
+  return new Matrix(1, 1, Float64Array.of(matrix.re[position]), matrix.im && Float64Array.of(matrix.im[position]), matrix.kind);
+}
+
+/**
+ * Copy elements into a new matrix
+ * @param {Matrix} matrix - Source
+ * @param {number[]} positions - Zero-based linear positions
+ * @param {number} rows - Result rows
+ * @param {number} cols - Result columns
+ * @returns {*} Result
+ */
+function gather(matrix, positions, rows, cols) {
+  const result = zeros(rows, cols, Boolean(matrix.im), matrix.kind);
+  positions.forEach((position, k) => {
+    result.re[k] = matrix.re[position];
+    if (matrix.im) result.im[k] = matrix.im[position];
+  });
+  return simplify(narrow(result));
+}
+
+/**
+ * Assign indexed elements: A(i) = B or A(i, j) = B
+ * Arrays grow to fit the indices; a scalar B fills every selected element.
+ * Assigning [] deletes the selected elements.
+ * @param {*} current - Current value, or undefined for a new variable
+ * @param {Array<*>} indices - Index arguments (numbers, matrices or COLON)
+ * @param {*} value - Assigned value
+ * @param {boolean} [deleting=false] - Whether the value is the literal []
+ * @param {boolean} [inPlace=false] - Whether the current array belongs to the variable alone and may be written
+ * @returns {*} New value of the variable
+ * @throws {Error} For mismatched sizes
+ */
+function assignIndex(current, indices, value, deleting = false, inPlace = false) {
+  const target = current === undefined ? zeros(0, 0) : toMatrix(current);
+  if (value instanceof FunctionHandle) {
+    throw programError('Function handles cannot be stored in arrays');
+  }
+  const args = trimIndices(indices);
+
+  // Fast path for a real number stored at scalar indices inside the array, the common case in loops
+  if (inPlace && !deleting && typeof value === 'number' && target.kind === 'double' && !target.im) {
+    const position = scalarPosition(target, args);
+    if (position !== null) {
+      target.re[position] = value;
+      return target;
+    }
+  }
+  if (args.length > 2) {
+    throw programError('Arrays with more than two dimensions are not supported', { unsupported: true });
+  }
+
+  if (deleting) {
+    return deleteElements(target, args);
+  }
+
+  const source = toMatrix(value);
+  return args.length === 1 ? assignLinear(target, args[0], source, inPlace) : assignGrid(target, args, source, inPlace);
+}
+
+/**
+ * Find the position of one element given by scalar indices
+ * @param {Matrix} target - Array
+ * @param {Array<*>} args - Index arguments
+ * @returns {number|null} Zero-based linear position, or null unless every index is a whole number within the array
+ */
+function scalarPosition(target, args) {
+  const fits = (arg, extent) => typeof arg === 'number' && Number.isInteger(arg) && arg >= 1 && arg <= extent;
+  if (args.length === 1) {
+    return fits(args[0], target.numel) ? args[0] - 1 : null;
+  }
+  if (args.length === 2 && fits(args[0], target.rows) && fits(args[1], target.cols)) {
+    return args[0] - 1 + (args[1] - 1) * target.rows;
+  }
+  return null;
+}
+
+/**
+ * Assign with one index
+ * @param {Matrix} target - Current array
+ * @param {*} arg - Index
+ * @param {Matrix} source - Assigned values
+ * @param {boolean} inPlace - Whether the array may be written
+ * @returns {*} New array
+ */
+function assignLinear(target, arg, source, inPlace) {
+  const extent = arg === COLON && target.numel === 0 ? source.numel : target.numel;
+  const positions = toPositions(arg, extent);
+  checkCount(positions.length, source);
+
+  const needed = positions.reduce((max, position) => Math.max(max, position + 1), 0);
+  let result = target;
+  if (needed > target.numel) {
+    if (target.numel === 0 || target.rows === 1) {
+      result = resize(target, target.numel === 0 && target.cols === 0 ? 1 : Math.max(target.rows, 1), needed);
+    } else if (target.cols === 1) {
+      result = resize(target, needed, 1);
+    } else {
+      throw programError('Attempt to grow array along ambiguous dimension.');
+    }
+  } else {
+    result = copyForWrite(target, source, inPlace);
+  }
+  result = ensureComplex(result, source);
+
+  store(result, positions, source);
+  return simplify(narrow(result));
+}
+
+/**
+ * Assign with row and column indices
+ * @param {Matrix} target - Current array
+ * @param {Array<*>} args - Row and column indices
+ * @param {Matrix} source - Assigned values
+ * @param {boolean} inPlace - Whether the array may be written
+ * @returns {*} New array
+ */
+function assignGrid(target, args, source, inPlace) {
+  const rowExtent = args[0] === COLON && target.rows === 0
+    ? (args[1] === COLON ? source.rows : (source.isVector() ? source.numel : source.rows))
+    : target.rows;
+  const colExtent = args[1] === COLON && target.cols === 0
+    ? (args[0] === COLON ? source.cols : (source.isVector() && rowExtent === target.rows ? source.numel : source.cols))
+    : target.cols;
+  const rowPositions = toPositions(args[0], rowExtent);
+  const colPositions = toPositions(args[1], colExtent);
+  checkCount(rowPositions.length * colPositions.length, source);
+
+  const rows = Math.max(target.rows, ...rowPositions.map(r => r + 1));
+  const cols = Math.max(target.cols, ...colPositions.map(c => c + 1));
+  let result = rows !== target.rows || cols !== target.cols ? resize(target, rows, cols) : copyForWrite(target, source, inPlace);
+  result = ensureComplex(result, source);
+
+  const positions = [];
+  colPositions.forEach(c => rowPositions.forEach(r => positions.push(r + c * rows)));
+  store(result, positions, source);
+  return simplify(narrow(result));
+}
+
+/**
+ * Check that the number of assigned values fits
+ * @param {number} count - Number of selected elements
+ * @param {Matrix} source - Assigned values
+ * @throws {Error} If the counts differ and the source is not a scalar
+ */
+function checkCount(count, source) {
+  if (source.numel !== 1 && source.numel !== count) {
+    throw programError('Unable to perform assignment because the left and right sides have a different number of elements.');
+  }
+}
+
+/**
+ * Prepare an array for writing, copying it unless it may be written in place
+ * A char array that gets numbers becomes double.
+ * @param {Matrix} target - Array
+ * @param {Matrix} source - Assigned values
+ * @param {boolean} inPlace - Whether the array belongs to the variable alone
+ * @returns {Matrix} Array to write
+ */
+function copyForWrite(target, source, inPlace) {
+  const kind = target.numel === 0 ? source.kind : (target.kind === source.kind ? target.kind : (target.kind === 'logical' ? 'logical' : 'double'));
+  if (inPlace) {
+    target.kind = kind;
+    return target;
+  }
+  return new Matrix(target.rows, target.cols, target.re.slice(), target.im && target.im.slice(), kind);
+}
+
+/**
+ * Copy an array into a larger one, padding with zeros
+ * @param {Matrix} target - Array
+ * @param {number} rows - New rows
+ * @param {number} cols - New columns
+ * @returns {Matrix} Resized copy
+ */
+function resize(target, rows, cols) {
+  const result = zeros(rows, cols, Boolean(target.im), target.kind);
+  for (let c = 0; c < target.cols; c++) {
+    for (let r = 0; r < target.rows; r++) {
+      result.re[r + c * rows] = target.re[r + c * target.rows];
+      if (target.im) result.im[r + c * rows] = target.im[r + c * target.rows];
+    }
+  }
+  return result;
+}
+
+/**
+ * Allocate imaginary parts when complex values are assigned
+ * @param {Matrix} result - Array being written
+ * @param {Matrix} source - Assigned values
+ * @returns {Matrix} The array
+ */
+function ensureComplex(result, source) {
+  if (source.im && !result.im) {
+    result.im = new Float64Array(result.numel);
+  }
+  if (result.numel > 0 && result.kind === 'logical' && source.kind === 'double' && source.re.some(x => x !== 0 && x !== 1)) {
+    result.kind = 'double';
+  }
+  if (result.kind === 'char' && source.kind !== 'char') {
+    result.kind = 'double';
+  }
+  return result;
+}
+
+/**
+ * Write values at positions
+ * @param {Matrix} result - Array being written
+ * @param {number[]} positions - Zero-based linear positions
+ * @param {Matrix} source - Values, or one value for all positions
+ */
+function store(result, positions, source) {
+  const scalar = source.numel === 1;
+  positions.forEach((position, k) => {
+    const from = scalar ? 0 : k;
+    result.re[position] = source.re[from];
+    if (result.im) result.im[position] = source.im ? source.im[from] : 0;
+  });
+}
+
+/**
+ * Delete elements: A(i) = [] or A(i, :) = []
+ * @param {Matrix} target - Array
+ * @param {Array<*>} args - Index arguments
+ * @returns {*} Array without the elements
+ */
+function deleteElements(target, args) {
+  if (args.length === 1) {
+    const removed = new Set(toPositions(args[0], target.numel));
+    const kept = [];
+    for (let k = 0; k < target.numel; k++) if (!removed.has(k)) kept.push(k);
+    const asColumn = target.cols === 1 && target.rows !== 1;
+    return gather(target, kept, asColumn ? kept.length : 1, asColumn ? 1 : kept.length);
+  }
+
+  const fullRows = args[0] === COLON || toPositions(args[0], target.rows).length === target.rows;
+  const fullCols = args[1] === COLON || toPositions(args[1], target.cols).length === target.cols;
+  if (fullRows) {
+    const removed = new Set(toPositions(args[1], target.cols));
+    const cols = Array.from({ length: target.cols }, (_, c) => c).filter(c => !removed.has(c));
+    return index(target, [COLON, rowVectorOf(cols)]);
+  }
+  if (fullCols) {
+    const removed = new Set(toPositions(args[0], target.rows));
+    const rows = Array.from({ length: target.rows }, (_, r) => r).filter(r => !removed.has(r));
+    return index(target, [rowVectorOf(rows), COLON]);
+  }
+  throw programError('A null assignment can have only one non-colon index.');
+}
+
+/**
+ * Create a one-based index vector from zero-based positions
+ * @param {number[]} positions - Positions
+ * @returns {Matrix} Index row vector
+ */
+function rowVectorOf(positions) {
+  return new Matrix(1, positions.length, Float64Array.from(positions, p => p + 1));
+}
+
+module.exports = {
+  COLON,
+  complexMultiply,
+  complexDivide,
+  complexPower,
+  elementwise,
+  logicalScalar,
+  negate,
+  not,
+  transpose,
+  range,
+  concatenate,
+  index,
+  assignIndex,
+};
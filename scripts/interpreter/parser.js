@@ -0,0 +1,740 @@
+/**
+ * @fileoverview Parser for the MATLAB subset the interpreter runs
+ * @module interpreter/parser
+ *
+ * Builds a syntax tree from the tokens of a script or function file. Every
+ * node carries its line. Constructs outside the subset (cell arrays,
+ * structs, global variables) are rejected here, with their line, so a
+ * program is known to be unsupported before it runs.
+ */
+
+const { tokenize } = require('./lexer');
+const { programError } = require('./values');
+
+/**
+ * Binary operators by precedence level, lowest first
+ * The range operator sits between comparisons and additions.
+ * @type {string[][]}
+ */
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['|'],
+  ['&'],
+  ['<', '<=', '>', '>=', '==', '~=', '!='],
+  null,
+  ['+', '-'],
+  ['*', '/', '\\', '.*', './', '.\\'],
+];
+
+/**
+ * @typedef {Object} FunctionNode
+ * @property {string} name - Function name
+ * @property {string[]} params - Parameter names (varargin last, if any)
+ * @property {string[]} outputs - Output names
+ * @property {Object[]} body - Statements
+ * @property {number} line - Line of the declaration
+ */
+
+/**
+ * @typedef {Object} ProgramNode
+ * @property {Object[]} body - Script statements (empty for function files)
+ * @property {FunctionNode[]} functions - Functions declared in the file, in order
+ * @property {boolean} isFunctionFile - Whether the file starts with a function declaration
+ */
+
+/**
+ * Recursive-descent parser over a token list
+ */
+class Parser {
+  /**
+   * Create a parser
+   * @param {import('./lexer').Token[]} tokens - Tokens
+   * @param {string} text - Source text, for anonymous function display
+   */
+  constructor(tokens, text) {
+    this.tokens = tokens;
+    this.text = text;
+    this.pos = 0;
+    this.indexDepth = 0;
+  }
+
+  /**
+   * Get the current token
+   * @returns {import('./lexer').Token} Token
+   */
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  /**
+   * Check whether the current token is an operator
+   * @param {...string} values - Operators to accept
+   * @returns {boolean} True if it is one of them
+   */
+  isOp(...values) {
+    const token = this.peek();
+    return token.type === 'op' && values.includes(token.value);
+  }
+
+  /**
+   * Check whether the current token is a keyword
+   * @param {...string} values - Keywords to accept
+   * @returns {boolean} True if it is one of them
+   */
+  isKeyword(...values) {
+    const token = this.peek();
+    return token.type === 'keyword' && values.includes(token.value);
+  }
+
+  /**
+   * Consume the current token
+   * @returns {import('./lexer').Token} Token
+   */
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  /**
+   * Consume an expected operator or keyword
+   * @param {string} value - Expected operator or keyword
+   * @returns {import('./lexer').Token} Token
+   * @throws {Error} If the current token differs
+   */
+  expect(value) {
+    const token = this.peek();
+    if ((token.type === 'op' || token.type === 'keyword') && token.value === value) {
+      return this.next();
+    }
+    throw this.error(`Expected '${value}' but found ${this.describe(token)}`, token);
+  }
+
+  /**
+   * Describe a token for error messages
+   * @param {import('./lexer').Token} token - Token
+   * @returns {string} Description
+   */
+  describe(token) {
+    if (token.type === 'eof') return 'the end of the file';
+    if (token.type === 'newline') return 'the end of the line';
+    if (token.type === 'string') return `'${token.value}'`;
+    return `'${token.type === 'command' ? token.value.join(' ') : token.value}'`;
+  }
+
+  /**
+   * Create a syntax error at a token
+   * @param {string} message - Message
+   * @param {import('./lexer').Token} [token] - Token, the current one by default
+   * @param {boolean} [unsupported=false] - Whether the construct is valid MATLAB outside the subset
+   * @returns {Error} Error
+   */
+  error(message, token = this.peek(), unsupported = false) {
+    return programError(message, { line: token.line, unsupported });
+  }
+
+  /**
+   * Parse a whole file
+   * @returns {ProgramNode} Program
+   */
+  parseProgram() {
+    this.skipSeparators();
+    const isFunctionFile = this.isKeyword('function');
+    const body = isFunctionFile ? [] : this.parseBlock(['function']);
+    const functions = [];
+
+    while (this.isKeyword('function')) {
+      functions.push(this.parseFunction());
+      this.skipSeparators();
+    }
+    if (this.peek().type !== 'eof') {
+      throw this.error(`Unexpected ${this.describe(this.peek())}`);
+    }
+
+    return { body, functions, isFunctionFile };
+  }
+
+  /**
+   * Skip statement separators
+   */
+  skipSeparators() {
+    while (this.peek().type === 'newline' || this.isOp(';', ',')) {
+      this.next();
+    }
+  }
+
+  /**
+   * Parse statements until one of the given keywords (not consumed)
+   * @param {string[]} terminators - Keywords that end the block
+   * @returns {Object[]} Statements
+   */
+  parseBlock(terminators) {
+    const statements = [];
+    for (;;) {
+      this.skipSeparators();
+      const token = this.peek();
+      if (token.type === 'eof' || (token.type === 'keyword' && terminators.includes(token.value))) {
+        return statements;
+      }
+      statements.push(this.parseStatement());
+    }
+  }
+
+  /**
+   * Read the end of a statement and whether its result is shown
+   * @returns {boolean} False when the statement ends with a semicolon
+   */
+  parseTerminator() {
+    if (this.isOp(';')) {
+      this.next();
+      return false;
+    }
+    const token = this.peek();
+    if (this.isOp(',') || token.type === 'newline') {
+      this.next();
+      return true;
+    }
+    if (token.type === 'eof' || token.type === 'keyword') {
+      return true;
+    }
+    throw this.error(`Unexpected ${this.describe(token)}`, token);
+  }
+
+  /**
+   * Parse one statement
+   * @returns {Object} Statement node
+   */
+  parseStatement() {
+    const token = this.peek();
+    const { line } = token;
+
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'if': return this.parseIf();
+        case 'for':
+        case 'parfor': return this.parseFor();
+        case 'while': return this.parseWhile();
+        case 'switch': return this.parseSwitch();
+        case 'try': return this.parseTry();
+        case 'break':
+        case 'continue':
+        case 'return':
+          this.next();
+          this.parseTerminator();
+          return { type: token.value, line };
+        case 'global':
+        case 'persistent':
+          throw this.error(`${token.value} variables are not supported`, token, true);
+        case 'function':
+          throw this.error('Functions must be declared after the script code', token);
+        default:
+          throw this.error(`Unexpected '${token.value}'`, token);
+      }
+    }
+
+    // Command syntax: hold on, clear all
+    if (token.type === 'name' && this.peek(1).type === 'command') {
+      this.next();
+      const args = this.next().value;
+      this.parseTerminator();
+      return { type: 'command', name: token.value, args, line };
+    }
+
+    // Multiple assignment: [a, b] = f(x)
+    if (this.isOp('[')) {
+      const targets = this.tryParseTargets();
+      if (targets) {
+        const expr = this.parseExpression();
+        return { type: 'assign', targets, expr, print: this.parseTerminator(), line };
+      }
+    }
+
+    const expr = this.parseExpression();
+    if (this.isOp('=')) {
+      const equals = this.next();
+      const target = this.toTarget(expr, equals);
+      const value = this.parseExpression();
+      return { type: 'assign', targets: [target], expr: value, print: this.parseTerminator(), line };
+    }
+    return { type: 'expr', expr, print: this.parseTerminator(), line };
+  }
+
+  /**
+   * Parse the target list of a multiple assignment, including the '='
+   * @returns {Object[]|null} Targets (null for ~), or null if this is not an assignment
+   */
+  tryParseTargets() {
+    const start = this.pos;
+    try {
+      this.expect('[');
+      const targets = [];
+      while (!this.isOp(']')) {
+        if (this.isOp(',')) {
+          this.next();
+          continue;
+        }
+        if (this.isOp('~', '!') && (this.peek(1).value === ',' || this.peek(1).value === ']')) {
+          this.next();
+          targets.push(null);
+          continue;
+        }
+        const expr = this.parsePostfix();
+        targets.push(this.toTarget(expr, this.peek()));
+      }
+      this.expect(']');
+      if (!this.isOp('=')) {
+        throw this.error('not an assignment');
+      }
+      this.next();
+      return targets;
+    } catch (e) {
+      this.pos = start;
+      return null;
+    }
+  }
+
+  /**
+   * Convert an expression on the left of '=' to an assignment target
+   * @param {Object} expr - Expression node
+   * @param {import('./lexer').Token} token - Token for error lines
+   * @returns {{name: string, args: Object[]|null, line: number}} Target
+   */
+  toTarget(expr, token) {
+    if (expr.type === 'id') {
+      return { name: expr.name, args: null, line: expr.line };
+    }
+    if (expr.type === 'index' && expr.target.type === 'id') {
+      return { name: expr.target.name, args: expr.args, line: expr.line };
+    }
+    if (expr.type === 'field') {
+      throw this.error('Structures are not supported', token, true);
+    }
+    throw this.error('Invalid assignment target', token);
+  }
+
+  /**
+   * Parse if / elseif / else
+   * @returns {Object} If node
+   */
+  parseIf() {
+    const { line } = this.expect('if');
+    const clauses = [{ cond: this.parseExpression(), body: this.parseBlock(['elseif', 'else', 'end']) }];
+    let otherwise = null;
+
+    while (this.isKeyword('elseif')) {
+      this.next();
+      clauses.push({ cond: this.parseExpression(), body: this.parseBlock(['elseif', 'else', 'end']) });
+    }
+    if (this.isKeyword('else')) {
+      this.next();
+      otherwise = this.parseBlock(['end']);
+    }
+    this.expect('end');
+    return { type: 'if', clauses, otherwise, line };
+  }
+
+  /**
+   * Parse a for loop
+   * @returns {Object} For node
+   */
+  parseFor() {
+    const { line } = this.next();
+    const parenthesized = this.isOp('(');
+    if (parenthesized) this.next();
+
+    const variable = this.next();
+    if (variable.type !== 'name') {
+      throw this.error('Expected a loop variable', variable);
+    }
+    this.expect('=');
+    const expr = this.parseExpression();
+    if (parenthesized) this.expect(')');
+
+    const body = this.parseBlock(['end']);
+    this.expect('end');
+    return { type: 'for', name: variable.value, expr, body, line };
+  }
+
+  /**
+   * Parse a while loop
+   * @returns {Object} While node
+   */
+  parseWhile() {
+    const { line } = this.expect('while');
+    const cond = this.parseExpression();
+    const body = this.parseBlock(['end']);
+    this.expect('end');
+    return { type: 'while', cond, body, line };
+  }
+
+  /**
+   * Parse switch / case / otherwise
+   * A case may list several values in braces: case {1, 2}.
+   * @returns {Object} Switch node
+   */
+  parseSwitch() {
+    const { line } = this.expect('switch');
+    const expr = this.parseExpression();
+    const cases = [];
+    let otherwise = null;
+
+    this.skipSeparators();
+    while (this.isKeyword('case')) {
+      this.next();
+      let values;
+      if (this.isOp('{')) {
+        this.next();
+        values = [];
+        while (!this.isOp('}')) {
+          if (this.isOp(',')) {
+            this.next();
+            continue;
+          }
+          values.push(this.parseExpression());
+        }
+        this.next();
+      } else {
+        values = [this.parseExpression()];
+      }
+      cases.push({ values, body: this.parseBlock(['case', 'otherwise', 'end']) });
+    }
+    if (this.isKeyword('otherwise')) {
+      this.next();
+      otherwise = this.parseBlock(['end']);
+    }
+    this.expect('end');
+    return { type: 'switch', expr, cases, otherwise, line };
+  }
+
+  /**
+   * Parse try / catch
+   * @returns {Object} Try node
+   */
+  parseTry() {
+    const { line } = this.expect('try');
+    const body = this.parseBlock(['catch', 'end']);
+    let name = null;
+    let handler = [];
+
+    if (this.isKeyword('catch')) {
+      const catchToken = this.next();
+      if (this.peek().type === 'name' && this.peek().line === catchToken.line) {
+        name = this.next().value;
+      }
+      handler = this.parseBlock(['end']);
+    }
+    this.expect('end');
+    return { type: 'try', body, name, handler, line };
+  }
+
+  /**
+   * Parse a function declaration and body
+   * The body ends at a matching 'end', the next function or the end of the file.
+   * @returns {FunctionNode} Function
+   */
+  parseFunction() {
+    const { line } = this.expect('function');
+    let outputs = [];
+
+    // Output list: [a, b] = or a =
+    if (this.isOp('[')) {
+      this.next();
+      while (!this.isOp(']')) {
+        const token = this.next();
+        if (token.type === 'name') outputs.push(token.value);
+        else if (!(token.type === 'op' && token.value === ',')) throw this.error('Invalid output list', token);
+      }
+      this.next();
+      this.expect('=');
+    } else if (this.peek().type === 'name' && this.peek(1).type === 'op' && this.peek(1).value === '=') {
+      outputs = [this.next().value];
+      this.next();
+    }
+
+    const nameToken = this.next();
+    if (nameToken.type !== 'name') {
+      throw this.error('Expected a function name', nameToken);
+    }
+
+    const params = [];
+    if (this.isOp('(')) {
+      this.next();
+      while (!this.isOp(')')) {
+        const token = this.next();
+        if (token.type === 'name') params.push(token.value);
+        else if (token.type === 'op' && (token.value === '~' || token.value === '!')) params.push('~');
+        else if (!(token.type === 'op' && token.value === ',')) throw this.error('Invalid parameter list', token);
+      }
+      this.next();
+    }
+    if (this.peek().type === 'command') {
+      throw this.error('Invalid function declaration', this.peek());
+    }
+
+    const body = this.parseBlock(['function', 'end']);
+    if (this.isKeyword('end')) {
+      this.next();
+    }
+    return { name: nameToken.value, params, outputs, body, line };
+  }
+
+  /**
+   * Parse an expression
+   * @returns {Object} Expression node
+   */
+  parseExpression() {
+    return this.parseBinary(0);
+  }
+
+  /**
+   * Parse binary operators from a precedence level up
+   * @param {number} level - Index into BINARY_LEVELS
+   * @returns {Object} Expression node
+   */
+  parseBinary(level) {
+    if (level === BINARY_LEVELS.length) {
+      return this.parseUnary();
+    }
+    if (BINARY_LEVELS[level] === null) {
+      return this.parseRange(level);
+    }
+
+    let left = this.parseBinary(level + 1);
+    while (this.isOp(...BINARY_LEVELS[level])) {
+      const token = this.next();
+      const op = token.value === '!=' ? '~=' : token.value;
+      const right = this.parseBinary(level + 1);
+      left = { type: 'binary', op, left, right, line: token.line };
+    }
+    return left;
+  }
+
+  /**
+   * Parse a range: start:stop or start:step:stop
+   * @param {number} level - Precedence level of the range operator
+   * @returns {Object} Expression node
+   */
+  parseRange(level) {
+    const first = this.parseBinary(level + 1);
+    if (!this.isOp(':') || this.isRangeEnd(1)) {
+      return first;
+    }
+    const { line } = this.next();
+    const second = this.parseBinary(level + 1);
+    if (!this.isOp(':') || this.isRangeEnd(1)) {
+      return { type: 'range', start: first, step: null, stop: second, line };
+    }
+    this.next();
+    const third = this.parseBinary(level + 1);
+    return { type: 'range', start: first, step: second, stop: third, line };
+  }
+
+  /**
+   * Check whether the token after a colon ends the expression
+   * @param {number} offset - Offset of the token after the colon
+   * @returns {boolean} True if nothing follows the colon
+   */
+  isRangeEnd(offset) {
+    const token = this.peek(offset);
+    return token.type === 'newline' || token.type === 'eof' ||
+      (token.type === 'op' && [')', ']', ',', ';'].includes(token.value));
+  }
+
+  /**
+   * Parse unary plus, minus and not
+   * @returns {Object} Expression node
+   */
+  parseUnary() {
+    if (this.isOp('-', '+', '~', '!')) {
+      const token = this.next();
+      const operand = this.parseUnary();
+      const op = token.value === '!' ? '~' : token.value;
+      return op === '+' ? operand : { type: 'unary', op, operand, line: token.line };
+    }
+    return this.parsePower();
+  }
+
+  /**
+   * Parse power operators, which bind tighter than unary minus on their left
+   * 2^-1 is allowed; a^b^c is (a^b)^c.
+   * @returns {Object} Expression node
+   */
+  parsePower() {
+    let left = this.parsePostfix();
+    while (this.isOp('^', '.^')) {
+      const token = this.next();
+      let right;
+      if (this.isOp('-', '+', '~', '!')) {
+        const sign = this.next();
+        const operand = this.parsePostfix();
+        right = sign.value === '+' ? operand : { type: 'unary', op: sign.value === '!' ? '~' : sign.value, operand, line: sign.line };
+      } else {
+        right = this.parsePostfix();
+      }
+      left = { type: 'binary', op: token.value, left, right, line: token.line };
+    }
+    return left;
+  }
+
+  /**
+   * Parse a primary expression with indexing and transposes
+   * @returns {Object} Expression node
+   */
+  parsePostfix() {
+    let expr = this.parsePrimary();
+    for (;;) {
+      if (this.isOp('(')) {
+        const { line } = this.next();
+        expr = { type: 'index', target: expr, args: this.parseArguments(')'), line };
+      } else if (this.isOp("'", ".'")) {
+        const token = this.next();
+        expr = { type: 'postfix', op: token.value, operand: expr, line: token.line };
+      } else if (this.isOp('.') && this.peek(1).type === 'name') {
+        const token = this.next();
+        expr = { type: 'field', target: expr, name: this.next().value, line: token.line };
+        throw this.error('Structures are not supported', token, true);
+      } else if (this.isOp('{')) {
+        throw this.error('Cell arrays are not supported', this.peek(), true);
+      } else {
+        return expr;
+      }
+    }
+  }
+
+  /**
+   * Parse call or index arguments up to a closing bracket
+   * A lone colon selects everything; 'end' is the last index.
+   * @param {string} close - Closing bracket
+   * @returns {Object[]} Argument nodes
+   */
+  parseArguments(close) {
+    const args = [];
+    this.indexDepth++;
+    while (!this.isOp(close)) {
+      if (this.isOp(':') && (this.peek(1).value === ',' || this.peek(1).value === close)) {
+        args.push({ type: 'colon', line: this.next().line });
+      } else {
+        args.push(this.parseExpression());
+      }
+      if (this.isOp(',')) {
+        this.next();
+      } else if (!this.isOp(close)) {
+        throw this.error(`Expected ',' or '${close}' but found ${this.describe(this.peek())}`);
+      }
+    }
+    this.next();
+    this.indexDepth--;
+    return args;
+  }
+
+  /**
+   * Parse a number, string, name, parenthesized expression, matrix or handle
+   * @returns {Object} Expression node
+   */
+  parsePrimary() {
+    const token = this.peek();
+    const { line } = token;
+
+    if (token.type === 'number') {
+      this.next();
+      return { type: 'number', value: token.value, imag: token.imag, line };
+    }
+    if (token.type === 'string') {
+      this.next();
+      return { type: 'string', value: token.value, line };
+    }
+    if (token.type === 'name') {
+      this.next();
+      return { type: 'id', name: token.value, line };
+    }
+    if (token.type === 'keyword' && token.value === 'end' && this.indexDepth > 0) {
+      this.next();
+      return { type: 'end', line };
+    }
+    if (this.isOp('(')) {
+      this.next();
+      const depth = this.indexDepth;
+      this.indexDepth = 0;
+      const expr = this.parseExpression();
+      this.indexDepth = depth;
+      this.expect(')');
+      return { type: 'paren', expr, line };
+    }
+    if (this.isOp('[')) {
+      return this.parseMatrix();
+    }
+    if (this.isOp('{')) {
+      throw this.error('Cell arrays are not supported', token, true);
+    }
+    if (this.isOp('@')) {
+      return this.parseHandle();
+    }
+    throw this.error(`Unexpected ${this.describe(token)}`, token);
+  }
+
+  /**
+   * Parse a matrix literal; rows end at ';' and elements at ','
+   * @returns {Object} Matrix node
+   */
+  parseMatrix() {
+    const { line } = this.expect('[');
+    const rows = [[]];
+    while (!this.isOp(']')) {
+      if (this.isOp(';')) {
+        this.next();
+        rows.push([]);
+      } else if (this.isOp(',')) {
+        this.next();
+      } else if (this.peek().type === 'eof' || this.peek().type === 'newline') {
+        throw this.error("Expected ']'");
+      } else {
+        rows[rows.length - 1].push(this.parseExpression());
+      }
+    }
+    this.next();
+    return { type: 'matrix', rows: rows.filter(row => row.length > 0), line };
+  }
+
+  /**
+   * Parse a function handle: @name or @(x, y) expression
+   * @returns {Object} Handle node
+   */
+  parseHandle() {
+    const start = this.next();
+    if (this.peek().type === 'name') {
+      const name = this.next().value;
+      return { type: 'handle', name, text: `@${name}`, line: start.line };
+    }
+
+    this.expect('(');
+    const params = [];
+    while (!this.isOp(')')) {
+      const token = this.next();
+      if (token.type === 'name') params.push(token.value);
+      else if (!(token.type === 'op' && token.value === ',')) throw this.error('Invalid parameter list', token);
+    }
+    this.next();
+
+    const depth = this.indexDepth;
+    this.indexDepth = 0;
+    const body = this.parseExpression();
+    this.indexDepth = depth;
+
+    const text = this.text.slice(start.start, this.tokens[this.pos - 1].end);
+    return { type: 'lambda', params, body, text, line: start.line };
+  }
+}
+
+/**
+ * Parse MATLAB source
+ * @param {string} source - Script or function file source
+ * @returns {ProgramNode} Program
+ * @throws {Error} On syntax errors and unsupported constructs, with line (and unsupported) set
+ */
+function parse(source) {
+  const { tokens, text } = tokenize(source);
+  return new Parser(tokens, text).parseProgram();
+}
+
+module.exports = {
+  parse,
+};
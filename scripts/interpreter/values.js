@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Values of the MATLAB interpreter
+ * @module interpreter/values
+ *
+ * Real scalars are plain JavaScript numbers, the common case in loops.
+ * Everything else (vectors, matrices, complex numbers, logical results and
+ * character arrays) is a Matrix stored column-major, as MATLAB does.
+ */
+
+/**
+ * Numeric, logical or character array
+ */
+class Matrix {
+  /**
+   * Create a matrix
+   * @param {number} rows - Number of rows
+   * @param {number} cols - Number of columns
+   * @param {Float64Array} re - Real parts, column-major
+   * @param {Float64Array|null} [im=null] - Imaginary parts, or null for real arrays
+   * @param {string} [kind='double'] - 'double', 'logical' or 'char'
+   */
+  constructor(rows, cols, re, im = null, kind = 'double') {
+    this.rows = rows;
+    this.cols = cols;
+    this.re = re;
+    this.im = im;
+    this.kind = kind;
+  }
+
+  /**
+   * Number of elements
+   * @returns {number} rows × cols
+   */
+  get numel() {
+    return this.rows * this.cols;
+  }
+
+  /**
+   * Check whether the matrix has a row or column shape
+   * @returns {boolean} True for 1×n and n×1 matrices
+   */
+  isVector() {
+    return this.rows === 1 || this.cols === 1;
+  }
+}
+
+/**
+ * Anonymous function or handle to a named function
+ */
+class FunctionHandle {
+  /**
+   * Create a function handle
+   * @param {Object} options - Handle definition
+   * @param {string} [options.name] - Function name, for @name handles
+   * @param {string[]} [options.params] - Parameter names, for anonymous functions
+   * @param {Object} [options.body] - Body expression, for anonymous functions
+   * @param {Map<string, *>} [options.captured] - Variables captured when the handle was made
+   * @param {Object} [options.file] - File the handle was made in, for its local functions
+   * @param {string} options.text - Source text, for display
+   */
+  constructor({ name = null, params = [], body = null, captured = new Map(), file = null, text }) {
+    this.name = name;
+    this.params = params;
+    this.body = body;
+    this.captured = captured;
+    this.file = file;
+    this.text = text;
+  }
+}
+
+/**
+ * Create an error raised by a program
+ * Errors without a line get the line of the statement being run.
+ * @param {string} message - Message, worded like MATLAB's
+ * @param {Object} [details={}] - Error details
+ * @param {number|null} [details.line=null] - 1-based source line
+ * @param {boolean} [details.unsupported=false] - Whether the program uses something the interpreter lacks
+ * @returns {Error} Error with line and unsupported properties
+ */
+function programError(message, { line = null, unsupported = false } = {}) {
+  return Object.assign(new Error(message), { line, unsupported });
+}
+
+/**
+ * Create a matrix of zeros
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @param {boolean} [complex=false] - Whether to allocate imaginary parts
+ * @param {string} [kind='double'] - Matrix kind
+ * @returns {Matrix} Matrix
+ */
+function zeros(rows, cols, complex = false, kind = 'double') {
+  const size = rows * cols;
+  return new Matrix(rows, cols, new Float64Array(size), complex ? new Float64Array(size) : null, kind);
+}
+
+/**
+ * Create a row vector from numbers
+ * @param {number[]} values - Values
+ * @param {string} [kind='double'] - Matrix kind
+ * @returns {Matrix} 1×n matrix
+ */
+function rowVector(values, kind = 'double') {
+  return new Matrix(1, values.length, Float64Array.from(values), null, kind);
+}
+
+/**
+ * Create a column vector from numbers
+ * @param {number[]} values - Values
+ * @returns {Matrix} n×1 matrix
+ */
+function columnVector(values) {
+  return new Matrix(values.length, 1, Float64Array.from(values));
+}
+
+/**
+ * Create a complex scalar
+ * @param {number} re - Real part
+ * @param {number} im - Imaginary part
+ * @returns {Matrix|number} 1×1 complex matrix, or a number when im is zero
+ */
+function complexScalar(re, im) {
+  return im === 0 ? re : new Matrix(1, 1, Float64Array.of(re), Float64Array.of(im));
+}
+
+/**
+ * Create a character row vector
+ * @param {string} text - Text
+ * @returns {Matrix} 1×n char matrix
+ */
+function charRow(text) {
+  const codes = new Float64Array(text.length);
+  for (let k = 0; k < text.length; k++) codes[k] = text.charCodeAt(k);
+  return new Matrix(text.length === 0 ? 0 : 1, text.length, codes, null, 'char');
+}
+
+/**
+ * Create a character matrix from lines, padded with spaces
+ * @param {string[]} lines - Rows
+ * @returns {Matrix} Char matrix
+ */
+function charMatrix(lines) {
+  const cols = Math.max(0, ...lines.map(line => line.length));
+  const result = zeros(lines.length, cols, false, 'char');
+  lines.forEach((line, r) => {
+    for (let c = 0; c < cols; c++) {
+      result.re[r + c * lines.length] = c < line.length ? line.charCodeAt(c) : 32;
+    }
+  });
+  return result;
+}
+
+/**
+ * Convert a value to a matrix
+ * @param {*} value - Number or matrix
+ * @returns {Matrix} Matrix
+ * @throws {Error} For function handles
+ */
+function toMatrix(value) {
+  if (typeof value === 'number') {
+    return new Matrix(1, 1, Float64Array.of(value));
+  }
+  if (value instanceof Matrix) {
+    return value;
+  }
+  throw programError('Function handles cannot be used as arrays');
+}
+
+/**
+ * Drop all-zero imaginary parts, as MATLAB does after each operation
+ * @param {Matrix} matrix - Matrix, changed in place
+ * @returns {Matrix} The same matrix
+ */
+function narrow(matrix) {
+  if (matrix.im && matrix.im.every(value => value === 0)) {
+    matrix.im = null;
+  }
+  return matrix;
+}
+
+/**
+ * Turn real double 1×1 matrices into numbers
+ * @param {*} value - Value
+ * @returns {*} Number for real double scalars, otherwise the value
+ */
+function simplify(value) {
+  if (value instanceof Matrix && value.kind === 'double' && value.rows === 1 && value.cols === 1) {
+    narrow(value);
+    if (!value.im) return value.re[0];
+  }
+  return value;
+}
+
+/**
+ * Check whether a value is a character array
+ * @param {*} value - Value
+ * @returns {boolean} True for char matrices
+ */
+function isChar(value) {
+  return value instanceof Matrix && value.kind === 'char';
+}
+
+/**
+ * Get the number of elements of a value
+ * @param {*} value - Value
+ * @returns {number} Element count
+ */
+function numel(value) {
+  return value instanceof Matrix ? value.numel : 1;
+}
+
+/**
+ * Read a real scalar
+ * @param {*} value - Value
+ * @param {string} what - What the value is, for the error message
+ * @returns {number} Number
+ * @throws {Error} If the value is not a real scalar
+ */
+function toScalar(value, what) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (value instanceof Matrix && value.numel === 1) {
+    return value.re[0];
+  }
+  throw programError(`${what} must be a scalar`);
+}
+
+/**
+ * Read the text of a character array
+ * Multi-row arrays are joined with newlines; numbers are shown as by num2str.
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function toText(value) {
+  if (isChar(value)) {
+    const lines = [];
+    for (let r = 0; r < value.rows; r++) {
+      let line = '';
+      for (let c = 0; c < value.cols; c++) line += String.fromCharCode(value.re[r + c * value.rows]);
+      lines.push(line);
+    }
+    return lines.join('\n');
+  }
+  if (value instanceof FunctionHandle) {
+    return value.text;
+  }
+  const matrix = toMatrix(value);
+  return Array.from(matrix.re, v => String(Number(v.toPrecision(5)))).join('  ');
+}
+
+/**
+ * Check the truth of a condition, as in if and while
+ * True when the value is non-empty and every element is nonzero.
+ * @param {*} value - Condition value
+ * @returns {boolean} Truth
+ */
+function isTrue(value) {
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) throw programError('NaN cannot be converted to logical');
+    return value !== 0;
+  }
+  const matrix = toMatrix(value);
+  if (matrix.numel === 0) {
+    return false;
+  }
+  for (let k = 0; k < matrix.numel; k++) {
+    if (matrix.re[k] === 0 && (!matrix.im || matrix.im[k] === 0)) return false;
+  }
+  return true;
+}
+
+/**
+ * Get the elements of a value as numbers
+ * @param {*} value - Value
+ * @returns {number[]} Real parts, column-major
+ */
+function toNumbers(value) {
+  return typeof value === 'number' ? [value] : Array.from(toMatrix(value).re);
+}
+
+module.exports = {
+  Matrix,
+  FunctionHandle,
+  programError,
+  zeros,
+  rowVector,
+  columnVector,
+  complexScalar,
+  charRow,
+  charMatrix,
+  toMatrix,
+  narrow,
+  simplify,
+  isChar,
+  numel,
+  toScalar,
+  toText,
+  isTrue,
+  toNumbers,
+};
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Tabular data file reading
+ * @module parsers/dataParser
+ *
+ * Reads numeric tables such as the data inputs and results that MATLAB
+ * programs `load`, `fopen` or `dlmwrite`: the delimiter and header row are
+ * sniffed from the leading lines, and each column gets summary statistics.
+ */
+
+/**
+ * @typedef {Object} ColumnStats
+ * @property {number} count - Finite numeric values (text columns: non-empty cells)
+ * @property {number} missing - Empty and NaN cells
+ * @property {number|null} min - Smallest value of numeric columns
+ * @property {number|null} max - Largest value of numeric columns
+ * @property {number|null} mean - Mean of numeric columns
+ * @property {number|null} std - Sample standard deviation of numeric columns
+ * @property {number|null} unique - Distinct values of text columns
+ */
+
+/**
+ * @typedef {Object} DataColumn
+ * @property {string} name - Header name, or 'Column N'
+ * @property {boolean} numeric - Whether every cell is a number or empty
+ * @property {ColumnStats} stats - Summary statistics
+ */
+
+/**
+ * @typedef {Object} LegendEntry
+ * @property {string} name - Name of the value on the same row
+ * @property {string} units - Units in square brackets, or ''
+ * @property {string} description - Remaining text, or ''
+ */
+
+/**
+ * @typedef {Object} DataTable
+ * @property {string} delimiter - 'comma', 'tab', 'semicolon', 'pipe', 'whitespace' or 'none' (one value per line)
+ * @property {string} header - 'row' (first line), 'comment' (last leading comment line) or 'none'
+ * @property {DataColumn[]} columns - Columns in file order
+ * @property {Array<Array<number|string|null>>} rows - Cells; numbers for numeric columns, null for empty cells,
+ *   'NaN', 'Inf' and '-Inf' kept as text
+ * @property {string[]} comments - Leading comment lines without their marker
+ * @property {string[]} notes - Lines after the table, not counting the legend
+ * @property {LegendEntry[]|null} legend - Names of the rows of a one-column file, see parse()
+ */
+
+/**
+ * Delimiters tried when sniffing, in order of preference
+ * @type {Array<{name: string, split: function(string): string[]}>}
+ */
+const DELIMITERS = [
+  { name: 'comma', split: line => splitQuoted(line, ',') },
+  { name: 'tab', split: line => line.split('\t').map(field => field.trim()) },
+  { name: 'semicolon', split: line => splitQuoted(line, ';') },
+  { name: 'pipe', split: line => line.split('|').map(field => field.trim()) },
+  { name: 'whitespace', split: line => line.trim().split(/\s+/) },
+];
+
+/**
+ * Plain numbers, with Fortran-style D exponents
+ * @type {RegExp}
+ */
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eEdD][+-]?\d+)?$/;
+
+/**
+ * Non-finite values as MATLAB writes them
+ * @type {RegExp}
+ */
+const NON_FINITE = /^(?:[+-]?Inf|NaN)$/i;
+
+/**
+ * Comment lines: MATLAB and shell style
+ * @type {RegExp}
+ */
+const COMMENT = /^\s*[%#]/;
+
+/**
+ * Legend line in Fortran input-file style: `!name [units] description`
+ * @type {RegExp}
+ */
+const LEGEND_LINE = /^!\s*([A-Za-z]\w*)\s*(?:\[([^\]]*)\])?\s*(.*)$/;
+
+/**
+ * Split a line on a delimiter, honoring double-quoted fields
+ * @param {string} line - Line
+ * @param {string} delimiter - Delimiter character
+ * @returns {string[]} Trimmed fields without their quotes
+ */
+function splitQuoted(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let k = 0; k < line.length; k++) {
+    const ch = line[k];
+    if (quoted) {
+      if (ch === '"' && line[k + 1] === '"') {
+        field += '"';
+        k++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (ch === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+/**
+ * Check whether a cell holds a number (including NaN and Inf) or nothing
+ * @param {string} field - Cell text
+ * @returns {boolean} True for numeric or empty cells
+ */
+function isNumericCell(field) {
+  return field === '' || NUMBER.test(field) || NON_FINITE.test(field);
+}
+
+/**
+ * Convert a numeric cell
+ * @param {string} field - Cell text accepted by isNumericCell()
+ * @returns {number|string|null} Number, 'NaN'/'Inf'/'-Inf', or null when empty
+ */
+function toNumber(field) {
+  if (field === '') return null;
+  if (NON_FINITE.test(field)) {
+    const lower = field.toLowerCase();
+    return lower === 'nan' ? 'NaN' : lower.startsWith('-') ? '-Inf' : 'Inf';
+  }
+  return Number(field.replace(/[dD]/, 'e'));
+}
+
+/**
+ * Find the delimiter that splits the most leading lines into the same
+ * number of fields
+ * The run may start at the second line, for a header that splits differently.
+ * @param {string[]} lines - Non-blank lines, comments removed
+ * @returns {{name: string, split: function(string): string[], start: number}} Delimiter and first line of the run
+ */
+function sniffDelimiter(lines) {
+  let best = null;
+
+  for (const delimiter of DELIMITERS) {
+    for (const start of [0, 1]) {
+      if (start >= lines.length) continue;
+      const width = delimiter.split(lines[start]).length;
+      if (width < 2) continue;
+
+      let end = start + 1;
+      while (end < lines.length && delimiter.split(lines[end]).length === width) end++;
+      const length = end - start;
+      if (length >= 2 && (!best || length > best.length)) {
+        best = { ...delimiter, start, length };
+      }
+    }
+  }
+
+  if (!best) {
+    return { name: 'none', split: line => [line.trim()], start: 0 };
+  }
+  return { name: best.name, split: best.split, start: best.start };
+}
+
+/**
+ * Compute the statistics of one column
+ * @param {Array<number|string|null>} cells - Column cells
+ * @param {boolean} numeric - Whether the column is numeric
+ * @returns {ColumnStats} Statistics
+ */
+function computeStats(cells, numeric) {
+  if (!numeric) {
+    const present = cells.filter(cell => cell !== null && cell !== '');
+    return {
+      count: present.length,
+      missing: cells.length - present.length,
+      min: null,
+      max: null,
+      mean: null,
+      std: null,
+      unique: new Set(present).size,
+    };
+  }
+
+  const values = cells.filter(cell => typeof cell === 'number');
+  const missing = cells.filter(cell => cell === null || cell === 'NaN').length;
+  if (values.length === 0) {
+    return { count: 0, missing, min: null, max: null, mean: null, std: null, unique: null };
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+
+  return {
+    count: values.length,
+    missing,
+    min: values.reduce((a, b) => Math.min(a, b)),
+    max: values.reduce((a, b) => Math.max(a, b)),
+    mean,
+    std: Math.sqrt(variance),
+    unique: null,
+  };
+}
+
+/**
+ * Create a data file parser
+ * @returns {Object} Parser with parse() and isTabular() methods
+ * @example
+ * const dataParser = createDataParser();
+ * const table = dataParser.parse('I,L\n1,0.5\n2,1.5\n');
+ * table.columns.map(column => column.name) // => ['I', 'L']
+ */
+function createDataParser() {
+  return {
+    /**
+     * Read the table at the start of a data file
+     * Leading `%` and `#` comment lines are kept as comments; the table ends
+     * at the first line that does not fit its columns, and the rest of the
+     * file becomes notes. When a one-column file is followed by exactly one
+     * `!name [units] description` line per value, as in Fortran-style input
+     * files, those lines become the legend of its rows.
+     * @param {string} text - File content with LF line endings
+     * @returns {DataTable} Table
+     * @throws {Error} If the file holds no table
+     */
+    parse(text) {
+      const lines = text.split('\n').map(line => line.replace(/\s+$/, '')).filter(line => line.trim() !== '');
+
+      const comments = [];
+      let first = 0;
+      while (first < lines.length && COMMENT.test(lines[first])) {
+        comments.push(lines[first].replace(/^\s*[%#]+\s*/, ''));
+        first++;
+      }
+
+      const body = lines.slice(first).filter(line => !COMMENT.test(line));
+      if (body.length === 0) {
+        throw new Error('no table found');
+      }
+
+      const delimiter = sniffDelimiter(body);
+      const width = delimiter.split(body[delimiter.start]).length;
+
+      let header = 'none';
+      let names = null;
+      let dataStart = delimiter.start;
+
+      if (delimiter.start === 1) {
+        // The first line splits differently: a header with spaces in its
+        // names, separated by runs of spaces, or else a title line
+        const fields = body[0].trim().split(/\s{2,}|\t/);
+        if (fields.length === width && fields.some(field => !isNumericCell(field))) {
+          header = 'row';
+          names = fields;
+        } else {
+          comments.push(body[0].trim());
+        }
+      } else if (body.length > 1) {
+        const fields = delimiter.split(body[0]);
+        const next = delimiter.split(body[1]);
+        if (next.length === width && fields.some((field, i) => !isNumericCell(field) && isNumericCell(next[i]))) {
+          header = 'row';
+          names = fields;
+          dataStart = 1;
+        }
+      }
+
+      if (!names && width > 1 && comments.length > 0) {
+        const fields = delimiter.split(comments[comments.length - 1]);
+        if (fields.length === width && fields.every(field => field && !isNumericCell(field))) {
+          header = 'comment';
+          names = fields;
+        }
+      }
+
+      if (dataStart >= body.length) {
+        throw new Error('no data rows found');
+      }
+
+      // Column kinds come from the first data line
+      const numeric = delimiter.split(body[dataStart]).map(isNumericCell);
+      const rows = [];
+      let end = dataStart;
+      for (; end < body.length; end++) {
+        const fields = delimiter.split(body[end]);
+        if (fields.length !== width || fields.some((field, i) => numeric[i] && !isNumericCell(field))) break;
+        rows.push(fields.map((field, i) => (numeric[i] ? toNumber(field) : field)));
+      }
+
+      let notes = body.slice(end);
+
+      let legend = null;
+      if (width === 1) {
+        const legendLines = notes.filter(line => LEGEND_LINE.test(line.trim()));
+        if (legendLines.length === rows.length) {
+          legend = legendLines.map((line) => {
+            const [, name, units = '', description] = line.trim().match(LEGEND_LINE);
+            return { name, units: units.trim(), description: description.trim() };
+          });
+          notes = notes.filter(line => !LEGEND_LINE.test(line.trim()));
+        }
+      }
+
+      const columns = Array.from({ length: width }, (_, i) => ({
+        name: (names && names[i]) || `Column ${i + 1}`,
+        numeric: numeric[i],
+        stats: computeStats(rows.map(row => row[i]), numeric[i]),
+      }));
+
+      return {
+        delimiter: delimiter.name,
+        header,
+        columns,
+        rows,
+        comments,
+        notes: notes.map(line => line.trim()),
+        legend,
+      };
+    },
+
+    /**
+     * Check whether a text file holds a numeric table
+     * Used to treat `.txt` data inputs as data files: the file must start
+     * (after any comment lines and a header) with at least three rows of
+     * numbers.
+     * @param {string} text - File content with LF line endings
+     * @returns {boolean} True for numeric tables
+     */
+    isTabular(text) {
+      try {
+        const table = this.parse(text);
+        return table.rows.length >= 3 && table.columns.every(column => column.numeric);
+      } catch (e) {
+        return false;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createDataParser,
+};
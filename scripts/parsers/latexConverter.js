@@ -0,0 +1,1018 @@
+/**
+ * @fileoverview LaTeX to MDX conversion
+ * @module parsers/latexConverter
+ *
+ * Converts the subset of LaTeX the book's documents are written in:
+ * sectioning, display math (equation, align, gather, multline, eqnarray),
+ * theorem-like environments, itemize/enumerate/description, tables,
+ * bold/italic/typewriter text, verbatim and lstlisting. Math is passed
+ * through for KaTeX, except in section titles, which become table of
+ * contents entries and get a plain-text version of it. Anything else is
+ * kept as plain text where possible and reported, so pages can say what
+ * was not converted.
+ */
+
+const { escapeForMdx } = require('../utils/helpers');
+
+/**
+ * @typedef {Object} UnsupportedConstruct
+ * @property {string} construct - Command or environment, e.g. '\\cite' or '\\begin{tikzpicture}'
+ * @property {number} count - Number of occurrences
+ */
+
+/**
+ * @typedef {Object} LatexDocument
+ * @property {string} title - Title as MDX (may contain <br />), or ''
+ * @property {string} author - Author as MDX, or ''
+ * @property {string} date - Date as MDX, or ''
+ * @property {string} body - Document body as MDX
+ * @property {UnsupportedConstruct[]} unsupported - Constructs that were not converted, in order of appearance
+ */
+
+/** Placeholder delimiters for code blocks and inline code taken out before conversion */
+const CODE_BLOCK = ['\uE000', '\uE001'];
+const INLINE_CODE = ['\uE002', '\uE003'];
+
+/** Stands for a forced line break until the paragraph is assembled */
+const LINE_BREAK = '\uE004';
+
+/**
+ * Heading levels of sectioning commands; deeper ones become bold run-in titles
+ * @type {Object.<string, number>}
+ */
+const SECTION_LEVELS = {
+  section: 2,
+  subsection: 3,
+  subsubsection: 4,
+  paragraph: 0,
+  subparagraph: 0,
+};
+
+/**
+ * Display math environments and the KaTeX environment their content goes in
+ * @type {Object.<string, string|null>}
+ */
+const DISPLAY_MATH = {
+  equation: null,
+  displaymath: null,
+  align: 'aligned',
+  flalign: 'aligned',
+  gather: 'gathered',
+  multline: 'gathered',
+  eqnarray: 'array}{rcl',
+};
+
+/**
+ * Theorem-like environments recognized without a \newtheorem declaration
+ * @type {Object.<string, string>}
+ */
+const DEFAULT_THEOREMS = {
+  theorem: 'Theorem',
+  lemma: 'Lemma',
+  corollary: 'Corollary',
+  proposition: 'Proposition',
+  definition: 'Definition',
+  axiom: 'Axiom',
+  remark: 'Remark',
+  example: 'Example',
+};
+
+/**
+ * Admonition type of theorem-like environments; others use 'info'
+ * @type {Object.<string, string>}
+ */
+const THEOREM_ADMONITIONS = {
+  definition: 'note',
+  axiom: 'note',
+  remark: 'note',
+  example: 'note',
+};
+
+/**
+ * Environments whose content is kept without a wrapper, with the arguments
+ * to skip after \begin ('o' optional, 'm' mandatory)
+ * @type {Object.<string, string>}
+ */
+const TRANSPARENT_ENVIRONMENTS = {
+  center: '',
+  flushleft: '',
+  flushright: '',
+  table: 'o',
+  figure: 'o',
+  minipage: 'om',
+};
+
+/**
+ * Table environments with the arguments before the column specification
+ * @type {Object.<string, string>}
+ */
+const TABLE_ENVIRONMENTS = {
+  tabular: 'o',
+  'tabular*': 'mo',
+  tabularx: 'm',
+};
+
+/**
+ * Commands that only affect layout and are dropped, with their arguments
+ * @type {Object.<string, string>}
+ */
+const LAYOUT_COMMANDS = {
+  maketitle: '', tableofcontents: '', listoffigures: '', listoftables: '',
+  newpage: '', clearpage: '', cleardoublepage: '', pagebreak: '', nopagebreak: '',
+  smallskip: '', medskip: '', bigskip: '', hfill: '', vfill: '', centering: '',
+  raggedright: '', raggedleft: '', noindent: '', indent: '', protect: '', relax: '',
+  appendix: '', tiny: '', scriptsize: '', footnotesize: '', small: '', normalsize: '',
+  large: '', Large: '', LARGE: '', huge: '', Huge: '', bfseries: '', mdseries: '',
+  itshape: '', upshape: '', slshape: '', scshape: '', ttfamily: '', rmfamily: '',
+  sffamily: '', normalfont: '', em: '',
+  label: 'm', vspace: 'm', hspace: 'm', color: 'm', pagestyle: 'm', thispagestyle: 'm',
+  index: 'm', title: 'm', author: 'm', date: 'm', setlength: 'mm', setcounter: 'mm',
+  addtocounter: 'mm', addcontentsline: 'mmm',
+};
+
+/**
+ * Commands that stand for a character
+ * @type {Object.<string, string>}
+ */
+const TEXT_SYMBOLS = {
+  ldots: '…', dots: '…', textellipsis: '…', LaTeX: 'LaTeX', TeX: 'TeX',
+  textbackslash: '\\', textasciitilde: '~', textasciicircum: '^', textbar: '|',
+  textless: '<', textgreater: '>', textendash: '–', textemdash: '—', textbullet: '•',
+  textdegree: '°', S: '§', P: '¶', copyright: '©', dag: '†', ddag: '‡',
+  ss: 'ß', o: 'ø', O: 'Ø', aa: 'å', AA: 'Å', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', l: 'ł', L: 'Ł', i: 'ı',
+  quad: ' ', qquad: ' ', ' ': ' ', ',': ' ', ';': ' ', ':': ' ', '!': '', '-': '', '/': '',
+  '&': '&', '%': '%', $: '$', '#': '#', _: '_', '{': '{', '}': '}',
+};
+
+/**
+ * Characters of math commands, for math in section titles
+ * @type {Object.<string, string>}
+ */
+const MATH_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ',
+  sigma: 'σ', tau: 'τ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  hbar: 'ħ', infty: '∞', partial: '∂', nabla: '∇', pm: '±', mp: '∓', times: '×', cdot: '·',
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', sim: '~', propto: '∝',
+  to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+  sum: 'Σ', int: '∫', sqrt: '√', langle: '⟨', rangle: '⟩', dagger: '†', circ: '∘', ldots: '…', cdots: '…',
+};
+
+/**
+ * Combining characters of accent commands, e.g. \"u or \c{c}
+ * @type {Object.<string, string>}
+ */
+const ACCENTS = {
+  '"': '\u0308', "'": '\u0301', '`': '\u0300', '^': '\u0302', '~': '\u0303', '=': '\u0304', '.': '\u0307',
+  c: '\u0327', v: '\u030C', u: '\u0306', H: '\u030B', r: '\u030A', k: '\u0328',
+};
+
+/**
+ * Declarations that format the rest of their group, as in {\bf text}
+ * @type {Object.<string, string>}
+ */
+const GROUP_FORMATS = {
+  bf: '**', bfseries: '**', it: '*', itshape: '*', em: '*', sl: '*', slshape: '*', tt: '`', ttfamily: '`',
+};
+
+/**
+ * Environments and commands that cannot be shown as text and are left out,
+ * with the arguments of the commands
+ * @type {Object.<string, string>}
+ */
+const OMITTED_ENVIRONMENTS = new Set(['tikzpicture', 'picture', 'pspicture', 'pgfpicture']);
+const OMITTED_COMMANDS = {
+  includegraphics: 'om',
+  input: 'm',
+  include: 'm',
+  lstinputlisting: 'om',
+};
+
+/**
+ * Commands whose argument is shown as plain text
+ * @type {Set<string>}
+ */
+const PLAIN_TEXT_COMMANDS = new Set([
+  'text', 'textrm', 'textsf', 'textnormal', 'textup', 'textsc', 'textmd', 'mbox', 'fbox', 'hbox',
+]);
+
+/**
+ * Commands whose keys cannot be resolved outside LaTeX
+ * @type {Set<string>}
+ */
+const REFERENCE_COMMANDS = new Set(['ref', 'eqref', 'pageref', 'autoref', 'cref', 'Cref', 'cite', 'citep', 'citet']);
+
+/**
+ * Code block languages of listings language names
+ * @type {Object.<string, string>}
+ */
+const LISTING_LANGUAGES = {
+  'c++': 'cpp',
+  '[latex]tex': 'latex',
+  tex: 'latex',
+  sh: 'bash',
+};
+
+/**
+ * Find the end of a brace or bracket group
+ * @param {string} text - Text
+ * @param {number} start - Index of the opening delimiter
+ * @returns {number} Index of the closing delimiter, or -1 if unbalanced
+ */
+function findClosing(text, start) {
+  const open = text[start];
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '{' && open === '[') {
+      const end = findClosing(text, i);
+      if (end < 0) return -1;
+      i = end;
+    } else if (ch === open) {
+      depth++;
+    } else if (ch === close && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read command arguments
+ * A mandatory argument without braces is a single character or command,
+ * as in LaTeX.
+ * @param {string} text - Text
+ * @param {number} pos - Index after the command
+ * @param {string} spec - One letter per argument: 'o' optional, 'm' mandatory
+ * @returns {{args: Array<string|null>, end: number}} Arguments (null for absent optional ones) and the index after them
+ */
+function readArgs(text, pos, spec) {
+  const args = [];
+  let end = pos;
+
+  for (const kind of spec) {
+    // Skip spaces and at most one line break; a blank line ends the command
+    const i = end + text.slice(end).match(/^[ \t]*(\n[ \t]*(?!\n))?/)[0].length;
+
+    const delimiter = kind === 'o' ? '[' : '{';
+    if (text[i] === delimiter) {
+      const close = findClosing(text, i);
+      if (close < 0) {
+        args.push(text.slice(i + 1));
+        end = text.length;
+      } else {
+        args.push(text.slice(i + 1, close));
+        end = close + 1;
+      }
+    } else if (kind === 'm' && i < text.length) {
+      const token = text.slice(i).match(/^\\[a-zA-Z]+|^\\.|^[^\s]/)[0];
+      args.push(token);
+      end = i + token.length;
+    } else {
+      args.push(null);
+    }
+  }
+
+  return { args, end };
+}
+
+/**
+ * Find the \end of an environment, skipping nested ones of the same name
+ * @param {string} text - Text
+ * @param {string} name - Environment name
+ * @param {number} from - Index after the \begin{name}
+ * @returns {{content: string, end: number}} Content and index after the \end, or the rest of the text if unclosed
+ */
+function findEnvironmentEnd(text, name, from) {
+  const pattern = /\\(begin|end)\s*\{([^}]+)\}/g;
+  pattern.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[2] !== name) continue;
+    depth += match[1] === 'begin' ? 1 : -1;
+    if (depth === 0) {
+      return { content: text.slice(from, match.index), end: pattern.lastIndex };
+    }
+  }
+  return { content: text.slice(from), end: text.length };
+}
+
+/**
+ * Remove comments, keeping escaped percent signs
+ * Lines that are only a comment are removed with their line break, so they
+ * do not split paragraphs.
+ * @param {string} text - LaTeX source
+ * @returns {string} Source without comments
+ */
+function stripComments(text) {
+  return text
+    .replace(/^[ \t]*%.*(\n|$)/gm, '')
+    .replace(/(^|[^\\])((?:\\\\)*)%.*$/gm, '$1$2');
+}
+
+/**
+ * Wrap code in a Markdown code span
+ * @param {string} code - Code
+ * @returns {string} Code span
+ */
+function codeSpan(code) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longest + 1);
+  const pad = longest > 0 || code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${ticks}${pad}${code}${pad}${ticks}`;
+}
+
+/**
+ * Wrap code in a fenced code block that its content cannot close
+ * @param {string} code - Code
+ * @param {string} language - Highlighting language
+ * @param {string|null} title - Block title
+ * @returns {string} Markdown code block
+ */
+function codeBlock(code, language, title) {
+  const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const meta = title ? ` title=${JSON.stringify(title)}` : '';
+  return `${fence}${language}${meta}\n${code}\n${fence}`;
+}
+
+/**
+ * Whether an MDX block is a paragraph of text
+ * @param {string} block - MDX block
+ * @returns {boolean} True for paragraphs
+ */
+function isParagraph(block) {
+  return !/^(\$\$|`{3,}|:{3,}|[-*>|#<]|\d+\.\s|\uE000)/.test(block);
+}
+
+/**
+ * Prepare math for KaTeX: labels and numbering switches are dropped
+ * @param {string} math - LaTeX math
+ * @returns {string} Math
+ */
+function cleanMath(math) {
+  return math
+    .replace(/\\label\s*\{[^}]*\}/g, '')
+    .replace(/\\(nonumber|notag)(?![a-zA-Z])/g, '')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() !== '')
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Write inline math as plain text, e.g. I < I_{th} as I < I_th
+ * Section titles use this: the table of contents shows headings as HTML
+ * text, where math and a bare '<' would break the page.
+ * @param {string} math - LaTeX math
+ * @returns {string} Plain text
+ */
+function mathToText(math) {
+  return math
+    .replace(/\\frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, '$1/$2')
+    .replace(/\\([a-zA-Z]+)\s*/g, (match, name) => (name in MATH_SYMBOLS ? MATH_SYMBOLS[name] : ''))
+    .replace(/\\[,;:! ]/g, ' ')
+    .replace(/\\(.)/g, '$1')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Create a LaTeX to MDX converter
+ * @returns {Object} Converter with a convert() method
+ * @example
+ * const latexConverter = createLatexConverter();
+ * const doc = latexConverter.convert(fs.readFileSync('Chapt8Fig15.tex', 'utf-8'));
+ * doc.body        // => '## 1 Theoretical Foundation\n\n### 1.1 Bare Coulomb Scattering\n\n...'
+ * doc.unsupported // => [{ construct: '\\includegraphics', count: 2 }]
+ */
+function createLatexConverter() {
+  return {
+    /**
+     * Convert a LaTeX document
+     * Never throws: whatever cannot be converted is reported in the result.
+     * @param {string} source - LaTeX source
+     * @returns {LatexDocument} Converted document
+     */
+    convert(source) {
+      const state = {
+        codeBlocks: [],
+        inlineCode: [],
+        unsupported: new Map(),
+        sections: [0, 0, 0],
+        theorems: { ...DEFAULT_THEOREMS },
+        theoremCounters: {},
+        sharedCounters: {},
+        listingLanguage: 'text',
+        textMath: false,
+      };
+
+      const text = stripComments(this.extractCode(source.replace(/\r\n?/g, '\n'), state));
+      const begin = text.search(/\\begin\s*\{document\}/);
+      const preamble = begin < 0 ? '' : text.slice(0, begin);
+      const body = begin < 0 ? text : findEnvironmentEnd(text, 'document', text.indexOf('}', begin) + 1).content;
+
+      this.readPreamble(preamble, state);
+      const meta = name => {
+        const match = text.match(new RegExp(`\\\\${name}\\s*(?=[\\[{])`));
+        if (!match) return '';
+        const { args } = readArgs(text, match.index + match[0].length, name === 'title' ? 'om' : 'm');
+        return this.finishParagraph(this.convertInline(args[args.length - 1] || '', state));
+      };
+
+      const blocks = this.convertBlocks(body, state);
+      const restore = mdx => mdx.replace(/\uE000(\d+)\uE001/g, (_, index) => state.codeBlocks[Number(index)]);
+
+      return {
+        title: meta('title'),
+        author: meta('author'),
+        date: meta('date'),
+        body: restore(blocks.join('\n\n')),
+        unsupported: Array.from(state.unsupported, ([construct, count]) => ({ construct, count })),
+      };
+    },
+
+    /**
+     * Take verbatim text out of the source, before comments are stripped
+     * Code blocks are rendered right away and replaced by placeholders.
+     * @param {string} text - LaTeX source
+     * @param {Object} state - Conversion state
+     * @returns {string} Source with placeholders
+     * @private
+     */
+    extractCode(text, state) {
+      const lstset = text.match(/\\lstset\s*\{[^}]*?language\s*=\s*\{?([^,}\]\s]+)/);
+      if (lstset) {
+        state.listingLanguage = this.listingLanguage(lstset[1]);
+      }
+
+      return text
+        .replace(/\\begin\{(verbatim\*?|lstlisting|minted)\}(\[[^\]]*\])?(\{[^}]*\})?([\s\S]*?)\\end\{\1\}/g, (match, env, options = '', language = '', code) => {
+          const option = key => {
+            const found = options.match(new RegExp(`${key}\\s*=\\s*(\\{[^}]*\\}|[^,\\]]+)`));
+            return found ? found[1].replace(/^\{|\}$/g, '').trim() : null;
+          };
+          const lang = env === 'minted'
+            ? this.listingLanguage(language.slice(1, -1))
+            : env === 'lstlisting' && option('language') ? this.listingLanguage(option('language')) : null;
+
+          // Only minted takes the language as an argument; for the others it is code
+          const lines = `${env === 'minted' ? '' : language}${code}`.replace(/^[ \t]*\n/, '').replace(/\s+$/, '');
+          state.codeBlocks.push(codeBlock(lines, lang || (env === 'lstlisting' ? state.listingLanguage : 'text'), option('caption') || option('title')));
+          return `\n\n${CODE_BLOCK[0]}${state.codeBlocks.length - 1}${CODE_BLOCK[1]}\n\n`;
+        })
+        .replace(/\\(?:verb|lstinline)\*?(?:\[[^\]]*\])?(?:\{([^}\n]*)\}|([^a-zA-Z\s{])(.*?)\2)/g, (match, braced, delimiter, delimited) => {
+          state.inlineCode.push(braced !== undefined ? braced : delimited);
+          return `${INLINE_CODE[0]}${state.inlineCode.length - 1}${INLINE_CODE[1]}`;
+        });
+    },
+
+    /**
+     * Read theorem declarations from the preamble
+     * @param {string} preamble - Preamble without comments
+     * @param {Object} state - Conversion state
+     * @private
+     */
+    readPreamble(preamble, state) {
+      const pattern = /\\newtheorem(\*?)\s*\{([^}]+)\}\s*(?:\[([^\]]+)\]\s*)?\{([^}]+)\}/g;
+      let match;
+      while ((match = pattern.exec(preamble)) !== null) {
+        const [, starred, name, shared, label] = match;
+        state.theorems[name] = label;
+        if (starred) state.sharedCounters[name] = null;
+        else if (shared) state.sharedCounters[name] = shared;
+      }
+    },
+
+    /**
+     * Map a listings language name to a code block language
+     * @param {string} name - Listings name, e.g. 'Matlab'
+     * @returns {string} Code block language, e.g. 'matlab'
+     * @private
+     */
+    listingLanguage(name) {
+      const language = name.trim().toLowerCase();
+      return LISTING_LANGUAGES[language] || language || 'text';
+    },
+
+    /**
+     * Count a construct that was not converted
+     * @param {Object} state - Conversion state
+     * @param {string} construct - Command or environment
+     * @private
+     */
+    report(state, construct) {
+      state.unsupported.set(construct, (state.unsupported.get(construct) || 0) + 1);
+    },
+
+    /**
+     * Convert LaTeX to MDX blocks (paragraphs, headings, math, lists, ...)
+     * @param {string} text - LaTeX without comments
+     * @param {Object} state - Conversion state
+     * @returns {string[]} MDX blocks
+     * @private
+     */
+    convertBlocks(text, state) {
+      const tokens = /\\\\|\\[$%&#_{}]|\\begin\s*\{([^}]+)\}|\\(section|subsection|subsubsection|paragraph|subparagraph)(\*?)(?![a-zA-Z])|\\\[|\$\$|\\par(?![a-zA-Z])|\n[ \t]*\n|\uE000\d+\uE001/g;
+      const blocks = [];
+      let paragraph = '';
+      let pos = 0;
+
+      const flush = () => {
+        const converted = this.finishParagraph(this.convertInline(paragraph, state));
+        if (converted) {
+          blocks.push(converted.replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2').replace(/^([-+])(?=\s|$)/, '\\$1'));
+        }
+        paragraph = '';
+      };
+
+      let match;
+      while ((match = tokens.exec(text)) !== null) {
+        paragraph += text.slice(pos, match.index);
+        pos = tokens.lastIndex;
+        const token = match[0];
+
+        if (token.startsWith('\\\\') || /^\\[$%&#_{}]$/.test(token)) {
+          paragraph += token;
+          continue;
+        }
+
+        flush();
+
+        if (token.startsWith(CODE_BLOCK[0])) {
+          blocks.push(token);
+        } else if (match[1] !== undefined) {
+          const { content, end } = findEnvironmentEnd(text, match[1], pos);
+          blocks.push(...this.convertEnvironment(match[1], content, state));
+          pos = end;
+        } else if (match[2] !== undefined) {
+          const { args, end } = readArgs(text, pos, 'om');
+          blocks.push(this.convertHeading(match[2], match[3] === '*', args[1] || '', state));
+          pos = end;
+        } else if (token === '\\[' || token === '$$') {
+          const close = text.indexOf(token === '\\[' ? '\\]' : '$$', pos);
+          const end = close < 0 ? text.length : close;
+          blocks.push(this.displayMath(text.slice(pos, end), null));
+          pos = close < 0 ? end : end + 2;
+        }
+        tokens.lastIndex = pos;
+      }
+      paragraph += text.slice(pos);
+      flush();
+
+      return blocks.filter(Boolean);
+    },
+
+    /**
+     * Convert a sectioning command
+     * @param {string} command - Command name, e.g. 'subsection'
+     * @param {boolean} starred - Unnumbered variant
+     * @param {string} title - Title
+     * @param {Object} state - Conversion state
+     * @returns {string} MDX heading, or a bold title for paragraph levels
+     * @private
+     */
+    convertHeading(command, starred, title, state) {
+      const level = SECTION_LEVELS[command];
+      if (level === 0) {
+        return `**${this.finishParagraph(this.convertInline(title, state))}**`;
+      }
+
+      state.textMath = true;
+      const text = this.finishParagraph(this.convertInline(title, state));
+      state.textMath = false;
+
+      let number = '';
+      if (!starred) {
+        const depth = level - 2;
+        state.sections[depth]++;
+        state.sections.fill(0, depth + 1);
+        number = `${state.sections.slice(0, depth + 1).join('.')} `;
+      }
+      return `${'#'.repeat(level)} ${number}${text}`;
+    },
+
+    /**
+     * Convert an environment
+     * @param {string} name - Environment name
+     * @param {string} content - Content after \begin{name}
+     * @param {Object} state - Conversion state
+     * @returns {string[]} MDX blocks
+     * @private
+     */
+    convertEnvironment(name, content, state) {
+      const base = name.replace(/\*$/, '');
+
+      if (base in DISPLAY_MATH) {
+        return [this.displayMath(content, DISPLAY_MATH[base])];
+      }
+      if (name in state.theorems) {
+        return [this.convertTheorem(name, content, state)];
+      }
+      if (name === 'proof') {
+        const { args, end } = readArgs(content, 0, 'o');
+        return this.convertProof(args[0], content.slice(end), state);
+      }
+      if (name === 'abstract') {
+        return [this.admonition('note', 'Abstract', this.convertBlocks(content, state))];
+      }
+      if (name === 'itemize' || name === 'enumerate' || name === 'description') {
+        return [this.convertList(name, readArgs(content, 0, 'o').end, content, state)];
+      }
+      if (name === 'quote' || name === 'quotation') {
+        return [this.convertBlocks(content, state).join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')];
+      }
+      if (name in TABLE_ENVIRONMENTS) {
+        const { end } = readArgs(content, 0, `${TABLE_ENVIRONMENTS[name]}m`);
+        return [this.convertTable(content.slice(end), state)];
+      }
+      if (name in TRANSPARENT_ENVIRONMENTS) {
+        const { end } = readArgs(content, 0, TRANSPARENT_ENVIRONMENTS[name]);
+        return this.convertBlocks(content.slice(end), state);
+      }
+
+      this.report(state, `\\begin{${name}}`);
+      return OMITTED_ENVIRONMENTS.has(base) ? [] : this.convertBlocks(content, state);
+    },
+
+    /**
+     * Render display math
+     * @param {string} math - LaTeX math
+     * @param {string|null} environment - KaTeX environment to wrap it in
+     * @returns {string} MDX math block
+     * @private
+     */
+    displayMath(math, environment) {
+      const cleaned = cleanMath(math);
+      if (!cleaned) {
+        return '';
+      }
+      const wrapped = environment
+        ? `\\begin{${environment}}\n${cleaned}\n\\end{${environment.split('}')[0]}}`
+        : cleaned;
+      return `$$\n${wrapped}\n$$`;
+    },
+
+    /**
+     * Convert a theorem-like environment to an admonition
+     * @param {string} name - Environment name
+     * @param {string} content - Content
+     * @param {Object} state - Conversion state
+     * @returns {string} MDX admonition
+     * @private
+     */
+    convertTheorem(name, content, state) {
+      const { args, end } = readArgs(content, 0, 'o');
+      const counter = name in state.sharedCounters ? state.sharedCounters[name] : name;
+
+      let title = state.theorems[name];
+      if (counter !== null) {
+        state.theoremCounters[counter] = (state.theoremCounters[counter] || 0) + 1;
+        title += ` ${state.theoremCounters[counter]}`;
+      }
+      if (args[0]) {
+        title += ` (${this.finishParagraph(this.convertInline(args[0], state))})`;
+      }
+
+      return this.admonition(THEOREM_ADMONITIONS[name] || 'info', title, this.convertBlocks(content.slice(end), state));
+    },
+
+    /**
+     * Convert a proof
+     * @param {string|null} name - Optional proof title
+     * @param {string} content - Content
+     * @param {Object} state - Conversion state
+     * @returns {string[]} MDX blocks starting with "Proof." and ending with ∎
+     * @private
+     */
+    convertProof(name, content, state) {
+      const blocks = this.convertBlocks(content, state);
+      const lead = `*${name ? this.finishParagraph(this.convertInline(name, state)) : 'Proof'}.*`;
+
+      if (blocks.length > 0 && isParagraph(blocks[0])) blocks[0] = `${lead} ${blocks[0]}`;
+      else blocks.unshift(lead);
+
+      const last = blocks.length - 1;
+      if (isParagraph(blocks[last])) blocks[last] += ' ∎';
+      else blocks.push('∎');
+
+      return blocks;
+    },
+
+    /**
+     * Wrap blocks in an admonition, with a fence longer than any inside it
+     * @param {string} type - Admonition type
+     * @param {string} title - Title
+     * @param {string[]} blocks - Content blocks
+     * @returns {string} MDX admonition
+     * @private
+     */
+    admonition(type, title, blocks) {
+      const inner = blocks.join('\n\n');
+      const longest = Math.max(2, ...(inner.match(/^:{3,}/gm) || []).map(run => run.length));
+      const fence = ':'.repeat(longest + 1);
+      return `${fence}${type} ${title}\n\n${inner}\n\n${fence}`;
+    },
+
+    /**
+     * Convert a list environment
+     * @param {string} name - 'itemize', 'enumerate' or 'description'
+     * @param {number} start - Index after the environment's options
+     * @param {string} content - Content
+     * @param {Object} state - Conversion state
+     * @returns {string} MDX list
+     * @private
+     */
+    convertList(name, start, content, state) {
+      const items = [];
+      const pattern = /\\(begin|end)\s*\{[^}]+\}|\\item(?![a-zA-Z])/g;
+      pattern.lastIndex = start;
+      let depth = 0;
+      let current = null;
+      let match;
+
+      while ((match = pattern.exec(content)) !== null) {
+        if (match[1]) {
+          depth += match[1] === 'begin' ? 1 : -1;
+          continue;
+        }
+        if (depth > 0) continue;
+
+        if (current) current.body = content.slice(current.from, match.index);
+        const { args, end } = readArgs(content, pattern.lastIndex, 'o');
+        current = { label: args[0], from: end };
+        items.push(current);
+        pattern.lastIndex = end;
+      }
+      if (current) current.body = content.slice(current.from);
+
+      let loose = false;
+      const rendered = items.map((item, index) => {
+        const marker = name === 'enumerate' ? `${index + 1}.` : '-';
+        const indent = ' '.repeat(marker.length + 1);
+        const blocks = this.convertBlocks(item.body, state);
+
+        if (item.label !== null) {
+          const label = `**${this.finishParagraph(this.convertInline(item.label, state))}**`;
+          if (blocks.length > 0 && isParagraph(blocks[0])) blocks[0] = `${label} ${blocks[0]}`;
+          else blocks.unshift(label);
+        }
+
+        const text = blocks.reduce((joined, block) => {
+          if (!joined) return block;
+          const nestedList = /^(-|\d+\.)\s/.test(block);
+          if (!nestedList) loose = true;
+          return `${joined}${nestedList ? '\n' : '\n\n'}${block}`;
+        }, '');
+
+        return `${marker} ${text.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n')}`.trimEnd();
+      });
+
+      return rendered.join(loose ? '\n\n' : '\n');
+    },
+
+    /**
+     * Convert a tabular body to a Markdown table; the first row is the header
+     * @param {string} content - Content after the column specification
+     * @param {Object} state - Conversion state
+     * @returns {string} MDX table
+     * @private
+     */
+    convertTable(content, state) {
+      const rows = content
+        .replace(/\\(hline|toprule|midrule|bottomrule)(?![a-zA-Z])|\\(cline|cmidrule)(\([^)]*\))?\s*\{[^}]*\}/g, '')
+        .split(/\\\\(?:\s*\[[^\]]*\])?/)
+        .map(row => row.trim())
+        .filter(Boolean)
+        .map(row => row.split(/(?<!\\)&/).map(cell => this.finishParagraph(this.convertInline(cell, state)).replace(/(?<!\\)\|/g, '\\|')));
+
+      if (rows.length === 0) {
+        return '';
+      }
+
+      const columns = Math.max(...rows.map(row => row.length));
+      const line = row => `| ${Array.from({ length: columns }, (_, i) => row[i] || ' ').join(' | ')} |`;
+      return [line(rows[0]), `|${' --- |'.repeat(columns)}`, ...rows.slice(1).map(line)].join('\n');
+    },
+
+    /**
+     * Assemble converted inline text into one line
+     * @param {string} mdx - Converted inline text
+     * @returns {string} Single-line MDX
+     * @private
+     */
+    finishParagraph(mdx) {
+      return mdx
+        .replace(/[ \t\n]+/g, ' ')
+        .replace(new RegExp(` ?${LINE_BREAK} ?`, 'g'), LINE_BREAK)
+        .trim()
+        .replace(new RegExp(`^${LINE_BREAK}+|${LINE_BREAK}+$`, 'g'), '')
+        .replace(new RegExp(LINE_BREAK, 'g'), '<br />');
+    },
+
+    /**
+     * Convert running text: formatting commands, inline math and special characters
+     * @param {string} text - LaTeX text
+     * @param {Object} state - Conversion state
+     * @param {boolean} [plain=false] - Produce text without Markdown (for code spans)
+     * @returns {string} MDX text
+     * @private
+     */
+    convertInline(text, state, plain = false) {
+      let out = '';
+      let chars = '';
+      const emit = (mdx) => {
+        out += (plain ? chars : escapeForMdx(chars)) + mdx;
+        chars = '';
+      };
+      const wrap = (marker, inner) => {
+        const converted = this.convertInline(inner, state, plain);
+        const trimmed = converted.trim();
+        if (plain || !trimmed) return converted;
+        const [, before, , after] = converted.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return `${before}${marker}${trimmed}${marker}${after}`;
+      };
+
+      let i = 0;
+      while (i < text.length) {
+        const ch = text[i];
+
+        if (ch === INLINE_CODE[0]) {
+          const close = text.indexOf(INLINE_CODE[1], i);
+          const code = state.inlineCode[Number(text.slice(i + 1, close))];
+          emit(plain ? code : codeSpan(code));
+          i = close + 1;
+        } else if (ch === '$' || text.startsWith('\\(', i)) {
+          const closing = ch === '$' ? /(?<!\\)\$/g : /\\\)/g;
+          closing.lastIndex = i + (ch === '$' ? 1 : 2);
+          const match = closing.exec(text);
+          const end = match ? match.index : text.length;
+          const math = cleanMath(text.slice(i + (ch === '$' ? 1 : 2), end)).replace(/\s*\n\s*/g, ' ');
+          emit(plain ? math : state.textMath ? escapeForMdx(mathToText(math)) : `$${math}$`);
+          i = match ? closing.lastIndex : end;
+        } else if (ch === '\\') {
+          const command = text.slice(i + 1).match(/^[a-zA-Z]+\*?|^[\s\S]/);
+          const name = command ? command[0] : '';
+          i += 1 + name.length;
+          if (name === '\\') {
+            i = readArgs(text, i, 'o').end;
+            emit(plain ? '\n' : LINE_BREAK);
+          } else {
+            const result = this.convertCommand(name, text, i, state, plain, wrap);
+            chars += result.chars || '';
+            if (result.mdx) emit(result.mdx);
+            i = result.end;
+          }
+        } else if (ch === '{') {
+          const close = findClosing(text, i);
+          const end = close < 0 ? text.length : close;
+          const group = text.slice(i + 1, end);
+          const declaration = group.match(/^\s*\\([a-zA-Z]+)(?![a-zA-Z])\s*/);
+          const marker = declaration && GROUP_FORMATS[declaration[1]];
+          if (marker === '`') {
+            const code = this.convertInline(group.slice(declaration[0].length), state, true);
+            emit(plain ? code : codeSpan(code));
+          } else if (marker) {
+            emit(wrap(marker, group.slice(declaration[0].length)));
+          } else {
+            emit(this.convertInline(group, state, plain));
+          }
+          i = end + 1;
+        } else if (ch === '}') {
+          i++;
+        } else if (ch === '~') {
+          chars += '\u00A0';
+          i++;
+        } else if (text.startsWith('---', i)) {
+          chars += '—';
+          i += 3;
+        } else if (text.startsWith('--', i)) {
+          chars += '–';
+          i += 2;
+        } else if (text.startsWith('``', i) || text.startsWith("''", i)) {
+          chars += text[i] === '`' ? '“' : '”';
+          i += 2;
+        } else if (ch === '`') {
+          chars += '‘';
+          i++;
+        } else {
+          chars += ch;
+          i++;
+        }
+      }
+      emit('');
+
+      return out;
+    },
+
+    /**
+     * Convert one command in running text
+     * @param {string} name - Command name without the backslash
+     * @param {string} text - Text the command is in
+     * @param {number} pos - Index after the command name
+     * @param {Object} state - Conversion state
+     * @param {boolean} plain - Produce text without Markdown
+     * @param {Function} wrap - Wraps converted text in a Markdown marker
+     * @returns {{chars?: string, mdx?: string, end: number}} Plain characters or MDX, and the index after the command
+     * @private
+     */
+    convertCommand(name, text, pos, state, plain, wrap) {
+      const base = name.replace(/\*$/, '');
+      const args = spec => readArgs(text, pos, spec);
+
+      if (name in TEXT_SYMBOLS) {
+        // Control words swallow the space after them
+        const end = /^[a-zA-Z]/.test(name) ? pos + (text.slice(pos).match(/^[ \t]*/)[0].length) : pos;
+        return { chars: TEXT_SYMBOLS[name], end };
+      }
+      if (name in ACCENTS) {
+        const { args: [letter], end } = args('m');
+        const base = this.convertInline(letter || '', state, true).replace(/^\u0131/, 'i');
+        return { chars: `${base}${ACCENTS[name]}`.normalize('NFC'), end };
+      }
+      if (base in LAYOUT_COMMANDS) {
+        const { end } = args(LAYOUT_COMMANDS[base]);
+        return { end: LAYOUT_COMMANDS[base] ? end : end + (text.slice(end).match(/^[ \t]*/)[0].length) };
+      }
+      if (name === 'newline' || name === 'linebreak') {
+        return { mdx: plain ? '\n' : LINE_BREAK, end: args('o').end };
+      }
+
+      const { args: [first], end } = args('m');
+      switch (name) {
+        case 'textbf':
+          return { mdx: wrap('**', first), end };
+        case 'textit':
+        case 'emph':
+        case 'textsl':
+          return { mdx: wrap('*', first), end };
+        case 'texttt': {
+          const code = this.convertInline(first, state, true);
+          return { mdx: plain ? code : codeSpan(code), end };
+        }
+        case 'underline':
+          return { mdx: plain ? this.convertInline(first, state, true) : `<u>${this.convertInline(first, state)}</u>`, end };
+        case 'textsuperscript':
+        case 'textsubscript': {
+          const tag = name === 'textsuperscript' ? 'sup' : 'sub';
+          return { mdx: plain ? this.convertInline(first, state, true) : `<${tag}>${this.convertInline(first, state)}</${tag}>`, end };
+        }
+        case 'footnote':
+          return { mdx: ` (${this.convertInline(first, state, plain)})`, end };
+        case 'caption': {
+          const caption = readArgs(text, pos, 'om');
+          return { mdx: wrap('*', caption.args[1] || ''), end: caption.end };
+        }
+        case 'url':
+          return { mdx: plain ? first : `[${escapeForMdx(first)}](${first})`, end };
+        case 'href': {
+          const link = readArgs(text, pos, 'mm');
+          const label = this.convertInline(link.args[1] || '', state, plain);
+          return { mdx: plain ? label : `[${label}](${link.args[0]})`, end: link.end };
+        }
+        case 'textcolor':
+        case 'colorbox': {
+          const colored = readArgs(text, pos, 'mm');
+          return { mdx: this.convertInline(colored.args[1] || '', state, plain), end: colored.end };
+        }
+        case 'multicolumn': {
+          const cell = readArgs(text, pos, 'mmm');
+          return { mdx: this.convertInline(cell.args[2] || '', state, plain), end: cell.end };
+        }
+        default:
+          break;
+      }
+
+      if (PLAIN_TEXT_COMMANDS.has(name)) {
+        return { mdx: this.convertInline(first || '', state, plain), end };
+      }
+
+      this.report(state, `\\${base}`);
+      if (REFERENCE_COMMANDS.has(base)) {
+        const reference = readArgs(text, pos, 'om');
+        return { chars: `[${reference.args[1] || ''}]`, end: reference.end };
+      }
+      if (base in OMITTED_COMMANDS) {
+        return { end: readArgs(text, pos, OMITTED_COMMANDS[base]).end };
+      }
+
+      // Unknown command: keep the text of a braced argument, if any
+      const unknown = readArgs(text, pos, 'om');
+      const braced = /^\s*\{/.test(text.slice(readArgs(text, pos, 'o').end));
+      return braced ? { mdx: this.convertInline(unknown.args[1] || '', state, plain), end: unknown.end } : { end: pos };
+    },
+  };
+}
+
+module.exports = {
+  createLatexConverter,
+};
@@ -0,0 +1,513 @@
+/**
+ * @fileoverview MATLAB MAT-file (.mat) and figure (.fig) reading
+ * @module parsers/matParser
+ *
+ * Reads Level 5 MAT-files (MATLAB v5 to v7, including compressed
+ * variables) without MATLAB. Figure files are MAT-files holding the
+ * figure's handle tree in an hgS_* struct; the line data is pulled out of it.
+ * Version 7.3 files are HDF5 containers and are only detected.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * @typedef {Object} MatVariable
+ * @property {string} name - Variable name ('' for cell and struct members)
+ * @property {string} className - MATLAB class, e.g. 'double', 'char', 'logical', 'cell', 'struct', 'sparse', 'object' or 'opaque'
+ * @property {number[]} dims - Dimensions, e.g. [1, 300]
+ * @property {boolean} complex - Whether the array has an imaginary part
+ * @property {boolean} global - Whether the variable was saved as global
+ * @property {number[]} [data] - Real part of numeric and logical arrays, column-major
+ * @property {number[]|null} [imag] - Imaginary part of complex arrays
+ * @property {string} [text] - Characters of char arrays, rows separated by newlines
+ * @property {MatVariable[]} [cells] - Members of cell arrays, column-major
+ * @property {string[]} [fields] - Field names of structs and objects
+ * @property {Array<Object.<string, MatVariable>>} [elements] - Struct elements, column-major
+ * @property {string} [objectClass] - Class name of objects and opaque values
+ * @property {number} [nnz] - Number of stored elements of sparse arrays
+ */
+
+/**
+ * @typedef {Object} MatFile
+ * @property {string} version - '5' for Level 5 files (MATLAB v5 to v7), '7.3' for HDF5-based files
+ * @property {boolean} supported - Whether the variables could be read (false for v7.3)
+ * @property {string} description - Header text, e.g. 'MATLAB 5.0 MAT-file, Platform: GLNXA64, Created on: ...'
+ * @property {string|null} endian - 'little' or 'big'
+ * @property {boolean} compressed - Whether any variable is compressed (saved by MATLAB v7 and later)
+ * @property {MatVariable[]} variables - Variables in file order
+ */
+
+/**
+ * @typedef {Object} FigureSeries
+ * @property {number[]} x - X values (1..n when the figure stores none)
+ * @property {number[]} y - Y values; NaN breaks the line
+ * @property {string} label - Legend entry (DisplayName), or ''
+ * @property {number[]|null} color - RGB color with components 0-1, or null for the default color order
+ * @property {string} lineStyle - '-', '--', ':', '-.' or 'none'
+ * @property {string} marker - Marker symbol, or 'none'
+ */
+
+/**
+ * @typedef {Object} FigureAxes
+ * @property {string} title - Axes title, or ''
+ * @property {string} xlabel - X axis label, or ''
+ * @property {string} ylabel - Y axis label, or ''
+ * @property {string} xscale - 'linear' or 'log'
+ * @property {string} yscale - 'linear' or 'log'
+ * @property {number[]|null} xlim - Saved X limits, or null
+ * @property {number[]|null} ylim - Saved Y limits, or null
+ * @property {FigureSeries[]} series - Line series
+ */
+
+/**
+ * Data element types (miINT8, miUINT8, ...)
+ * @type {Object.<string, number>}
+ */
+const MI = {
+  INT8: 1,
+  UINT8: 2,
+  INT16: 3,
+  UINT16: 4,
+  INT32: 5,
+  UINT32: 6,
+  SINGLE: 7,
+  DOUBLE: 9,
+  INT64: 12,
+  UINT64: 13,
+  MATRIX: 14,
+  COMPRESSED: 15,
+  UTF8: 16,
+  UTF16: 17,
+  UTF32: 18,
+};
+
+/**
+ * Byte size and Buffer read method of numeric data element types
+ * @type {Object.<number, [number, string]>}
+ */
+const NUMERIC_TYPES = {
+  [MI.INT8]: [1, 'readInt8'],
+  [MI.UINT8]: [1, 'readUInt8'],
+  [MI.INT16]: [2, 'readInt16'],
+  [MI.UINT16]: [2, 'readUInt16'],
+  [MI.INT32]: [4, 'readInt32'],
+  [MI.UINT32]: [4, 'readUInt32'],
+  [MI.SINGLE]: [4, 'readFloat'],
+  [MI.DOUBLE]: [8, 'readDouble'],
+  [MI.INT64]: [8, 'readBigInt64'],
+  [MI.UINT64]: [8, 'readBigUInt64'],
+};
+
+/**
+ * MATLAB classes by array class number (mxCELL_CLASS = 1, ...)
+ * @type {string[]}
+ */
+const CLASS_NAMES = [
+  null, 'cell', 'struct', 'object', 'char', 'sparse', 'double', 'single',
+  'int8', 'uint8', 'int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64',
+  'function_handle', 'opaque',
+];
+
+/**
+ * Handle graphics types drawn as line series
+ * @type {RegExp}
+ */
+const LINE_TYPES = /^(line|graph2d\.lineseries|specgraph\.(scattergroup|stairseries|stemseries|errorbarseries))$/;
+
+/**
+ * Reader for the data elements of one buffer
+ * @private
+ */
+class ElementReader {
+  /**
+   * @param {Buffer} buffer - Bytes holding data elements
+   * @param {boolean} little - Whether the file is little-endian
+   */
+  constructor(buffer, little) {
+    this.buffer = buffer;
+    this.little = little;
+    this.compressed = false;
+  }
+
+  /**
+   * Read an unsigned 32-bit integer
+   * @param {number} pos - Byte offset
+   * @returns {number} Value
+   */
+  u32(pos) {
+    return this.little ? this.buffer.readUInt32LE(pos) : this.buffer.readUInt32BE(pos);
+  }
+
+  /**
+   * Read a data element tag
+   * Small elements (up to 4 bytes) keep their data in the tag itself.
+   * @param {number} pos - Byte offset of the tag
+   * @returns {{type: number, size: number, data: number, next: number}} Type, data size, data offset and next tag offset
+   * @throws {Error} If the element runs past the end of the buffer
+   */
+  readTag(pos) {
+    if (pos + 8 > this.buffer.length) {
+      throw new Error('truncated MAT-file (data element tag past the end)');
+    }
+
+    const word = this.u32(pos);
+    if (word >>> 16 !== 0) {
+      return { type: word & 0xffff, size: word >>> 16, data: pos + 4, next: pos + 8 };
+    }
+
+    const size = this.u32(pos + 4);
+    const data = pos + 8;
+    if (data + size > this.buffer.length) {
+      throw new Error('truncated MAT-file (data element past the end)');
+    }
+    // Compressed elements are not padded to 8 bytes
+    const next = word === MI.COMPRESSED ? data + size : data + Math.ceil(size / 8) * 8;
+    return { type: word, size, data, next };
+  }
+
+  /**
+   * Read the values of a numeric data element
+   * @param {{type: number, size: number, data: number}} tag - Element tag
+   * @returns {number[]} Values
+   * @throws {Error} If the element is not numeric
+   */
+  readNumbers(tag) {
+    const numeric = NUMERIC_TYPES[tag.type];
+    if (!numeric) {
+      throw new Error(`unexpected data type ${tag.type} for numeric data`);
+    }
+
+    const [bytes, method] = numeric;
+    const read = bytes === 1 ? method : `${method}${this.little ? 'LE' : 'BE'}`;
+    const values = new Array(Math.floor(tag.size / bytes));
+    for (let i = 0; i < values.length; i++) {
+      values[i] = Number(this.buffer[read](tag.data + i * bytes));
+    }
+    return values;
+  }
+
+  /**
+   * Read a data element as text (array names, field names, class names)
+   * @param {{size: number, data: number}} tag - Element tag
+   * @returns {string} Text without trailing NULs
+   */
+  readString(tag) {
+    return this.buffer.toString('latin1', tag.data, tag.data + tag.size).replace(/\0+$/, '');
+  }
+
+  /**
+   * Read the character codes of a char array
+   * @param {{type: number, size: number, data: number}} tag - Element tag
+   * @returns {number[]} Code points
+   */
+  readCharCodes(tag) {
+    const bytes = this.buffer.subarray(tag.data, tag.data + tag.size);
+    if (tag.type === MI.UTF8) {
+      return Array.from(bytes.toString('utf-8'), ch => ch.codePointAt(0));
+    }
+    if (tag.type === MI.UTF16) {
+      const le = this.little ? Buffer.from(bytes) : Buffer.from(bytes).swap16();
+      return Array.from(le.toString('utf16le'), ch => ch.codePointAt(0));
+    }
+    if (tag.type === MI.UTF32) {
+      return this.readNumbers({ ...tag, type: MI.UINT32 });
+    }
+    return this.readNumbers(tag);
+  }
+
+  /**
+   * Read the top-level variable of a data element
+   * @param {{type: number, size: number, data: number}} tag - Element tag
+   * @returns {MatVariable|null} Variable, or null for elements that are not arrays
+   */
+  readVariable(tag) {
+    if (tag.type === MI.COMPRESSED) {
+      this.compressed = true;
+      const inflated = zlib.inflateSync(this.buffer.subarray(tag.data, tag.data + tag.size), {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+      });
+      const inner = new ElementReader(inflated, this.little);
+      return inner.readVariable(inner.readTag(0));
+    }
+    if (tag.type !== MI.MATRIX) {
+      return null;
+    }
+    return this.readMatrix(tag);
+  }
+
+  /**
+   * Read an miMATRIX element
+   * @param {{type: number, size: number, data: number}} tag - Element tag
+   * @returns {MatVariable} Array
+   * @throws {Error} If the element is not an array
+   */
+  readMatrix(tag) {
+    if (tag.type !== MI.MATRIX) {
+      throw new Error(`expected an array element, found data type ${tag.type}`);
+    }
+    if (tag.size === 0) {
+      return { name: '', className: 'double', dims: [0, 0], complex: false, global: false, data: [], imag: null };
+    }
+
+    let pos = tag.data;
+    const next = () => {
+      const element = this.readTag(pos);
+      pos = element.next;
+      return element;
+    };
+
+    const flags = this.u32(next().data);
+    const classId = flags & 0xff;
+    const variable = {
+      name: '',
+      className: CLASS_NAMES[classId] || `class ${classId}`,
+      dims: [],
+      complex: Boolean(flags & 0x0800),
+      global: Boolean(flags & 0x0400),
+    };
+
+    // Opaque values (strings, tables, datetimes, ...) have no dimensions
+    if (variable.className === 'opaque') {
+      variable.name = this.readString(next());
+      next();
+      variable.objectClass = this.readString(next());
+      variable.dims = [1, 1];
+      return variable;
+    }
+
+    variable.dims = this.readNumbers(next());
+    variable.name = this.readString(next());
+    const count = variable.dims.reduce((product, dim) => product * dim, 1);
+
+    switch (variable.className) {
+      case 'char': {
+        const codes = count > 0 ? this.readCharCodes(next()) : [];
+        const rows = variable.dims[0] || 0;
+        const lines = [];
+        for (let row = 0; row < rows; row++) {
+          let line = '';
+          for (let i = row; i < codes.length; i += rows) line += String.fromCodePoint(codes[i]);
+          lines.push(line);
+        }
+        variable.text = lines.join('\n');
+        break;
+      }
+      case 'cell':
+        variable.cells = [];
+        for (let i = 0; i < count; i++) variable.cells.push(this.readMatrix(next()));
+        break;
+      case 'object':
+      case 'struct': {
+        if (variable.className === 'object') {
+          variable.objectClass = this.readString(next());
+        }
+        const nameLength = this.readNumbers(next())[0];
+        const namesTag = next();
+        variable.fields = [];
+        for (let offset = 0; offset + nameLength <= namesTag.size && nameLength > 0; offset += nameLength) {
+          variable.fields.push(this.readString({ data: namesTag.data + offset, size: nameLength }));
+        }
+        variable.elements = [];
+        for (let i = 0; i < count; i++) {
+          const element = {};
+          for (const field of variable.fields) element[field] = this.readMatrix(next());
+          variable.elements.push(element);
+        }
+        break;
+      }
+      case 'sparse': {
+        next();
+        const columns = this.readNumbers(next());
+        variable.nnz = columns.length > 0 ? columns[columns.length - 1] : 0;
+        break;
+      }
+      case 'function_handle':
+        break;
+      default: {
+        variable.data = count > 0 ? this.readNumbers(next()) : [];
+        variable.imag = variable.complex && count > 0 ? this.readNumbers(next()) : null;
+        if (flags & 0x0200) {
+          variable.className = 'logical';
+        }
+      }
+    }
+
+    return variable;
+  }
+}
+
+/**
+ * Get the numbers of a numeric variable
+ * @param {MatVariable|undefined} variable - Variable
+ * @returns {number[]} Values, or [] for other classes
+ */
+function numbersOf(variable) {
+  return variable && Array.isArray(variable.data) ? variable.data : [];
+}
+
+/**
+ * Get the text of a char variable, or of a cell array of them
+ * @param {MatVariable|undefined} variable - Variable
+ * @returns {string} Text with lines joined by spaces, or ''
+ */
+function textOf(variable) {
+  if (!variable) return '';
+  if (variable.cells) return variable.cells.map(textOf).filter(Boolean).join(' ');
+  return (variable.text || '').split('\n').map(line => line.trim()).filter(Boolean).join(' ');
+}
+
+/**
+ * Create a MAT-file parser
+ * @returns {Object} Parser with parse() and readFigure() methods
+ * @example
+ * const matParser = createMatParser();
+ * const mat = matParser.parse(fs.readFileSync('Chapt7Fig6a.mat'));
+ * mat.variables.map(v => v.name) // => ['E', 'f', 'T']
+ */
+function createMatParser() {
+  return {
+    /**
+     * Parse a MAT-file
+     * @param {Buffer} buffer - File bytes
+     * @returns {MatFile} Header details and variables
+     * @throws {Error} If the data is not a Level 5 or v7.3 MAT-file, or is corrupt
+     */
+    parse(buffer) {
+      const description = buffer.toString('latin1', 0, Math.min(116, buffer.length)).replace(/[\0\s]+$/, '');
+      const hdf5 = buffer.length >= 520 && buffer.toString('latin1', 512, 520) === '\x89HDF\r\n\x1a\n';
+
+      if (!description.startsWith('MATLAB')) {
+        throw new Error(hdf5 ? 'HDF5 file without a MATLAB header' : 'not a MAT-file (Level 4 MAT-files are not supported)');
+      }
+      if (hdf5 || /^MATLAB 7\.3/.test(description)) {
+        return { version: '7.3', supported: false, description, endian: null, compressed: false, variables: [] };
+      }
+      if (buffer.length < 128) {
+        throw new Error('truncated MAT-file (header)');
+      }
+
+      const marker = buffer.toString('latin1', 126, 128);
+      if (marker !== 'IM' && marker !== 'MI') {
+        throw new Error('not a MAT-file (no endian indicator)');
+      }
+
+      const reader = new ElementReader(buffer, marker === 'IM');
+      const variables = [];
+      for (let pos = 128; pos + 8 <= buffer.length;) {
+        const tag = reader.readTag(pos);
+        const variable = reader.readVariable(tag);
+        // The unnamed subsystem variable holds the data of opaque values
+        if (variable && variable.name) {
+          variables.push(variable);
+        }
+        pos = tag.next;
+      }
+
+      return {
+        version: '5',
+        supported: true,
+        description,
+        endian: reader.little ? 'little' : 'big',
+        compressed: reader.compressed,
+        variables,
+      };
+    },
+
+    /**
+     * Read the axes and line series of a figure file
+     * Labels and titles are the axes' text children named by its "special"
+     * indices (XLabel, YLabel, ZLabel, Title). Legends are skipped; surfaces,
+     * images and patches are not read.
+     * @param {MatFile} mat - Parsed .fig file
+     * @returns {{name: string, axes: FigureAxes[]}|null} Figure, or null if the file holds no handle tree
+     */
+    readFigure(mat) {
+      const root = mat.variables.find(v => /^hgS_\d+$/.test(v.name) && v.className === 'struct' && v.elements.length > 0);
+      if (!root) {
+        return null;
+      }
+
+      const propertiesOf = node => (node.properties && node.properties.elements && node.properties.elements[0]) || {};
+      const childrenOf = node => (node.children && node.children.elements) || [];
+      const typeOf = node => textOf(node.type);
+
+      const readSeries = (node) => {
+        const props = propertiesOf(node);
+        const y = numbersOf(props.YData);
+        const xData = numbersOf(props.XData);
+        const x = xData.length > 0 ? xData : y.map((_, i) => i + 1);
+        const length = Math.min(x.length, y.length);
+        const color = numbersOf(props.Color);
+        const scatter = typeOf(node) === 'specgraph.scattergroup';
+
+        return {
+          x: x.slice(0, length),
+          y: y.slice(0, length),
+          label: textOf(props.DisplayName),
+          color: color.length === 3 ? color : null,
+          lineStyle: textOf(props.LineStyle) || (scatter ? 'none' : '-'),
+          marker: textOf(props.Marker) || (scatter ? 'o' : 'none'),
+        };
+      };
+
+      const collectSeries = (nodes, series) => {
+        for (const node of nodes) {
+          if (LINE_TYPES.test(typeOf(node))) {
+            const line = readSeries(node);
+            if (line.y.length > 0) series.push(line);
+          } else {
+            collectSeries(childrenOf(node), series);
+          }
+        }
+        return series;
+      };
+
+      const readAxes = (node) => {
+        const props = propertiesOf(node);
+        const children = childrenOf(node);
+        const special = numbersOf(node.special);
+        const label = (index) => {
+          const child = children[special[index] - 1];
+          return child ? textOf(propertiesOf(child).String) : '';
+        };
+        const limits = (variable) => {
+          const values = numbersOf(variable);
+          return values.length === 2 ? values : null;
+        };
+
+        return {
+          title: label(3),
+          xlabel: label(0),
+          ylabel: label(1),
+          xscale: textOf(props.XScale) || 'linear',
+          yscale: textOf(props.YScale) || 'linear',
+          xlim: limits(props.XLim),
+          ylim: limits(props.YLim),
+          series: collectSeries(children, []),
+        };
+      };
+
+      const axes = [];
+      const walk = (nodes) => {
+        for (const node of nodes) {
+          const type = typeOf(node);
+          if (type === 'axes' && textOf(propertiesOf(node).Tag) !== 'legend') {
+            axes.push(readAxes(node));
+          } else if (type !== 'axes' && !type.startsWith('scribe.')) {
+            walk(childrenOf(node));
+          }
+        }
+      };
+      walk(root.elements);
+
+      return {
+        name: textOf(propertiesOf(root.elements[0]).Name),
+        axes: axes.filter(item => item.series.length > 0),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createMatParser,
+};
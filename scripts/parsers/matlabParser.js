@@ -0,0 +1,755 @@
+/**
+ * @fileoverview MATLAB source analysis
+ * @module parsers/matlabParser
+ */
+
+/**
+ * @typedef {Object} MatlabHeader
+ * @property {string} h1 - First descriptive line of the help block
+ * @property {string} description - Remaining help text (paragraphs separated by blank lines)
+ * @property {string[]} lines - All help block lines with the comment marker removed
+ */
+
+/**
+ * @typedef {Object} MatlabAnalysis
+ * @property {MatlabHeader|null} header - Leading help block, or null if absent
+ * @property {MatlabFunction[]} signatures - Declared functions with argument documentation
+ * @property {MatlabParameter[]} parameters - Top-level scalar assignments
+ * @property {string[]} identifiers - Identifiers used in code (comments and strings excluded)
+ * @property {string[]} calls - Identifiers used with call syntax, e.g. fermi(...)
+ * @property {string[]} assigned - Variables assigned in the file, including function arguments
+ * @property {string[]} functions - Names of functions declared in the file
+ * @property {MatlabDataFile[]} dataFiles - Data files read or written by name
+ */
+
+/**
+ * @typedef {Object} MatlabArgument
+ * @property {string} name - Argument name as declared
+ * @property {string} description - Description from the help block, or ''
+ * @property {string} units - Units given in parentheses, or ''
+ */
+
+/**
+ * @typedef {Object} MatlabFunction
+ * @property {string} name - Function name
+ * @property {string} declaration - Normalized declaration line
+ * @property {number} line - 1-based line number of the declaration
+ * @property {string} summary - First help line, or ''
+ * @property {MatlabArgument[]} inputs - Input arguments
+ * @property {MatlabArgument[]} outputs - Output arguments
+ */
+
+/**
+ * @typedef {Object} MatlabDataFile
+ * @property {string} file - File name without folders; '.mat' added for load/save without extension
+ * @property {string} function - Function that names the file, e.g. 'fopen'
+ * @property {string} access - 'read' or 'write'
+ * @property {number} line - 1-based line number of the first use
+ */
+
+/**
+ * @typedef {Object} MatlabParameter
+ * @property {string} name - Variable name
+ * @property {string} value - Right-hand side as written
+ * @property {number} numericValue - Evaluated value
+ * @property {string} description - Trailing comment without units, or ''
+ * @property {string} units - Units given in parentheses in the comment, or ''
+ * @property {number} line - 1-based line number
+ */
+
+/**
+ * Statements that open a block closed by 'end'
+ * @type {RegExp}
+ */
+const BLOCK_OPENER = /^(?:if|for|parfor|while|switch|try)\b/;
+
+/**
+ * MATLAB keywords that can be followed by a parenthesis
+ * @type {Set<string>}
+ */
+const KEYWORDS = new Set([
+  'if', 'elseif', 'else', 'end', 'for', 'while', 'switch', 'case', 'otherwise',
+  'try', 'catch', 'function', 'return', 'break', 'continue', 'global', 'persistent',
+]);
+
+/**
+ * Built-in MATLAB functions and constants
+ * Covers what the book programs use plus common numerics and plotting;
+ * anything called that is neither here nor in the INBOX is reported missing.
+ * @type {Set<string>}
+ */
+const MATLAB_BUILTINS = new Set([
+  // Elementary math
+  'abs', 'sqrt', 'exp', 'log', 'log10', 'log2', 'sin', 'cos', 'tan', 'sinh', 'cosh', 'tanh',
+  'asin', 'acos', 'atan', 'atan2', 'sec', 'csc', 'cot', 'floor', 'ceil', 'round', 'fix', 'mod',
+  'rem', 'sign', 'real', 'imag', 'conj', 'angle', 'complex', 'max', 'min', 'sum', 'prod',
+  'cumsum', 'cumprod', 'mean', 'median', 'std', 'var', 'diff', 'trapz', 'factorial', 'gamma',
+  'erf', 'erfc', 'besselj', 'bessely', 'airy', 'nchoosek', 'hypot', 'power', 'polyfit', 'polyval',
+  'interp1', 'fzero', 'fminsearch', 'quad', 'integral', 'ode45',
+  // Constants
+  'pi', 'i', 'j', 'inf', 'Inf', 'nan', 'NaN', 'eps', 'true', 'false',
+  // Arrays and linear algebra
+  'zeros', 'ones', 'eye', 'rand', 'randn', 'linspace', 'logspace', 'meshgrid', 'diag', 'size',
+  'length', 'numel', 'ndims', 'reshape', 'repmat', 'cat', 'horzcat', 'vertcat', 'fliplr',
+  'flipud', 'sort', 'unique', 'find', 'any', 'all', 'isempty', 'isnan', 'isinf', 'isreal',
+  'inv', 'det', 'eig', 'eigs', 'norm', 'trace', 'rank', 'kron', 'expm', 'sqrtm', 'pinv', 'lu',
+  'qr', 'svd', 'chol', 'transpose', 'double', 'single', 'logical', 'int2str', 'num2str',
+  'str2num', 'str2double', 'mat2str', 'sprintf', 'strcat', 'strvcat', 'char', 'upper', 'lower',
+  'strcmp', 'strrep', 'cell', 'struct', 'isfield', 'exist', 'nargin', 'nargout', 'eval', 'feval',
+  // Plotting
+  'figure', 'plot', 'plot3', 'semilogx', 'semilogy', 'loglog', 'subplot', 'axis', 'title',
+  'xlabel', 'ylabel', 'zlabel', 'legend', 'grid', 'hold', 'text', 'line', 'fill', 'area', 'bar',
+  'stem', 'hist', 'surf', 'mesh', 'contour', 'colorbar', 'colormap', 'xlim', 'ylim', 'zlim',
+  'set', 'get', 'gca', 'gcf', 'clf', 'close', 'drawnow', 'box', 'axes', 'image', 'imagesc',
+  // I/O and environment
+  'clear', 'clc', 'disp', 'fprintf', 'input', 'error', 'warning', 'pause', 'keyboard', 'format',
+  'load', 'save', 'fopen', 'fclose', 'fscanf', 'fgetl', 'fgets', 'fread', 'fwrite', 'feof',
+  'tic', 'toc', 'clock', 'date', 'datestr', 'textscan', 'fileread', 'importdata', 'dlmread',
+  'dlmwrite', 'csvread', 'csvwrite', 'readmatrix', 'writematrix', 'readtable', 'writetable',
+]);
+
+/**
+ * Functions that read or write data files, with the access they make
+ * fopen is a write when its mode starts with 'w' or 'a'.
+ * @type {Object.<string, string>}
+ */
+const DATA_FILE_FUNCTIONS = {
+  load: 'read',
+  fopen: 'read',
+  importdata: 'read',
+  dlmread: 'read',
+  csvread: 'read',
+  readmatrix: 'read',
+  readtable: 'read',
+  fileread: 'read',
+  save: 'write',
+  dlmwrite: 'write',
+  csvwrite: 'write',
+  writematrix: 'write',
+  writetable: 'write',
+};
+
+/**
+ * Words that leave an H1 line unfinished, so the next help line is joined to it
+ * @type {string[]}
+ */
+const CONTINUATION_WORDS = ['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with'];
+
+/**
+ * Check whether a line is a function declaration
+ * @param {string} line - Trimmed source line
+ * @returns {boolean} True if the line declares a function
+ */
+function isFunctionLine(line) {
+  return /^function\b/.test(line);
+}
+
+/**
+ * Check whether a help line only restates the file name (e.g. '%Chapt1Fig8.m', '%Chap3Fig14')
+ * @param {string} text - Help line without the comment marker
+ * @param {string} [programId] - Program ID
+ * @returns {boolean} True if the line is a file name
+ */
+function isFilenameLine(text, programId) {
+  const token = text.replace(/;$/, '');
+  if (/\s/.test(token) || token === '') {
+    return false;
+  }
+  if (/\.m$/i.test(token) || /^Chapt?\d/i.test(token)) {
+    return true;
+  }
+  return Boolean(programId) && token.toLowerCase() === programId.toLowerCase();
+}
+
+/**
+ * Tidy a help line for display as a title
+ * @param {string} text - Help line
+ * @returns {string} Line without decorative rules or trailing punctuation, first letter capitalized
+ */
+function toTitleLine(text) {
+  const trimmed = text
+    .replace(/^[*=\-~\s]+/, '')
+    .replace(/[*=\-~;,\s]+$/, '');
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+}
+
+/**
+ * Split one MATLAB line into code and trailing comment
+ * String literals in the code are emptied unless keepStrings is set. A quote
+ * starts a string unless it follows an identifier, number, closing bracket,
+ * dot or another quote, in which case it is the transpose operator.
+ * @param {string} line - Source line
+ * @param {boolean} [keepStrings=false] - Keep the text of string literals
+ * @returns {{code: string, comment: string}} Code part and comment text (without '%')
+ */
+function scanLine(line, keepStrings = false) {
+  let code = '';
+  let quote = null;
+
+  for (let k = 0; k < line.length; k++) {
+    const ch = line[k];
+    if (quote) {
+      if (ch === quote) {
+        if (line[k + 1] === quote) {
+          if (keepStrings) code += ch + ch;
+          k++;
+        } else {
+          quote = null;
+          code += ch;
+        }
+      } else if (keepStrings) {
+        code += ch;
+      }
+      continue;
+    }
+    if (ch === '%') {
+      return { code, comment: line.slice(k).replace(/^%+\s*/, '').trim() };
+    }
+    if (ch === '.' && line.startsWith('...', k)) {
+      return { code, comment: line.slice(k + 3).trim() };
+    }
+    if (ch === '"' || (ch === "'" && !/[\w)\]}.']/.test(code.slice(-1)))) {
+      quote = ch;
+    }
+    code += ch;
+  }
+
+  return { code, comment: '' };
+}
+
+/**
+ * Split MATLAB source into code and comment parts, line by line
+ * Lines inside %{ ... %} block comments have empty code.
+ * @param {string} content - Source code with LF line endings
+ * @param {boolean} [keepStrings=false] - Keep the text of string literals
+ * @returns {Array<{code: string, comment: string}>} One entry per source line
+ */
+function scanLines(content, keepStrings = false) {
+  let inBlockComment = false;
+
+  return content.split('\n').map(line => {
+    const trimmed = line.trim();
+    if (trimmed === '%{') {
+      inBlockComment = true;
+      return { code: '', comment: '' };
+    }
+    if (inBlockComment) {
+      if (trimmed === '%}') inBlockComment = false;
+      return { code: '', comment: trimmed };
+    }
+    return scanLine(line, keepStrings);
+  });
+}
+
+/**
+ * Remove comments and string literals from MATLAB source
+ * @param {string} content - Source code with LF line endings
+ * @returns {string[]} Code lines (one per source line) with comments removed and strings emptied
+ */
+function stripCommentsAndStrings(content) {
+  return scanLines(content).map(({ code }) => code);
+}
+
+/**
+ * Collect identifier matches from code lines
+ * @param {string[]} codeLines - Code lines without comments or strings
+ * @param {RegExp} regex - Global regex whose first group is the identifier
+ * @returns {Set<string>} Matched identifiers
+ */
+function collectMatches(codeLines, regex) {
+  const found = new Set();
+  for (const line of codeLines) {
+    for (const match of line.matchAll(regex)) {
+      found.add(match[1]);
+    }
+  }
+  return found;
+}
+
+/**
+ * Split a comma/space separated name list such as 'e,phi' or 'a b'
+ * @param {string} list - Name list
+ * @returns {string[]} Names
+ */
+function splitNames(list) {
+  return list.split(/[\s,]+/).filter(name => /^[A-Za-z]\w*$/.test(name));
+}
+
+/**
+ * Check whether a help-block name refers to a declared argument
+ * Also accepts reordered underscore parts, since the book documents
+ * num_sol as 'sol_num'.
+ * @param {string} documented - Name used in the help block
+ * @param {string} declared - Declared argument name
+ * @returns {boolean} True if they refer to the same argument
+ */
+function isSameArgument(documented, declared) {
+  if (documented === declared) {
+    return true;
+  }
+  const parts = name => name.toLowerCase().split('_').sort().join('_');
+  return documented.includes('_') && parts(documented) === parts(declared);
+}
+
+/**
+ * Split a trailing '(units)' from an argument description
+ * @param {string} text - Description such as 'length of region (nm)'
+ * @returns {{description: string, units: string}} Description and units
+ */
+function splitUnits(text) {
+  const match = text.match(/^(.*?)\s*\(([^()]+)\)\s*$/);
+  if (!match || match[1] === '') {
+    return { description: text.trim(), units: '' };
+  }
+  return { description: match[1].trim(), units: match[2].trim() };
+}
+
+/**
+ * Find documentation for an argument in a help block
+ * Understands the tabular style ('length<TAB>length of region (nm)') and
+ * the prose style ('carrier density n(cm-3), temperature kelvin(K)').
+ * @param {string} name - Declared argument name
+ * @param {string[]} helpLines - Help lines without comment markers
+ * @returns {{description: string, units: string}} Argument documentation
+ */
+function findArgumentDoc(name, helpLines) {
+  for (const line of helpLines) {
+    const tabular = line.match(/^([A-Za-z]\w*)(?:\t|\s{2,})\s*(.+)$/);
+    if (tabular && isSameArgument(tabular[1], name)) {
+      return splitUnits(tabular[2]);
+    }
+  }
+
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const prose = new RegExp(`^(.*?)\\s*\\b${escaped}(?:\\s*\\(([^)]*)\\))?$`);
+  for (const line of helpLines) {
+    for (const phrase of line.split(',')) {
+      const match = phrase.trim().match(prose);
+      if (match && match[1]) {
+        return { description: match[1].replace(/^(returns|and)\s+/i, '').trim(), units: (match[2] || '').trim() };
+      }
+    }
+  }
+
+  return { description: '', units: '' };
+}
+
+/**
+ * Collect the comment block directly after (or, failing that, directly before) a line
+ * @param {string[]} sourceLines - Source lines
+ * @param {number} index - Index of the declaration line
+ * @returns {string[]} Help lines without comment markers
+ */
+function collectHelpLines(sourceLines, index) {
+  const isComment = line => line !== undefined && line.trim().startsWith('%');
+  const strip = line => line.trim().replace(/^%+\s*/, '').trimEnd();
+  const lines = [];
+
+  for (let k = index + 1; isComment(sourceLines[k]); k++) {
+    lines.push(strip(sourceLines[k]));
+  }
+  if (lines.length === 0) {
+    for (let k = index - 1; isComment(sourceLines[k]); k--) {
+      lines.unshift(strip(sourceLines[k]));
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Split a code line into statements at top-level ';' and ','
+ * @param {string} code - Code without comments
+ * @returns {string[]} Trimmed, non-empty statements
+ */
+function splitStatements(code) {
+  const statements = [];
+  let depth = 0;
+  let current = '';
+
+  for (const ch of code) {
+    if ('([{'.includes(ch)) depth++;
+    if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    if ((ch === ';' || ch === ',') && depth === 0) {
+      statements.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  statements.push(current);
+
+  return statements.map(statement => statement.trim()).filter(Boolean);
+}
+
+/**
+ * Evaluate a constant numeric expression such as '1.e18', '-0.63' or '2*pi'
+ * Only numbers, pi, parentheses and + - * / ^ (element-wise forms too) are
+ * accepted, with MATLAB precedence: ^ binds tighter than a unary minus and
+ * is left-associative (-2^2 is -4, 2^3^2 is 64).
+ * @param {string} expression - MATLAB expression
+ * @returns {number|null} Value, or null if not a finite constant
+ * @example
+ * evaluateConstant('-2^2*pi') // => -12.566370614359172
+ * evaluateConstant('hbar/2') // => null
+ */
+function evaluateConstant(expression) {
+  const tokens = expression.match(/\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?|\.?[*/^]|[-+()]|pi\b|\S/g) || [];
+  let position = 0;
+
+  const fail = () => {
+    throw new Error(`not a constant: ${expression}`);
+  };
+  const accept = (...operators) => (operators.includes(tokens[position]) ? tokens[position++] : null);
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const value = sum();
+      return accept(')') ? value : fail();
+    }
+    if (token === 'pi') return Math.PI;
+    return /^\.?\d/.test(token || '') ? Number(token) : fail();
+  };
+  const exponent = () => {
+    const sign = accept('-', '+');
+    if (sign) return sign === '-' ? -exponent() : exponent();
+    return primary();
+  };
+  const power = () => {
+    let value = primary();
+    while (accept('^', '.^')) {
+      value **= exponent();
+    }
+    return value;
+  };
+  const unary = () => {
+    const sign = accept('-', '+');
+    if (sign) return sign === '-' ? -unary() : unary();
+    return power();
+  };
+  const product = () => {
+    let value = unary();
+    for (let operator = accept('*', '.*', '/', './'); operator; operator = accept('*', '.*', '/', './')) {
+      value = operator.endsWith('*') ? value * unary() : value / unary();
+    }
+    return value;
+  };
+  const sum = () => {
+    let value = product();
+    for (let operator = accept('+', '-'); operator; operator = accept('+', '-')) {
+      value = operator === '+' ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  try {
+    const value = sum();
+    return position === tokens.length && Number.isFinite(value) ? value : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create a MATLAB parser instance
+ * @returns {Object} Parser instance
+ * @example
+ * const matlabParser = createMatlabParser();
+ * matlabParser.parseHeader('%Chapt1Fig8.m\n%classical sho dispersion;\nclear;', 'Chapt1Fig8');
+ * // => { h1: 'Classical sho dispersion', description: '', lines: [...] }
+ */
+function createMatlabParser() {
+  return {
+    /**
+     * Extract the leading help block of a MATLAB file
+     * Skips a leading function declaration and a first line that only
+     * repeats the file name; stops at the first non-comment line.
+     * @param {string} content - Source code with LF line endings
+     * @param {string} [programId] - Program ID, used to recognize file-name lines
+     * @returns {MatlabHeader|null} Header or null if the file has no help text
+     */
+    parseHeader(content, programId) {
+      if (!content) {
+        return null;
+      }
+
+      const sourceLines = content.split('\n');
+      let i = 0;
+
+      while (i < sourceLines.length && sourceLines[i].trim() === '') i++;
+      if (i < sourceLines.length && isFunctionLine(sourceLines[i].trim())) i++;
+
+      const lines = [];
+      for (; i < sourceLines.length; i++) {
+        const line = sourceLines[i].trim();
+        if (!line.startsWith('%')) break;
+        lines.push(line.replace(/^%+\s*/, '').trimEnd());
+      }
+
+      if (lines.length > 0 && isFilenameLine(lines[0], programId)) {
+        lines.shift();
+      }
+      while (lines.length > 0 && /^[*=\-~\s]*$/.test(lines[0])) {
+        lines.shift();
+      }
+      if (lines.length === 0) {
+        return null;
+      }
+
+      // Join wrapped H1 lines such as "numerical solution to Schroedinger equation for"
+      let h1 = lines[0].trim();
+      let rest = 1;
+      while (rest < lines.length && lines[rest].trim() !== '') {
+        const lastWord = h1.split(/\s+/).pop().toLowerCase();
+        if (!CONTINUATION_WORDS.includes(lastWord) && !h1.endsWith(',')) break;
+        h1 = `${h1} ${lines[rest].trim()}`;
+        rest++;
+      }
+
+      const description = lines.slice(rest)
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{2,}/g, '\n\n')
+        .trim();
+
+      return {
+        h1: toTitleLine(h1),
+        description,
+        lines,
+      };
+    },
+
+    /**
+     * Extract identifier usage from MATLAB code
+     * @param {string} content - Source code with LF line endings
+     * @returns {{identifiers: string[], calls: string[], assigned: string[], functions: string[]}} Identifier sets
+     * @example
+     * parseIdentifiers('x=1:10;\ny=fermi(x);')
+     * // => { identifiers: ['x', 'y', 'fermi'], calls: ['fermi'], assigned: ['x', 'y'], functions: [] }
+     */
+    parseIdentifiers(content) {
+      const codeLines = stripCommentsAndStrings(content || '');
+
+      const identifiers = collectMatches(codeLines, /(?<![\w.])([A-Za-z]\w*)/g);
+      const calls = collectMatches(codeLines, /(?<![\w.])([A-Za-z]\w*)\s*\(/g);
+      const assigned = collectMatches(codeLines, /(?<![\w.])([A-Za-z]\w*)\s*(?:\([^=]*\))?\s*=(?!=)/g);
+      const functions = new Set();
+
+      for (const line of codeLines) {
+        const trimmed = line.trim();
+
+        const loop = trimmed.match(/^(?:for|parfor)\s*\(?\s*([A-Za-z]\w*)\s*=/);
+        if (loop) assigned.add(loop[1]);
+
+        const multi = trimmed.match(/^\[([^\]]*)\]\s*=(?!=)/);
+        if (multi) splitNames(multi[1]).forEach(name => assigned.add(name));
+
+        const declared = trimmed.match(/^(?:global|persistent)\s+(.+)$/);
+        if (declared) splitNames(declared[1]).forEach(name => assigned.add(name));
+
+        const fn = trimmed.match(/^function\s+(?:(\[[^\]]*\]|[A-Za-z]\w*)\s*=\s*)?([A-Za-z]\w*)\s*(?:\(([^)]*)\))?/);
+        if (fn) {
+          functions.add(fn[2]);
+          splitNames((fn[1] || '').replace(/[[\]]/g, '')).forEach(name => assigned.add(name));
+          splitNames(fn[3] || '').forEach(name => assigned.add(name));
+        }
+      }
+
+      for (const keyword of KEYWORDS) {
+        identifiers.delete(keyword);
+        calls.delete(keyword);
+      }
+
+      return {
+        identifiers: Array.from(identifiers),
+        calls: Array.from(calls),
+        assigned: Array.from(assigned),
+        functions: Array.from(functions),
+      };
+    },
+
+    /**
+     * Parse every function declaration with its documented arguments
+     * @param {string} content - Source code with LF line endings
+     * @returns {MatlabFunction[]} Functions in declaration order
+     * @example
+     * parseFunctions('function [e,phi]=solve_schM(length,n)\n% length  length of region (nm)')[0].inputs[0]
+     * // => { name: 'length', description: 'length of region', units: 'nm' }
+     */
+    parseFunctions(content) {
+      if (!content) {
+        return [];
+      }
+
+      const sourceLines = content.split('\n');
+      const codeLines = stripCommentsAndStrings(content);
+      const functions = [];
+
+      codeLines.forEach((code, index) => {
+        const match = code.trim().match(/^function\s+(?:(\[[^\]]*\]|[A-Za-z]\w*)\s*=\s*)?([A-Za-z]\w*)\s*(?:\(([^)]*)\))?/);
+        if (!match) return;
+
+        const [, outList = '', name, inList] = match;
+        const outputs = splitNames(outList.replace(/[[\]]/g, ''));
+        const inputs = splitNames(inList || '');
+        const helpLines = collectHelpLines(sourceLines, index)
+          .filter(line => !/^[*=\-~\s]*$/.test(line));
+        if (helpLines.length > 0 && isFilenameLine(helpLines[0])) {
+          helpLines.shift();
+        }
+
+        const toArgument = argName => ({ name: argName, ...findArgumentDoc(argName, helpLines) });
+        const outPart = outputs.length === 0 ? '' : outputs.length === 1 && !outList.startsWith('[')
+          ? `${outputs[0]} = `
+          : `[${outputs.join(', ')}] = `;
+
+        functions.push({
+          name,
+          declaration: `function ${outPart}${name}${inList === undefined ? '' : `(${inputs.join(', ')})`}`,
+          line: index + 1,
+          summary: helpLines.length > 0 ? toTitleLine(helpLines[0]) : '',
+          inputs: inputs.map(toArgument),
+          outputs: outputs.map(toArgument),
+        });
+      });
+
+      return functions;
+    },
+
+    /**
+     * Collect top-level scalar assignments as program parameters
+     * Only assignments outside if/for/while/switch/try blocks whose value is a
+     * constant numeric expression count; the first assignment of a name wins.
+     * The trailing comment becomes the description, and a parenthesized part
+     * of it the units.
+     * @param {string} content - Source code with LF line endings
+     * @returns {MatlabParameter[]} Parameters in source order
+     * @example
+     * parseParameters('kappa=1;\t%spring constant\nL=5;\t%well width (nm)')
+     * // => [{ name: 'kappa', numericValue: 1, description: 'spring constant', units: '' },
+     * //     { name: 'L', numericValue: 5, description: 'well width', units: 'nm' }]
+     */
+    parseParameters(content) {
+      if (!content) {
+        return [];
+      }
+
+      const parameters = [];
+      const seen = new Set();
+      let depth = 0;
+
+      scanLines(content).forEach(({ code, comment }, index) => {
+        const assignments = [];
+
+        for (const statement of splitStatements(code)) {
+          if (/^function\b/.test(statement)) {
+            depth = 0;
+          } else if (BLOCK_OPENER.test(statement)) {
+            depth++;
+          } else if (/^end\b/.test(statement)) {
+            depth = Math.max(0, depth - 1);
+          } else if (depth === 0) {
+            const match = statement.match(/^([A-Za-z]\w*)\s*=(?!=)\s*(.+)$/);
+            if (match) assignments.push(match);
+          }
+        }
+
+        assignments.forEach(([, name, value], position) => {
+          const numericValue = evaluateConstant(value.trim());
+          if (numericValue === null || seen.has(name)) return;
+          seen.add(name);
+
+          // A shared trailing comment describes the last assignment on the line
+          const documented = position === assignments.length - 1 ? splitUnits(comment) : { description: '', units: '' };
+          parameters.push({
+            name,
+            value: value.trim(),
+            numericValue,
+            description: documented.description,
+            units: documented.units,
+            line: index + 1,
+          });
+        });
+      });
+
+      return parameters;
+    },
+
+    /**
+     * Find the data files a program reads or writes
+     * Only file names given as string literals are found, in function syntax
+     * (`fopen('datainLI.txt','r')`) or command syntax (`load results.dat`).
+     * @param {string} content - Source code with LF line endings
+     * @returns {MatlabDataFile[]} Files in order of first use, once per access
+     * @example
+     * parseDataFiles("fp = fopen('datainLI.txt','r');\nsave out x")
+     * // => [{ file: 'datainLI.txt', function: 'fopen', access: 'read', line: 1 },
+     * //     { file: 'out.mat', function: 'save', access: 'write', line: 2 }]
+     */
+    parseDataFiles(content) {
+      if (!content) {
+        return [];
+      }
+
+      const names = Object.keys(DATA_FILE_FUNCTIONS).join('|');
+      const callSyntax = new RegExp(`(?<![\\w.])(${names})\\s*\\(\\s*(['"])([^'"]+)\\2(?:\\s*,\\s*(['"])([^'"]*)\\4)?`, 'g');
+      const files = [];
+
+      const add = (fn, name, mode, line) => {
+        let file = name.trim().split(/[\\/]/).pop();
+        if (!file) return;
+        if ((fn === 'load' || fn === 'save') && !/\.\w+$/.test(file)) file += '.mat';
+
+        const access = fn === 'fopen' && /^[wa]/.test(mode || '') ? 'write' : DATA_FILE_FUNCTIONS[fn];
+        if (!files.some(entry => entry.file === file && entry.access === access)) {
+          files.push({ file, function: fn, access, line });
+        }
+      };
+
+      scanLines(content, true).forEach(({ code }, index) => {
+        for (const [, fn, , name, , mode] of code.matchAll(callSyntax)) {
+          add(fn, name, mode, index + 1);
+        }
+        for (const statement of splitStatements(code)) {
+          const command = statement.match(/^(load|save)(?:\s+-\w+)*\s+([^-\s'"()=][^\s'"()]*)/);
+          if (command) add(command[1], command[2], '', index + 1);
+        }
+      });
+
+      return files;
+    },
+
+    /**
+     * Check whether a name is a MATLAB built-in function or constant
+     * @param {string} name - Identifier
+     * @returns {boolean} True if built in
+     */
+    isBuiltin(name) {
+      return MATLAB_BUILTINS.has(name);
+    },
+
+    /**
+     * Run every MATLAB analysis over a source file
+     * @param {string} content - Source code with LF line endings
+     * @param {string} [programId] - Program ID
+     * @returns {MatlabAnalysis} Analysis results
+     */
+    analyze(content, programId) {
+      return {
+        header: this.parseHeader(content, programId),
+        signatures: this.parseFunctions(content),
+        parameters: this.parseParameters(content),
+        dataFiles: this.parseDataFiles(content),
+        ...this.parseIdentifiers(content),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createMatlabParser,
+  scanLines,
+  stripCommentsAndStrings,
+  MATLAB_BUILTINS,
+};
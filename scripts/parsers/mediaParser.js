@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Image and video header reading
+ * @module parsers/mediaParser
+ *
+ * Reads the dimensions of figure images and the dimensions and duration
+ * of animations from their headers, without decoding any pixels.
+ */
+
+/**
+ * @typedef {Object} MediaInfo
+ * @property {string} format - 'png', 'jpeg', 'gif', 'svg', 'mp4' or 'webm'
+ * @property {number|null} width - Width in pixels (for SVG, user units), or null if not stated
+ * @property {number|null} height - Height in pixels, or null if not stated
+ * @property {boolean} animated - Whether the file has more than one frame (GIF, APNG) or is a video
+ * @property {number|null} frames - Frame count of animated GIF and PNG files
+ * @property {number|null} duration - Video duration in seconds
+ * @property {number} bytes - File size
+ */
+
+/**
+ * Formats by extension
+ * @type {Object.<string, string>}
+ */
+const FORMATS = {
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.gif': 'gif',
+  '.svg': 'svg',
+  '.mp4': 'mp4',
+  '.webm': 'webm',
+};
+
+/**
+ * Read a PNG header
+ * An acTL chunk before the image data marks an animated PNG.
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} Partial media info
+ * @throws {Error} If the signature is missing
+ */
+function readPng(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 1, 4) !== 'PNG') {
+    throw new Error('not a PNG file');
+  }
+
+  let frames = null;
+  for (let pos = 8; pos + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    if (type === 'acTL' && pos + 12 <= buffer.length) frames = buffer.readUInt32BE(pos + 8);
+    if (type === 'IDAT' || type === 'IEND') break;
+    pos += 12 + length;
+  }
+
+  return {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    animated: frames !== null && frames > 1,
+    frames,
+  };
+}
+
+/**
+ * Read a JPEG header
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} Partial media info
+ * @throws {Error} If the file has no frame header
+ */
+function readJpeg(buffer) {
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    throw new Error('not a JPEG file');
+  }
+
+  for (let pos = 2; pos + 4 <= buffer.length;) {
+    if (buffer[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = buffer[pos + 1];
+    if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      pos += marker === 0xff ? 1 : 2;
+      continue;
+    }
+
+    // Start of frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker) && pos + 9 <= buffer.length) {
+      return { height: buffer.readUInt16BE(pos + 5), width: buffer.readUInt16BE(pos + 7) };
+    }
+    pos += 2 + buffer.readUInt16BE(pos + 2);
+  }
+
+  throw new Error('no JPEG frame header found');
+}
+
+/**
+ * Read a GIF header and count its frames
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} Partial media info
+ * @throws {Error} If the signature is missing
+ */
+function readGif(buffer) {
+  if (buffer.length < 13 || buffer.toString('latin1', 0, 3) !== 'GIF') {
+    throw new Error('not a GIF file');
+  }
+
+  const skipSubBlocks = (pos) => {
+    while (pos < buffer.length && buffer[pos] !== 0) pos += buffer[pos] + 1;
+    return pos + 1;
+  };
+
+  let pos = 13;
+  if (buffer[10] & 0x80) pos += 3 * (2 ** ((buffer[10] & 0x07) + 1));
+
+  let frames = 0;
+  while (pos < buffer.length) {
+    const block = buffer[pos];
+    if (block === 0x2c) {
+      frames++;
+      const packed = buffer[pos + 9];
+      pos += 10;
+      if (packed & 0x80) pos += 3 * (2 ** ((packed & 0x07) + 1));
+      pos = skipSubBlocks(pos + 1);
+    } else if (block === 0x21) {
+      pos = skipSubBlocks(pos + 2);
+    } else {
+      break;
+    }
+  }
+
+  return {
+    width: buffer.readUInt16LE(6),
+    height: buffer.readUInt16LE(8),
+    animated: frames > 1,
+    frames,
+  };
+}
+
+/**
+ * Read the size of an SVG from its root element
+ * Width and height in units other than px fall back to the viewBox.
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} Partial media info
+ * @throws {Error} If there is no svg element
+ */
+function readSvg(buffer) {
+  const root = buffer.toString('utf-8').match(/<svg\b[^>]*>/i);
+  if (!root) {
+    throw new Error('no <svg> element found');
+  }
+
+  const attribute = (name) => {
+    const match = root[0].match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1].trim() : null;
+  };
+  const pixels = (value) => {
+    const match = value && value.match(/^(\d+(?:\.\d+)?)(px)?$/);
+    return match ? Number(match[1]) : null;
+  };
+
+  const viewBox = (attribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const hasViewBox = viewBox.length === 4 && viewBox.every(Number.isFinite);
+
+  return {
+    width: pixels(attribute('width')) || (hasViewBox ? viewBox[2] : null),
+    height: pixels(attribute('height')) || (hasViewBox ? viewBox[3] : null),
+  };
+}
+
+/**
+ * Read the size and duration of an MP4 from its movie header and first video track
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} Partial media info
+ * @throws {Error} If there is no moov box
+ */
+function readMp4(buffer) {
+  const info = { width: null, height: null, duration: null };
+  let foundMovie = false;
+
+  const walk = (start, end) => {
+    for (let pos = start; pos + 8 <= end;) {
+      let size = buffer.readUInt32BE(pos);
+      const type = buffer.toString('latin1', pos + 4, pos + 8);
+      let header = 8;
+      if (size === 1 && pos + 16 <= end) {
+        size = Number(buffer.readBigUInt64BE(pos + 8));
+        header = 16;
+      } else if (size === 0) {
+        size = end - pos;
+      }
+      if (size < header) break;
+
+      const body = pos + header;
+      const boxEnd = Math.min(pos + size, end);
+      if (type === 'moov') {
+        foundMovie = true;
+        walk(body, boxEnd);
+      } else if (type === 'trak') {
+        walk(body, boxEnd);
+      } else if (type === 'mvhd') {
+        const version = buffer[body];
+        const timescale = buffer.readUInt32BE(body + (version === 1 ? 20 : 12));
+        const duration = version === 1 ? Number(buffer.readBigUInt64BE(body + 24)) : buffer.readUInt32BE(body + 16);
+        if (timescale > 0) info.duration = duration / timescale;
+      } else if (type === 'tkhd' && info.width === null) {
+        // Width and height are the last two 16.16 fixed-point fields
+        const width = buffer.readUInt32BE(boxEnd - 8) / 65536;
+        const height = buffer.readUInt32BE(boxEnd - 4) / 65536;
+        if (width > 0 && height > 0) {
+          info.width = Math.round(width);
+          info.height = Math.round(height);
+        }
+      }
+      pos += size;
+    }
+  };
+
+  walk(0, buffer.length);
+  if (!foundMovie) {
+    throw new Error('no moov box found (not an MP4 file, or truncated)');
+  }
+  return info;
+}
+
+/**
+ * Read the size and duration of a WebM file from its EBML elements
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} Partial media info
+ * @throws {Error} If the EBML header is missing
+ */
+function readWebm(buffer) {
+  if (buffer.readUInt32BE(0) !== 0x1a45dfa3) {
+    throw new Error('not a WebM file');
+  }
+
+  const SEGMENT = 0x18538067;
+  const INFO = 0x1549a966;
+  const TRACKS = 0x1654ae6b;
+  const TRACK_ENTRY = 0xae;
+  const VIDEO = 0xe0;
+  const TIMECODE_SCALE = 0x2ad7b1;
+  const DURATION = 0x4489;
+  const PIXEL_WIDTH = 0xb0;
+  const PIXEL_HEIGHT = 0xba;
+  const CONTAINERS = new Set([SEGMENT, INFO, TRACKS, TRACK_ENTRY, VIDEO]);
+
+  // Variable-length integer; for IDs the length marker is kept
+  const readVint = (pos, keepMarker) => {
+    const first = buffer[pos];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 8 || pos + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let unknown = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + buffer[pos + i];
+      unknown = unknown && buffer[pos + i] === 0xff;
+    }
+    return { value, length, unknown: !keepMarker && unknown };
+  };
+  const readUnsigned = (pos, size) => {
+    let value = 0;
+    for (let i = 0; i < size; i++) value = value * 256 + buffer[pos + i];
+    return value;
+  };
+
+  const info = { width: null, height: null, duration: null };
+  let timecodeScale = 1000000;
+  let rawDuration = null;
+
+  const walk = (start, end) => {
+    for (let pos = start; pos < end;) {
+      const id = readVint(pos, true);
+      const size = id && readVint(pos + id.length, false);
+      if (!size) return;
+
+      const body = pos + id.length + size.length;
+      const bodyEnd = size.unknown ? end : Math.min(body + size.value, end);
+      if (CONTAINERS.has(id.value)) {
+        walk(body, bodyEnd);
+        if (id.value === TRACKS || (info.width !== null && rawDuration !== null)) return;
+      } else if (id.value === TIMECODE_SCALE) {
+        timecodeScale = readUnsigned(body, size.value);
+      } else if (id.value === DURATION) {
+        rawDuration = size.value === 4 ? buffer.readFloatBE(body) : buffer.readDoubleBE(body);
+      } else if (id.value === PIXEL_WIDTH && info.width === null) {
+        info.width = readUnsigned(body, size.value);
+      } else if (id.value === PIXEL_HEIGHT && info.height === null) {
+        info.height = readUnsigned(body, size.value);
+      }
+      pos = bodyEnd;
+    }
+  };
+
+  const header = readVint(4, false);
+  walk(4 + header.length + header.value, buffer.length);
+  if (rawDuration !== null) info.duration = (rawDuration * timecodeScale) / 1e9;
+  return info;
+}
+
+/**
+ * Readers by format
+ * @type {Object.<string, function(Buffer): Object>}
+ */
+const READERS = {
+  png: readPng,
+  jpeg: readJpeg,
+  gif: readGif,
+  svg: readSvg,
+  mp4: readMp4,
+  webm: readWebm,
+};
+
+/**
+ * Create a media parser
+ * @returns {Object} Parser with a parse() method
+ * @example
+ * const mediaParser = createMediaParser();
+ * const info = mediaParser.parse(fs.readFileSync('Chapt2Fig3a.png'), '.png');
+ * info.width // => 800
+ */
+function createMediaParser() {
+  return {
+    /**
+     * Read the header of an image or video
+     * @param {Buffer} buffer - File bytes
+     * @param {string} extension - File extension with dot, e.g. '.png'
+     * @returns {MediaInfo} Format, size and animation details
+     * @throws {Error} If the extension is not a media type or the header cannot be read
+     */
+    parse(buffer, extension) {
+      const format = FORMATS[extension.toLowerCase()];
+      if (!format) {
+        throw new Error(`unsupported media extension ${extension}`);
+      }
+
+      let partial;
+      try {
+        partial = READERS[format](buffer);
+      } catch (e) {
+        // Out-of-range reads mean the file is truncated; Buffer throws them
+        // from Node's own realm, so match the name rather than the class
+        throw e.name === 'RangeError' ? new Error(`truncated ${format.toUpperCase()} file`) : e;
+      }
+
+      const isVideo = format === 'mp4' || format === 'webm';
+      return {
+        format,
+        width: null,
+        height: null,
+        frames: null,
+        duration: null,
+        ...partial,
+        animated: isVideo || Boolean(partial.animated),
+        bytes: buffer.length,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createMediaParser,
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Jupyter notebook (.ipynb) parsing
+ * @module parsers/notebookParser
+ */
+
+/**
+ * @typedef {Object} NotebookKernel
+ * @property {string} name - Kernel name, e.g. 'python3'
+ * @property {string} displayName - Kernel display name, e.g. 'Python 3 (ipykernel)'
+ * @property {string} language - Kernel language, e.g. 'python'
+ */
+
+/**
+ * @typedef {Object} NotebookAsset
+ * @property {string} name - File name, unique within the notebook, e.g. 'cell3_output0.png'
+ * @property {string} mimeType - MIME type
+ * @property {Buffer} content - Decoded bytes
+ */
+
+/**
+ * @typedef {Object} NotebookOutput
+ * @property {string} kind - 'stream', 'text', 'html', 'latex', 'image' or 'error'
+ * @property {string} [name] - Stream name ('stdout' or 'stderr')
+ * @property {string} [text] - Text of stream, text, latex and error outputs
+ * @property {string} [html] - HTML of html outputs
+ * @property {string} [asset] - Asset name of image outputs
+ * @property {string} [ename] - Exception name of error outputs
+ */
+
+/**
+ * @typedef {Object} NotebookCell
+ * @property {string} type - 'markdown', 'code' or 'raw'
+ * @property {string} source - Cell source
+ * @property {number|null} executionCount - Execution count of code cells
+ * @property {NotebookOutput[]} outputs - Outputs of code cells
+ * @property {Object.<string, string>} attachments - Markdown attachment name -> asset name
+ */
+
+/**
+ * @typedef {Object} NotebookDocument
+ * @property {string} nbformat - Format version, e.g. '4.5'
+ * @property {NotebookKernel} kernel - Kernel information
+ * @property {string} language - Language for code highlighting
+ * @property {NotebookCell[]} cells - Cells in order
+ * @property {NotebookAsset[]} assets - Images extracted from outputs and attachments
+ * @property {boolean} hasOutputs - Whether any code cell has saved outputs
+ */
+
+/**
+ * Output MIME types in order of preference, with the kind they render as
+ * @type {Array<[string, string]>}
+ */
+const MIME_PREFERENCE = [
+  ['image/png', 'image'],
+  ['image/jpeg', 'image'],
+  ['image/gif', 'image'],
+  ['image/svg+xml', 'image'],
+  ['text/html', 'html'],
+  ['text/latex', 'latex'],
+  ['text/plain', 'text'],
+];
+
+/**
+ * File extensions of image MIME types
+ * @type {Object.<string, string>}
+ */
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+};
+
+/**
+ * Kernel languages that Prism knows under another name
+ * @type {Object.<string, string>}
+ */
+const LANGUAGE_ALIASES = {
+  octave: 'matlab',
+  'c++': 'cpp',
+  ipython: 'python',
+  ipython3: 'python',
+};
+
+/**
+ * Join a multiline notebook string (a string or an array of lines)
+ * @param {string|string[]} value - Notebook string
+ * @returns {string} Joined text
+ */
+function joinText(value) {
+  if (Array.isArray(value)) return value.join('');
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Remove ANSI color codes, which tracebacks are full of
+ * @param {string} text - Text
+ * @returns {string} Plain text
+ */
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+/**
+ * Decode image data as stored in a notebook
+ * SVG is stored as text, the other formats as base64.
+ * @param {string} mimeType - MIME type
+ * @param {string|string[]} data - Stored data
+ * @returns {Buffer} Image bytes
+ */
+function decodeImage(mimeType, data) {
+  const text = joinText(data);
+  return mimeType === 'image/svg+xml'
+    ? Buffer.from(text, 'utf-8')
+    : Buffer.from(text.replace(/\s+/g, ''), 'base64');
+}
+
+/**
+ * Create a notebook parser
+ * @returns {Object} Parser with a parse() method
+ * @example
+ * const notebookParser = createNotebookParser();
+ * const notebook = notebookParser.parse(fs.readFileSync('demo.ipynb', 'utf-8'));
+ * notebook.kernel.displayName // => 'Python 3 (ipykernel)'
+ */
+function createNotebookParser() {
+  return {
+    /**
+     * Parse a notebook
+     * Only nbformat 4 is supported; it has been the format since 2015.
+     * @param {string} text - Notebook JSON
+     * @returns {NotebookDocument} Parsed notebook
+     * @throws {Error} If the text is not an nbformat 4 notebook
+     */
+    parse(text) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`not valid JSON (${e.message})`);
+      }
+
+      if (!data || typeof data !== 'object' || !Array.isArray(data.cells)) {
+        throw new Error('no cells found');
+      }
+      if (data.nbformat !== 4) {
+        throw new Error(`nbformat ${data.nbformat} is not supported (expected 4)`);
+      }
+
+      const metadata = data.metadata || {};
+      const kernelspec = metadata.kernelspec || {};
+      const languageInfo = metadata.language_info || {};
+      const kernelLanguage = String(languageInfo.name || kernelspec.language || '').toLowerCase();
+
+      const kernel = {
+        name: kernelspec.name || '',
+        displayName: kernelspec.display_name || kernelspec.name || (kernelLanguage ? kernelLanguage : 'Unknown kernel'),
+        language: kernelLanguage,
+      };
+
+      const assets = [];
+      const addAsset = (name, mimeType, content) => {
+        assets.push({ name, mimeType, content });
+        return name;
+      };
+
+      const cells = data.cells.map((cell, index) => {
+        const number = index + 1;
+        const parsed = {
+          type: ['markdown', 'code', 'raw'].includes(cell.cell_type) ? cell.cell_type : 'raw',
+          source: joinText(cell.source),
+          executionCount: typeof cell.execution_count === 'number' ? cell.execution_count : null,
+          outputs: [],
+          attachments: {},
+        };
+
+        for (const [name, bundle] of Object.entries(cell.attachments || {})) {
+          const mimeType = Object.keys(bundle || {}).find(type => IMAGE_EXTENSIONS[type]);
+          if (!mimeType) continue;
+          const safeName = name.replace(/[^A-Za-z0-9._-]+/g, '_');
+          parsed.attachments[name] = addAsset(`cell${number}_${safeName}`, mimeType, decodeImage(mimeType, bundle[mimeType]));
+        }
+
+        (cell.outputs || []).forEach((output, outputIndex) => {
+          if (output.output_type === 'stream') {
+            parsed.outputs.push({ kind: 'stream', name: output.name || 'stdout', text: stripAnsi(joinText(output.text)) });
+            return;
+          }
+
+          if (output.output_type === 'error') {
+            const traceback = (output.traceback || []).map(stripAnsi).join('\n');
+            parsed.outputs.push({
+              kind: 'error',
+              ename: output.ename || 'Error',
+              text: traceback || `${output.ename}: ${output.evalue}`,
+            });
+            return;
+          }
+
+          const bundle = output.data || {};
+          const match = MIME_PREFERENCE.find(([mimeType]) => mimeType in bundle);
+          if (!match) return;
+
+          const [mimeType, kind] = match;
+          if (kind === 'image') {
+            const name = `cell${number}_output${outputIndex}.${IMAGE_EXTENSIONS[mimeType]}`;
+            parsed.outputs.push({ kind, asset: addAsset(name, mimeType, decodeImage(mimeType, bundle[mimeType])) });
+          } else if (kind === 'html') {
+            parsed.outputs.push({ kind, html: joinText(bundle[mimeType]) });
+          } else {
+            parsed.outputs.push({ kind, text: stripAnsi(joinText(bundle[mimeType])) });
+          }
+        });
+
+        return parsed;
+      });
+
+      return {
+        nbformat: `${data.nbformat}.${data.nbformat_minor || 0}`,
+        kernel,
+        language: LANGUAGE_ALIASES[kernelLanguage] || kernelLanguage || 'text',
+        cells,
+        assets,
+        hasOutputs: cells.some(cell => cell.outputs.length > 0),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createNotebookParser,
+};
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Character encodings of PDF simple fonts
+ * @module parsers/pdfEncodings
+ *
+ * Maps character codes of fonts without a ToUnicode CMap to text: the
+ * standard base encodings, and the glyph names used in /Differences arrays
+ * (a subset of the Adobe Glyph List covering Latin text, Greek and the
+ * symbols TeX fonts use).
+ */
+
+/**
+ * StandardEncoding positions that differ from Latin-1
+ * @type {Object.<number, string>}
+ */
+const STANDARD_DIFFERENCES = {
+  0x27: '’', 0x60: '‘', 0xa4: '⁄', 0xa6: 'ƒ', 0xa8: '¤', 0xa9: "'", 0xaa: '“', 0xac: '‹',
+  0xad: '›', 0xae: 'ﬁ', 0xaf: 'ﬂ', 0xb1: '–', 0xb2: '†', 0xb3: '‡', 0xb4: '·', 0xb7: '•',
+  0xb8: '‚', 0xb9: '„', 0xba: '”', 0xbc: '…', 0xbd: '‰', 0xc1: '`', 0xc2: '´', 0xc3: 'ˆ',
+  0xc4: '˜', 0xc5: '¯', 0xc6: '˘', 0xc7: '˙', 0xc8: '¨', 0xca: '˚', 0xcb: '¸', 0xcd: '˝',
+  0xce: '˛', 0xcf: 'ˇ', 0xd0: '—', 0xe1: 'Æ', 0xe3: 'ª', 0xe8: 'Ł', 0xe9: 'Ø', 0xea: 'Œ',
+  0xeb: 'º', 0xf1: 'æ', 0xf5: 'ı', 0xf8: 'ł', 0xf9: 'ø', 0xfa: 'œ', 0xfb: 'ß',
+};
+
+/**
+ * Positions StandardEncoding leaves empty in the upper half
+ * @type {Set<number>}
+ */
+const STANDARD_UNDEFINED = new Set([
+  0xa0, 0xb0, 0xb5, 0xbe, 0xc0, 0xc9, 0xcc, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8,
+  0xd9, 0xda, 0xdb, 0xdc, 0xdd, 0xde, 0xdf, 0xe0, 0xe2, 0xe4, 0xe5, 0xe6, 0xe7, 0xec, 0xed,
+  0xee, 0xef, 0xf0, 0xf2, 0xf3, 0xf4, 0xf6, 0xf7, 0xfc, 0xfd, 0xfe, 0xff,
+]);
+
+/**
+ * Glyph names that are not a single letter or digit
+ * @type {Object.<string, string>}
+ */
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/',
+  colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@',
+  bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_',
+  grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  ff: 'ff', fi: 'fi', fl: 'fl', ffi: 'ffi', ffl: 'ffl', dotlessi: 'ı', dotlessj: 'ȷ', germandbls: 'ß',
+  ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', lslash: 'ł', Lslash: 'Ł',
+  endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+  quotedblbase: '„', guillemotleft: '«', guillemotright: '»', guilsinglleft: '‹', guilsinglright: '›',
+  bullet: '•', dagger: '†', daggerdbl: '‡', section: '§', paragraph: '¶', periodcentered: '·',
+  ellipsis: '…', exclamdown: '¡', questiondown: '¿', sterling: '£', yen: '¥', cent: '¢', Euro: '€',
+  copyright: '©', registered: '®', trademark: '™', degree: '°', perthousand: '‰',
+  acute: '´', circumflex: 'ˆ', tilde: '˜', dieresis: '¨', macron: '¯', breve: '˘', dotaccent: '˙',
+  ring: '˚', cedilla: '¸', hungarumlaut: '˝', ogonek: '˛', caron: 'ˇ', visiblespace: '␣',
+  minus: '−', multiply: '×', divide: '÷', plusminus: '±', minusplus: '∓', infinity: '∞',
+  partialdiff: '∂', summation: '∑', product: '∏', integral: '∫', radical: '√', nabla: '∇',
+  approxequal: '≈', notequal: '≠', lessequal: '≤', greaterequal: '≥', equivalence: '≡',
+  similar: '∼', proportional: '∝', element: '∈', arrowright: '→', arrowleft: '←', arrowup: '↑',
+  arrowdown: '↓', arrowboth: '↔', arrowdblright: '⇒', arrowdblleft: '⇐', arrowdblboth: '⇔',
+  lessmuch: '≪', greatermuch: '≫', asteriskmath: '∗', prime: '′', angbracketleft: '⟨',
+  angbracketright: '⟩', periodcentered1: '·', planckover2pi1: 'ℏ', planckover2pi: 'ℏ', hbar: 'ℏ',
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', epsilon1: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', theta1: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ',
+  omicron: 'ο', pi: 'π', pi1: 'ϖ', rho: 'ρ', rho1: 'ϱ', sigma: 'σ', sigma1: 'ς', tau: 'τ',
+  upsilon: 'υ', phi: 'ϕ', phi1: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Alpha: 'Α', Beta: 'Β', Gamma: 'Γ', Delta: 'Δ', Epsilon: 'Ε', Zeta: 'Ζ', Eta: 'Η', Theta: 'Θ',
+  Iota: 'Ι', Kappa: 'Κ', Lambda: 'Λ', Mu: 'Μ', Nu: 'Ν', Xi: 'Ξ', Omicron: 'Ο', Pi: 'Π',
+  Rho: 'Ρ', Sigma: 'Σ', Tau: 'Τ', Upsilon: 'Υ', Phi: 'Φ', Chi: 'Χ', Psi: 'Ψ', Omega: 'Ω',
+};
+
+/**
+ * Combining characters of accent suffixes in glyph names, e.g. 'eacute'
+ * @type {Object.<string, string>}
+ */
+const ACCENT_SUFFIXES = {
+  acute: '\u0301', grave: '\u0300', circumflex: '\u0302', dieresis: '\u0308', tilde: '\u0303',
+  ring: '\u030A', cedilla: '\u0327', caron: '\u030C', macron: '\u0304', breve: '\u0306',
+  dotaccent: '\u0307', ogonek: '\u0328', hungarumlaut: '\u030B',
+};
+
+const windows1252 = new TextDecoder('windows-1252');
+const macRoman = new TextDecoder('macintosh');
+
+/**
+ * Text of a glyph name
+ * @param {string} name - Glyph name, e.g. 'A', 'fi', 'eacute', 'uni03B1' or 'f_f_i'
+ * @returns {string} Text, or '' for unknown names
+ * @example
+ * glyphToUnicode('eacute') // => 'é'
+ * glyphToUnicode('uni03B1') // => 'α'
+ */
+function glyphToUnicode(name) {
+  const base = name.split('.')[0];
+  if (base in GLYPH_NAMES) return GLYPH_NAMES[base];
+  if (/^[A-Za-z]$/.test(base)) return base;
+
+  if (base.includes('_')) {
+    return base.split('_').map(glyphToUnicode).join('');
+  }
+
+  const uni = base.match(/^uni((?:[0-9A-F]{4})+)$/);
+  if (uni) {
+    return uni[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  }
+  const u = base.match(/^u([0-9A-F]{4,6})$/);
+  if (u) {
+    return String.fromCodePoint(parseInt(u[1], 16));
+  }
+
+  const accented = base.match(/^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|ring|cedilla|caron|macron|breve|dotaccent|ogonek|hungarumlaut)$/);
+  if (accented) {
+    return `${accented[1]}${ACCENT_SUFFIXES[accented[2]]}`.normalize('NFC');
+  }
+
+  return '';
+}
+
+/**
+ * Text of a character code in a base encoding
+ * @param {string} encoding - 'StandardEncoding', 'WinAnsiEncoding' or 'MacRomanEncoding'
+ * @param {number} code - Character code (0-255)
+ * @returns {string} Text, or '' for unassigned codes
+ */
+function decodeBaseEncoding(encoding, code) {
+  if (code < 0x20) return '';
+
+  switch (encoding) {
+    case 'WinAnsiEncoding':
+      return windows1252.decode(Uint8Array.of(code));
+    case 'MacRomanEncoding':
+      return macRoman.decode(Uint8Array.of(code));
+    default:
+      if (code in STANDARD_DIFFERENCES) return STANDARD_DIFFERENCES[code];
+      if (code === 0x7f || (code >= 0x80 && code < 0xa0) || STANDARD_UNDEFINED.has(code)) return '';
+      return String.fromCharCode(code);
+  }
+}
+
+/**
+ * PDFDocEncoding positions that differ from Latin-1
+ * @type {Object.<number, string>}
+ */
+const PDF_DOC_DIFFERENCES = {
+  0x80: '•', 0x81: '†', 0x82: '‡', 0x83: '…', 0x84: '—', 0x85: '–', 0x86: 'ƒ', 0x87: '⁄',
+  0x88: '‹', 0x89: '›', 0x8a: '−', 0x8b: '‰', 0x8c: '„', 0x8d: '“', 0x8e: '”', 0x8f: '‘',
+  0x90: '’', 0x91: '‚', 0x92: '™', 0x93: 'ﬁ', 0x94: 'ﬂ', 0x95: 'Ł', 0x96: 'Œ', 0x97: 'Š',
+  0x98: 'Ÿ', 0x99: 'Ž', 0x9a: 'ı', 0x9b: 'ł', 0x9c: 'œ', 0x9d: 'š', 0x9e: 'ž', 0xa0: '€',
+};
+
+/**
+ * Decode a PDF text string (document info, outlines)
+ * @param {Buffer} bytes - String bytes
+ * @returns {string} Text
+ */
+function decodeTextString(bytes) {
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    const swapped = Buffer.from(bytes.subarray(2, bytes.length - (bytes.length % 2)));
+    return swapped.swap16().toString('utf16le');
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return bytes.subarray(3).toString('utf-8');
+  }
+  return Array.from(bytes, byte => PDF_DOC_DIFFERENCES[byte] || String.fromCharCode(byte)).join('');
+}
+
+module.exports = {
+  glyphToUnicode,
+  decodeBaseEncoding,
+  decodeTextString,
+};
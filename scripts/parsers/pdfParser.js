@@ -0,0 +1,998 @@
+/**
+ * @fileoverview PDF text and metadata extraction
+ * @module parsers/pdfParser
+ *
+ * A small PDF reader in plain JavaScript (zlib is the only thing it
+ * needs). Objects are found by scanning the file rather than through the
+ * cross-reference table, which also copes with files whose offsets are
+ * off; compressed object streams are read as well. Text is taken from
+ * page content streams in drawing order, which is reading order for the
+ * TeX-generated documents of the book, and decoded with the fonts'
+ * ToUnicode maps or encodings.
+ */
+
+const zlib = require('zlib');
+const { glyphToUnicode, decodeBaseEncoding, decodeTextString } = require('./pdfEncodings');
+
+/**
+ * @typedef {Object} PdfInfo
+ * @property {string|null} title - Document title
+ * @property {string|null} author - Author
+ * @property {string|null} subject - Subject
+ * @property {string|null} keywords - Keywords
+ * @property {string|null} creator - Application that created the original document
+ * @property {string|null} producer - Application that wrote the PDF
+ * @property {string|null} creationDate - Creation date as ISO 8601
+ * @property {string|null} modDate - Modification date as ISO 8601
+ */
+
+/**
+ * @typedef {Object} PdfDocument
+ * @property {string} version - PDF version, e.g. '1.5'
+ * @property {number} pageCount - Number of pages
+ * @property {PdfInfo} info - Document information
+ * @property {boolean} encrypted - Whether the file is encrypted (text and info are then not read)
+ * @property {boolean} scanned - Whether the pages are images without a text layer
+ * @property {string[]} pages - Text of each page
+ */
+
+/** A string object; its bytes are decoded by the font or as a text string */
+class PdfString {
+  /** @param {Buffer} bytes - String bytes */
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+class PdfRef {
+  /**
+   * @param {number} num - Object number
+   * @param {number} gen - Generation number
+   */
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfStream {
+  /**
+   * @param {Object} dict - Stream dictionary
+   * @param {Buffer} data - Raw (encoded) data
+   */
+  constructor(dict, data) {
+    this.dict = dict;
+    this.data = data;
+  }
+}
+
+class PdfOperator {
+  /** @param {string} name - Operator or keyword */
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+/**
+ * Names are represented as JavaScript strings
+ * @param {*} value - Parsed value
+ * @returns {boolean} True for dictionaries
+ */
+function isDict(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+/**
+ * Combining forms of the spacing accents TeX draws as separate glyphs before a letter
+ * @type {Object.<string, string>}
+ */
+const SPACING_ACCENTS = {
+  '\u00A8': '\u0308', '\u00B4': '\u0301', '\u02C6': '\u0302', '\u02DC': '\u0303', '\u02C7': '\u030C',
+  '\u02D8': '\u0306', '\u02D9': '\u0307', '\u02DA': '\u030A', '\u00AF': '\u0304', '\u02DD': '\u030B',
+};
+const SPACING_ACCENT_PATTERN = new RegExp(`([${Object.keys(SPACING_ACCENTS).join('')}])(\\p{L})`, 'gu');
+
+const WHITESPACE = new Set(['\0', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+/**
+ * Tokenizer and object parser over a Latin-1 view of PDF bytes
+ * @private
+ */
+class Lexer {
+  /**
+   * @param {string} text - Bytes as a Latin-1 string
+   * @param {number} [pos=0] - Start position
+   */
+  constructor(text, pos = 0) {
+    this.text = text;
+    this.pos = pos;
+  }
+
+  /** Skip whitespace and comments */
+  skipSpace() {
+    const { text } = this;
+    while (this.pos < text.length) {
+      const ch = text[this.pos];
+      if (WHITESPACE.has(ch)) {
+        this.pos++;
+      } else if (ch === '%') {
+        while (this.pos < text.length && text[this.pos] !== '\n' && text[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read a regular token (number, keyword or name body)
+   * @returns {string} Token
+   */
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.text.length && !WHITESPACE.has(this.text[this.pos]) && !DELIMITERS.has(this.text[this.pos])) {
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos);
+  }
+
+  /**
+   * Whether the input is exhausted
+   * @returns {boolean} True at the end
+   */
+  atEnd() {
+    this.skipSpace();
+    return this.pos >= this.text.length;
+  }
+
+  /**
+   * Parse the next object
+   * @returns {*} Number, boolean, null, name (string), PdfString, PdfRef, array, dictionary or PdfOperator
+   * @throws {Error} At the end of input or on a stray delimiter
+   */
+  parse() {
+    this.skipSpace();
+    const { text } = this;
+    const ch = text[this.pos];
+
+    if (ch === undefined) {
+      throw new Error('unexpected end of data');
+    }
+    if (ch === '/') {
+      this.pos++;
+      return this.readRegular().replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    if (ch === '(') {
+      return this.parseLiteralString();
+    }
+    if (ch === '<' && text[this.pos + 1] === '<') {
+      this.pos += 2;
+      const dict = {};
+      for (;;) {
+        this.skipSpace();
+        if (text.startsWith('>>', this.pos) || this.pos >= text.length) break;
+        const key = this.parse();
+        const value = this.parse();
+        if (typeof key === 'string') dict[key] = value;
+      }
+      this.pos += 2;
+      return dict;
+    }
+    if (ch === '<') {
+      const end = text.indexOf('>', this.pos);
+      const hex = text.slice(this.pos + 1, end < 0 ? text.length : end).replace(/[^0-9A-Fa-f]/g, '');
+      this.pos = end < 0 ? text.length : end + 1;
+      return new PdfString(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex'));
+    }
+    if (ch === '[') {
+      this.pos++;
+      const array = [];
+      for (;;) {
+        this.skipSpace();
+        if (text[this.pos] === ']' || this.pos >= text.length) break;
+        array.push(this.parse());
+      }
+      this.pos++;
+      return array;
+    }
+    if (ch === '{' || ch === '}') {
+      this.pos++;
+      return new PdfOperator(ch);
+    }
+    if (DELIMITERS.has(ch)) {
+      this.pos++;
+      throw new Error(`unexpected '${ch}'`);
+    }
+
+    const token = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      if (/^\d+$/.test(token)) {
+        const ref = /^\s+(\d+)\s+R(?=[\s/<>[\]()%]|$)/.exec(text.slice(this.pos, this.pos + 32));
+        if (ref) {
+          this.pos += ref[0].length;
+          return new PdfRef(Number(token), Number(ref[1]));
+        }
+      }
+      return Number(token);
+    }
+    if (token === 'true' || token === 'false') return token === 'true';
+    if (token === 'null') return null;
+    return new PdfOperator(token);
+  }
+
+  /**
+   * Parse a literal string with escapes and balanced parentheses
+   * @returns {PdfString} String
+   */
+  parseLiteralString() {
+    const { text } = this;
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    let out = '';
+    let depth = 1;
+    this.pos++;
+
+    while (this.pos < text.length) {
+      const ch = text[this.pos++];
+      if (ch === '\\') {
+        const next = text[this.pos++];
+        if (next in escapes) {
+          out += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          const octal = next + (text.slice(this.pos, this.pos + 2).match(/^[0-7]{0,2}/)[0]);
+          this.pos += octal.length - 1;
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (text[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n') {
+          out += next;
+        }
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        out += ch;
+      } else if (ch === '\r') {
+        if (text[this.pos] === '\n') this.pos++;
+        out += '\n';
+      } else {
+        out += ch;
+      }
+    }
+
+    return new PdfString(Buffer.from(out, 'latin1'));
+  }
+}
+
+/**
+ * Undo the PNG predictors of a decoded stream
+ * @param {Buffer} data - Decoded data
+ * @param {Object} parms - Decode parameters
+ * @returns {Buffer} Data without predictors
+ */
+function removePredictor(data, parms) {
+  const predictor = parms.Predictor || 1;
+  if (predictor < 10) {
+    return data;
+  }
+
+  const colors = parms.Colors || 1;
+  const bytesPerPixel = Math.ceil((colors * (parms.BitsPerComponent || 8)) / 8);
+  const rowLength = Math.ceil((colors * (parms.BitsPerComponent || 8) * (parms.Columns || 1)) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = Buffer.alloc(rows * rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * (rowLength + 1)];
+    for (let i = 0; i < rowLength; i++) {
+      const raw = data[row * (rowLength + 1) + 1 + i];
+      const left = i >= bytesPerPixel ? out[row * rowLength + i - bytesPerPixel] : 0;
+      const up = row > 0 ? out[(row - 1) * rowLength + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? out[(row - 1) * rowLength + i - bytesPerPixel] : 0;
+      let value;
+      switch (filter) {
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + Math.floor((left + up) / 2); break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+          break;
+        }
+        default: value = raw;
+      }
+      out[row * rowLength + i] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode ASCII85 data
+ * @param {Buffer} data - Encoded data
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeAscii85(data) {
+  const text = data.toString('latin1').replace(/\s+/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  const out = [];
+  let group = [];
+
+  const flush = (length) => {
+    while (group.length < 5) group.push(84);
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    for (let i = 0; i < length - 1; i++) out.push((value >>> (24 - 8 * i)) & 0xff);
+    group = [];
+  };
+
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) flush(5);
+  }
+  if (group.length > 0) flush(group.length);
+
+  return Buffer.from(out);
+}
+
+/**
+ * Create a PDF parser
+ * @returns {Object} Parser with a parse() method
+ * @example
+ * const pdfParser = createPdfParser();
+ * const pdf = pdfParser.parse(fs.readFileSync('Chapt8Fig15.pdf'));
+ * pdf.pageCount  // => 6
+ * pdf.info.title // => 'Screened vs Unscreened Coulomb Scattering'
+ */
+function createPdfParser() {
+  return {
+    /**
+     * Parse a PDF file
+     * @param {Buffer} buffer - File bytes
+     * @returns {PdfDocument} Page count, information and text
+     * @throws {Error} If the data is not a PDF or has no page tree
+     */
+    parse(buffer) {
+      const text = buffer.toString('latin1');
+      const header = text.slice(0, 1024).match(/%PDF-(\d\.\d)/);
+      if (!header) {
+        throw new Error('not a PDF file (no %PDF header)');
+      }
+
+      const doc = this.readObjects(buffer, text);
+      const catalog = doc.resolve(doc.trailer.Root);
+      const encrypted = doc.trailer.Encrypt !== undefined;
+
+      if (!isDict(catalog)) {
+        throw new Error(encrypted ? 'encrypted and without a readable catalog' : 'no document catalog found');
+      }
+
+      const pageNodes = this.collectPages(doc, doc.resolve(catalog.Pages));
+      if (pageNodes.length === 0) {
+        throw new Error('no pages found');
+      }
+
+      const version = typeof catalog.Version === 'string' && catalog.Version > header[1] ? catalog.Version : header[1];
+      const info = encrypted ? this.readInfo(doc, null) : this.readInfo(doc, doc.resolve(doc.trailer.Info));
+
+      if (encrypted) {
+        return { version, pageCount: pageNodes.length, info, encrypted, scanned: false, pages: [] };
+      }
+
+      let hasImages = false;
+      const pages = pageNodes.map(({ page, resources }) => {
+        const result = this.extractPageText(doc, page, resources);
+        hasImages = hasImages || result.hasImages;
+        return result.text;
+      });
+
+      return {
+        version,
+        pageCount: pageNodes.length,
+        info,
+        encrypted,
+        scanned: hasImages && pages.every(page => page.trim() === ''),
+        pages,
+      };
+    },
+
+    /**
+     * Find every object in the file, including those in object streams
+     * @param {Buffer} buffer - File bytes
+     * @param {string} text - File bytes as Latin-1
+     * @returns {{objects: Map<number, *>, trailer: Object, resolve: Function, decode: Function}} Document access
+     * @private
+     */
+    readObjects(buffer, text) {
+      const objects = new Map();
+      const trailers = [];
+      const lexer = new Lexer(text);
+      const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+      let match;
+
+      while ((match = pattern.exec(text)) !== null) {
+        lexer.pos = pattern.lastIndex;
+        let value;
+        try {
+          value = lexer.parse();
+        } catch (e) {
+          continue;
+        }
+
+        lexer.skipSpace();
+        if (isDict(value) && text.startsWith('stream', lexer.pos)) {
+          let start = lexer.pos + 'stream'.length;
+          if (text[start] === '\r') start++;
+          if (text[start] === '\n') start++;
+
+          let end = typeof value.Length === 'number' ? start + value.Length : -1;
+          if (end < 0 || !/^\s*endstream/.test(text.slice(end, end + 20))) {
+            const found = text.indexOf('endstream', start);
+            end = found < 0 ? text.length : found;
+            if (text[end - 1] === '\n') end--;
+            if (text[end - 1] === '\r') end--;
+          }
+          value = new PdfStream(value, buffer.subarray(start, end));
+          pattern.lastIndex = end;
+          if (value.dict.Type === 'XRef') trailers.push({ pos: match.index, dict: value.dict });
+        }
+
+        objects.set(Number(match[1]), value);
+      }
+
+      const trailerPattern = /trailer\s*<</g;
+      while ((match = trailerPattern.exec(text)) !== null) {
+        try {
+          trailers.push({ pos: match.index, dict: new Lexer(text, match.index + 'trailer'.length).parse() });
+        } catch (e) {
+          // A damaged trailer; later ones or the XRef stream may do
+        }
+      }
+
+      const doc = {
+        objects,
+        trailer: Object.assign({}, ...trailers.sort((a, b) => a.pos - b.pos).map(entry => entry.dict)),
+        resolve: (value) => {
+          for (let depth = 0; value instanceof PdfRef && depth < 32; depth++) {
+            value = objects.has(value.num) ? objects.get(value.num) : null;
+          }
+          return value === undefined ? null : value;
+        },
+        decode: stream => this.decodeStream(doc, stream),
+      };
+
+      // Objects in object streams; objects defined directly in the file take precedence
+      for (const value of Array.from(objects.values())) {
+        if (!(value instanceof PdfStream) || value.dict.Type !== 'ObjStm') continue;
+        const data = doc.decode(value);
+        if (!data) continue;
+
+        const content = data.toString('latin1');
+        const index = new Lexer(content);
+        const entries = [];
+        for (let i = 0; i < (value.dict.N || 0); i++) {
+          try {
+            entries.push([index.parse(), index.parse()]);
+          } catch (e) {
+            break;
+          }
+        }
+        for (const [num, offset] of entries) {
+          if (objects.has(num)) continue;
+          try {
+            objects.set(num, new Lexer(content, (value.dict.First || 0) + offset).parse());
+          } catch (e) {
+            // Skip unreadable entries
+          }
+        }
+      }
+
+      if (!doc.trailer.Root) {
+        for (const [num, value] of objects) {
+          if (isDict(value) && value.Type === 'Catalog') {
+            doc.trailer.Root = new PdfRef(num, 0);
+          }
+        }
+      }
+
+      return doc;
+    },
+
+    /**
+     * Decode stream data through its filters
+     * @param {Object} doc - Document access
+     * @param {PdfStream} stream - Stream
+     * @returns {Buffer|null} Decoded data, or null for image or unsupported filters
+     * @private
+     */
+    decodeStream(doc, stream) {
+      const filters = [].concat(doc.resolve(stream.dict.Filter) || []);
+      const parms = [].concat(doc.resolve(stream.dict.DecodeParms) || []);
+      let data = stream.data;
+
+      for (let i = 0; i < filters.length; i++) {
+        const parm = doc.resolve(parms[i]) || {};
+        switch (filters[i]) {
+          case 'FlateDecode':
+          case 'Fl':
+            try {
+              data = zlib.inflateSync(data);
+            } catch (e) {
+              // Truncated streams are common; keep what inflates
+              try {
+                data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+              } catch (inner) {
+                return null;
+              }
+            }
+            data = removePredictor(data, parm);
+            break;
+          case 'ASCIIHexDecode':
+          case 'AHx': {
+            const hex = data.toString('latin1').replace(/>.*$/s, '').replace(/[^0-9A-Fa-f]/g, '');
+            data = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+            break;
+          }
+          case 'ASCII85Decode':
+          case 'A85':
+            data = decodeAscii85(data);
+            break;
+          default:
+            return null;
+        }
+      }
+      return data;
+    },
+
+    /**
+     * Collect the leaf pages of the page tree with their inherited resources
+     * @param {Object} doc - Document access
+     * @param {Object} root - Root page tree node
+     * @returns {Array<{page: Object, resources: Object}>} Pages in order
+     * @private
+     */
+    collectPages(doc, root) {
+      const pages = [];
+      const visited = new Set();
+
+      const walk = (node, inherited) => {
+        if (!isDict(node) || visited.has(node)) return;
+        visited.add(node);
+
+        const resources = doc.resolve(node.Resources) || inherited;
+        const kids = doc.resolve(node.Kids);
+        if (Array.isArray(kids) && node.Type !== 'Page') {
+          kids.forEach(kid => walk(doc.resolve(kid), resources));
+        } else {
+          pages.push({ page: node, resources: resources || {} });
+        }
+      };
+
+      walk(root, null);
+      return pages;
+    },
+
+    /**
+     * Read the document information dictionary
+     * @param {Object} doc - Document access
+     * @param {Object|null} dict - Info dictionary
+     * @returns {PdfInfo} Information
+     * @private
+     */
+    readInfo(doc, dict) {
+      const text = (key) => {
+        const value = dict ? doc.resolve(dict[key]) : null;
+        if (!(value instanceof PdfString)) return null;
+        const decoded = decodeTextString(value.bytes).replace(/\0/g, '').trim();
+        return decoded || null;
+      };
+      const date = (key) => {
+        const value = text(key);
+        const match = value && value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz]|[+-]\d{2}'?\d{2}'?)?/);
+        if (!match) return null;
+
+        const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+        const offset = !zone || /z/i.test(zone) ? (zone ? 'Z' : '') : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}`;
+        return `${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`;
+      };
+
+      return {
+        title: text('Title'),
+        author: text('Author'),
+        subject: text('Subject'),
+        keywords: text('Keywords'),
+        creator: text('Creator'),
+        producer: text('Producer'),
+        creationDate: date('CreationDate'),
+        modDate: date('ModDate'),
+      };
+    },
+
+    /**
+     * Extract the text of a page
+     * @param {Object} doc - Document access
+     * @param {Object} page - Page dictionary
+     * @param {Object} resources - Page resources
+     * @returns {{text: string, hasImages: boolean}} Page text and whether the page draws images
+     * @private
+     */
+    extractPageText(doc, page, resources) {
+      const contents = [].concat(doc.resolve(page.Contents) || [])
+        .map(item => doc.resolve(item))
+        .filter(item => item instanceof PdfStream)
+        .map(stream => doc.decode(stream))
+        .filter(Boolean);
+
+      const output = { text: '', hasImages: false, last: null, fonts: new Map() };
+      this.runContent(doc, Buffer.concat(contents.flatMap(data => [data, Buffer.from('\n')])), resources, [1, 0, 0, 1, 0, 0], output, 0);
+
+      const text = output.text
+        .replace(SPACING_ACCENT_PATTERN, (_, accent, letter) => `${letter}${SPACING_ACCENTS[accent]}`.normalize('NFC'))
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+      return { text, hasImages: output.hasImages };
+    },
+
+    /**
+     * Interpret a content stream, appending its text to the output
+     * @param {Object} doc - Document access
+     * @param {Buffer} data - Decoded content stream
+     * @param {Object} resources - Resources of the stream
+     * @param {number[]} ctm - Current transformation matrix
+     * @param {Object} output - Text output and layout state
+     * @param {number} depth - Form XObject nesting depth
+     * @private
+     */
+    runContent(doc, data, resources, ctm, output, depth) {
+      const lexer = new Lexer(data.toString('latin1'));
+      const fonts = doc.resolve(resources.Font) || {};
+      const xobjects = doc.resolve(resources.XObject) || {};
+      const stack = [];
+      let gs = { ctm, font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+      let tm = [1, 0, 0, 1, 0, 0];
+      let lm = tm;
+      let operands = [];
+
+      const moveLine = (tx, ty) => {
+        lm = multiply([1, 0, 0, 1, tx, ty], lm);
+        tm = lm;
+      };
+      const show = (string) => {
+        if (!gs.font || !(string instanceof PdfString)) return;
+        const trm = multiply(tm, gs.ctm);
+        this.place(output, apply(trm, 0, 0), gs.size * Math.hypot(trm[2], trm[3]));
+
+        for (const { text, width, isSpace } of gs.font.decode(string.bytes)) {
+          output.text += text;
+          const advance = (width * gs.size + gs.charSpacing + (isSpace ? gs.wordSpacing : 0)) * gs.scale;
+          tm = multiply([1, 0, 0, 1, advance, 0], tm);
+        }
+        output.last.end = apply(multiply(tm, gs.ctm), 0, 0);
+      };
+
+      while (!lexer.atEnd()) {
+        let token;
+        try {
+          token = lexer.parse();
+        } catch (e) {
+          operands = [];
+          continue;
+        }
+        if (!(token instanceof PdfOperator)) {
+          operands.push(token);
+          continue;
+        }
+
+        const args = operands;
+        operands = [];
+        switch (token.name) {
+          case 'q':
+            stack.push(gs);
+            gs = { ...gs };
+            break;
+          case 'Q':
+            if (stack.length > 0) gs = stack.pop();
+            break;
+          case 'cm':
+            if (args.length === 6) gs.ctm = multiply(args, gs.ctm);
+            break;
+          case 'BT':
+            tm = [1, 0, 0, 1, 0, 0];
+            lm = tm;
+            break;
+          case 'Tf':
+            gs.font = this.loadFont(doc, fonts[args[0]], output.fonts);
+            gs.size = Number(args[1]) || 0;
+            break;
+          case 'Tc': gs.charSpacing = Number(args[0]) || 0; break;
+          case 'Tw': gs.wordSpacing = Number(args[0]) || 0; break;
+          case 'Tz': gs.scale = (Number(args[0]) || 100) / 100; break;
+          case 'TL': gs.leading = Number(args[0]) || 0; break;
+          case 'Ts': gs.rise = Number(args[0]) || 0; break;
+          case 'Td':
+            moveLine(Number(args[0]) || 0, Number(args[1]) || 0);
+            break;
+          case 'TD':
+            gs.leading = -(Number(args[1]) || 0);
+            moveLine(Number(args[0]) || 0, Number(args[1]) || 0);
+            break;
+          case 'Tm':
+            if (args.length === 6) {
+              tm = args.map(Number);
+              lm = tm;
+            }
+            break;
+          case 'T*':
+            moveLine(0, -gs.leading);
+            break;
+          case 'Tj':
+            show(args[0]);
+            break;
+          case "'":
+            moveLine(0, -gs.leading);
+            show(args[0]);
+            break;
+          case '"':
+            gs.wordSpacing = Number(args[0]) || 0;
+            gs.charSpacing = Number(args[1]) || 0;
+            moveLine(0, -gs.leading);
+            show(args[2]);
+            break;
+          case 'TJ':
+            for (const item of Array.isArray(args[0]) ? args[0] : []) {
+              if (typeof item === 'number') {
+                tm = multiply([1, 0, 0, 1, (-item / 1000) * gs.size * gs.scale, 0], tm);
+              } else {
+                show(item);
+              }
+            }
+            break;
+          case 'Do': {
+            const xobject = doc.resolve(xobjects[args[0]]);
+            if (!(xobject instanceof PdfStream)) break;
+            if (xobject.dict.Subtype === 'Image') {
+              output.hasImages = true;
+            } else if (xobject.dict.Subtype === 'Form' && depth < 8) {
+              const form = doc.decode(xobject);
+              const matrix = Array.isArray(xobject.dict.Matrix) ? xobject.dict.Matrix : [1, 0, 0, 1, 0, 0];
+              if (form) {
+                this.runContent(doc, form, doc.resolve(xobject.dict.Resources) || resources, multiply(matrix, gs.ctm), output, depth + 1);
+              }
+            }
+            break;
+          }
+          case 'BI': {
+            output.hasImages = true;
+            const end = /\sEI(?=\s|$)/g;
+            end.lastIndex = lexer.pos;
+            const found = end.exec(lexer.text);
+            lexer.pos = found ? end.lastIndex : lexer.text.length;
+            break;
+          }
+          default:
+            break;
+        }
+      }
+    },
+
+    /**
+     * Separate the next run of text from the previous one
+     * Runs further down start a new line (a blank line for larger gaps);
+     * runs on the same line get a space when there is a visible gap.
+     * @param {Object} output - Text output and layout state
+     * @param {{x: number, y: number}} start - Start of the run in device space
+     * @param {number} size - Font size in device space
+     * @private
+     */
+    place(output, start, size) {
+      const { last } = output;
+      if (last && last.end) {
+        const lineHeight = Math.max(last.size, size, 1);
+        const dy = last.y - start.y;
+
+        if (Math.abs(dy) > lineHeight * 0.6 || start.x < last.end.x - lineHeight * 2) {
+          output.text += dy > lineHeight * 2.2 ? '\n\n' : '\n';
+        } else if (start.x - last.end.x > lineHeight * 0.15 && !/\s$/.test(output.text)) {
+          output.text += ' ';
+        }
+      }
+      output.last = { y: start.y, size, end: null };
+    },
+
+    /**
+     * Load a font, cached per page
+     * @param {Object} doc - Document access
+     * @param {*} ref - Font reference from the resources
+     * @param {Map} cache - Loaded fonts
+     * @returns {Object|null} Font with a decode(bytes) method, or null
+     * @private
+     */
+    loadFont(doc, ref, cache) {
+      const key = ref instanceof PdfRef ? ref.num : ref;
+      if (cache.has(key)) return cache.get(key);
+
+      const dict = doc.resolve(ref);
+      const font = isDict(dict) ? this.createFont(doc, dict) : null;
+      cache.set(key, font);
+      return font;
+    },
+
+    /**
+     * Build the decoder of a font
+     * @param {Object} doc - Document access
+     * @param {Object} dict - Font dictionary
+     * @returns {Object} Font with a decode(bytes) method returning glyphs
+     * @private
+     */
+    createFont(doc, dict) {
+      const toUnicode = doc.resolve(dict.ToUnicode);
+      const cmap = toUnicode instanceof PdfStream ? this.parseCMap(doc.decode(toUnicode)) : null;
+      const composite = dict.Subtype === 'Type0';
+
+      // Widths in thousandths of the font size
+      let widthOf;
+      if (composite) {
+        const descendant = doc.resolve([].concat(doc.resolve(dict.DescendantFonts) || [])[0]) || {};
+        const widths = new Map();
+        const w = doc.resolve(descendant.W) || [];
+        for (let i = 0; i < w.length;) {
+          const first = doc.resolve(w[i]);
+          const next = doc.resolve(w[i + 1]);
+          if (Array.isArray(next)) {
+            next.forEach((width, offset) => widths.set(first + offset, doc.resolve(width)));
+            i += 2;
+          } else {
+            for (let cid = first; cid <= next && cid - first < 65536; cid++) widths.set(cid, doc.resolve(w[i + 2]));
+            i += 3;
+          }
+        }
+        const fallback = typeof descendant.DW === 'number' ? descendant.DW : 1000;
+        widthOf = code => (widths.has(code) ? widths.get(code) : fallback);
+      } else {
+        const widths = doc.resolve(dict.Widths) || [];
+        const firstChar = dict.FirstChar || 0;
+        const descriptor = doc.resolve(dict.FontDescriptor) || {};
+        const missing = descriptor.MissingWidth || (widths.length > 0 ? 0 : 500);
+        const matrix = Array.isArray(dict.FontMatrix) && dict.Subtype === 'Type3' ? dict.FontMatrix[0] * 1000 : 1;
+        widthOf = (code) => {
+          const width = doc.resolve(widths[code - firstChar]);
+          return (typeof width === 'number' ? width : missing) * matrix;
+        };
+      }
+
+      // Text of codes the ToUnicode map does not cover
+      let fallbackText = () => '';
+      if (!composite) {
+        const encoding = doc.resolve(dict.Encoding);
+        const base = typeof encoding === 'string' ? encoding
+          : isDict(encoding) && typeof encoding.BaseEncoding === 'string' ? encoding.BaseEncoding
+            : dict.Subtype === 'TrueType' ? 'WinAnsiEncoding' : 'StandardEncoding';
+        const differences = new Map();
+        let code = 0;
+        for (const item of (isDict(encoding) && doc.resolve(encoding.Differences)) || []) {
+          if (typeof item === 'number') code = item;
+          else if (typeof item === 'string') differences.set(code++, glyphToUnicode(item));
+        }
+        fallbackText = c => (differences.has(c) ? differences.get(c) : decodeBaseEncoding(base, c));
+      }
+
+      const codeLengths = cmap && cmap.codeLengths.length > 0 ? cmap.codeLengths : [composite ? 2 : 1];
+
+      return {
+        decode(bytes) {
+          const glyphs = [];
+          for (let i = 0; i < bytes.length;) {
+            const length = codeLengths.find(n => cmap && cmap.inRange(bytes, i, n)) || codeLengths[0];
+            let code = 0;
+            for (let j = 0; j < length; j++) code = code * 256 + (bytes[i + j] || 0);
+            i += length;
+
+            const text = cmap && cmap.map.has(code) ? cmap.map.get(code) : fallbackText(code);
+            glyphs.push({ code, text, width: widthOf(code) / 1000, isSpace: length === 1 && code === 32 });
+          }
+          return glyphs;
+        },
+      };
+    },
+
+    /**
+     * Parse a ToUnicode CMap
+     * @param {Buffer|null} data - Decoded CMap stream
+     * @returns {{map: Map<number, string>, codeLengths: number[], inRange: Function}|null} Code to text map
+     * @private
+     */
+    parseCMap(data) {
+      if (!data) return null;
+
+      const text = data.toString('latin1');
+      const map = new Map();
+      const ranges = [];
+      const hexToNumber = hex => parseInt(hex, 16);
+      const hexToText = hex => (hex.match(/[0-9A-Fa-f]{4}/g) || []).map(unit => String.fromCharCode(parseInt(unit, 16))).join('');
+
+      for (const [, body] of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+        for (const [, low, high] of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/g)) {
+          ranges.push({ length: low.length / 2, low: hexToNumber(low), high: hexToNumber(high) });
+        }
+      }
+      for (const [, body] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, src, dst] of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+          map.set(hexToNumber(src), hexToText(dst));
+        }
+      }
+      for (const [, body] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, low, high, dst, list] of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]*)>|\[([^\]]*)\])/g)) {
+          const first = hexToNumber(low);
+          const last = Math.min(hexToNumber(high), first + 65535);
+          if (list !== undefined) {
+            (list.match(/<[0-9A-Fa-f]*>/g) || []).forEach((item, offset) => {
+              if (first + offset <= last) map.set(first + offset, hexToText(item.slice(1, -1)));
+            });
+          } else {
+            const start = hexToText(dst);
+            for (let code = first; code <= last && start; code++) {
+              const lastUnit = start.charCodeAt(start.length - 1) + (code - first);
+              map.set(code, start.slice(0, -1) + String.fromCharCode(lastUnit));
+            }
+          }
+        }
+      }
+
+      return {
+        map,
+        codeLengths: Array.from(new Set(ranges.map(range => range.length))).sort(),
+        inRange(bytes, pos, length) {
+          if (pos + length > bytes.length) return false;
+          let code = 0;
+          for (let j = 0; j < length; j++) code = code * 256 + bytes[pos + j];
+          return ranges.some(range => range.length === length && code >= range.low && code <= range.high);
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Multiply two transformation matrices
+ * @param {number[]} m1 - First matrix [a b c d e f]
+ * @param {number[]} m2 - Second matrix
+ * @returns {number[]} m1 × m2
+ */
+function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1.map(Number);
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + b1 * c2,
+    a1 * b2 + b1 * d2,
+    c1 * a2 + d1 * c2,
+    c1 * b2 + d1 * d2,
+    e1 * a2 + f1 * c2 + e2,
+    e1 * b2 + f1 * d2 + f2,
+  ];
+}
+
+/**
+ * Transform a point
+ * @param {number[]} m - Matrix
+ * @param {number} x - X
+ * @param {number} y - Y
+ * @returns {{x: number, y: number}} Transformed point
+ */
+function apply(m, x, y) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+module.exports = {
+  createPdfParser,
+};
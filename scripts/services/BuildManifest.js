@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Persisted build manifest for incremental generation
+ * @module services/BuildManifest
+ */
+
+const path = require('path');
+const { hashContent } = require('../utils/helpers');
+
+/**
+ * Manifest format version; bump when the file layout changes
+ * Changes to generated pages need no bump: they change the generator
+ * version (see config.getGeneratorVersion), which also discards the manifest.
+ * @type {number}
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} ManifestSource
+ * @property {string} path - Source path relative to the INBOX
+ * @property {string} hash - SHA-256 of the source bytes
+ */
+
+/**
+ * @typedef {Object} ManifestProgram
+ * @property {ManifestSource[]} sources - Source files of the program
+ * @property {string} generatorVersion - Generator version that produced the outputs
+ * @property {string} hash - Combined hash of the sources and generator version
+ * @property {string} contextHash - Hash of cross-program data shown on the index page
+ * @property {string[]} outputs - Files produced, relative to the project directory
+ * @property {Object} [results] - Octave run of the program, shown on its index page
+ */
+
+/**
+ * Tracks what each build produced so unchanged programs can be skipped
+ * The previous manifest is read once per run; the next one is built up
+ * while generating and replaces it on save().
+ */
+class BuildManifest {
+  /**
+   * Create a build manifest
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.config - Application configuration
+   * @param {Object} deps.fileSystem - File system interface
+   * @param {Object} deps.logger - Logger interface
+   */
+  constructor({ config, fileSystem, logger }) {
+    this.config = config;
+    this.fileSystem = fileSystem;
+    this.logger = logger;
+    this.previous = this.createEmpty();
+    this.next = this.createEmpty();
+  }
+
+  /**
+   * Create an empty manifest object
+   * @returns {Object} Manifest with no programs or pages
+   * @private
+   */
+  createEmpty() {
+    return {
+      version: MANIFEST_VERSION,
+      generatorVersion: this.config.generatorVersion,
+      settingsHash: this.getSettingsHash(),
+      programs: {},
+      pages: {},
+    };
+  }
+
+  /**
+   * Hash the settings that change generated pages
+   * @returns {string} Hex digest
+   * @private
+   */
+  getSettingsHash() {
+    const { chapterNames, fileTypes, nbviewerBaseUrl, githubRawBase } = this.config;
+    return hashContent(JSON.stringify({ chapterNames, fileTypes, nbviewerBaseUrl, githubRawBase }));
+  }
+
+  /**
+   * Load the manifest of the previous build
+   * A missing, unreadable or outdated manifest, or one written with other
+   * page settings, starts from an empty manifest so everything is regenerated.
+   * @returns {boolean} True if a usable previous manifest was loaded
+   */
+  load() {
+    this.previous = this.createEmpty();
+    this.next = this.createEmpty();
+
+    if (!this.fileSystem.exists(this.config.manifestPath)) {
+      return false;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(this.fileSystem.readFile(this.config.manifestPath));
+    } catch (e) {
+      this.logger.warn('Build manifest is unreadable, rebuilding everything');
+      return false;
+    }
+
+    if (!data ||
+      data.version !== MANIFEST_VERSION ||
+      data.generatorVersion !== this.config.generatorVersion ||
+      data.settingsHash !== this.getSettingsHash()) {
+      return false;
+    }
+
+    this.previous = {
+      ...this.createEmpty(),
+      programs: data.programs || {},
+      pages: data.pages || {},
+    };
+    return true;
+  }
+
+  /**
+   * Write the manifest of the current build
+   * @returns {boolean} True if successful
+   */
+  save() {
+    return this.fileSystem.writeFile(
+      this.config.manifestPath,
+      `${JSON.stringify(this.next, null, 2)}\n`
+    );
+  }
+
+  /**
+   * Get the previous build's entry for a program
+   * @param {string} programId - Program ID
+   * @returns {ManifestProgram|null} Entry or null
+   */
+  getProgram(programId) {
+    return this.previous.programs[programId] || null;
+  }
+
+  /**
+   * Get the outputs the previous build produced for a program
+   * @param {string} programId - Program ID
+   * @returns {string[]} Absolute output paths
+   */
+  getOutputs(programId) {
+    const entry = this.getProgram(programId);
+    return entry ? entry.outputs.map(output => this.toAbsolute(output)) : [];
+  }
+
+  /**
+   * Check whether a program's outputs are current
+   * @param {string} programId - Program ID
+   * @param {string} hash - Combined hash of the program's sources
+   * @returns {boolean} True if the hash matches and every output still exists;
+   *   always false for forced builds
+   */
+  isProgramUpToDate(programId, hash) {
+    const entry = this.getProgram(programId);
+    return !this.config.force &&
+      Boolean(entry) &&
+      entry.hash === hash &&
+      entry.outputs.every(output => this.fileSystem.exists(this.toAbsolute(output)));
+  }
+
+  /**
+   * Record a program in the current build
+   * @param {string} programId - Program ID
+   * @param {Object} entry - Program entry
+   * @param {ManifestSource[]} entry.sources - Source files
+   * @param {string} entry.hash - Combined source hash
+   * @param {string} entry.contextHash - Cross-program data hash
+   * @param {string[]} entry.outputs - Absolute output paths
+   * @param {Object} [entry.results] - Octave run of the program
+   */
+  recordProgram(programId, { sources, hash, contextHash, outputs, results }) {
+    this.next.programs[programId] = {
+      sources,
+      generatorVersion: this.config.generatorVersion,
+      hash,
+      contextHash,
+      outputs: outputs.map(output => this.toRelative(output)),
+      results,
+    };
+  }
+
+  /**
+   * Check whether a generated site-wide page is current
+   * @param {string} pagePath - Absolute page path
+   * @param {string} hash - Hash of the page content
+   * @returns {boolean} True if unchanged and still present; always false for forced builds
+   */
+  isPageUpToDate(pagePath, hash) {
+    return !this.config.force &&
+      this.previous.pages[this.toRelative(pagePath)] === hash && this.fileSystem.exists(pagePath);
+  }
+
+  /**
+   * Record a generated site-wide page in the current build
+   * @param {string} pagePath - Absolute page path
+   * @param {string} hash - Hash of the page content
+   */
+  recordPage(pagePath, hash) {
+    this.next.pages[this.toRelative(pagePath)] = hash;
+  }
+
+  /**
+   * List programs of the previous build that are no longer present
+   * @param {Iterable<string>} programIds - Program IDs of the current build
+   * @returns {string[]} Removed program IDs, sorted
+   */
+  getRemovedPrograms(programIds) {
+    const current = new Set(programIds);
+    return Object.keys(this.previous.programs).filter(id => !current.has(id)).sort();
+  }
+
+  /**
+   * Convert an absolute path to a manifest path
+   * @param {string} filePath - Absolute path
+   * @returns {string} Path relative to the project directory, with forward slashes
+   * @private
+   */
+  toRelative(filePath) {
+    return path.relative(this.config.projectDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Convert a manifest path to an absolute path
+   * @param {string} manifestPath - Path relative to the project directory
+   * @returns {string} Absolute path
+   * @private
+   */
+  toAbsolute(manifestPath) {
+    return path.join(this.config.projectDir, ...manifestPath.split('/'));
+  }
+}
+
+/**
+ * Create a build manifest instance
+ * @param {Object} deps - Dependencies
+ * @returns {BuildManifest} Manifest instance
+ */
+function createBuildManifest(deps) {
+  return new BuildManifest(deps);
+}
+
+module.exports = {
+  BuildManifest,
+  createBuildManifest,
+  MANIFEST_VERSION,
+};
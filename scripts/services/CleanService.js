@@ -27,6 +27,9 @@ class CleanService {
    */
   clean() {
     this.logger.info('\n🧹 Cleaning generated documentation...\n');
+    if (this.config.dryRun) {
+      this.logger.info('   🧪 Dry run: removals below are recorded, not made\n');
+    }
 
     const stats = {
       foldersRemoved: 0,
@@ -42,6 +45,9 @@ class CleanService {
     // Clean static/programs folder
     stats.foldersRemoved += this.cleanStaticFolder();
 
+    // Clean generated top-level pages
+    this.cleanGeneratedPages();
+
     // Print summary
     this.logger.info(`\n✨ Cleaned ${stats.foldersRemoved} folder(s)\n`);
 
@@ -112,6 +118,35 @@ class CleanService {
     return 0;
   }
 
+  /**
+   * Remove generated pages that live directly in docs/, the search index and the build manifest
+   * @private
+   */
+  cleanGeneratedPages() {
+    const graphPath = this.config.dependencyGraphPath;
+
+    if (graphPath && this.fileSystem.exists(graphPath)) {
+      if (this.fileSystem.removeFile(graphPath)) {
+        this.logger.info(`🗑️  Removed: docs/${this.fileSystem.getBaseName(graphPath)}.mdx`);
+      }
+    }
+
+    const { searchIndexPath } = this.config;
+    if (searchIndexPath && this.fileSystem.exists(searchIndexPath)) {
+      if (this.fileSystem.removeFile(searchIndexPath)) {
+        this.logger.info(`🗑️  Removed: static/${this.fileSystem.getBaseName(searchIndexPath)}.json`);
+      }
+    }
+
+    // Without its outputs the manifest is stale
+    const { manifestPath } = this.config;
+    if (manifestPath && this.fileSystem.exists(manifestPath)) {
+      if (this.fileSystem.removeFile(manifestPath)) {
+        this.logger.info(`🗑️  Removed: ${this.fileSystem.getBaseName(manifestPath)}.json`);
+      }
+    }
+  }
+
   /**
    * Clean only a specific chapter
    * @param {string} chapterNum - Chapter number to clean
@@ -4,6 +4,47 @@
  */
 
 const path = require('path');
+const { hashContent } = require('../utils/helpers');
+const { sortByTypeOrder, getFileFormat, getFormatLabel } = require('../config/fileTypes');
+const { decodeText } = require('../utils/textDecoder');
+const { renderAxesSvg } = require('../utils/svgPlot');
+
+/**
+ * @typedef {Object} ProgramRef
+ * @property {string} programId - Program ID
+ * @property {string} chapter - Chapter folder name
+ * @property {string} summary - Program summary
+ */
+
+/**
+ * @typedef {ProgramRef} DataFileRef
+ * @property {string} filename - Data file name
+ * @property {string} type - File type of the data file
+ * @property {string} format - Format of the data file, which names its detail page
+ * @property {string} access - 'read' or 'write'
+ */
+
+/**
+ * @typedef {Object} ProgramFormat
+ * @property {string} type - File type
+ * @property {string} format - Format, see {@link module:config/fileTypes.getFileFormat}
+ * @property {string} label - Format label
+ * @property {string} emoji - File type emoji
+ * @property {string} color - File type color
+ */
+
+/**
+ * Create a plain reference to another program, safe to serialize
+ * @param {Object} programInfo - Program information
+ * @returns {ProgramRef} Program reference
+ */
+function toProgramRef(programInfo) {
+  return {
+    programId: programInfo.programId,
+    chapter: programInfo.chapter,
+    summary: programInfo.summary,
+  };
+}
 
 /**
  * Main service for processing documents and generating documentation
@@ -18,22 +59,49 @@ class DocumentProcessor {
    * @param {Object} deps.parser - Program parser
    * @param {Object} deps.classifier - File classifier
    * @param {Object} deps.generatorFactory - Generator factory
+   * @param {Object} deps.matlabParser - MATLAB source parser
+   * @param {Object} deps.notebookParser - Jupyter notebook parser
+   * @param {Object} deps.latexConverter - LaTeX to MDX converter
+   * @param {Object} deps.pdfParser - PDF text and metadata reader
+   * @param {Object} deps.mediaParser - Image and video header reader
+   * @param {Object} deps.matParser - MAT-file and figure reader
+   * @param {Object} deps.dataParser - Tabular data file reader
+   * @param {Object} deps.manifest - Build manifest for incremental generation
+   * @param {Object} deps.orphanService - Orphaned output detection
+   * @param {Object} deps.octaveService - Program runner using a local GNU Octave
    */
-  constructor({ config, fileSystem, logger, parser, classifier, generatorFactory }) {
+  constructor({ config, fileSystem, logger, parser, classifier, generatorFactory, matlabParser, notebookParser, latexConverter, pdfParser, mediaParser, matParser, dataParser, manifest, orphanService, octaveService }) {
     this.config = config;
     this.fileSystem = fileSystem;
     this.logger = logger;
     this.parser = parser;
     this.classifier = classifier;
     this.generatorFactory = generatorFactory;
+    this.matlabParser = matlabParser;
+    this.notebookParser = notebookParser;
+    this.latexConverter = latexConverter;
+    this.pdfParser = pdfParser;
+    this.mediaParser = mediaParser;
+    this.matParser = matParser;
+    this.dataParser = dataParser;
+    this.manifest = manifest;
+    this.orphanService = orphanService;
+    this.octaveService = octaveService;
   }
 
   /**
    * Process all programs and generate documentation
+   * Programs whose sources and generator version match the previous build
+   * manifest are skipped unless config.force is set. Generated output whose
+   * source is gone is removed afterwards, or only reported with
+   * config.keepOrphans.
    * @returns {Object} Processing statistics
    */
   process() {
     this.logger.printHeader(this.config.version);
+    if (this.config.dryRun) {
+      this.logger.info('   🧪 Dry run: changes below are recorded, not written\n');
+    }
 
     const stats = this.initializeStats();
 
@@ -52,12 +120,27 @@ class DocumentProcessor {
     if (supportedFiles.length === 0) {
       this.logger.info('   No supported files found.');
       this.logger.info(`   Supported extensions: ${this.config.supportedExtensions.join(', ')}\n`);
+      this.generateSearchIndexFromPages();
       return stats;
     }
 
     // Group files by program
     this.groupFiles(supportedFiles, stats);
 
+    if (stats.collisions.length > 0 && this.config.collisionPolicy === 'fail') {
+      this.logger.printCollisions(stats.collisions);
+      this.logger.error(`${stats.collisions.length} program ID collision(s), nothing was generated.`);
+      this.logger.info('   Rename the files, or choose a policy with --on-collision <namespace|newest|suffix>.\n');
+      stats.failed = true;
+      return stats;
+    }
+
+    // Load the previous build manifest
+    this.manifest.load();
+    if (this.config.force) {
+      this.logger.info('   Forced rebuild: regenerating every program\n');
+    }
+
     // Generate documentation
     this.logger.printProcessing(stats.programFiles.size);
     this.generateDocumentation(stats);
@@ -65,12 +148,50 @@ class DocumentProcessor {
     // Generate sidebar
     this.generateSidebar(stats);
 
+    // Remove output whose source is gone
+    this.pruneOrphans(stats);
+
+    // Persist the manifest for the next build
+    stats.build.removed = this.manifest.getRemovedPrograms(stats.programFiles.keys());
+    if (!this.manifest.save()) {
+      this.logger.warn('Failed to write build manifest');
+    }
+
     // Print statistics
     this.printStatistics(stats);
 
     return stats;
   }
 
+  /**
+   * List generated output whose source no longer exists, without changing anything
+   * @returns {string[]} Orphaned paths relative to the project directory
+   */
+  audit() {
+    this.logger.info('\n🔍 Auditing generated output...\n');
+
+    if (!this.fileSystem.exists(this.config.inboxDir)) {
+      this.logger.error(`Source folder not found: ${this.config.inboxDir}`);
+      return [];
+    }
+
+    const stats = this.initializeStats();
+    const supportedFiles = this.scanFiles();
+    this.logger.printScanInfo(this.config.inboxDir, supportedFiles.length, this.config.recursive);
+    this.groupFiles(supportedFiles, stats);
+
+    if (stats.programFiles.size === 0) {
+      this.logger.warn('No programs in the source folder: all generated output is reported as orphaned');
+    }
+
+    const orphans = this.orphanService
+      .findOrphans(this.planOutputs(stats.programFiles), this.planAssetDirs(stats.programFiles))
+      .map(file => this.orphanService.toDisplayPath(file));
+
+    this.logger.printOrphans(orphans, 'found');
+    return orphans;
+  }
+
   /**
    * Initialize statistics object
    * @returns {Object} Empty stats object
@@ -83,7 +204,21 @@ class DocumentProcessor {
       utilities: 0,
       byChapter: new Map(),
       byType: new Map(),
+      byEncoding: new Map(),
       programFiles: new Map(),
+      warnings: [],
+      collisions: [],
+      failed: false,
+      orphans: {
+        files: [],
+        action: null,
+      },
+      build: {
+        generated: [],
+        refreshed: [],
+        unchanged: [],
+        removed: [],
+      },
     };
   }
 
@@ -106,11 +241,15 @@ class DocumentProcessor {
 
   /**
    * Group files by program ID
+   * Files of the same type that map to the same program ID (possible with
+   * recursive scans) are resolved first; see resolveCollisions().
    * @param {string[]} files - Array of file paths
    * @param {Object} stats - Statistics object to update
    * @private
    */
   groupFiles(files, stats) {
+    const entries = [];
+
     for (const filePath of files) {
       const filename = path.basename(filePath);
       const programInfo = this.parser.parse(filename);
@@ -128,6 +267,10 @@ class DocumentProcessor {
         continue;
       }
 
+      entries.push({ filename, filePath, config: this.classifyContent(filePath, config), programInfo });
+    }
+
+    for (const { filename, filePath, config, programInfo } of this.resolveCollisions(entries, stats)) {
       const { programId, chapterNum, isUtility } = programInfo;
 
       if (isUtility) {
@@ -155,105 +298,1110 @@ class DocumentProcessor {
       }
       stats.byType.set(config.type, stats.byType.get(config.type) + 1);
     }
+
+    // Files that share a type within a program get a detail page each
+    for (const { files } of stats.programFiles.values()) {
+      files.forEach((file) => {
+        file.format = getFileFormat(file, files);
+      });
+    }
+  }
+
+  /**
+   * Treat a text file that holds a numeric table as a data file
+   * Data inputs such as datainLI.txt keep their .txt extension, so their
+   * content decides; see {@link module:parsers/dataParser}.
+   * @param {string} filePath - File path relative to inbox
+   * @param {Object} config - File type config from the extension
+   * @returns {Object} Data file type config, or config unchanged
+   * @private
+   */
+  classifyContent(filePath, config) {
+    const dataConfig = this.classifier.getConfigByType('data');
+    if (config.type !== 'text' || !dataConfig) {
+      return config;
+    }
+
+    const buffer = this.fileSystem.readBuffer(this.fileSystem.join(this.config.inboxDir, filePath));
+    if (!buffer) {
+      return config;
+    }
+
+    const decoded = decodeText(buffer);
+    return !decoded.isBinary && this.dataParser.isTabular(decoded.text) ? dataConfig : config;
+  }
+
+  /**
+   * Apply the collision policy to files of the same type sharing a program ID
+   * Only files in different folders collide; files of one folder, such as
+   * Chapt2Fig3a.png and Chapt2Fig3a.svg, are formats of the same program.
+   *
+   * - fail: keep the files as they are; process() stops before writing
+   * - namespace: files in subfolders get the folder appended to their ID
+   * - newest: keep the files of the folder with the most recently
+   *   modified file, skip the others
+   * - suffix: the first folder by path keeps its ID, the others get a
+   *   suffix hashed from their folder
+   *
+   * IDs are renamed per folder, so a program's .m and .pdf in the same
+   * subfolder stay together. Every collision is recorded in stats.collisions.
+   * @param {Array<{filename: string, filePath: string, config: Object, programInfo: Object}>} entries - Parsed files
+   * @param {Object} stats - Statistics object to update
+   * @returns {Array} Entries to group, with renamed program info
+   * @private
+   */
+  resolveCollisions(entries, stats) {
+    const policy = this.config.collisionPolicy;
+    const folderOf = entry => {
+      const dir = path.dirname(entry.filePath).split(path.sep).join('/');
+      return dir === '.' ? '' : dir;
+    };
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = `${entry.programInfo.programId}\0${entry.config.type}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+
+    const renames = new Map();
+    const dropped = new Set();
+
+    for (const group of groups.values()) {
+      if (new Set(group.map(folderOf)).size < 2) continue;
+
+      // Top-level files first, then by path, so the outcome does not depend on scan order
+      group.sort((a, b) => (folderOf(a) ? 1 : 0) - (folderOf(b) ? 1 : 0) || a.filePath.localeCompare(b.filePath));
+
+      const { programId } = group[0].programInfo;
+      const first = folderOf(group[0]);
+      const newest = policy === 'newest' ? folderOf(this.findNewest(group)) : null;
+
+      const files = group.map((entry) => {
+        const folder = folderOf(entry);
+        let resolvedId = programId;
+
+        if (policy === 'namespace' && folder) {
+          resolvedId = `${programId}-${folder.replace(/[^A-Za-z0-9]+/g, '-')}`;
+        } else if (policy === 'suffix' && folder !== first) {
+          resolvedId = `${programId}-${hashContent(folder).slice(0, 8)}`;
+        } else if (policy === 'newest' && folder !== newest) {
+          resolvedId = null;
+        }
+
+        if (resolvedId === null) {
+          dropped.add(entry);
+        } else if (resolvedId !== programId) {
+          renames.set(`${folder}\0${programId}`, {
+            ...entry.programInfo,
+            programId: resolvedId,
+            displayName: `${entry.programInfo.displayName} (${folder || 'top level'})`,
+          });
+        }
+
+        return { path: entry.filePath.split(path.sep).join('/'), programId: resolvedId };
+      });
+
+      stats.collisions.push({ programId, type: group[0].config.type, policy, files });
+    }
+
+    return entries
+      .filter(entry => {
+        if (!dropped.has(entry)) return true;
+        this.logger.warn(`Skipped (older duplicate): ${entry.filePath}`);
+        stats.skipped++;
+        return false;
+      })
+      .map(entry => {
+        const renamed = renames.get(`${folderOf(entry)}\0${entry.programInfo.programId}`);
+        return renamed ? { ...entry, programInfo: renamed } : entry;
+      });
+  }
+
+  /**
+   * Find the most recently modified file of a collision group
+   * Ties go to the earlier file in the group.
+   * @param {Array<{filePath: string}>} group - Colliding entries, in resolution order
+   * @returns {Object} Newest entry
+   * @private
+   */
+  findNewest(group) {
+    const modified = entry => this.fileSystem.getModifiedTime(
+      this.fileSystem.join(this.config.inboxDir, entry.filePath)
+    );
+    return group.reduce((newest, entry) => (modified(entry) > modified(newest) ? entry : newest));
   }
 
   /**
    * Generate documentation for all programs
+   * Every file is read and analyzed before any page is written, so pages
+   * can refer to program metadata and cross-program dependencies. Programs
+   * unchanged since the last build are skipped; if only the programs they
+   * call or are called by changed, just their index page is rewritten.
+   * With config.runOctave, programs that are regenerated are run first and
+   * their figures and output shown on the index page.
    * @param {Object} stats - Statistics object
    * @private
    */
   generateDocumentation(stats) {
-    for (const [programId, { programInfo, files }] of stats.programFiles) {
-      const { chapter } = programInfo;
-
-      // Create docs directory
-      const programDocsDir = this.fileSystem.join(
-        this.config.docsOutputDir,
-        chapter,
-        programId
-      );
-      this.fileSystem.ensureDir(programDocsDir);
+    // Copy and read each file
+    for (const [, program] of stats.programFiles) {
+      const { programInfo, files } = program;
+      program.filesList = [];
 
-      const filesList = [];
-
-      // Process each file
-      for (const { filename, filePath, config } of files) {
-        const result = this.processFile(programInfo, filename, filePath, config, programDocsDir);
+      for (const { filename, filePath, config, format } of files) {
+        const result = this.processFile(programInfo, filename, filePath, config, stats);
         if (result) {
-          filesList.push(result);
+          program.filesList.push({ ...result, format });
           stats.processed++;
         } else {
           stats.skipped++;
         }
       }
 
-      // Generate index page
-      if (filesList.length > 0) {
-        this.generateIndexPage(programInfo, programId, filesList, programDocsDir);
+      Object.assign(programInfo, this.describeProgram(programInfo, program.filesList));
+    }
+
+    this.buildDependencyGraph(stats);
+
+    for (const [programId, { programInfo, filesList }] of stats.programFiles) {
+      if (filesList.length === 0) continue;
+
+      programInfo.runner = this.describeRunner(programInfo, filesList, stats);
+      programInfo.viewer = this.describeViewer(programInfo, filesList, stats);
+      const sources = filesList
+        .map(({ filePath, hash }) => ({ path: filePath, hash }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+      const hash = hashContent(
+        this.config.generatorVersion,
+        ...sources.map(source => `${source.path}:${source.hash}`),
+        JSON.stringify(programInfo.runner),
+        JSON.stringify(programInfo.viewer),
+        this.getExecutionKey(programInfo, filesList, stats)
+      );
+
+      // Index pages also show other programs' summaries through the call graph
+      const { uses, usedBy, missingDependencies, dataFiles, dataUsers } = programInfo;
+      const contextHash = hashContent(JSON.stringify({ uses, usedBy, missingDependencies, dataFiles, dataUsers }));
+
+      let outputs;
+      if (this.manifest.isProgramUpToDate(programId, hash)) {
+        outputs = this.manifest.getOutputs(programId);
+        programInfo.results = this.manifest.getProgram(programId).results;
+
+        if (this.manifest.getProgram(programId).contextHash !== contextHash) {
+          this.generateIndexPage(programInfo, programId, filesList, this.getProgramDocsDir(programInfo));
+          stats.build.refreshed.push(programId);
+          this.logger.success(`${programId}/`, 'index page refreshed');
+        } else {
+          stats.build.unchanged.push(programId);
+        }
+      } else {
+        if (this.getRunnableFile(programInfo, filesList) && this.octaveService.isAvailable()) {
+          this.runProgram(programInfo, filesList, stats);
+        }
+        if (programInfo.viewer) {
+          this.addViewerData(programInfo, filesList);
+        }
+        outputs = this.generateProgram(programInfo, filesList);
+        stats.build.generated.push(programId);
+
         const fileTypes = filesList.map(f => f.config.emoji).join('');
-        this.logger.success(`${programId}/`, `${fileTypes} (${filesList.length} file(s))`);
+        const run = programInfo.results ? `, run in Octave: ${programInfo.results.status}` : '';
+        this.logger.success(`${programId}/`, `${fileTypes} (${filesList.length} file(s)${run})`);
+      }
+
+      this.manifest.recordProgram(programId, { sources, hash, contextHash, outputs, results: programInfo.results });
+    }
+
+    this.generateDependencyGraphPage(stats);
+    this.generateChapterGalleries(stats);
+    this.generateSearchIndex(stats);
+  }
+
+  /**
+   * Get the MATLAB file of a program that can be run on its own
+   * Utilities and function files need arguments, so only scripts are run.
+   * @param {Object} programInfo - Program information
+   * @param {Array} filesList - Processed file data
+   * @returns {Object|null} MATLAB file data, or null if the program is not run
+   * @private
+   */
+  getRunnableFile(programInfo, filesList) {
+    const matlabFile = filesList.find(f => f.matlab);
+    if (!matlabFile || programInfo.isUtility) {
+      return null;
+    }
+
+    const name = this.fileSystem.getBaseName(matlabFile.filename).toLowerCase();
+    return matlabFile.matlab.signatures.some(signature => signature.name.toLowerCase() === name) ? null : matlabFile;
+  }
+
+  /**
+   * Get the part of a program's hash that covers its Octave run
+   * Besides the program's own files, the run depends on the Octave version,
+   * the timeout, the programs it calls (directly or not) and the data files
+   * it opens, so a change to any of them runs it again.
+   * @param {Object} programInfo - Program information
+   * @param {Array} filesList - Processed file data
+   * @param {Object} stats - Statistics object
+   * @returns {string} Hash, or empty string when the program is not run
+   * @private
+   */
+  getExecutionKey(programInfo, filesList, stats) {
+    if (!this.getRunnableFile(programInfo, filesList) || !this.octaveService.isAvailable()) {
+      return '';
+    }
+
+    const inputs = [
+      ...programInfo.dataFiles.map(ref => this.findProgramFile(stats, ref.programId, ref.filename)),
+      ...this.getCalledMatlabFiles(programInfo, stats),
+    ].map(fileData => `${fileData.filePath}:${fileData.hash}`);
+
+    return hashContent(this.octaveService.getVersion(), String(this.config.octaveTimeout), ...inputs.sort());
+  }
+
+  /**
+   * Get the MATLAB files of the programs a program calls, directly or not
+   * @param {Object} programInfo - Program information
+   * @param {Object} stats - Statistics object
+   * @returns {Array} MATLAB file data, in the order calls are reached
+   * @private
+   */
+  getCalledMatlabFiles(programInfo, stats) {
+    const files = [];
+    const visited = new Set([programInfo.programId]);
+    const pending = [...programInfo.uses];
+    while (pending.length > 0) {
+      const { programId } = pending.shift();
+      if (visited.has(programId)) continue;
+      visited.add(programId);
+
+      const { programInfo: used, filesList: usedFiles } = stats.programFiles.get(programId);
+      files.push(usedFiles.find(f => f.matlab));
+      pending.push(...used.uses);
+    }
+    return files;
+  }
+
+  /**
+   * Describe the browser Run button of a program
+   * The page fetches the program and the function files it calls and runs
+   * them with the JavaScript interpreter, so only the static paths are kept.
+   * Programs listed in config.slowPrograms get no button.
+   * @param {Object} programInfo - Program information
+   * @param {Array} filesList - Processed file data
+   * @param {Object} stats - Statistics object
+   * @returns {{src: string, functions: string[]}|null} Paths of the files to fetch, or null if the program is not run
+   * @private
+   */
+  describeRunner(programInfo, filesList, stats) {
+    const matlabFile = this.getRunnableFile(programInfo, filesList);
+    if (!matlabFile || this.config.slowPrograms.includes(programInfo.programId)) {
+      return null;
+    }
+    return {
+      src: matlabFile.staticPath,
+      functions: this.getCalledMatlabFiles(programInfo, stats).map(fileData => fileData.staticPath),
+    };
+  }
+
+  /**
+   * Describe the interactive viewer page of a program
+   * Programs with numeric parameters that draw line plots get a page at
+   * /viewer/<programId>, which loads a JSON asset of the MATLAB file.
+   * Programs in config.slowPrograms are left out, as for the Run button.
+   * @param {Object} programInfo - Program information
+   * @param {Array} filesList - Processed file data
+   * @param {Object} stats - Statistics object
+   * @returns {{url: string, data: string}|null} Route and data path, or null if the viewer cannot show the program
+   * @private
+   */
+  describeViewer(programInfo, filesList, stats) {
+    const matlabFile = this.getRunnableFile(programInfo, filesList);
+    if (!matlabFile || this.config.slowPrograms.includes(programInfo.programId)) {
+      return null;
+    }
+
+    const functions = Object.fromEntries(this.getCalledMatlabFiles(programInfo, stats)
+      .map(fileData => [this.fileSystem.getBaseName(fileData.filename), fileData.content]));
+    if (!this.generatorFactory.isViewerCompatible(programInfo, matlabFile, functions)) {
+      return null;
+    }
+
+    const { programId } = programInfo;
+    return {
+      url: `/viewer/${programId}`,
+      data: `/programs/matlab/${programId}/${this.fileSystem.getBaseName(matlabFile.filename)}_files/viewer.json`,
+    };
+  }
+
+  /**
+   * Add the interactive viewer's data to the assets of a program's MATLAB file
+   * @param {Object} programInfo - Program information with viewer paths
+   * @param {Array} filesList - Processed file data
+   * @private
+   */
+  addViewerData(programInfo, filesList) {
+    const matlabFile = this.getRunnableFile(programInfo, filesList);
+    const content = this.generatorFactory.generateViewerData(programInfo, matlabFile, programInfo.runner.functions);
+    matlabFile.assets = [...(matlabFile.assets || []), { name: 'viewer.json', content }];
+  }
+
+  /**
+   * Find a processed file of a program
+   * @param {Object} stats - Statistics object
+   * @param {string} programId - Program ID
+   * @param {string} filename - Filename
+   * @returns {Object} File data
+   * @private
+   */
+  findProgramFile(stats, programId, filename) {
+    return stats.programFiles.get(programId).filesList.find(f => f.filename === filename);
+  }
+
+  /**
+   * Run a program in Octave and keep its figures and output
+   * The program runs next to its own files and the data files it opens;
+   * the other MATLAB programs of the INBOX, utilities included, are on the
+   * path. Figures become assets of the MATLAB file and the outcome is set
+   * as programInfo.results, which the manifest keeps for later builds.
+   * @param {Object} programInfo - Program information
+   * @param {Array} filesList - Processed file data
+   * @param {Object} stats - Statistics object to update
+   * @private
+   */
+  runProgram(programInfo, filesList, stats) {
+    const { programId } = programInfo;
+    const matlabFile = this.getRunnableFile(programInfo, filesList);
+    const toInput = fileData => ({ name: fileData.filename, content: this.fileSystem.readBuffer(fileData.sourcePath) });
+
+    const files = [
+      ...filesList,
+      ...programInfo.dataFiles.map(ref => this.findProgramFile(stats, ref.programId, ref.filename)),
+    ].map(toInput);
+
+    const utilities = new Map();
+    for (const [otherId, { filesList: otherFiles = [] }] of stats.programFiles) {
+      const otherMatlab = otherFiles.find(f => f.matlab);
+      if (otherId !== programId && otherMatlab && !utilities.has(otherMatlab.filename)) {
+        utilities.set(otherMatlab.filename, toInput(otherMatlab));
+      }
+    }
+
+    const result = this.octaveService.run({
+      programId: this.fileSystem.getBaseName(matlabFile.filename),
+      files,
+      utilities: Array.from(utilities.values()),
+      variables: matlabFile.matlab.assigned,
+    });
+
+    const assetsUrl = `/programs/matlab/${programId}/${this.fileSystem.getBaseName(matlabFile.filename)}_files`;
+    matlabFile.assets = [];
+    const figures = result.figures.map((figure, index) => {
+      const urls = {};
+      for (const format of ['svg', 'png']) {
+        if (!figure[format]) continue;
+        const name = `figure${index + 1}.${format}`;
+        matlabFile.assets.push({ name, content: figure[format] });
+        urls[format] = `${assetsUrl}/${name}`;
+      }
+      return urls;
+    });
+
+    const { status, duration, output, truncated, error, missingFunctions } = result;
+    programInfo.results = {
+      status, duration, output, truncated, error, missingFunctions, figures,
+      octaveVersion: this.octaveService.getVersion(),
+    };
+
+    if (status === 'ok') {
+      return;
+    }
+
+    const reasons = {
+      error: `failed: ${error.split('\n')[0]}`,
+      timeout: `stopped after ${this.config.octaveTimeout} s`,
+      unsupported: `uses functions Octave does not have: ${missingFunctions.join(', ')}`,
+    };
+    this.warn(stats, `Octave run of ${programId} ${reasons[status]}`);
+  }
+
+  /**
+   * List the files the current sources produce
+   * Mirrors the paths written by copyToStatic, generateDetailPage and
+   * generateIndexPage, without reading or writing anything.
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, files }
+   * @returns {string[]} Absolute output paths
+   * @private
+   */
+  planOutputs(programFiles) {
+    const outputs = [];
+
+    for (const [programId, { programInfo, files }] of programFiles) {
+      const programDocsDir = this.getProgramDocsDir(programInfo);
+
+      for (const { filename, config, format } of files) {
+        outputs.push(this.fileSystem.join(this.config.staticOutputDir, config.type, programId, filename));
+        if (this.generatorFactory.getGenerator(config.type)) {
+          outputs.push(this.fileSystem.join(programDocsDir, `${programId}_${format}.mdx`));
+        }
+      }
+      outputs.push(this.fileSystem.join(programDocsDir, 'index.mdx'));
+
+      if (this.generatorFactory.hasGalleryMedia(files)) {
+        outputs.push(this.getGalleryPath(programInfo));
+      }
+    }
+
+    return Array.from(new Set(outputs));
+  }
+
+  /**
+   * List the asset folders of the current sources
+   * Files extracted from a source (such as notebook images) live in a
+   * <name>_files folder next to its static copy; the folder belongs to the
+   * source as a whole, so its contents are known without reading it.
+   * @param {Map<string, Object>} programFiles - Map of programId -> { programInfo, files }
+   * @returns {string[]} Absolute folder paths
+   * @private
+   */
+  planAssetDirs(programFiles) {
+    const dirs = [];
+
+    for (const [programId, { files }] of programFiles) {
+      for (const { filename, config } of files) {
+        dirs.push(this.getAssetDir(programId, filename, config));
+      }
+    }
+
+    return dirs;
+  }
+
+  /**
+   * Get the asset folder of a source file
+   * @param {string} programId - Program ID
+   * @param {string} filename - Source filename
+   * @param {Object} config - File type config
+   * @returns {string} Absolute folder path
+   * @private
+   */
+  getAssetDir(programId, filename, config) {
+    return this.fileSystem.join(
+      this.config.staticOutputDir,
+      config.type,
+      programId,
+      `${this.fileSystem.getBaseName(filename)}_files`
+    );
+  }
+
+  /**
+   * Remove, or with config.keepOrphans only report, orphaned output
+   * In a dry run the removals are only recorded, so they are reported as
+   * removals the run would make.
+   * @param {Object} stats - Statistics object to update
+   * @private
+   */
+  pruneOrphans(stats) {
+    const orphans = this.orphanService.findOrphans(
+      this.planOutputs(stats.programFiles),
+      this.planAssetDirs(stats.programFiles)
+    );
+    if (orphans.length === 0) {
+      return;
+    }
+
+    if (this.config.keepOrphans) {
+      stats.orphans.files = orphans;
+      stats.orphans.action = 'kept';
+      return;
+    }
+
+    stats.orphans.files = this.orphanService.removeOrphans(orphans);
+    stats.orphans.action = this.config.dryRun ? 'wouldRemove' : 'removed';
+  }
+
+  /**
+   * Get the docs directory of a program
+   * @param {Object} programInfo - Program information
+   * @returns {string} Absolute directory path
+   * @private
+   */
+  getProgramDocsDir(programInfo) {
+    return this.fileSystem.join(this.config.docsOutputDir, programInfo.chapter, programInfo.programId);
+  }
+
+  /**
+   * Get the gallery page path of a program's chapter
+   * @param {Object} programInfo - Program information
+   * @returns {string} Absolute page path
+   * @private
+   */
+  getGalleryPath(programInfo) {
+    return this.fileSystem.join(this.config.docsOutputDir, programInfo.chapter, 'gallery.mdx');
+  }
+
+  /**
+   * Copy the sources of a program to static and write all of its pages
+   * @param {Object} programInfo - Program information
+   * @param {Array} filesList - Processed file data
+   * @returns {string[]} Paths of the files written
+   * @private
+   */
+  generateProgram(programInfo, filesList) {
+    const programDocsDir = this.getProgramDocsDir(programInfo);
+    this.fileSystem.ensureDir(programDocsDir);
+
+    const outputs = [];
+    for (const fileData of filesList) {
+      outputs.push(this.copyToStatic(programInfo, fileData));
+      outputs.push(...this.writeAssets(programInfo, fileData));
+      outputs.push(this.generateDetailPage(programInfo, fileData, programDocsDir));
+    }
+    outputs.push(this.generateIndexPage(programInfo, programInfo.programId, filesList, programDocsDir));
+
+    return outputs.filter(Boolean);
+  }
+
+  /**
+   * Build the call graph between MATLAB programs
+   * Identifiers are matched case-insensitively against the MATLAB programs in
+   * the INBOX (MATLAB resolves file names that way on macOS and Windows).
+   * Calls that match neither a program, a function or variable of the
+   * calling file nor a built-in are recorded as missing dependencies; local
+   * functions are private to their file, so another file's do not count. Files that a program
+   * loads, opens or saves by name are linked both ways (dataFiles and
+   * dataUsers) when another program of the INBOX has them.
+   * @param {Object} stats - Statistics object
+   * @private
+   */
+  buildDependencyGraph(stats) {
+    const programsByName = new Map();
+    const filesByName = new Map();
+
+    for (const [programId, { programInfo, filesList }] of stats.programFiles) {
+      programInfo.uses = [];
+      programInfo.usedBy = [];
+      programInfo.missingDependencies = [];
+      programInfo.dataFiles = [];
+      programInfo.dataUsers = [];
+
+      filesList
+        .filter(fileData => fileData.config.type !== 'matlab')
+        .forEach(fileData => filesByName.set(fileData.filename.toLowerCase(), { programInfo, fileData }));
+
+      const matlabFile = filesList.find(f => f.matlab);
+      if (!matlabFile) continue;
+
+      programsByName.set(programId.toLowerCase(), programInfo);
+    }
+
+    for (const [programId, { programInfo, filesList }] of stats.programFiles) {
+      const matlabFile = filesList.find(f => f.matlab);
+      if (!matlabFile) continue;
+
+      const { identifiers, calls, assigned, functions } = matlabFile.matlab;
+      const local = new Set([...assigned, ...functions]);
+
+      for (const name of identifiers) {
+        const target = programsByName.get(name.toLowerCase());
+        if (!target || target.programId === programId || local.has(name)) continue;
+        if (!programInfo.uses.some(ref => ref.programId === target.programId)) {
+          programInfo.uses.push(toProgramRef(target));
+          target.usedBy.push(toProgramRef(programInfo));
+        }
       }
+
+      for (const name of calls) {
+        const lower = name.toLowerCase();
+        if (local.has(name) || programsByName.has(lower)) continue;
+        if (this.matlabParser.isBuiltin(name)) continue;
+
+        programInfo.missingDependencies.push(name);
+        this.warn(stats, `Missing dependency: ${programId} calls ${name}(), which is not in the INBOX`);
+      }
+
+      for (const { file, access } of matlabFile.matlab.dataFiles) {
+        const target = filesByName.get(file.toLowerCase());
+        if (!target || target.programInfo.programId === programId) continue;
+
+        const { filename, config, format } = target.fileData;
+        programInfo.dataFiles.push({ ...toProgramRef(target.programInfo), filename, type: config.type, format, access });
+        target.programInfo.dataUsers.push({ ...toProgramRef(programInfo), filename, type: 'matlab', access });
+      }
+    }
+
+    for (const [, { programInfo }] of stats.programFiles) {
+      programInfo.uses.sort((a, b) => a.programId.localeCompare(b.programId));
+      programInfo.usedBy.sort((a, b) => a.programId.localeCompare(b.programId));
+      programInfo.dataUsers.sort((a, b) => a.programId.localeCompare(b.programId));
     }
   }
 
   /**
-   * Process a single file
+   * Generate the corpus-wide dependency graph page
+   * @param {Object} stats - Statistics object
+   * @private
+   */
+  generateDependencyGraphPage(stats) {
+    const content = this.generatorFactory.generateDependencyGraph(stats.byChapter, stats.programFiles);
+
+    if (this.writeGeneratedPage(this.config.dependencyGraphPath, content) === 'failed') {
+      this.logger.warn('Failed to write dependency graph page');
+    }
+  }
+
+  /**
+   * Generate the figure gallery page of each chapter that has figures
+   * @param {Object} stats - Statistics object
+   * @private
+   */
+  generateChapterGalleries(stats) {
+    for (const [chapterNum, programs] of stats.byChapter) {
+      const withMedia = Array.from(programs)
+        .map(programId => stats.programFiles.get(programId))
+        .filter(program => program && this.generatorFactory.hasGalleryMedia(program.files));
+      if (withMedia.length === 0) continue;
+
+      const content = this.generatorFactory.generateChapterGallery(chapterNum, programs, stats.programFiles);
+      if (this.writeGeneratedPage(this.getGalleryPath(withMedia[0].programInfo), content) === 'failed') {
+        this.logger.warn(`Failed to write gallery page of ${withMedia[0].programInfo.chapter}`);
+      }
+    }
+  }
+
+  /**
+   * Generate the offline search index
+   * Every file is analyzed on each run, so the index covers unchanged
+   * programs as well.
+   * @param {Object} stats - Statistics object
+   * @private
+   */
+  generateSearchIndex(stats) {
+    const content = this.generatorFactory.generateSearchIndex(stats.byChapter, stats.programFiles);
+
+    if (this.writeGeneratedPage(this.config.searchIndexPath, content) === 'failed') {
+      this.logger.warn('Failed to write search index');
+    }
+  }
+
+  /**
+   * Generate the offline search index from the program pages in the docs folder
+   * With no sources, as when the site is built from the committed docs with
+   * an empty INBOX, the pages written by earlier runs are all there is to
+   * index.
+   * @private
+   */
+  generateSearchIndexFromPages() {
+    const { docsOutputDir, supportedExtensions } = this.config;
+    const programs = [];
+
+    for (const chapterDir of this.fileSystem.readDirWithTypes(docsOutputDir)) {
+      if (!chapterDir.isDirectory()) continue;
+      const chapterPath = this.fileSystem.join(docsOutputDir, chapterDir.name);
+
+      for (const programDir of this.fileSystem.readDirWithTypes(chapterPath)) {
+        // The parser reads the program ID from a file name of any supported type
+        const programInfo = programDir.isDirectory()
+          ? this.parser.parse(`${programDir.name}${supportedExtensions[0] || ''}`)
+          : null;
+        if (!programInfo || programInfo.chapter !== chapterDir.name) continue;
+
+        const programPath = this.fileSystem.join(chapterPath, programDir.name);
+        const pages = this.fileSystem.readDir(programPath)
+          .filter(name => name.endsWith('.mdx'))
+          .map(name => ({ name, content: this.fileSystem.readFile(this.fileSystem.join(programPath, name), 'utf-8') }));
+        if (pages.some(page => page.name === 'index.mdx')) {
+          programs.push({ programInfo, pages });
+        }
+      }
+    }
+
+    const content = this.generatorFactory.generateSearchIndexFromPages(programs);
+    if (this.writeGeneratedPage(this.config.searchIndexPath, content) === 'failed') {
+      this.logger.warn('Failed to write search index');
+    } else {
+      this.logger.info(`   Search index built from ${programs.length} program(s) in ${docsOutputDir}\n`);
+    }
+  }
+
+  /**
+   * Write a site-wide generated file unless its content is unchanged
+   * Skipping identical writes keeps Docusaurus from reloading in watch mode.
+   * @param {string} filePath - Output path
+   * @param {string} content - File content
+   * @param {string} [stableContent=content] - Content to compare, without volatile parts such as timestamps
+   * @returns {string} 'written', 'unchanged' or 'failed'
+   * @private
+   */
+  writeGeneratedPage(filePath, content, stableContent = content) {
+    const hash = hashContent(stableContent);
+
+    if (this.manifest.isPageUpToDate(filePath, hash)) {
+      this.manifest.recordPage(filePath, hash);
+      return 'unchanged';
+    }
+    if (!this.fileSystem.writeFile(filePath, content)) {
+      return 'failed';
+    }
+
+    this.manifest.recordPage(filePath, hash);
+    return 'written';
+  }
+
+  /**
+   * Process a single file: read, hash, decode and analyze its content
+   * Nothing is written here; {@link DocumentProcessor#copyToStatic} copies
+   * the file once the program is known to need regenerating.
    * @param {Object} programInfo - Program information
    * @param {string} filename - Filename
    * @param {string} filePath - File path relative to inbox
    * @param {Object} config - File type config
-   * @param {string} programDocsDir - Output directory
+   * @param {Object} stats - Statistics object
    * @returns {Object|null} File data or null on error
    * @private
    */
-  processFile(programInfo, filename, filePath, config, programDocsDir) {
+  processFile(programInfo, filename, filePath, config, stats) {
     const { programId } = programInfo;
 
-    // Create static directory
+    const sourcePath = this.fileSystem.join(this.config.inboxDir, filePath || filename);
+    const buffer = this.fileSystem.readBuffer(sourcePath);
+
+    if (!buffer) {
+      this.logger.error(`Failed to read: ${filename}`);
+      return null;
+    }
+
+    // Static path for web access
+    const staticPath = `/programs/${config.type}/${programId}/${filename}`;
+
+    // Decode content if text file
+    const textInfo = this.readText(filename, buffer, config, stats);
+    const fileData = {
+      filename,
+      filePath: (filePath || filename).split(path.sep).join('/'),
+      sourcePath,
+      staticPath,
+      hash: hashContent(buffer),
+      config,
+      ...textInfo,
+    };
+
+    // Source analysis
+    if (config.type === 'matlab' && fileData.content) {
+      fileData.matlab = this.matlabParser.analyze(fileData.content, this.fileSystem.getBaseName(filename));
+    }
+    if (config.type === 'latex' && fileData.content) {
+      fileData.latex = this.latexConverter.convert(fileData.content);
+    }
+    if (config.type === 'ipynb') {
+      Object.assign(fileData, this.readNotebook(programId, filename, buffer, config, stats));
+    }
+    if (config.type === 'pdf') {
+      Object.assign(fileData, this.readPdf(filename, buffer, stats));
+    }
+    if (config.type === 'image' || config.type === 'video') {
+      Object.assign(fileData, this.readMedia(filename, buffer, stats));
+    }
+    if (config.type === 'mat' || config.type === 'fig') {
+      Object.assign(fileData, this.readMat(programId, filename, buffer, config, stats));
+    }
+    if (config.type === 'data') {
+      Object.assign(fileData, this.readData(programId, filename, fileData, config, stats));
+    }
+
+    return fileData;
+  }
+
+  /**
+   * Log a warning and keep it for the build summary
+   * @param {Object} stats - Statistics object to update
+   * @param {string} message - Warning message
+   * @private
+   */
+  warn(stats, message) {
+    stats.warnings.push(message);
+    this.logger.warn(message);
+  }
+
+  /**
+   * Parse a notebook and collect the images to extract
+   * @param {string} programId - Program ID
+   * @param {string} filename - Filename
+   * @param {Buffer} buffer - Raw file bytes
+   * @param {Object} config - File type config
+   * @param {Object} stats - Statistics object to update
+   * @returns {{notebook: Object|null, notebookError: string|null, assets: Array, assetsUrl: string}} Notebook data
+   * @private
+   */
+  readNotebook(programId, filename, buffer, config, stats) {
+    const assetsUrl = `/programs/${config.type}/${programId}/${this.fileSystem.getBaseName(filename)}_files`;
+
+    try {
+      const notebook = this.notebookParser.parse(decodeText(buffer).text);
+      const assets = notebook.assets.map(({ name, content }) => ({ name, content }));
+      return { notebook, notebookError: null, assets, assetsUrl };
+    } catch (e) {
+      this.warn(stats, `Unreadable notebook, not rendered: ${filename} (${e.message})`);
+      return { notebook: null, notebookError: e.message, assets: [], assetsUrl };
+    }
+  }
+
+  /**
+   * Read the text and document information of a PDF
+   * A PDF that cannot be read still gets its page, with the preview only.
+   * @param {string} filename - Filename
+   * @param {Buffer} buffer - Raw file bytes
+   * @param {Object} stats - Statistics object to update
+   * @returns {{pdf: Object|null, pdfError: string|null}} PDF data
+   * @private
+   */
+  readPdf(filename, buffer, stats) {
+    try {
+      return { pdf: this.pdfParser.parse(buffer), pdfError: null };
+    } catch (e) {
+      this.warn(stats, `Unreadable PDF, text not extracted: ${filename} (${e.message})`);
+      return { pdf: null, pdfError: e.message };
+    }
+  }
+
+  /**
+   * Read the size of an image or the size and duration of a video
+   * A file whose header cannot be read is still shown, without its details.
+   * @param {string} filename - Filename
+   * @param {Buffer} buffer - Raw file bytes
+   * @param {Object} stats - Statistics object to update
+   * @returns {{media: Object|null, mediaError: string|null}} Media data
+   * @private
+   */
+  readMedia(filename, buffer, stats) {
+    try {
+      return { media: this.mediaParser.parse(buffer, this.fileSystem.getExtension(filename)), mediaError: null };
+    } catch (e) {
+      this.warn(stats, `Unreadable image or video, size not shown: ${filename} (${e.message})`);
+      return { media: null, mediaError: e.message };
+    }
+  }
+
+  /**
+   * Read the variables of a MAT-file, and for figures draw their axes
+   * Each axes of a figure becomes an SVG image (axes1.svg, ...) in the
+   * file's asset folder. v7.3 (HDF5) files are reported as unsupported.
+   * @param {string} programId - Program ID
+   * @param {string} filename - Filename
+   * @param {Buffer} buffer - Raw file bytes
+   * @param {Object} config - File type config
+   * @param {Object} stats - Statistics object to update
+   * @returns {{mat: Object|null, matError: string|null, figure: Object|null, assets: Array, assetsUrl: string}} MAT-file data
+   * @private
+   */
+  readMat(programId, filename, buffer, config, stats) {
+    const assetsUrl = `/programs/${config.type}/${programId}/${this.fileSystem.getBaseName(filename)}_files`;
+    const kind = config.type === 'fig' ? 'figure file' : 'MAT-file';
+    const warn = message => this.warn(stats, `${message}: ${filename}`);
+
+    let mat;
+    try {
+      mat = this.matParser.parse(buffer);
+    } catch (e) {
+      warn(`Unreadable ${kind}, not analyzed (${e.message})`);
+      return { mat: null, matError: e.message, figure: null, assets: [], assetsUrl };
+    }
+
+    if (!mat.supported) {
+      warn(`Unsupported ${kind} format v7.3 (HDF5), not analyzed`);
+      return { mat, matError: null, figure: null, assets: [], assetsUrl };
+    }
+    if (config.type !== 'fig') {
+      return { mat, matError: null, figure: null, assets: [], assetsUrl };
+    }
+
+    const figure = this.matParser.readFigure(mat);
+    const assets = figure
+      ? figure.axes.map((axes, index) => ({ name: `axes${index + 1}.svg`, content: renderAxesSvg(axes) }))
+      : [];
+    return { mat, matError: null, figure, assets, assetsUrl };
+  }
+
+  /**
+   * Read the table of a data file
+   * Its rows go to table.json in the file's asset folder, where the table
+   * and plot components on its page load them from.
+   * @param {string} programId - Program ID
+   * @param {string} filename - Filename
+   * @param {Object} fileData - File data with the decoded content
+   * @param {Object} config - File type config
+   * @param {Object} stats - Statistics object to update
+   * @returns {{table: Object|null, tableError: string|null, assets: Array, assetsUrl: string}} Table data
+   * @private
+   */
+  readData(programId, filename, fileData, config, stats) {
+    const assetsUrl = `/programs/${config.type}/${programId}/${this.fileSystem.getBaseName(filename)}_files`;
+
+    try {
+      if (fileData.isBinary) {
+        throw new Error('binary content');
+      }
+      const table = this.dataParser.parse(fileData.content);
+      const content = JSON.stringify({ columns: table.columns.map(column => column.name), rows: table.rows });
+      return { table, tableError: null, assets: [{ name: 'table.json', content }], assetsUrl };
+    } catch (e) {
+      this.warn(stats, `Unreadable data file, shown as text: ${filename} (${e.message})`);
+      return { table: null, tableError: e.message, assets: [], assetsUrl };
+    }
+  }
+
+  /**
+   * Write the files extracted from a source to its asset folder
+   * The folder is replaced as a whole, so assets of an older version of
+   * the source do not linger.
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - Processed file data with optional assets
+   * @returns {string[]} Paths written
+   * @private
+   */
+  writeAssets(programInfo, fileData) {
+    const { filename, config, assets = [] } = fileData;
+    const assetDir = this.getAssetDir(programInfo.programId, filename, config);
+
+    this.fileSystem.removeDir(assetDir);
+    if (assets.length === 0) {
+      return [];
+    }
+
+    this.fileSystem.ensureDir(assetDir);
+    const written = [];
+    for (const { name, content } of assets) {
+      const assetPath = this.fileSystem.join(assetDir, name);
+      if (this.fileSystem.writeFile(assetPath, content)) {
+        written.push(assetPath);
+      } else {
+        this.logger.error(`Failed to write: ${filename} asset ${name}`);
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * Copy the byte-exact original of a file to static
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - Processed file data
+   * @returns {string|null} Destination path, or null on error
+   * @private
+   */
+  copyToStatic(programInfo, fileData) {
+    const { filename, sourcePath, config } = fileData;
+
     const programStaticDir = this.fileSystem.join(
       this.config.staticOutputDir,
       config.type,
-      programId
+      programInfo.programId
     );
     this.fileSystem.ensureDir(programStaticDir);
 
-    // Copy file to static
-    const sourcePath = this.fileSystem.join(this.config.inboxDir, filePath || filename);
     const staticDestPath = this.fileSystem.join(programStaticDir, filename);
-
     if (!this.fileSystem.copyFile(sourcePath, staticDestPath)) {
       this.logger.error(`Failed to copy: ${filename}`);
       return null;
     }
 
-    // Static path for web access
-    const staticPath = `/programs/${config.type}/${programId}/${filename}`;
+    return staticDestPath;
+  }
+
+  /**
+   * Derive program-level metadata from its files
+   * The MATLAB help block supplies the summary; programs without one
+   * fall back to the display name.
+   * The formats are the files with a detail page, in display order; the
+   * program page has a tab and each detail page a switcher link for each.
+   * @param {Object} programInfo - Program information
+   * @param {Array} filesList - Processed file data
+   * @returns {{summary: string, description: string, hasHeader: boolean, parameters: Array, formats: ProgramFormat[]}} Program metadata
+   * @private
+   */
+  describeProgram(programInfo, filesList) {
+    const withParameters = filesList.find(f => f.matlab && f.matlab.parameters.length > 0);
+    const parameters = withParameters ? withParameters.matlab.parameters : [];
 
-    // Read content if text file
-    let content = '';
-    if (config.canReadText) {
-      content = this.fileSystem.readFile(sourcePath) || '';
+    const formats = sortByTypeOrder(filesList, this.config.fileTypes)
+      .filter(({ config }) => this.generatorFactory.getGenerator(config.type))
+      .map(file => ({
+        type: file.config.type,
+        format: file.format,
+        label: getFormatLabel(file),
+        emoji: file.config.emoji,
+        color: file.config.color,
+      }));
+
+    const withHeader = filesList.find(f => f.matlab && f.matlab.header);
+    if (!withHeader) {
+      return { summary: programInfo.displayName, description: '', hasHeader: false, parameters, formats };
     }
 
-    // Generate detail page
+    const { h1, description } = withHeader.matlab.header;
+    return { summary: h1, description, hasHeader: true, parameters, formats };
+  }
+
+  /**
+   * Generate the detail page for a file
+   * @param {Object} programInfo - Program information
+   * @param {Object} fileData - Processed file data
+   * @param {string} programDocsDir - Output directory
+   * @returns {string|null} Page path, or null if nothing was written
+   * @private
+   */
+  generateDetailPage(programInfo, fileData, programDocsDir) {
+    const { programId } = programInfo;
+    const { config, format } = fileData;
+
     const generator = this.generatorFactory.getGenerator(config.type);
-    if (generator) {
-      const pageContent = generator.generate(programInfo, {
-        filename,
-        staticPath,
-        content,
-        config,
-      });
+    if (!generator) {
+      return null;
+    }
 
-      const detailFileName = `${programId}_${config.type}.mdx`;
-      const detailPath = this.fileSystem.join(programDocsDir, detailFileName);
+    const pageContent = generator.generate(programInfo, fileData);
+    const detailFileName = `${programId}_${format}.mdx`;
+    const detailPath = this.fileSystem.join(programDocsDir, detailFileName);
 
-      if (!this.fileSystem.writeFile(detailPath, pageContent)) {
-        this.logger.error(`Failed to write: ${detailFileName}`);
-      }
+    if (!this.fileSystem.writeFile(detailPath, pageContent)) {
+      this.logger.error(`Failed to write: ${detailFileName}`);
+      return null;
     }
 
-    return { filename, staticPath, config, content };
+    return detailPath;
+  }
+
+  /**
+   * Decode a text file for MDX output
+   * Content is normalized to LF; binary data masquerading as text is dropped.
+   * @param {string} filename - Filename
+   * @param {Buffer} buffer - Raw file bytes
+   * @param {Object} config - File type config
+   * @param {Object} stats - Statistics object to update
+   * @returns {{content: string, encoding: string|null, lineEnding: string|null, isBinary: boolean}} Text info
+   * @private
+   */
+  readText(filename, buffer, config, stats) {
+    if (!config.canReadText) {
+      return { content: '', encoding: null, lineEnding: null, isBinary: false };
+    }
+
+    const decoded = decodeText(buffer);
+
+    if (decoded.isBinary) {
+      this.logger.warn(`Binary content in text file, source not embedded: ${filename}`);
+    }
+
+    const key = `${decoded.encoding}/${decoded.lineEnding}`;
+    stats.byEncoding.set(key, (stats.byEncoding.get(key) || 0) + 1);
+
+    return {
+      content: decoded.text,
+      encoding: decoded.encoding,
+      lineEnding: decoded.lineEnding,
+      isBinary: decoded.isBinary,
+    };
   }
 
   /**
@@ -262,12 +1410,19 @@ class DocumentProcessor {
    * @param {string} programId - Program ID
    * @param {Array} filesList - List of files
    * @param {string} programDocsDir - Output directory
+   * @returns {string|null} Page path, or null on error
    * @private
    */
   generateIndexPage(programInfo, programId, filesList, programDocsDir) {
     const indexContent = this.generatorFactory.generateIndex(programInfo, filesList);
     const indexPath = this.fileSystem.join(programDocsDir, 'index.mdx');
-    this.fileSystem.writeFile(indexPath, indexContent);
+
+    if (!this.fileSystem.writeFile(indexPath, indexContent)) {
+      this.logger.error(`Failed to write: ${programId}/index.mdx`);
+      return null;
+    }
+
+    return indexPath;
   }
 
   /**
@@ -277,9 +1432,13 @@ class DocumentProcessor {
    */
   generateSidebar(stats) {
     const sidebarContent = this.generatorFactory.generateSidebar(stats.byChapter, stats.programFiles);
+    const stableContent = sidebarContent.replace(/^ \* Last updated: .*$/m, '');
 
-    if (this.fileSystem.writeFile(this.config.sidebarPath, sidebarContent)) {
+    const result = this.writeGeneratedPage(this.config.sidebarPath, sidebarContent, stableContent);
+    if (result === 'written') {
       this.logger.info('✅ Sidebar configuration updated');
+    } else if (result === 'unchanged') {
+      this.logger.info('✅ Sidebar configuration unchanged');
     } else {
       this.logger.warn('Failed to update sidebar');
     }
@@ -292,10 +1451,18 @@ class DocumentProcessor {
    */
   printStatistics(stats) {
     this.logger.printStats(stats);
+    this.logger.printBuildSummary(stats.build);
     this.logger.printByType(stats.byType, (type) =>
       this.classifier.getConfigByType(type)
     );
     this.logger.printByChapter(stats.byChapter);
+    this.logger.printByEncoding(stats.byEncoding);
+    this.logger.printWarnings(stats.warnings);
+    this.logger.printCollisions(stats.collisions);
+    this.logger.printOrphans(
+      stats.orphans.files.map(file => this.orphanService.toDisplayPath(file)),
+      stats.orphans.action
+    );
     this.logger.printOutputStructure(this.config.docsOutputDir, this.config.staticOutputDir);
   }
 }
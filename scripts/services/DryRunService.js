@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Service for reporting the changes a dry run would make
+ * @module services/DryRunService
+ */
+
+const path = require('path');
+const { createUnifiedDiff } = require('../utils/diff');
+
+/**
+ * @typedef {Object} PlannedChange
+ * @property {string} path - Path relative to the project directory
+ * @property {string} action - 'create', 'modify' or 'delete'
+ */
+
+/**
+ * @typedef {Object} DryRunPlan
+ * @property {PlannedChange[]} pages - Generated MDX pages
+ * @property {PlannedChange[]} staticFiles - Copies under the static output directory
+ * @property {PlannedChange[]} other - Everything else (sidebars.js, the build manifest)
+ * @property {{path: string, diff: string}[]} diffs - Unified diffs of modified pages and the sidebar
+ */
+
+/**
+ * Service that turns the changes recorded by a recording file system into
+ * a plan of pages and static files
+ *
+ * With --dry-run the processor and clean service run against
+ * {@link module:utils/recordingFileSystem}, so nothing reaches the disk;
+ * this service reports what would have.
+ */
+class DryRunService {
+  /**
+   * Create a dry run service
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.config - Application configuration
+   * @param {Object} deps.fileSystem - Recording file system interface
+   * @param {Object} deps.logger - Logger interface
+   */
+  constructor({ config, fileSystem, logger }) {
+    this.config = config;
+    this.fileSystem = fileSystem;
+    this.logger = logger;
+  }
+
+  /**
+   * Build the plan from the recorded changes
+   * Only modified pages get a diff; created pages would print in full.
+   * @returns {DryRunPlan} Planned changes
+   */
+  getPlan() {
+    const plan = { pages: [], staticFiles: [], other: [], diffs: [] };
+    const docsDir = path.resolve(this.config.docsOutputDir);
+    const staticDir = path.resolve(this.config.staticOutputDir);
+    const sidebarPath = path.resolve(this.config.sidebarPath);
+
+    for (const change of this.fileSystem.getChanges()) {
+      const displayPath = this.toDisplayPath(change.path);
+      const entry = { path: displayPath, action: change.action };
+      const isPage = change.path.startsWith(docsDir + path.sep) && change.path.endsWith('.mdx');
+
+      if (isPage) {
+        plan.pages.push(entry);
+      } else if (change.path.startsWith(staticDir + path.sep)) {
+        plan.staticFiles.push(entry);
+      } else {
+        plan.other.push(entry);
+      }
+
+      if (change.action === 'modify' && (isPage || change.path === sidebarPath)) {
+        plan.diffs.push({
+          path: displayPath,
+          diff: createUnifiedDiff(change.before.toString('utf-8'), change.after.toString('utf-8'), {
+            fromFile: `a/${displayPath}`,
+            toFile: `b/${displayPath}`,
+          }),
+        });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Print the plan and the diffs
+   * @returns {DryRunPlan} Planned changes
+   */
+  report() {
+    const plan = this.getPlan();
+
+    this.logger.printPlan(plan);
+    plan.diffs.forEach(({ diff }) => this.logger.printDiff(diff));
+
+    return plan;
+  }
+
+  /**
+   * Format a path for display
+   * @param {string} filePath - Absolute path
+   * @returns {string} Path relative to the project directory
+   */
+  toDisplayPath(filePath) {
+    return path.relative(this.config.projectDir, filePath).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Create a dry run service instance
+ * @param {Object} deps - Dependencies
+ * @returns {DryRunService} Service instance
+ */
+function createDryRunService(deps) {
+  return new DryRunService(deps);
+}
+
+module.exports = {
+  DryRunService,
+  createDryRunService,
+};
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Service for running MATLAB programs in a local GNU Octave
+ * @module services/OctaveService
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+
+/**
+ * Most characters of console output kept per program
+ * @type {number}
+ */
+const MAX_OUTPUT_LENGTH = 20000;
+
+/**
+ * Figure export helper, written next to the program
+ * Each open figure is printed as SVG and PNG, in handle order.
+ * @type {string}
+ */
+const EXPORT_FUNCTION = `function qmdocs_export_figures()
+  figures = sort(findall(0, 'type', 'figure'));
+  for k = 1:numel(figures)
+    print(figures(k), sprintf('qmdocs_figure%d.svg', k), '-dsvg');
+    print(figures(k), sprintf('qmdocs_figure%d.png', k), '-dpng', '-r96');
+  end
+end
+`;
+
+/**
+ * @typedef {Object} ExecutionFile
+ * @property {string} name - File name
+ * @property {Buffer|string} content - File content
+ */
+
+/**
+ * @typedef {Object} ExecutionResult
+ * @property {string} status - 'ok', 'error', 'timeout' or 'unsupported'
+ * @property {number} duration - Run time in seconds
+ * @property {string} output - Console output, truncated to MAX_OUTPUT_LENGTH
+ * @property {boolean} truncated - Whether the output was truncated
+ * @property {string} error - Error message, or '' when the run succeeded
+ * @property {string[]} missingFunctions - Functions Octave does not have (MATLAB-only or from a missing package)
+ * @property {Array<{svg: Buffer|null, png: Buffer|null}>} figures - Figures open when the program ended
+ */
+
+/**
+ * Service that runs a program headlessly in a scratch folder
+ *
+ * The program and the files it opens are copied to a temporary folder,
+ * the utility programs to a folder on the Octave path. Octave runs without
+ * a window system; figures are made invisible and printed when the program
+ * ends, whether it succeeded or not. Nothing is written to the project.
+ */
+class OctaveService {
+  /**
+   * Create an Octave service
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.config - Application configuration
+   * @param {Object} deps.logger - Logger interface
+   * @param {Function} [deps.spawnSync=child_process.spawnSync] - Process runner
+   */
+  constructor({ config, logger, spawnSync = childProcess.spawnSync }) {
+    this.config = config;
+    this.logger = logger;
+    this.spawnSync = spawnSync;
+    this.version = undefined;
+  }
+
+  /**
+   * Get the version of the configured Octave
+   * Octave is looked up once per run; without runOctave it is not looked up.
+   * @returns {string|null} Version line (e.g. 'GNU Octave, version 8.4.0'), or null when not available
+   */
+  getVersion() {
+    if (this.version !== undefined) {
+      return this.version;
+    }
+
+    this.version = null;
+    if (!this.config.runOctave) {
+      return null;
+    }
+
+    const result = this.spawnSync(this.config.octaveCommand, ['--version'], { encoding: 'utf8', timeout: 30000 });
+    if (result.error || result.status !== 0) {
+      this.logger.warn(`Octave not found (${this.config.octaveCommand}), programs are not run`);
+      return null;
+    }
+
+    this.version = result.stdout.split('\n')[0].trim();
+    return this.version;
+  }
+
+  /**
+   * Check whether programs can be run
+   * @returns {boolean} True if runOctave is set and Octave is installed
+   */
+  isAvailable() {
+    return this.getVersion() !== null;
+  }
+
+  /**
+   * Run a program
+   * @param {Object} program - Program to run
+   * @param {string} program.programId - Program ID, the script name
+   * @param {ExecutionFile[]} program.files - The program's .m file and the files it opens
+   * @param {ExecutionFile[]} program.utilities - Utility programs to put on the path
+   * @param {string[]} [program.variables=[]] - Variables the program assigns, not reported as missing functions
+   * @returns {ExecutionResult} Result
+   */
+  run({ programId, files, utilities, variables = [] }) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qmdocs-octave-'));
+
+    try {
+      const utilitiesDir = path.join(workDir, 'utilities');
+      const programDir = path.join(workDir, 'program');
+      fs.mkdirSync(utilitiesDir);
+      fs.mkdirSync(programDir);
+
+      utilities.forEach(({ name, content }) => fs.writeFileSync(path.join(utilitiesDir, name), content));
+      files.forEach(({ name, content }) => fs.writeFileSync(path.join(programDir, name), content));
+      fs.writeFileSync(path.join(programDir, 'qmdocs_export_figures.m'), EXPORT_FUNCTION);
+
+      const started = Date.now();
+      const result = this.spawnSync(this.config.octaveCommand, [
+        '--no-gui', '--no-window-system', '--norc', '--quiet',
+        '--eval', this.buildDriver(programId, utilitiesDir),
+      ], {
+        cwd: programDir,
+        encoding: 'utf8',
+        input: '',
+        timeout: this.config.octaveTimeout * 1000,
+        killSignal: 'SIGKILL',
+        maxBuffer: 16 * 1024 * 1024,
+      });
+      const duration = (Date.now() - started) / 1000;
+
+      return {
+        ...this.readOutcome(result, variables),
+        duration,
+        ...this.readOutput(result.stdout || ''),
+        figures: this.readFigures(programDir),
+      };
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Build the Octave code that runs a program and exports its figures
+   * The program runs as a script in the base workspace; the error, if any,
+   * goes to stderr and the exit status.
+   * @param {string} programId - Program ID
+   * @param {string} utilitiesDir - Folder of the utility programs
+   * @returns {string} Octave statements
+   * @private
+   */
+  buildDriver(programId, utilitiesDir) {
+    const quoted = utilitiesDir.replace(/'/g, "''");
+    return [
+      'more off;',
+      `addpath('${quoted}');`,
+      "if any(strcmp(available_graphics_toolkits(), 'gnuplot')), graphics_toolkit('gnuplot'); end",
+      "set(0, 'defaultfigurevisible', 'off');",
+      `try, ${programId}; catch qmdocs_error, qmdocs_export_figures(); fprintf(2, 'error: %s\\n', qmdocs_error.message); exit(1); end`,
+      'qmdocs_export_figures();',
+      'exit(0);',
+    ].join('\n');
+  }
+
+  /**
+   * Classify how the run ended
+   * Names Octave reports as undefined that the program does not assign are
+   * functions it lacks.
+   * @param {Object} result - spawnSync result
+   * @param {string[]} variables - Variables the program assigns
+   * @returns {{status: string, error: string, missingFunctions: string[]}} Outcome
+   * @private
+   */
+  readOutcome(result, variables) {
+    if (result.error && result.error.code === 'ETIMEDOUT') {
+      return { status: 'timeout', error: `Stopped after ${this.config.octaveTimeout} s`, missingFunctions: [] };
+    }
+    if (result.error) {
+      return { status: 'error', error: result.error.message, missingFunctions: [] };
+    }
+    if (result.status === 0) {
+      return { status: 'ok', error: '', missingFunctions: [] };
+    }
+
+    const stderr = (result.stderr || '').trim();
+    const errorLines = stderr.split('\n').filter(line => line.startsWith('error:'));
+    const error = (errorLines.length > 0 ? errorLines.join('\n') : stderr) || `Octave exited with status ${result.status}`;
+
+    const assigned = new Set(variables);
+    const missingFunctions = Array.from(new Set(
+      Array.from(stderr.matchAll(/'([A-Za-z]\w*)' undefined/g), match => match[1])
+    )).filter(name => !assigned.has(name));
+
+    return { status: missingFunctions.length > 0 ? 'unsupported' : 'error', error, missingFunctions };
+  }
+
+  /**
+   * Trim the console output to the kept length
+   * @param {string} stdout - Console output
+   * @returns {{output: string, truncated: boolean}} Output
+   * @private
+   */
+  readOutput(stdout) {
+    const output = stdout.replace(/\r\n/g, '\n').replace(/\s+$/, '');
+    return output.length > MAX_OUTPUT_LENGTH
+      ? { output: output.substring(0, MAX_OUTPUT_LENGTH), truncated: true }
+      : { output, truncated: false };
+  }
+
+  /**
+   * Read the exported figures
+   * @param {string} programDir - Folder the program ran in
+   * @returns {Array<{svg: Buffer|null, png: Buffer|null}>} Figures in export order
+   * @private
+   */
+  readFigures(programDir) {
+    const read = name => {
+      const filePath = path.join(programDir, name);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    };
+
+    const figures = [];
+    for (let k = 1; ; k++) {
+      const figure = { svg: read(`qmdocs_figure${k}.svg`), png: read(`qmdocs_figure${k}.png`) };
+      if (!figure.svg && !figure.png) break;
+      figures.push(figure);
+    }
+    return figures;
+  }
+}
+
+/**
+ * Create an Octave service instance
+ * @param {Object} deps - Dependencies
+ * @returns {OctaveService} Service instance
+ */
+function createOctaveService(deps) {
+  return new OctaveService(deps);
+}
+
+module.exports = {
+  OctaveService,
+  createOctaveService,
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Service for finding and removing orphaned generated output
+ * @module services/OrphanService
+ */
+
+const path = require('path');
+
+/**
+ * Service for generated pages and static copies whose source is gone
+ *
+ * The generator owns everything under docs/chapter<N>/, docs/utilities/ and
+ * static/programs/ (the folders --clean removes). Any file there that the
+ * current sources do not produce is an orphan.
+ */
+class OrphanService {
+  /**
+   * Create an orphan service
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.config - Application configuration
+   * @param {Object} deps.fileSystem - File system interface
+   * @param {Object} deps.logger - Logger interface
+   */
+  constructor({ config, fileSystem, logger }) {
+    this.config = config;
+    this.fileSystem = fileSystem;
+    this.logger = logger;
+  }
+
+  /**
+   * Get the existing directories owned by the generator
+   * @returns {string[]} Absolute directory paths
+   */
+  getOwnedRoots() {
+    const docsDir = this.config.docsOutputDir;
+    const chapterDirs = this.fileSystem.readDir(docsDir)
+      .filter(item => item.startsWith('chapter'))
+      .map(item => this.fileSystem.join(docsDir, item));
+
+    return [
+      ...chapterDirs,
+      this.fileSystem.join(docsDir, 'utilities'),
+      this.config.staticOutputDir,
+    ].filter(dir => this.fileSystem.exists(dir));
+  }
+
+  /**
+   * Find generated files that the current sources do not produce
+   * @param {string[]} expectedOutputs - Absolute paths the current build produces
+   * @param {string[]} [ownedDirs=[]] - Absolute folders whose whole content the current build owns
+   * @returns {string[]} Absolute paths of orphaned files, sorted
+   * @example
+   * orphanService.findOrphans(['/site/docs/utilities/fermi/index.mdx', ...])
+   * // => ['/site/docs/utilities/angular/angular_html.mdx', ...]
+   */
+  findOrphans(expectedOutputs, ownedDirs = []) {
+    const expected = new Set(expectedOutputs.map(output => path.resolve(output)));
+    const owned = ownedDirs.map(dir => path.resolve(dir) + path.sep);
+    const orphans = [];
+
+    for (const root of this.getOwnedRoots()) {
+      for (const file of this.fileSystem.scanDirectory(root, true)) {
+        const fullPath = path.resolve(root, file);
+        if (!expected.has(fullPath) && !owned.some(dir => fullPath.startsWith(dir))) {
+          orphans.push(fullPath);
+        }
+      }
+    }
+
+    return orphans.sort();
+  }
+
+  /**
+   * Remove orphaned files and the directories they leave empty
+   * @param {string[]} orphans - Absolute paths of orphaned files
+   * @returns {string[]} Paths that were removed
+   */
+  removeOrphans(orphans) {
+    const removed = [];
+    const dirs = new Set();
+
+    for (const file of orphans) {
+      if (this.fileSystem.removeFile(file)) {
+        removed.push(file);
+        dirs.add(path.dirname(file));
+      } else {
+        this.logger.warn(`Failed to remove: ${this.toDisplayPath(file)}`);
+      }
+    }
+
+    // Deepest first, so a parent is checked after its children are gone
+    Array.from(dirs)
+      .sort((a, b) => b.length - a.length)
+      .forEach(dir => this.removeEmptyDirs(dir));
+
+    return removed;
+  }
+
+  /**
+   * Remove a directory and its ancestors while they are empty
+   * Stops at the docs and static output directories.
+   * @param {string} dir - Absolute directory path
+   * @private
+   */
+  removeEmptyDirs(dir) {
+    const stopAt = [path.resolve(this.config.docsOutputDir), path.resolve(this.config.staticOutputDir)];
+    let current = path.resolve(dir);
+
+    while (
+      !stopAt.includes(current) &&
+      stopAt.some(stop => current.startsWith(stop + path.sep)) &&
+      this.fileSystem.exists(current) &&
+      this.fileSystem.readDir(current).length === 0
+    ) {
+      this.fileSystem.removeDir(current);
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Format a path for display
+   * @param {string} filePath - Absolute path
+   * @returns {string} Path relative to the project directory
+   */
+  toDisplayPath(filePath) {
+    return path.relative(this.config.projectDir, filePath).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Create an orphan service instance
+ * @param {Object} deps - Dependencies
+ * @returns {OrphanService} Service instance
+ */
+function createOrphanService(deps) {
+  return new OrphanService(deps);
+}
+
+module.exports = {
+  OrphanService,
+  createOrphanService,
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Tests of the in-memory build API
+ *
+ * The sources are two book files: Chapt1Fig8.m, a chapter program, and
+ * mu.m, a utility that calls fermi.m, which is left out so the build has
+ * a missing dependency to report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { build, writeBuild } = require('../../api');
+const { createMemoryFileSystem } = require('../../utils/memoryFileSystem');
+
+/**
+ * Read a fixture as bytes
+ * @param {string} name - File name
+ * @returns {Buffer} File content
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name));
+}
+
+describe('build', () => {
+  const result = build({
+    sources: { 'Chapt1Fig8.m': readFixture('Chapt1Fig8.m'), 'mu.m': readFixture('mu.m') },
+    config: { chapterNames: { '1': 'Introduction' } },
+  });
+
+  test('returns a page set for each program and the dependency graph', () => {
+    expect(result.pages.map(page => page.path)).toEqual([
+      'docs/chapter1/Chapt1Fig8/Chapt1Fig8_matlab.mdx',
+      'docs/chapter1/Chapt1Fig8/index.mdx',
+      'docs/program-dependencies.mdx',
+      'docs/utilities/mu/index.mdx',
+      'docs/utilities/mu/mu_matlab.mdx',
+    ]);
+    result.pages.forEach(page => expect(typeof page.content).toBe('string'));
+
+    const matlabPage = result.pages.find(page => page.path.endsWith('Chapt1Fig8_matlab.mdx')).content;
+    expect(matlabPage).toMatch(/^---\n/);
+    expect(matlabPage).toContain('Classical sho monatomic linear chain dispersion');
+  });
+
+  test('returns the static copies as bytes and the other files as text', () => {
+    expect(result.staticFiles.map(file => file.path)).toEqual([
+      'static/programs/matlab/Chapt1Fig8/Chapt1Fig8_files/viewer.json',
+      'static/programs/matlab/Chapt1Fig8/Chapt1Fig8.m',
+      'static/programs/matlab/mu/mu.m',
+    ]);
+    expect(result.staticFiles[1].content.equals(readFixture('Chapt1Fig8.m'))).toBe(true);
+
+    expect(result.files.map(file => file.path)).toEqual(['.docs-manifest.json', 'sidebars.js', 'static/search-index.json']);
+    expect(result.removed).toEqual([]);
+    expect(result.removedDirs).toEqual([]);
+  });
+
+  test('returns the sidebar with the chapter and utility categories', () => {
+    const [, programs] = result.sidebar.tutorialSidebar;
+    expect(programs.label).toBe('📚 Programs by Chapter');
+
+    const [chapter, utilities] = programs.items;
+    expect(chapter.label).toBe('Ch 1: Introduction');
+    expect(chapter.items.map(item => item.link.id)).toEqual(['chapter1/Chapt1Fig8/index']);
+    expect(chapter.items[0].customProps).toEqual({ description: 'Classical sho monatomic linear chain dispersion' });
+    expect(chapter.items[0].items).toEqual([
+      expect.objectContaining({ id: 'chapter1/Chapt1Fig8/Chapt1Fig8_matlab', label: '📊 MATLAB' }),
+    ]);
+    expect(utilities.items.map(item => item.link.id)).toEqual(['utilities/mu/index']);
+  });
+
+  test('returns the statistics as plain data', () => {
+    expect(result.stats).toMatchObject({
+      programs: ['Chapt1Fig8', 'mu'],
+      processed: 2,
+      skipped: 0,
+      utilities: 1,
+      byChapter: { '1': ['Chapt1Fig8'], utilities: ['mu'] },
+      byType: { matlab: 2 },
+      byEncoding: { 'ascii/cr': 2 },
+      collisions: [],
+      failed: false,
+      build: { generated: ['Chapt1Fig8', 'mu'], refreshed: [], unchanged: [], removed: [] },
+      viewers: { Chapt1Fig8: '/programs/matlab/Chapt1Fig8/Chapt1Fig8_files/viewer.json' },
+    });
+    expect(result.stats.warnings).toEqual(['Missing dependency: mu calls fermi(), which is not in the INBOX']);
+  });
+
+  test('writeBuild writes every returned file under the project directory', () => {
+    const fileSystem = createMemoryFileSystem('/site');
+    const { written, removed, failed } = writeBuild(result, { projectDir: '/site', fileSystem });
+
+    expect(failed).toEqual([]);
+    expect(removed).toEqual([]);
+    expect(written).toHaveLength(result.pages.length + result.staticFiles.length + result.files.length);
+    expect(fileSystem.readFile('/site/docs/chapter1/Chapt1Fig8/index.mdx', 'utf-8'))
+      .toBe(result.pages.find(page => page.path === 'docs/chapter1/Chapt1Fig8/index.mdx').content);
+  });
+
+  test('does not resolve calls to a local function of another file', () => {
+    const { stats, pages } = build({
+      sources: {
+        'solver.m': 'function x = solver(a)\nx = step(a);\nend\n\nfunction y = step(a)\ny = a / 2;\nend\n',
+        'Chapt2Fig1.m': 'x = step(4) + norm2(4);\n',
+      },
+    });
+    const index = pages.find(page => page.path === 'docs/chapter2/Chapt2Fig1/index.mdx').content;
+
+    expect(stats.warnings).toEqual([
+      'Missing dependency: Chapt2Fig1 calls step(), which is not in the INBOX',
+      'Missing dependency: Chapt2Fig1 calls norm2(), which is not in the INBOX',
+    ]);
+    expect(index).toContain(':::warning Missing dependencies\nThis program calls `step`, `norm2`, which are not part of this collection.');
+    expect(pages.find(page => page.path === 'docs/utilities/solver/index.mdx').content).not.toContain(':::warning');
+  });
+
+  test('names a single missing dependency in the singular', () => {
+    const { pages } = build({ sources: { 'Chapt2Fig1.m': 'x = norm2(4);\n' } });
+
+    expect(pages.find(page => page.path === 'docs/chapter2/Chapt2Fig1/index.mdx').content)
+      .toContain(':::warning Missing dependency\nThis program calls `norm2`, which is not part of this collection.');
+  });
+
+  test('rejects a source path outside the INBOX', () => {
+    expect(() => build({ sources: { '../Chapt1Fig8.m': 'x = 1;' } })).toThrow('expected a path inside the INBOX');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests of the search index built from generated pages
+ *
+ * A site built from the committed docs has an empty INBOX, so its index
+ * comes from the pages alone. The pages here are generated from
+ * Chapt1Fig8.m and mu.m by an in-memory build, whose own index, read from
+ * the sources, is the expected result.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { build } = require('../../api');
+const { buildProject } = require('../../app');
+const { createConfig } = require('../../config');
+const { createMemoryFileSystem } = require('../../utils/memoryFileSystem');
+const { createNullLogger } = require('../../utils/logger');
+
+/**
+ * Read a fixture as bytes
+ * @param {string} name - File name
+ * @returns {Buffer} File content
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name));
+}
+
+describe('search index from pages', () => {
+  const previous = build({
+    sources: { 'Chapt1Fig8.m': readFixture('Chapt1Fig8.m'), 'mu.m': readFixture('mu.m') },
+  });
+  const expected = JSON.parse(previous.files.find(file => file.path === 'static/search-index.json').content);
+
+  // The committed site: the pages of the earlier build, and an empty INBOX
+  const config = createConfig({ settings: {} }, '/site/scripts');
+  const fileSystem = createMemoryFileSystem('/site');
+  fileSystem.ensureDir(config.inboxDir);
+  for (const page of previous.pages) {
+    fileSystem.writeFile(path.join('/site', page.path), page.content);
+  }
+  const { output } = buildProject({ config, fileSystem, logger: createNullLogger() });
+  const indexFile = output.files.find(file => file.path === 'static/search-index.json');
+
+  test('an empty INBOX still writes the search index', () => {
+    expect(output.pages).toEqual([]);
+    expect(indexFile).toBeDefined();
+  });
+
+  test('lists the programs of the docs folder', () => {
+    const index = JSON.parse(indexFile.content);
+
+    expect(index.version).toBe(expected.version);
+    expect(index.programs.map(program => program.id)).toEqual(['Chapt1Fig8', 'mu']);
+  });
+
+  test('reads the same program details and MATLAB lines as the sources give', () => {
+    const index = JSON.parse(indexFile.content);
+
+    index.programs.forEach((program, i) => {
+      const { description, ...fromSources } = expected.programs[i];
+      expect(program).toEqual({ ...fromSources, description: '' });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Tests of the browser interpreter on the book's programs
+ *
+ * The fixtures are unchanged copies of book files (ASCII with CR line
+ * endings), read with the same text rules as the generator and the site.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMatlabInterpreter } = require('../../interpreter');
+const { decodeText } = require('../../utils/textDecoder');
+
+/**
+ * Read a MATLAB fixture
+ * @param {string} name - File name without .m
+ * @returns {string} Source text
+ */
+function readProgram(name) {
+  return decodeText(fs.readFileSync(path.join(__dirname, '..', 'fixtures', `${name}.m`))).text;
+}
+
+describe('interpreter', () => {
+  test('Chapt1Fig8 plots the acoustic branch of the monatomic chain', () => {
+    const result = createMatlabInterpreter({ name: 'Chapt1Fig8', timeLimit: 20 }).run(readProgram('Chapt1Fig8'));
+
+    expect(result.error).toBeNull();
+    expect(result.output).toBe('');
+    expect(result.figures).toHaveLength(1);
+
+    const [axes] = result.figures[0].axes;
+    expect(axes.title).toBe('Chapt1Fig8, \\kappa = 1, m = 1');
+    expect(axes.xlabel).toBe('Wave vector, q');
+    expect(axes.ylabel).toBe('Frequency, \\omega(q)');
+    expect(axes.xlim).toEqual([-Math.PI, Math.PI]);
+    expect(axes.ylim[1]).toBeCloseTo(2.2);
+
+    // omega(q) = 2 |sin(q / 2)| for kappa = m = 1, from -pi to pi in steps of 0.01
+    const [series] = axes.series;
+    expect(series.x).toHaveLength(629);
+    series.x.forEach((q, i) => expect(series.y[i]).toBeCloseTo(2 * Math.abs(Math.sin(q / 2)), 12));
+  });
+
+  test('Chapt9Exercise1 prints chemical potentials and plots gain and emission', () => {
+    const interpreter = createMatlabInterpreter({
+      name: 'Chapt9Exercise1',
+      functions: { mu: readProgram('mu'), fermi: readProgram('fermi') },
+      timeLimit: 20,
+    });
+    const result = interpreter.run(readProgram('Chapt9Exercise1'));
+
+    expect(result.error).toBeNull();
+    expect(result.output.startsWith('Eg = 1.4000\nmuhh = -0.0554\nmue = 0.0389\ndeltamu = -0.0165\n')).toBe(true);
+    expect(result.output.endsWith('muhh = 0.0132\nmue = 0.2396\ndeltamu = 0.2528\n')).toBe(true);
+    expect(result.output.match(/^deltamu = /gm)).toHaveLength(10);
+
+    expect(result.figures.map(figure => figure.number)).toEqual([1, 2]);
+    const [gain, emission] = result.figures.map(figure => figure.axes[0]);
+    expect(gain.series).toHaveLength(10);
+    expect(emission.series).toHaveLength(10);
+    expect(gain.grid).toBe(true);
+    expect(gain.title).toMatch(/^n_\{min\}=1x10\^\{18\} cm\^\{-3\}, n_\{max\}=10x10\^\{18\}/);
+
+    // The program's constant gives a peak gain of about 330 cm-1 at n = 2e18 cm-3
+    expect(Math.max(...gain.series[1].y)).toBeCloseTo(327.6, 1);
+  });
+
+  test('a long builtin call stops at the time limit', () => {
+    // eigs of a 999x999 matrix, as in Chapt4Exercise8, takes far longer than the limit
+    const source = 'n = 1000;\nH = diag(2 * ones(1, n - 1)) - diag(ones(1, n - 2), 1) - diag(ones(1, n - 2), -1);\n[phi, e] = eigs(H, 2, \'SM\');';
+    const started = Date.now();
+    const result = createMatlabInterpreter({ timeLimit: 0.5 }).run(source);
+
+    expect(result.error).toMatchObject({ message: 'Stopped after 0.5 s', line: 3, timeout: true });
+    expect((Date.now() - started) / 1000).toBeLessThan(1.5);
+  });
+
+  test('an endless loop stops at the time limit', () => {
+    const started = Date.now();
+    const result = createMatlabInterpreter({ timeLimit: 0.2 }).run('k = 0;\nwhile true\n  k = k + 1;\nend');
+
+    expect(result.error).toMatchObject({ message: 'Stopped after 0.2 s', timeout: true });
+    expect((Date.now() - started) / 1000).toBeLessThan(1);
+  });
+
+  test('a program calling a missing function file reports the line', () => {
+    const result = createMatlabInterpreter({ name: 'Chapt9Exercise1', timeLimit: 20 }).run(readProgram('Chapt9Exercise1'));
+
+    expect(result.error).toMatchObject({ message: "Unrecognized function or variable 'mu'.", line: 33 });
+  });
+});
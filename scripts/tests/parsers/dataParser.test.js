@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests of tabular data file reading
+ *
+ * fixtures/datainLI.txt is the input file of the laser rate equations in
+ * Chapt9Exercise5.m: twenty values, one per line with CR CR line breaks,
+ * followed by a Fortran-style legend that names each of them. Delimiters
+ * and header rows are tested on short inline tables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDataParser } = require('../../parsers/dataParser');
+const { decodeText } = require('../../utils/textDecoder');
+
+const fixture = decodeText(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'datainLI.txt'))).text;
+
+describe('dataParser', () => {
+  const parser = createDataParser();
+
+  describe('parse', () => {
+    test('names the values of a one-column input file from its legend', () => {
+      const table = parser.parse(fixture);
+
+      expect(table).toMatchObject({ delimiter: 'none', header: 'none', comments: [], notes: ['Input data format'] });
+      expect(table.rows).toHaveLength(20);
+      expect(table.rows.slice(0, 3)).toEqual([[4], [0.03], [1.4e-5]]);
+      expect(table.legend).toHaveLength(20);
+      expect(table.legend[0]).toEqual({ name: 'ngroup', units: '', description: 'refractive index' });
+      expect(table.legend[7]).toEqual({ name: 'Bcons', units: 'cm3 s-1', description: 'radiative recombination' });
+    });
+
+    test('reads a header row with quoted fields, and keeps NaN and empty cells', () => {
+      const table = parser.parse('"current, mA",power\n10,0.5\n20,NaN\n,2.5\n');
+
+      expect(table).toMatchObject({ delimiter: 'comma', header: 'row' });
+      expect(table.columns.map(column => column.name)).toEqual(['current, mA', 'power']);
+      expect(table.rows).toEqual([[10, 0.5], [20, 'NaN'], [null, 2.5]]);
+      expect(table.columns[1].stats).toEqual({ count: 2, missing: 1, min: 0.5, max: 2.5, mean: 1.5, std: Math.SQRT2, unique: null });
+    });
+
+    test('takes the column names from the last leading comment line', () => {
+      const table = parser.parse('% laser output\n% I(mA) L(mW)\n10 0.1\n20 1.5\n30 3.0\n');
+
+      expect(table).toMatchObject({ delimiter: 'whitespace', header: 'comment', comments: ['laser output', 'I(mA) L(mW)'] });
+      expect(table.columns.map(column => column.name)).toEqual(['I(mA)', 'L(mW)']);
+    });
+
+    test('splits a header with spaces in its names on runs of spaces', () => {
+      const table = parser.parse('E (eV)  g (1/cm)\n1.40  200\n1.45  -50\n1.50  8.0D+1\n');
+
+      expect(table).toMatchObject({ delimiter: 'whitespace', header: 'row' });
+      expect(table.columns.map(column => column.name)).toEqual(['E (eV)', 'g (1/cm)']);
+      expect(table.rows[2]).toEqual([1.5, 80]);
+    });
+
+    test('keeps a title line as a comment and lines after the table as notes', () => {
+      expect(parser.parse('Gain at 300 K\n1.40  200\n1.45  -50\n')).toMatchObject({
+        header: 'none',
+        comments: ['Gain at 300 K'],
+        rows: [[1.4, 200], [1.45, -50]],
+      });
+      expect(parser.parse('x;y\n1;2\n3;4\ntotal 2 rows\n')).toMatchObject({
+        delimiter: 'semicolon',
+        rows: [[1, 2], [3, 4]],
+        notes: ['total 2 rows'],
+      });
+    });
+
+    test('rejects a file without a table', () => {
+      expect(() => parser.parse('% only comments\n\n')).toThrow('no table found');
+    });
+  });
+
+  describe('isTabular', () => {
+    test('accepts numeric tables of at least three rows', () => {
+      expect(parser.isTabular(fixture)).toBe(true);
+      expect(parser.isTabular('1 2\n3 4\n')).toBe(false);
+      expect(parser.isTabular('a b\nc d\ne f\n')).toBe(false);
+      expect(parser.isTabular('% only comments\n')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests of LaTeX to MDX conversion
+ *
+ * fixtures/laser-gain.tex is a short document in the style of the book's
+ * exercise write-ups: title block, numbered sections with math in a title,
+ * inline and display math, a list, a theorem-like environment, verbatim
+ * code, characters MDX treats specially, and two constructs the converter
+ * does not handle (\cite and tikzpicture).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLatexConverter } = require('../../parsers/latexConverter');
+
+const fixture = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'laser-gain.tex'), 'utf8');
+
+describe('latexConverter', () => {
+  const converter = createLatexConverter();
+  const doc = converter.convert(fixture);
+  const lines = doc.body.split('\n');
+
+  test('reads the title block from the preamble', () => {
+    expect(doc.title).toBe('Gain in a Semiconductor Laser');
+    expect(doc.author).toBe('A. Student');
+    expect(doc.date).toBe('March 2024');
+  });
+
+  describe('sectioning', () => {
+    test('numbers sections, subsections and subsubsections as headings', () => {
+      const headings = lines.filter(line => line.startsWith('#'));
+
+      expect(headings).toEqual([
+        '## 1 Introduction',
+        '### 1.1 Below Threshold (I \\< I\\_th)',
+        '#### 1.1.1 Rate equations',
+        '## 2 Summary',
+      ]);
+    });
+
+    test('writes math in a title as escaped plain text', () => {
+      const heading = lines.find(line => line.includes('Below Threshold'));
+
+      expect(heading).not.toContain('$');
+      expect(heading).not.toMatch(/[^\\]</);
+    });
+  });
+
+  describe('math', () => {
+    test('passes inline math through for KaTeX', () => {
+      expect(doc.body).toContain('The gain $g(\\hbar\\omega)$ is positive when $\\Delta\\mu > \\hbar\\omega$');
+    });
+
+    test('turns equation into display math without its label', () => {
+      expect(doc.body).toContain('$$\n\\frac{dn}{dt} = \\frac{I}{eV} - \\frac{n}{\\tau_n}\n$$');
+      expect(doc.body).not.toContain('\\label');
+    });
+
+    test('turns align into an aligned block', () => {
+      expect(doc.body).toContain('$$\n\\begin{aligned}\ng &= g_0 (n - n_0) \\\\\nP &= \\hbar\\omega v_g g S\n\\end{aligned}\n$$');
+    });
+  });
+
+  describe('escaping', () => {
+    test('escapes characters MDX would read as JSX and drops grouping braces', () => {
+      expect(doc.body).toContain('i.e. 50% of carriers inverted \\<here\\>.');
+    });
+
+    test('keeps verbatim code unchanged in a code block', () => {
+      expect(doc.body).toContain('```text\nx = linspace(0, 1, 10); % {braces} <tags>\n```');
+    });
+  });
+
+  test('converts lists, emphasis and declared theorems', () => {
+    expect(doc.body).toContain('- **Gain** needs inversion\n- *Loss* sets the threshold');
+    expect(doc.body).toContain(':::info Claim 1\n\nThreshold is reached when $g = \\alpha$.\n\n:::');
+  });
+
+  test('reports the constructs it did not convert', () => {
+    expect(doc.unsupported).toEqual([
+      { construct: '\\cite', count: 1 },
+      { construct: '\\begin{tikzpicture}', count: 1 },
+    ]);
+    expect(doc.body).not.toContain('\\draw');
+  });
+
+  test('accepts CR line endings', () => {
+    expect(converter.convert(fixture.replace(/\n/g, '\r')).body).toBe(doc.body);
+  });
+});
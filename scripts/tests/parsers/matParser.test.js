@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Tests of MAT-file reading
+ *
+ * fixtures/levels.mat is a little-endian Level 5 MAT-file written to the
+ * MAT-file format specification. E (1x4 double) and psi (1x2 complex
+ * double) are stored as miCOMPRESSED elements; H (2x2 double) and units
+ * (char) as plain miMATRIX elements.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMatParser } = require('../../parsers/matParser');
+
+const fixture = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'levels.mat'));
+
+describe('matParser', () => {
+  const parser = createMatParser();
+
+  test('reads the header', () => {
+    const file = parser.parse(fixture);
+
+    expect(file).toMatchObject({ version: '5', supported: true, endian: 'little', compressed: true });
+    expect(file.description).toMatch(/^MATLAB 5\.0 MAT-file/);
+  });
+
+  test('reads compressed and uncompressed variables in file order', () => {
+    const { variables } = parser.parse(fixture);
+
+    expect(variables.map(variable => variable.name)).toEqual(['E', 'H', 'units', 'psi']);
+  });
+
+  test('reads a compressed real array', () => {
+    const E = parser.parse(fixture).variables.find(variable => variable.name === 'E');
+
+    expect(E).toMatchObject({ className: 'double', dims: [1, 4], complex: false, data: [0.5, 2, 4.5, 8], imag: null });
+  });
+
+  test('reads a compressed complex array', () => {
+    const psi = parser.parse(fixture).variables.find(variable => variable.name === 'psi');
+
+    expect(psi).toMatchObject({ className: 'double', dims: [1, 2], complex: true, data: [1, 0], imag: [0, -1] });
+  });
+
+  test('reads uncompressed numeric and char arrays', () => {
+    const { variables } = parser.parse(fixture);
+
+    expect(variables.find(variable => variable.name === 'H')).toMatchObject({ dims: [2, 2], data: [2, -1, -1, 2] });
+    expect(variables.find(variable => variable.name === 'units')).toMatchObject({ className: 'char', text: 'meV' });
+  });
+
+  test('reports a file that ends inside a variable', () => {
+    expect(() => parser.parse(fixture.subarray(0, 300))).toThrow('truncated MAT-file');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Tests of MATLAB source analysis
+ *
+ * Chapt1Fig8.m is a script whose help block repeats its file name,
+ * mu.m a function with a help block, documented constants and a call to
+ * fermi.m, and Chapt9Exercise1.m a script that calls both. Data-file
+ * access and constant expressions are tested on short inline sources.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMatlabParser } = require('../../parsers/matlabParser');
+const { decodeText } = require('../../utils/textDecoder');
+
+/**
+ * Read a MATLAB fixture
+ * @param {string} name - File name without .m
+ * @returns {string} Source text with LF line endings
+ */
+function readProgram(name) {
+  return decodeText(fs.readFileSync(path.join(__dirname, '..', 'fixtures', `${name}.m`))).text;
+}
+
+describe('matlabParser', () => {
+  const parser = createMatlabParser();
+
+  describe('parseHeader', () => {
+    test('skips a first line that only repeats the file name', () => {
+      expect(parser.parseHeader(readProgram('Chapt1Fig8'), 'Chapt1Fig8')).toEqual({
+        h1: 'Classical sho monatomic linear chain dispersion',
+        description: '',
+        lines: ['classical sho monatomic linear chain dispersion;'],
+      });
+    });
+
+    test('reads the help block under a function declaration', () => {
+      const header = parser.parseHeader(readProgram('mu'), 'mu');
+
+      expect(header.h1).toBe('Mu uses function fermi.m');
+      expect(header.description).toBe('carrier density n(m-3), temperature kelvin(K)\nreturns chemical potential mu in eV');
+    });
+
+    test('returns null without a help block', () => {
+      expect(parser.parseHeader('x = 1;\n% not help\n', 'x')).toBeNull();
+    });
+  });
+
+  describe('parseIdentifiers', () => {
+    test('lists calls and declared functions, not keywords, comments or strings', () => {
+      const { calls, functions, assigned } = parser.parseIdentifiers(readProgram('mu'));
+
+      expect(calls).toEqual(['mu', 'log', 'sqrt', 'fermi', 'abs']);
+      expect(functions).toEqual(['mu']);
+      expect(assigned).toEqual(expect.arrayContaining(['echarge', 'kF1', 'emass', 'ncarrier', 'kelvin', 'rerr']));
+    });
+
+    test('ignores names inside comments and string literals', () => {
+      const { identifiers } = parser.parseIdentifiers("disp('call fermi(x)'); % see mu\nfor k = 1:3\nend");
+
+      expect(identifiers).toEqual(['disp', 'k']);
+    });
+  });
+
+  describe('parseFunctions', () => {
+    test('reads the signature with documented inputs and outputs', () => {
+      expect(parser.parseFunctions(readProgram('mu'))).toEqual([{
+        name: 'mu',
+        declaration: 'function [mu] = mu(emass, ncarrier, kelvin, rerr)',
+        line: 1,
+        summary: 'Mu uses function fermi.m',
+        inputs: [
+          { name: 'emass', description: '', units: '' },
+          { name: 'ncarrier', description: '', units: '' },
+          { name: 'kelvin', description: 'temperature', units: 'K' },
+          { name: 'rerr', description: '', units: '' },
+        ],
+        outputs: [{ name: 'mu', description: '', units: '' }],
+      }]);
+    });
+
+    test('finds no function in a script', () => {
+      expect(parser.parseFunctions(readProgram('Chapt1Fig8'))).toEqual([]);
+    });
+  });
+
+  describe('parseParameters', () => {
+    test('reads numeric constants with the description and units of their comment', () => {
+      const parameters = parser.parseParameters(readProgram('Chapt9Exercise1'));
+
+      expect(parameters.map(parameter => parameter.name))
+        .toEqual(['echarge', 'hbar', 'c', 'kB', 'epsilon0', 'm0', 'rerr', 'nr', 'Eg', 'kelvin']);
+      expect(parameters[0]).toEqual({
+        name: 'echarge',
+        value: '1.6021764e-19',
+        numericValue: 1.6021764e-19,
+        description: 'electron charge',
+        units: 'C',
+        line: 9,
+      });
+      expect(parameters.find(parameter => parameter.name === 'kelvin')).toMatchObject({ value: '300.0', numericValue: 300, units: 'K' });
+    });
+
+    test('evaluates constant expressions with MATLAB precedence', () => {
+      const values = parser.parseParameters([
+        'a = 1.e18;',
+        'b = -2^2;',
+        'c = 2^3^2;',
+        'd = 2^-1;',
+        'e = 4*pi*1e-7;',
+        'f = (1 + 2) ./ .5;',
+      ].join('\n')).map(parameter => parameter.numericValue);
+
+      expect(values).toEqual([1e18, -4, 64, 0.5, 4 * Math.PI * 1e-7, 6]);
+    });
+
+    test('skips values that are not constants', () => {
+      const source = 'a = hbar/2;\nb = 2**3;\nc = 1/0;\nd = (1 + 2;\ne = pix;\nf = 3 4;\ng = 1e;';
+
+      expect(parser.parseParameters(source)).toEqual([]);
+    });
+  });
+
+  describe('parseDataFiles', () => {
+    test('finds files named in function and command syntax', () => {
+      const source = "fp = fopen('datainLI.txt', 'r');\nA = dlmread('gain.csv');\nsave out x\nload levels";
+
+      expect(parser.parseDataFiles(source)).toEqual([
+        { file: 'datainLI.txt', function: 'fopen', access: 'read', line: 1 },
+        { file: 'gain.csv', function: 'dlmread', access: 'read', line: 2 },
+        { file: 'out.mat', function: 'save', access: 'write', line: 3 },
+        { file: 'levels.mat', function: 'load', access: 'read', line: 4 },
+      ]);
+    });
+
+    test('ignores file names built at run time and those in comments', () => {
+      expect(parser.parseDataFiles("load(name);\n% load old.mat\nfopen(['run', num2str(k), '.dat'])")).toEqual([]);
+    });
+  });
+});
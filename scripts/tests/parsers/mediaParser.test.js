@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Tests of image and video header reading
+ *
+ * The parser reads headers only, so each file here is built in the test
+ * from the header fields the format defines, with empty image data. PNG
+ * CRCs are left zero; the parser does not check them.
+ */
+
+const { createMediaParser } = require('../../parsers/mediaParser');
+
+/**
+ * Build a PNG, animated if it has an acTL chunk
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} [frames] - Frame count for an acTL chunk
+ * @returns {Buffer} File bytes
+ */
+function pngFile(width, height, frames) {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), body, Buffer.alloc(4)]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 6], 8);
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(frames || 0, 0);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    ...(frames ? [chunk('acTL', actl)] : []),
+    chunk('IDAT', Buffer.alloc(0)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Build a GIF with a global color table and one image block per frame
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} frames - Frame count
+ * @returns {Buffer} File bytes
+ */
+function gifFile(width, height, frames) {
+  const screen = Buffer.alloc(7);
+  screen.writeUInt16LE(width, 0);
+  screen.writeUInt16LE(height, 2);
+  screen[4] = 0x80;
+  const frame = Buffer.from([
+    0x21, 0xf9, 0x04, 0x00, 0x0a, 0x00, 0x00, 0x00,
+    0x2c, 0x00, 0x00, 0x00, 0x00, width, 0x00, height, 0x00, 0x00,
+    0x02, 0x02, 0x4c, 0x01, 0x00,
+  ]);
+
+  return Buffer.concat([
+    Buffer.from('GIF89a', 'latin1'),
+    screen,
+    Buffer.alloc(6),
+    ...Array(frames).fill(frame),
+    Buffer.from([0x3b]),
+  ]);
+}
+
+/**
+ * Build a JPEG with an APP0 segment before its frame header
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} File bytes
+ */
+function jpegFile(width, height) {
+  const sof = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03, ...Array(9).fill(0)]);
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]),
+    Buffer.from('JFIF\0', 'latin1'),
+    Buffer.alloc(9),
+    sof,
+    Buffer.from([0xff, 0xd9]),
+  ]);
+}
+
+/**
+ * Build an MP4 box
+ * @param {string} type - Box type
+ * @param {...Buffer} children - Box body
+ * @returns {Buffer} Box bytes
+ */
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build an MP4 with a movie header and one video track
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} seconds - Duration in seconds
+ * @returns {Buffer} File bytes
+ */
+function mp4File(width, height, seconds) {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(600, 12);
+  mvhd.writeUInt32BE(seconds * 600, 16);
+  const tkhd = Buffer.alloc(84);
+  tkhd.writeUInt32BE(width * 65536, 76);
+  tkhd.writeUInt32BE(height * 65536, 80);
+
+  return Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\0\0isom', 'latin1')),
+    box('moov', box('mvhd', mvhd), box('trak', box('tkhd', tkhd))),
+    box('mdat'),
+  ]);
+}
+
+/**
+ * Build an EBML element whose body is shorter than 127 bytes
+ * @param {number[]} id - Element ID bytes
+ * @param {...Buffer} children - Element body
+ * @returns {Buffer} Element bytes
+ */
+function element(id, ...children) {
+  const body = Buffer.concat(children);
+  return Buffer.concat([Buffer.from(id), Buffer.from([0x80 | body.length]), body]);
+}
+
+/**
+ * Build a WebM whose segment has an unknown size, as live encoders write
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} seconds - Duration in seconds
+ * @returns {Buffer} File bytes
+ */
+function webmFile(width, height, seconds) {
+  const duration = Buffer.alloc(8);
+  duration.writeDoubleBE(seconds * 1000);
+  const size = (value) => Buffer.from([value >> 8, value & 0xff]);
+
+  return Buffer.concat([
+    element([0x1a, 0x45, 0xdf, 0xa3], element([0x42, 0x82], Buffer.from('webm', 'latin1'))),
+    Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]),
+    element([0x15, 0x49, 0xa9, 0x66],
+      element([0x2a, 0xd7, 0xb1], Buffer.from([0x0f, 0x42, 0x40])),
+      element([0x44, 0x89], duration)),
+    element([0x16, 0x54, 0xae, 0x6b],
+      element([0xae], element([0xe0], element([0xb0], size(width)), element([0xba], size(height))))),
+  ]);
+}
+
+describe('mediaParser', () => {
+  const parser = createMediaParser();
+
+  test('reads the size of still images', () => {
+    const svg = Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="12cm" viewBox="0 0 480 360">');
+
+    expect(parser.parse(pngFile(640, 480), '.png')).toEqual({
+      format: 'png', width: 640, height: 480, animated: false, frames: null, duration: null, bytes: 57,
+    });
+    expect(parser.parse(jpegFile(800, 600), '.JPG')).toMatchObject({ format: 'jpeg', width: 800, height: 600, animated: false });
+    expect(parser.parse(svg, '.svg')).toMatchObject({ format: 'svg', width: 480, height: 360 });
+  });
+
+  test('counts the frames of animated GIF and PNG files', () => {
+    expect(parser.parse(gifFile(40, 30, 3), '.gif')).toMatchObject({ width: 40, height: 30, animated: true, frames: 3 });
+    expect(parser.parse(gifFile(40, 30, 1), '.gif')).toMatchObject({ animated: false, frames: 1 });
+    expect(parser.parse(pngFile(64, 48, 12), '.png')).toMatchObject({ animated: true, frames: 12 });
+  });
+
+  test('reads the size and duration of MP4 and WebM videos', () => {
+    expect(parser.parse(mp4File(1280, 720, 4), '.mp4')).toMatchObject({
+      format: 'mp4', width: 1280, height: 720, duration: 4, animated: true, frames: null,
+    });
+    expect(parser.parse(webmFile(320, 240, 2.5), '.webm')).toMatchObject({
+      format: 'webm', width: 320, height: 240, duration: 2.5, animated: true,
+    });
+  });
+
+  test('reports files it cannot read', () => {
+    expect(() => parser.parse(Buffer.from('GIF89a'), '.png')).toThrow('not a PNG file');
+    expect(() => parser.parse(jpegFile(8, 8).subarray(0, 20), '.jpg')).toThrow('no JPEG frame header found');
+    expect(() => parser.parse(mp4File(8, 8, 1).subarray(0, 48), '.mp4')).toThrow('truncated MP4 file');
+    expect(() => parser.parse(Buffer.from('<html>'), '.svg')).toThrow('no <svg> element found');
+    expect(() => parser.parse(Buffer.alloc(8), '.bmp')).toThrow('unsupported media extension .bmp');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Tests of Jupyter notebook parsing
+ *
+ * fixtures/well-levels.ipynb is an Octave notebook in nbformat 4.5: a
+ * markdown cell with an attached PNG, code cells whose saved outputs are a
+ * stream, a plot with an HTML result, and an error with ANSI colors, and a
+ * raw cell.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createNotebookParser } = require('../../parsers/notebookParser');
+
+const fixture = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'well-levels.ipynb'), 'utf-8');
+
+describe('notebookParser', () => {
+  const parser = createNotebookParser();
+
+  test('reads the format and the kernel, highlighting Octave as MATLAB', () => {
+    const notebook = parser.parse(fixture);
+
+    expect(notebook.nbformat).toBe('4.5');
+    expect(notebook.kernel).toEqual({ name: 'octave', displayName: 'Octave', language: 'octave' });
+    expect(notebook.language).toBe('matlab');
+    expect(notebook.hasOutputs).toBe(true);
+  });
+
+  test('joins the source lines of each cell', () => {
+    const { cells } = parser.parse(fixture);
+
+    expect(cells.map(cell => [cell.type, cell.executionCount])).toEqual([
+      ['markdown', null],
+      ['code', 1],
+      ['code', 2],
+      ['code', 3],
+      ['raw', null],
+    ]);
+    expect(cells[1].source.split('\n')).toHaveLength(5);
+    expect(cells[4].source).toBe('end of notebook');
+  });
+
+  test('keeps the preferred representation of each output', () => {
+    const { cells } = parser.parse(fixture);
+
+    expect(cells[1].outputs).toEqual([{ kind: 'stream', name: 'stdout', text: 'E1 = 0.376 eV\n' }]);
+    expect(cells[2].outputs).toEqual([
+      { kind: 'image', asset: 'cell3_output0.png' },
+      { kind: 'html', html: '<b>E3 = 3.384 eV</b>' },
+    ]);
+    expect(cells[3].outputs).toEqual([{ kind: 'error', ename: 'error', text: "error: 'E4' undefined" }]);
+  });
+
+  test('extracts output images and attachments as decoded assets', () => {
+    const { cells, assets } = parser.parse(fixture);
+
+    expect(cells[0].attachments).toEqual({ 'well.png': 'cell1_well.png' });
+    expect(assets.map(asset => [asset.name, asset.mimeType])).toEqual([
+      ['cell1_well.png', 'image/png'],
+      ['cell3_output0.png', 'image/png'],
+    ]);
+    assets.forEach(asset => expect(asset.content.subarray(1, 4).toString('latin1')).toBe('PNG'));
+  });
+
+  test('rejects text that is not an nbformat 4 notebook', () => {
+    expect(() => parser.parse('{"cells": [')).toThrow('not valid JSON');
+    expect(() => parser.parse('{"nbformat": 4}')).toThrow('no cells found');
+    expect(() => parser.parse('{"nbformat": 3, "cells": []}')).toThrow('nbformat 3 is not supported (expected 4)');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Tests of PDF text and metadata extraction
+ *
+ * fixtures/finite-well.pdf is a two-page PDF written by PDFKit 0.15, whose
+ * page content streams are FlateDecode-compressed, so none of its text can
+ * be read without inflating them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createPdfParser } = require('../../parsers/pdfParser');
+
+const fixture = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'finite-well.pdf'));
+
+describe('pdfParser', () => {
+  const parser = createPdfParser();
+
+  test('the fixture keeps its text in compressed streams only', () => {
+    const raw = fixture.toString('latin1');
+    expect(raw).toContain('/FlateDecode');
+    expect(raw).not.toContain('Bound states');
+  });
+
+  test('reads the text of each page from FlateDecode streams', () => {
+    const doc = parser.parse(fixture);
+
+    expect(doc.pageCount).toBe(2);
+    expect(doc.pages).toEqual(['Bound states of a finite well\n\nEnergy levels in meV', 'Second page']);
+    expect(doc.encrypted).toBe(false);
+    expect(doc.scanned).toBe(false);
+  });
+
+  test('reads the version and the document information', () => {
+    const doc = parser.parse(fixture);
+
+    expect(doc.version).toBe('1.3');
+    expect(doc.info).toMatchObject({
+      title: 'Finite Square Well',
+      author: 'Test Author',
+      producer: 'PDFKit',
+      creationDate: '2024-01-02T03:04:05Z',
+      modDate: null,
+    });
+  });
+
+  test('rejects data without a PDF header', () => {
+    expect(() => parser.parse(Buffer.from('hello'))).toThrow('not a PDF file');
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Tests of when the Docusaurus plugin generates
+ *
+ * The application is replaced by one whose run() counts its calls, so the
+ * tests check the order of generation and the plugin lifecycle without
+ * writing into the project.
+ */
+
+jest.mock('../../app', () => ({ createApp: jest.fn() }));
+
+const { createApp } = require('../../app');
+const qmdocsGeneratorPlugin = require('../../docusaurusPlugin');
+
+/**
+ * Create the statistics of a run
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Processing statistics
+ */
+function createStats(overrides = {}) {
+  return {
+    processed: 1,
+    skipped: 0,
+    utilities: 0,
+    byChapter: new Map([['1', new Set(['Chapt1Fig8'])]]),
+    byType: new Map([['matlab', 1]]),
+    byEncoding: new Map([['ascii/cr', 1]]),
+    programFiles: new Map([['Chapt1Fig8', { programInfo: { viewer: null } }]]),
+    warnings: [],
+    collisions: [],
+    failed: false,
+    build: { generated: ['Chapt1Fig8'], refreshed: [], unchanged: [], removed: [] },
+    orphans: { action: 'none', files: [] },
+    ...overrides,
+  };
+}
+
+describe('docusaurusPlugin', () => {
+  let run;
+
+  beforeEach(() => {
+    run = jest.fn(() => createStats());
+    createApp.mockReturnValue({ run, getConfig: () => ({ inboxDir: '/site/INBOX' }) });
+  });
+
+  test('generates when the plugin is created, before any content is loaded', () => {
+    qmdocsGeneratorPlugin({ baseUrl: '/' }, { silent: true });
+
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('loadContent returns the first run and regenerates on later calls', async () => {
+    const plugin = qmdocsGeneratorPlugin({ baseUrl: '/' }, { silent: true });
+
+    await expect(plugin.loadContent()).resolves.toMatchObject({ programs: ['Chapt1Fig8'], processed: 1 });
+    expect(run).toHaveBeenCalledTimes(1);
+
+    await plugin.loadContent();
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails the site build when generation fails', () => {
+    run.mockReturnValue(createStats({
+      failed: true,
+      collisions: [{ programId: 'fermi', type: 'matlab', files: [{ path: 'lib/fermi.m' }, { path: 'old/fermi.m' }] }],
+    }));
+
+    expect(() => qmdocsGeneratorPlugin({ baseUrl: '/' }, { silent: true }))
+      .toThrow('fermi (matlab) is produced by lib/fermi.m, old/fermi.m');
+  });
+
+  test('watches the INBOX', () => {
+    const plugin = qmdocsGeneratorPlugin({ baseUrl: '/' }, { silent: true });
+
+    expect(plugin.getPathsToWatch()).toEqual(['/site/INBOX/**/*']);
+  });
+});
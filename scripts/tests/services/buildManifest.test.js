@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Tests of incremental builds with the build manifest
+ *
+ * Each test builds a project in a memory file system with Chapt1Fig8.m and
+ * mu.m in its INBOX, writes the output back as the CLI does, and builds
+ * again after changing a source, a setting or the generator version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildProject, writeBuild } = require('../../app');
+const { createConfig } = require('../../config');
+const { createBuildManifest } = require('../../services/BuildManifest');
+const { createMemoryFileSystem } = require('../../utils/memoryFileSystem');
+const { createNullLogger } = require('../../utils/logger');
+
+/**
+ * Read a fixture as bytes
+ * @param {string} name - File name
+ * @returns {Buffer} File content
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name));
+}
+
+/**
+ * Build a project and write the output into its file system
+ * @param {Object} config - Application configuration
+ * @param {Object} fileSystem - Memory file system of the project
+ * @returns {{output: Object, stats: Object}} Build output and statistics
+ */
+function runBuild(config, fileSystem) {
+  const { output, stats } = buildProject({ config, fileSystem, logger: createNullLogger() });
+  writeBuild(output, { projectDir: config.projectDir, fileSystem });
+  return { output, stats };
+}
+
+describe('BuildManifest', () => {
+  let config;
+  let fileSystem;
+
+  beforeEach(() => {
+    config = createConfig({ settings: {} }, '/site/scripts');
+    fileSystem = createMemoryFileSystem('/site');
+    fileSystem.writeFile(path.join(config.inboxDir, 'Chapt1Fig8.m'), readFixture('Chapt1Fig8.m'));
+    fileSystem.writeFile(path.join(config.inboxDir, 'mu.m'), readFixture('mu.m'));
+    runBuild(config, fileSystem);
+  });
+
+  test('records each program with its sources and outputs', () => {
+    const manifest = createBuildManifest({ config, fileSystem, logger: createNullLogger() });
+
+    expect(manifest.load()).toBe(true);
+    expect(manifest.getProgram('Chapt1Fig8').sources).toEqual([
+      { path: 'Chapt1Fig8.m', hash: expect.stringMatching(/^[0-9a-f]+$/) },
+    ]);
+    expect(manifest.getOutputs('Chapt1Fig8')).toEqual(expect.arrayContaining([
+      '/site/docs/chapter1/Chapt1Fig8/index.mdx',
+      '/site/static/programs/matlab/Chapt1Fig8/Chapt1Fig8.m',
+    ]));
+  });
+
+  test('skips unchanged sources', () => {
+    const { output, stats } = runBuild(config, fileSystem);
+
+    expect(stats.build).toMatchObject({ generated: [], unchanged: ['Chapt1Fig8', 'mu'] });
+    expect(output.pages).toEqual([]);
+    expect(output.staticFiles).toEqual([]);
+  });
+
+  test('regenerates only the program whose source changed', () => {
+    const source = readFixture('Chapt1Fig8.m').toString('latin1').replace('kappa=1;', 'kappa=2;');
+    fileSystem.writeFile(path.join(config.inboxDir, 'Chapt1Fig8.m'), source);
+
+    const { output, stats } = runBuild(config, fileSystem);
+
+    expect(stats.build).toMatchObject({ generated: ['Chapt1Fig8'], unchanged: ['mu'] });
+    expect(output.pages.map(page => page.path)).toEqual(expect.arrayContaining(['docs/chapter1/Chapt1Fig8/Chapt1Fig8_matlab.mdx']));
+    expect(output.pages.some(page => page.path.startsWith('docs/utilities/'))).toBe(false);
+  });
+
+  test('rebuilds everything when a page setting changes', () => {
+    const renamed = createConfig({ settings: { chapterNames: { '1': 'Introduction' } } }, '/site/scripts');
+
+    const { output, stats } = runBuild(renamed, fileSystem);
+
+    expect(stats.build).toMatchObject({ generated: ['Chapt1Fig8', 'mu'], unchanged: [] });
+    expect(output.pages.find(page => page.path === 'docs/chapter1/Chapt1Fig8/index.mdx').content)
+      .toContain('**Chapter 1**: Introduction');
+  });
+
+  test('rebuilds everything when the generator changes', () => {
+    const updated = { ...config, generatorVersion: 'next' };
+
+    expect(createBuildManifest({ config: updated, fileSystem, logger: createNullLogger() }).load()).toBe(false);
+    expect(runBuild(updated, fileSystem).stats.build).toMatchObject({ generated: ['Chapt1Fig8', 'mu'], unchanged: [] });
+  });
+
+  test('rebuilds everything with --force', () => {
+    const { stats } = runBuild({ ...config, force: true }, fileSystem);
+
+    expect(stats.build).toMatchObject({ generated: ['Chapt1Fig8', 'mu'], unchanged: [] });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Tests of program ID collisions in recursive scans
+ *
+ * The INBOX holds two copies of fermi.m, lib/fermi.m and a later edit in
+ * old/fermi.m, so both folders map to the program ID fermi. Each test
+ * builds them with one collision policy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { build } = require('../../api');
+
+/**
+ * Read a fixture as bytes
+ * @param {string} name - File name
+ * @returns {Buffer} File content
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name));
+}
+
+const LIB_FERMI = readFixture('fermi.m');
+const OLD_FERMI = Buffer.concat([LIB_FERMI, Buffer.from('% edited\r')]);
+
+/**
+ * Build both copies of fermi.m with a collision policy
+ * @param {string} collisionPolicy - fail, namespace, newest or suffix
+ * @returns {Object} Build result
+ */
+function buildWith(collisionPolicy) {
+  return build({
+    sources: [
+      { path: 'lib/fermi.m', content: LIB_FERMI, modifiedTime: Date.UTC(2024, 0, 1) },
+      { path: 'old/fermi.m', content: OLD_FERMI, modifiedTime: Date.UTC(2024, 0, 2) },
+    ],
+    config: { recursive: true, collisionPolicy },
+  });
+}
+
+/**
+ * List the program folders of the generated pages
+ * @param {Object[]} pages - Generated pages
+ * @returns {string[]} Distinct folders under docs/utilities
+ */
+function programDirs(pages) {
+  return [...new Set(pages
+    .filter(page => page.path.startsWith('docs/utilities/'))
+    .map(page => page.path.split('/')[2]))];
+}
+
+describe('collision policies', () => {
+  test('fail reports the collision and generates nothing', () => {
+    const { pages, staticFiles, stats } = buildWith('fail');
+
+    expect(stats.failed).toBe(true);
+    expect(stats.collisions).toEqual([{
+      programId: 'fermi',
+      type: 'matlab',
+      policy: 'fail',
+      files: [
+        { path: 'lib/fermi.m', programId: 'fermi' },
+        { path: 'old/fermi.m', programId: 'fermi' },
+      ],
+    }]);
+    expect(pages).toEqual([]);
+    expect(staticFiles).toEqual([]);
+  });
+
+  test('namespace appends the folder to each program ID', () => {
+    const { pages, stats } = buildWith('namespace');
+
+    expect(stats.failed).toBe(false);
+    expect(stats.collisions[0].files).toEqual([
+      { path: 'lib/fermi.m', programId: 'fermi-lib' },
+      { path: 'old/fermi.m', programId: 'fermi-old' },
+    ]);
+    expect(stats.programs).toEqual(['fermi-lib', 'fermi-old']);
+    expect(programDirs(pages)).toEqual(['fermi-lib', 'fermi-old']);
+    expect(pages.find(page => page.path === 'docs/utilities/fermi-old/index.mdx').content).toContain('fermi (old)');
+  });
+
+  test('newest keeps only the folder with the most recently modified file', () => {
+    const { pages, staticFiles, stats } = buildWith('newest');
+
+    expect(stats.collisions[0].files).toEqual([
+      { path: 'lib/fermi.m', programId: null },
+      { path: 'old/fermi.m', programId: 'fermi' },
+    ]);
+    expect(stats.skipped).toBe(1);
+    expect(programDirs(pages)).toEqual(['fermi']);
+    expect(staticFiles.find(file => file.path === 'static/programs/matlab/fermi/fermi.m').content.equals(OLD_FERMI))
+      .toBe(true);
+  });
+
+  test('suffix keeps the ID of the first folder and hashes the others', () => {
+    const { pages, stats } = buildWith('suffix');
+
+    expect(stats.collisions[0].files).toEqual([
+      { path: 'lib/fermi.m', programId: 'fermi' },
+      { path: 'old/fermi.m', programId: expect.stringMatching(/^fermi-[0-9a-f]{8}$/) },
+    ]);
+    const suffixed = stats.collisions[0].files[1].programId;
+    expect(stats.programs).toEqual(['fermi', suffixed]);
+    expect(programDirs(pages).sort()).toEqual(['fermi', suffixed].sort());
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests of the dry run plan
+ *
+ * A project in a memory file system is built from Chapt1Fig8.m and mu.m;
+ * then Chapt1Fig8.m is edited, mu.m deleted and fermi.m added, and the
+ * project built again as --dry-run does, through a recording file system.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildProject, writeBuild } = require('../../app');
+const { createConfig } = require('../../config');
+const { createDryRunService } = require('../../services/DryRunService');
+const { createMemoryFileSystem } = require('../../utils/memoryFileSystem');
+const { createNullLogger } = require('../../utils/logger');
+
+/**
+ * Read a fixture as bytes
+ * @param {string} name - File name
+ * @returns {Buffer} File content
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name));
+}
+
+describe('DryRunService', () => {
+  const config = createConfig({ settings: {} }, '/site/scripts');
+  const fileSystem = createMemoryFileSystem('/site');
+  fileSystem.writeFile(path.join(config.inboxDir, 'Chapt1Fig8.m'), readFixture('Chapt1Fig8.m'));
+  fileSystem.writeFile(path.join(config.inboxDir, 'mu.m'), readFixture('mu.m'));
+  writeBuild(buildProject({ config, fileSystem, logger: createNullLogger() }).output, {
+    projectDir: config.projectDir,
+    fileSystem,
+  });
+
+  const edited = readFixture('Chapt1Fig8.m').toString('latin1').replace('kappa=1;', 'kappa=2;');
+  fileSystem.writeFile(path.join(config.inboxDir, 'Chapt1Fig8.m'), edited);
+  fileSystem.removeFile(path.join(config.inboxDir, 'mu.m'));
+  fileSystem.writeFile(path.join(config.inboxDir, 'fermi.m'), readFixture('fermi.m'));
+
+  const before = fileSystem.getFiles();
+  const { fileSystem: recorder } = buildProject({ config, fileSystem, logger: createNullLogger() });
+  const plan = createDryRunService({ config, fileSystem: recorder, logger: createNullLogger() }).report();
+
+  test('writes nothing', () => {
+    expect(fileSystem.getFiles()).toEqual(before);
+  });
+
+  test('plans the pages to create, modify and delete', () => {
+    expect(plan.pages).toEqual([
+      { path: 'docs/chapter1/Chapt1Fig8/Chapt1Fig8_matlab.mdx', action: 'modify' },
+      { path: 'docs/chapter1/Chapt1Fig8/index.mdx', action: 'modify' },
+      { path: 'docs/program-dependencies.mdx', action: 'modify' },
+      { path: 'docs/utilities/fermi/fermi_matlab.mdx', action: 'create' },
+      { path: 'docs/utilities/fermi/index.mdx', action: 'create' },
+      { path: 'docs/utilities/mu/index.mdx', action: 'delete' },
+      { path: 'docs/utilities/mu/mu_matlab.mdx', action: 'delete' },
+    ]);
+  });
+
+  test('plans the static copies and the other files', () => {
+    expect(plan.staticFiles).toEqual([
+      { path: 'static/programs/matlab/Chapt1Fig8/Chapt1Fig8_files/viewer.json', action: 'modify' },
+      { path: 'static/programs/matlab/Chapt1Fig8/Chapt1Fig8.m', action: 'modify' },
+      { path: 'static/programs/matlab/fermi/fermi.m', action: 'create' },
+      { path: 'static/programs/matlab/mu/mu.m', action: 'delete' },
+    ]);
+    expect(plan.other.map(change => change.path)).toEqual(['.docs-manifest.json', 'sidebars.js', 'static/search-index.json']);
+  });
+
+  test('diffs the modified pages and the sidebar', () => {
+    expect(plan.diffs.map(diff => diff.path)).toEqual([
+      'docs/chapter1/Chapt1Fig8/Chapt1Fig8_matlab.mdx',
+      'docs/chapter1/Chapt1Fig8/index.mdx',
+      'docs/program-dependencies.mdx',
+      'sidebars.js',
+    ]);
+    const { diff } = plan.diffs[0];
+    expect(diff).toMatch(/^--- a\/docs\/chapter1\/Chapt1Fig8\/Chapt1Fig8_matlab\.mdx\n\+\+\+ b\//);
+    expect(diff).toContain('-kappa=1;');
+    expect(diff).toContain('+kappa=2;');
+  });
+});
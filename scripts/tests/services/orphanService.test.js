@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Tests of orphaned output pruning
+ *
+ * A project in a memory file system is built from Chapt1Fig8.m and mu.m;
+ * then mu.m is deleted from the INBOX and the project built again, with
+ * and without keepOrphans (--keep-orphans).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildProject, writeBuild } = require('../../app');
+const { createConfig } = require('../../config');
+const { createOrphanService } = require('../../services/OrphanService');
+const { createMemoryFileSystem } = require('../../utils/memoryFileSystem');
+const { createNullLogger } = require('../../utils/logger');
+
+/**
+ * Read a fixture as bytes
+ * @param {string} name - File name
+ * @returns {Buffer} File content
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name));
+}
+
+/**
+ * Build a project and write the output into its file system
+ * @param {Object} config - Application configuration
+ * @param {Object} fileSystem - Memory file system of the project
+ * @returns {{output: Object, stats: Object}} Build output and statistics
+ */
+function runBuild(config, fileSystem) {
+  const { output, stats } = buildProject({ config, fileSystem, logger: createNullLogger() });
+  writeBuild(output, { projectDir: config.projectDir, fileSystem });
+  return { output, stats };
+}
+
+const MU_OUTPUTS = [
+  '/site/docs/utilities/mu/index.mdx',
+  '/site/docs/utilities/mu/mu_matlab.mdx',
+  '/site/static/programs/matlab/mu/mu.m',
+];
+
+describe('OrphanService', () => {
+  let fileSystem;
+
+  /**
+   * Build with both programs, then delete mu.m from the INBOX
+   * @param {Object} settings - Project settings
+   * @returns {Object} Application configuration
+   */
+  const buildThenDeleteMu = (settings) => {
+    const config = createConfig({ settings }, '/site/scripts');
+    fileSystem.writeFile(path.join(config.inboxDir, 'Chapt1Fig8.m'), readFixture('Chapt1Fig8.m'));
+    fileSystem.writeFile(path.join(config.inboxDir, 'mu.m'), readFixture('mu.m'));
+    runBuild(config, fileSystem);
+    fileSystem.removeFile(path.join(config.inboxDir, 'mu.m'));
+    return config;
+  };
+
+  beforeEach(() => {
+    fileSystem = createMemoryFileSystem('/site');
+  });
+
+  test('finds the output of deleted sources, not that of current ones', () => {
+    const config = buildThenDeleteMu({});
+    const orphanService = createOrphanService({ config, fileSystem, logger: createNullLogger() });
+    const expected = Array.from(fileSystem.getFiles().keys())
+      .filter(file => !file.includes(`${path.sep}mu`) && !file.startsWith(config.inboxDir));
+
+    expect(orphanService.findOrphans(expected)).toEqual(MU_OUTPUTS);
+  });
+
+  test('removes orphaned output and the folders it leaves empty', () => {
+    const config = buildThenDeleteMu({});
+
+    const { output, stats } = runBuild(config, fileSystem);
+
+    expect(stats.orphans).toEqual({ action: 'removed', files: MU_OUTPUTS });
+    expect(stats.build.removed).toEqual(['mu']);
+    expect(output.removed).toEqual(MU_OUTPUTS.map(file => path.relative('/site', file)));
+    expect(output.removedDirs).toEqual(['static/programs/matlab/mu', 'docs/utilities/mu', 'docs/utilities']);
+    MU_OUTPUTS.forEach(file => expect(fileSystem.exists(file)).toBe(false));
+    expect(fileSystem.exists('/site/docs/utilities')).toBe(false);
+    expect(fileSystem.exists('/site/docs/chapter1/Chapt1Fig8/index.mdx')).toBe(true);
+  });
+
+  test('only reports orphaned output with keepOrphans', () => {
+    const config = buildThenDeleteMu({ keepOrphans: true });
+
+    const { output, stats } = runBuild(config, fileSystem);
+
+    expect(stats.orphans).toEqual({ action: 'kept', files: MU_OUTPUTS });
+    expect(output.removed).toEqual([]);
+    expect(output.removedDirs).toEqual([]);
+    MU_OUTPUTS.forEach(file => expect(fileSystem.exists(file)).toBe(true));
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Line-based unified diff
+ * @module utils/diff
+ */
+
+/**
+ * Largest number of LCS table cells computed before falling back to
+ * replacing the whole changed region
+ * @type {number}
+ */
+const MAX_TABLE_SIZE = 4000000;
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {string} type - ' ' (context), '-' (removed) or '+' (added)
+ * @property {string} text - Line text
+ * @property {number} oldLine - 1-based line in the old text (next line for additions)
+ * @property {number} newLine - 1-based line in the new text (next line for removals)
+ */
+
+/**
+ * Split text into lines, ignoring a final newline
+ * @param {string} text - Text
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute a line diff using the longest common subsequence
+ * Common leading and trailing lines are matched first to keep the table small.
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {DiffLine[]} Diff lines in order
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middle = [];
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n * m > MAX_TABLE_SIZE) {
+    for (let i = start; i < endA; i++) middle.push({ type: '-', text: a[i] });
+    for (let j = start; j < endB; j++) middle.push({ type: '+', text: b[j] });
+  } else {
+    // lengths[i * (m + 1) + j] = LCS length of a[start + i..] and b[start + j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] = a[start + i] === b[start + j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        middle.push({ type: ' ', text: a[start + i] });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])) {
+        // Removals before additions, as in GNU diff
+        middle.push({ type: '-', text: a[start + i] });
+        i++;
+      } else {
+        middle.push({ type: '+', text: b[start + j] });
+        j++;
+      }
+    }
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(text => ({ type: ' ', text })),
+    ...middle,
+    ...a.slice(endA).map(text => ({ type: ' ', text })),
+  ];
+
+  let oldLine = 1;
+  let newLine = 1;
+  return ops.map(op => {
+    const line = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return line;
+  });
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Text before the change ('' for a new file)
+ * @param {string} newText - Text after the change
+ * @param {Object} [options={}] - Diff options
+ * @param {string} [options.fromFile='a'] - Label of the old file
+ * @param {string} [options.toFile='b'] - Label of the new file
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} Unified diff, or '' if the texts are equal
+ * @example
+ * createUnifiedDiff('a\nb\n', 'a\nc\n', { fromFile: 'a/x.mdx', toFile: 'b/x.mdx' })
+ * // => '--- a/x.mdx\n+++ b/x.mdx\n@@ -1,2 +1,2 @@\n a\n-b\n+c\n'
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const lines = diffLines(splitLines(oldText), splitLines(newText));
+
+  const changed = lines
+    .map((line, index) => (line.type === ' ' ? -1 : index))
+    .filter(index => index >= 0);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context windows touch into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(lines.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = Math.max(last.to, to);
+    } else {
+      ranges.push({ from, to });
+    }
+  }
+
+  const hunks = ranges.map(({ from, to }) => {
+    const hunk = lines.slice(from, to + 1);
+    const oldCount = hunk.filter(line => line.type !== '+').length;
+    const newCount = hunk.filter(line => line.type !== '-').length;
+    // An empty side is numbered by the line before it, as in GNU diff
+    const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk.find(line => line.type !== '+').oldLine;
+    const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk.find(line => line.type !== '-').newLine;
+
+    return [
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...hunk.map(line => `${line.type}${line.text}`),
+    ].join('\n');
+  });
+
+  return `--- ${fromFile}\n+++ ${toFile}\n${hunks.join('\n')}\n`;
+}
+
+module.exports = {
+  createUnifiedDiff,
+  diffLines,
+  splitLines,
+};
@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { decodeText } = require('./textDecoder');
 
 /**
  * Create a file system interface
@@ -55,11 +56,17 @@ function createFileSystem(basePath = process.cwd()) {
 
     /**
      * Read a file as text
+     * With the default 'auto' encoding the content is decoded by
+     * {@link module:utils/textDecoder} and line endings are normalized to LF.
      * @param {string} filePath - File path
-     * @param {string} [encoding='utf-8'] - File encoding
+     * @param {string} [encoding='auto'] - File encoding, or 'auto' to detect
      * @returns {string|null} File content or null on error
      */
-    readFile(filePath, encoding = 'utf-8') {
+    readFile(filePath, encoding = 'auto') {
+      if (encoding === 'auto') {
+        const decoded = this.readTextFile(filePath);
+        return decoded ? decoded.text : null;
+      }
       try {
         return fs.readFileSync(filePath, encoding);
       } catch (e) {
@@ -67,6 +74,32 @@ function createFileSystem(basePath = process.cwd()) {
       }
     },
 
+    /**
+     * Read a file as raw bytes
+     * @param {string} filePath - File path
+     * @returns {Buffer|null} File content or null on error
+     */
+    readBuffer(filePath) {
+      try {
+        return fs.readFileSync(filePath);
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Read and decode a text file, detecting encoding and line endings
+     * @param {string} filePath - File path
+     * @returns {import('./textDecoder').DecodedText|null} Decoded text or null on error
+     * @example
+     * fileSystem.readTextFile('INBOX/Chapt1Fig8.m')
+     * // => { text: '%Chapt1Fig8.m\n...', encoding: 'ascii', lineEnding: 'cr', ... }
+     */
+    readTextFile(filePath) {
+      const buffer = this.readBuffer(filePath);
+      return buffer ? decodeText(buffer) : null;
+    },
+
     /**
      * Write content to a file
      * @param {string} filePath - File path
@@ -97,6 +130,22 @@ function createFileSystem(basePath = process.cwd()) {
       }
     },
 
+    /**
+     * Remove a file
+     * @param {string} filePath - File path
+     * @returns {boolean} True if successful
+     */
+    removeFile(filePath) {
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
     /**
      * Remove a directory recursively
      * @param {string} dirPath - Directory path
@@ -113,6 +162,19 @@ function createFileSystem(basePath = process.cwd()) {
       }
     },
 
+    /**
+     * Get the last modification time of a file
+     * @param {string} filePath - File path
+     * @returns {number} Modification time in milliseconds, or 0 on error
+     */
+    getModifiedTime(filePath) {
+      try {
+        return fs.statSync(filePath).mtimeMs;
+      } catch (e) {
+        return 0;
+      }
+    },
+
     /**
      * Read directory contents
      * @param {string} dirPath - Directory path
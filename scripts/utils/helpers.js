@@ -3,6 +3,8 @@
  * @module utils/helpers
  */
 
+const crypto = require('crypto');
+
 /**
  * Escape a string for safe YAML output
  * Wraps in quotes if contains special characters
@@ -11,14 +13,120 @@
  * @example
  * escapeForYaml('Hello World') // => 'Hello World'
  * escapeForYaml('Title: Subtitle') // => '"Title: Subtitle"'
+ * escapeForYaml('plot of \\kappa') // => '"plot of \\\\kappa"'
  */
 function escapeForYaml(str) {
-  if (str.includes(':') || str.includes('#') || str.includes('"') || str.includes("'")) {
-    return `"${str.replace(/"/g, '\\"')}"`;
+  if (/[:#"'\\]/.test(str) || /^[\s\-?[\]{}|>*&!%@`,]/.test(str) || /\s$/.test(str)) {
+    return `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
   }
   return str;
 }
 
+/**
+ * Read the frontmatter of a generated page
+ * Reads the one-line fields written by BaseGenerator.generateFrontmatter:
+ * quoted strings are unescaped, other values kept as written.
+ * @param {string} content - Page content
+ * @returns {{data: Object.<string, string>, body: string}} Fields and the content after the frontmatter
+ * @example
+ * readFrontmatter('---\ntitle: "Fig 8: chain"\n---\n\n# Fig 8')
+ * // => { data: { title: 'Fig 8: chain' }, body: '\n# Fig 8' }
+ */
+function readFrontmatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+  if (!match) {
+    return { data: {}, body: content };
+  }
+
+  const data = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!field) continue;
+    const value = field[2].trim();
+    data[field[1]] = /^".*"$/.test(value) ? JSON.parse(value) : value;
+  }
+  return { data, body: content.slice(match[0].length) };
+}
+
+/**
+ * Escape plain text for use in MDX content
+ * Backslash-escapes characters that MDX would read as JSX, expressions or markup
+ * @param {string} str - Plain text
+ * @returns {string} Text safe to place in an MDX paragraph
+ * @example
+ * escapeForMdx('psi(x) for |x| < L') // => 'psi(x) for \\|x\\| \\< L'
+ */
+function escapeForMdx(str) {
+  return str.replace(/[\\`*_{}[\]<>|#~$]/g, '\\$&');
+}
+
+/**
+ * Make Markdown written for Jupyter safe to embed in an MDX page
+ * Code and math are kept as written; \( \) and \[ \] math delimiters
+ * become $ and $$; braces and '<' elsewhere are escaped, so raw HTML shows
+ * as text instead of breaking the page. Headings are demoted so they nest
+ * under the page's own headings.
+ * @param {string} markdown - Markdown source
+ * @param {number} [headingOffset=1] - Levels to demote headings by (at most to h6)
+ * @returns {string} MDX-safe Markdown
+ * @example
+ * markdownToMdx('# Energy\nFor $E < V_0$ use {k}')
+ * // => '## Energy\nFor $E < V_0$ use \\{k\\}'
+ */
+function markdownToMdx(markdown, headingOffset = 1) {
+  const inline = /(`+)[\s\S]*?\1|\$\$[\s\S]+?\$\$|\$(?!\s)[^$\n]+?\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|[{}<]/g;
+  const escapeText = text => text.replace(inline, (match, ticks, display, math) => {
+    if (display !== undefined) return `$$${display}$$`;
+    if (math !== undefined) return `$${math}$`;
+    return match.length === 1 ? `\\${match}` : match;
+  });
+
+  const output = [];
+  let text = [];
+  let fence = null;
+
+  const flush = () => {
+    if (text.length > 0) {
+      output.push(escapeText(text.join('\n')));
+      text = [];
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    const marker = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      output.push(line);
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+    } else if (marker) {
+      flush();
+      fence = marker[1];
+      output.push(line);
+    } else {
+      text.push(line.replace(/^#{1,6}(?=\s)/, hashes => '#'.repeat(Math.min(6, hashes.length + headingOffset))));
+    }
+  }
+  flush();
+
+  return output.join('\n');
+}
+
+/**
+ * Compute a SHA-256 content hash
+ * Parts are separated by a NUL byte so ['ab', 'c'] and ['a', 'bc'] differ.
+ * @param {...(string|Buffer)} parts - Data to hash
+ * @returns {string} Hex digest
+ * @example
+ * hashContent('2.1', fileBuffer) // => 'e3b0c44298fc1c14...'
+ */
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach((part, index) => {
+    if (index > 0) hash.update('\0');
+    hash.update(part);
+  });
+  return hash.digest('hex');
+}
+
 /**
  * Create a debounced version of a function
  * @param {Function} func - Function to debounce
@@ -106,6 +214,10 @@ function generateSidebarLabel(programId, chapterNum, fileType) {
 
 module.exports = {
   escapeForYaml,
+  readFrontmatter,
+  escapeForMdx,
+  markdownToMdx,
+  hashContent,
   debounce,
   sortChapterKeys,
   extractLabelFromProgramId,
@@ -16,7 +16,21 @@
  * @property {number} utilities - Utility files count
  * @property {Map} byChapter - Programs by chapter
  * @property {Map} byType - Files by type
+ * @property {Map} byEncoding - Text files by 'encoding/lineEnding'
  * @property {Map} programFiles - All program files
+ * @property {string[]} warnings - Build warnings
+ * @property {Object[]} collisions - Program ID collisions and how they were resolved
+ * @property {boolean} failed - Whether the build stopped before generating
+ * @property {{files: string[], action: string|null}} orphans - Orphaned output and what was done with it
+ * @property {BuildSummary} build - Program IDs by incremental build outcome
+ */
+
+/**
+ * @typedef {Object} BuildSummary
+ * @property {string[]} generated - Programs whose pages were regenerated
+ * @property {string[]} refreshed - Unchanged programs whose index page was rewritten
+ * @property {string[]} unchanged - Programs skipped as up to date
+ * @property {string[]} removed - Programs of the previous build no longer in the source folder
  */
 
 /**
@@ -121,6 +135,24 @@ function createLogger(options = {}) {
       log(`   ⏭️  Skipped:   ${stats.skipped}`);
     },
 
+    /**
+     * Print incremental build results
+     * @param {BuildSummary} build - Program IDs by build outcome
+     */
+    printBuildSummary(build) {
+      if (!build) {
+        return;
+      }
+      log(`\n🔁 Build:`);
+      log(`   🆕 Generated: ${build.generated.length}`);
+      if (build.refreshed.length > 0) {
+        log(`   🔄 Refreshed: ${build.refreshed.length} (index page only)`);
+      }
+      log(`   💤 Unchanged: ${build.unchanged.length}`);
+      log(`   🗑️  Removed:   ${build.removed.length}`);
+      build.removed.forEach(programId => log(`      - ${programId}`));
+    },
+
     /**
      * Print files by type breakdown
      * @param {Map} byType - Map of type -> count
@@ -152,6 +184,120 @@ function createLogger(options = {}) {
       }
     },
 
+    /**
+     * Print text encoding and line-ending breakdown
+     * @param {Map<string, number>} byEncoding - Map of 'encoding/lineEnding' -> count
+     */
+    printByEncoding(byEncoding) {
+      if (byEncoding && byEncoding.size > 0) {
+        log(`\n🔤 Text Encodings:`);
+        const { getEncodingLabel, getLineEndingLabel } = require('./textDecoder');
+        Array.from(byEncoding.entries()).sort().forEach(([key, count]) => {
+          const [encoding, lineEnding] = key.split('/');
+          log(`   ${getEncodingLabel(encoding)}, ${getLineEndingLabel(lineEnding)}: ${count}`);
+        });
+      }
+    },
+
+    /**
+     * Print build warnings collected during generation
+     * @param {string[]} warnings - Warning messages
+     */
+    printWarnings(warnings) {
+      if (warnings && warnings.length > 0) {
+        log(`\n⚠️  Warnings (${warnings.length}):`);
+        warnings.forEach(warning => log(`   ${warning}`));
+      }
+    },
+
+    /**
+     * Print program ID collisions and their resolution
+     * @param {Array<{programId: string, type: string, policy: string, files: Array<{path: string, programId: string|null}>}>} collisions - Collisions
+     */
+    printCollisions(collisions) {
+      if (!collisions || collisions.length === 0) {
+        return;
+      }
+
+      log(`\n🔀 Program ID Collisions (${collisions.length}):`);
+      collisions.forEach(({ programId, type, policy, files }) => {
+        log(`   ${programId} (${type}) - policy: ${policy}`);
+        files.forEach(file => {
+          let outcome = `→ ${file.programId}`;
+          if (policy === 'fail') outcome = '';
+          if (file.programId === null) outcome = '→ skipped';
+          log(`      ${file.path} ${outcome}`.trimEnd());
+        });
+      });
+    },
+
+    /**
+     * Print orphaned generated output
+     * @param {string[]} orphans - Orphaned paths relative to the project directory
+     * @param {string|null} action - 'removed', 'wouldRemove' (dry run), 'kept' or 'found'
+     */
+    printOrphans(orphans, action) {
+      if (!orphans || orphans.length === 0) {
+        if (action === 'found') {
+          log('✨ No orphaned output found\n');
+        }
+        return;
+      }
+
+      const labels = {
+        removed: 'Removed orphaned output',
+        wouldRemove: 'Would remove orphaned output (--dry-run)',
+        kept: 'Orphaned output kept (--keep-orphans)',
+        found: 'Orphaned output',
+      };
+      log(`\n🧹 ${labels[action] || labels.found} (${orphans.length}):`);
+      orphans.forEach(orphan => log(`   ${orphan}`));
+      if (action === 'found') {
+        log('\n   Run the generator to remove them, or --clean to start over.\n');
+      }
+    },
+
+    /**
+     * Print the changes a dry run would make
+     * @param {import('../services/DryRunService').DryRunPlan} plan - Planned changes
+     */
+    printPlan(plan) {
+      const markers = { create: '+', modify: '~', delete: '-' };
+      const count = (changes, action) => changes.filter(change => change.action === action).length;
+      const groups = [
+        ['📄 Pages', plan.pages],
+        ['📦 Static files', plan.staticFiles],
+        ['⚙️  Other files', plan.other],
+      ];
+
+      log('\n🧪 Dry run: planned changes (nothing was written)');
+      this.separator();
+
+      if (groups.every(([, changes]) => changes.length === 0)) {
+        log('✨ Nothing to change\n');
+        return;
+      }
+
+      groups.forEach(([label, changes]) => {
+        if (changes.length === 0) return;
+        log(`\n${label} (${changes.length}):`);
+        changes.forEach(change => log(`   ${markers[change.action]} ${change.path}`));
+      });
+
+      log(`\n   Pages: ${count(plan.pages, 'create')} to create, ${count(plan.pages, 'modify')} to modify, ${count(plan.pages, 'delete')} to delete`);
+      log(`   Static files: ${count(plan.staticFiles, 'create') + count(plan.staticFiles, 'modify')} to copy, ${count(plan.staticFiles, 'delete')} to delete\n`);
+    },
+
+    /**
+     * Print a unified diff
+     * @param {string} diff - Unified diff text
+     */
+    printDiff(diff) {
+      if (diff) {
+        log(diff);
+      }
+    },
+
     /**
      * Print output structure info
      * @param {string} docsDir - Docs output directory
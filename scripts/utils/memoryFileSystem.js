@@ -0,0 +1,182 @@
+/**
+ * @fileoverview File system interface kept entirely in memory
+ * @module utils/memoryFileSystem
+ *
+ * Implements the same interface as {@link module:utils/fileSystem} over a
+ * map of paths to buffers, so the whole pipeline can run without touching
+ * the disk. Writing a file creates its parent directories.
+ */
+
+const path = require('path');
+const { decodeText } = require('./textDecoder');
+
+/**
+ * Create an in-memory file system
+ * @param {string} [basePath=process.cwd()] - Base path for relative operations
+ * @returns {Object} File system interface with an extra getFiles() method
+ * @example
+ * const fileSystem = createMemoryFileSystem('/site');
+ * fileSystem.writeFile('/site/INBOX/Chapt1Fig8.m', 'x = 1;');
+ * fileSystem.scanDirectory('/site/INBOX') // => ['Chapt1Fig8.m']
+ */
+function createMemoryFileSystem(basePath = process.cwd()) {
+  /** @type {Map<string, {content: Buffer, modifiedTime: number}>} */
+  const files = new Map();
+  /** @type {Set<string>} */
+  const dirs = new Set();
+
+  const normalize = filePath => path.resolve(basePath, filePath);
+  const isInside = (entry, dir) => entry.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+
+  const addDir = (dirPath) => {
+    for (let dir = dirPath; !dirs.has(dir); dir = path.dirname(dir)) {
+      dirs.add(dir);
+      if (path.dirname(dir) === dir) break;
+    }
+  };
+
+  const isDir = (target) => {
+    if (dirs.has(target)) return true;
+    for (const file of files.keys()) {
+      if (isInside(file, target)) return true;
+    }
+    return false;
+  };
+
+  return {
+    getBasePath() {
+      return basePath;
+    },
+
+    resolve(...parts) {
+      return path.resolve(basePath, ...parts);
+    },
+
+    exists(filePath) {
+      const target = normalize(filePath);
+      return files.has(target) || isDir(target);
+    },
+
+    ensureDir(dirPath) {
+      addDir(normalize(dirPath));
+    },
+
+    readFile(filePath, encoding = 'auto') {
+      const buffer = this.readBuffer(filePath);
+      if (!buffer) return null;
+      return encoding === 'auto' ? decodeText(buffer).text : buffer.toString(encoding);
+    },
+
+    readBuffer(filePath) {
+      const entry = files.get(normalize(filePath));
+      return entry ? Buffer.from(entry.content) : null;
+    },
+
+    readTextFile(filePath) {
+      const buffer = this.readBuffer(filePath);
+      return buffer ? decodeText(buffer) : null;
+    },
+
+    /**
+     * Write content to a file
+     * @param {string} filePath - File path
+     * @param {string|Buffer|Uint8Array} content - Content to write
+     * @param {number} [modifiedTime=Date.now()] - Modification time in milliseconds
+     * @returns {boolean} True if successful
+     */
+    writeFile(filePath, content, modifiedTime = Date.now()) {
+      const target = normalize(filePath);
+      if (dirs.has(target)) return false;
+
+      addDir(path.dirname(target));
+      files.set(target, { content: Buffer.from(content), modifiedTime });
+      return true;
+    },
+
+    copyFile(src, dest) {
+      const content = this.readBuffer(src);
+      return content ? this.writeFile(dest, content) : false;
+    },
+
+    removeFile(filePath) {
+      files.delete(normalize(filePath));
+      return true;
+    },
+
+    removeDir(dirPath) {
+      const target = normalize(dirPath);
+      for (const file of Array.from(files.keys())) {
+        if (isInside(file, target)) files.delete(file);
+      }
+      for (const dir of Array.from(dirs)) {
+        if (dir === target || isInside(dir, target)) dirs.delete(dir);
+      }
+      return true;
+    },
+
+    getModifiedTime(filePath) {
+      const entry = files.get(normalize(filePath));
+      return entry ? entry.modifiedTime : 0;
+    },
+
+    readDir(dirPath) {
+      return this.readDirWithTypes(dirPath).map(entry => entry.name);
+    },
+
+    readDirWithTypes(dirPath) {
+      const target = normalize(dirPath);
+      const entries = new Map();
+
+      for (const entry of [...files.keys(), ...dirs]) {
+        if (!isInside(entry, target)) continue;
+        const [name, ...rest] = path.relative(target, entry).split(path.sep);
+        const directory = rest.length > 0 || !files.has(entry);
+        if (!entries.has(name) || directory) entries.set(name, directory);
+      }
+
+      return Array.from(entries.keys()).sort().map(name => {
+        const directory = entries.get(name);
+        return { name, isFile: () => !directory, isDirectory: () => directory };
+      });
+    },
+
+    scanDirectory(dir, recursive = false) {
+      const target = normalize(dir);
+      return Array.from(files.keys())
+        .filter(file => isInside(file, target))
+        .map(file => path.relative(target, file))
+        .filter(relative => recursive || !relative.includes(path.sep))
+        .sort();
+    },
+
+    getExtension(filename) {
+      return path.extname(filename).toLowerCase();
+    },
+
+    getBaseName(filename) {
+      return path.basename(filename, path.extname(filename));
+    },
+
+    join(...parts) {
+      return path.join(...parts);
+    },
+
+    watch() {
+      throw new Error('An in-memory file system cannot be watched');
+    },
+
+    /**
+     * List every file with its content
+     * @returns {Map<string, Buffer>} Content by absolute path, sorted by path
+     */
+    getFiles() {
+      return new Map(
+        Array.from(files.keys()).sort().map(file => [file, Buffer.from(files.get(file).content)])
+      );
+    },
+  };
+}
+
+module.exports = {
+  createMemoryFileSystem,
+};
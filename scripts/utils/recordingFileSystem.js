@@ -0,0 +1,236 @@
+/**
+ * @fileoverview File system interface that records changes instead of making them
+ * @module utils/recordingFileSystem
+ *
+ * Reads go to disk; writes, copies and removals are kept in memory and
+ * shadow the disk for later reads, so a whole pipeline can run as it
+ * would for real. getChanges() then lists what would have changed.
+ */
+
+const path = require('path');
+const { decodeText } = require('./textDecoder');
+
+/**
+ * @typedef {Object} RecordedChange
+ * @property {string} path - Absolute file path
+ * @property {string} action - 'create', 'modify' or 'delete'
+ * @property {string} operation - 'write', 'copy' or 'remove'
+ * @property {Buffer|null} before - Content on disk, or null if the file did not exist
+ * @property {Buffer|null} after - Planned content, or null if the file is deleted
+ */
+
+/**
+ * Create a recording file system on top of a real one
+ * @param {Object} fileSystem - File system interface to read from (see {@link module:utils/fileSystem})
+ * @returns {Object} File system interface with extra getChanges() and getRemovedDirs() methods
+ * @example
+ * const recorder = createRecordingFileSystem(createFileSystem());
+ * recorder.writeFile('/site/docs/intro.md', '# Hello');
+ * recorder.getChanges() // => [{ path: '/site/docs/intro.md', action: 'modify', ... }]
+ */
+function createRecordingFileSystem(fileSystem) {
+  /** @type {Map<string, Buffer|null>} Planned content of touched files; null = deleted */
+  const files = new Map();
+  /** @type {Map<string, Buffer|null>} Content of touched files before the first change */
+  const originals = new Map();
+  /** @type {Map<string, string>} Last operation on each touched file */
+  const operations = new Map();
+  /** @type {Map<string, boolean>} Directories created (true) or removed (false) */
+  const dirs = new Map();
+
+  const normalize = filePath => path.resolve(filePath);
+
+  /**
+   * Find the closest recorded state of a path or one of its ancestors
+   * @param {string} filePath - Normalized path
+   * @returns {boolean|null} false if removed with a directory, true if created, null if untouched
+   */
+  const recordedDirState = (filePath) => {
+    for (let dir = filePath; ; dir = path.dirname(dir)) {
+      if (dirs.has(dir)) return dirs.get(dir);
+      if (path.dirname(dir) === dir) return null;
+    }
+  };
+
+  const markDirCreated = (dirPath) => {
+    for (let dir = dirPath; !dirs.get(dir); dir = path.dirname(dir)) {
+      dirs.set(dir, true);
+      if (path.dirname(dir) === dir) break;
+    }
+  };
+
+  const recorder = {
+    ...fileSystem,
+
+    exists(filePath) {
+      const target = normalize(filePath);
+      if (files.has(target)) return files.get(target) !== null;
+      if (dirs.has(target)) return dirs.get(target);
+      if (recordedDirState(target) === false) return false;
+      return fileSystem.exists(target);
+    },
+
+    ensureDir(dirPath) {
+      markDirCreated(normalize(dirPath));
+    },
+
+    readBuffer(filePath) {
+      const target = normalize(filePath);
+      if (files.has(target)) {
+        const content = files.get(target);
+        return content === null ? null : Buffer.from(content);
+      }
+      if (recordedDirState(target) === false) return null;
+      return fileSystem.readBuffer(target);
+    },
+
+    readTextFile(filePath) {
+      const buffer = this.readBuffer(filePath);
+      return buffer ? decodeText(buffer) : null;
+    },
+
+    readFile(filePath, encoding = 'auto') {
+      const buffer = this.readBuffer(filePath);
+      if (!buffer) return null;
+      return encoding === 'auto' ? decodeText(buffer).text : buffer.toString(encoding);
+    },
+
+    writeFile(filePath, content) {
+      record(normalize(filePath), Buffer.from(content), 'write');
+      return true;
+    },
+
+    copyFile(src, dest) {
+      const content = this.readBuffer(src);
+      if (!content) return false;
+      record(normalize(dest), content, 'copy');
+      return true;
+    },
+
+    removeFile(filePath) {
+      const target = normalize(filePath);
+      if (this.exists(target)) {
+        record(target, null, 'remove');
+      }
+      return true;
+    },
+
+    removeDir(dirPath) {
+      const target = normalize(dirPath);
+      if (!this.exists(target)) return true;
+
+      for (const file of this.scanDirectory(target, true)) {
+        record(path.join(target, file), null, 'remove');
+      }
+      for (const dir of dirs.keys()) {
+        if (dir === target || dir.startsWith(target + path.sep)) dirs.set(dir, false);
+      }
+      dirs.set(target, false);
+      return true;
+    },
+
+    readDir(dirPath) {
+      const target = normalize(dirPath);
+      if (!this.exists(target)) return [];
+
+      const names = new Set(
+        fileSystem.readDir(target).filter(name => this.exists(path.join(target, name)))
+      );
+      const touched = [
+        ...Array.from(files.keys()).filter(file => files.get(file) !== null),
+        ...Array.from(dirs.keys()).filter(dir => dirs.get(dir)),
+      ];
+      for (const entry of touched) {
+        if (entry.startsWith(target + path.sep)) {
+          names.add(entry.slice(target.length + 1).split(path.sep)[0]);
+        }
+      }
+      return Array.from(names).sort();
+    },
+
+    readDirWithTypes(dirPath) {
+      const target = normalize(dirPath);
+      const diskDirs = new Set(
+        fileSystem.readDirWithTypes(target).filter(entry => entry.isDirectory()).map(entry => entry.name)
+      );
+      return this.readDir(target).map(name => {
+        const fullPath = path.join(target, name);
+        const isDirectory = !files.has(fullPath) && (dirs.get(fullPath) === true || diskDirs.has(name));
+        return { name, isFile: () => !isDirectory, isDirectory: () => isDirectory };
+      });
+    },
+
+    scanDirectory(dir, recursive = false) {
+      const target = normalize(dir);
+      if (!this.exists(target)) return [];
+
+      const results = new Set(
+        fileSystem.scanDirectory(target, recursive).filter(file => this.exists(path.join(target, file)))
+      );
+      for (const [file, content] of files) {
+        if (content === null || !file.startsWith(target + path.sep)) continue;
+        const relative = file.slice(target.length + 1);
+        if (recursive || !relative.includes(path.sep)) {
+          results.add(relative);
+        }
+      }
+      return Array.from(results).sort();
+    },
+
+    /**
+     * List the removed directories that exist underneath
+     * Removing their files leaves them empty; applying the changes removes them too.
+     * @returns {string[]} Absolute paths, deepest first
+     */
+    getRemovedDirs() {
+      return Array.from(dirs.keys())
+        .filter(dir => dirs.get(dir) === false && fileSystem.exists(dir))
+        .sort((a, b) => b.length - a.length || a.localeCompare(b));
+    },
+
+    /**
+     * List the recorded changes that differ from disk
+     * @returns {RecordedChange[]} Changes sorted by path
+     */
+    getChanges() {
+      const changes = [];
+
+      for (const [filePath, after] of files) {
+        const before = originals.get(filePath);
+        if (before === null && after === null) continue;
+        if (before !== null && after !== null && before.equals(after)) continue;
+
+        let action = 'modify';
+        if (before === null) action = 'create';
+        if (after === null) action = 'delete';
+
+        changes.push({ path: filePath, action, operation: operations.get(filePath), before, after });
+      }
+
+      return changes.sort((a, b) => a.path.localeCompare(b.path));
+    },
+  };
+
+  /**
+   * Record the planned content of a file, remembering what was there first
+   * @param {string} filePath - Normalized path
+   * @param {Buffer|null} content - New content, or null to delete
+   * @param {string} operation - 'write', 'copy' or 'remove'
+   */
+  function record(filePath, content, operation) {
+    if (!originals.has(filePath)) {
+      originals.set(filePath, recorder.readBuffer(filePath));
+    }
+    if (content !== null) {
+      markDirCreated(path.dirname(filePath));
+    }
+    files.set(filePath, content);
+    operations.set(filePath, operation);
+  }
+
+  return recorder;
+}
+
+module.exports = {
+  createRecordingFileSystem,
+};
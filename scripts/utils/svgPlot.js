@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Static SVG line plots
+ * @module utils/svgPlot
+ *
+ * Draws the axes read from MATLAB figure files as standalone SVG images,
+ * with ticks, labels, a legend and MATLAB's default line colors. The
+ * scales and tick labels are shared with the browser's canvas plots.
+ */
+
+/**
+ * MATLAB's default line color order (R2014b and later)
+ * @type {string[]}
+ */
+const COLOR_ORDER = ['#0072bd', '#d95319', '#edb120', '#7e2f8e', '#77ac30', '#4dbeee', '#a2142f'];
+
+/**
+ * SVG dash patterns of MATLAB line styles
+ * @type {Object.<string, string>}
+ */
+const DASHES = {
+  '--': '6,4',
+  ':': '2,3',
+  '-.': '6,3,2,3',
+};
+
+/**
+ * TeX commands common in figure labels, as Unicode
+ * @type {Object.<string, string>}
+ */
+const TEX_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ',
+  sigma: 'σ', tau: 'τ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω', hbar: 'ħ', infty: '∞', pm: '±', times: '×',
+  cdot: '·', leq: '≤', geq: '≥', neq: '≠', approx: '≈', langle: '⟨', rangle: '⟩',
+  partial: '∂', nabla: '∇', circ: '°', AA: 'Å', rightarrow: '→', leftarrow: '←',
+};
+
+/**
+ * Escape text for SVG content and attributes
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn a MATLAB TeX label into plain text
+ * Greek letters and common symbols become Unicode; braces and font
+ * commands are dropped; ^ and _ are kept.
+ * @param {string} label - Label as stored in the figure
+ * @returns {string} Plain text
+ * @example
+ * texToText('\\psi(x) [nm^{-1/2}]') // => 'ψ(x) [nm^-1/2]'
+ */
+function texToText(label) {
+  return label
+    .replace(/\\([a-zA-Z]+)\s?/g, (match, name) => (name in TEX_SYMBOLS ? TEX_SYMBOLS[name] : ''))
+    .replace(/[{}]/g, '')
+    .trim();
+}
+
+/**
+ * Format a tick value briefly
+ * @param {number} value - Value
+ * @returns {string} Label
+ */
+function formatTick(value) {
+  if (value === 0) return '0';
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1e5 || magnitude < 1e-3) {
+    return value.toExponential(1).replace(/\.0e/, 'e').replace('e+', 'e');
+  }
+  return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Choose tick positions with steps of 1, 2 or 5 times a power of ten
+ * @param {number} min - Lower limit
+ * @param {number} max - Upper limit
+ * @param {number} [target=6] - Approximate number of ticks
+ * @returns {number[]} Tick values within the limits
+ */
+function niceTicks(min, max, target = 6) {
+  const raw = (max - min) / target;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(factor => factor * power).find(candidate => candidate >= raw);
+
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+  }
+  return ticks;
+}
+
+/**
+ * Compute the plotted range of one axis
+ * @param {number[][]} columns - Values of each series
+ * @param {number[]|null} limits - Saved limits
+ * @param {boolean} log - Whether the axis is logarithmic (values are log10 already)
+ * @returns {{min: number, max: number, ticks: number[]}} Range and tick values
+ */
+function axisRange(columns, limits, log) {
+  let min = Infinity;
+  let max = -Infinity;
+  const saved = limits && limits.every(Number.isFinite) && limits[0] < limits[1];
+  if (saved) {
+    [min, max] = log ? limits.map(Math.log10) : limits;
+  } else {
+    for (const values of columns) {
+      for (const value of values) {
+        if (!Number.isFinite(value)) continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    }
+  }
+
+  if (!Number.isFinite(min)) {
+    [min, max] = [0, 1];
+  } else if (min === max) {
+    const pad = Math.abs(min) * 0.1 || 1;
+    [min, max] = [min - pad, max + pad];
+  }
+
+  if (log) {
+    const ticks = [];
+    for (let decade = Math.ceil(min); decade <= Math.floor(max); decade++) ticks.push(decade);
+    return { min, max, ticks: ticks.length >= 2 ? ticks : niceTicks(min, max) };
+  }
+  if (!saved) {
+    // Widen automatic limits to the nearest ticks, as MATLAB does
+    const ticks = niceTicks(min, max);
+    const step = ticks.length > 1 ? ticks[1] - ticks[0] : max - min;
+    [min, max] = [Math.floor(min / step + 1e-9) * step, Math.ceil(max / step - 1e-9) * step];
+  }
+  return { min, max, ticks: niceTicks(min, max) };
+}
+
+/**
+ * Render the axes of a figure as an SVG image
+ * @param {import('../parsers/matParser').FigureAxes} axes - Axes with line series
+ * @param {Object} [options={}] - Rendering options
+ * @param {number} [options.width=640] - Image width
+ * @param {number} [options.height=420] - Image height
+ * @returns {string} SVG document
+ */
+function renderAxesSvg(axes, { width = 640, height = 420 } = {}) {
+  const xlog = axes.xscale === 'log';
+  const ylog = axes.yscale === 'log';
+  const transform = (values, log) => (log ? values.map(v => (v > 0 ? Math.log10(v) : NaN)) : values);
+  const series = axes.series.map(line => ({ ...line, x: transform(line.x, xlog), y: transform(line.y, ylog) }));
+
+  const title = texToText(axes.title);
+  const margin = { top: title ? 36 : 16, right: 20, bottom: axes.xlabel ? 52 : 36, left: axes.ylabel ? 78 : 62 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const xRange = axisRange(series.map(line => line.x), axes.xlim, xlog);
+  const yRange = axisRange(series.map(line => line.y), axes.ylim, ylog);
+  const px = x => margin.left + ((x - xRange.min) / (xRange.max - xRange.min)) * plotWidth;
+  const py = y => margin.top + plotHeight - ((y - yRange.min) / (yRange.max - yRange.min)) * plotHeight;
+  const round = value => Math.round(value * 10) / 10;
+  const tickLabel = (value, log) => (log ? `10^${value}` : formatTick(value));
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="12">`,
+    `<rect width="${width}" height="${height}" fill="white"/>`,
+    `<defs><clipPath id="plot-area"><rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"/></clipPath></defs>`,
+  ];
+
+  // Grid and ticks
+  for (const tick of xRange.ticks) {
+    const x = round(px(tick));
+    parts.push(`<line x1="${x}" y1="${margin.top}" x2="${x}" y2="${margin.top + plotHeight}" stroke="#e5e7eb"/>`);
+    parts.push(`<text x="${x}" y="${margin.top + plotHeight + 16}" text-anchor="middle" fill="#374151">${escapeXml(tickLabel(tick, xlog))}</text>`);
+  }
+  for (const tick of yRange.ticks) {
+    const y = round(py(tick));
+    parts.push(`<line x1="${margin.left}" y1="${y}" x2="${margin.left + plotWidth}" y2="${y}" stroke="#e5e7eb"/>`);
+    parts.push(`<text x="${margin.left - 6}" y="${y + 4}" text-anchor="end" fill="#374151">${escapeXml(tickLabel(tick, ylog))}</text>`);
+  }
+  parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#374151"/>`);
+
+  // Series; NaN values break lines, as in MATLAB
+  series.forEach((line, index) => {
+    const color = line.color
+      ? `rgb(${line.color.map(c => Math.round(c * 255)).join(',')})`
+      : COLOR_ORDER[index % COLOR_ORDER.length];
+    const dash = DASHES[line.lineStyle] ? ` stroke-dasharray="${DASHES[line.lineStyle]}"` : '';
+    const elements = [];
+
+    if (line.lineStyle !== 'none') {
+      let segment = [];
+      const flush = () => {
+        if (segment.length > 1) elements.push(`<polyline points="${segment.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5"${dash}/>`);
+        segment = [];
+      };
+      for (let i = 0; i < line.x.length; i++) {
+        if (Number.isFinite(line.x[i]) && Number.isFinite(line.y[i])) segment.push(`${round(px(line.x[i]))},${round(py(line.y[i]))}`);
+        else flush();
+      }
+      flush();
+    }
+
+    if (line.marker !== 'none') {
+      const fill = line.marker === '.' ? color : 'none';
+      for (let i = 0; i < line.x.length; i++) {
+        if (!Number.isFinite(line.x[i]) || !Number.isFinite(line.y[i])) continue;
+        elements.push(`<circle cx="${round(px(line.x[i]))}" cy="${round(py(line.y[i]))}" r="${line.marker === '.' ? 2 : 3}" fill="${fill}" stroke="${color}"/>`);
+      }
+    }
+
+    parts.push(`<g clip-path="url(#plot-area)">${elements.join('')}</g>`);
+    line.svgColor = color;
+  });
+
+  // Labels
+  if (title) {
+    parts.push(`<text x="${margin.left + plotWidth / 2}" y="22" text-anchor="middle" font-size="14" font-weight="bold" fill="#111827">${escapeXml(title)}</text>`);
+  }
+  if (axes.xlabel) {
+    parts.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 12}" text-anchor="middle" fill="#111827">${escapeXml(texToText(axes.xlabel))}</text>`);
+  }
+  if (axes.ylabel) {
+    const y = margin.top + plotHeight / 2;
+    parts.push(`<text x="18" y="${y}" text-anchor="middle" transform="rotate(-90 18 ${y})" fill="#111827">${escapeXml(texToText(axes.ylabel))}</text>`);
+  }
+
+  // Legend of the labelled series
+  const entries = series.filter(line => line.label);
+  if (entries.length > 0) {
+    const legendWidth = Math.min(plotWidth - 20, 40 + Math.max(...entries.map(line => texToText(line.label).length)) * 7);
+    const x = margin.left + plotWidth - legendWidth - 10;
+    parts.push(`<rect x="${x}" y="${margin.top + 10}" width="${legendWidth}" height="${entries.length * 18 + 8}" fill="white" fill-opacity="0.9" stroke="#9ca3af"/>`);
+    entries.forEach((line, i) => {
+      const y = margin.top + 26 + i * 18;
+      const dash = DASHES[line.lineStyle] ? ` stroke-dasharray="${DASHES[line.lineStyle]}"` : '';
+      parts.push(line.lineStyle === 'none'
+        ? `<circle cx="${x + 18}" cy="${y - 4}" r="3" fill="none" stroke="${line.svgColor}"/>`
+        : `<line x1="${x + 6}" y1="${y - 4}" x2="${x + 30}" y2="${y - 4}" stroke="${line.svgColor}" stroke-width="1.5"${dash}/>`);
+      parts.push(`<text x="${x + 36}" y="${y}" fill="#111827">${escapeXml(texToText(line.label))}</text>`);
+    });
+  }
+
+  parts.push('</svg>');
+  return `${parts.join('\n')}\n`;
+}
+
+module.exports = {
+  COLOR_ORDER,
+  DASHES,
+  renderAxesSvg,
+  texToText,
+  niceTicks,
+  axisRange,
+  formatTick,
+};
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Text decoding with encoding and line-ending detection
+ * @module utils/textDecoder
+ *
+ * The book sources were written on classic Mac OS and use CR-only line
+ * endings; other files arrive as CRLF, UTF-16 or Latin-1. Everything that
+ * goes into generated MDX is decoded and normalized to LF here, while the
+ * static copy keeps the original bytes. The browser Run button decodes the
+ * static copies with the same rules, so only Uint8Array methods are used.
+ */
+
+/**
+ * @typedef {Object} DecodedText
+ * @property {string} text - Decoded text with LF line endings and no BOM
+ * @property {string} encoding - 'ascii', 'utf-8', 'utf-8-bom', 'utf-16le', 'utf-16be', 'latin1' or 'binary'
+ * @property {string} lineEnding - 'lf', 'crlf', 'cr', 'mixed' or 'none'
+ * @property {boolean} hasBom - Whether a byte order mark was present
+ * @property {boolean} isBinary - Whether the content looks like binary data
+ */
+
+/**
+ * Number of leading bytes inspected when sniffing for binary content
+ * @type {number}
+ */
+const SNIFF_LENGTH = 8000;
+
+/**
+ * Human-readable labels for encodings
+ * @type {Object.<string, string>}
+ */
+const ENCODING_LABELS = {
+  'ascii': 'ASCII',
+  'utf-8': 'UTF-8',
+  'utf-8-bom': 'UTF-8 (BOM)',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'latin1': 'Latin-1',
+  'binary': 'Binary',
+};
+
+/**
+ * Human-readable labels for line-ending styles
+ * @type {Object.<string, string>}
+ */
+const LINE_ENDING_LABELS = {
+  'lf': 'LF (Unix)',
+  'crlf': 'CRLF (Windows)',
+  'cr': 'CR (Classic Mac)',
+  'mixed': 'Mixed',
+  'none': 'None',
+};
+
+/**
+ * Detect a byte order mark
+ * @param {Uint8Array} buffer - Raw file bytes
+ * @returns {string|null} Encoding named by the BOM, or null
+ */
+function detectBom(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return 'utf-8-bom';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return 'utf-16le';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+/**
+ * Check whether a buffer looks like binary data
+ * NUL bytes, or more than 10% control characters other than
+ * tab/LF/FF/CR/ESC, mark content as binary.
+ * @param {Uint8Array} buffer - Raw file bytes (without BOM)
+ * @returns {boolean} True if binary
+ */
+function looksBinary(buffer) {
+  const length = Math.min(buffer.length, SNIFF_LENGTH);
+  if (length === 0) {
+    return false;
+  }
+
+  let control = 0;
+  for (let i = 0; i < length; i++) {
+    const byte = buffer[i];
+    if (byte === 0) {
+      return true;
+    }
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0c && byte !== 0x0d && byte !== 0x1b) {
+      control++;
+    }
+  }
+
+  return control / length > 0.1;
+}
+
+/**
+ * Check whether a buffer is valid UTF-8
+ * @param {Uint8Array} buffer - Raw file bytes
+ * @returns {boolean} True if valid UTF-8
+ */
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check whether every byte is 7-bit ASCII
+ * @param {Uint8Array} buffer - Raw file bytes
+ * @returns {boolean} True if pure ASCII
+ */
+function isAscii(buffer) {
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] > 0x7f) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Decode bytes as Latin-1, one character per byte
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Text
+ */
+function decodeLatin1(bytes) {
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 8192) {
+    chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 8192)));
+  }
+  return chunks.join('');
+}
+
+/**
+ * Detect the line-ending style of a string
+ * @param {string} text - Decoded text
+ * @returns {string} 'lf', 'crlf', 'cr', 'mixed' or 'none'
+ * @example
+ * detectLineEnding('a\rb\r') // => 'cr'
+ * detectLineEnding('a\r\nb\n') // => 'mixed'
+ */
+function detectLineEnding(text) {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const cr = (text.match(/\r(?!\n)/g) || []).length;
+  const lf = (text.match(/(?<!\r)\n/g) || []).length;
+
+  const styles = [['crlf', crlf], ['cr', cr], ['lf', lf]].filter(([, count]) => count > 0);
+  if (styles.length === 0) {
+    return 'none';
+  }
+  return styles.length === 1 ? styles[0][0] : 'mixed';
+}
+
+/**
+ * Convert CRLF and lone CR line endings to LF
+ * @param {string} text - Text to normalize
+ * @returns {string} Text with LF line endings
+ */
+function normalizeLineEndings(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Decode raw file bytes into normalized text
+ * @param {Uint8Array} buffer - Raw file bytes
+ * @returns {DecodedText} Decoded text and detection results
+ * @example
+ * decodeText(Buffer.from('%Chapt1Fig8.m\rclear;\r'))
+ * // => { text: '%Chapt1Fig8.m\nclear;\n', encoding: 'ascii', lineEnding: 'cr', ... }
+ */
+function decodeText(buffer) {
+  const bom = detectBom(buffer);
+  let encoding;
+  let raw;
+
+  if (bom === 'utf-16le' || bom === 'utf-16be') {
+    // Any odd trailing byte is dropped
+    const body = buffer.subarray(2, buffer.length - (buffer.length % 2));
+    encoding = bom;
+    raw = new TextDecoder(bom, { ignoreBOM: true }).decode(body);
+  } else {
+    const body = bom ? buffer.subarray(3) : buffer;
+
+    if (!bom && looksBinary(body)) {
+      return {
+        text: '',
+        encoding: 'binary',
+        lineEnding: 'none',
+        hasBom: false,
+        isBinary: true,
+      };
+    }
+
+    if (bom) {
+      encoding = bom;
+      raw = new TextDecoder('utf-8', { ignoreBOM: true }).decode(body);
+    } else if (isAscii(body)) {
+      encoding = 'ascii';
+      raw = decodeLatin1(body);
+    } else if (isValidUtf8(body)) {
+      encoding = 'utf-8';
+      raw = new TextDecoder('utf-8').decode(body);
+    } else {
+      encoding = 'latin1';
+      raw = decodeLatin1(body);
+    }
+  }
+
+  return {
+    text: normalizeLineEndings(raw),
+    encoding,
+    lineEnding: detectLineEnding(raw),
+    hasBom: bom !== null,
+    isBinary: false,
+  };
+}
+
+/**
+ * Get a display label for an encoding
+ * @param {string} encoding - Encoding identifier
+ * @returns {string} Display label
+ */
+function getEncodingLabel(encoding) {
+  return ENCODING_LABELS[encoding] || encoding;
+}
+
+/**
+ * Get a display label for a line-ending style
+ * @param {string} lineEnding - Line-ending identifier
+ * @returns {string} Display label
+ */
+function getLineEndingLabel(lineEnding) {
+  return LINE_ENDING_LABELS[lineEnding] || lineEnding;
+}
+
+module.exports = {
+  decodeText,
+  detectBom,
+  detectLineEnding,
+  normalizeLineEndings,
+  looksBinary,
+  getEncodingLabel,
+  getLineEndingLabel,
+};
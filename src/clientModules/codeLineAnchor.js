@@ -0,0 +1,42 @@
+/**
+ * Scrolls to and highlights a source line when the URL ends in #L<line>.
+ * Search results for MATLAB identifiers and comments link to
+ * <program>_matlab#L42; the line is taken from the code block under the
+ * page's "Source Code" heading, or the first code block if there is none.
+ */
+
+const HIGHLIGHT_CLASS = 'theme-code-block-highlighted-line';
+
+function findSourceBlock() {
+  const blocks = Array.from(document.querySelectorAll('.theme-code-block'));
+  const heading = document.getElementById('source-code');
+  if (heading) {
+    const after = blocks.find(
+      (block) => heading.compareDocumentPosition(block) & Node.DOCUMENT_POSITION_FOLLOWING,
+    );
+    if (after) return after;
+  }
+  return blocks[0] || null;
+}
+
+function highlightLine(lineNumber) {
+  const block = findSourceBlock();
+  const line = block && block.querySelectorAll('.token-line')[lineNumber - 1];
+  if (!line) return;
+
+  document.querySelectorAll(`.${HIGHLIGHT_CLASS}[data-search-line]`).forEach((element) => {
+    element.classList.remove(HIGHLIGHT_CLASS);
+    element.removeAttribute('data-search-line');
+  });
+  line.classList.add(HIGHLIGHT_CLASS);
+  line.setAttribute('data-search-line', '');
+  line.scrollIntoView({block: 'center'});
+}
+
+export function onRouteDidUpdate({location}) {
+  const match = location.hash.match(/^#L(\d+)$/);
+  if (match) {
+    // Let the page render its code blocks first
+    window.setTimeout(() => highlightLine(Number(match[1])), 0);
+  }
+}
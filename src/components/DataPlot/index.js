@@ -0,0 +1,208 @@
+import React, {useMemo, useState} from 'react';
+import useTableData from '../DataTable/useTableData';
+import styles from './styles.module.css';
+
+/** MATLAB's default line colors, so plots match the program's own figures */
+const COLOR_ORDER = ['#0072bd', '#d95319', '#edb120', '#7e2f8e', '#77ac30', '#4dbeee', '#a2142f'];
+
+/** Plot size in SVG units and the margins around the axes */
+const WIDTH = 640;
+const HEIGHT = 400;
+const MARGIN = {top: 16, right: 20, bottom: 48, left: 72};
+
+/** Most points drawn per series; longer series are thinned evenly */
+const MAX_POINTS = 5000;
+
+/** Tick values at round steps covering [min, max] */
+function niceTicks(min, max, target = 6) {
+  const raw = (max - min) / target;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((factor) => factor * power).find((candidate) => candidate >= raw);
+  const ticks = [];
+  for (let value = Math.floor(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+  }
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+}
+
+/** Range of an axis widened to round ticks; log axes tick at whole decades */
+function axisRange(values, log) {
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= log ? 1 : Math.abs(min) / 10 || 1;
+    max += log ? 1 : Math.abs(max) / 10 || 1;
+  }
+  if (log) {
+    min = Math.floor(min);
+    max = Math.ceil(max);
+    const step = Math.max(1, Math.ceil((max - min) / 8));
+    const ticks = [];
+    for (let value = min; value <= max; value += step) ticks.push(value);
+    return {min, max, ticks};
+  }
+  const ticks = niceTicks(min, max);
+  return {min: ticks[0], max: ticks[ticks.length - 1], ticks};
+}
+
+/** Short tick label */
+function formatTick(value) {
+  const magnitude = Math.abs(value);
+  if (value !== 0 && (magnitude >= 1e5 || magnitude < 1e-3)) {
+    return value.toExponential(1).replace('e+', 'e');
+  }
+  return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Client-side line or scatter plot of chosen columns of a data file,
+ * loaded from the table.json the docs generator writes next to the file.
+ * The X axis is a column or the row number; any numeric columns go on Y.
+ */
+export default function DataPlot({src}) {
+  const {table, status} = useTableData(src);
+
+  const numericColumns = useMemo(() => {
+    if (!table) return [];
+    return table.columns
+      .map((name, index) => ({name, index}))
+      .filter(({index}) => table.rows.some((row) => typeof row[index] === 'number'));
+  }, [table]);
+
+  const [choice, setChoice] = useState(null);
+  const [mode, setMode] = useState('line');
+  const [logY, setLogY] = useState(false);
+
+  if (status === 'loading') return <p className={styles.message}>Loading data…</p>;
+  if (status === 'error') return <p className={styles.message}>The data could not be loaded, so it cannot be plotted.</p>;
+  if (numericColumns.length === 0) return <p className={styles.message}>The table has no numeric columns to plot.</p>;
+
+  // Default: first column against the second, or the only column against the row number
+  const {x, ys} = choice || (numericColumns.length > 1
+    ? {x: numericColumns[0].index, ys: [numericColumns[1].index]}
+    : {x: -1, ys: [numericColumns[0].index]});
+
+  const xValue = (row, r) => (x === -1 ? r + 1 : row[x]);
+  const series = ys.map((column, i) => {
+    const points = [];
+    table.rows.forEach((row, r) => {
+      const px = xValue(row, r);
+      const py = row[column];
+      if (typeof px !== 'number' || typeof py !== 'number' || (logY && py <= 0)) return;
+      points.push([px, logY ? Math.log10(py) : py]);
+    });
+    const stride = Math.ceil(points.length / MAX_POINTS);
+    return {
+      column,
+      color: COLOR_ORDER[i % COLOR_ORDER.length],
+      points: stride > 1 ? points.filter((_, k) => k % stride === 0) : points,
+      thinned: stride > 1,
+    };
+  });
+
+  const all = series.flatMap((s) => s.points);
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  let plot = null;
+  if (all.length > 0) {
+    const xRange = axisRange(all.map(([px]) => px), false);
+    const yRange = axisRange(all.map(([, py]) => py), logY);
+    const sx = (value) => MARGIN.left + ((value - xRange.min) / (xRange.max - xRange.min)) * plotWidth;
+    const sy = (value) => MARGIN.top + plotHeight - ((value - yRange.min) / (yRange.max - yRange.min)) * plotHeight;
+    const xName = x === -1 ? 'Row' : table.columns[x];
+
+    plot = (
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className={styles.svg} role="img" aria-label={`Plot of ${ys.map((c) => table.columns[c]).join(', ')} against ${xName}`}>
+        {xRange.ticks.map((tick) => (
+          <g key={`x${tick}`}>
+            <line className={styles.grid} x1={sx(tick)} x2={sx(tick)} y1={MARGIN.top} y2={MARGIN.top + plotHeight} />
+            <text className={styles.tick} x={sx(tick)} y={MARGIN.top + plotHeight + 16} textAnchor="middle">
+              {formatTick(tick)}
+            </text>
+          </g>
+        ))}
+        {yRange.ticks.map((tick) => (
+          <g key={`y${tick}`}>
+            <line className={styles.grid} x1={MARGIN.left} x2={MARGIN.left + plotWidth} y1={sy(tick)} y2={sy(tick)} />
+            <text className={styles.tick} x={MARGIN.left - 6} y={sy(tick) + 4} textAnchor="end">
+              {logY ? <>10<tspan dy="-6" fontSize="9">{tick}</tspan></> : formatTick(tick)}
+            </text>
+          </g>
+        ))}
+        <rect className={styles.frame} x={MARGIN.left} y={MARGIN.top} width={plotWidth} height={plotHeight} />
+        {series.map(({column, color, points}) =>
+          mode === 'line' ? (
+            <path
+              key={column}
+              d={points.map(([px, py], k) => `${k === 0 ? 'M' : 'L'}${sx(px).toFixed(1)},${sy(py).toFixed(1)}`).join('')}
+              fill="none"
+              stroke={color}
+              strokeWidth="1.5"
+            />
+          ) : (
+            <g key={column} fill={color}>
+              {points.map(([px, py], k) => (
+                <circle key={k} cx={sx(px).toFixed(1)} cy={sy(py).toFixed(1)} r="2.5" />
+              ))}
+            </g>
+          ),
+        )}
+        <text className={styles.label} x={MARGIN.left + plotWidth / 2} y={HEIGHT - 8} textAnchor="middle">
+          {xName}
+        </text>
+      </svg>
+    );
+  }
+
+  const update = (changes) => setChoice({x, ys, ...changes});
+
+  return (
+    <div className={styles.dataPlot}>
+      <div className={styles.controls}>
+        <label>
+          X{' '}
+          <select value={x} onChange={(event) => update({x: Number(event.target.value)})}>
+            <option value={-1}>Row number</option>
+            {numericColumns.map(({name, index}) => (
+              <option key={index} value={index}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className={styles.yColumns}>
+          Y
+          {numericColumns.map(({name, index}) => {
+            const position = ys.indexOf(index);
+            return (
+              <label key={index} className={styles.yColumn}>
+                <input
+                  type="checkbox"
+                  checked={position !== -1}
+                  onChange={() => update({ys: position === -1 ? [...ys, index] : ys.filter((c) => c !== index)})}
+                />
+                <span className={styles.swatch} style={{background: position === -1 ? 'transparent' : COLOR_ORDER[position % COLOR_ORDER.length]}} />
+                {name}
+              </label>
+            );
+          })}
+        </span>
+        <label>
+          <select value={mode} onChange={(event) => setMode(event.target.value)}>
+            <option value="line">Line</option>
+            <option value="scatter">Scatter</option>
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={logY} onChange={(event) => setLogY(event.target.checked)} /> Log Y
+        </label>
+      </div>
+      {plot || <p className={styles.message}>Choose at least one Y column with values to plot.</p>}
+      {series.some((s) => s.thinned) && (
+        <p className={styles.message}>Long series are thinned to {MAX_POINTS} points.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, {useState} from 'react';
+import clsx from 'clsx';
+import useTableData from './useTableData';
+import styles from './styles.module.css';
+
+/** Rows per page the reader can choose from */
+const PAGE_SIZES = [25, 50, 100, 500];
+
+/**
+ * Paginated view of a data file's rows, loaded from the table.json the docs
+ * generator writes next to the file. Numbers are right-aligned; empty
+ * cells stay empty.
+ */
+export default function DataTable({src}) {
+  const {table, status} = useTableData(src);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [page, setPage] = useState(0);
+
+  if (status === 'loading') return <p className={styles.message}>Loading data…</p>;
+  if (status === 'error') return <p className={styles.message}>The data could not be loaded. Download the file instead.</p>;
+
+  const {columns, rows} = table;
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(page, pageCount - 1);
+  const first = current * pageSize;
+  const shown = rows.slice(first, first + pageSize);
+
+  return (
+    <div className={styles.dataTable}>
+      <div className={styles.scroller}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th className={styles.rowNumber}>#</th>
+              {columns.map((name, i) => (
+                <th key={i}>{name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((row, r) => (
+              <tr key={first + r}>
+                <td className={styles.rowNumber}>{first + r + 1}</td>
+                {row.map((cell, c) => (
+                  <td key={c} className={clsx(typeof cell === 'number' && styles.number)}>
+                    {cell === null ? '' : String(cell)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className={styles.pager}>
+        <button type="button" className="button button--sm button--secondary" disabled={current === 0} onClick={() => setPage(current - 1)}>
+          ← Previous
+        </button>
+        <span>
+          Rows {rows.length === 0 ? 0 : first + 1}–{first + shown.length} of {rows.length}
+        </span>
+        <button
+          type="button"
+          className="button button--sm button--secondary"
+          disabled={current >= pageCount - 1}
+          onClick={() => setPage(current + 1)}>
+          Next →
+        </button>
+        <label className={styles.pageSize}>
+          Rows per page{' '}
+          <select
+            value={pageSize}
+            onChange={(event) => {
+              setPageSize(Number(event.target.value));
+              setPage(0);
+            }}>
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import {useEffect, useState} from 'react';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+
+/**
+ * Load the table.json written next to a data file by the docs generator:
+ * `{columns: string[], rows: Array<Array<number|string|null>>}`.
+ * Non-finite values are the strings 'NaN', 'Inf' and '-Inf'.
+ * Returns `{table, status}` with status 'loading', 'ready' or 'error'.
+ */
+export default function useTableData(src) {
+  const url = useBaseUrl(src);
+  const [table, setTable] = useState(null);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+    fetch(url)
+      .then((response) => (response.ok ? response.json() : Promise.reject(new Error(response.statusText))))
+      .then((data) => {
+        if (cancelled) return;
+        setTable(data);
+        setStatus('ready');
+      })
+      .catch(() => {
+        if (!cancelled) setStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return {table, status};
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import resolveFileType from '../FileBadge/fileType';
+import styles from './styles.module.css';
+
+/**
+ * Action buttons of a file: the interactive viewer, the file's detail page,
+ * download, open in a new tab and external viewers such as nbviewer. Each
+ * button is shown only when its prop is given. The type's color marks the
+ * main action; the rest use Infima's buttons, which follow the color mode.
+ */
+export default function DownloadButtons({
+  href,
+  filename,
+  type,
+  color,
+  download = 'Download',
+  open,
+  details,
+  viewer,
+  links = [],
+  small = false,
+}) {
+  const fileType = resolveFileType(type, {color});
+  const size = small ? 'button--sm' : 'button--md';
+
+  return (
+    <div className={styles.buttons} style={{'--file-type-color': fileType.color}}>
+      {viewer && (
+        <Link to={viewer} className={clsx('button', size, styles.viewer)}>
+          🚀 Interactive Viewer
+        </Link>
+      )}
+      {details && (
+        <Link to={details} className={clsx('button', size, styles.typed)}>
+          📖 View Details
+        </Link>
+      )}
+      {href && download && (
+        <a href={href} download={filename} className={clsx('button', size, 'button--success')}>
+          📥 {download}
+        </a>
+      )}
+      {href && open && (
+        <a
+          href={href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={clsx('button', size, details ? 'button--secondary' : styles.typed)}>
+          🔗 {open}
+        </a>
+      )}
+      {links.map((link) => (
+        <a
+          key={link.href}
+          href={link.href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={clsx('button', size, 'button--outline', 'button--secondary')}>
+          {link.label}
+        </a>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import {getTypeConfigByName} from '@site/scripts/config/fileTypes';
+
+/** Neutral look for badges and cards that are not about one file type */
+const NEUTRAL = {label: '', emoji: '', color: 'var(--ifm-color-emphasis-600)'};
+
+/**
+ * Label, emoji and color of a file type, as defined in the generator's
+ * fileTypes.js. The generator passes label, emoji or color along only when
+ * the project configuration changed them or the type comes from a plugin.
+ */
+export default function resolveFileType(type, {label, emoji, color} = {}) {
+  const config = (type && getTypeConfigByName(type)) || NEUTRAL;
+  return {
+    label: label ?? config.label,
+    emoji: emoji ?? config.emoji,
+    color: color ?? config.color,
+  };
+}
@@ -0,0 +1,52 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import resolveFileType from './fileType';
+import styles from './styles.module.css';
+
+/**
+ * Pill with a file type's emoji and label in the type's color, tinted so it
+ * reads in light and dark mode. With href it links to the format's page;
+ * current fills it to mark the page being shown. label and emoji replace
+ * the type's own, e.g. for the notebook kernel.
+ */
+export default function FileBadge({type, label, emoji, color, href, current = false, title}) {
+  const fileType = resolveFileType(type, {label, emoji, color});
+  const content = (
+    <>
+      {fileType.emoji && <span aria-hidden="true">{fileType.emoji}</span>}
+      {fileType.label}
+    </>
+  );
+  const props = {
+    className: clsx(styles.badge, current && styles.current, href && styles.link),
+    style: {'--file-type-color': fileType.color},
+    title,
+  };
+
+  if (href && !current) {
+    return (
+      <Link to={href} {...props}>
+        {content}
+      </Link>
+    );
+  }
+  return (
+    <span {...props} aria-current={current ? 'page' : undefined}>
+      {content}
+    </span>
+  );
+}
+
+/**
+ * Row of badges. With label it is a navigation landmark, such as the links
+ * between a program's formats.
+ */
+export function BadgeRow({label, children}) {
+  const Row = label ? 'nav' : 'div';
+  return (
+    <Row className={styles.row} aria-label={label}>
+      {children}
+    </Row>
+  );
+}
@@ -0,0 +1,21 @@
+import React from 'react';
+import clsx from 'clsx';
+import styles from './styles.module.css';
+
+/**
+ * Embedded preview of a PDF or HTML file, framed in the theme's colors.
+ * HTML pages are written for a white page, so whiteBackground keeps them
+ * readable in dark mode. The frame loads when it scrolls into view.
+ */
+export default function IframePreview({src, title, height = '600px', whiteBackground = false}) {
+  return (
+    <iframe
+      src={src}
+      title={title}
+      width="100%"
+      height={height}
+      loading="lazy"
+      className={clsx(styles.frame, whiteBackground && styles.white)}
+    />
+  );
+}
@@ -0,0 +1,10 @@
+import React from 'react';
+import styles from './styles.module.css';
+
+/**
+ * Centered title, author and date of a LaTeX document, on the "Rendered"
+ * tab of the LaTeX pages the docs generator writes.
+ */
+export default function LatexTitle({children}) {
+  return <div className={styles.title}>{children}</div>;
+}
@@ -0,0 +1,26 @@
+import React, {useEffect, useRef} from 'react';
+import drawFigure from './drawFigure';
+import styles from './styles.module.css';
+
+/** Canvas size of a figure; subplot grids get more height per row */
+const FIGURE_WIDTH = 720;
+const FIGURE_HEIGHT = 460;
+const SUBPLOT_ROW_HEIGHT = 320;
+
+/** One figure the interpreter produced, on a canvas redrawn when the figure changes */
+export default function FigureCanvas({figure}) {
+  const ref = useRef(null);
+  const width = FIGURE_WIDTH;
+  const height = figure.rows > 1 ? SUBPLOT_ROW_HEIGHT * figure.rows : FIGURE_HEIGHT;
+
+  useEffect(() => {
+    drawFigure(ref.current, figure, {width, height});
+  }, [figure, width, height]);
+
+  return (
+    <figure className={styles.figure}>
+      <canvas ref={ref} className={styles.canvas} style={{aspectRatio: `${width} / ${height}`}} role="img" aria-label={`Figure ${figure.number}`} />
+      <figcaption>Figure {figure.number}</figcaption>
+    </figure>
+  );
+}
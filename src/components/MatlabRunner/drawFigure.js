@@ -0,0 +1,295 @@
+import {COLOR_ORDER, DASHES, axisRange, niceTicks, formatTick, texToText} from '@site/scripts/utils/svgPlot';
+
+/** Font of tick labels, text and legends; titles are bold and larger */
+const FONT = '12px Helvetica, Arial, sans-serif';
+const TITLE_FONT = 'bold 13px Helvetica, Arial, sans-serif';
+
+/** Marker size in pixels */
+const MARKER_SIZE = 3.5;
+
+/**
+ * Draw a figure the interpreter produced on a canvas: each axes in its
+ * subplot cell, with ticks, labels, text, a legend and MATLAB's default
+ * line colors. The canvas keeps a white background like MATLAB's figures.
+ */
+export default function drawFigure(canvas, figure, {width, height}) {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  const context = canvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, width, height);
+
+  const cellWidth = width / figure.cols;
+  const cellHeight = height / figure.rows;
+  for (const axes of figure.axes) {
+    const row = Math.floor((axes.index - 1) / figure.cols);
+    const col = (axes.index - 1) % figure.cols;
+    drawAxes(context, axes, {x: col * cellWidth, y: row * cellHeight, width: cellWidth, height: cellHeight});
+  }
+}
+
+/** Stretch one axis range so that both axes have the same units per pixel, as `axis equal` does */
+function equalize(xRange, yRange, plotWidth, plotHeight) {
+  const xScale = (xRange.max - xRange.min) / plotWidth;
+  const yScale = (yRange.max - yRange.min) / plotHeight;
+  const widen = (range, scale, pixels) => {
+    const middle = (range.min + range.max) / 2;
+    const min = middle - (scale * pixels) / 2;
+    const max = middle + (scale * pixels) / 2;
+    return {min, max, ticks: niceTicks(min, max)};
+  };
+  return xScale > yScale
+    ? [xRange, widen(yRange, xScale, plotHeight)]
+    : [widen(xRange, yScale, plotWidth), yRange];
+}
+
+/** Draw one axes inside its cell of the figure */
+function drawAxes(context, axes, cell) {
+  const xlog = axes.xscale === 'log';
+  const ylog = axes.yscale === 'log';
+  const transform = (values, log) => (log ? values.map((v) => (v > 0 ? Math.log10(v) : NaN)) : values);
+  const series = axes.series.map((line, index) => ({
+    ...line,
+    x: transform(line.x, xlog),
+    y: transform(line.y, ylog),
+    stroke: line.color
+      ? `rgb(${line.color.map((c) => Math.round(c * 255)).join(',')})`
+      : COLOR_ORDER[index % COLOR_ORDER.length],
+  }));
+
+  const title = texToText(axes.title);
+  const margin = {
+    top: title ? 34 : 14,
+    right: 16,
+    bottom: axes.visible && axes.xlabel ? 48 : 32,
+    left: axes.visible && axes.ylabel ? 74 : 58,
+  };
+  const plotWidth = Math.max(cell.width - margin.left - margin.right, 10);
+  const plotHeight = Math.max(cell.height - margin.top - margin.bottom, 10);
+  const left = cell.x + margin.left;
+  const top = cell.y + margin.top;
+
+  let xRange = axisRange(series.map((line) => line.x), axes.xlim, xlog);
+  let yRange = axisRange(series.map((line) => line.y), axes.ylim, ylog);
+  if (axes.equal) [xRange, yRange] = equalize(xRange, yRange, plotWidth, plotHeight);
+  const px = (x) => left + ((x - xRange.min) / (xRange.max - xRange.min)) * plotWidth;
+  const py = (y) => top + plotHeight - ((y - yRange.min) / (yRange.max - yRange.min)) * plotHeight;
+  const inside = (tick, range) => tick >= range.min - 1e-9 * Math.abs(range.max - range.min) && tick <= range.max + 1e-9 * Math.abs(range.max - range.min);
+  const tickLabel = (value, log) => (log ? `10^${value}` : formatTick(value));
+
+  context.font = FONT;
+  if (axes.visible) {
+    context.strokeStyle = '#374151';
+    context.fillStyle = '#374151';
+    context.lineWidth = 1;
+
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    for (const tick of xRange.ticks.filter((t) => inside(t, xRange))) {
+      const x = Math.round(px(tick)) + 0.5;
+      if (axes.grid) gridLine(context, x, top, x, top + plotHeight);
+      tickMark(context, x, top + plotHeight, x, top + plotHeight - 5);
+      tickMark(context, x, top, x, top + 5);
+      context.fillText(tickLabel(tick, xlog), x, top + plotHeight + 5);
+    }
+
+    context.textAlign = 'right';
+    context.textBaseline = 'middle';
+    for (const tick of yRange.ticks.filter((t) => inside(t, yRange))) {
+      const y = Math.round(py(tick)) + 0.5;
+      if (axes.grid) gridLine(context, left, y, left + plotWidth, y);
+      tickMark(context, left, y, left + 5, y);
+      tickMark(context, left + plotWidth, y, left + plotWidth - 5, y);
+      context.fillText(tickLabel(tick, ylog), left - 6, y);
+    }
+
+    context.strokeRect(Math.round(left) + 0.5, Math.round(top) + 0.5, Math.round(plotWidth), Math.round(plotHeight));
+  }
+
+  // Series and text, clipped to the plot area; NaN values break lines, as in MATLAB
+  context.save();
+  context.beginPath();
+  context.rect(left, top, plotWidth, plotHeight);
+  context.clip();
+  for (const line of series) {
+    context.strokeStyle = line.stroke;
+    context.fillStyle = line.stroke;
+    context.lineWidth = 1.5;
+    if (line.lineStyle !== 'none') {
+      context.setLineDash(DASHES[line.lineStyle] ? DASHES[line.lineStyle].split(',').map(Number) : []);
+      context.beginPath();
+      let drawing = false;
+      for (let i = 0; i < line.x.length; i++) {
+        if (!Number.isFinite(line.x[i]) || !Number.isFinite(line.y[i])) {
+          drawing = false;
+          continue;
+        }
+        if (drawing) context.lineTo(px(line.x[i]), py(line.y[i]));
+        else context.moveTo(px(line.x[i]), py(line.y[i]));
+        drawing = true;
+      }
+      context.stroke();
+      context.setLineDash([]);
+    }
+    if (line.marker !== 'none') {
+      context.lineWidth = 1;
+      for (let i = 0; i < line.x.length; i++) {
+        if (Number.isFinite(line.x[i]) && Number.isFinite(line.y[i])) {
+          drawMarker(context, line.marker, px(line.x[i]), py(line.y[i]));
+        }
+      }
+    }
+  }
+  context.fillStyle = '#111827';
+  context.textAlign = 'left';
+  context.textBaseline = 'middle';
+  for (const {x, y, text} of axes.texts) {
+    const tx = px(xlog ? Math.log10(x) : x);
+    const ty = py(ylog ? Math.log10(y) : y);
+    if (Number.isFinite(tx) && Number.isFinite(ty)) context.fillText(texToText(text), tx, ty);
+  }
+  context.restore();
+
+  // Labels
+  context.fillStyle = '#111827';
+  context.textAlign = 'center';
+  if (title) {
+    context.font = TITLE_FONT;
+    context.textBaseline = 'alphabetic';
+    context.fillText(title, left + plotWidth / 2, cell.y + 22, cell.width - 8);
+    context.font = FONT;
+  }
+  if (axes.visible && axes.xlabel) {
+    context.textBaseline = 'alphabetic';
+    context.fillText(texToText(axes.xlabel), left + plotWidth / 2, cell.y + cell.height - 10, cell.width - 8);
+  }
+  if (axes.visible && axes.ylabel) {
+    context.save();
+    context.translate(cell.x + 16, top + plotHeight / 2);
+    context.rotate(-Math.PI / 2);
+    context.textBaseline = 'middle';
+    context.fillText(texToText(axes.ylabel), 0, 0, cell.height - 8);
+    context.restore();
+  }
+
+  drawLegend(context, series.filter((line) => line.label), {left, top, width: plotWidth});
+}
+
+/** Draw a grid line across the plot area */
+function gridLine(context, x1, y1, x2, y2) {
+  context.save();
+  context.strokeStyle = '#e5e7eb';
+  context.beginPath();
+  context.moveTo(x1, y1);
+  context.lineTo(x2, y2);
+  context.stroke();
+  context.restore();
+}
+
+/** Draw a tick mark on the inside of the frame */
+function tickMark(context, x1, y1, x2, y2) {
+  context.beginPath();
+  context.moveTo(x1, y1);
+  context.lineTo(x2, y2);
+  context.stroke();
+}
+
+/** Draw a MATLAB marker: o + * . x s d ^ v < > p h */
+function drawMarker(context, marker, x, y) {
+  const s = MARKER_SIZE;
+  context.beginPath();
+  switch (marker) {
+    case '.':
+      context.arc(x, y, 1.5, 0, 2 * Math.PI);
+      context.fill();
+      return;
+    case '+':
+      context.moveTo(x - s, y);
+      context.lineTo(x + s, y);
+      context.moveTo(x, y - s);
+      context.lineTo(x, y + s);
+      break;
+    case 'x':
+      context.moveTo(x - s, y - s);
+      context.lineTo(x + s, y + s);
+      context.moveTo(x - s, y + s);
+      context.lineTo(x + s, y - s);
+      break;
+    case '*':
+      context.moveTo(x - s, y);
+      context.lineTo(x + s, y);
+      context.moveTo(x, y - s);
+      context.lineTo(x, y + s);
+      context.moveTo(x - s * 0.7, y - s * 0.7);
+      context.lineTo(x + s * 0.7, y + s * 0.7);
+      context.moveTo(x - s * 0.7, y + s * 0.7);
+      context.lineTo(x + s * 0.7, y - s * 0.7);
+      break;
+    case 's':
+      context.rect(x - s, y - s, 2 * s, 2 * s);
+      break;
+    case 'd':
+      polygon(context, [[x, y - s * 1.3], [x + s, y], [x, y + s * 1.3], [x - s, y]]);
+      break;
+    case '^':
+      polygon(context, [[x, y - s], [x + s, y + s], [x - s, y + s]]);
+      break;
+    case 'v':
+      polygon(context, [[x, y + s], [x + s, y - s], [x - s, y - s]]);
+      break;
+    case '<':
+      polygon(context, [[x - s, y], [x + s, y - s], [x + s, y + s]]);
+      break;
+    case '>':
+      polygon(context, [[x + s, y], [x - s, y - s], [x - s, y + s]]);
+      break;
+    default:
+      // o, and p and h drawn as circles
+      context.arc(x, y, s, 0, 2 * Math.PI);
+  }
+  context.stroke();
+}
+
+/** Add a closed polygon to the current path */
+function polygon(context, points) {
+  points.forEach(([x, y], i) => (i === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+  context.closePath();
+}
+
+/** Draw the legend of the labelled series in the top right corner of the plot */
+function drawLegend(context, entries, plot) {
+  if (entries.length === 0) return;
+  context.font = FONT;
+  const labels = entries.map((line) => texToText(line.label));
+  const legendWidth = Math.min(plot.width - 20, 44 + Math.max(...labels.map((label) => context.measureText(label).width)));
+  const x = plot.left + plot.width - legendWidth - 10;
+  const y = plot.top + 10;
+
+  context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  context.strokeStyle = '#9ca3af';
+  context.lineWidth = 1;
+  context.fillRect(x, y, legendWidth, entries.length * 18 + 8);
+  context.strokeRect(x + 0.5, y + 0.5, legendWidth, entries.length * 18 + 8);
+
+  context.textAlign = 'left';
+  context.textBaseline = 'middle';
+  entries.forEach((line, i) => {
+    const rowY = y + 13 + i * 18;
+    context.strokeStyle = line.stroke;
+    context.fillStyle = line.stroke;
+    if (line.lineStyle !== 'none') {
+      context.lineWidth = 1.5;
+      context.setLineDash(DASHES[line.lineStyle] ? DASHES[line.lineStyle].split(',').map(Number) : []);
+      tickMark(context, x + 6, rowY, x + 32, rowY);
+      context.setLineDash([]);
+    }
+    if (line.marker !== 'none') {
+      context.lineWidth = 1;
+      drawMarker(context, line.marker, x + 19, rowY);
+    }
+    context.fillStyle = '#111827';
+    context.fillText(labels[i], x + 38, rowY, legendWidth - 42);
+  });
+}
@@ -0,0 +1,146 @@
+import React, {useEffect, useRef, useState} from 'react';
+import clsx from 'clsx';
+import {useBaseUrlUtils} from '@docusaurus/useBaseUrl';
+import {checkProgram} from '@site/scripts/interpreter';
+import FigureCanvas from './FigureCanvas';
+import {baseName, fetchSource, location, runProgram} from './program';
+import styles from './styles.module.css';
+
+/** Seconds a run may take before it is stopped */
+const TIME_LIMIT = 10;
+
+/**
+ * Run button for a MATLAB program, using the site's JavaScript interpreter
+ * for the subset of MATLAB the book's programs use. The program and the
+ * function files it calls are fetched on the first run; the source can then
+ * be edited and run again. Constructs outside the subset are reported with
+ * their line numbers before anything runs, console output is shown as
+ * MATLAB would print it, and figures are drawn on canvases.
+ */
+export default function MatlabRunner({src, functions = []}) {
+  const {withBaseUrl} = useBaseUrlUtils();
+  const [files, setFiles] = useState(null);
+  const [source, setSource] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [problems, setProblems] = useState([]);
+  const [result, setResult] = useState(null);
+  const running = useRef(null);
+
+  // Leaving the page stops a run that is still going
+  useEffect(() => () => running.current && running.current.cancel(), []);
+
+  const load = async () => {
+    const [program, ...called] = await Promise.all([src, ...functions].map((path) => fetchSource(withBaseUrl(path))));
+    const loaded = {
+      program,
+      functions: Object.fromEntries(functions.map((path, i) => [baseName(path), called[i]])),
+    };
+    setFiles(loaded);
+    setSource(program);
+    return loaded;
+  };
+
+  const run = async () => {
+    let loaded = files;
+    let text = source;
+    if (!loaded) {
+      setStatus('loading');
+      try {
+        loaded = await load();
+      } catch {
+        setStatus('failed');
+        return;
+      }
+      text = loaded.program;
+    }
+
+    const found = checkProgram(text, {functions: loaded.functions});
+    setProblems(found);
+    if (found.length > 0) {
+      setResult(null);
+      setStatus('done');
+      return;
+    }
+
+    setStatus('running');
+    running.current = runProgram({
+      name: baseName(src),
+      functions: loaded.functions,
+      source: text,
+      timeLimit: TIME_LIMIT,
+      ask: true,
+    });
+    setResult(await running.current.result);
+    running.current = null;
+    setStatus('done');
+  };
+
+  const busy = status === 'loading' || status === 'running';
+  const lines = source.split('\n').length;
+  const {error} = result || {};
+
+  return (
+    <div className={styles.runner}>
+      <div className={styles.toolbar}>
+        <button type="button" className="button button--primary button--md" onClick={run} disabled={busy}>
+          {busy ? '⏳ Running…' : '▶ Run'}
+        </button>
+        {files && source !== files.program && (
+          <button type="button" className="button button--secondary button--md" onClick={() => setSource(files.program)} disabled={busy}>
+            ↺ Reset
+          </button>
+        )}
+        <span className={styles.note}>
+          Runs in your browser with an interpreter for the part of MATLAB the book's programs use. Results may differ
+          from MATLAB in details.
+        </span>
+      </div>
+
+      {status === 'failed' && <p className={styles.message}>The program could not be loaded, so it cannot be run.</p>}
+
+      {files && (
+        <textarea
+          className={styles.editor}
+          value={source}
+          onChange={(event) => setSource(event.target.value)}
+          rows={Math.min(Math.max(lines, 6), 24)}
+          spellCheck={false}
+          aria-label="Program source"
+        />
+      )}
+
+      {problems.length > 0 && (
+        <div className={clsx(styles.problems, 'alert', 'alert--warning')}>
+          <strong>The program uses things the browser interpreter cannot run:</strong>
+          <ul>
+            {problems.map((problem, i) => (
+              <li key={i}>
+                {location(problem) && <span className={styles.line}>{location(problem)}:</span>} {problem.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && (
+        <div className={clsx(styles.problems, 'alert', error.unsupported ? 'alert--warning' : 'alert--danger')}>
+          {location(error) && <span className={styles.line}>{location(error)}:</span>}{' '}
+          {error.timeout ? `Stopped after ${TIME_LIMIT} s. Try smaller loop counts or fewer points.` : error.message}
+        </div>
+      )}
+
+      {result && result.output && (
+        <pre className={styles.output}>
+          {result.output}
+          {result.truncated && '\n… output truncated'}
+        </pre>
+      )}
+
+      {result && result.figures.map((figure) => <FigureCanvas key={figure.number} figure={figure} />)}
+
+      {result && !error && !result.output && result.figures.length === 0 && (
+        <p className={styles.message}>The program finished in {result.duration.toFixed(1)} s without output or figures.</p>
+      )}
+    </div>
+  );
+}
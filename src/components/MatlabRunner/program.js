@@ -0,0 +1,82 @@
+import {decodeText} from '@site/scripts/utils/textDecoder';
+
+/** Seconds a run may go past its time limit before its worker is stopped */
+const GRACE_PERIOD = 2;
+
+/** File name without folders or the .m extension */
+export function baseName(path) {
+  return path.split('/').pop().replace(/\.m$/i, '');
+}
+
+/** Read a program file with the generator's rules for encodings and line endings */
+export async function fetchSource(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(response.statusText);
+  return decodeText(new Uint8Array(await response.arrayBuffer())).text;
+}
+
+/** Where a problem is: its line, and its file when that is not the program itself */
+export function location({line, file}) {
+  const where = line === null ? '' : `Line ${line}`;
+  return file ? `${file}.m ${where}`.trim() : where;
+}
+
+/** Result of a run that ended without the interpreter's own result */
+function stoppedRun(message, timeout, duration) {
+  return {
+    output: '',
+    truncated: false,
+    figures: [],
+    error: {message, line: null, file: null, unsupported: false, timeout},
+    duration,
+  };
+}
+
+/**
+ * Run a program with the interpreter in a Web Worker, so the page stays
+ * responsive. The interpreter stops itself at the time limit between
+ * statements; a single long builtin call cannot check it, so the worker is
+ * ended a little later. With ask, input() prompts are shown with
+ * window.prompt. Returns the result promise and a function that cancels
+ * the run.
+ */
+export function runProgram({name, functions, source, timeLimit, ask = false}) {
+  const seed = Math.floor(Math.random() * 2 ** 32);
+  const answers = [];
+  let worker = null;
+  let timer = null;
+
+  const stop = () => {
+    clearTimeout(timer);
+    if (worker) worker.terminate();
+  };
+
+  const result = new Promise((resolve) => {
+    const start = () => {
+      worker = new Worker(new URL('./worker.js', import.meta.url));
+      timer = setTimeout(() => {
+        stop();
+        resolve(stoppedRun(`Stopped after ${timeLimit} s`, true, timeLimit + GRACE_PERIOD));
+      }, (timeLimit + GRACE_PERIOD) * 1000);
+
+      worker.onmessage = ({data}) => {
+        stop();
+        if ('prompt' in data) {
+          answers.push(window.prompt(data.prompt));
+          start();
+        } else {
+          resolve(data.result);
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        stop();
+        resolve(stoppedRun(`The interpreter stopped unexpectedly: ${event.message}`, false, 0));
+      };
+      worker.postMessage({name, functions, source, timeLimit, answers, ask, seed});
+    };
+    start();
+  });
+
+  return {result, cancel: stop};
+}
@@ -0,0 +1,43 @@
+import {createMatlabInterpreter} from '@site/scripts/interpreter';
+
+/** Uniform random numbers from a seed, so that a run started again draws the same ones (mulberry32) */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Runs one program per message (see runProgram in ./program). A worker
+ * cannot ask the user anything while it runs, so an input() beyond the
+ * answers it was given ends the run with the prompt instead of a result;
+ * the page asks it and starts the program again with one more answer.
+ */
+self.onmessage = ({data}) => {
+  const {name, functions, source, timeLimit, answers, ask, seed} = data;
+  let prompt = null;
+  let next = 0;
+
+  const interpreter = createMatlabInterpreter({
+    name,
+    functions,
+    timeLimit,
+    random: seededRandom(seed),
+    input: ask
+      ? (text) => {
+          if (next < answers.length) return answers[next++];
+          // The first unanswered question is the one to ask, even if the program catches the error
+          if (prompt === null) prompt = text;
+          throw new Error('Waiting for input');
+        }
+      : null,
+  });
+  const result = interpreter.run(source);
+
+  self.postMessage(prompt === null ? {result} : {prompt});
+};
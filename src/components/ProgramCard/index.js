@@ -0,0 +1,49 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import FileBadge from '../FileBadge';
+import resolveFileType from '../FileBadge/fileType';
+import styles from './styles.module.css';
+
+/**
+ * Card on the theme's surface color, for a program's files, function
+ * signatures and gallery thumbnails. With type the card gets an accent in
+ * the type's color; with filename a header with the type badge and the
+ * file name. With href the whole card links there, and caption is shown
+ * under the content.
+ */
+export default function ProgramCard({type, label, emoji, color, filename, href, caption, title, children}) {
+  const fileType = resolveFileType(type, {color});
+  const className = clsx(styles.card, type && styles.typed, href && styles.linked);
+  const style = {'--file-type-color': fileType.color};
+
+  const header = filename && (
+    <div className={styles.header}>
+      <FileBadge type={type} label={label} emoji={emoji} color={color} />
+      <code>{filename}</code>
+    </div>
+  );
+
+  if (href) {
+    return (
+      <Link to={href} title={title} className={className} style={style}>
+        <div className={styles.media}>{children}</div>
+        {caption && <span className={styles.caption}>{caption}</span>}
+      </Link>
+    );
+  }
+  return (
+    <div title={title} className={className} style={style}>
+      {header}
+      <div className={styles.body}>{children}</div>
+      {caption && <span className={styles.caption}>{caption}</span>}
+    </div>
+  );
+}
+
+/**
+ * Grid of cards, as many columns as fit.
+ */
+export function CardGrid({children}) {
+  return <div className={styles.grid}>{children}</div>;
+}
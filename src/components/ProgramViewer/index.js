@@ -0,0 +1,217 @@
+import React, {useEffect, useState} from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import useBaseUrl, {useBaseUrlUtils} from '@docusaurus/useBaseUrl';
+import Layout from '@theme/Layout';
+import CodeBlock from '@theme/CodeBlock';
+import FigureCanvas from '../MatlabRunner/FigureCanvas';
+import {baseName, fetchSource, location, runProgram} from '../MatlabRunner/program';
+import styles from './styles.module.css';
+
+/** Data format this page reads (scripts/generators/ViewerGenerator) */
+const VIEWER_DATA_VERSION = 1;
+
+/** Seconds a run may take; runs follow the sliders, so they are kept short */
+const TIME_LIMIT = 5;
+
+/** Milliseconds a slider must rest before the program runs again */
+const RUN_DELAY = 250;
+
+/** A slider value as MATLAB source, without floating-point noise */
+function formatValue(value) {
+  return String(Number(value.toPrecision(6)));
+}
+
+/** The program source with the given parameters' values replaced by their slider values */
+function applyValues(source, parameters, values) {
+  const lines = source.split('\n');
+  // Right to left, so that earlier values on a shared line keep their column
+  [...parameters]
+    .sort((a, b) => b.column - a.column)
+    .forEach(({name, line, column, length}) => {
+      const text = lines[line - 1];
+      lines[line - 1] = text.slice(0, column) + formatValue(values[name]) + text.slice(column + length);
+    });
+  return lines.join('\n');
+}
+
+/** Load the viewer data of a program and the function files it calls */
+function useViewerData(data) {
+  const url = useBaseUrl(data);
+  const {withBaseUrl} = useBaseUrlUtils();
+  const [program, setProgram] = useState(null);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(response.statusText);
+      const loaded = await response.json();
+      if (loaded.version !== VIEWER_DATA_VERSION) throw new Error(`Unsupported viewer data version ${loaded.version}`);
+      const called = await Promise.all(loaded.functions.map((path) => fetchSource(withBaseUrl(path))));
+      return {
+        ...loaded,
+        functions: Object.fromEntries(loaded.functions.map((path, i) => [baseName(path), called[i]])),
+      };
+    };
+    load()
+      .then((loaded) => {
+        if (cancelled) return;
+        setProgram(loaded);
+        setStatus('ready');
+      })
+      .catch(() => {
+        if (!cancelled) setStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return {program, status};
+}
+
+/** Slider of one numeric parameter */
+function ParameterSlider({parameter, value, onChange}) {
+  const {name, description, units, min, max, step} = parameter;
+  return (
+    <label className={styles.parameter}>
+      <span className={styles.parameterName}>
+        <code>
+          {name} = {formatValue(value)}
+        </code>
+        {units && <span className={styles.units}> {units}</span>}
+      </span>
+      <input
+        type="range"
+        className={styles.slider}
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(event) => onChange(name, Number(event.target.value))}
+      />
+      {description && <span className={styles.description}>{description}</span>}
+    </label>
+  );
+}
+
+/**
+ * Interactive viewer page of a MATLAB program, at /viewer/<programId>
+ * (added by scripts/docusaurusPlugin). Shows the source next to the
+ * program's plots with a slider for each numeric parameter; a change
+ * writes the value into the source, marks its line and runs the program
+ * again with the browser interpreter.
+ */
+export default function ProgramViewer({data}) {
+  const {program, status} = useViewerData(data);
+  const [values, setValues] = useState({});
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  // Only moved sliders change the source, so other values keep their text
+  const parameters = program ? program.parameters : [];
+  const current = Object.fromEntries(parameters.map(({name, value}) => [name, name in values ? values[name] : value]));
+  const changed = parameters.filter(({name, value}) => formatValue(current[name]) !== formatValue(value));
+  const source = program ? applyValues(program.source, changed, current) : '';
+
+  useEffect(() => {
+    if (!program) return undefined;
+    setRunning(true);
+    // A newer slider value cancels the run of the one before
+    let run = null;
+    const timer = setTimeout(() => {
+      run = runProgram({
+        name: baseName(program.filename),
+        functions: program.functions,
+        source,
+        timeLimit: TIME_LIMIT,
+      });
+      run.result.then((ran) => {
+        setResult(ran);
+        setRunning(false);
+      });
+    }, RUN_DELAY);
+    return () => {
+      clearTimeout(timer);
+      if (run) run.cancel();
+    };
+  }, [program, source]);
+
+  const title = program ? program.title : 'Interactive Viewer';
+  const {error} = result || {};
+
+  return (
+    <Layout title={`${title} - Interactive Viewer`} description={program ? program.summary : undefined}>
+      <main className="container margin-vert--lg">
+        {status === 'loading' && <p className={styles.message}>Loading the program…</p>}
+        {status === 'error' && <p className={styles.message}>The program could not be loaded.</p>}
+
+        {program && (
+          <>
+            <Link to={`/docs/${program.url}`}>← {program.title}</Link>
+            <h1 className={styles.title}>{program.title} - Interactive Viewer</h1>
+            {program.summary && <p className={styles.summary}>{program.summary}</p>}
+
+            <div className={styles.viewer}>
+              <div className={styles.source}>
+                <CodeBlock
+                  language="matlab"
+                  title={program.filename}
+                  metastring={changed.length > 0 ? `{${changed.map(({line}) => line).join(',')}}` : undefined}
+                  showLineNumbers>
+                  {source}
+                </CodeBlock>
+              </div>
+
+              <div className={styles.plots}>
+                <div className={styles.parameters}>
+                  {program.parameters.map((parameter) => (
+                    <ParameterSlider
+                      key={parameter.name}
+                      parameter={parameter}
+                      value={current[parameter.name]}
+                      onChange={(name, value) => setValues((previous) => ({...previous, [name]: value}))}
+                    />
+                  ))}
+                </div>
+                <div className={styles.toolbar}>
+                  <button
+                    type="button"
+                    className="button button--secondary button--sm"
+                    onClick={() => setValues({})}
+                    disabled={changed.length === 0}>
+                    ↺ Reset
+                  </button>
+                  <span className={styles.status}>
+                    {running ? '⏳ Running…' : result && `Ran in ${result.duration.toFixed(1)} s`}
+                  </span>
+                </div>
+
+                {error && (
+                  <div className={clsx(styles.error, 'alert', error.unsupported ? 'alert--warning' : 'alert--danger')}>
+                    {location(error) && <span className={styles.line}>{location(error)}:</span>}{' '}
+                    {error.timeout ? `Stopped after ${TIME_LIMIT} s. Try smaller values.` : error.message}
+                  </div>
+                )}
+
+                {result && result.figures.map((figure) => <FigureCanvas key={figure.number} figure={figure} />)}
+
+                {result && result.output && (
+                  <details className={styles.output}>
+                    <summary>Console output</summary>
+                    <pre>
+                      {result.output}
+                      {result.truncated && '\n… output truncated'}
+                    </pre>
+                  </details>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </Layout>
+  );
+}
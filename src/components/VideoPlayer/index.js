@@ -0,0 +1,15 @@
+import React from 'react';
+import styles from './styles.module.css';
+
+/**
+ * Looping, muted player for a program's animation, with controls.
+ * Used by the animation pages the docs generator writes.
+ */
+export default function VideoPlayer({src, type = 'video/mp4', width, height}) {
+  return (
+    <video className={styles.video} controls loop muted playsInline preload="metadata" width={width} height={height}>
+      <source src={src} type={type} />
+      Your browser cannot play this animation. Use the Download button above.
+    </video>
+  );
+}
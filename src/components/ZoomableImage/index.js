@@ -0,0 +1,66 @@
+import React, {useEffect, useState} from 'react';
+import clsx from 'clsx';
+import styles from './styles.module.css';
+
+/**
+ * Figure image that opens in a full-window overlay when clicked.
+ * In the overlay, clicking the image switches between fitting the window
+ * and its actual size; Escape or a click on the backdrop closes it.
+ * Used by the image pages the docs generator writes.
+ */
+export default function ZoomableImage({src, alt, width, height}) {
+  const [open, setOpen] = useState(false);
+  const [actualSize, setActualSize] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.body.style.overflow = overflow;
+      window.removeEventListener('keydown', onKeyDown);
+    };
+  }, [open]);
+
+  return (
+    <>
+      <button
+        type="button"
+        className={styles.figure}
+        title="Click to zoom"
+        onClick={() => {
+          setActualSize(false);
+          setOpen(true);
+        }}>
+        <img src={src} alt={alt} width={width} height={height} className={styles.image} />
+      </button>
+      {open && (
+        <div
+          className={clsx(styles.overlay, actualSize && styles.scrollable)}
+          role="dialog"
+          aria-modal="true"
+          aria-label={alt}
+          onClick={() => setOpen(false)}>
+          <img
+            src={src}
+            alt={alt}
+            className={clsx(styles.zoomed, actualSize && styles.actualSize)}
+            title={actualSize ? 'Click to fit the window' : 'Click for actual size'}
+            onClick={(event) => {
+              event.stopPropagation();
+              setActualSize((value) => !value);
+            }}
+          />
+          <button type="button" className={styles.close} aria-label="Close" onClick={() => setOpen(false)}>
+            ×
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,11 @@
+import React from 'react';
+import DocSidebarItemCategory from '@theme-original/DocSidebarItem/Category';
+
+/**
+ * Sidebar category that shows the program summary as a tooltip.
+ * The generator writes the summary to the category's customProps.description.
+ */
+export default function DocSidebarItemCategoryWrapper(props) {
+  const description = props.item.customProps?.description;
+  return <DocSidebarItemCategory {...props} title={description} />;
+}
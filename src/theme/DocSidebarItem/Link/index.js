@@ -0,0 +1,11 @@
+import React from 'react';
+import DocSidebarItemLink from '@theme-original/DocSidebarItem/Link';
+
+/**
+ * Sidebar link that shows the program summary as a tooltip.
+ * The generator writes the summary to the item's customProps.description.
+ */
+export default function DocSidebarItemLinkWrapper(props) {
+  const description = props.item.customProps?.description;
+  return <DocSidebarItemLink {...props} title={description} />;
+}
@@ -0,0 +1,132 @@
+import React, {useCallback, useEffect, useMemo, useRef, useState} from 'react';
+import clsx from 'clsx';
+import {useHistory} from '@docusaurus/router';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import {SEARCH_INDEX_VERSION, search} from './searchEngine';
+import styles from './styles.module.css';
+
+/**
+ * Navbar search over the generated programs, rendered by the navbar's
+ * `search` item. The index is static/search-index.json, written by the docs
+ * generator and fetched the first time the box gets focus.
+ */
+export default function SearchBar() {
+  const history = useHistory();
+  const indexUrl = useBaseUrl('/search-index.json');
+  const docsUrl = useBaseUrl('/docs/');
+  const inputRef = useRef(null);
+
+  const [index, setIndex] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+
+  const loadIndex = useCallback(() => {
+    if (status !== 'idle') return;
+    setStatus('loading');
+    fetch(indexUrl)
+      .then((response) => (response.ok ? response.json() : Promise.reject(new Error(response.statusText))))
+      .then((data) => {
+        if (data.version !== SEARCH_INDEX_VERSION) throw new Error(`index version ${data.version}`);
+        setIndex(data);
+        setStatus('ready');
+      })
+      .catch(() => setStatus('error'));
+  }, [indexUrl, status]);
+
+  const results = useMemo(() => search(index, query), [index, query]);
+
+  useEffect(() => setActive(0), [query]);
+
+  // Ctrl+K / Cmd+K focuses the search box
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        inputRef.current?.focus();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const go = (result) => {
+    setOpen(false);
+    setQuery('');
+    inputRef.current?.blur();
+    history.push(docsUrl + result.url);
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActive((i) => Math.min(i + 1, results.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActive((i) => Math.max(i - 1, 0));
+    } else if (event.key === 'Enter' && results[active]) {
+      event.preventDefault();
+      go(results[active]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+      inputRef.current?.blur();
+    }
+  };
+
+  let message = null;
+  if (status === 'loading') message = 'Loading search index…';
+  else if (status === 'error') message = 'Search index not found. Run the docs generator to create it.';
+  else if (query.trim() && results.length === 0) message = 'No matching programs.';
+
+  return (
+    <div className={styles.searchBar}>
+      <input
+        ref={inputRef}
+        type="search"
+        className={styles.input}
+        placeholder="Search programs (Ctrl+K)"
+        aria-label="Search programs"
+        title="Try: eigs · fig 7.6 · chapter:4 exercise · type:pdf screening"
+        value={query}
+        onFocus={() => {
+          loadIndex();
+          setOpen(true);
+        }}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+      />
+      {open && query.trim() && (
+        <div className={styles.dropdown} role="listbox">
+          {message && <div className={styles.message}>{message}</div>}
+          {results.map((result, i) => (
+            <button
+              key={result.program.id}
+              type="button"
+              role="option"
+              aria-selected={i === active}
+              className={clsx(styles.result, i === active && styles.resultActive)}
+              onMouseEnter={() => setActive(i)}
+              onMouseDown={(event) => {
+                event.preventDefault();
+                go(result);
+              }}>
+              <span className={styles.resultTitle}>
+                {result.program.id}
+                <span className={styles.resultLabel}>{result.label}</span>
+              </span>
+              <span className={styles.resultSummary}>{result.program.summary}</span>
+              {result.snippet && result.snippet !== result.program.summary && (
+                <span className={styles.resultSnippet}>{result.snippet}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
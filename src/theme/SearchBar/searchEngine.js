@@ -0,0 +1,206 @@
+/**
+ * Query parsing and ranking for the offline program search.
+ * Works on the index written by scripts/generators/SearchIndexGenerator.js.
+ */
+
+/** Index format this module reads */
+export const SEARCH_INDEX_VERSION = 1;
+
+/** Words that select a kind of program rather than text to match */
+const KIND_WORDS = {
+  fig: 'Fig',
+  figs: 'Fig',
+  figure: 'Fig',
+  figures: 'Fig',
+  ex: 'Exercise',
+  exercise: 'Exercise',
+  exercises: 'Exercise',
+  utility: 'Utility',
+  utilities: 'Utility',
+};
+
+/** Points for a term matched in each field; a program's score is the sum over terms */
+const WEIGHTS = {
+  id: 30,
+  idPart: 12,
+  symbol: 14,
+  symbolPrefix: 6,
+  title: 10,
+  summary: 8,
+  description: 4,
+  comment: 4,
+  text: 2,
+};
+
+/**
+ * Parse a query into filters and terms.
+ *
+ * - `chapter:4` or `ch:4` keeps chapter 4; `type:pdf` keeps programs with a PDF
+ * - `fig`, `exercise`, `utility` keep that kind of program
+ * - `7.6` or `7.6a` is chapter 7, figure or exercise 6 (variant a)
+ * - anything else must appear in the program (all terms, any order)
+ *
+ * @param {string} query - Query as typed
+ * @returns {{chapter: string|null, kind: string|null, number: string|null,
+ *   variant: string|null, type: string|null, terms: string[]}} Parsed query
+ */
+export function parseQuery(query) {
+  const parsed = { chapter: null, kind: null, number: null, variant: null, type: null, terms: [] };
+
+  for (const token of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+    const field = token.match(/^(chapter|ch|type):(.+)$/);
+    const numbered = token.match(/^(\d+)\.(\d+)([a-z]\d*)?$/);
+
+    if (field && field[1] === 'type') {
+      parsed.type = field[2];
+    } else if (field) {
+      parsed.chapter = field[2].replace(/^0+(?=\d)/, '');
+    } else if (KIND_WORDS[token]) {
+      parsed.kind = KIND_WORDS[token];
+    } else if (numbered) {
+      [, parsed.chapter, parsed.number] = numbered;
+      parsed.variant = numbered[3] || null;
+    } else if (/^\d+[a-z]?\d*$/.test(token) && parsed.kind && !parsed.number) {
+      // "fig 6a" after "chapter:7"
+      [, parsed.number, parsed.variant] = token.match(/^(\d+)([a-z]\d*)?$/) || [];
+    } else {
+      parsed.terms.push(token);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Whether a program passes the filters of a query
+ * @param {Object} program - Program entry of the index
+ * @param {Object} parsed - Parsed query
+ * @returns {boolean} True if the program is kept
+ */
+function matchesFilters(program, parsed) {
+  if (parsed.chapter && program.chapter !== parsed.chapter) return false;
+  if (parsed.kind && program.kind !== parsed.kind) return false;
+  if (parsed.number && program.number !== parsed.number) return false;
+  if (parsed.variant && !program.variant.toLowerCase().startsWith(parsed.variant)) return false;
+  if (parsed.type && !program.documents.some(doc => isOfType(doc, parsed.type))) return false;
+  return true;
+}
+
+/**
+ * Cut a short excerpt of text around a match
+ * @param {string} text - Text
+ * @param {number} position - Position of the match
+ * @returns {string} Excerpt with ellipses where it was cut
+ */
+function excerpt(text, position) {
+  const start = Math.max(0, position - 40);
+  const end = Math.min(text.length, position + 80);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Whether a page is of the type a query asks for
+ * @param {Object} doc - Page entry of the index
+ * @param {string|null} type - Type from `type:`, or null for any
+ * @returns {boolean} True if the page is searched
+ */
+function isOfType(doc, type) {
+  return !type || doc.type === type || doc.label.toLowerCase() === type;
+}
+
+/**
+ * Find the best match of one term in a program
+ * With `type:`, only pages of that type are searched besides the program's name and summary.
+ * @param {Object} program - Program entry of the index
+ * @param {string} term - Lowercase term
+ * @param {string|null} type - Page type to search
+ * @returns {{score: number, hit: Object|null}|null} Points and where to go, or null if the term is absent
+ */
+function matchTerm(program, term, type) {
+  let best = null;
+  const consider = (score, hit = null) => {
+    if (!best || score > best.score) best = { score, hit };
+  };
+
+  const id = program.id.toLowerCase();
+  if (id === term) consider(WEIGHTS.id);
+  else if (id.includes(term)) consider(WEIGHTS.idPart);
+
+  if (program.title.toLowerCase().includes(term)) consider(WEIGHTS.title);
+  if (program.summary.toLowerCase().includes(term)) consider(WEIGHTS.summary);
+  if (program.description.toLowerCase().includes(term)) consider(WEIGHTS.description);
+
+  for (const doc of program.documents.filter(item => isOfType(item, type))) {
+    for (const [name, lines] of Object.entries(doc.symbols || {})) {
+      const lower = name.toLowerCase();
+      if (lower === term) {
+        consider(WEIGHTS.symbol, { doc, line: lines[0], snippet: `${name} — line ${lines.join(', ')}` });
+      } else if (term.length >= 3 && lower.startsWith(term)) {
+        consider(WEIGHTS.symbolPrefix, { doc, line: lines[0], snippet: `${name} — line ${lines.join(', ')}` });
+      }
+    }
+
+    const comment = (doc.comments || []).find(([, text]) => text.toLowerCase().includes(term));
+    if (comment) {
+      consider(WEIGHTS.comment, { doc, line: comment[0], snippet: `% ${comment[1]}` });
+    }
+
+    const position = doc.text ? doc.text.toLowerCase().indexOf(term) : -1;
+    if (position >= 0) {
+      consider(WEIGHTS.text, { doc, line: null, snippet: excerpt(doc.text, position) });
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Search the index, best programs first
+ * Each result links to the page and line of its strongest match, or to
+ * the program's index page when only its name or summary matched.
+ * @param {{version: number, programs: Object[]}} index - Search index
+ * @param {string} query - Query as typed
+ * @param {number} [limit=12] - Most results to return
+ * @returns {Array<{program: Object, score: number, url: string, label: string, snippet: string}>} Results
+ */
+export function search(index, query, limit = 12) {
+  const parsed = parseQuery(query);
+  const hasFilters = parsed.chapter || parsed.kind || parsed.number || parsed.type;
+  if (!index || (parsed.terms.length === 0 && !hasFilters)) {
+    return [];
+  }
+
+  const results = [];
+  for (const program of index.programs) {
+    if (!matchesFilters(program, parsed)) continue;
+
+    let score = 0;
+    let hit = null;
+    const matched = parsed.terms.every((term) => {
+      const match = matchTerm(program, term, parsed.type);
+      if (!match) return false;
+      score += match.score;
+      if (match.hit && (!hit || match.score > hit.score)) hit = { ...match.hit, score: match.score };
+      return true;
+    });
+    if (!matched) continue;
+
+    // With `type:` and nothing matched in a page, still open a page of that type
+    const page = hit ? hit.doc : parsed.type && program.documents.find(doc => isOfType(doc, parsed.type));
+    const url = page ? `${page.url}${hit && hit.line ? `#L${hit.line}` : ''}` : program.url;
+    results.push({
+      program,
+      score,
+      url,
+      label: page ? page.label : 'Overview',
+      snippet: hit ? hit.snippet : program.summary,
+    });
+  }
+
+  // Ties keep index order: by chapter, then program ID
+  return results
+    .map((result, order) => ({ result, order }))
+    .sort((a, b) => b.result.score - a.result.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ result }) => result);
+}